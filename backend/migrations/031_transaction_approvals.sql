@@ -0,0 +1,16 @@
+-- Migration: Transaction Approvals (Maker-Checker)
+-- Date: 2026-10-18
+-- Description: Track the drawer a transaction is booked against and who approved or rejected held transactions
+
+ALTER TABLE `transactions`
+  ADD COLUMN IF NOT EXISTS `drawer_id` INT UNSIGNED NULL COMMENT 'Cash drawer the transaction is booked against' AFTER `employee_id`,
+  ADD COLUMN IF NOT EXISTS `approved_by` INT UNSIGNED NULL AFTER `status`,
+  ADD COLUMN IF NOT EXISTS `approved_at` TIMESTAMP NULL AFTER `approved_by`,
+  ADD COLUMN IF NOT EXISTS `approval_notes` VARCHAR(255) NULL AFTER `approved_at`,
+  ADD COLUMN IF NOT EXISTS `rejected_by` INT UNSIGNED NULL AFTER `approval_notes`,
+  ADD COLUMN IF NOT EXISTS `rejected_at` TIMESTAMP NULL AFTER `rejected_by`,
+  ADD COLUMN IF NOT EXISTS `rejection_reason` VARCHAR(255) NULL AFTER `rejected_at`;
+
+-- Approval queue lookups
+CREATE INDEX IF NOT EXISTS `idx_transactions_status_date` ON `transactions`(`status`, `transaction_date`);
+CREATE INDEX IF NOT EXISTS `idx_transactions_drawer` ON `transactions`(`drawer_id`);
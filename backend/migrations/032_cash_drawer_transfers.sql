@@ -0,0 +1,10 @@
+-- Migration: Cash Drawer Transfer Lifecycle
+-- Date: 2026-10-18
+-- Description: Track who cancelled an in-transit drawer transfer and why
+
+ALTER TABLE `cash_drawer_transfers`
+  ADD COLUMN IF NOT EXISTS `cancelled_by` INT NULL AFTER `completed_at`,
+  ADD COLUMN IF NOT EXISTS `cancelled_at` TIMESTAMP NULL AFTER `cancelled_by`,
+  ADD COLUMN IF NOT EXISTS `cancel_reason` VARCHAR(255) NULL AFTER `cancelled_at`,
+  ADD INDEX `idx_transfer_from` (`from_drawer_id`, `status`),
+  ADD INDEX `idx_transfer_to` (`to_drawer_id`, `status`);
@@ -0,0 +1,11 @@
+-- Migration: Cash Drawer Assignment
+-- Date: 2026-10-18
+-- Description: Assign drawers to a teller or mark them shared, instead of tying them to the creator
+
+ALTER TABLE `cash_drawers`
+  ADD COLUMN IF NOT EXISTS `assigned_to` INT NULL COMMENT 'Teller who works this drawer' AFTER `location`,
+  ADD COLUMN IF NOT EXISTS `is_shared` BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Any teller may open a shift on this drawer' AFTER `assigned_to`,
+  ADD INDEX `idx_drawer_assigned` (`assigned_to`);
+
+-- Keep existing setups working: drawers were implicitly worked by their creator
+UPDATE `cash_drawers` SET `assigned_to` = `created_by` WHERE `assigned_to` IS NULL AND `is_shared` = FALSE;
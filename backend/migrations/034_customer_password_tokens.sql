@@ -0,0 +1,7 @@
+-- Migration: Customer Password Tokens
+-- Date: 2026-10-18
+-- Description: Index hashed customer invitation/reset tokens, which are looked up on every set-password request
+
+ALTER TABLE `customers`
+  MODIFY COLUMN `reset_token` CHAR(64) NULL COMMENT 'SHA-256 of the emailed setup/reset token',
+  ADD INDEX `idx_customers_reset_token` (`reset_token`);
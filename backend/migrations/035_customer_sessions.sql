@@ -0,0 +1,21 @@
+-- Migration: Customer Portal Sessions
+-- Date: 2026-10-18
+-- Description: Refresh tokens for customer portal logins. One row per session; the token hash is rotated in place on refresh
+
+CREATE TABLE IF NOT EXISTS `customer_refresh_tokens` (
+  `id` INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  `uuid` VARCHAR(36) NOT NULL UNIQUE,
+  `customer_id` INT UNSIGNED NOT NULL,
+  `token_hash` VARCHAR(255) NOT NULL COMMENT 'SHA-256 hash of the current refresh token',
+  `device_info` VARCHAR(255) NULL COMMENT 'User agent or device identifier',
+  `ip_address` VARCHAR(45) NULL,
+  `last_used_at` TIMESTAMP NULL,
+  `expires_at` TIMESTAMP NOT NULL,
+  `revoked_at` TIMESTAMP NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (`customer_id`) REFERENCES `customers`(`id`) ON DELETE CASCADE,
+  INDEX `idx_customer_refresh_tokens_customer` (`customer_id`),
+  INDEX `idx_customer_refresh_tokens_hash` (`token_hash`),
+  INDEX `idx_customer_refresh_tokens_expires` (`expires_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
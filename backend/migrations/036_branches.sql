@@ -0,0 +1,57 @@
+-- Migration: Branches
+-- Date: 2026-10-18
+-- Description: Multi-location support. Users, drawers, shifts, transactions and exchange rates get a branch;
+--              existing data is moved to a default "Main Branch"
+
+CREATE TABLE IF NOT EXISTS `branches` (
+  `id` INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  `uuid` VARCHAR(36) NOT NULL UNIQUE,
+  `code` VARCHAR(20) NOT NULL UNIQUE,
+  `name` VARCHAR(100) NOT NULL,
+  `address` VARCHAR(255) NULL,
+  `phone` VARCHAR(30) NULL,
+  `is_active` BOOLEAN NOT NULL DEFAULT TRUE,
+  `created_by` INT UNSIGNED NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX `idx_branches_active` (`is_active`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO `branches` (`uuid`, `code`, `name`) VALUES (UUID(), 'MAIN', 'Main Branch');
+
+ALTER TABLE `users`
+  ADD COLUMN IF NOT EXISTS `branch_id` INT UNSIGNED NULL COMMENT 'NULL = all branches (admins only)' AFTER `role`,
+  ADD INDEX `idx_users_branch` (`branch_id`);
+
+ALTER TABLE `cash_drawers`
+  ADD COLUMN IF NOT EXISTS `branch_id` INT UNSIGNED NULL AFTER `location`,
+  ADD INDEX `idx_drawer_branch` (`branch_id`);
+
+ALTER TABLE `shifts`
+  ADD COLUMN IF NOT EXISTS `branch_id` INT UNSIGNED NULL COMMENT 'Copied from the drawer when the shift starts' AFTER `drawer_id`,
+  ADD INDEX `idx_shifts_branch` (`branch_id`);
+
+ALTER TABLE `transactions`
+  ADD COLUMN IF NOT EXISTS `branch_id` INT UNSIGNED NULL COMMENT 'Branch of the drawer the transaction was posted to' AFTER `shift_id`,
+  ADD INDEX `idx_transactions_branch_date` (`branch_id`, `transaction_date`);
+
+-- Rates without a branch are the default for every branch; a branch row overrides it
+ALTER TABLE `exchange_rates`
+  ADD COLUMN IF NOT EXISTS `branch_id` INT UNSIGNED NULL COMMENT 'NULL = default for all branches' AFTER `to_currency_id`,
+  DROP INDEX `unique_rate_pair`,
+  ADD UNIQUE KEY `unique_rate_pair_branch` (`from_currency_id`, `to_currency_id`, `branch_id`);
+
+ALTER TABLE `exchange_rate_history`
+  ADD COLUMN IF NOT EXISTS `branch_id` INT UNSIGNED NULL AFTER `to_currency_id`;
+
+-- Backfill: everything so far happened at one site
+SET @main_branch = (SELECT `id` FROM `branches` WHERE `code` = 'MAIN');
+
+UPDATE `users` SET `branch_id` = @main_branch WHERE `branch_id` IS NULL AND `role` <> 'admin';
+UPDATE `cash_drawers` SET `branch_id` = @main_branch WHERE `branch_id` IS NULL;
+UPDATE `shifts` s
+  LEFT JOIN `cash_drawers` d ON s.`drawer_id` = d.`id`
+  SET s.`branch_id` = COALESCE(d.`branch_id`, @main_branch)
+  WHERE s.`branch_id` IS NULL;
+UPDATE `transactions` SET `branch_id` = @main_branch WHERE `branch_id` IS NULL;
@@ -0,0 +1,48 @@
+-- Migration: Exchange Rate Versions
+-- Date: 2026-10-18
+-- Description: Every rate change becomes a version with an effective date. Future versions are
+--              scheduled and copied into exchange_rates when they take effect; transactions
+--              reference the version whose rate they used.
+
+CREATE TABLE IF NOT EXISTS `exchange_rate_versions` (
+  `id` INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  `uuid` VARCHAR(36) NOT NULL UNIQUE,
+  `from_currency_id` INT UNSIGNED NOT NULL,
+  `to_currency_id` INT UNSIGNED NOT NULL,
+  `branch_id` INT UNSIGNED NULL COMMENT 'NULL = default for all branches',
+  `buy_rate` DECIMAL(18, 6) NOT NULL,
+  `sell_rate` DECIMAL(18, 6) NOT NULL,
+  `effective_from` DATETIME NOT NULL,
+  `applied_at` DATETIME NULL COMMENT 'When the version was copied into exchange_rates',
+  `cancelled_at` DATETIME NULL,
+  `cancelled_by` INT UNSIGNED NULL,
+  `created_by` INT UNSIGNED NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  INDEX `idx_rate_versions_lookup` (`from_currency_id`, `to_currency_id`, `branch_id`, `effective_from`),
+  INDEX `idx_rate_versions_pending` (`applied_at`, `effective_from`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE `exchange_rates`
+  ADD COLUMN IF NOT EXISTS `effective_from` DATETIME NULL,
+  ADD COLUMN IF NOT EXISTS `version_id` INT UNSIGNED NULL COMMENT 'Version currently in effect';
+
+ALTER TABLE `transactions`
+  ADD COLUMN IF NOT EXISTS `rate_version_id` INT UNSIGNED NULL COMMENT 'Rate version in effect when the transaction was created' AFTER `exchange_rate`,
+  ADD INDEX `idx_transactions_rate_version` (`rate_version_id`);
+
+-- The current rates become the first version of each pair
+INSERT INTO `exchange_rate_versions`
+  (`uuid`, `from_currency_id`, `to_currency_id`, `branch_id`, `buy_rate`, `sell_rate`, `effective_from`, `applied_at`, `created_by`)
+SELECT UUID(), `from_currency_id`, `to_currency_id`, `branch_id`, `buy_rate`, `sell_rate`,
+  COALESCE(`updated_at`, `created_at`), COALESCE(`updated_at`, `created_at`), `updated_by`
+FROM `exchange_rates`
+WHERE `version_id` IS NULL;
+
+UPDATE `exchange_rates` er
+  JOIN `exchange_rate_versions` v
+    ON v.`from_currency_id` = er.`from_currency_id`
+   AND v.`to_currency_id` = er.`to_currency_id`
+   AND v.`branch_id` <=> er.`branch_id`
+  SET er.`version_id` = v.`id`, er.`effective_from` = v.`effective_from`
+  WHERE er.`version_id` IS NULL;
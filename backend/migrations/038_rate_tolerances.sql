@@ -0,0 +1,22 @@
+-- Migration: Rate Tolerances
+-- Date: 2026-10-18
+-- Description: Per-pair tolerance band around the official rate. Transactions outside the band
+--              are rejected unless the teller gives an override reason, which holds them for
+--              manager approval. The official rate and deviation are kept on the transaction.
+
+CREATE TABLE IF NOT EXISTS `rate_tolerances` (
+  `id` INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  `from_currency_id` INT UNSIGNED NOT NULL,
+  `to_currency_id` INT UNSIGNED NOT NULL,
+  `tolerance_percent` DECIMAL(6, 3) NOT NULL DEFAULT 0 COMMENT 'Allowed deviation beyond the buy/sell spread',
+  `updated_by` INT UNSIGNED NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY `uk_rate_tolerance_pair` (`from_currency_id`, `to_currency_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE `transactions`
+  ADD COLUMN IF NOT EXISTS `official_rate` DECIMAL(18, 6) NULL COMMENT 'Mid rate of the rate version in effect' AFTER `rate_version_id`,
+  ADD COLUMN IF NOT EXISTS `rate_deviation_percent` DECIMAL(10, 4) NULL AFTER `official_rate`,
+  ADD COLUMN IF NOT EXISTS `rate_override_reason` VARCHAR(500) NULL COMMENT 'Set when the rate was outside the tolerance band' AFTER `rate_deviation_percent`;
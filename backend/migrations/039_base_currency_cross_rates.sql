@@ -0,0 +1,23 @@
+-- Migration: Base Currency and Cross Rates
+-- Date: 2026-10-18
+-- Description: One currency is marked as the base. Pairs without a rate of their own are derived
+--              through it (e.g. EUR->IQD via USD), widened by the matching spread rule.
+
+ALTER TABLE `currencies`
+  ADD COLUMN IF NOT EXISTS `is_base` BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Cross rates are derived through this currency';
+
+CREATE TABLE IF NOT EXISTS `rate_spread_rules` (
+  `id` INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  `from_currency_id` INT UNSIGNED NULL COMMENT 'NULL = any currency',
+  `to_currency_id` INT UNSIGNED NULL COMMENT 'NULL = any currency',
+  `spread_percent` DECIMAL(6, 3) NOT NULL DEFAULT 0 COMMENT 'Lowers the derived buy rate and raises the sell rate',
+  `updated_by` INT UNSIGNED NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY `uk_spread_rule_pair` (`from_currency_id`, `to_currency_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- USD is the base currency unless one was already chosen
+UPDATE `currencies` SET `is_base` = TRUE
+WHERE `code` = 'USD' AND NOT EXISTS (SELECT 1 FROM (SELECT `id` FROM `currencies` WHERE `is_base` = TRUE) b);
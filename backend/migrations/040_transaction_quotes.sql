@@ -0,0 +1,35 @@
+-- Migration: Transaction Quotes
+-- Date: 2026-10-18
+-- Description: Rates quoted to a customer before the deal. A quote locks the resolved rate,
+--              amount out and commission until it expires; a transaction that references it
+--              within that window is booked at the locked rate. Quotes are kept for
+--              quote-to-deal conversion reporting.
+
+CREATE TABLE IF NOT EXISTS `transaction_quotes` (
+  `id` INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  `uuid` VARCHAR(36) NOT NULL UNIQUE,
+  `currency_in_id` INT UNSIGNED NOT NULL,
+  `currency_out_id` INT UNSIGNED NOT NULL,
+  `amount_in` DECIMAL(18, 2) NOT NULL,
+  `amount_out` DECIMAL(18, 2) NOT NULL,
+  `buy_rate` DECIMAL(18, 6) NOT NULL COMMENT 'Official band at quote time',
+  `sell_rate` DECIMAL(18, 6) NOT NULL,
+  `exchange_rate` DECIMAL(18, 6) NOT NULL COMMENT 'Locked rate applied to the deal',
+  `commission` DECIMAL(18, 2) NOT NULL DEFAULT 0,
+  `rate_source` ENUM('direct', 'inverse', 'derived') NOT NULL,
+  `rate_version_id` INT UNSIGNED NULL,
+  `customer_id` INT UNSIGNED NULL,
+  `branch_id` INT UNSIGNED NULL,
+  `employee_id` INT UNSIGNED NOT NULL,
+  `expires_at` DATETIME NOT NULL,
+  `transaction_id` INT UNSIGNED NULL COMMENT 'Set when the quote is converted into a deal',
+  `converted_at` DATETIME NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  INDEX `idx_quotes_created` (`created_at`),
+  INDEX `idx_quotes_employee` (`employee_id`),
+  INDEX `idx_quotes_branch` (`branch_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE `transactions`
+  ADD COLUMN IF NOT EXISTS `quote_id` INT UNSIGNED NULL COMMENT 'Quote whose locked rate was honoured' AFTER `rate_version_id`;
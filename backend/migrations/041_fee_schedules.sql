@@ -0,0 +1,36 @@
+-- Migration: Fee Schedules
+-- Date: 2026-10-18
+-- Description: Commission is computed from fee schedules instead of being typed in. A schedule
+--              is flat, a percentage of the amount received, or tiered by amount, and applies
+--              to a currency pair, customer segment and payment method (NULL / 'all' = any).
+--              The most specific active schedule wins. Fees are in the currency received.
+
+CREATE TABLE IF NOT EXISTS `fee_schedules` (
+  `id` INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  `uuid` VARCHAR(36) NOT NULL UNIQUE,
+  `name` VARCHAR(100) NOT NULL,
+  `currency_in_id` INT UNSIGNED NULL COMMENT 'NULL = any currency',
+  `currency_out_id` INT UNSIGNED NULL COMMENT 'NULL = any currency',
+  `customer_segment` ENUM('all', 'vip', 'regular') NOT NULL DEFAULT 'all',
+  `payment_method` VARCHAR(50) NULL COMMENT 'NULL = any payment method',
+  `fee_type` ENUM('flat', 'percentage', 'tiered') NOT NULL,
+  `flat_amount` DECIMAL(18, 2) NULL,
+  `percentage` DECIMAL(6, 3) NULL,
+  `tiers` JSON NULL COMMENT '[{upTo, percentage, flatAmount}] ordered by upTo; upTo NULL = no limit',
+  `min_fee` DECIMAL(18, 2) NULL,
+  `max_fee` DECIMAL(18, 2) NULL,
+  `is_active` BOOLEAN NOT NULL DEFAULT TRUE,
+  `created_by` INT UNSIGNED NOT NULL,
+  `updated_by` INT UNSIGNED NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX `idx_fee_schedules_pair` (`currency_in_id`, `currency_out_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE `transactions`
+  ADD COLUMN IF NOT EXISTS `fee_schedule_id` INT UNSIGNED NULL COMMENT 'Schedule the commission was computed from' AFTER `commission`;
+
+ALTER TABLE `transaction_quotes`
+  ADD COLUMN IF NOT EXISTS `payment_method` VARCHAR(50) NOT NULL DEFAULT 'cash' AFTER `commission`,
+  ADD COLUMN IF NOT EXISTS `fee_schedule_id` INT UNSIGNED NULL AFTER `payment_method`;
@@ -0,0 +1,25 @@
+-- Migration: Currency Inventory
+-- Date: 2026-10-18
+-- Description: Each drawer carries its currency holdings at weighted average cost, valued in
+--              the base currency. Buying currency adds to the position at the price paid;
+--              selling it realizes profit against the average cost. Transactions keep the cost
+--              of the currency they paid out, and transfers the unit cost of the funds in transit.
+
+CREATE TABLE IF NOT EXISTS `currency_positions` (
+  `id` INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  `drawer_id` INT UNSIGNED NOT NULL,
+  `currency_id` INT UNSIGNED NOT NULL,
+  `quantity` DECIMAL(18, 2) NOT NULL DEFAULT 0,
+  `avg_cost` DECIMAL(20, 8) NOT NULL DEFAULT 0 COMMENT 'Base currency per unit',
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY `uk_currency_positions_drawer_currency` (`drawer_id`, `currency_id`),
+  FOREIGN KEY (`drawer_id`) REFERENCES `cash_drawers`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`currency_id`) REFERENCES `currencies`(`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE `transactions`
+  ADD COLUMN IF NOT EXISTS `cost_basis` DECIMAL(18, 2) NULL COMMENT 'Average cost of amount_out in the base currency' AFTER `profit`;
+
+ALTER TABLE `cash_drawer_transfers`
+  ADD COLUMN IF NOT EXISTS `unit_cost` DECIMAL(20, 8) NULL COMMENT 'Average cost per unit when the funds left the source drawer' AFTER `amount`;
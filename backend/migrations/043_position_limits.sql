@@ -0,0 +1,20 @@
+-- Migration: Position Limits
+-- Date: 2026-10-18
+-- Description: Limits on how much of a currency the business may hold (long) or owe (short),
+--              in units of that currency, across all drawers of a branch. A row without a
+--              branch applies to the consolidated position and to branches without their own limit.
+
+CREATE TABLE IF NOT EXISTS `position_limits` (
+  `id` INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  `uuid` VARCHAR(36) NOT NULL UNIQUE,
+  `currency_id` INT UNSIGNED NOT NULL,
+  `branch_id` INT UNSIGNED NULL COMMENT 'NULL = consolidated / default for all branches',
+  `max_long` DECIMAL(18, 2) NULL COMMENT 'NULL = no long limit',
+  `max_short` DECIMAL(18, 2) NULL COMMENT 'Positive amount; NULL = no short limit',
+  `created_by` INT UNSIGNED NOT NULL,
+  `updated_by` INT UNSIGNED NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX `idx_position_limits_currency_branch` (`currency_id`, `branch_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,115 @@
+-- Migration: Custom Roles and Enforced Permissions
+-- Date: 2026-10-18
+-- Description: Every route is now guarded by a permission code instead of a hard-coded role list,
+--              so the role/permission matrix takes effect. Roles become rows (custom roles can be
+--              added next to the built-in ones), users can be granted or denied single permissions
+--              on top of their role, and a version counter lets every API process drop its cached
+--              permissions as soon as any of them changes.
+--              Default grants reproduce the access the routes enforced until now: codes behind
+--              admin-only routes are taken away from other roles, which never had them in practice.
+
+CREATE TABLE IF NOT EXISTS `roles` (
+  `id` INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  `code` VARCHAR(50) NOT NULL UNIQUE,
+  `name` VARCHAR(100) NOT NULL,
+  `description` VARCHAR(255) NULL,
+  `is_system` BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Built-in roles cannot be deleted',
+  `created_by` INT UNSIGNED NULL,
+  `updated_by` INT UNSIGNED NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO `roles` (`code`, `name`, `description`, `is_system`) VALUES
+('admin', 'Administrator', 'Full system access', TRUE),
+('manager', 'Manager', 'Manage operations and reports', TRUE),
+('teller', 'Teller', 'Handle transactions and customers', TRUE),
+('viewer', 'Viewer', 'View-only access', TRUE),
+('employee', 'Employee', 'Front-desk staff', TRUE);
+
+-- Role columns hold role codes rather than a fixed list
+ALTER TABLE `users` MODIFY `role` VARCHAR(50) NOT NULL DEFAULT 'employee';
+ALTER TABLE `role_permissions` MODIFY `role` VARCHAR(50) NOT NULL;
+
+CREATE TABLE IF NOT EXISTS `user_permissions` (
+  `id` INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT UNSIGNED NOT NULL,
+  `permission_id` INT UNSIGNED NOT NULL,
+  `granted` BOOLEAN NOT NULL COMMENT 'TRUE grants the permission on top of the role, FALSE denies it',
+  `created_by` INT UNSIGNED NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE KEY `uk_user_permissions_user_permission` (`user_id`, `permission_id`),
+  FOREIGN KEY (`permission_id`) REFERENCES `permissions`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Bumped on every permission change; API processes reload their cache when it moves
+CREATE TABLE IF NOT EXISTS `permission_versions` (
+  `id` TINYINT UNSIGNED PRIMARY KEY,
+  `version` INT UNSIGNED NOT NULL DEFAULT 0,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO `permission_versions` (`id`, `version`) VALUES (1, 0);
+
+-- Codes for routes the original catalogue did not cover
+INSERT IGNORE INTO `permissions` (`code`, `name`, `description`, `category`) VALUES
+('transactions.approve', 'Approve Transactions', 'Review the approval queue and approve or reject held transactions', 'transactions'),
+('transactions.import', 'Import Transactions', 'Bulk import transactions from a file', 'transactions'),
+('customers.portal', 'Customer Portal Access', 'Invite customers to the self-service portal', 'customers'),
+('currencies.spreads', 'Manage Spreads and Tolerances', 'Set cross-rate spreads and rate tolerances', 'currencies'),
+('cash_drawer.transfer', 'Transfer Cash', 'Send, receive and cancel transfers between drawers', 'cash_drawer'),
+('shifts.abandon', 'Abandon Shifts', 'Force-close another user''s shift', 'shifts'),
+('reports.profit', 'Profit Reports', 'Profit and loss, and quote conversion reports', 'reports'),
+('reports.schedule', 'Scheduled Reports', 'Create, change and run scheduled reports', 'reports'),
+('compliance.view', 'View Compliance', 'View compliance dashboard, alerts, risk profiles and SARs', 'compliance'),
+('compliance.review', 'Review Compliance Alerts', 'Review alerts and file SARs', 'compliance'),
+('compliance.manage', 'Manage Compliance Rules', 'Create and change compliance rules', 'compliance'),
+('branches.view', 'View Branches', 'View branch list', 'branches'),
+('branches.manage', 'Manage Branches', 'Create and edit branches', 'branches'),
+('fees.view', 'View Fee Schedules', 'View commission fee schedules', 'fees'),
+('fees.manage', 'Manage Fee Schedules', 'Create and change fee schedules', 'fees'),
+('positions.view', 'View Positions', 'View currency positions and exposure', 'positions'),
+('positions.limits', 'Manage Position Limits', 'Set currency position limits', 'positions');
+
+INSERT IGNORE INTO `role_permissions` (`role`, `permission_id`)
+SELECT 'admin', id FROM `permissions`;
+
+INSERT IGNORE INTO `role_permissions` (`role`, `permission_id`)
+SELECT 'manager', id FROM `permissions`
+WHERE code IN (
+  'transactions.approve', 'customers.portal', 'cash_drawer.transfer', 'reports.profit',
+  'compliance.view', 'compliance.review', 'branches.view', 'fees.view', 'positions.view'
+);
+
+INSERT IGNORE INTO `role_permissions` (`role`, `permission_id`)
+SELECT r.role, p.id FROM `permissions` p
+JOIN (SELECT 'teller' as role UNION ALL SELECT 'viewer') r
+WHERE p.code = 'branches.view' OR (r.role = 'teller' AND p.code = 'cash_drawer.transfer');
+
+-- Employees (the role new users get) work like tellers, and keep the reports,
+-- cancellations and drawer closing every signed-in user could reach before
+INSERT IGNORE INTO `role_permissions` (`role`, `permission_id`)
+SELECT 'employee', permission_id FROM (
+  SELECT permission_id FROM `role_permissions` WHERE role = 'teller'
+) teller;
+
+INSERT IGNORE INTO `role_permissions` (`role`, `permission_id`)
+SELECT 'employee', id FROM `permissions`
+WHERE code IN (
+  'transactions.cancel', 'transactions.export', 'cash_drawer.reconcile',
+  'reports.monthly', 'reports.export', 'reports.builder', 'reports.profit'
+);
+
+-- Codes behind routes that were admin-only
+DELETE rp FROM `role_permissions` rp
+JOIN `permissions` p ON rp.permission_id = p.id
+WHERE rp.role <> 'admin'
+  AND p.code IN (
+    'transactions.delete', 'transactions.import', 'customers.block', 'customers.delete',
+    'currencies.manage', 'currencies.rates', 'currencies.spreads', 'cash_drawer.manage',
+    'shifts.abandon', 'reports.closing', 'reports.schedule', 'audit.view', 'audit.export',
+    'users.view', 'users.create', 'users.edit', 'users.delete', 'users.permissions',
+    'settings.view', 'settings.manage', 'compliance.manage', 'branches.manage',
+    'fees.manage', 'positions.limits'
+  );
@@ -0,0 +1,24 @@
+-- Migration: Two-Factor Authentication
+-- Date: 2026-10-18
+-- Description: TOTP second factor for staff logins. Secrets are stored encrypted in
+--              two_factor_auth (created by run.js), recovery codes as SHA-256 hashes in
+--              backup_codes. The last accepted time step stops a code from being replayed.
+--              Roles can require their users to enroll before they can sign in.
+
+CREATE TABLE IF NOT EXISTS `two_factor_auth` (
+  `id` INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  `user_id` INT UNSIGNED NOT NULL UNIQUE,
+  `secret` VARCHAR(255) NOT NULL,
+  `is_enabled` BOOLEAN DEFAULT FALSE,
+  `backup_codes` JSON NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE `two_factor_auth`
+  ADD COLUMN `enabled_at` TIMESTAMP NULL AFTER `is_enabled`,
+  ADD COLUMN `last_used_step` BIGINT UNSIGNED NULL COMMENT 'TOTP time step of the last accepted code' AFTER `backup_codes`;
+
+ALTER TABLE `roles`
+  ADD COLUMN `require_two_factor` BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Users with this role must enroll in 2FA' AFTER `is_system`;
@@ -0,0 +1,27 @@
+-- Migration: Customer Risk Scoring
+-- Date: 2026-10-18
+-- Description: Risk scores are recomputed from weighted factors on every transaction and
+--              nightly. The profile keeps the factor breakdown of the latest scoring;
+--              every change of score or level is kept in customer_risk_score_history.
+
+ALTER TABLE `customer_risk_profiles`
+  ADD COLUMN IF NOT EXISTS `score_factors` JSON NULL COMMENT 'Points per factor of the latest scoring' AFTER `risk_level`,
+  ADD COLUMN IF NOT EXISTS `scored_at` TIMESTAMP NULL AFTER `score_factors`;
+
+CREATE TABLE IF NOT EXISTS `customer_risk_score_history` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `customer_id` INT NOT NULL,
+  `previous_score` INT NOT NULL,
+  `risk_score` INT NOT NULL,
+  `previous_level` ENUM('low', 'medium', 'high') NOT NULL,
+  `risk_level` ENUM('low', 'medium', 'high') NOT NULL,
+  `factors` JSON NOT NULL,
+  `reason` VARCHAR(255) NOT NULL COMMENT 'Factors that moved, e.g. "alerts +10, idExpiry -15"',
+  `source` ENUM('transaction', 'alert_review', 'sar', 'nightly', 'manual') NOT NULL,
+  `reference` VARCHAR(100) NULL COMMENT 'What triggered the scoring, e.g. a transaction number',
+  `triggered_by` INT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`customer_id`) REFERENCES `customers`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`triggered_by`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  INDEX `idx_risk_history_customer` (`customer_id`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
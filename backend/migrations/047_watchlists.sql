@@ -0,0 +1,66 @@
+-- Migration: Sanctions and PEP Watchlists
+-- Date: 2026-10-18
+-- Description: Imported sanctions/PEP lists and their entries. Customers are screened
+--              against them when saved and on every transaction; each possible match is
+--              kept in watchlist_matches and raises a watchlist_match alert. A match
+--              blocks the customer or name until a compliance officer clears it.
+
+CREATE TABLE IF NOT EXISTS `watchlists` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `uuid` VARCHAR(36) UNIQUE NOT NULL,
+  `name` VARCHAR(150) NOT NULL,
+  `source` VARCHAR(150) NULL COMMENT 'Issuer of the list, e.g. UN Security Council',
+  `list_type` ENUM('sanctions', 'pep', 'internal') NOT NULL DEFAULT 'sanctions',
+  `entry_count` INT NOT NULL DEFAULT 0,
+  `is_active` BOOLEAN NOT NULL DEFAULT TRUE,
+  `imported_by` INT NULL,
+  `imported_at` TIMESTAMP NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`imported_by`) REFERENCES `users`(`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS `watchlist_entries` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `watchlist_id` INT NOT NULL,
+  `external_id` VARCHAR(100) NULL COMMENT 'Reference on the published list',
+  `full_name` VARCHAR(255) NOT NULL,
+  `aliases` JSON NULL,
+  `date_of_birth` VARCHAR(20) NULL COMMENT 'As published: a date or only a year',
+  `id_numbers` JSON NULL,
+  `nationality` VARCHAR(100) NULL,
+  `remarks` TEXT NULL,
+  FOREIGN KEY (`watchlist_id`) REFERENCES `watchlists`(`id`) ON DELETE CASCADE,
+  INDEX `idx_watchlist_entries_list` (`watchlist_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS `watchlist_matches` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `uuid` VARCHAR(36) UNIQUE NOT NULL,
+  `entry_id` INT NOT NULL,
+  `customer_id` INT NULL,
+  `source` ENUM('customer', 'transaction') NOT NULL,
+  `screened_name` VARCHAR(255) NOT NULL,
+  `name_key` VARCHAR(255) NOT NULL COMMENT 'Normalized name; identifies walk-in customers',
+  `score` INT NOT NULL,
+  `matched_on` JSON NOT NULL,
+  `alert_id` INT NULL,
+  `status` ENUM('pending', 'cleared', 'confirmed') NOT NULL DEFAULT 'pending',
+  `reviewed_by` INT NULL,
+  `reviewed_at` TIMESTAMP NULL,
+  `review_notes` TEXT NULL,
+  `created_by` INT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`entry_id`) REFERENCES `watchlist_entries`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`customer_id`) REFERENCES `customers`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`alert_id`) REFERENCES `compliance_alerts`(`id`) ON DELETE SET NULL,
+  FOREIGN KEY (`reviewed_by`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  INDEX `idx_watchlist_matches_status` (`status`),
+  INDEX `idx_watchlist_matches_customer` (`entry_id`, `customer_id`),
+  INDEX `idx_watchlist_matches_name` (`entry_id`, `name_key`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE `compliance_alerts`
+  MODIFY `alert_type` ENUM('large_transaction', 'daily_limit_exceeded', 'suspicious_pattern', 'id_missing', 'blocked_customer', 'velocity_exceeded', 'watchlist_match', 'manual') NOT NULL;
+
+ALTER TABLE `customers`
+  ADD COLUMN IF NOT EXISTS `date_of_birth` DATE NULL AFTER `id_expiry`;
@@ -0,0 +1,27 @@
+-- Migration: Structuring Detection
+-- Date: 2026-10-18
+-- Description: Pattern detection for structuring (smurfing). A suspicious_pattern alert
+--              links every transaction that makes up the pattern; pattern_key identifies
+--              the pattern so later transactions join the open alert instead of raising
+--              a new one. Transactions record who paid when it was not the customer.
+
+CREATE TABLE IF NOT EXISTS `compliance_alert_transactions` (
+  `alert_id` INT NOT NULL,
+  `transaction_id` INT NOT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`alert_id`, `transaction_id`),
+  FOREIGN KEY (`alert_id`) REFERENCES `compliance_alerts`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`transaction_id`) REFERENCES `transactions`(`id`) ON DELETE CASCADE,
+  INDEX `idx_alert_transactions_transaction` (`transaction_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE `compliance_alerts`
+  ADD COLUMN IF NOT EXISTS `pattern_key` VARCHAR(191) NULL COMMENT 'Pattern and subject, e.g. below_threshold:customer:12:currency:3' AFTER `details`,
+  ADD INDEX `idx_pattern_key` (`pattern_key`, `status`);
+
+ALTER TABLE `transactions`
+  ADD COLUMN IF NOT EXISTS `funded_by_name` VARCHAR(100) NULL COMMENT 'Third party who paid for the customer' AFTER `customer_id_number`,
+  ADD COLUMN IF NOT EXISTS `funded_by_id_number` VARCHAR(50) NULL AFTER `funded_by_name`,
+  ADD COLUMN IF NOT EXISTS `funded_by_key` VARCHAR(191) NULL COMMENT 'Normalized funder name' AFTER `funded_by_id_number`,
+  ADD INDEX `idx_transactions_funded_by_id` (`funded_by_id_number`),
+  ADD INDEX `idx_transactions_funded_by_key` (`funded_by_key`);
@@ -0,0 +1,48 @@
+-- Migration: SAR Lifecycle
+-- Date: 2026-10-18
+-- Description: Suspicious activity reports move draft -> submitted -> under_review -> closed.
+--              Closing is the reviewer's sign-off: reviewed_by/reviewed_at/review_notes
+--              record it, outcome says whether the report was filed with the financial
+--              intelligence unit. Every status change is kept in sar_status_history;
+--              supporting documents (ID scans, CCTV notes) in sar_attachments.
+
+ALTER TABLE `suspicious_activity_reports`
+  ADD COLUMN IF NOT EXISTS `report_number` VARCHAR(30) NULL UNIQUE AFTER `uuid`,
+  ADD COLUMN IF NOT EXISTS `suspicion_type` ENUM('structuring', 'sanctions', 'fraud', 'terrorist_financing', 'identity', 'unusual_activity', 'other') NOT NULL DEFAULT 'other' AFTER `transaction_ids`,
+  ADD COLUMN IF NOT EXISTS `activity_from` DATE NULL AFTER `suspicion_type`,
+  ADD COLUMN IF NOT EXISTS `activity_to` DATE NULL AFTER `activity_from`,
+  ADD COLUMN IF NOT EXISTS `action_taken` TEXT NULL COMMENT 'What was done about the customer, e.g. relationship ended' AFTER `description`,
+  ADD COLUMN IF NOT EXISTS `outcome` ENUM('filed', 'not_filed') NULL COMMENT 'Set on sign-off' AFTER `review_notes`,
+  ADD COLUMN IF NOT EXISTS `fiu_reference` VARCHAR(100) NULL COMMENT 'Acknowledgement number of the filing' AFTER `outcome`,
+  ADD COLUMN IF NOT EXISTS `updated_by` INT NULL AFTER `created_by`;
+
+CREATE TABLE IF NOT EXISTS `sar_status_history` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `sar_id` INT NOT NULL,
+  `from_status` ENUM('draft', 'submitted', 'under_review', 'closed') NULL,
+  `to_status` ENUM('draft', 'submitted', 'under_review', 'closed') NOT NULL,
+  `action` VARCHAR(30) NOT NULL COMMENT 'create, submit, start_review, return or sign_off',
+  `notes` TEXT NULL,
+  `changed_by` INT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`sar_id`) REFERENCES `suspicious_activity_reports`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`changed_by`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  INDEX `idx_sar_status_history_sar` (`sar_id`, `created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS `sar_attachments` (
+  `id` INT AUTO_INCREMENT PRIMARY KEY,
+  `uuid` VARCHAR(36) UNIQUE NOT NULL,
+  `sar_id` INT NOT NULL,
+  `category` ENUM('id_scan', 'cctv', 'statement', 'correspondence', 'other') NOT NULL DEFAULT 'other',
+  `description` VARCHAR(500) NULL,
+  `original_name` VARCHAR(255) NOT NULL,
+  `stored_name` VARCHAR(100) NOT NULL COMMENT 'File name in the attachment directory',
+  `mime_type` VARCHAR(100) NOT NULL,
+  `size_bytes` INT NOT NULL,
+  `uploaded_by` INT NULL,
+  `created_at` TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (`sar_id`) REFERENCES `suspicious_activity_reports`(`id`) ON DELETE CASCADE,
+  FOREIGN KEY (`uploaded_by`) REFERENCES `users`(`id`) ON DELETE SET NULL,
+  INDEX `idx_sar_attachments_sar` (`sar_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
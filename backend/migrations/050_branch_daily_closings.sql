@@ -0,0 +1,9 @@
+-- Migration: Branch Daily Closings
+-- Date: 2026-10-18
+-- Description: Each branch closes its own day. branch_id NULL is the consolidated closing
+--              across every branch, which is what all closings before this were.
+
+ALTER TABLE `daily_closing_reports`
+  ADD COLUMN IF NOT EXISTS `branch_id` INT UNSIGNED NULL COMMENT 'NULL = all branches' AFTER `report_date`,
+  DROP INDEX `unique_report_date`,
+  ADD UNIQUE KEY `unique_report_date_branch` (`report_date`, `branch_id`);
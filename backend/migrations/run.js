@@ -10,7 +10,7 @@ const migrations = [
     email VARCHAR(100) NOT NULL UNIQUE,
     password VARCHAR(255) NOT NULL,
     full_name VARCHAR(100) NOT NULL,
-    role ENUM('admin', 'manager', 'teller', 'viewer', 'employee') NOT NULL DEFAULT 'employee',
+    role VARCHAR(50) NOT NULL DEFAULT 'employee',
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -110,7 +110,7 @@ const alterStatements = [
   )`,
   `CREATE TABLE IF NOT EXISTS role_permissions (
     id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
-    role ENUM('admin', 'manager', 'teller', 'viewer') NOT NULL,
+    role VARCHAR(50) NOT NULL,
     permission_id INT UNSIGNED NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE KEY unique_role_permission (role, permission_id),
@@ -224,6 +224,293 @@ const alterStatements = [
     performed_by INT UNSIGNED NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
   )`,
+  // Create cash_drawer_transfers table if not exists
+  `CREATE TABLE IF NOT EXISTS cash_drawer_transfers (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    uuid VARCHAR(36) NOT NULL UNIQUE,
+    from_drawer_id INT UNSIGNED NOT NULL,
+    to_drawer_id INT UNSIGNED NOT NULL,
+    currency_id INT UNSIGNED NOT NULL,
+    amount DECIMAL(20,4) NOT NULL,
+    notes TEXT NULL,
+    status ENUM('pending', 'completed', 'cancelled') DEFAULT 'pending',
+    initiated_by INT UNSIGNED NOT NULL,
+    completed_by INT UNSIGNED NULL,
+    completed_at TIMESTAMP NULL,
+    cancelled_by INT UNSIGNED NULL,
+    cancelled_at TIMESTAMP NULL,
+    cancel_reason VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  // Create customer_refresh_tokens table if not exists (customer portal sessions)
+  `CREATE TABLE IF NOT EXISTS customer_refresh_tokens (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    uuid VARCHAR(36) NOT NULL UNIQUE,
+    customer_id INT UNSIGNED NOT NULL,
+    token_hash VARCHAR(255) NOT NULL,
+    device_info VARCHAR(255) NULL,
+    ip_address VARCHAR(45) NULL,
+    last_used_at TIMESTAMP NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+    INDEX idx_customer_refresh_tokens_customer (customer_id),
+    INDEX idx_customer_refresh_tokens_hash (token_hash)
+  )`,
+  // Create branches table if not exists
+  `CREATE TABLE IF NOT EXISTS branches (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    uuid VARCHAR(36) NOT NULL UNIQUE,
+    code VARCHAR(20) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    address VARCHAR(255) NULL,
+    phone VARCHAR(30) NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_branches_active (is_active)
+  )`,
+  // Create exchange_rate_versions table if not exists (scheduled and historical rate sheets)
+  `CREATE TABLE IF NOT EXISTS exchange_rate_versions (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    uuid VARCHAR(36) NOT NULL UNIQUE,
+    from_currency_id INT UNSIGNED NOT NULL,
+    to_currency_id INT UNSIGNED NOT NULL,
+    branch_id INT UNSIGNED NULL,
+    buy_rate DECIMAL(18,6) NOT NULL,
+    sell_rate DECIMAL(18,6) NOT NULL,
+    effective_from DATETIME NOT NULL,
+    applied_at DATETIME NULL,
+    cancelled_at DATETIME NULL,
+    cancelled_by INT UNSIGNED NULL,
+    created_by INT UNSIGNED NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_rate_versions_lookup (from_currency_id, to_currency_id, branch_id, effective_from),
+    INDEX idx_rate_versions_pending (applied_at, effective_from)
+  )`,
+  // Create rate_tolerances table if not exists (allowed deviation per currency pair)
+  `CREATE TABLE IF NOT EXISTS rate_tolerances (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    from_currency_id INT UNSIGNED NOT NULL,
+    to_currency_id INT UNSIGNED NOT NULL,
+    tolerance_percent DECIMAL(6,3) NOT NULL DEFAULT 0,
+    updated_by INT UNSIGNED NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_rate_tolerance_pair (from_currency_id, to_currency_id)
+  )`,
+  // Create rate_spread_rules table if not exists (spread applied to derived cross rates)
+  `CREATE TABLE IF NOT EXISTS rate_spread_rules (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    from_currency_id INT UNSIGNED NULL,
+    to_currency_id INT UNSIGNED NULL,
+    spread_percent DECIMAL(6,3) NOT NULL DEFAULT 0,
+    updated_by INT UNSIGNED NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_spread_rule_pair (from_currency_id, to_currency_id)
+  )`,
+  // Create transaction_quotes table if not exists (rates locked for a customer until expiry)
+  `CREATE TABLE IF NOT EXISTS transaction_quotes (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    uuid VARCHAR(36) NOT NULL UNIQUE,
+    currency_in_id INT UNSIGNED NOT NULL,
+    currency_out_id INT UNSIGNED NOT NULL,
+    amount_in DECIMAL(18,2) NOT NULL,
+    amount_out DECIMAL(18,2) NOT NULL,
+    buy_rate DECIMAL(18,6) NOT NULL,
+    sell_rate DECIMAL(18,6) NOT NULL,
+    exchange_rate DECIMAL(18,6) NOT NULL,
+    commission DECIMAL(18,2) NOT NULL DEFAULT 0,
+    rate_source ENUM('direct', 'inverse', 'derived') NOT NULL,
+    rate_version_id INT UNSIGNED NULL,
+    customer_id INT UNSIGNED NULL,
+    branch_id INT UNSIGNED NULL,
+    employee_id INT UNSIGNED NOT NULL,
+    expires_at DATETIME NOT NULL,
+    transaction_id INT UNSIGNED NULL,
+    converted_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_quotes_created (created_at),
+    INDEX idx_quotes_employee (employee_id),
+    INDEX idx_quotes_branch (branch_id)
+  )`,
+  // Create fee_schedules table if not exists (commission per pair, segment and payment method)
+  `CREATE TABLE IF NOT EXISTS fee_schedules (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    uuid VARCHAR(36) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    currency_in_id INT UNSIGNED NULL,
+    currency_out_id INT UNSIGNED NULL,
+    customer_segment ENUM('all', 'vip', 'regular') NOT NULL DEFAULT 'all',
+    payment_method VARCHAR(50) NULL,
+    fee_type ENUM('flat', 'percentage', 'tiered') NOT NULL,
+    flat_amount DECIMAL(18,2) NULL,
+    percentage DECIMAL(6,3) NULL,
+    tiers JSON NULL,
+    min_fee DECIMAL(18,2) NULL,
+    max_fee DECIMAL(18,2) NULL,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INT UNSIGNED NOT NULL,
+    updated_by INT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_fee_schedules_pair (currency_in_id, currency_out_id)
+  )`,
+  // Create currency_positions table if not exists (weighted average cost per drawer/currency)
+  `CREATE TABLE IF NOT EXISTS currency_positions (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    drawer_id INT UNSIGNED NOT NULL,
+    currency_id INT UNSIGNED NOT NULL,
+    quantity DECIMAL(18,2) NOT NULL DEFAULT 0,
+    avg_cost DECIMAL(20,8) NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_currency_positions_drawer_currency (drawer_id, currency_id)
+  )`,
+  // Create position_limits table if not exists (long/short limits per currency and branch)
+  `CREATE TABLE IF NOT EXISTS position_limits (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    uuid VARCHAR(36) NOT NULL UNIQUE,
+    currency_id INT UNSIGNED NOT NULL,
+    branch_id INT UNSIGNED NULL,
+    max_long DECIMAL(18,2) NULL,
+    max_short DECIMAL(18,2) NULL,
+    created_by INT UNSIGNED NOT NULL,
+    updated_by INT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_position_limits_currency_branch (currency_id, branch_id)
+  )`,
+  // Create roles table if not exists (built-in and custom roles)
+  `CREATE TABLE IF NOT EXISTS roles (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(255) NULL,
+    is_system BOOLEAN NOT NULL DEFAULT FALSE,
+    created_by INT UNSIGNED NULL,
+    updated_by INT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  )`,
+  // Create user_permissions table if not exists (per-user grants and denials)
+  `CREATE TABLE IF NOT EXISTS user_permissions (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    permission_id INT UNSIGNED NOT NULL,
+    granted BOOLEAN NOT NULL,
+    created_by INT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_user_permissions_user_permission (user_id, permission_id),
+    FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+  )`,
+  // Create permission_versions table if not exists (permission cache invalidation)
+  `CREATE TABLE IF NOT EXISTS permission_versions (
+    id TINYINT UNSIGNED PRIMARY KEY,
+    version INT UNSIGNED NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  )`,
+  // Create customer_risk_score_history table if not exists (changes of customer risk scores)
+  `CREATE TABLE IF NOT EXISTS customer_risk_score_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    customer_id INT UNSIGNED NOT NULL,
+    previous_score INT NOT NULL,
+    risk_score INT NOT NULL,
+    previous_level ENUM('low', 'medium', 'high') NOT NULL,
+    risk_level ENUM('low', 'medium', 'high') NOT NULL,
+    factors JSON NOT NULL,
+    reason VARCHAR(255) NOT NULL,
+    source ENUM('transaction', 'alert_review', 'sar', 'nightly', 'manual') NOT NULL,
+    reference VARCHAR(100) NULL,
+    triggered_by INT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_risk_history_customer (customer_id, created_at)
+  )`,
+  // Create watchlists table if not exists (imported sanctions/PEP lists)
+  `CREATE TABLE IF NOT EXISTS watchlists (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    uuid VARCHAR(36) NOT NULL UNIQUE,
+    name VARCHAR(150) NOT NULL,
+    source VARCHAR(150) NULL,
+    list_type ENUM('sanctions', 'pep', 'internal') NOT NULL DEFAULT 'sanctions',
+    entry_count INT NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    imported_by INT UNSIGNED NULL,
+    imported_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  // Create watchlist_entries table if not exists
+  `CREATE TABLE IF NOT EXISTS watchlist_entries (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    watchlist_id INT NOT NULL,
+    external_id VARCHAR(100) NULL,
+    full_name VARCHAR(255) NOT NULL,
+    aliases JSON NULL,
+    date_of_birth VARCHAR(20) NULL,
+    id_numbers JSON NULL,
+    nationality VARCHAR(100) NULL,
+    remarks TEXT NULL,
+    INDEX idx_watchlist_entries_list (watchlist_id)
+  )`,
+  // Create watchlist_matches table if not exists (possible matches awaiting or after review)
+  `CREATE TABLE IF NOT EXISTS watchlist_matches (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    uuid VARCHAR(36) NOT NULL UNIQUE,
+    entry_id INT NOT NULL,
+    customer_id INT UNSIGNED NULL,
+    source ENUM('customer', 'transaction') NOT NULL,
+    screened_name VARCHAR(255) NOT NULL,
+    name_key VARCHAR(255) NOT NULL,
+    score INT NOT NULL,
+    matched_on JSON NOT NULL,
+    alert_id INT NULL,
+    status ENUM('pending', 'cleared', 'confirmed') NOT NULL DEFAULT 'pending',
+    reviewed_by INT UNSIGNED NULL,
+    reviewed_at TIMESTAMP NULL,
+    review_notes TEXT NULL,
+    created_by INT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_watchlist_matches_status (status),
+    INDEX idx_watchlist_matches_customer (entry_id, customer_id),
+    INDEX idx_watchlist_matches_name (entry_id, name_key)
+  )`,
+  // Create compliance_alert_transactions table if not exists (transactions linked to a pattern alert)
+  `CREATE TABLE IF NOT EXISTS compliance_alert_transactions (
+    alert_id INT NOT NULL,
+    transaction_id INT UNSIGNED NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (alert_id, transaction_id),
+    INDEX idx_alert_transactions_transaction (transaction_id)
+  )`,
+  // Create sar_status_history table if not exists (every status change of a SAR)
+  `CREATE TABLE IF NOT EXISTS sar_status_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    sar_id INT NOT NULL,
+    from_status ENUM('draft', 'submitted', 'under_review', 'closed') NULL,
+    to_status ENUM('draft', 'submitted', 'under_review', 'closed') NOT NULL,
+    action VARCHAR(30) NOT NULL,
+    notes TEXT NULL,
+    changed_by INT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_sar_status_history_sar (sar_id, created_at)
+  )`,
+  // Create sar_attachments table if not exists (ID scans, CCTV notes and other supporting documents)
+  `CREATE TABLE IF NOT EXISTS sar_attachments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    uuid VARCHAR(36) NOT NULL UNIQUE,
+    sar_id INT NOT NULL,
+    category ENUM('id_scan', 'cctv', 'statement', 'correspondence', 'other') NOT NULL DEFAULT 'other',
+    description VARCHAR(500) NULL,
+    original_name VARCHAR(255) NOT NULL,
+    stored_name VARCHAR(100) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INT NOT NULL,
+    uploaded_by INT UNSIGNED NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_sar_attachments_sar (sar_id)
+  )`,
   // Create cash_drawer_reconciliations table if not exists
   `CREATE TABLE IF NOT EXISTS cash_drawer_reconciliations (
     id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
@@ -351,7 +638,101 @@ const alterStatements = [
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
   )`,
   // Add assigned_to column to cash_drawers
-  `ALTER TABLE cash_drawers ADD COLUMN assigned_to INT UNSIGNED NULL`
+  `ALTER TABLE cash_drawers ADD COLUMN assigned_to INT UNSIGNED NULL`,
+  // Maker-checker approval columns on transactions
+  `ALTER TABLE transactions ADD COLUMN drawer_id INT UNSIGNED NULL`,
+  `ALTER TABLE transactions ADD COLUMN approved_by INT UNSIGNED NULL`,
+  `ALTER TABLE transactions ADD COLUMN approved_at TIMESTAMP NULL`,
+  `ALTER TABLE transactions ADD COLUMN approval_notes VARCHAR(255) NULL`,
+  `ALTER TABLE transactions ADD COLUMN rejected_by INT UNSIGNED NULL`,
+  `ALTER TABLE transactions ADD COLUMN rejected_at TIMESTAMP NULL`,
+  `ALTER TABLE transactions ADD COLUMN rejection_reason VARCHAR(255) NULL`,
+  `ALTER TABLE transactions ADD INDEX idx_transactions_status_date (status, transaction_date)`,
+  // Bring the drawer ledger up to the full double-entry schema
+  `ALTER TABLE cash_drawer_transactions MODIFY COLUMN type ENUM('deposit', 'withdrawal', 'adjustment', 'transaction_in', 'transaction_out', 'transfer_in', 'transfer_out') NOT NULL`,
+  `ALTER TABLE cash_drawer_transactions ADD COLUMN balance_before DECIMAL(20,4) NOT NULL DEFAULT 0`,
+  `ALTER TABLE cash_drawer_transactions ADD COLUMN balance_after DECIMAL(20,4) NOT NULL DEFAULT 0`,
+  `ALTER TABLE cash_drawer_transactions ADD COLUMN reference_type VARCHAR(50) NULL`,
+  `ALTER TABLE cash_drawer_transactions ADD COLUMN reference_id VARCHAR(36) NULL`,
+  `ALTER TABLE cash_drawer_transactions ADD INDEX idx_cdt_drawer_currency (drawer_id, currency_id, id)`,
+  // Cancellation details for in-transit drawer transfers
+  `ALTER TABLE cash_drawer_transfers ADD COLUMN cancelled_by INT UNSIGNED NULL`,
+  `ALTER TABLE cash_drawer_transfers ADD COLUMN cancelled_at TIMESTAMP NULL`,
+  `ALTER TABLE cash_drawer_transfers ADD COLUMN cancel_reason VARCHAR(255) NULL`,
+  // Drawer assignment: a teller or shared
+  `ALTER TABLE cash_drawers ADD COLUMN is_shared BOOLEAN NOT NULL DEFAULT FALSE`,
+  `ALTER TABLE cash_drawers ADD INDEX idx_drawer_assigned (assigned_to)`,
+  // Customer portal authentication
+  `ALTER TABLE customers ADD COLUMN password VARCHAR(255) NULL`,
+  `ALTER TABLE customers ADD COLUMN last_login_at TIMESTAMP NULL`,
+  `ALTER TABLE customers ADD COLUMN reset_token VARCHAR(255) NULL`,
+  `ALTER TABLE customers ADD COLUMN reset_token_expires_at TIMESTAMP NULL`,
+  `ALTER TABLE customers ADD INDEX idx_customers_reset_token (reset_token)`,
+  // Branches
+  `ALTER TABLE users ADD COLUMN branch_id INT UNSIGNED NULL`,
+  `ALTER TABLE users ADD INDEX idx_users_branch (branch_id)`,
+  `ALTER TABLE cash_drawers ADD COLUMN branch_id INT UNSIGNED NULL`,
+  `ALTER TABLE cash_drawers ADD INDEX idx_drawer_branch (branch_id)`,
+  `ALTER TABLE shifts ADD COLUMN branch_id INT UNSIGNED NULL`,
+  `ALTER TABLE shifts ADD INDEX idx_shifts_branch (branch_id)`,
+  `ALTER TABLE transactions ADD COLUMN branch_id INT UNSIGNED NULL`,
+  `ALTER TABLE transactions ADD INDEX idx_transactions_branch_date (branch_id, transaction_date)`,
+  `ALTER TABLE exchange_rates ADD COLUMN branch_id INT UNSIGNED NULL`,
+  `ALTER TABLE exchange_rates DROP INDEX unique_rate_pair, ADD UNIQUE KEY unique_rate_pair_branch (from_currency_id, to_currency_id, branch_id)`,
+  `ALTER TABLE exchange_rate_history ADD COLUMN branch_id INT UNSIGNED NULL`,
+  // Exchange rate versions
+  `ALTER TABLE exchange_rates ADD COLUMN effective_from DATETIME NULL`,
+  `ALTER TABLE exchange_rates ADD COLUMN version_id INT UNSIGNED NULL`,
+  `ALTER TABLE transactions ADD COLUMN rate_version_id INT UNSIGNED NULL`,
+  `ALTER TABLE transactions ADD INDEX idx_transactions_rate_version (rate_version_id)`,
+  // Rate tolerance enforcement
+  `ALTER TABLE transactions ADD COLUMN official_rate DECIMAL(18,6) NULL`,
+  `ALTER TABLE transactions ADD COLUMN rate_deviation_percent DECIMAL(10,4) NULL`,
+  `ALTER TABLE transactions ADD COLUMN rate_override_reason VARCHAR(500) NULL`,
+  // Base currency for cross rates
+  `ALTER TABLE currencies ADD COLUMN is_base BOOLEAN NOT NULL DEFAULT FALSE`,
+  // Locked-rate quotes
+  `ALTER TABLE transactions ADD COLUMN quote_id INT UNSIGNED NULL`,
+  // Fee schedules
+  `ALTER TABLE transactions ADD COLUMN fee_schedule_id INT UNSIGNED NULL`,
+  `ALTER TABLE transaction_quotes ADD COLUMN payment_method VARCHAR(50) NOT NULL DEFAULT 'cash'`,
+  `ALTER TABLE transaction_quotes ADD COLUMN fee_schedule_id INT UNSIGNED NULL`,
+  // Currency inventory at weighted average cost
+  `ALTER TABLE transactions ADD COLUMN cost_basis DECIMAL(18,2) NULL`,
+  `ALTER TABLE cash_drawer_transfers ADD COLUMN unit_cost DECIMAL(20,8) NULL`,
+  // Custom roles
+  `ALTER TABLE users MODIFY role VARCHAR(50) NOT NULL DEFAULT 'employee'`,
+  `ALTER TABLE role_permissions MODIFY role VARCHAR(50) NOT NULL`,
+  // Two-factor authentication
+  `ALTER TABLE two_factor_auth ADD COLUMN enabled_at TIMESTAMP NULL`,
+  `ALTER TABLE two_factor_auth ADD COLUMN last_used_step BIGINT UNSIGNED NULL`,
+  `ALTER TABLE roles ADD COLUMN require_two_factor BOOLEAN NOT NULL DEFAULT FALSE`,
+  // Customer risk scoring
+  `ALTER TABLE customer_risk_profiles ADD COLUMN score_factors JSON NULL`,
+  `ALTER TABLE customer_risk_profiles ADD COLUMN scored_at TIMESTAMP NULL`,
+  // Watchlist screening
+  `ALTER TABLE compliance_alerts MODIFY alert_type ENUM('large_transaction', 'daily_limit_exceeded', 'suspicious_pattern', 'id_missing', 'blocked_customer', 'velocity_exceeded', 'watchlist_match', 'manual') NOT NULL`,
+  `ALTER TABLE customers ADD COLUMN date_of_birth DATE NULL`,
+  // Structuring detection
+  `ALTER TABLE compliance_alerts ADD COLUMN pattern_key VARCHAR(191) NULL`,
+  `ALTER TABLE compliance_alerts ADD INDEX idx_pattern_key (pattern_key, status)`,
+  `ALTER TABLE transactions ADD COLUMN funded_by_name VARCHAR(100) NULL`,
+  `ALTER TABLE transactions ADD COLUMN funded_by_id_number VARCHAR(50) NULL`,
+  `ALTER TABLE transactions ADD COLUMN funded_by_key VARCHAR(191) NULL`,
+  `ALTER TABLE transactions ADD INDEX idx_transactions_funded_by_id (funded_by_id_number)`,
+  `ALTER TABLE transactions ADD INDEX idx_transactions_funded_by_key (funded_by_key)`,
+  // SAR lifecycle
+  `ALTER TABLE suspicious_activity_reports ADD COLUMN report_number VARCHAR(30) NULL UNIQUE`,
+  `ALTER TABLE suspicious_activity_reports ADD COLUMN suspicion_type ENUM('structuring', 'sanctions', 'fraud', 'terrorist_financing', 'identity', 'unusual_activity', 'other') NOT NULL DEFAULT 'other'`,
+  `ALTER TABLE suspicious_activity_reports ADD COLUMN activity_from DATE NULL`,
+  `ALTER TABLE suspicious_activity_reports ADD COLUMN activity_to DATE NULL`,
+  `ALTER TABLE suspicious_activity_reports ADD COLUMN action_taken TEXT NULL`,
+  `ALTER TABLE suspicious_activity_reports ADD COLUMN outcome ENUM('filed', 'not_filed') NULL`,
+  `ALTER TABLE suspicious_activity_reports ADD COLUMN fiu_reference VARCHAR(100) NULL`,
+  `ALTER TABLE suspicious_activity_reports ADD COLUMN updated_by INT UNSIGNED NULL`,
+  // Branch daily closings
+  `ALTER TABLE daily_closing_reports ADD COLUMN branch_id INT UNSIGNED NULL`,
+  `ALTER TABLE daily_closing_reports DROP INDEX unique_report_date, ADD UNIQUE KEY unique_report_date_branch (report_date, branch_id)`
 ];
 
 async function runMigrations() {
@@ -394,46 +775,136 @@ async function runMigrations() {
       }
     }
 
-    // Seed permissions if table is empty
+    // Seed the default branch and move unassigned data to it
+    const [branchCount] = await connection.query('SELECT COUNT(*) as cnt FROM branches');
+    if (branchCount[0].cnt === 0) {
+      console.log('Seeding default branch...');
+      await connection.query("INSERT INTO branches (uuid, code, name) VALUES (UUID(), 'MAIN', 'Main Branch')");
+      const [[mainBranch]] = await connection.query("SELECT id FROM branches WHERE code = 'MAIN'");
+      await connection.query("UPDATE users SET branch_id = ? WHERE branch_id IS NULL AND role <> 'admin'", [mainBranch.id]);
+      await connection.query('UPDATE cash_drawers SET branch_id = ? WHERE branch_id IS NULL', [mainBranch.id]);
+      await connection.query('UPDATE shifts SET branch_id = ? WHERE branch_id IS NULL', [mainBranch.id]);
+      await connection.query('UPDATE transactions SET branch_id = ? WHERE branch_id IS NULL', [mainBranch.id]);
+      console.log('Default branch seeded');
+    }
+
+    // Give rates set before versioning their first version
+    const [unversioned] = await connection.query('SELECT COUNT(*) as cnt FROM exchange_rates WHERE version_id IS NULL');
+    if (unversioned[0].cnt > 0) {
+      console.log('Creating initial exchange rate versions...');
+      await connection.query(`
+        INSERT INTO exchange_rate_versions
+          (uuid, from_currency_id, to_currency_id, branch_id, buy_rate, sell_rate, effective_from, applied_at, created_by)
+        SELECT UUID(), from_currency_id, to_currency_id, branch_id, buy_rate, sell_rate,
+          COALESCE(updated_at, created_at), COALESCE(updated_at, created_at), updated_by
+        FROM exchange_rates
+        WHERE version_id IS NULL
+      `);
+      await connection.query(`
+        UPDATE exchange_rates er
+          JOIN exchange_rate_versions v
+            ON v.from_currency_id = er.from_currency_id
+           AND v.to_currency_id = er.to_currency_id
+           AND v.branch_id <=> er.branch_id
+          SET er.version_id = v.id, er.effective_from = v.effective_from
+          WHERE er.version_id IS NULL
+      `);
+      console.log('Exchange rate versions created');
+    }
+
+    // Cross rates need a base currency; USD unless one was already chosen
+    const [baseCurrencies] = await connection.query('SELECT COUNT(*) as cnt FROM currencies WHERE is_base = TRUE');
+    if (baseCurrencies[0].cnt === 0) {
+      await connection.query("UPDATE currencies SET is_base = TRUE WHERE code = 'USD'");
+    }
+
+    // Built-in roles; the first run after they were added also aligns the default grants
+    const [roleCount] = await connection.query('SELECT COUNT(*) as cnt FROM roles');
+    const rolesAdded = roleCount[0].cnt === 0;
+    await connection.query(`
+      INSERT IGNORE INTO roles (code, name, description, is_system) VALUES
+      ('admin', 'Administrator', 'Full system access', TRUE),
+      ('manager', 'Manager', 'Manage operations and reports', TRUE),
+      ('teller', 'Teller', 'Handle transactions and customers', TRUE),
+      ('viewer', 'Viewer', 'View-only access', TRUE),
+      ('employee', 'Employee', 'Front-desk staff', TRUE)
+    `);
+    await connection.query('INSERT IGNORE INTO permission_versions (id, version) VALUES (1, 0)');
+
+    // Seed permissions; on an existing install, codes added later get their default roles
     const [permCount] = await connection.query('SELECT COUNT(*) as cnt FROM permissions');
-    if (permCount[0].cnt === 0) {
-      console.log('Seeding permissions...');
-      const permissionSeeds = [
-        ['transactions.view', 'View Transactions', 'View transaction list and details', 'transactions'],
-        ['transactions.create', 'Create Transactions', 'Create new exchange transactions', 'transactions'],
-        ['transactions.edit', 'Edit Transactions', 'Edit transaction details', 'transactions'],
-        ['transactions.cancel', 'Cancel Transactions', 'Cancel existing transactions', 'transactions'],
-        ['transactions.delete', 'Delete Transactions', 'Permanently delete transactions', 'transactions'],
-        ['customers.view', 'View Customers', 'View customer list and details', 'customers'],
-        ['customers.create', 'Create Customers', 'Add new customers', 'customers'],
-        ['customers.edit', 'Edit Customers', 'Edit customer information', 'customers'],
-        ['customers.delete', 'Delete Customers', 'Delete customers', 'customers'],
-        ['customers.block', 'Block Customers', 'Block/unblock customers', 'customers'],
-        ['currencies.view', 'View Currencies', 'View currencies and exchange rates', 'currencies'],
-        ['currencies.manage', 'Manage Currencies', 'Add/edit currencies', 'currencies'],
-        ['currencies.rates', 'Manage Exchange Rates', 'Set exchange rates', 'currencies'],
-        ['reports.view', 'View Reports', 'View basic reports', 'reports'],
-        ['reports.daily', 'Daily Reports', 'Access daily reports', 'reports'],
-        ['reports.monthly', 'Monthly Reports', 'Access monthly reports', 'reports'],
-        ['audit.view', 'View Audit Logs', 'View audit trail', 'audit'],
-        ['cash_drawer.view', 'View Cash Drawers', 'View cash drawer balances', 'cash_drawer'],
-        ['cash_drawer.manage', 'Manage Cash Drawers', 'Create/edit cash drawers', 'cash_drawer'],
-        ['shifts.view', 'View Shifts', 'View shift history', 'shifts'],
-        ['shifts.manage', 'Manage Shifts', 'Start/end/handover shifts', 'shifts'],
-        ['users.view', 'View Users', 'View user list', 'users'],
-        ['users.create', 'Create Users', 'Add new users', 'users'],
-        ['users.edit', 'Edit Users', 'Edit user information', 'users'],
-        ['users.permissions', 'Manage Permissions', 'Manage role permissions', 'users']
-      ];
+    const permissionsSeeded = permCount[0].cnt > 0;
+    console.log('Seeding permissions...');
+    const permissionSeeds = [
+      ['transactions.view', 'View Transactions', 'View transaction list and details', 'transactions'],
+      ['transactions.create', 'Create Transactions', 'Create new exchange transactions', 'transactions'],
+      ['transactions.edit', 'Edit Transactions', 'Edit transaction details', 'transactions'],
+      ['transactions.cancel', 'Cancel Transactions', 'Cancel existing transactions', 'transactions'],
+      ['transactions.delete', 'Delete Transactions', 'Permanently delete transactions', 'transactions'],
+      ['transactions.export', 'Export Transactions', 'Export transaction data', 'transactions'],
+      ['transactions.approve', 'Approve Transactions', 'Review the approval queue and approve or reject held transactions', 'transactions', ['manager']],
+      ['transactions.import', 'Import Transactions', 'Bulk import transactions from a file', 'transactions'],
+      ['customers.view', 'View Customers', 'View customer list and details', 'customers'],
+      ['customers.create', 'Create Customers', 'Add new customers', 'customers'],
+      ['customers.edit', 'Edit Customers', 'Edit customer information', 'customers'],
+      ['customers.delete', 'Delete Customers', 'Delete customers', 'customers'],
+      ['customers.block', 'Block Customers', 'Block/unblock customers', 'customers'],
+      ['customers.vip', 'Manage VIP Status', 'Set/remove VIP status', 'customers'],
+      ['customers.portal', 'Customer Portal Access', 'Invite customers to the self-service portal', 'customers', ['manager']],
+      ['currencies.view', 'View Currencies', 'View currencies and exchange rates', 'currencies'],
+      ['currencies.manage', 'Manage Currencies', 'Add/edit currencies', 'currencies'],
+      ['currencies.rates', 'Manage Exchange Rates', 'Set exchange rates', 'currencies'],
+      ['currencies.spreads', 'Manage Spreads and Tolerances', 'Set cross-rate spreads and rate tolerances', 'currencies'],
+      ['reports.view', 'View Reports', 'View basic reports', 'reports'],
+      ['reports.daily', 'Daily Reports', 'Access daily reports', 'reports'],
+      ['reports.monthly', 'Monthly Reports', 'Access monthly reports', 'reports'],
+      ['reports.closing', 'Closing Reports', 'Generate closing reports', 'reports'],
+      ['reports.export', 'Export Reports', 'Export report data', 'reports'],
+      ['reports.builder', 'Report Builder', 'Use custom report builder', 'reports'],
+      ['reports.profit', 'Profit Reports', 'Profit and loss, and quote conversion reports', 'reports', ['manager']],
+      ['reports.schedule', 'Scheduled Reports', 'Create, change and run scheduled reports', 'reports'],
+      ['audit.view', 'View Audit Logs', 'View audit trail', 'audit'],
+      ['audit.export', 'Export Audit Logs', 'Export audit data', 'audit'],
+      ['cash_drawer.view', 'View Cash Drawers', 'View cash drawer balances', 'cash_drawer'],
+      ['cash_drawer.manage', 'Manage Cash Drawers', 'Create/edit cash drawers', 'cash_drawer'],
+      ['cash_drawer.deposit', 'Deposit', 'Make deposits to drawers', 'cash_drawer'],
+      ['cash_drawer.withdraw', 'Withdraw', 'Make withdrawals from drawers', 'cash_drawer'],
+      ['cash_drawer.reconcile', 'Reconcile', 'Reconcile cash drawers', 'cash_drawer'],
+      ['cash_drawer.transfer', 'Transfer Cash', 'Send, receive and cancel transfers between drawers', 'cash_drawer', ['manager', 'teller', 'employee']],
+      ['shifts.view', 'View Shifts', 'View shift history', 'shifts'],
+      ['shifts.manage', 'Manage Shifts', 'Start/end/handover shifts', 'shifts'],
+      ['shifts.abandon', 'Abandon Shifts', 'Force-close another user\'s shift', 'shifts'],
+      ['compliance.view', 'View Compliance', 'View compliance dashboard, alerts, risk profiles and SARs', 'compliance', ['manager']],
+      ['compliance.review', 'Review Compliance Alerts', 'Review alerts and file SARs', 'compliance', ['manager']],
+      ['compliance.manage', 'Manage Compliance Rules', 'Create and change compliance rules', 'compliance'],
+      ['branches.view', 'View Branches', 'View branch list', 'branches', ['manager', 'teller', 'viewer', 'employee']],
+      ['branches.manage', 'Manage Branches', 'Create and edit branches', 'branches'],
+      ['fees.view', 'View Fee Schedules', 'View commission fee schedules', 'fees', ['manager']],
+      ['fees.manage', 'Manage Fee Schedules', 'Create and change fee schedules', 'fees'],
+      ['positions.view', 'View Positions', 'View currency positions and exposure', 'positions', ['manager']],
+      ['positions.limits', 'Manage Position Limits', 'Set currency position limits', 'positions'],
+      ['users.view', 'View Users', 'View user list', 'users'],
+      ['users.create', 'Create Users', 'Add new users', 'users'],
+      ['users.edit', 'Edit Users', 'Edit user information', 'users'],
+      ['users.delete', 'Delete Users', 'Delete users', 'users'],
+      ['users.permissions', 'Manage Permissions', 'Manage role permissions', 'users'],
+      ['settings.view', 'View Settings', 'View system settings', 'settings'],
+      ['settings.manage', 'Manage Settings', 'Edit system settings', 'settings']
+    ];
 
-      for (const [code, name, desc, cat] of permissionSeeds) {
+    for (const [code, name, desc, cat, defaultRoles = []] of permissionSeeds) {
+      const [inserted] = await connection.query(
+        'INSERT IGNORE INTO permissions (code, name, description, category) VALUES (?, ?, ?, ?)',
+        [code, name, desc, cat]
+      );
+      if (permissionsSeeded && inserted.affectedRows > 0 && defaultRoles.length > 0) {
         await connection.query(
-          'INSERT INTO permissions (code, name, description, category) VALUES (?, ?, ?, ?)',
-          [code, name, desc, cat]
+          'INSERT IGNORE INTO role_permissions (role, permission_id) SELECT r.code, ? FROM roles r WHERE r.code IN (?)',
+          [inserted.insertId, defaultRoles]
         );
       }
-      console.log('Permissions seeded');
     }
+    console.log('Permissions seeded');
 
     // Always ensure admin has all permissions (fix for missing permissions)
     console.log('Ensuring admin has all permissions...');
@@ -442,10 +913,23 @@ async function runMigrations() {
       SELECT 'admin', id FROM permissions
     `);
 
+    // Permissions that only admins had in practice while routes checked roles
+    const adminOnlyPermissions = [
+      'transactions.delete', 'transactions.import', 'customers.block', 'customers.delete',
+      'currencies.manage', 'currencies.rates', 'currencies.spreads', 'cash_drawer.manage',
+      'shifts.abandon', 'reports.closing', 'reports.schedule', 'audit.view', 'audit.export',
+      'users.view', 'users.create', 'users.edit', 'users.delete', 'users.permissions',
+      'settings.view', 'settings.manage', 'compliance.manage', 'branches.manage',
+      'fees.manage', 'positions.limits'
+    ];
+
     // Check and assign manager permissions if missing
     const [managerPerms] = await connection.query('SELECT COUNT(*) as cnt FROM role_permissions WHERE role = "manager"');
     if (managerPerms[0].cnt === 0) {
-      await connection.query('INSERT INTO role_permissions (role, permission_id) SELECT "manager", id FROM permissions WHERE category != "users"');
+      await connection.query(
+        'INSERT INTO role_permissions (role, permission_id) SELECT "manager", id FROM permissions WHERE code NOT IN (?)',
+        [adminOnlyPermissions]
+      );
       console.log('Manager permissions assigned');
     }
 
@@ -456,7 +940,8 @@ async function runMigrations() {
         'transactions.view', 'transactions.create', 'transactions.edit',
         'customers.view', 'customers.create', 'customers.edit',
         'currencies.view', 'reports.view', 'reports.daily',
-        'cash_drawer.view', 'shifts.view', 'shifts.manage'
+        'cash_drawer.view', 'cash_drawer.deposit', 'cash_drawer.withdraw', 'cash_drawer.transfer',
+        'shifts.view', 'shifts.manage', 'branches.view'
       )`);
       console.log('Teller permissions assigned');
     }
@@ -466,11 +951,34 @@ async function runMigrations() {
     if (viewerPerms[0].cnt === 0) {
       await connection.query(`INSERT INTO role_permissions (role, permission_id) SELECT "viewer", id FROM permissions WHERE code IN (
         'transactions.view', 'customers.view', 'currencies.view',
-        'reports.view', 'cash_drawer.view', 'shifts.view'
+        'reports.view', 'cash_drawer.view', 'shifts.view', 'branches.view'
       )`);
       console.log('Viewer permissions assigned');
     }
 
+    // Employees (the role new users get) work like tellers, and keep the reports,
+    // cancellations and drawer closing every signed-in user could reach before
+    const [employeePerms] = await connection.query('SELECT COUNT(*) as cnt FROM role_permissions WHERE role = "employee"');
+    if (employeePerms[0].cnt === 0) {
+      await connection.query(`INSERT INTO role_permissions (role, permission_id)
+        SELECT "employee", permission_id FROM (SELECT permission_id FROM role_permissions WHERE role = "teller") teller`);
+      await connection.query(`INSERT IGNORE INTO role_permissions (role, permission_id) SELECT "employee", id FROM permissions WHERE code IN (
+        'transactions.cancel', 'transactions.export', 'cash_drawer.reconcile',
+        'reports.monthly', 'reports.export', 'reports.builder', 'reports.profit'
+      )`);
+      console.log('Employee permissions assigned');
+    }
+
+    // Once, when the matrix starts being enforced, take admin-only codes away from other roles
+    if (rolesAdded) {
+      await connection.query(
+        `DELETE rp FROM role_permissions rp JOIN permissions p ON rp.permission_id = p.id
+         WHERE rp.role <> 'admin' AND p.code IN (?)`,
+        [adminOnlyPermissions]
+      );
+      console.log('Admin-only permissions aligned');
+    }
+
     console.log('Role permissions verified');
 
     console.log('All migrations completed successfully');
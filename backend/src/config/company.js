@@ -52,6 +52,85 @@ const companyConfig = {
     logoPath: process.env.COMPANY_LOGO_PATH || null,
   },
 
+  // Customer portal settings
+  portal: {
+    // Base URL used in password setup/reset emails
+    baseUrl: process.env.PORTAL_URL || 'http://localhost:3000/portal',
+
+    // How long emailed password links stay valid
+    inviteExpiryHours: parseInt(process.env.PORTAL_INVITE_EXPIRY_HOURS, 10) || 72,
+    resetExpiryMinutes: parseInt(process.env.PORTAL_RESET_EXPIRY_MINUTES, 10) || 60,
+  },
+
+  // Transaction quotes
+  quotes: {
+    // How long a quoted rate stays locked for the customer
+    expirySeconds: parseInt(process.env.QUOTE_EXPIRY_SECONDS, 10) || 120,
+  },
+
+  // Currency position limits
+  positions: {
+    // Share of a limit at which a position is flagged before it is breached
+    warningPercent: parseInt(process.env.POSITION_WARNING_PERCENT, 10) || 80,
+  },
+
+  // Customer risk scoring
+  riskScoring: {
+    // Score (0-100) from which a customer is medium or high risk
+    mediumThreshold: parseInt(process.env.RISK_MEDIUM_THRESHOLD, 10) || 40,
+    highThreshold: parseInt(process.env.RISK_HIGH_THRESHOLD, 10) || 70,
+
+    // How far back alerts count towards the score
+    lookbackDays: parseInt(process.env.RISK_LOOKBACK_DAYS, 10) || 90,
+
+    // Hour of the day (server time) after which all customers are rescored
+    nightlyHour: process.env.RISK_SCORING_HOUR !== undefined ? parseInt(process.env.RISK_SCORING_HOUR, 10) : 2,
+
+    // Points per factor; max caps what a single factor can add
+    weights: {
+      alerts: { low: 2, medium: 5, high: 10, critical: 20, max: 30 },
+      // Points per transaction above the threshold within the window
+      velocity: { days: 7, threshold: 10, perTransaction: 2, max: 15 },
+      // Points per full threshold of cash (base currency) paid in within the window
+      cashVolume: { days: 30, threshold: 50000, points: 10, max: 20 },
+      idExpiry: { missing: 10, expired: 15, expiring: 5, expiringDays: 30 },
+      structuring: { perAlert: 15, max: 30 },
+      watchlist: { perHit: 40, max: 60 },
+      sars: { perReport: 25, max: 50 },
+    },
+  },
+
+  // Sanctions/PEP watchlist screening
+  watchlist: {
+    // Score (0-100) from which a name is reported as a possible match
+    matchThreshold: parseInt(process.env.WATCHLIST_MATCH_THRESHOLD, 10) || 85,
+  },
+
+  // Structuring (smurfing) pattern detection
+  structuring: {
+    // How far back transactions are linked into one pattern
+    windowHours: parseInt(process.env.STRUCTURING_WINDOW_HOURS, 10) || 72,
+
+    // Amounts up to this share below a currency's high value threshold count as just below it
+    marginPercent: parseInt(process.env.STRUCTURING_MARGIN_PERCENT, 10) || 10,
+
+    // How many of each make a pattern
+    minBelowThreshold: 3,   // just-below amounts paid in by one customer
+    minSharedIdentity: 2,   // customer records with the same phone or ID number
+    minFundedCustomers: 3,  // different customers paid for by the same person
+    minTellers: 2,          // tellers one customer's amount over the threshold was split between
+  },
+
+  // Suspicious activity reports
+  sar: {
+    // Where SAR attachments (ID scans, CCTV notes) are kept; outside any served directory
+    attachmentDir: process.env.SAR_ATTACHMENT_DIR || 'uploads/sar',
+    maxAttachmentMb: parseInt(process.env.SAR_MAX_ATTACHMENT_MB, 10) || 10,
+
+    // Identifies the company to the financial intelligence unit in filing packages
+    reportingEntityId: process.env.FIU_REPORTING_ENTITY_ID || '',
+  },
+
   // Currency display settings
   currency: {
     // Default currency for profit display
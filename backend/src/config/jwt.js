@@ -18,6 +18,14 @@ module.exports = {
     expiresInMs: 7 * 24 * 60 * 60 * 1000 // 7 days in milliseconds
   },
 
+  // Two-factor login - the challenge token issued after the password is exchanged
+  // for real tokens once a code is verified
+  twoFactor: {
+    challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+    // Key for encrypting TOTP secrets at rest
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_ACCESS_SECRET || process.env.JWT_SECRET || 'two-factor-key-change-in-production'
+  },
+
   // Legacy support
   secret: process.env.JWT_SECRET || 'default-secret-change-in-production',
   expiresIn: process.env.JWT_EXPIRES_IN || '24h'
@@ -179,7 +179,12 @@ const options = {
       { name: 'Shifts', description: 'Shift management' },
       { name: 'Compliance', description: 'KYC and compliance' },
       { name: 'Reports', description: 'Reports and analytics' },
-      { name: 'Health', description: 'System health and monitoring' }
+      { name: 'Health', description: 'System health and monitoring' },
+      { name: 'Portal', description: 'Customer self-service portal' },
+      { name: 'Branches', description: 'Branch (location) management' },
+      { name: 'Fee Schedules', description: 'Commission schedules for the fee engine' },
+      { name: 'Positions', description: 'Currency positions, exposure and position limits' },
+      { name: 'Watchlists', description: 'Sanctions/PEP lists and name screening' }
     ]
   },
   apis: ['./src/routes/*.js']
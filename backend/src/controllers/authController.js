@@ -11,6 +11,7 @@ const jwtConfig = require('../config/jwt');
 const { logAudit, getClientIp } = require('../utils/helpers');
 const { recordFailedLogin, recordSuccessfulLogin } = require('../middleware/rateLimiter');
 const { getUserPermissions } = require('../middleware/auth');
+const twoFactorService = require('../services/twoFactorService');
 
 // Password hashing configuration
 const BCRYPT_ROUNDS = 12; // Cost factor for bcrypt
@@ -68,19 +69,98 @@ const revokeAllUserTokens = async (userId) => {
   );
 };
 
+/**
+ * Generate the short-lived token that carries a login from the password to the
+ * two-factor step
+ * @param {Object} user
+ * @param {string} purpose - 'verify' (enrolled) or 'enroll' (role requires 2FA, not enrolled yet)
+ */
+const generateTwoFactorChallenge = (user, purpose) => {
+  return jwt.sign(
+    {
+      uuid: user.uuid,
+      purpose,
+      type: '2fa'
+    },
+    jwtConfig.accessToken.secret,
+    { expiresIn: jwtConfig.twoFactor.challengeExpiresIn }
+  );
+};
+
+/**
+ * Issue tokens for a user whose credentials are fully verified
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} user - users row with branch_uuid/branch_name
+ * @param {Object} [extra] - Audit details and additional response data
+ */
+const completeLogin = async (req, res, user, { method = 'password', data = {} } = {}) => {
+  const ipAddress = getClientIp(req);
+  const userAgent = req.headers['user-agent'] || 'unknown';
+
+  // Generate tokens
+  const accessToken = generateAccessToken(user);
+  const refreshToken = generateRefreshToken();
+
+  // Store refresh token
+  await storeRefreshToken(user.id, refreshToken, ipAddress, userAgent);
+
+  // Update last login time
+  await pool.query(
+    'UPDATE users SET last_login_at = NOW() WHERE id = ?',
+    [user.id]
+  );
+
+  // Record successful login
+  await recordSuccessfulLogin(req.body.username || user.username, ipAddress);
+
+  // Log audit
+  await logAudit(user.id, 'LOGIN', 'users', user.id, null,
+    { ip: ipAddress, userAgent, method }, ipAddress, 'info');
+
+  // Get user permissions
+  const permissions = await getUserPermissions(user);
+
+  res.json({
+    success: true,
+    message: 'Login successful.',
+    data: {
+      accessToken,
+      refreshToken,
+      expiresIn: jwtConfig.accessToken.expiresIn,
+      user: {
+        uuid: user.uuid,
+        username: user.username,
+        email: user.email,
+        fullName: user.full_name,
+        role: user.role,
+        branch: user.branch_uuid
+          ? { uuid: user.branch_uuid, name: user.branch_name }
+          : null,
+        permissions
+      },
+      ...data
+    }
+  });
+};
+
 /**
  * Login handler
+ * Users with two-factor authentication get a challenge instead of tokens and finish
+ * signing in at /auth/2fa/verify.
  */
 const login = async (req, res, next) => {
   try {
     const { username, password } = req.body;
     const ipAddress = getClientIp(req);
-    const userAgent = req.headers['user-agent'] || 'unknown';
 
     // Find user
     const [users] = await pool.query(
-      `SELECT id, uuid, username, email, password, full_name, role, is_active
-       FROM users WHERE username = ? OR email = ?`,
+      `SELECT u.id, u.uuid, u.username, u.email, u.password, u.full_name, u.role, u.is_active,
+              b.uuid as branch_uuid, b.name as branch_name
+       FROM users u
+       LEFT JOIN branches b ON u.branch_id = b.id
+       WHERE u.username = ? OR u.email = ?`,
       [username, username]
     );
 
@@ -124,51 +204,196 @@ const login = async (req, res, next) => {
       });
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken();
+    // Second factor
+    const twoFactor = await twoFactorService.getTwoFactorState(pool, user);
 
-    // Store refresh token
-    await storeRefreshToken(user.id, refreshToken, ipAddress, userAgent);
+    if (twoFactor.enabled || twoFactor.required) {
+      const purpose = twoFactor.enabled ? 'verify' : 'enroll';
 
-    // Update last login time
-    await pool.query(
-      'UPDATE users SET last_login_at = NOW() WHERE id = ?',
-      [user.id]
+      await logAudit(user.id, 'LOGIN_TWO_FACTOR_CHALLENGE', 'users', user.id, null,
+        { purpose }, ipAddress, 'info');
+
+      return res.json({
+        success: true,
+        message: purpose === 'verify'
+          ? 'Enter the code from your authenticator app.'
+          : 'Two-factor authentication is required for your role. Set it up to continue.',
+        data: {
+          twoFactorRequired: purpose === 'verify',
+          twoFactorSetupRequired: purpose === 'enroll',
+          challengeToken: generateTwoFactorChallenge(user, purpose)
+        }
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve the challenge token of a two-factor login step
+ * Sets req.twoFactor ({ user, purpose }) and req.body.username, so loginRateLimiter
+ * counts wrong codes against the same user as wrong passwords.
+ */
+const resolveTwoFactorChallenge = async (req, res, next) => {
+  try {
+    let decoded = null;
+    try {
+      decoded = jwt.verify(req.body.challengeToken || '', jwtConfig.accessToken.secret);
+    } catch (error) {
+      decoded = null;
+    }
+
+    const expired = () => res.status(401).json({
+      success: false,
+      message: 'Two-factor session expired. Please sign in again.'
+    });
+
+    if (!decoded || decoded.type !== '2fa') {
+      return expired();
+    }
+
+    const [users] = await pool.query(
+      `SELECT u.id, u.uuid, u.username, u.email, u.full_name, u.role, u.is_active,
+              b.uuid as branch_uuid, b.name as branch_name
+       FROM users u
+       LEFT JOIN branches b ON u.branch_id = b.id
+       WHERE u.uuid = ?`,
+      [decoded.uuid]
     );
 
-    // Record successful login
-    await recordSuccessfulLogin(username, ipAddress);
+    if (users.length === 0 || !users[0].is_active) {
+      return expired();
+    }
 
-    // Log audit
-    await logAudit(user.id, 'LOGIN', 'users', user.id, null,
-      { ip: ipAddress, userAgent }, ipAddress, 'info');
+    req.twoFactor = { user: users[0], purpose: decoded.purpose };
+    req.body.username = users[0].username;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Get user permissions
-    const permissions = await getUserPermissions(user.role);
+/**
+ * Start enrollment during login, for users whose role requires two-factor authentication
+ */
+const startLoginEnrollment = async (req, res, next) => {
+  try {
+    const { user, purpose } = req.twoFactor;
+    const state = await twoFactorService.getTwoFactorState(pool, user);
+
+    if (purpose !== 'enroll' || state.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already set up.'
+      });
+    }
+
+    const setup = await twoFactorService.generateSecret(user.username);
+    await pool.query(
+      `INSERT INTO two_factor_auth (user_id, secret, is_enabled)
+       VALUES (?, ?, FALSE)
+       ON DUPLICATE KEY UPDATE secret = VALUES(secret), is_enabled = FALSE,
+         enabled_at = NULL, backup_codes = NULL, last_used_step = NULL`,
+      [user.id, twoFactorService.encryptSecret(setup.secret)]
+    );
 
     res.json({
       success: true,
-      message: 'Login successful.',
-      data: {
-        accessToken,
-        refreshToken,
-        expiresIn: jwtConfig.accessToken.expiresIn,
-        user: {
-          uuid: user.uuid,
-          username: user.username,
-          email: user.email,
-          fullName: user.full_name,
-          role: user.role,
-          permissions
-        }
-      }
+      data: setup
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Second login step: check a TOTP or recovery code and issue tokens
+ * For an enrollment challenge, the first valid code also switches two-factor on and
+ * the response carries the new recovery codes.
+ */
+const verifyTwoFactor = async (req, res, next) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    const { user, purpose } = req.twoFactor;
+    const ipAddress = getClientIp(req);
+    const state = await twoFactorService.getTwoFactorState(pool, user);
+    const { record } = state;
+
+    if (!record || state.enabled !== (purpose === 'verify')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor session expired. Please sign in again.'
+      });
+    }
+
+    const fail = async (reason) => {
+      await recordFailedLogin(req);
+      await logAudit(user.id, 'LOGIN_FAILED', 'users', user.id, null,
+        { reason }, ipAddress, 'warning');
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code.'
+      });
+    };
+
+    // Recovery codes stand in for the app once enrolled
+    if (recoveryCode && purpose === 'verify') {
+      // Checked and spent under a row lock so one code cannot sign in twice
+      const remaining = await twoFactorService.redeemRecoveryCode(pool, record.id, recoveryCode);
+      if (!remaining) {
+        return fail('Invalid recovery code');
+      }
+
+      return completeLogin(req, res, user, {
+        method: 'recovery_code',
+        data: { recoveryCodesRemaining: remaining.length }
+      });
+    }
+
+    const step = twoFactorService.verifyCode(
+      twoFactorService.decryptSecret(record.secret),
+      code,
+      record.last_used_step
+    );
+    if (step === null) {
+      return fail('Invalid two-factor code');
+    }
+
+    // Guard against the same code being used by two requests at once
+    const [updated] = await pool.query(
+      `UPDATE two_factor_auth SET last_used_step = ?
+       WHERE id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+      [step, record.id, step]
+    );
+    if (updated.affectedRows === 0) {
+      return fail('Two-factor code already used');
+    }
+
+    if (purpose === 'enroll') {
+      const recovery = twoFactorService.generateRecoveryCodes();
+      await pool.query(
+        'UPDATE two_factor_auth SET is_enabled = TRUE, enabled_at = NOW(), backup_codes = ? WHERE id = ?',
+        [JSON.stringify(recovery.hashes), record.id]
+      );
+      await logAudit(user.id, 'TWO_FACTOR_ENABLED', 'users', user.id, null,
+        { duringLogin: true }, ipAddress, 'info');
+
+      return completeLogin(req, res, user, {
+        method: 'totp',
+        data: { recoveryCodes: recovery.codes }
+      });
+    }
+
+    await completeLogin(req, res, user, { method: 'totp' });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Refresh access token
  */
@@ -313,7 +538,7 @@ const logoutAll = async (req, res, next) => {
 const getProfile = async (req, res, next) => {
   try {
     // Get user permissions
-    const permissions = await getUserPermissions(req.user.role);
+    const permissions = await getUserPermissions(req.user);
 
     res.json({
       success: true,
@@ -323,6 +548,9 @@ const getProfile = async (req, res, next) => {
         email: req.user.email,
         fullName: req.user.full_name,
         role: req.user.role,
+        branch: req.user.branch_uuid
+          ? { uuid: req.user.branch_uuid, name: req.user.branch_name }
+          : null,
         permissions
       }
     });
@@ -405,6 +633,9 @@ const changePassword = async (req, res, next) => {
 
 module.exports = {
   login,
+  resolveTwoFactorChallenge,
+  startLoginEnrollment,
+  verifyTwoFactor,
   logout,
   logoutAll,
   refreshToken,
@@ -0,0 +1,185 @@
+/**
+ * Branch Controller
+ * Manages the exchange's locations; drawers, shifts, users and rates belong to a branch
+ */
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const { logAudit, getClientIp } = require('../utils/helpers');
+
+const formatBranch = (b) => ({
+  uuid: b.uuid,
+  code: b.code,
+  name: b.name,
+  address: b.address,
+  phone: b.phone,
+  isActive: Boolean(b.is_active),
+  userCount: Number(b.user_count || 0),
+  drawerCount: Number(b.drawer_count || 0),
+  createdAt: b.created_at
+});
+
+/**
+ * Get all branches
+ */
+const getBranches = async (req, res, next) => {
+  try {
+    const { active } = req.query;
+
+    let query = `
+      SELECT
+        b.*,
+        (SELECT COUNT(*) FROM users u WHERE u.branch_id = b.id AND u.is_active = TRUE) as user_count,
+        (SELECT COUNT(*) FROM cash_drawers d WHERE d.branch_id = b.id AND d.is_active = TRUE) as drawer_count
+      FROM branches b
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (active !== undefined) {
+      query += ' AND b.is_active = ?';
+      params.push(active === 'true');
+    }
+
+    query += ' ORDER BY b.name ASC';
+
+    const [branches] = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: branches.map(formatBranch)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create new branch
+ */
+const createBranch = async (req, res, next) => {
+  try {
+    const { code, name, address, phone } = req.body;
+    const uuid = uuidv4();
+    const branchCode = code.toUpperCase();
+
+    const [existing] = await pool.query('SELECT id FROM branches WHERE code = ?', [branchCode]);
+    if (existing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'A branch with this code already exists.'
+      });
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO branches (uuid, code, name, address, phone, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [uuid, branchCode, name, address || null, phone || null, req.user.id]
+    );
+
+    await logAudit(
+      req.user.id,
+      'CREATE',
+      'branches',
+      result.insertId,
+      null,
+      { uuid, code: branchCode, name, address, phone },
+      getClientIp(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Branch created successfully.',
+      data: { uuid, code: branchCode, name }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update branch
+ */
+const updateBranch = async (req, res, next) => {
+  try {
+    const { uuid } = req.params;
+    const { name, address, phone, isActive } = req.body;
+
+    const [branches] = await pool.query('SELECT * FROM branches WHERE uuid = ?', [uuid]);
+
+    if (branches.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found.'
+      });
+    }
+
+    const branch = branches[0];
+
+    // Drawers with an open shift keep taking transactions, so the branch must stay open
+    if (isActive === false && branch.is_active) {
+      const [activeShifts] = await pool.query(
+        'SELECT COUNT(*) as count FROM shifts WHERE branch_id = ? AND status = "active"',
+        [branch.id]
+      );
+      if (activeShifts[0].count > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot deactivate a branch with active shifts.'
+        });
+      }
+    }
+
+    const updates = [];
+    const params = [];
+
+    if (name !== undefined) {
+      updates.push('name = ?');
+      params.push(name);
+    }
+    if (address !== undefined) {
+      updates.push('address = ?');
+      params.push(address);
+    }
+    if (phone !== undefined) {
+      updates.push('phone = ?');
+      params.push(phone);
+    }
+    if (isActive !== undefined) {
+      updates.push('is_active = ?');
+      params.push(isActive);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update.'
+      });
+    }
+
+    params.push(branch.id);
+    await pool.query(`UPDATE branches SET ${updates.join(', ')} WHERE id = ?`, params);
+
+    await logAudit(
+      req.user.id,
+      'UPDATE',
+      'branches',
+      branch.id,
+      { name: branch.name, address: branch.address, phone: branch.phone, isActive: Boolean(branch.is_active) },
+      { name, address, phone, isActive },
+      getClientIp(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Branch updated successfully.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getBranches,
+  createBranch,
+  updateBranch
+};
@@ -5,29 +5,65 @@
 const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../config/database');
 const { logAudit, getClientIp, parseDecimal } = require('../utils/helpers');
+const drawerLedger = require('../services/drawerLedgerService');
+const inventory = require('../services/inventoryService');
+const { resolveWriteBranch } = require('../middleware/branchScope');
+
+/**
+ * Resolve an assignee user UUID to its ID
+ * @returns {Promise<number|null|undefined>} null to unassign, undefined if the user does not exist
+ */
+const resolveAssignee = async (assignedTo) => {
+  if (!assignedTo) return null;
+
+  const [users] = await pool.query(
+    'SELECT id FROM users WHERE uuid = ? AND is_active = TRUE',
+    [assignedTo]
+  );
+
+  return users.length > 0 ? users[0].id : undefined;
+};
 
 /**
  * Get all cash drawers
  */
 const getDrawers = async (req, res, next) => {
   try {
-    const { active } = req.query;
+    const { active, available } = req.query;
 
     let query = `
       SELECT
         d.*,
-        u.full_name as created_by_name
+        u.full_name as created_by_name,
+        au.uuid as assigned_to_uuid,
+        au.full_name as assigned_to_name,
+        b.uuid as branch_uuid,
+        b.name as branch_name
       FROM cash_drawers d
       LEFT JOIN users u ON d.created_by = u.id
+      LEFT JOIN users au ON d.assigned_to = au.id
+      LEFT JOIN branches b ON d.branch_id = b.id
       WHERE 1=1
     `;
     const params = [];
 
+    // Staff only see the drawers of their own branch
+    if (req.user.role !== 'admin' || req.user.branch_id) {
+      query += ' AND d.branch_id = ?';
+      params.push(req.user.branch_id);
+    }
+
     if (active !== undefined) {
       query += ' AND d.is_active = ?';
       params.push(active === 'true');
     }
 
+    // Drawers the current user may open a shift on
+    if (available === 'true' && req.user.role !== 'admin') {
+      query += ' AND (d.is_shared = TRUE OR d.assigned_to = ?)';
+      params.push(req.user.id);
+    }
+
     query += ' ORDER BY d.name ASC';
 
     const [drawers] = await pool.query(query, params);
@@ -53,6 +89,14 @@ const getDrawers = async (req, res, next) => {
           location: drawer.location,
           isActive: drawer.is_active,
           lowBalanceAlert: parseDecimal(drawer.low_balance_alert),
+          isShared: Boolean(drawer.is_shared),
+          assignedTo: drawer.assigned_to_uuid
+            ? { uuid: drawer.assigned_to_uuid, fullName: drawer.assigned_to_name }
+            : null,
+          branch: drawer.branch_uuid
+            ? { uuid: drawer.branch_uuid, name: drawer.branch_name }
+            : null,
+          isMine: drawer.assigned_to === req.user.id,
           balances: balances.map(b => ({
             currencyId: b.currency_id,
             currencyCode: b.currency_code,
@@ -82,13 +126,19 @@ const getDrawer = async (req, res, next) => {
     const { uuid } = req.params;
 
     const [drawers] = await pool.query(`
-      SELECT d.*, u.full_name as created_by_name
+      SELECT d.*, u.full_name as created_by_name, au.uuid as assigned_to_uuid, au.full_name as assigned_to_name,
+        b.uuid as branch_uuid, b.name as branch_name
       FROM cash_drawers d
       LEFT JOIN users u ON d.created_by = u.id
+      LEFT JOIN users au ON d.assigned_to = au.id
+      LEFT JOIN branches b ON d.branch_id = b.id
       WHERE d.uuid = ?
     `, [uuid]);
 
-    if (drawers.length === 0) {
+    const outsideBranch = drawers.length > 0 && req.user.branch_id &&
+      drawers[0].branch_id !== req.user.branch_id;
+
+    if (drawers.length === 0 || outsideBranch) {
       return res.status(404).json({
         success: false,
         message: 'Cash drawer not found.'
@@ -132,6 +182,13 @@ const getDrawer = async (req, res, next) => {
         location: drawer.location,
         isActive: drawer.is_active,
         lowBalanceAlert: parseDecimal(drawer.low_balance_alert),
+        isShared: Boolean(drawer.is_shared),
+        assignedTo: drawer.assigned_to_uuid
+          ? { uuid: drawer.assigned_to_uuid, fullName: drawer.assigned_to_name }
+          : null,
+        branch: drawer.branch_uuid
+          ? { uuid: drawer.branch_uuid, name: drawer.branch_name }
+          : null,
         balances: balances.map(b => ({
           currencyId: b.currency_id,
           currencyCode: b.currency_code,
@@ -165,14 +222,36 @@ const getDrawer = async (req, res, next) => {
  */
 const createDrawer = async (req, res, next) => {
   try {
-    const { name, location, lowBalanceAlert } = req.body;
+    const { name, location, lowBalanceAlert, assignedTo, isShared = false, branchId } = req.body;
     const ipAddress = getClientIp(req);
     const uuid = uuidv4();
 
+    const drawerBranchId = await resolveWriteBranch(req.user, branchId);
+    if (drawerBranchId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Branch not found or not active.'
+      });
+    }
+    if (drawerBranchId === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'A branch is required for the cash drawer.'
+      });
+    }
+
+    const assigneeId = await resolveAssignee(assignedTo);
+    if (assigneeId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assigned user not found or not active.'
+      });
+    }
+
     const [result] = await pool.query(
-      `INSERT INTO cash_drawers (uuid, name, location, low_balance_alert, created_by)
-       VALUES (?, ?, ?, ?, ?)`,
-      [uuid, name, location || null, lowBalanceAlert || 1000, req.user.id]
+      `INSERT INTO cash_drawers (uuid, branch_id, name, location, assigned_to, is_shared, low_balance_alert, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuid, drawerBranchId, name, location || null, assigneeId, Boolean(isShared), lowBalanceAlert || 1000, req.user.id]
     );
 
     await logAudit(
@@ -181,7 +260,7 @@ const createDrawer = async (req, res, next) => {
       'cash_drawers',
       result.insertId,
       null,
-      { uuid, name, location },
+      { uuid, name, location, branchId: drawerBranchId, assignedTo: assignedTo || null, isShared: Boolean(isShared) },
       ipAddress,
       'info'
     );
@@ -202,7 +281,7 @@ const createDrawer = async (req, res, next) => {
 const updateDrawer = async (req, res, next) => {
   try {
     const { uuid } = req.params;
-    const { name, location, isActive, lowBalanceAlert } = req.body;
+    const { name, location, isActive, lowBalanceAlert, assignedTo, isShared, branchId } = req.body;
     const ipAddress = getClientIp(req);
 
     const [drawers] = await pool.query(
@@ -247,6 +326,38 @@ const updateDrawer = async (req, res, next) => {
       oldValues.lowBalanceAlert = drawer.low_balance_alert;
       newValues.lowBalanceAlert = lowBalanceAlert;
     }
+    if (assignedTo !== undefined) {
+      const assigneeId = await resolveAssignee(assignedTo);
+      if (assigneeId === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Assigned user not found or not active.'
+        });
+      }
+      updates.push('assigned_to = ?');
+      params.push(assigneeId);
+      oldValues.assignedTo = drawer.assigned_to;
+      newValues.assignedTo = assigneeId;
+    }
+    if (isShared !== undefined) {
+      updates.push('is_shared = ?');
+      params.push(Boolean(isShared));
+      oldValues.isShared = Boolean(drawer.is_shared);
+      newValues.isShared = Boolean(isShared);
+    }
+    if (branchId !== undefined) {
+      const newBranchId = await resolveWriteBranch(req.user, branchId);
+      if (!newBranchId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Branch not found or not active.'
+        });
+      }
+      updates.push('branch_id = ?');
+      params.push(newBranchId);
+      oldValues.branchId = drawer.branch_id;
+      newValues.branchId = newBranchId;
+    }
 
     if (updates.length === 0) {
       return res.status(400).json({
@@ -285,6 +396,7 @@ const updateDrawer = async (req, res, next) => {
  * Deposit cash into drawer
  */
 const deposit = async (req, res, next) => {
+  let connection;
   try {
     const { uuid } = req.params;
     const { currencyId, amount, notes } = req.body;
@@ -305,60 +417,55 @@ const deposit = async (req, res, next) => {
     const drawer = drawers[0];
     const parsedAmount = parseDecimal(amount);
 
-    // Get current balance
-    const [balances] = await pool.query(
-      'SELECT * FROM cash_drawer_balances WHERE drawer_id = ? AND currency_id = ?',
-      [drawer.id, currencyId]
-    );
-
-    const currentBalance = balances.length > 0 ? parseDecimal(balances[0].balance) : 0;
-    const newBalance = currentBalance + parsedAmount;
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
 
-    // Update or insert balance
-    if (balances.length > 0) {
-      await pool.query(
-        'UPDATE cash_drawer_balances SET balance = ?, last_updated_by = ? WHERE id = ?',
-        [newBalance, req.user.id, balances[0].id]
-      );
-    } else {
-      await pool.query(
-        'INSERT INTO cash_drawer_balances (drawer_id, currency_id, balance, last_updated_by) VALUES (?, ?, ?, ?)',
-        [drawer.id, currencyId, newBalance, req.user.id]
-      );
-    }
+    const entry = await drawerLedger.postEntry(connection, {
+      drawerId: drawer.id,
+      currencyId,
+      type: 'deposit',
+      change: parsedAmount,
+      notes: notes || null,
+      userId: req.user.id
+    });
 
-    // Log transaction
-    const transactionUuid = uuidv4();
-    await pool.query(
-      `INSERT INTO cash_drawer_transactions
-       (uuid, drawer_id, currency_id, type, amount, balance_before, balance_after, notes, performed_by)
-       VALUES (?, ?, ?, 'deposit', ?, ?, ?, ?, ?)`,
-      [transactionUuid, drawer.id, currencyId, parsedAmount, currentBalance, newBalance, notes || null, req.user.id]
-    );
+    // Deposited currency goes into inventory at its current value
+    await inventory.recordMovement(connection, {
+      drawerId: drawer.id,
+      currencyId,
+      change: parsedAmount,
+      branchId: drawer.branch_id
+    });
 
     await logAudit(
       req.user.id,
       'CASH_DEPOSIT',
       'cash_drawer_transactions',
-      transactionUuid,
-      { balance: currentBalance },
-      { balance: newBalance, amount: parsedAmount },
+      entry.uuid,
+      { balance: entry.balanceBefore },
+      { balance: entry.balanceAfter, amount: parsedAmount },
       ipAddress,
-      'info'
+      'info',
+      connection
     );
 
+    await connection.commit();
+
     res.json({
       success: true,
       message: 'Deposit successful.',
       data: {
-        transactionUuid,
+        transactionUuid: entry.uuid,
         amount: parsedAmount,
-        balanceBefore: currentBalance,
-        balanceAfter: newBalance
+        balanceBefore: entry.balanceBefore,
+        balanceAfter: entry.balanceAfter
       }
     });
   } catch (error) {
+    if (connection) await connection.rollback();
     next(error);
+  } finally {
+    if (connection) connection.release();
   }
 };
 
@@ -366,6 +473,7 @@ const deposit = async (req, res, next) => {
  * Withdraw cash from drawer
  */
 const withdraw = async (req, res, next) => {
+  let connection;
   try {
     const { uuid } = req.params;
     const { currencyId, amount, notes } = req.body;
@@ -386,61 +494,55 @@ const withdraw = async (req, res, next) => {
     const drawer = drawers[0];
     const parsedAmount = parseDecimal(amount);
 
-    // Get current balance
-    const [balances] = await pool.query(
-      'SELECT * FROM cash_drawer_balances WHERE drawer_id = ? AND currency_id = ?',
-      [drawer.id, currencyId]
-    );
-
-    const currentBalance = balances.length > 0 ? parseDecimal(balances[0].balance) : 0;
-
-    if (currentBalance < parsedAmount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient balance in drawer.'
-      });
-    }
-
-    const newBalance = currentBalance - parsedAmount;
-
-    // Update balance
-    await pool.query(
-      'UPDATE cash_drawer_balances SET balance = ?, last_updated_by = ? WHERE drawer_id = ? AND currency_id = ?',
-      [newBalance, req.user.id, drawer.id, currencyId]
-    );
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // Rejects with a 400 when the drawer cannot cover the withdrawal
+    const entry = await drawerLedger.postEntry(connection, {
+      drawerId: drawer.id,
+      currencyId,
+      type: 'withdrawal',
+      change: -parsedAmount,
+      notes: notes || null,
+      userId: req.user.id
+    });
 
-    // Log transaction
-    const transactionUuid = uuidv4();
-    await pool.query(
-      `INSERT INTO cash_drawer_transactions
-       (uuid, drawer_id, currency_id, type, amount, balance_before, balance_after, notes, performed_by)
-       VALUES (?, ?, ?, 'withdrawal', ?, ?, ?, ?, ?)`,
-      [transactionUuid, drawer.id, currencyId, parsedAmount, currentBalance, newBalance, notes || null, req.user.id]
-    );
+    await inventory.recordMovement(connection, {
+      drawerId: drawer.id,
+      currencyId,
+      change: -parsedAmount,
+      branchId: drawer.branch_id
+    });
 
     await logAudit(
       req.user.id,
       'CASH_WITHDRAWAL',
       'cash_drawer_transactions',
-      transactionUuid,
-      { balance: currentBalance },
-      { balance: newBalance, amount: parsedAmount },
+      entry.uuid,
+      { balance: entry.balanceBefore },
+      { balance: entry.balanceAfter, amount: parsedAmount },
       ipAddress,
-      'warning'
+      'warning',
+      connection
     );
 
+    await connection.commit();
+
     res.json({
       success: true,
       message: 'Withdrawal successful.',
       data: {
-        transactionUuid,
+        transactionUuid: entry.uuid,
         amount: parsedAmount,
-        balanceBefore: currentBalance,
-        balanceAfter: newBalance
+        balanceBefore: entry.balanceBefore,
+        balanceAfter: entry.balanceAfter
       }
     });
   } catch (error) {
+    if (connection) await connection.rollback();
     next(error);
+  } finally {
+    if (connection) connection.release();
   }
 };
 
@@ -448,6 +550,7 @@ const withdraw = async (req, res, next) => {
  * Adjust drawer balance (for corrections)
  */
 const adjust = async (req, res, next) => {
+  let connection;
   try {
     const { uuid } = req.params;
     const { currencyId, newBalance, reason } = req.body;
@@ -475,60 +578,64 @@ const adjust = async (req, res, next) => {
     const drawer = drawers[0];
     const parsedNewBalance = parseDecimal(newBalance);
 
-    // Get current balance
-    const [balances] = await pool.query(
-      'SELECT * FROM cash_drawer_balances WHERE drawer_id = ? AND currency_id = ?',
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // Lock the balance so the adjustment lands exactly on the requested figure
+    const [balances] = await connection.query(
+      'SELECT balance FROM cash_drawer_balances WHERE drawer_id = ? AND currency_id = ? FOR UPDATE',
       [drawer.id, currencyId]
     );
 
     const currentBalance = balances.length > 0 ? parseDecimal(balances[0].balance) : 0;
-    const adjustmentAmount = parsedNewBalance - currentBalance;
-
-    // Update or insert balance
-    if (balances.length > 0) {
-      await pool.query(
-        'UPDATE cash_drawer_balances SET balance = ?, last_updated_by = ? WHERE id = ?',
-        [parsedNewBalance, req.user.id, balances[0].id]
-      );
-    } else {
-      await pool.query(
-        'INSERT INTO cash_drawer_balances (drawer_id, currency_id, balance, last_updated_by) VALUES (?, ?, ?, ?)',
-        [drawer.id, currencyId, parsedNewBalance, req.user.id]
-      );
-    }
+    const adjustmentAmount = parseDecimal(parsedNewBalance - currentBalance);
+
+    const entry = await drawerLedger.postEntry(connection, {
+      drawerId: drawer.id,
+      currencyId,
+      type: 'adjustment',
+      change: adjustmentAmount,
+      notes: reason,
+      userId: req.user.id,
+      allowNegative: true
+    });
 
-    // Log transaction
-    const transactionUuid = uuidv4();
-    await pool.query(
-      `INSERT INTO cash_drawer_transactions
-       (uuid, drawer_id, currency_id, type, amount, balance_before, balance_after, notes, performed_by)
-       VALUES (?, ?, ?, 'adjustment', ?, ?, ?, ?, ?)`,
-      [transactionUuid, drawer.id, currencyId, adjustmentAmount, currentBalance, parsedNewBalance, reason, req.user.id]
-    );
+    await inventory.recordMovement(connection, {
+      drawerId: drawer.id,
+      currencyId,
+      change: adjustmentAmount,
+      branchId: drawer.branch_id
+    });
 
     await logAudit(
       req.user.id,
       'CASH_ADJUSTMENT',
       'cash_drawer_transactions',
-      transactionUuid,
-      { balance: currentBalance },
-      { balance: parsedNewBalance, adjustment: adjustmentAmount, reason },
+      entry.uuid,
+      { balance: entry.balanceBefore },
+      { balance: entry.balanceAfter, adjustment: adjustmentAmount, reason },
       ipAddress,
-      'critical'
+      'critical',
+      connection
     );
 
+    await connection.commit();
+
     res.json({
       success: true,
       message: 'Balance adjusted successfully.',
       data: {
-        transactionUuid,
+        transactionUuid: entry.uuid,
         adjustment: adjustmentAmount,
-        balanceBefore: currentBalance,
-        balanceAfter: parsedNewBalance
+        balanceBefore: entry.balanceBefore,
+        balanceAfter: entry.balanceAfter
       }
     });
   } catch (error) {
+    if (connection) await connection.rollback();
     next(error);
+  } finally {
+    if (connection) connection.release();
   }
 };
 
@@ -627,6 +734,7 @@ const getDrawerHistory = async (req, res, next) => {
  * Reconcile drawer balance
  */
 const reconcile = async (req, res, next) => {
+  let connection;
   try {
     const { uuid } = req.params;
     const { currencyId, actualBalance, notes } = req.body;
@@ -646,15 +754,18 @@ const reconcile = async (req, res, next) => {
 
     const drawer = drawers[0];
 
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
     // Get expected balance
-    const [balances] = await pool.query(
-      'SELECT balance FROM cash_drawer_balances WHERE drawer_id = ? AND currency_id = ?',
+    const [balances] = await connection.query(
+      'SELECT balance FROM cash_drawer_balances WHERE drawer_id = ? AND currency_id = ? FOR UPDATE',
       [drawer.id, currencyId]
     );
 
     const expectedBalance = balances.length > 0 ? parseDecimal(balances[0].balance) : 0;
     const parsedActualBalance = parseDecimal(actualBalance);
-    const difference = parsedActualBalance - expectedBalance;
+    const difference = parseDecimal(parsedActualBalance - expectedBalance);
 
     let status = 'balanced';
     if (difference > 0) status = 'over';
@@ -662,29 +773,33 @@ const reconcile = async (req, res, next) => {
 
     const reconciliationUuid = uuidv4();
 
-    await pool.query(
+    await connection.query(
       `INSERT INTO cash_drawer_reconciliations
        (uuid, drawer_id, currency_id, expected_balance, actual_balance, difference, status, notes, reconciled_by)
        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [reconciliationUuid, drawer.id, currencyId, expectedBalance, parsedActualBalance, difference, status, notes || null, req.user.id]
     );
 
-    // If there's a difference, create an adjustment
+    // If there's a difference, bring the balance to the counted amount through the ledger
     if (difference !== 0) {
-      // Update balance to actual
-      await pool.query(
-        'UPDATE cash_drawer_balances SET balance = ?, last_updated_by = ? WHERE drawer_id = ? AND currency_id = ?',
-        [parsedActualBalance, req.user.id, drawer.id, currencyId]
-      );
+      await drawerLedger.postEntry(connection, {
+        drawerId: drawer.id,
+        currencyId,
+        type: 'adjustment',
+        change: difference,
+        referenceType: 'reconciliation',
+        referenceId: reconciliationUuid,
+        notes: `Reconciliation: ${status}`,
+        userId: req.user.id,
+        allowNegative: true
+      });
 
-      // Log adjustment transaction
-      const adjustmentUuid = uuidv4();
-      await pool.query(
-        `INSERT INTO cash_drawer_transactions
-         (uuid, drawer_id, currency_id, type, amount, balance_before, balance_after, reference_type, reference_id, notes, performed_by)
-         VALUES (?, ?, ?, 'adjustment', ?, ?, ?, 'reconciliation', ?, ?, ?)`,
-        [adjustmentUuid, drawer.id, currencyId, difference, expectedBalance, parsedActualBalance, reconciliationUuid, `Reconciliation: ${status}`, req.user.id]
-      );
+      await inventory.recordMovement(connection, {
+        drawerId: drawer.id,
+        currencyId,
+        change: difference,
+        branchId: drawer.branch_id
+      });
     }
 
     await logAudit(
@@ -695,9 +810,12 @@ const reconcile = async (req, res, next) => {
       { expectedBalance },
       { actualBalance: parsedActualBalance, difference, status },
       ipAddress,
-      status !== 'balanced' ? 'warning' : 'info'
+      status !== 'balanced' ? 'warning' : 'info',
+      connection
     );
 
+    await connection.commit();
+
     res.json({
       success: true,
       message: 'Reconciliation completed.',
@@ -709,6 +827,465 @@ const reconcile = async (req, res, next) => {
         status
       }
     });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+/**
+ * Map a cash_drawer_transfers row (joined with drawers, currency and users) to the API shape
+ */
+const formatTransfer = (t) => ({
+  uuid: t.uuid,
+  fromDrawer: { uuid: t.from_drawer_uuid, name: t.from_drawer_name },
+  toDrawer: { uuid: t.to_drawer_uuid, name: t.to_drawer_name },
+  currencyId: t.currency_id,
+  currencyCode: t.currency_code,
+  amount: parseDecimal(t.amount),
+  notes: t.notes,
+  status: t.status,
+  initiatedBy: t.initiated_by_name,
+  completedBy: t.completed_by_name,
+  completedAt: t.completed_at,
+  cancelledBy: t.cancelled_by_name,
+  cancelledAt: t.cancelled_at,
+  cancelReason: t.cancel_reason,
+  createdAt: t.created_at
+});
+
+const TRANSFER_SELECT = `
+  SELECT
+    t.*,
+    fd.uuid as from_drawer_uuid,
+    fd.name as from_drawer_name,
+    td.uuid as to_drawer_uuid,
+    td.name as to_drawer_name,
+    c.code as currency_code,
+    iu.full_name as initiated_by_name,
+    cu.full_name as completed_by_name,
+    xu.full_name as cancelled_by_name
+  FROM cash_drawer_transfers t
+  JOIN cash_drawers fd ON t.from_drawer_id = fd.id
+  JOIN cash_drawers td ON t.to_drawer_id = td.id
+  JOIN currencies c ON t.currency_id = c.id
+  LEFT JOIN users iu ON t.initiated_by = iu.id
+  LEFT JOIN users cu ON t.completed_by = cu.id
+  LEFT JOIN users xu ON t.cancelled_by = xu.id
+`;
+
+/**
+ * Get drawer-to-drawer transfers
+ */
+const getTransfers = async (req, res, next) => {
+  try {
+    const { status, drawerUuid, page = 1, limit = 20 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    let where = ' WHERE 1=1';
+    const params = [];
+
+    if (status) {
+      where += ' AND t.status = ?';
+      params.push(status);
+    }
+    if (drawerUuid) {
+      where += ' AND (fd.uuid = ? OR td.uuid = ?)';
+      params.push(drawerUuid, drawerUuid);
+    }
+
+    const [countResult] = await pool.query(
+      `SELECT COUNT(*) as total
+       FROM cash_drawer_transfers t
+       JOIN cash_drawers fd ON t.from_drawer_id = fd.id
+       JOIN cash_drawers td ON t.to_drawer_id = td.id
+       ${where}`,
+      params
+    );
+    const total = countResult[0].total;
+
+    const [transfers] = await pool.query(
+      `${TRANSFER_SELECT}${where} ORDER BY t.created_at DESC LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      success: true,
+      data: transfers.map(formatTransfer),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Initiate a transfer between drawers
+ * Funds leave the source drawer immediately and stay in transit until received
+ */
+const createTransfer = async (req, res, next) => {
+  let connection;
+  try {
+    const { fromDrawerUuid, toDrawerUuid, currencyId, amount, notes } = req.body;
+    const ipAddress = getClientIp(req);
+
+    if (fromDrawerUuid === toDrawerUuid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Source and destination drawers must be different.'
+      });
+    }
+
+    const [drawers] = await pool.query(
+      'SELECT id, uuid, name, branch_id FROM cash_drawers WHERE uuid IN (?, ?) AND is_active = TRUE',
+      [fromDrawerUuid, toDrawerUuid]
+    );
+
+    const fromDrawer = drawers.find(d => d.uuid === fromDrawerUuid);
+    const toDrawer = drawers.find(d => d.uuid === toDrawerUuid);
+
+    if (!fromDrawer || !toDrawer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cash drawer not found or not active.'
+      });
+    }
+
+    const [currencies] = await pool.query(
+      'SELECT id, code FROM currencies WHERE id = ?',
+      [currencyId]
+    );
+
+    if (currencies.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Currency not found.'
+      });
+    }
+
+    const parsedAmount = parseDecimal(amount);
+    const transferUuid = uuidv4();
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const entry = await drawerLedger.postEntry(connection, {
+      drawerId: fromDrawer.id,
+      currencyId,
+      type: 'transfer_out',
+      change: -parsedAmount,
+      referenceType: 'transfer',
+      referenceId: transferUuid,
+      notes: `Transfer to ${toDrawer.name}`,
+      userId: req.user.id,
+      currencyCode: currencies[0].code
+    });
+
+    // Funds travel at the source drawer's average cost
+    const moved = await inventory.recordMovement(connection, {
+      drawerId: fromDrawer.id,
+      currencyId,
+      change: -parsedAmount,
+      branchId: fromDrawer.branch_id
+    });
+    const unitCost = moved && parsedAmount > 0 ? parseDecimal(moved.cost / parsedAmount, 8) : null;
+
+    await connection.query(
+      `INSERT INTO cash_drawer_transfers
+       (uuid, from_drawer_id, to_drawer_id, currency_id, amount, unit_cost, notes, status, initiated_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?)`,
+      [transferUuid, fromDrawer.id, toDrawer.id, currencyId, parsedAmount, unitCost, notes || null, req.user.id]
+    );
+
+    await logAudit(
+      req.user.id,
+      'CASH_TRANSFER_INITIATE',
+      'cash_drawer_transfers',
+      transferUuid,
+      null,
+      {
+        from: fromDrawer.name,
+        to: toDrawer.name,
+        currency: currencies[0].code,
+        amount: parsedAmount,
+        sourceBalance: entry.balanceAfter
+      },
+      ipAddress,
+      'info',
+      connection
+    );
+
+    await connection.commit();
+
+    res.status(201).json({
+      success: true,
+      message: 'Transfer initiated. Funds are in transit until received.',
+      data: {
+        uuid: transferUuid,
+        status: 'pending',
+        amount: parsedAmount,
+        sourceBalanceAfter: entry.balanceAfter
+      }
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+/**
+ * Lock a pending transfer for completion or cancellation
+ * @returns {Promise<Object|null>} Transfer row, or null after responding with an error
+ */
+const lockPendingTransfer = async (connection, uuid, res) => {
+  const [transfers] = await connection.query(
+    'SELECT * FROM cash_drawer_transfers WHERE uuid = ? FOR UPDATE',
+    [uuid]
+  );
+
+  if (transfers.length === 0) {
+    res.status(404).json({
+      success: false,
+      message: 'Transfer not found.'
+    });
+    return null;
+  }
+
+  if (transfers[0].status !== 'pending') {
+    res.status(409).json({
+      success: false,
+      message: `Transfer is already ${transfers[0].status}.`
+    });
+    return null;
+  }
+
+  return transfers[0];
+};
+
+/**
+ * Confirm receipt of an in-transit transfer at the destination drawer
+ */
+const receiveTransfer = async (req, res, next) => {
+  let connection;
+  try {
+    const { uuid } = req.params;
+    const ipAddress = getClientIp(req);
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const transfer = await lockPendingTransfer(connection, uuid, res);
+    if (!transfer) {
+      await connection.rollback();
+      return;
+    }
+
+    const [drawers] = await connection.query(
+      'SELECT id, name, is_active FROM cash_drawers WHERE id = ?',
+      [transfer.to_drawer_id]
+    );
+
+    if (!drawers[0].is_active) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Destination drawer is not active. Cancel the transfer to return the funds.'
+      });
+    }
+
+    const amount = parseDecimal(transfer.amount);
+
+    const entry = await drawerLedger.postEntry(connection, {
+      drawerId: transfer.to_drawer_id,
+      currencyId: transfer.currency_id,
+      type: 'transfer_in',
+      change: amount,
+      referenceType: 'transfer',
+      referenceId: transfer.uuid,
+      notes: 'Transfer received',
+      userId: req.user.id
+    });
+
+    await inventory.recordMovement(connection, {
+      drawerId: transfer.to_drawer_id,
+      currencyId: transfer.currency_id,
+      change: amount,
+      unitCost: transfer.unit_cost !== null ? parseDecimal(transfer.unit_cost, 8) : null
+    });
+
+    await connection.query(
+      `UPDATE cash_drawer_transfers
+       SET status = 'completed', completed_by = ?, completed_at = NOW()
+       WHERE id = ?`,
+      [req.user.id, transfer.id]
+    );
+
+    await logAudit(
+      req.user.id,
+      'CASH_TRANSFER_RECEIVE',
+      'cash_drawer_transfers',
+      transfer.uuid,
+      { status: 'pending' },
+      { status: 'completed', amount, destinationBalance: entry.balanceAfter },
+      ipAddress,
+      'info',
+      connection
+    );
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Transfer received.',
+      data: {
+        uuid: transfer.uuid,
+        status: 'completed',
+        amount,
+        destinationBalanceAfter: entry.balanceAfter
+      }
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+/**
+ * Cancel an in-transit transfer and return the funds to the source drawer
+ */
+const cancelTransfer = async (req, res, next) => {
+  let connection;
+  try {
+    const { uuid } = req.params;
+    const { reason } = req.body;
+    const ipAddress = getClientIp(req);
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const transfer = await lockPendingTransfer(connection, uuid, res);
+    if (!transfer) {
+      await connection.rollback();
+      return;
+    }
+
+    // Only the initiator or a supervisor may call funds back
+    if (transfer.initiated_by !== req.user.id && !['admin', 'manager'].includes(req.user.role)) {
+      await connection.rollback();
+      return res.status(403).json({
+        success: false,
+        message: 'Only the initiator or a manager can cancel this transfer.'
+      });
+    }
+
+    const amount = parseDecimal(transfer.amount);
+
+    const entry = await drawerLedger.postEntry(connection, {
+      drawerId: transfer.from_drawer_id,
+      currencyId: transfer.currency_id,
+      type: 'transfer_in',
+      change: amount,
+      referenceType: 'transfer',
+      referenceId: transfer.uuid,
+      notes: `Transfer cancelled: ${reason}`,
+      userId: req.user.id
+    });
+
+    await inventory.recordMovement(connection, {
+      drawerId: transfer.from_drawer_id,
+      currencyId: transfer.currency_id,
+      change: amount,
+      unitCost: transfer.unit_cost !== null ? parseDecimal(transfer.unit_cost, 8) : null
+    });
+
+    await connection.query(
+      `UPDATE cash_drawer_transfers
+       SET status = 'cancelled', cancelled_by = ?, cancelled_at = NOW(), cancel_reason = ?
+       WHERE id = ?`,
+      [req.user.id, reason, transfer.id]
+    );
+
+    await logAudit(
+      req.user.id,
+      'CASH_TRANSFER_CANCEL',
+      'cash_drawer_transfers',
+      transfer.uuid,
+      { status: 'pending' },
+      { status: 'cancelled', reason, amount, sourceBalance: entry.balanceAfter },
+      ipAddress,
+      'warning',
+      connection
+    );
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Transfer cancelled. Funds returned to the source drawer.',
+      data: {
+        uuid: transfer.uuid,
+        status: 'cancelled',
+        amount,
+        sourceBalanceAfter: entry.balanceAfter
+      }
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+/**
+ * Verify drawer ledgers
+ * Replays cash_drawer_transactions per drawer/currency and reports any
+ * mismatch against cash_drawer_balances
+ */
+const verifyLedger = async (req, res, next) => {
+  try {
+    const { uuid } = req.params;
+    let drawerId = null;
+
+    if (uuid) {
+      const [drawers] = await pool.query(
+        'SELECT id FROM cash_drawers WHERE uuid = ?',
+        [uuid]
+      );
+
+      if (drawers.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cash drawer not found.'
+        });
+      }
+
+      drawerId = drawers[0].id;
+    }
+
+    const results = await drawerLedger.verifyLedger(pool, drawerId);
+    const mismatches = results.filter(r => !r.isConsistent);
+
+    res.json({
+      success: true,
+      data: {
+        isConsistent: mismatches.length === 0,
+        checked: results.length,
+        mismatchCount: mismatches.length,
+        results
+      }
+    });
   } catch (error) {
     next(error);
   }
@@ -866,6 +1443,11 @@ module.exports = {
   adjust,
   getDrawerHistory,
   reconcile,
+  getTransfers,
+  createTransfer,
+  receiveTransfer,
+  cancelTransfer,
+  verifyLedger,
   getLowBalanceAlerts,
   getDrawerStatus,
   submitClosing
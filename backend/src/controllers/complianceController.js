@@ -2,9 +2,30 @@
  * Compliance Controller
  * Manages compliance rules, alerts, and suspicious activity reports
  */
+const fs = require('fs');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../config/database');
 const { logAudit, getClientIp, parseDecimal } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { recalculateCustomerRisk } = require('../services/riskScoringService');
+const { detectPatterns } = require('../services/structuringService');
+const { SAR_TRANSITIONS, planTransition, generateReportNumber, buildFilingPackage, toXml } = require('../services/sarService');
+const exportService = require('../services/exportService');
+const companyConfig = require('../config/company');
+
+/**
+ * Rescore a customer after a change that affects their risk has been saved.
+ * Failures are logged rather than returned: the change itself went through and
+ * the nightly run catches the score up.
+ */
+const rescoreCustomer = async (customerId, trigger) => {
+  try {
+    await recalculateCustomerRisk(pool, customerId, trigger);
+  } catch (error) {
+    logger.error('Customer risk rescoring failed', { customerId, source: trigger.source, error: error.message });
+  }
+};
 
 /**
  * Get all compliance rules
@@ -155,7 +176,7 @@ const toggleRule = async (req, res, next) => {
  */
 const getAlerts = async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, status, severity, alertType, startDate, endDate } = req.query;
+    const { page = 1, limit = 20, status, severity, alertType, customerUuid, startDate, endDate } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
     let query = `
@@ -179,6 +200,7 @@ const getAlerts = async (req, res, next) => {
     if (status) { query += ' AND a.status = ?'; params.push(status); }
     if (severity) { query += ' AND a.severity = ?'; params.push(severity); }
     if (alertType) { query += ' AND a.alert_type = ?'; params.push(alertType); }
+    if (customerUuid) { query += ' AND c.uuid = ?'; params.push(customerUuid); }
     if (startDate) { query += ' AND DATE(a.created_at) >= ?'; params.push(startDate); }
     if (endDate) { query += ' AND DATE(a.created_at) <= ?'; params.push(endDate); }
 
@@ -191,6 +213,22 @@ const getAlerts = async (req, res, next) => {
 
     const [alerts] = await pool.query(query, params);
 
+    // Transactions making up a pattern, beyond the one that raised the alert
+    const linked = {};
+    if (alerts.length > 0) {
+      const [links] = await pool.query(
+        `SELECT at.alert_id, t.uuid, t.transaction_number
+         FROM compliance_alert_transactions at
+         JOIN transactions t ON at.transaction_id = t.id
+         WHERE at.alert_id IN (${alerts.map(() => '?').join(',')})
+         ORDER BY t.transaction_date ASC`,
+        alerts.map(a => a.id)
+      );
+      for (const link of links) {
+        (linked[link.alert_id] = linked[link.alert_id] || []).push({ uuid: link.uuid, number: link.transaction_number });
+      }
+    }
+
     res.json({
       success: true,
       data: alerts.map(a => ({
@@ -199,8 +237,9 @@ const getAlerts = async (req, res, next) => {
         alertType: a.alert_type,
         severity: a.severity,
         description: a.description,
-        details: a.details ? JSON.parse(a.details) : null,
+        details: a.details ? (typeof a.details === 'string' ? JSON.parse(a.details) : a.details) : null,
         transaction: a.transaction_uuid ? { uuid: a.transaction_uuid, number: a.transaction_number } : null,
+        linkedTransactions: linked[a.id] || [],
         customer: a.customer_uuid ? { uuid: a.customer_uuid, name: a.customer_name } : null,
         status: a.status,
         reviewedBy: a.reviewed_by_name,
@@ -236,134 +275,294 @@ const reviewAlert = async (req, res, next) => {
       [status, notes || null, req.user.id, uuid]
     );
 
+    // Closing a watchlist alert as a false positive clears the match behind it
+    if (alert.alert_type === 'watchlist_match' && status === 'false_positive') {
+      await pool.query(
+        "UPDATE watchlist_matches SET status = 'cleared', reviewed_by = ?, reviewed_at = NOW(), review_notes = ? WHERE alert_id = ? AND status = 'pending'",
+        [req.user.id, notes || null, alert.id]
+      );
+    }
+
     await logAudit(req.user.id, 'ALERT_REVIEW', 'compliance_alerts', alert.id, { status: alert.status }, { status, notes }, ipAddress, 'info');
 
+    if (alert.customer_id) {
+      await rescoreCustomer(alert.customer_id, { source: 'alert_review', reference: uuid, userId: req.user.id });
+    }
+
     res.json({ success: true, message: 'Alert reviewed successfully.' });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Review several alerts with the same outcome
+ */
+const bulkReviewAlerts = async (req, res, next) => {
+  const connection = await pool.getConnection();
+  try {
+    const { uuids, status, notes } = req.body;
+    const ipAddress = getClientIp(req);
+
+    await connection.beginTransaction();
+
+    const placeholders = uuids.map(() => '?').join(',');
+    const [alerts] = await connection.query(
+      `SELECT id, uuid, status, alert_type, customer_id FROM compliance_alerts WHERE uuid IN (${placeholders}) FOR UPDATE`,
+      uuids
+    );
+
+    if (alerts.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ success: false, message: 'No alerts found with the provided UUIDs.' });
+    }
+
+    await connection.query(
+      `UPDATE compliance_alerts SET status = ?, review_notes = ?, reviewed_by = ?, reviewed_at = NOW()
+       WHERE id IN (${alerts.map(() => '?').join(',')})`,
+      [status, notes || null, req.user.id, ...alerts.map(a => a.id)]
+    );
+
+    const watchlistAlerts = alerts.filter(a => a.alert_type === 'watchlist_match');
+    if (status === 'false_positive' && watchlistAlerts.length > 0) {
+      await connection.query(
+        `UPDATE watchlist_matches SET status = 'cleared', reviewed_by = ?, reviewed_at = NOW(), review_notes = ?
+         WHERE alert_id IN (${watchlistAlerts.map(() => '?').join(',')}) AND status = 'pending'`,
+        [req.user.id, notes || null, ...watchlistAlerts.map(a => a.id)]
+      );
+    }
+
+    for (const alert of alerts) {
+      await logAudit(req.user.id, 'ALERT_REVIEW', 'compliance_alerts', alert.id, { status: alert.status }, { status, notes, bulk: true }, ipAddress, 'info', connection);
+    }
+
+    await connection.commit();
+
+    const customerIds = [...new Set(alerts.filter(a => a.customer_id).map(a => a.customer_id))];
+    for (const customerId of customerIds) {
+      await rescoreCustomer(customerId, { source: 'alert_review', userId: req.user.id });
+    }
+
+    const found = alerts.map(a => a.uuid);
+    res.json({
+      success: true,
+      message: `${alerts.length} alert(s) reviewed successfully.`,
+      data: {
+        updated: found,
+        notFound: uuids.filter(uuid => !found.includes(uuid))
+      }
+    });
+  } catch (error) {
+    await connection.rollback();
+    next(error);
+  } finally {
+    connection.release();
+  }
+};
+
 /**
  * Check transaction against compliance rules
- * Called internally during transaction creation
+ * Called internally during transaction creation. Pass the open connection so the
+ * lookups run inside the caller's DB transaction; errors propagate so the caller
+ * rolls back instead of letting a transaction through unchecked.
  */
-const checkTransaction = async (transaction, customerId) => {
+const checkTransaction = async (transaction, customerId, connection = null) => {
+  const db = connection || pool;
   const alerts = [];
+  const amountIn = parseFloat(transaction.amountIn);
 
-  try {
-    // Get active rules
-    const [rules] = await pool.query(
-      'SELECT * FROM compliance_rules WHERE is_active = TRUE ORDER BY priority ASC'
-    );
+  // Get active rules
+  const [rules] = await db.query(
+    'SELECT * FROM compliance_rules WHERE is_active = TRUE ORDER BY priority ASC'
+  );
 
-    for (const rule of rules) {
-      let shouldAlert = false;
-      let description = '';
-      let severity = 'medium';
+  for (const rule of rules) {
+    // Currency-specific rules only apply to transactions paid in that currency
+    if (rule.currency_id && rule.currency_id !== transaction.currencyInId) {
+      continue;
+    }
 
-      switch (rule.rule_type) {
-        case 'transaction_limit':
-          if (rule.threshold_amount && transaction.amountIn >= rule.threshold_amount) {
+    const thresholdAmount = rule.threshold_amount !== null ? parseFloat(rule.threshold_amount) : null;
+    let shouldAlert = false;
+    let description = '';
+    let severity = 'medium';
+
+    switch (rule.rule_type) {
+      case 'transaction_limit':
+        if (thresholdAmount && amountIn >= thresholdAmount) {
+          shouldAlert = true;
+          description = `Transaction amount (${amountIn}) exceeds threshold (${thresholdAmount})`;
+          severity = amountIn >= thresholdAmount * 2 ? 'high' : 'medium';
+        }
+        break;
+
+      case 'daily_limit':
+        if (customerId && thresholdAmount) {
+          const [dailyTotal] = await db.query(`
+            SELECT COALESCE(SUM(amount_in), 0) as total
+            FROM transactions
+            WHERE customer_id = ? AND DATE(transaction_date) = CURDATE()
+              AND status IN ('completed', 'pending') AND deleted_at IS NULL
+          `, [customerId]);
+
+          const newTotal = parseFloat(dailyTotal[0].total) + amountIn;
+          if (newTotal >= thresholdAmount) {
             shouldAlert = true;
-            description = `Transaction amount (${transaction.amountIn}) exceeds threshold (${rule.threshold_amount})`;
-            severity = transaction.amountIn >= rule.threshold_amount * 2 ? 'high' : 'medium';
-          }
-          break;
-
-        case 'daily_limit':
-          if (customerId && rule.threshold_amount) {
-            const [dailyTotal] = await pool.query(`
-              SELECT COALESCE(SUM(amount_in), 0) as total
-              FROM transactions
-              WHERE customer_id = ? AND DATE(transaction_date) = CURDATE() AND status = 'completed' AND deleted_at IS NULL
-            `, [customerId]);
-
-            const newTotal = parseFloat(dailyTotal[0].total) + transaction.amountIn;
-            if (newTotal >= rule.threshold_amount) {
-              shouldAlert = true;
-              description = `Customer daily total (${newTotal}) exceeds threshold (${rule.threshold_amount})`;
-              severity = 'high';
-            }
-          }
-          break;
-
-        case 'velocity':
-          if (customerId && rule.threshold_count) {
-            const [transactionCount] = await pool.query(`
-              SELECT COUNT(*) as count
-              FROM transactions
-              WHERE customer_id = ? AND transaction_date >= DATE_SUB(NOW(), INTERVAL ? HOUR) AND status = 'completed'
-            `, [customerId, rule.time_window_hours || 24]);
-
-            if (transactionCount[0].count >= rule.threshold_count) {
-              shouldAlert = true;
-              description = `Customer has ${transactionCount[0].count + 1} transactions in ${rule.time_window_hours}h (threshold: ${rule.threshold_count})`;
-              severity = 'medium';
-            }
+            description = `Customer daily total (${newTotal}) exceeds threshold (${thresholdAmount})`;
+            severity = 'high';
           }
-          break;
-
-        case 'id_required':
-          if (rule.threshold_amount && transaction.amountIn >= rule.threshold_amount) {
-            if (!transaction.customerIdNumber) {
-              shouldAlert = true;
-              description = `Customer ID required for transactions over ${rule.threshold_amount}`;
-              severity = 'low';
-            }
+        }
+        break;
+
+      case 'velocity':
+        if (customerId && rule.threshold_count) {
+          const [transactionCount] = await db.query(`
+            SELECT COUNT(*) as count
+            FROM transactions
+            WHERE customer_id = ? AND transaction_date >= DATE_SUB(NOW(), INTERVAL ? HOUR)
+              AND status IN ('completed', 'pending') AND deleted_at IS NULL
+          `, [customerId, rule.time_window_hours || 24]);
+
+          if (transactionCount[0].count >= rule.threshold_count) {
+            shouldAlert = true;
+            description = `Customer has ${transactionCount[0].count + 1} transactions in ${rule.time_window_hours}h (threshold: ${rule.threshold_count})`;
+            severity = 'medium';
           }
-          break;
-      }
+        }
+        break;
 
-      if (shouldAlert) {
-        alerts.push({
-          ruleId: rule.id,
-          alertType: rule.rule_type === 'transaction_limit' ? 'large_transaction' :
-                     rule.rule_type === 'daily_limit' ? 'daily_limit_exceeded' :
-                     rule.rule_type === 'velocity' ? 'velocity_exceeded' : 'id_missing',
-          severity,
-          description,
-          action: rule.action
-        });
-      }
+      case 'id_required':
+        if (thresholdAmount && amountIn >= thresholdAmount) {
+          if (!transaction.customerIdNumber) {
+            shouldAlert = true;
+            description = `Customer ID required for transactions over ${thresholdAmount}`;
+            severity = 'low';
+          }
+        }
+        break;
     }
 
-    return alerts;
-  } catch (error) {
-    console.error('Compliance check error:', error);
-    return [];
+    if (shouldAlert) {
+      alerts.push({
+        ruleId: rule.id,
+        ruleName: rule.name,
+        alertType: rule.rule_type === 'transaction_limit' ? 'large_transaction' :
+                   rule.rule_type === 'daily_limit' ? 'daily_limit_exceeded' :
+                   rule.rule_type === 'velocity' ? 'velocity_exceeded' : 'id_missing',
+        severity,
+        description,
+        action: rule.action
+      });
+    }
   }
+
+  return alerts;
+};
+
+/**
+ * Evaluate a new transaction and resolve the actions of the triggered rules
+ * - block: the transaction must be rejected
+ * - require_id: the transaction must be rejected unless ID type and number are present
+ * - require_approval: the transaction is held as pending
+ * - flag: the transaction goes through and an alert is recorded
+ */
+const evaluateTransaction = async (transaction, customerId, connection = null) => {
+  const triggered = await checkTransaction(transaction, customerId, connection);
+  const hasId = Boolean(transaction.customerIdType && transaction.customerIdNumber);
+
+  const blockedBy = triggered.filter(a => a.action === 'block');
+  const idRequiredBy = hasId ? [] : triggered.filter(a => a.action === 'require_id');
+  const approvalRequiredBy = triggered.filter(a => a.action === 'require_approval');
+
+  return {
+    blocked: blockedBy.length > 0,
+    idRequired: idRequiredBy.length > 0,
+    requiresApproval: approvalRequiredBy.length > 0,
+    violations: [...blockedBy, ...idRequiredBy].map(a => ({ rule: a.ruleName, description: a.description })),
+    // Rules that let the transaction through but must leave a trail for the compliance officer
+    alerts: triggered.filter(a => a.action === 'flag' || a.action === 'require_approval')
+  };
+};
+
+/**
+ * Link transactions to an alert; already linked ones are skipped
+ */
+const linkAlertTransactions = async (db, alertId, transactionIds) => {
+  if (!transactionIds || transactionIds.length === 0) return;
+  await db.query(
+    `INSERT IGNORE INTO compliance_alert_transactions (alert_id, transaction_id) VALUES ${transactionIds.map(() => '(?, ?)').join(', ')}`,
+    transactionIds.flatMap(id => [alertId, id])
+  );
 };
 
 /**
  * Create compliance alert
+ * Accepts an optional connection so alerts commit or roll back with the transaction they describe.
+ * alertData.transactionIds links further transactions, alertData.patternKey names the pattern it reports.
  */
-const createAlert = async (alertData, transactionId, customerId) => {
-  try {
-    const uuid = uuidv4();
-    await pool.query(
-      `INSERT INTO compliance_alerts (uuid, rule_id, transaction_id, customer_id, alert_type, severity, description, details)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [uuid, alertData.ruleId, transactionId, customerId, alertData.alertType, alertData.severity, alertData.description, JSON.stringify(alertData.details || {})]
+const createAlert = async (alertData, transactionId, customerId, connection = null) => {
+  const db = connection || pool;
+  const uuid = uuidv4();
+  const [result] = await db.query(
+    `INSERT INTO compliance_alerts (uuid, rule_id, transaction_id, customer_id, alert_type, severity, description, details, pattern_key)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [uuid, alertData.ruleId || null, transactionId, customerId, alertData.alertType, alertData.severity, alertData.description, JSON.stringify(alertData.details || {}), alertData.patternKey || null]
+  );
+
+  await linkAlertTransactions(db, result.insertId, alertData.transactionIds);
+
+  // The score itself is recomputed by the caller once the transaction is committed
+  if (customerId) {
+    await db.query(`
+      INSERT INTO customer_risk_profiles (customer_id, total_alerts, last_alert_date)
+      VALUES (?, 1, NOW())
+      ON DUPLICATE KEY UPDATE
+        total_alerts = total_alerts + 1,
+        last_alert_date = NOW()
+    `, [customerId]);
+  }
+
+  return uuid;
+};
+
+/**
+ * Look for structuring patterns a new transaction takes part in and record them as
+ * suspicious_pattern alerts with the linked transactions. A pattern that already has an
+ * open alert gets the new transactions added to it instead of a second alert.
+ * Call it after the transaction is inserted, on the caller's connection.
+ * @returns {Promise<Array<Object>>} The patterns found
+ */
+const detectStructuring = async (transaction, customerId, connection = null) => {
+  const db = connection || pool;
+  const patterns = await detectPatterns(db, { ...transaction, customerId });
+
+  for (const pattern of patterns) {
+    const [open] = await db.query(
+      `SELECT id FROM compliance_alerts
+       WHERE pattern_key = ? AND status IN ('pending', 'escalated')
+       ORDER BY created_at DESC LIMIT 1`,
+      [pattern.key]
     );
 
-    // Update customer risk profile if customer exists
-    if (customerId) {
-      await pool.query(`
-        INSERT INTO customer_risk_profiles (customer_id, total_alerts, last_alert_date)
-        VALUES (?, 1, NOW())
-        ON DUPLICATE KEY UPDATE
-          total_alerts = total_alerts + 1,
-          last_alert_date = NOW(),
-          risk_score = LEAST(risk_score + 10, 100)
-      `, [customerId]);
+    if (open.length > 0) {
+      await db.query(
+        'UPDATE compliance_alerts SET description = ?, details = ?, severity = ? WHERE id = ?',
+        [pattern.description, JSON.stringify(pattern.details), pattern.severity, open[0].id]
+      );
+      await linkAlertTransactions(db, open[0].id, pattern.transactionIds);
+    } else {
+      await createAlert({
+        alertType: 'suspicious_pattern',
+        severity: pattern.severity,
+        description: pattern.description,
+        details: pattern.details,
+        patternKey: pattern.key,
+        transactionIds: pattern.transactionIds
+      }, transaction.id, customerId, connection);
     }
-
-    return uuid;
-  } catch (error) {
-    console.error('Create alert error:', error);
-    return null;
   }
+
+  return patterns;
 };
 
 /**
@@ -391,13 +590,37 @@ const getCustomerRiskProfile = async (req, res, next) => {
 
     // Get recent alerts
     const [recentAlerts] = await pool.query(`
-      SELECT uuid, alert_type, severity, description, status, created_at
-      FROM compliance_alerts
-      WHERE customer_id = ?
-      ORDER BY created_at DESC
+      SELECT a.uuid, a.alert_type, a.severity, a.description, a.status, a.created_at,
+        t.uuid as transaction_uuid, t.transaction_number
+      FROM compliance_alerts a
+      LEFT JOIN transactions t ON a.transaction_id = t.id
+      WHERE a.customer_id = ?
+      ORDER BY a.created_at DESC
       LIMIT 10
     `, [customer.id]);
 
+    // Get recent transactions
+    const [recentTransactions] = await pool.query(`
+      SELECT t.uuid, t.transaction_number, t.amount_in, t.amount_out, t.status, t.transaction_date,
+        ci.code as currency_in_code, co.code as currency_out_code
+      FROM transactions t
+      JOIN currencies ci ON t.currency_in_id = ci.id
+      JOIN currencies co ON t.currency_out_id = co.id
+      WHERE t.customer_id = ? AND t.deleted_at IS NULL
+      ORDER BY t.transaction_date DESC
+      LIMIT 20
+    `, [customer.id]);
+
+    const [scoreHistory] = await pool.query(`
+      SELECT h.previous_score, h.risk_score, h.previous_level, h.risk_level, h.factors, h.reason,
+        h.source, h.reference, h.created_at, u.full_name as triggered_by_name
+      FROM customer_risk_score_history h
+      LEFT JOIN users u ON h.triggered_by = u.id
+      WHERE h.customer_id = ?
+      ORDER BY h.created_at DESC, h.id DESC
+      LIMIT 20
+    `, [customer.id]);
+
     // Get transaction stats
     const [stats] = await pool.query(`
       SELECT
@@ -414,6 +637,8 @@ const getCustomerRiskProfile = async (req, res, next) => {
         customer: { uuid, name: customer.full_name },
         riskScore: profile.risk_score,
         riskLevel: profile.risk_level,
+        factors: profile.score_factors ? (typeof profile.score_factors === 'string' ? JSON.parse(profile.score_factors) : profile.score_factors) : [],
+        scoredAt: profile.scored_at || null,
         totalAlerts: profile.total_alerts,
         totalSARs: profile.total_sars,
         lastAlertDate: profile.last_alert_date,
@@ -431,7 +656,30 @@ const getCustomerRiskProfile = async (req, res, next) => {
           severity: a.severity,
           description: a.description,
           status: a.status,
+          transaction: a.transaction_uuid ? { uuid: a.transaction_uuid, number: a.transaction_number } : null,
           createdAt: a.created_at
+        })),
+        recentTransactions: recentTransactions.map(t => ({
+          uuid: t.uuid,
+          transactionNumber: t.transaction_number,
+          currencyIn: t.currency_in_code,
+          currencyOut: t.currency_out_code,
+          amountIn: parseDecimal(t.amount_in),
+          amountOut: parseDecimal(t.amount_out),
+          status: t.status,
+          transactionDate: t.transaction_date
+        })),
+        scoreHistory: scoreHistory.map(h => ({
+          previousScore: h.previous_score,
+          riskScore: h.risk_score,
+          previousLevel: h.previous_level,
+          riskLevel: h.risk_level,
+          factors: typeof h.factors === 'string' ? JSON.parse(h.factors) : h.factors,
+          reason: h.reason,
+          source: h.source,
+          reference: h.reference,
+          triggeredBy: h.triggered_by_name,
+          createdAt: h.created_at
         }))
       }
     });
@@ -440,46 +688,207 @@ const getCustomerRiskProfile = async (req, res, next) => {
   }
 };
 
+/**
+ * Recompute a customer's risk score now
+ */
+const recalculateRiskScore = async (req, res, next) => {
+  try {
+    const { uuid } = req.params;
+    const ipAddress = getClientIp(req);
+
+    const [customers] = await pool.query('SELECT id FROM customers WHERE uuid = ?', [uuid]);
+    if (customers.length === 0) {
+      return res.status(404).json({ success: false, message: 'Customer not found.' });
+    }
+
+    const result = await recalculateCustomerRisk(pool, customers[0].id, { source: 'manual', userId: req.user.id });
+
+    if (result.changed) {
+      await logAudit(
+        req.user.id,
+        'RISK_RESCORE',
+        'customer_risk_profiles',
+        customers[0].id,
+        { riskScore: result.previousScore, riskLevel: result.previousLevel },
+        { riskScore: result.score, riskLevel: result.level },
+        ipAddress,
+        'info'
+      );
+    }
+
+    res.json({
+      success: true,
+      message: result.changed ? 'Risk score updated.' : 'Risk score unchanged.',
+      data: {
+        riskScore: result.score,
+        riskLevel: result.level,
+        previousScore: result.previousScore,
+        previousLevel: result.previousLevel,
+        factors: result.factors
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load a SAR by uuid with the names of the people who worked on it
+ * @param {Object} db - Pool or connection
+ * @param {string} uuid
+ * @param {boolean} [forUpdate] - Lock the row (connection only)
+ */
+const loadSAR = async (db, uuid, forUpdate = false) => {
+  const [rows] = await db.query(
+    `SELECT s.*,
+      cb.full_name as created_by_name,
+      sb.full_name as submitted_by_name,
+      rb.full_name as reviewed_by_name
+     FROM suspicious_activity_reports s
+     LEFT JOIN users cb ON s.created_by = cb.id
+     LEFT JOIN users sb ON s.submitted_by = sb.id
+     LEFT JOIN users rb ON s.reviewed_by = rb.id
+     WHERE s.uuid = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+    [uuid]
+  );
+  return rows[0] || null;
+};
+
+// alert_ids and transaction_ids hold uuids as a JSON array
+const parseUuidList = (value) => {
+  if (!value) return [];
+  const list = typeof value === 'string' ? JSON.parse(value) : value;
+  return Array.isArray(list) ? list : [];
+};
+
+/**
+ * Load everything a SAR refers to: subject, transactions, alerts, attachments and history
+ * @param {Object} db - Pool or connection
+ * @param {Object} report - Row from loadSAR
+ */
+const loadSARDetails = async (db, report) => {
+  let customer = null;
+  if (report.customer_id) {
+    const [customers] = await db.query('SELECT * FROM customers WHERE id = ?', [report.customer_id]);
+    customer = customers[0] || null;
+  }
+
+  const transactionUuids = parseUuidList(report.transaction_ids);
+  let transactions = [];
+  if (transactionUuids.length > 0) {
+    [transactions] = await db.query(
+      `SELECT t.*, ci.code as currency_in_code, co.code as currency_out_code, u.full_name as employee_name
+       FROM transactions t
+       JOIN currencies ci ON t.currency_in_id = ci.id
+       JOIN currencies co ON t.currency_out_id = co.id
+       LEFT JOIN users u ON t.employee_id = u.id
+       WHERE t.uuid IN (${transactionUuids.map(() => '?').join(',')})
+       ORDER BY t.transaction_date ASC`,
+      transactionUuids
+    );
+  }
+
+  const alertUuids = parseUuidList(report.alert_ids);
+  let alerts = [];
+  if (alertUuids.length > 0) {
+    [alerts] = await db.query(
+      `SELECT * FROM compliance_alerts WHERE uuid IN (${alertUuids.map(() => '?').join(',')}) ORDER BY created_at ASC`,
+      alertUuids
+    );
+  }
+
+  const [attachments] = await db.query(
+    `SELECT a.*, u.full_name as uploaded_by_name
+     FROM sar_attachments a
+     LEFT JOIN users u ON a.uploaded_by = u.id
+     WHERE a.sar_id = ? ORDER BY a.created_at ASC`,
+    [report.id]
+  );
+
+  const [history] = await db.query(
+    `SELECT h.*, u.full_name as changed_by_name
+     FROM sar_status_history h
+     LEFT JOIN users u ON h.changed_by = u.id
+     WHERE h.sar_id = ? ORDER BY h.created_at ASC, h.id ASC`,
+    [report.id]
+  );
+
+  return { report, customer, transactions, alerts, attachments, history };
+};
+
+const recordSARStatus = (db, sarId, fromStatus, toStatus, action, notes, userId) => db.query(
+  `INSERT INTO sar_status_history (sar_id, from_status, to_status, action, notes, changed_by)
+   VALUES (?, ?, ?, ?, ?, ?)`,
+  [sarId, fromStatus, toStatus, action, notes || null, userId]
+);
+
+const attachmentPath = (storedName) => path.resolve(companyConfig.sar.attachmentDir, storedName);
+
+// Uploaded file that will not be kept
+const discardUpload = async (file) => {
+  if (!file) return;
+  try {
+    await fs.promises.unlink(file.path);
+  } catch (error) {
+    logger.warn(`Could not remove uploaded file ${file.path}: ${error.message}`);
+  }
+};
+
 /**
  * Create Suspicious Activity Report
  */
 const createSAR = async (req, res, next) => {
+  const connection = await pool.getConnection();
   try {
-    const { customerUuid, alertUuids, transactionUuids, description, riskLevel } = req.body;
+    const {
+      customerUuid, alertUuids, transactionUuids, description, riskLevel,
+      suspicionType, activityFrom, activityTo, actionTaken
+    } = req.body;
     const ipAddress = getClientIp(req);
 
     let customerId = null;
     if (customerUuid) {
-      const [customers] = await pool.query('SELECT id FROM customers WHERE uuid = ?', [customerUuid]);
+      const [customers] = await connection.query('SELECT id FROM customers WHERE uuid = ?', [customerUuid]);
       if (customers.length > 0) customerId = customers[0].id;
     }
 
     const uuid = uuidv4();
 
-    await pool.query(
-      `INSERT INTO suspicious_activity_reports (uuid, customer_id, alert_ids, transaction_ids, description, risk_level, created_by)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [uuid, customerId, JSON.stringify(alertUuids || []), JSON.stringify(transactionUuids || []), description, riskLevel, req.user.id]
+    await connection.beginTransaction();
+
+    const reportNumber = await generateReportNumber(connection);
+    const [result] = await connection.query(
+      `INSERT INTO suspicious_activity_reports
+        (uuid, report_number, customer_id, alert_ids, transaction_ids, suspicion_type, activity_from, activity_to,
+         description, action_taken, risk_level, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuid, reportNumber, customerId, JSON.stringify(alertUuids || []), JSON.stringify(transactionUuids || []),
+        suspicionType || 'other', activityFrom || null, activityTo || null,
+        description, actionTaken || null, riskLevel, req.user.id
+      ]
     );
+    await recordSARStatus(connection, result.insertId, null, 'draft', 'create', null, req.user.id);
+
+    await logAudit(req.user.id, 'CREATE_SAR', 'suspicious_activity_reports', uuid, null, { reportNumber, customerUuid, riskLevel, suspicionType }, ipAddress, 'critical', connection);
+
+    await connection.commit();
 
-    // Update customer risk profile
+    // An open SAR keeps the customer at high risk
     if (customerId) {
-      await pool.query(`
-        UPDATE customer_risk_profiles
-        SET total_sars = total_sars + 1, risk_level = 'high', risk_score = LEAST(risk_score + 30, 100)
-        WHERE customer_id = ?
-      `, [customerId]);
+      await rescoreCustomer(customerId, { source: 'sar', reference: uuid, userId: req.user.id });
     }
 
-    await logAudit(req.user.id, 'CREATE_SAR', 'suspicious_activity_reports', uuid, null, { customerUuid, riskLevel }, ipAddress, 'critical');
-
     res.status(201).json({
       success: true,
       message: 'SAR created successfully.',
-      data: { uuid }
+      data: { uuid, reportNumber }
     });
   } catch (error) {
+    await connection.rollback();
     next(error);
+  } finally {
+    connection.release();
   }
 };
 
@@ -497,11 +906,13 @@ const getSARs = async (req, res, next) => {
         c.uuid as customer_uuid,
         c.full_name as customer_name,
         cb.full_name as created_by_name,
-        sb.full_name as submitted_by_name
+        sb.full_name as submitted_by_name,
+        rb.full_name as reviewed_by_name
       FROM suspicious_activity_reports s
       LEFT JOIN customers c ON s.customer_id = c.id
       JOIN users cb ON s.created_by = cb.id
       LEFT JOIN users sb ON s.submitted_by = sb.id
+      LEFT JOIN users rb ON s.reviewed_by = rb.id
       WHERE 1=1
     `;
     const params = [];
@@ -522,13 +933,17 @@ const getSARs = async (req, res, next) => {
       success: true,
       data: sars.map(s => ({
         uuid: s.uuid,
+        reportNumber: s.report_number,
         customer: s.customer_uuid ? { uuid: s.customer_uuid, name: s.customer_name } : null,
         description: s.description,
+        suspicionType: s.suspicion_type,
         riskLevel: s.risk_level,
         status: s.status,
         createdBy: s.created_by_name,
         submittedBy: s.submitted_by_name,
         submittedAt: s.submitted_at,
+        reviewedBy: s.reviewed_by_name,
+        reviewedAt: s.reviewed_at,
         createdAt: s.created_at
       })),
       pagination: { page: parseInt(page), limit: parseInt(limit), total, totalPages: Math.ceil(total / parseInt(limit)) }
@@ -538,6 +953,369 @@ const getSARs = async (req, res, next) => {
   }
 };
 
+/**
+ * Get a SAR with its transactions, alerts, attachments and status history
+ */
+const getSAR = async (req, res, next) => {
+  try {
+    const report = await loadSAR(pool, req.params.uuid);
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'SAR not found.' });
+    }
+
+    const { customer, transactions, alerts, attachments, history } = await loadSARDetails(pool, report);
+
+    res.json({
+      success: true,
+      data: {
+        uuid: report.uuid,
+        reportNumber: report.report_number,
+        status: report.status,
+        customer: customer ? { uuid: customer.uuid, name: customer.full_name, idNumber: customer.id_number } : null,
+        alertUuids: parseUuidList(report.alert_ids),
+        transactionUuids: parseUuidList(report.transaction_ids),
+        suspicionType: report.suspicion_type,
+        riskLevel: report.risk_level,
+        activityFrom: report.activity_from,
+        activityTo: report.activity_to,
+        description: report.description,
+        actionTaken: report.action_taken,
+        createdBy: report.created_by_name,
+        createdAt: report.created_at,
+        submittedBy: report.submitted_by_name,
+        submittedAt: report.submitted_at,
+        reviewedBy: report.reviewed_by_name,
+        reviewedAt: report.reviewed_at,
+        reviewNotes: report.review_notes,
+        outcome: report.outcome,
+        fiuReference: report.fiu_reference,
+        transactions: transactions.map(t => ({
+          uuid: t.uuid,
+          number: t.transaction_number,
+          date: t.transaction_date,
+          amountIn: parseDecimal(t.amount_in),
+          currencyIn: t.currency_in_code,
+          amountOut: parseDecimal(t.amount_out),
+          currencyOut: t.currency_out_code,
+          status: t.status
+        })),
+        alerts: alerts.map(a => ({
+          uuid: a.uuid,
+          type: a.alert_type,
+          severity: a.severity,
+          description: a.description,
+          status: a.status,
+          createdAt: a.created_at
+        })),
+        attachments: attachments.map(a => ({
+          uuid: a.uuid,
+          category: a.category,
+          description: a.description,
+          fileName: a.original_name,
+          mimeType: a.mime_type,
+          sizeBytes: a.size_bytes,
+          uploadedBy: a.uploaded_by_name,
+          createdAt: a.created_at
+        })),
+        history: history.map(h => ({
+          action: h.action,
+          fromStatus: h.from_status,
+          toStatus: h.to_status,
+          notes: h.notes,
+          changedBy: h.changed_by_name,
+          createdAt: h.created_at
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a draft SAR. Submitted reports are returned to draft before they change.
+ */
+const updateSAR = async (req, res, next) => {
+  try {
+    const { uuid } = req.params;
+    const ipAddress = getClientIp(req);
+
+    const report = await loadSAR(pool, uuid);
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'SAR not found.' });
+    }
+    if (report.status !== 'draft') {
+      return res.status(400).json({ success: false, message: 'Only draft reports can be edited. Return the report to draft first.' });
+    }
+
+    const {
+      customerUuid, alertUuids, transactionUuids, description, riskLevel,
+      suspicionType, activityFrom, activityTo, actionTaken
+    } = req.body;
+
+    const updates = [];
+    const params = [];
+    let customerId = report.customer_id;
+
+    if (customerUuid !== undefined) {
+      customerId = null;
+      if (customerUuid) {
+        const [customers] = await pool.query('SELECT id FROM customers WHERE uuid = ?', [customerUuid]);
+        if (customers.length === 0) {
+          return res.status(404).json({ success: false, message: 'Customer not found.' });
+        }
+        customerId = customers[0].id;
+      }
+      updates.push('customer_id = ?'); params.push(customerId);
+    }
+    if (alertUuids !== undefined) { updates.push('alert_ids = ?'); params.push(JSON.stringify(alertUuids)); }
+    if (transactionUuids !== undefined) { updates.push('transaction_ids = ?'); params.push(JSON.stringify(transactionUuids)); }
+    if (description !== undefined) { updates.push('description = ?'); params.push(description); }
+    if (riskLevel !== undefined) { updates.push('risk_level = ?'); params.push(riskLevel); }
+    if (suspicionType !== undefined) { updates.push('suspicion_type = ?'); params.push(suspicionType); }
+    if (activityFrom !== undefined) { updates.push('activity_from = ?'); params.push(activityFrom || null); }
+    if (activityTo !== undefined) { updates.push('activity_to = ?'); params.push(activityTo || null); }
+    if (actionTaken !== undefined) { updates.push('action_taken = ?'); params.push(actionTaken || null); }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ success: false, message: 'No fields to update.' });
+    }
+
+    updates.push('updated_by = ?');
+    params.push(req.user.id, report.id);
+
+    await pool.query(`UPDATE suspicious_activity_reports SET ${updates.join(', ')} WHERE id = ?`, params);
+
+    await logAudit(req.user.id, 'UPDATE_SAR', 'suspicious_activity_reports', uuid,
+      { customerId: report.customer_id, riskLevel: report.risk_level, suspicionType: report.suspicion_type },
+      req.body, ipAddress, 'warning');
+
+    // Both the old and the new subject's open SAR count may have changed
+    const customerIds = [...new Set([report.customer_id, customerId].filter(Boolean))];
+    for (const id of customerIds) {
+      await rescoreCustomer(id, { source: 'sar', reference: uuid, userId: req.user.id });
+    }
+
+    res.json({ success: true, message: 'SAR updated successfully.' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move a SAR through its lifecycle
+ * @param {string} action - submit, start_review, return or sign_off
+ */
+const changeSARStatus = async (req, res, next, action) => {
+  const connection = await pool.getConnection();
+  try {
+    const { uuid } = req.params;
+    const { notes, outcome, fiuReference } = req.body;
+    const ipAddress = getClientIp(req);
+
+    await connection.beginTransaction();
+
+    const report = await loadSAR(connection, uuid, true);
+    if (!report) {
+      await connection.rollback();
+      return res.status(404).json({ success: false, message: 'SAR not found.' });
+    }
+
+    const plan = planTransition(report, action, req.user.id);
+    if (plan.error) {
+      await connection.rollback();
+      return res.status(400).json({ success: false, message: plan.error });
+    }
+
+    const updates = ['status = ?'];
+    const params = [plan.to];
+    if (action === 'submit') {
+      updates.push('submitted_by = ?', 'submitted_at = NOW()');
+      params.push(req.user.id);
+    } else if (action === 'return') {
+      // The next submission is a new one
+      updates.push('submitted_by = NULL', 'submitted_at = NULL');
+    } else if (action === 'sign_off') {
+      updates.push('reviewed_by = ?', 'reviewed_at = NOW()', 'review_notes = ?', 'outcome = ?', 'fiu_reference = ?');
+      params.push(req.user.id, notes, outcome, fiuReference || null);
+    }
+    params.push(report.id);
+
+    await connection.query(`UPDATE suspicious_activity_reports SET ${updates.join(', ')} WHERE id = ?`, params);
+    await recordSARStatus(connection, report.id, plan.from, plan.to, action, notes, req.user.id);
+
+    await logAudit(req.user.id, 'SAR_STATUS_CHANGE', 'suspicious_activity_reports', uuid,
+      { status: plan.from }, { status: plan.to, action, notes, outcome, fiuReference },
+      ipAddress, action === 'sign_off' ? 'critical' : 'warning', connection);
+
+    await connection.commit();
+
+    // A closed SAR no longer holds the customer's score up
+    if (action === 'sign_off' && report.customer_id) {
+      await rescoreCustomer(report.customer_id, { source: 'sar', reference: uuid, userId: req.user.id });
+    }
+
+    res.json({
+      success: true,
+      message: `SAR ${SAR_TRANSITIONS[action].label}.`,
+      data: { uuid, status: plan.to }
+    });
+  } catch (error) {
+    await connection.rollback();
+    next(error);
+  } finally {
+    connection.release();
+  }
+};
+
+const submitSAR = (req, res, next) => changeSARStatus(req, res, next, 'submit');
+const startSARReview = (req, res, next) => changeSARStatus(req, res, next, 'start_review');
+const returnSAR = (req, res, next) => changeSARStatus(req, res, next, 'return');
+const signOffSAR = (req, res, next) => changeSARStatus(req, res, next, 'sign_off');
+
+/**
+ * Attach a supporting document (ID scan, CCTV notes) to a SAR
+ */
+const uploadSARAttachment = async (req, res, next) => {
+  try {
+    const { uuid } = req.params;
+    const { category, description } = req.body;
+    const ipAddress = getClientIp(req);
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'Please upload an image, PDF or text file.' });
+    }
+
+    const report = await loadSAR(pool, uuid);
+    if (!report) {
+      await discardUpload(req.file);
+      return res.status(404).json({ success: false, message: 'SAR not found.' });
+    }
+    if (report.status === 'closed') {
+      await discardUpload(req.file);
+      return res.status(400).json({ success: false, message: 'Documents cannot be added to a closed report.' });
+    }
+
+    const attachmentUuid = uuidv4();
+    await pool.query(
+      `INSERT INTO sar_attachments (uuid, sar_id, category, description, original_name, stored_name, mime_type, size_bytes, uploaded_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [attachmentUuid, report.id, category || 'other', description || null, req.file.originalname,
+        req.file.filename, req.file.mimetype, req.file.size, req.user.id]
+    );
+
+    await logAudit(req.user.id, 'SAR_ATTACHMENT_ADD', 'suspicious_activity_reports', uuid, null,
+      { attachmentUuid, category, fileName: req.file.originalname }, ipAddress, 'warning');
+
+    res.status(201).json({
+      success: true,
+      message: 'Document attached successfully.',
+      data: { uuid: attachmentUuid }
+    });
+  } catch (error) {
+    await discardUpload(req.file);
+    next(error);
+  }
+};
+
+const findSARAttachment = async (sarUuid, attachmentUuid) => {
+  const [rows] = await pool.query(
+    `SELECT a.*, s.status as sar_status
+     FROM sar_attachments a
+     JOIN suspicious_activity_reports s ON a.sar_id = s.id
+     WHERE s.uuid = ? AND a.uuid = ?`,
+    [sarUuid, attachmentUuid]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Download a SAR attachment
+ */
+const downloadSARAttachment = async (req, res, next) => {
+  try {
+    const attachment = await findSARAttachment(req.params.uuid, req.params.attachmentUuid);
+    if (!attachment) {
+      return res.status(404).json({ success: false, message: 'Attachment not found.' });
+    }
+
+    res.setHeader('Content-Type', attachment.mime_type);
+    res.download(attachmentPath(attachment.stored_name), attachment.original_name, (error) => {
+      if (error && !res.headersSent) {
+        logger.error(`SAR attachment ${attachment.uuid} could not be read: ${error.message}`);
+        res.status(404).json({ success: false, message: 'Attachment file is missing.' });
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove an attachment from a draft SAR
+ */
+const deleteSARAttachment = async (req, res, next) => {
+  try {
+    const { uuid, attachmentUuid } = req.params;
+    const ipAddress = getClientIp(req);
+
+    const attachment = await findSARAttachment(uuid, attachmentUuid);
+    if (!attachment) {
+      return res.status(404).json({ success: false, message: 'Attachment not found.' });
+    }
+    if (attachment.sar_status !== 'draft') {
+      return res.status(400).json({ success: false, message: 'Documents can only be removed while the report is a draft.' });
+    }
+
+    await pool.query('DELETE FROM sar_attachments WHERE id = ?', [attachment.id]);
+    await discardUpload({ path: attachmentPath(attachment.stored_name) });
+
+    await logAudit(req.user.id, 'SAR_ATTACHMENT_DELETE', 'suspicious_activity_reports', uuid,
+      { attachmentUuid, category: attachment.category, fileName: attachment.original_name }, null, ipAddress, 'warning');
+
+    res.json({ success: true, message: 'Document removed successfully.' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export the filing package of a SAR for the financial intelligence unit
+ * Formats: json and xml (structured filing), pdf (narrative)
+ */
+const exportSAR = async (req, res, next) => {
+  try {
+    const { uuid } = req.params;
+    const format = req.query.format || 'json';
+    const ipAddress = getClientIp(req);
+
+    const report = await loadSAR(pool, uuid);
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'SAR not found.' });
+    }
+
+    const filingPackage = buildFilingPackage(await loadSARDetails(pool, report));
+    const fileName = `sar-${report.report_number || report.uuid}.${format}`;
+
+    await logAudit(req.user.id, 'SAR_EXPORT', 'suspicious_activity_reports', uuid, null, { format, status: report.status }, ipAddress, 'warning');
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    if (format === 'pdf') {
+      const buffer = await exportService.generateSARNarrativePDF(filingPackage);
+      res.setHeader('Content-Type', 'application/pdf');
+      return res.send(buffer);
+    }
+    if (format === 'xml') {
+      res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+      return res.send(toXml(filingPackage));
+    }
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.send(JSON.stringify(filingPackage, null, 2));
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get compliance dashboard stats
  */
@@ -600,10 +1378,25 @@ module.exports = {
   toggleRule,
   getAlerts,
   reviewAlert,
+  bulkReviewAlerts,
   checkTransaction,
+  evaluateTransaction,
+  detectStructuring,
   createAlert,
+  rescoreCustomer,
   getCustomerRiskProfile,
+  recalculateRiskScore,
   createSAR,
   getSARs,
+  getSAR,
+  updateSAR,
+  submitSAR,
+  startSARReview,
+  returnSAR,
+  signOffSAR,
+  uploadSARAttachment,
+  downloadSARAttachment,
+  deleteSARAttachment,
+  exportSAR,
   getDashboardStats
 };
@@ -5,12 +5,15 @@
 const { pool } = require('../config/database');
 const { logAudit, getClientIp, parseDecimal } = require('../utils/helpers');
 const { checkAlerts } = require('./rateAlertController');
+const { findBranchId } = require('../middleware/branchScope');
+const { createVersion, applyVersion } = require('../services/rateVersionService');
+const { resolveRate } = require('../services/crossRateService');
 
 const getCurrencies = async (req, res, next) => {
   try {
     const { active } = req.query;
 
-    let query = 'SELECT id, code, name, symbol, high_value_threshold, is_active, created_at, updated_at FROM currencies';
+    let query = 'SELECT id, code, name, symbol, high_value_threshold, is_active, is_base, created_at, updated_at FROM currencies';
     const params = [];
 
     if (active !== undefined) {
@@ -31,6 +34,7 @@ const getCurrencies = async (req, res, next) => {
         symbol: c.symbol,
         highValueThreshold: parseDecimal(c.high_value_threshold),
         isActive: c.is_active,
+        isBase: Boolean(c.is_base),
         createdAt: c.created_at,
         updatedAt: c.updated_at
       }))
@@ -77,7 +81,7 @@ const createCurrency = async (req, res, next) => {
 const updateCurrency = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, symbol, isActive } = req.body;
+    const { name, symbol, isActive, isBase } = req.body;
 
     const [currencies] = await pool.query('SELECT * FROM currencies WHERE id = ?', [id]);
 
@@ -105,6 +109,16 @@ const updateCurrency = async (req, res, next) => {
       updates.push('is_active = ?');
       params.push(isActive);
     }
+    if (isBase !== undefined) {
+      if (isBase && !(isActive !== undefined ? isActive : oldCurrency.is_active)) {
+        return res.status(400).json({
+          success: false,
+          message: 'An inactive currency cannot be the base currency.'
+        });
+      }
+      updates.push('is_base = ?');
+      params.push(isBase);
+    }
 
     if (updates.length === 0) {
       return res.status(400).json({
@@ -115,6 +129,11 @@ const updateCurrency = async (req, res, next) => {
 
     params.push(id);
 
+    // There is only one base currency
+    if (isBase) {
+      await pool.query('UPDATE currencies SET is_base = FALSE WHERE is_base = TRUE AND id <> ?', [id]);
+    }
+
     await pool.query(`UPDATE currencies SET ${updates.join(', ')} WHERE id = ?`, params);
 
     await logAudit(
@@ -122,9 +141,10 @@ const updateCurrency = async (req, res, next) => {
       'UPDATE',
       'currencies',
       id,
-      { name: oldCurrency.name, symbol: oldCurrency.symbol, isActive: oldCurrency.is_active },
-      { name, symbol, isActive },
-      getClientIp(req)
+      { name: oldCurrency.name, symbol: oldCurrency.symbol, isActive: oldCurrency.is_active, isBase: Boolean(oldCurrency.is_base) },
+      { name, symbol, isActive, isBase },
+      getClientIp(req),
+      isBase !== undefined ? 'warning' : 'info'
     );
 
     res.json({
@@ -136,11 +156,18 @@ const updateCurrency = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the exchange rates in effect for a branch
+ * A branch's own rate overrides the default (branch-less) rate for the same pair
+ */
 const getExchangeRates = async (req, res, next) => {
   try {
+    const { branchId } = req.branchScope;
+
     const [rates] = await pool.query(`
       SELECT
         er.id,
+        er.branch_id,
         er.buy_rate,
         er.sell_rate,
         er.updated_at,
@@ -158,8 +185,17 @@ const getExchangeRates = async (req, res, next) => {
       JOIN currencies tc ON er.to_currency_id = tc.id
       JOIN users u ON er.updated_by = u.id
       WHERE fc.is_active = TRUE AND tc.is_active = TRUE
+        AND (
+          er.branch_id = ?
+          OR (er.branch_id IS NULL AND NOT EXISTS (
+            SELECT 1 FROM exchange_rates br
+            WHERE br.from_currency_id = er.from_currency_id
+              AND br.to_currency_id = er.to_currency_id
+              AND br.branch_id = ?
+          ))
+        )
       ORDER BY fc.code, tc.code
-    `);
+    `, [branchId, branchId]);
 
     res.json({
       success: true,
@@ -179,30 +215,56 @@ const getExchangeRates = async (req, res, next) => {
         },
         buyRate: parseFloat(r.buy_rate),
         sellRate: parseFloat(r.sell_rate),
+        isBranchRate: r.branch_id !== null,
         updatedAt: r.updated_at,
         updatedByName: r.updated_by_name
-      }))
+      })),
+      branch: req.branchScope.branchUuid
+        ? { uuid: req.branchScope.branchUuid, name: req.branchScope.branchName }
+        : null
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Parse an optional effectiveFrom into a schedule date
+ * Returns null when the rate should take effect immediately
+ */
+const parseEffectiveFrom = (effectiveFrom) => {
+  if (!effectiveFrom) return null;
+  const date = new Date(effectiveFrom);
+  return date > new Date() ? date : null;
+};
+
 /**
  * Set exchange rate with history tracking
- * Logs all rate changes to exchange_rate_history table
+ * Every change is stored as a rate version. With a future effectiveFrom the version is
+ * scheduled and the live rate stays as it is until the scheduler applies it.
  */
 const setExchangeRate = async (req, res, next) => {
+  const connection = await pool.getConnection();
   try {
-    const { fromCurrencyId, toCurrencyId, buyRate, sellRate } = req.body;
+    const { fromCurrencyId, toCurrencyId, buyRate, sellRate, branchId, effectiveFrom } = req.body;
     const ipAddress = getClientIp(req);
 
+    // Without a branch the rate is the default for every branch
+    const rateBranchId = await findBranchId(branchId);
+    if (rateBranchId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Branch not found or not active.'
+      });
+    }
+
     // Parse rates with proper decimal precision
     const parsedBuyRate = parseDecimal(buyRate, 6);
     const parsedSellRate = parseDecimal(sellRate, 6);
+    const scheduledFor = parseEffectiveFrom(effectiveFrom);
 
     // Verify currencies exist
-    const [currencies] = await pool.query(
+    const [currencies] = await connection.query(
       'SELECT id, code FROM currencies WHERE id IN (?, ?) AND is_active = TRUE',
       [fromCurrencyId, toCurrencyId]
     );
@@ -214,73 +276,69 @@ const setExchangeRate = async (req, res, next) => {
       });
     }
 
-    // Check if rate exists
-    const [existing] = await pool.query(
-      'SELECT id, buy_rate, sell_rate FROM exchange_rates WHERE from_currency_id = ? AND to_currency_id = ?',
-      [fromCurrencyId, toCurrencyId]
-    );
+    await connection.beginTransaction();
 
-    let result;
-    let action;
-    let oldValues = null;
+    const version = await createVersion(connection, {
+      fromCurrencyId,
+      toCurrencyId,
+      branchId: rateBranchId,
+      buyRate: parsedBuyRate,
+      sellRate: parsedSellRate,
+      effectiveFrom: scheduledFor || new Date(),
+      userId: req.user.id
+    });
 
-    if (existing.length > 0) {
-      const oldBuyRate = parseDecimal(existing[0].buy_rate, 6);
-      const oldSellRate = parseDecimal(existing[0].sell_rate, 6);
+    if (scheduledFor) {
+      await connection.commit();
 
-      // Log rate change to history table before updating
-      await pool.query(
-        `INSERT INTO exchange_rate_history
-          (exchange_rate_id, from_currency_id, to_currency_id, old_buy_rate, new_buy_rate,
-           old_sell_rate, new_sell_rate, changed_by)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          existing[0].id,
+      await logAudit(
+        req.user.id,
+        'RATE_SCHEDULED',
+        'exchange_rate_versions',
+        version.id,
+        null,
+        {
           fromCurrencyId,
           toCurrencyId,
-          oldBuyRate,
-          parsedBuyRate,
-          oldSellRate,
-          parsedSellRate,
-          req.user.id
-        ]
-      );
-
-      // Update existing rate
-      await pool.query(
-        'UPDATE exchange_rates SET buy_rate = ?, sell_rate = ?, updated_by = ? WHERE id = ?',
-        [parsedBuyRate, parsedSellRate, req.user.id, existing[0].id]
-      );
-      result = { id: existing[0].id };
-      action = 'RATE_CHANGE';
-      oldValues = { buyRate: oldBuyRate, sellRate: oldSellRate };
-    } else {
-      // Insert new rate
-      const [insertResult] = await pool.query(
-        'INSERT INTO exchange_rates (from_currency_id, to_currency_id, buy_rate, sell_rate, updated_by) VALUES (?, ?, ?, ?, ?)',
-        [fromCurrencyId, toCurrencyId, parsedBuyRate, parsedSellRate, req.user.id]
+          branchId: rateBranchId,
+          buyRate: parsedBuyRate,
+          sellRate: parsedSellRate,
+          effectiveFrom: scheduledFor
+        },
+        ipAddress
       );
-      result = { id: insertResult.insertId };
-      action = 'CREATE';
 
-      // Log initial rate to history
-      await pool.query(
-        `INSERT INTO exchange_rate_history
-          (exchange_rate_id, from_currency_id, to_currency_id, old_buy_rate, new_buy_rate,
-           old_sell_rate, new_sell_rate, changed_by)
-         VALUES (?, ?, ?, NULL, ?, NULL, ?, ?)`,
-        [result.id, fromCurrencyId, toCurrencyId, parsedBuyRate, parsedSellRate, req.user.id]
-      );
+      return res.status(201).json({
+        success: true,
+        message: 'Exchange rate scheduled successfully.',
+        data: {
+          versionId: version.uuid,
+          fromCurrencyId,
+          toCurrencyId,
+          branchId: branchId || null,
+          buyRate: parsedBuyRate,
+          sellRate: parsedSellRate,
+          effectiveFrom: scheduledFor
+        }
+      });
     }
 
+    const [versions] = await connection.query(
+      'SELECT * FROM exchange_rate_versions WHERE id = ?',
+      [version.id]
+    );
+    const { rateId, action, oldValues } = await applyVersion(connection, versions[0]);
+
+    await connection.commit();
+
     // Log audit with appropriate severity
     await logAudit(
       req.user.id,
       action,
       'exchange_rates',
-      result.id,
+      rateId,
       oldValues,
-      { fromCurrencyId, toCurrencyId, buyRate: parsedBuyRate, sellRate: parsedSellRate },
+      { fromCurrencyId, toCurrencyId, branchId: rateBranchId, buyRate: parsedBuyRate, sellRate: parsedSellRate },
       ipAddress,
       action === 'RATE_CHANGE' ? 'warning' : 'info'
     );
@@ -297,26 +355,32 @@ const setExchangeRate = async (req, res, next) => {
       success: true,
       message: 'Exchange rate saved successfully.',
       data: {
-        id: result.id,
+        id: rateId,
+        versionId: version.uuid,
         fromCurrencyId,
         toCurrencyId,
+        branchId: branchId || null,
         buyRate: parsedBuyRate,
         sellRate: parsedSellRate
       }
     });
   } catch (error) {
+    await connection.rollback();
     next(error);
+  } finally {
+    connection.release();
   }
 };
 
 /**
  * Bulk update exchange rates
- * Accepts an array of rate updates and processes them in a transaction
+ * Accepts an array of rate updates and processes them in a transaction.
+ * A future effectiveFrom schedules the whole sheet instead of applying it now.
  */
 const bulkUpdateRates = async (req, res, next) => {
   const connection = await pool.getConnection();
   try {
-    const { rates } = req.body;
+    const { rates, branchId, effectiveFrom } = req.body;
     const ipAddress = getClientIp(req);
 
     if (!Array.isArray(rates) || rates.length === 0) {
@@ -333,6 +397,18 @@ const bulkUpdateRates = async (req, res, next) => {
       });
     }
 
+    // The whole batch goes to one branch, or to the defaults when none is given
+    const rateBranchId = await findBranchId(branchId);
+    if (rateBranchId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Branch not found or not active.'
+      });
+    }
+
+    const scheduledFor = parseEffectiveFrom(effectiveFrom);
+    const effectiveAt = scheduledFor || new Date();
+
     await connection.beginTransaction();
 
     const results = [];
@@ -353,93 +429,77 @@ const bulkUpdateRates = async (req, res, next) => {
       const parsedBuyRate = parseDecimal(buyRate, 6);
       const parsedSellRate = parseDecimal(sellRate, 6);
 
-      // Check if rate exists
-      const [existing] = await connection.query(
-        'SELECT id, buy_rate, sell_rate FROM exchange_rates WHERE from_currency_id = ? AND to_currency_id = ?',
-        [fromCurrencyId, toCurrencyId]
-      );
-
-      if (existing.length > 0) {
-        const oldBuyRate = parseDecimal(existing[0].buy_rate, 6);
-        const oldSellRate = parseDecimal(existing[0].sell_rate, 6);
-
-        // Log rate change to history
-        await connection.query(
-          `INSERT INTO exchange_rate_history
-            (exchange_rate_id, from_currency_id, to_currency_id, old_buy_rate, new_buy_rate,
-             old_sell_rate, new_sell_rate, changed_by)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-          [existing[0].id, fromCurrencyId, toCurrencyId, oldBuyRate, parsedBuyRate, oldSellRate, parsedSellRate, req.user.id]
-        );
-
-        // Update rate
-        await connection.query(
-          'UPDATE exchange_rates SET buy_rate = ?, sell_rate = ?, updated_by = ? WHERE id = ?',
-          [parsedBuyRate, parsedSellRate, req.user.id, existing[0].id]
-        );
-
-        results.push({
-          id: existing[0].id,
-          fromCurrencyId,
-          toCurrencyId,
-          buyRate: parsedBuyRate,
-          sellRate: parsedSellRate,
-          action: 'updated'
-        });
-      } else {
-        // Insert new rate
-        const [insertResult] = await connection.query(
-          'INSERT INTO exchange_rates (from_currency_id, to_currency_id, buy_rate, sell_rate, updated_by) VALUES (?, ?, ?, ?, ?)',
-          [fromCurrencyId, toCurrencyId, parsedBuyRate, parsedSellRate, req.user.id]
-        );
-
-        // Log initial rate to history
-        await connection.query(
-          `INSERT INTO exchange_rate_history
-            (exchange_rate_id, from_currency_id, to_currency_id, old_buy_rate, new_buy_rate,
-             old_sell_rate, new_sell_rate, changed_by)
-           VALUES (?, ?, ?, NULL, ?, NULL, ?, ?)`,
-          [insertResult.insertId, fromCurrencyId, toCurrencyId, parsedBuyRate, parsedSellRate, req.user.id]
-        );
+      const version = await createVersion(connection, {
+        fromCurrencyId,
+        toCurrencyId,
+        branchId: rateBranchId,
+        buyRate: parsedBuyRate,
+        sellRate: parsedSellRate,
+        effectiveFrom: effectiveAt,
+        userId: req.user.id
+      });
 
+      if (scheduledFor) {
         results.push({
-          id: insertResult.insertId,
+          versionId: version.uuid,
           fromCurrencyId,
           toCurrencyId,
           buyRate: parsedBuyRate,
           sellRate: parsedSellRate,
-          action: 'created'
+          action: 'scheduled'
         });
+        continue;
       }
+
+      const [versions] = await connection.query(
+        'SELECT * FROM exchange_rate_versions WHERE id = ?',
+        [version.id]
+      );
+      const { rateId, action } = await applyVersion(connection, versions[0]);
+
+      results.push({
+        id: rateId,
+        versionId: version.uuid,
+        fromCurrencyId,
+        toCurrencyId,
+        buyRate: parsedBuyRate,
+        sellRate: parsedSellRate,
+        action: action === 'RATE_CHANGE' ? 'updated' : 'created'
+      });
     }
 
     await connection.commit();
 
-    // Check for alerts (async)
-    checkAlerts(results.map(r => ({
-      fromCurrencyId: r.fromCurrencyId,
-      toCurrencyId: r.toCurrencyId,
-      buyRate: r.buyRate,
-      sellRate: r.sellRate
-    })));
+    if (!scheduledFor) {
+      // Check for alerts (async)
+      checkAlerts(results.map(r => ({
+        fromCurrencyId: r.fromCurrencyId,
+        toCurrencyId: r.toCurrencyId,
+        buyRate: r.buyRate,
+        sellRate: r.sellRate
+      })));
+    }
 
     // Log bulk audit
     await logAudit(
       req.user.id,
-      'BULK_UPDATE',
+      scheduledFor ? 'BULK_SCHEDULE' : 'BULK_UPDATE',
       'exchange_rates',
       null,
       null,
-      { count: results.length, rates: results },
+      { count: results.length, branchId: rateBranchId, effectiveFrom: scheduledFor, rates: results },
       ipAddress,
       'warning'
     );
 
-    res.json({
+    res.status(scheduledFor ? 201 : 200).json({
       success: true,
-      message: `${results.length} rate(s) updated successfully.`,
+      message: scheduledFor
+        ? `${results.length} rate(s) scheduled successfully.`
+        : `${results.length} rate(s) updated successfully.`,
       data: {
         updated: results,
+        effectiveFrom: scheduledFor,
         errors: errors.length > 0 ? errors : undefined
       }
     });
@@ -451,6 +511,457 @@ const bulkUpdateRates = async (req, res, next) => {
   }
 };
 
+/**
+ * Get rate versions waiting for their effective date
+ * Consolidated admins see every branch; staff see their branch and the defaults
+ */
+const getScheduledRates = async (req, res, next) => {
+  try {
+    const { branchId } = req.branchScope;
+
+    let query = `
+      SELECT
+        v.uuid,
+        v.branch_id,
+        v.buy_rate,
+        v.sell_rate,
+        v.effective_from,
+        v.created_at,
+        fc.id as from_currency_id,
+        fc.code as from_currency_code,
+        tc.id as to_currency_id,
+        tc.code as to_currency_code,
+        b.uuid as branch_uuid,
+        b.name as branch_name,
+        u.full_name as created_by_name
+      FROM exchange_rate_versions v
+      JOIN currencies fc ON v.from_currency_id = fc.id
+      JOIN currencies tc ON v.to_currency_id = tc.id
+      JOIN users u ON v.created_by = u.id
+      LEFT JOIN branches b ON v.branch_id = b.id
+      WHERE v.applied_at IS NULL AND v.cancelled_at IS NULL
+    `;
+    const params = [];
+
+    if (branchId) {
+      query += ' AND (v.branch_id = ? OR v.branch_id IS NULL)';
+      params.push(branchId);
+    }
+
+    query += ' ORDER BY v.effective_from ASC, fc.code, tc.code';
+
+    const [versions] = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: versions.map(v => ({
+        uuid: v.uuid,
+        fromCurrency: { id: v.from_currency_id, code: v.from_currency_code },
+        toCurrency: { id: v.to_currency_id, code: v.to_currency_code },
+        buyRate: parseFloat(v.buy_rate),
+        sellRate: parseFloat(v.sell_rate),
+        branch: v.branch_uuid ? { uuid: v.branch_uuid, name: v.branch_name } : null,
+        effectiveFrom: v.effective_from,
+        createdByName: v.created_by_name,
+        createdAt: v.created_at
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a scheduled rate version before it takes effect
+ */
+const cancelScheduledRate = async (req, res, next) => {
+  try {
+    const { uuid } = req.params;
+
+    const [versions] = await pool.query(
+      'SELECT * FROM exchange_rate_versions WHERE uuid = ?',
+      [uuid]
+    );
+
+    if (versions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled rate not found.'
+      });
+    }
+
+    const version = versions[0];
+
+    if (version.applied_at || version.cancelled_at) {
+      return res.status(400).json({
+        success: false,
+        message: version.applied_at
+          ? 'Rate has already taken effect.'
+          : 'Scheduled rate is already cancelled.'
+      });
+    }
+
+    // The applied_at check guards against the scheduler applying it in between
+    const [result] = await pool.query(
+      `UPDATE exchange_rate_versions SET cancelled_at = NOW(), cancelled_by = ?
+       WHERE id = ? AND applied_at IS NULL AND cancelled_at IS NULL`,
+      [req.user.id, version.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rate has already taken effect.'
+      });
+    }
+
+    await logAudit(
+      req.user.id,
+      'RATE_SCHEDULE_CANCELLED',
+      'exchange_rate_versions',
+      version.id,
+      {
+        fromCurrencyId: version.from_currency_id,
+        toCurrencyId: version.to_currency_id,
+        branchId: version.branch_id,
+        buyRate: parseDecimal(version.buy_rate, 6),
+        sellRate: parseDecimal(version.sell_rate, 6),
+        effectiveFrom: version.effective_from
+      },
+      null,
+      getClientIp(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Scheduled rate cancelled successfully.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Quote a currency pair
+ * Uses the pair's own rate, its inverse, or a cross rate through the base currency.
+ * Staff get their branch's rates; portal customers get the default rates.
+ */
+const getQuote = async (req, res, next) => {
+  try {
+    const fromCurrencyId = parseInt(req.query.fromCurrencyId);
+    const toCurrencyId = parseInt(req.query.toCurrencyId);
+    const { amount, side = 'sell' } = req.query;
+    const branchId = req.branchScope ? req.branchScope.branchId : null;
+
+    if (fromCurrencyId === toCurrencyId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currencies must be different.'
+      });
+    }
+
+    const [currencies] = await pool.query(
+      'SELECT id, code, symbol FROM currencies WHERE id IN (?, ?) AND is_active = TRUE',
+      [fromCurrencyId, toCurrencyId]
+    );
+
+    if (currencies.length !== 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid currency IDs or currencies are not active.'
+      });
+    }
+
+    const resolved = await resolveRate(pool, fromCurrencyId, toCurrencyId, branchId);
+
+    if (!resolved) {
+      return res.status(404).json({
+        success: false,
+        message: 'No exchange rate available for this currency pair.'
+      });
+    }
+
+    const fromCurrency = currencies.find(c => c.id === fromCurrencyId);
+    const toCurrency = currencies.find(c => c.id === toCurrencyId);
+    const rate = side === 'buy' ? resolved.buyRate : resolved.sellRate;
+
+    res.json({
+      success: true,
+      data: {
+        fromCurrency: { id: fromCurrency.id, code: fromCurrency.code, symbol: fromCurrency.symbol },
+        toCurrency: { id: toCurrency.id, code: toCurrency.code, symbol: toCurrency.symbol },
+        buyRate: resolved.buyRate,
+        sellRate: resolved.sellRate,
+        side,
+        rate,
+        amount: amount !== undefined ? parseDecimal(amount) : null,
+        amountOut: amount !== undefined ? parseDecimal(parseDecimal(amount) * rate) : null,
+        source: resolved.source,
+        derived: resolved.derived,
+        via: resolved.via ? resolved.via.code : null,
+        // Spread rules are internal pricing
+        spreadPercent: req.user.role === 'customer' ? undefined : resolved.spreadPercent
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List active currencies for quoting, without internal settings
+ */
+const getQuoteCurrencies = async (req, res, next) => {
+  try {
+    const [currencies] = await pool.query(
+      'SELECT id, code, name, symbol FROM currencies WHERE is_active = TRUE ORDER BY code ASC'
+    );
+
+    res.json({
+      success: true,
+      data: currencies
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the spread rules applied to derived cross rates
+ */
+const getSpreadRules = async (req, res, next) => {
+  try {
+    const [rules] = await pool.query(`
+      SELECT
+        r.id,
+        r.spread_percent,
+        r.updated_at,
+        fc.id as from_currency_id,
+        fc.code as from_currency_code,
+        tc.id as to_currency_id,
+        tc.code as to_currency_code,
+        u.full_name as updated_by_name
+      FROM rate_spread_rules r
+      LEFT JOIN currencies fc ON r.from_currency_id = fc.id
+      LEFT JOIN currencies tc ON r.to_currency_id = tc.id
+      JOIN users u ON r.updated_by = u.id
+      ORDER BY fc.code IS NULL, fc.code, tc.code IS NULL, tc.code
+    `);
+
+    res.json({
+      success: true,
+      data: rules.map(r => ({
+        id: r.id,
+        fromCurrency: r.from_currency_id ? { id: r.from_currency_id, code: r.from_currency_code } : null,
+        toCurrency: r.to_currency_id ? { id: r.to_currency_id, code: r.to_currency_code } : null,
+        spreadPercent: parseDecimal(r.spread_percent, 3),
+        updatedAt: r.updated_at,
+        updatedByName: r.updated_by_name
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create or update a spread rule
+ * Leave a currency out to match any currency on that side; leave both out for the default
+ */
+const setSpreadRule = async (req, res, next) => {
+  try {
+    const fromCurrencyId = req.body.fromCurrencyId || null;
+    const toCurrencyId = req.body.toCurrencyId || null;
+    const spreadPercent = parseDecimal(req.body.spreadPercent, 3);
+
+    const [existing] = await pool.query(
+      'SELECT id, spread_percent FROM rate_spread_rules WHERE from_currency_id <=> ? AND to_currency_id <=> ?',
+      [fromCurrencyId, toCurrencyId]
+    );
+
+    let ruleId;
+    if (existing.length > 0) {
+      ruleId = existing[0].id;
+      await pool.query(
+        'UPDATE rate_spread_rules SET spread_percent = ?, updated_by = ? WHERE id = ?',
+        [spreadPercent, req.user.id, ruleId]
+      );
+    } else {
+      const [result] = await pool.query(
+        'INSERT INTO rate_spread_rules (from_currency_id, to_currency_id, spread_percent, updated_by) VALUES (?, ?, ?, ?)',
+        [fromCurrencyId, toCurrencyId, spreadPercent, req.user.id]
+      );
+      ruleId = result.insertId;
+    }
+
+    await logAudit(
+      req.user.id,
+      existing.length > 0 ? 'UPDATE' : 'CREATE',
+      'rate_spread_rules',
+      ruleId,
+      existing.length > 0 ? { spreadPercent: parseDecimal(existing[0].spread_percent, 3) } : null,
+      { fromCurrencyId, toCurrencyId, spreadPercent },
+      getClientIp(req),
+      'warning'
+    );
+
+    res.json({
+      success: true,
+      message: 'Spread rule saved successfully.',
+      data: { id: ruleId, fromCurrencyId, toCurrencyId, spreadPercent }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a spread rule
+ */
+const deleteSpreadRule = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [rules] = await pool.query('SELECT * FROM rate_spread_rules WHERE id = ?', [id]);
+
+    if (rules.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Spread rule not found.'
+      });
+    }
+
+    await pool.query('DELETE FROM rate_spread_rules WHERE id = ?', [id]);
+
+    await logAudit(
+      req.user.id,
+      'DELETE',
+      'rate_spread_rules',
+      id,
+      {
+        fromCurrencyId: rules[0].from_currency_id,
+        toCurrencyId: rules[0].to_currency_id,
+        spreadPercent: parseDecimal(rules[0].spread_percent, 3)
+      },
+      null,
+      getClientIp(req),
+      'warning'
+    );
+
+    res.json({
+      success: true,
+      message: 'Spread rule deleted successfully.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the tolerance band configured for each currency pair
+ */
+const getRateTolerances = async (req, res, next) => {
+  try {
+    const [tolerances] = await pool.query(`
+      SELECT
+        rt.id,
+        rt.tolerance_percent,
+        rt.updated_at,
+        fc.id as from_currency_id,
+        fc.code as from_currency_code,
+        tc.id as to_currency_id,
+        tc.code as to_currency_code,
+        u.full_name as updated_by_name
+      FROM rate_tolerances rt
+      JOIN currencies fc ON rt.from_currency_id = fc.id
+      JOIN currencies tc ON rt.to_currency_id = tc.id
+      JOIN users u ON rt.updated_by = u.id
+      ORDER BY fc.code, tc.code
+    `);
+
+    res.json({
+      success: true,
+      data: tolerances.map(rt => ({
+        id: rt.id,
+        fromCurrency: { id: rt.from_currency_id, code: rt.from_currency_code },
+        toCurrency: { id: rt.to_currency_id, code: rt.to_currency_code },
+        tolerancePercent: parseDecimal(rt.tolerance_percent, 3),
+        updatedAt: rt.updated_at,
+        updatedByName: rt.updated_by_name
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set the tolerance band for a currency pair
+ * Rates within the buy/sell spread widened by this percentage need no override
+ */
+const setRateTolerance = async (req, res, next) => {
+  try {
+    const { fromCurrencyId, toCurrencyId, tolerancePercent } = req.body;
+    const parsedTolerance = parseDecimal(tolerancePercent, 3);
+
+    const [currencies] = await pool.query(
+      'SELECT id FROM currencies WHERE id IN (?, ?) AND is_active = TRUE',
+      [fromCurrencyId, toCurrencyId]
+    );
+
+    if (currencies.length !== 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid currency IDs or currencies are not active.'
+      });
+    }
+
+    const [existing] = await pool.query(
+      'SELECT id, tolerance_percent FROM rate_tolerances WHERE from_currency_id = ? AND to_currency_id = ?',
+      [fromCurrencyId, toCurrencyId]
+    );
+
+    let toleranceId;
+    if (existing.length > 0) {
+      toleranceId = existing[0].id;
+      await pool.query(
+        'UPDATE rate_tolerances SET tolerance_percent = ?, updated_by = ? WHERE id = ?',
+        [parsedTolerance, req.user.id, toleranceId]
+      );
+    } else {
+      const [result] = await pool.query(
+        'INSERT INTO rate_tolerances (from_currency_id, to_currency_id, tolerance_percent, updated_by) VALUES (?, ?, ?, ?)',
+        [fromCurrencyId, toCurrencyId, parsedTolerance, req.user.id]
+      );
+      toleranceId = result.insertId;
+    }
+
+    await logAudit(
+      req.user.id,
+      existing.length > 0 ? 'UPDATE' : 'CREATE',
+      'rate_tolerances',
+      toleranceId,
+      existing.length > 0 ? { tolerancePercent: parseDecimal(existing[0].tolerance_percent, 3) } : null,
+      { fromCurrencyId, toCurrencyId, tolerancePercent: parsedTolerance },
+      getClientIp(req),
+      'warning'
+    );
+
+    res.json({
+      success: true,
+      message: 'Rate tolerance saved successfully.',
+      data: {
+        id: toleranceId,
+        fromCurrencyId,
+        toCurrencyId,
+        tolerancePercent: parsedTolerance
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get exchange rate history for a currency pair
  */
@@ -524,5 +1035,14 @@ module.exports = {
   getExchangeRates,
   setExchangeRate,
   bulkUpdateRates,
+  getScheduledRates,
+  cancelScheduledRate,
+  getQuote,
+  getQuoteCurrencies,
+  getSpreadRules,
+  setSpreadRule,
+  deleteSpreadRule,
+  getRateTolerances,
+  setRateTolerance,
   getExchangeRateHistory
 };
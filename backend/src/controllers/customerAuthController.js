@@ -1,14 +1,70 @@
 /**
  * Customer Authentication Controller
- * Handles customer login and profile management
+ * Handles customer login, portal sessions and profile management
  */
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../config/database');
 const jwtConfig = require('../config/jwt');
+const companyConfig = require('../config/company');
+const emailService = require('../services/emailService');
 const { logAudit, getClientIp } = require('../utils/helpers');
 const { BCRYPT_ROUNDS } = require('./authController');
 
+/**
+ * Hash a token for storage (refresh tokens and password setup/reset tokens)
+ */
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate access token; sid ties it to the portal session that issued it
+ */
+const generateAccessToken = (customer, sessionUuid) => {
+    return jwt.sign(
+        {
+            uuid: customer.uuid,
+            id: customer.id,
+            role: 'customer', // Distinct role
+            sid: sessionUuid,
+            type: 'access'
+        },
+        jwtConfig.accessToken.secret,
+        { expiresIn: jwtConfig.accessToken.expiresIn }
+    );
+};
+
+/**
+ * Start a portal session and return its refresh token
+ */
+const createSession = async (customerId, ipAddress, userAgent) => {
+    const sessionUuid = uuidv4();
+    const refreshToken = crypto.randomBytes(64).toString('hex');
+    const expiresAt = new Date(Date.now() + jwtConfig.refreshToken.expiresInMs);
+
+    await pool.query(
+        `INSERT INTO customer_refresh_tokens
+       (uuid, customer_id, token_hash, device_info, ip_address, last_used_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, NOW(), ?)`,
+        [sessionUuid, customerId, hashToken(refreshToken), userAgent, ipAddress, expiresAt]
+    );
+
+    return { sessionUuid, refreshToken };
+};
+
+/**
+ * Revoke every active portal session for a customer
+ */
+const revokeAllCustomerSessions = async (customerId) => {
+    await pool.query(
+        `UPDATE customer_refresh_tokens SET revoked_at = NOW() WHERE customer_id = ? AND revoked_at IS NULL`,
+        [customerId]
+    );
+};
+
 /**
  * Customer Login
  */
@@ -50,7 +106,7 @@ const login = async (req, res, next) => {
         if (!customer.password) {
             return res.status(401).json({
                 success: false,
-                message: 'Account not set up. Please contact support to set a password.'
+                message: 'Account not set up. Use the link in your invitation email, or request a password reset.'
             });
         }
 
@@ -67,17 +123,10 @@ const login = async (req, res, next) => {
             });
         }
 
-        // Generate token (Customer-specific payload)
-        const token = jwt.sign(
-            {
-                uuid: customer.uuid,
-                id: customer.id,
-                role: 'customer', // Distinct role
-                type: 'access'
-            },
-            jwtConfig.accessToken.secret,
-            { expiresIn: '24h' } // Longer session for customers typically
-        );
+        // Generate tokens
+        const userAgent = req.headers['user-agent'] || 'unknown';
+        const { sessionUuid, refreshToken } = await createSession(customer.id, ipAddress, userAgent);
+        const accessToken = generateAccessToken(customer, sessionUuid);
 
         // Update last login
         await pool.query(
@@ -86,12 +135,14 @@ const login = async (req, res, next) => {
         );
 
         await logAudit(null, 'CUSTOMER_LOGIN', 'customers', customer.id, null,
-            { ip: ipAddress }, ipAddress, 'info');
+            { ip: ipAddress, userAgent }, ipAddress, 'info');
 
         res.json({
             success: true,
             data: {
-                token,
+                accessToken,
+                refreshToken,
+                expiresIn: jwtConfig.accessToken.expiresIn,
                 customer: {
                     uuid: customer.uuid,
                     fullName: customer.full_name,
@@ -138,20 +189,388 @@ const getProfile = async (req, res, next) => {
 };
 
 /**
- * Set Initial Password (Admin or Setup link logic)
- * For simplicity in this phase, we expose an endpoint for customers to set password if they have a temp token, 
- * OR strictly allow admins to set it. 
- * Let's assume an Admin does it for now or we build a "Setup Account" flow later.
- * Actually, let's add a simple "Set Password" for the pilot that requires the Email and a "Setup Token" (reset_token).
+ * Refresh access token
+ * Rotates the session's refresh token; the presented token stops working
+ */
+const refreshToken = async (req, res, next) => {
+    try {
+        const { refreshToken: token } = req.body;
+        const ipAddress = getClientIp(req);
+
+        const [sessions] = await pool.query(
+            `SELECT crt.id, crt.uuid as session_uuid, crt.customer_id, c.uuid, c.is_blocked
+       FROM customer_refresh_tokens crt
+       JOIN customers c ON crt.customer_id = c.id
+       WHERE crt.token_hash = ?
+         AND crt.revoked_at IS NULL
+         AND crt.expires_at > NOW()`,
+            [hashToken(token)]
+        );
+
+        if (sessions.length === 0) {
+            await logAudit(null, 'CUSTOMER_TOKEN_REFRESH_FAILED', 'customer_refresh_tokens', null, null,
+                { reason: 'Invalid or expired token' }, ipAddress, 'warning');
+
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token.'
+            });
+        }
+
+        const session = sessions[0];
+
+        if (session.is_blocked) {
+            await revokeAllCustomerSessions(session.customer_id);
+
+            return res.status(403).json({
+                success: false,
+                message: 'Account is blocked. Please contact support.'
+            });
+        }
+
+        // Rotate in place so the session keeps its identity in the session list
+        const newRefreshToken = crypto.randomBytes(64).toString('hex');
+        const expiresAt = new Date(Date.now() + jwtConfig.refreshToken.expiresInMs);
+
+        const [result] = await pool.query(
+            `UPDATE customer_refresh_tokens
+       SET token_hash = ?, ip_address = ?, device_info = ?, last_used_at = NOW(), expires_at = ?
+       WHERE id = ? AND token_hash = ? AND revoked_at IS NULL`,
+            [hashToken(newRefreshToken), ipAddress, req.headers['user-agent'] || 'unknown', expiresAt,
+                session.id, hashToken(token)]
+        );
+
+        // Another request rotated this token first
+        if (result.affectedRows === 0) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token.'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                accessToken: generateAccessToken({ uuid: session.uuid, id: session.customer_id }, session.session_uuid),
+                refreshToken: newRefreshToken,
+                expiresIn: jwtConfig.accessToken.expiresIn
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Logout (current session)
+ */
+const logout = async (req, res, next) => {
+    try {
+        const { refreshToken: token } = req.body;
+        const ipAddress = getClientIp(req);
+
+        if (token) {
+            await pool.query(
+                'UPDATE customer_refresh_tokens SET revoked_at = NOW() WHERE token_hash = ? AND customer_id = ?',
+                [hashToken(token), req.user.id]
+            );
+        }
+
+        await logAudit(null, 'CUSTOMER_LOGOUT', 'customers', req.user.id, null,
+            { ip: ipAddress }, ipAddress, 'info');
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully.'
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Logout from all devices
+ */
+const logoutAll = async (req, res, next) => {
+    try {
+        const ipAddress = getClientIp(req);
+
+        await revokeAllCustomerSessions(req.user.id);
+
+        await logAudit(null, 'CUSTOMER_LOGOUT_ALL', 'customers', req.user.id, null,
+            { ip: ipAddress }, ipAddress, 'info');
+
+        res.json({
+            success: true,
+            message: 'Logged out from all devices.'
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List active portal sessions
+ */
+const getSessions = async (req, res, next) => {
+    try {
+        const [sessions] = await pool.query(
+            `SELECT uuid, device_info, ip_address, last_used_at, created_at, expires_at
+       FROM customer_refresh_tokens
+       WHERE customer_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+            [req.user.id]
+        );
+
+        res.json({
+            success: true,
+            data: sessions.map(s => ({
+                uuid: s.uuid,
+                device: s.device_info,
+                ipAddress: s.ip_address,
+                lastUsedAt: s.last_used_at,
+                createdAt: s.created_at,
+                expiresAt: s.expires_at,
+                isCurrent: s.uuid === req.user.sessionId
+            }))
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Revoke one portal session
+ */
+const revokeSession = async (req, res, next) => {
+    try {
+        const { uuid } = req.params;
+        const ipAddress = getClientIp(req);
+
+        const [result] = await pool.query(
+            `UPDATE customer_refresh_tokens SET revoked_at = NOW()
+       WHERE uuid = ? AND customer_id = ? AND revoked_at IS NULL`,
+            [uuid, req.user.id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found.'
+            });
+        }
+
+        await logAudit(null, 'CUSTOMER_SESSION_REVOKE', 'customers', req.user.id, null,
+            { session: uuid }, ipAddress, 'info');
+
+        res.json({
+            success: true,
+            message: 'Session revoked.'
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Issue a single-use password token for a customer and email the setup/reset link.
+ * Replaces any token issued earlier.
+ * @param {Object} customer - Row with id, full_name, email
+ * @param {string} purpose - 'invite' or 'reset'
+ * @returns {Promise<object>} emailService send result
+ */
+const issuePasswordToken = async (customer, purpose) => {
+    const { baseUrl, inviteExpiryHours, resetExpiryMinutes } = companyConfig.portal;
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiryMs = purpose === 'invite'
+        ? inviteExpiryHours * 60 * 60 * 1000
+        : resetExpiryMinutes * 60 * 1000;
+
+    await pool.query(
+        'UPDATE customers SET reset_token = ?, reset_token_expires_at = ? WHERE id = ?',
+        [hashToken(token), new Date(Date.now() + expiryMs), customer.id]
+    );
+
+    return emailService.sendCustomerPasswordEmail(customer.email, {
+        fullName: customer.full_name,
+        link: `${baseUrl}/set-password?token=${token}`,
+        purpose,
+        expiresIn: purpose === 'invite' ? `${inviteExpiryHours} hours` : `${resetExpiryMinutes} minutes`
+    });
+};
+
+/**
+ * Send Portal Invitation (staff)
+ * Emails the customer a link to set their portal password
+ */
+const sendInvite = async (req, res, next) => {
+    try {
+        const { uuid } = req.params;
+
+        const [customers] = await pool.query(
+            `SELECT id, full_name, email, password, is_blocked
+       FROM customers
+       WHERE uuid = ?`,
+            [uuid]
+        );
+
+        if (customers.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found.'
+            });
+        }
+
+        const customer = customers[0];
+
+        if (!customer.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Customer has no email address.'
+            });
+        }
+
+        if (customer.is_blocked) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot invite a blocked customer.'
+            });
+        }
+
+        const result = await issuePasswordToken(customer, 'invite');
+
+        await logAudit(req.user.id, 'CUSTOMER_PORTAL_INVITE', 'customers', customer.id, null,
+            { email: customer.email, resend: Boolean(customer.password), emailSent: result.success },
+            getClientIp(req), 'info');
+
+        if (!result.success) {
+            return res.status(502).json({
+                success: false,
+                message: 'Failed to send invitation email.'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Portal invitation sent to ${customer.email}.`
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Forgot Password (customer)
+ * Always answers the same way so the endpoint cannot be used to discover accounts
+ */
+const forgotPassword = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+        const ipAddress = getClientIp(req);
+
+        const [customers] = await pool.query(
+            `SELECT id, full_name, email, is_blocked
+       FROM customers
+       WHERE email = ?`,
+            [email]
+        );
+
+        if (customers.length > 0 && !customers[0].is_blocked) {
+            const result = await issuePasswordToken(customers[0], 'reset');
+
+            await logAudit(null, 'CUSTOMER_PASSWORD_RESET_REQUEST', 'customers', customers[0].id, null,
+                { emailSent: result.success }, ipAddress, 'info');
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account exists for that email, a password reset link has been sent.'
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Set Password (customer)
+ * Consumes an invitation or reset token; the token is cleared so it can only be used once
  */
 const setPassword = async (req, res, next) => {
-    // Implementation deferred for brevity, assuming manual DB update for pilot as per plan verification step.
-    // Or we can implement a proper reset flow if needed.
-    // For now, let's execute the Manual Verification plan: "Manually set a password for a test customer via DB"
-    res.status(501).json({ message: 'Not implemented' });
+    try {
+        const { token, password } = req.body;
+
+        const [customers] = await pool.query(
+            `SELECT id, password, is_blocked
+       FROM customers
+       WHERE reset_token = ? AND reset_token_expires_at > NOW()`,
+            [hashToken(token)]
+        );
+
+        if (customers.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This link is invalid or has expired.'
+            });
+        }
+
+        const customer = customers[0];
+
+        if (customer.is_blocked) {
+            return res.status(403).json({
+                success: false,
+                message: 'Account is blocked. Please contact support.'
+            });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+        // Match on the token again so two concurrent requests cannot both use it
+        const [result] = await pool.query(
+            `UPDATE customers
+       SET password = ?, reset_token = NULL, reset_token_expires_at = NULL
+       WHERE id = ? AND reset_token = ?`,
+            [hashedPassword, customer.id, hashToken(token)]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This link is invalid or has expired.'
+            });
+        }
+
+        // Sign out everywhere after a reset
+        await revokeAllCustomerSessions(customer.id);
+
+        await logAudit(null, customer.password ? 'CUSTOMER_PASSWORD_RESET' : 'CUSTOMER_PASSWORD_SET',
+            'customers', customer.id, null, null, getClientIp(req), 'info');
+
+        res.json({
+            success: true,
+            message: 'Password set successfully. You can now sign in.'
+        });
+
+    } catch (error) {
+        next(error);
+    }
 };
 
 module.exports = {
     login,
-    getProfile
+    refreshToken,
+    logout,
+    logoutAll,
+    getSessions,
+    revokeSession,
+    getProfile,
+    sendInvite,
+    forgotPassword,
+    setPassword
 };
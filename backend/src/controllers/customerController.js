@@ -5,6 +5,7 @@
 const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../config/database');
 const { logAudit, getClientIp, parseDecimal } = require('../utils/helpers');
+const { screenCustomer } = require('./watchlistController');
 
 /**
  * Get customers with search and pagination
@@ -38,6 +39,7 @@ const getCustomers = async (req, res, next) => {
         c.id_type,
         c.id_number,
         c.id_expiry,
+        c.date_of_birth,
         c.address,
         c.notes,
         c.is_vip,
@@ -100,6 +102,7 @@ const getCustomers = async (req, res, next) => {
         idType: c.id_type,
         idNumber: c.id_number,
         idExpiry: c.id_expiry,
+        dateOfBirth: c.date_of_birth,
         address: c.address,
         notes: c.notes,
         isVip: Boolean(c.is_vip),
@@ -158,6 +161,7 @@ const getCustomer = async (req, res, next) => {
         idType: c.id_type,
         idNumber: c.id_number,
         idExpiry: c.id_expiry,
+        dateOfBirth: c.date_of_birth,
         address: c.address,
         notes: c.notes,
         isVip: Boolean(c.is_vip),
@@ -187,6 +191,7 @@ const createCustomer = async (req, res, next) => {
       idType,
       idNumber,
       idExpiry,
+      dateOfBirth,
       address,
       notes,
       isVip = false
@@ -225,8 +230,8 @@ const createCustomer = async (req, res, next) => {
 
     const [result] = await pool.query(
       `INSERT INTO customers
-       (uuid, full_name, phone, email, id_type, id_number, id_expiry, address, notes, is_vip, created_by)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+       (uuid, full_name, phone, email, id_type, id_number, id_expiry, date_of_birth, address, notes, is_vip, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         uuid,
         fullName,
@@ -235,6 +240,7 @@ const createCustomer = async (req, res, next) => {
         idType || null,
         idNumber || null,
         idExpiry || null,
+        dateOfBirth || null,
         address || null,
         notes || null,
         isVip,
@@ -254,6 +260,8 @@ const createCustomer = async (req, res, next) => {
       'info'
     );
 
+    const screening = await screenCustomer(result.insertId, req.user.id);
+
     res.status(201).json({
       success: true,
       message: 'Customer created successfully.',
@@ -265,9 +273,11 @@ const createCustomer = async (req, res, next) => {
         idType,
         idNumber,
         idExpiry,
+        dateOfBirth,
         address,
         notes,
-        isVip
+        isVip,
+        screening
       }
     });
   } catch (error) {
@@ -288,6 +298,7 @@ const updateCustomer = async (req, res, next) => {
       idType,
       idNumber,
       idExpiry,
+      dateOfBirth,
       address,
       notes,
       isVip
@@ -366,6 +377,10 @@ const updateCustomer = async (req, res, next) => {
       updates.push('id_expiry = ?');
       params.push(idExpiry || null);
     }
+    if (dateOfBirth !== undefined) {
+      updates.push('date_of_birth = ?');
+      params.push(dateOfBirth || null);
+    }
     if (address !== undefined) {
       updates.push('address = ?');
       params.push(address || null);
@@ -409,9 +424,15 @@ const updateCustomer = async (req, res, next) => {
       'info'
     );
 
+    // Only what the lists are matched on calls for screening again
+    const screening = fullName !== undefined || idNumber !== undefined || dateOfBirth !== undefined
+      ? await screenCustomer(oldCustomer.id, req.user.id)
+      : [];
+
     res.json({
       success: true,
-      message: 'Customer updated successfully.'
+      message: 'Customer updated successfully.',
+      data: { screening }
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,241 @@
+/**
+ * Fee Schedule Controller
+ * Manages the schedules the fee engine computes commission from
+ */
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const { logAudit, getClientIp, parseDecimal } = require('../utils/helpers');
+const { parseTiers, calculateCommission } = require('../services/feeService');
+
+const formatSchedule = (s) => ({
+  uuid: s.uuid,
+  name: s.name,
+  currencyIn: s.currency_in_id ? { id: s.currency_in_id, code: s.currency_in_code } : null,
+  currencyOut: s.currency_out_id ? { id: s.currency_out_id, code: s.currency_out_code } : null,
+  customerSegment: s.customer_segment,
+  paymentMethod: s.payment_method,
+  feeType: s.fee_type,
+  flatAmount: s.flat_amount !== null ? parseDecimal(s.flat_amount) : null,
+  percentage: s.percentage !== null ? parseDecimal(s.percentage, 3) : null,
+  tiers: s.tiers ? parseTiers(s.tiers) : null,
+  minFee: s.min_fee !== null ? parseDecimal(s.min_fee) : null,
+  maxFee: s.max_fee !== null ? parseDecimal(s.max_fee) : null,
+  isActive: Boolean(s.is_active),
+  updatedAt: s.updated_at
+});
+
+// Only the fields the fee type uses are stored
+const scheduleValues = ({ feeType, flatAmount, percentage, tiers }) => ({
+  flatAmount: feeType === 'flat' ? parseDecimal(flatAmount) : null,
+  percentage: feeType === 'percentage' ? parseDecimal(percentage, 3) : null,
+  tiers: feeType === 'tiered' ? JSON.stringify(parseTiers(tiers)) : null
+});
+
+/**
+ * Get all fee schedules
+ */
+const getFeeSchedules = async (req, res, next) => {
+  try {
+    const [schedules] = await pool.query(`
+      SELECT
+        f.*,
+        ci.code as currency_in_code,
+        co.code as currency_out_code
+      FROM fee_schedules f
+      LEFT JOIN currencies ci ON f.currency_in_id = ci.id
+      LEFT JOIN currencies co ON f.currency_out_id = co.id
+      ORDER BY f.is_active DESC, f.name ASC
+    `);
+
+    res.json({
+      success: true,
+      data: schedules.map(formatSchedule)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a fee schedule
+ */
+const createFeeSchedule = async (req, res, next) => {
+  try {
+    const {
+      name,
+      currencyInId = null,
+      currencyOutId = null,
+      customerSegment = 'all',
+      paymentMethod = null,
+      feeType,
+      minFee = null,
+      maxFee = null
+    } = req.body;
+    const uuid = uuidv4();
+    const values = scheduleValues(req.body);
+
+    const [result] = await pool.query(
+      `INSERT INTO fee_schedules
+       (uuid, name, currency_in_id, currency_out_id, customer_segment, payment_method, fee_type,
+        flat_amount, percentage, tiers, min_fee, max_fee, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuid,
+        name,
+        currencyInId,
+        currencyOutId,
+        customerSegment,
+        paymentMethod,
+        feeType,
+        values.flatAmount,
+        values.percentage,
+        values.tiers,
+        minFee,
+        maxFee,
+        req.user.id
+      ]
+    );
+
+    await logAudit(
+      req.user.id,
+      'CREATE',
+      'fee_schedules',
+      result.insertId,
+      null,
+      { uuid, name, currencyInId, currencyOutId, customerSegment, paymentMethod, feeType, ...values, minFee, maxFee },
+      getClientIp(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Fee schedule created successfully.',
+      data: { uuid, name }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a fee schedule
+ * Changing the fee type replaces the whole fee definition.
+ */
+const updateFeeSchedule = async (req, res, next) => {
+  try {
+    const { uuid } = req.params;
+
+    const [schedules] = await pool.query('SELECT * FROM fee_schedules WHERE uuid = ?', [uuid]);
+
+    if (schedules.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee schedule not found.'
+      });
+    }
+
+    const schedule = schedules[0];
+    const fields = {
+      name: 'name',
+      currencyInId: 'currency_in_id',
+      currencyOutId: 'currency_out_id',
+      customerSegment: 'customer_segment',
+      paymentMethod: 'payment_method',
+      minFee: 'min_fee',
+      maxFee: 'max_fee',
+      isActive: 'is_active'
+    };
+
+    const updates = [];
+    const params = [];
+    const oldValues = {};
+    const newValues = {};
+
+    for (const [key, column] of Object.entries(fields)) {
+      if (req.body[key] !== undefined) {
+        updates.push(`${column} = ?`);
+        params.push(req.body[key]);
+        oldValues[key] = schedule[column];
+        newValues[key] = req.body[key];
+      }
+    }
+
+    if (req.body.feeType !== undefined) {
+      const values = scheduleValues(req.body);
+      updates.push('fee_type = ?', 'flat_amount = ?', 'percentage = ?', 'tiers = ?');
+      params.push(req.body.feeType, values.flatAmount, values.percentage, values.tiers);
+      oldValues.feeType = schedule.fee_type;
+      Object.assign(newValues, { feeType: req.body.feeType, ...values });
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update.'
+      });
+    }
+
+    updates.push('updated_by = ?');
+    params.push(req.user.id, schedule.id);
+    await pool.query(`UPDATE fee_schedules SET ${updates.join(', ')} WHERE id = ?`, params);
+
+    await logAudit(
+      req.user.id,
+      'UPDATE',
+      'fee_schedules',
+      schedule.id,
+      oldValues,
+      newValues,
+      getClientIp(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Fee schedule updated successfully.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Preview the commission the fee engine would charge on a deal
+ */
+const previewFee = async (req, res, next) => {
+  try {
+    const { customerId, paymentMethod = 'cash' } = req.query;
+    const currencyInId = parseInt(req.query.currencyInId);
+    const currencyOutId = parseInt(req.query.currencyOutId);
+    const amountIn = parseDecimal(req.query.amountIn);
+
+    let isVip = false;
+    if (customerId) {
+      const [customers] = await pool.query('SELECT is_vip FROM customers WHERE uuid = ?', [customerId]);
+      isVip = customers.length > 0 && Boolean(customers[0].is_vip);
+    }
+
+    const { commission, schedule } = await calculateCommission(pool, {
+      currencyInId,
+      currencyOutId,
+      amountIn,
+      isVip,
+      paymentMethod
+    });
+
+    res.json({
+      success: true,
+      data: {
+        commission,
+        schedule: schedule ? { uuid: schedule.uuid, name: schedule.name, feeType: schedule.fee_type } : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getFeeSchedules,
+  createFeeSchedule,
+  updateFeeSchedule,
+  previewFee
+};
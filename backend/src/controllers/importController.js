@@ -7,11 +7,16 @@ const csv = require('csv-parser');
 const { pool } = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 const { parseDecimal, logAudit, getClientIp } = require('../utils/helpers');
+const { evaluateTransaction, detectStructuring, createAlert, rescoreCustomer } = require('./complianceController');
+const { screenParty, recordHits } = require('./watchlistController');
 
 /**
  * Handle Transaction Import
  * Expected CSV Columns: 
  * Date, CustomerName, CustomerPhone, CurrencyIn, AmountIn, CurrencyOut, AmountOut, ExchangeRate, Status, Notes
+ * Optional: CustomerIdType, CustomerIdNumber (needed when a rule requires ID)
+ * Every row goes through watchlist screening, the compliance rule engine and structuring
+ * detection like a manually entered transaction.
  */
 const importTransactions = async (req, res, next) => {
     if (!req.file) {
@@ -22,17 +27,24 @@ const importTransactions = async (req, res, next) => {
     const errors = [];
     let rowCount = 0;
     let successCount = 0;
+    let pendingCount = 0;
+    const importedCustomers = new Set();
+    const heldByScreening = [];
 
     const filePath = req.file.path;
 
     try {
         // 1. Load Caches for validation (Currencies, Users?)
         // We need to map Currency Codes to IDs.
-        const [currencies] = await pool.query('SELECT id, code FROM currencies');
+        const [currencies] = await pool.query('SELECT id, code, high_value_threshold FROM currencies');
         const currencyMap = currencies.reduce((acc, curr) => {
             acc[curr.code.toUpperCase()] = curr.id;
             return acc;
         }, {});
+        const thresholdMap = currencies.reduce((acc, curr) => {
+            acc[curr.code.toUpperCase()] = parseFloat(curr.high_value_threshold || 10000);
+            return acc;
+        }, {});
 
         const processingPromise = new Promise((resolve, reject) => {
             fs.createReadStream(filePath)
@@ -58,6 +70,8 @@ const importTransactions = async (req, res, next) => {
                 const amountIn = parseFloat(row['AmountIn']);
                 const amountOut = parseFloat(row['AmountOut']);
                 const customerName = row['CustomerName'];
+                const customerIdType = row['CustomerIdType'] || null;
+                const customerIdNumber = row['CustomerIdNumber'] || null;
 
                 if (!currInCode || !currOutCode || isNaN(amountIn) || isNaN(amountOut)) {
                     errors.push({ row: rowCount, message: 'Missing required fields or invalid numbers' });
@@ -88,32 +102,105 @@ const importTransactions = async (req, res, next) => {
                     }
                 }
 
+                // Possible watchlist matches are held back; their hits are recorded once the import is committed
+                const screenedParty = { name: customerName, idNumber: customerIdNumber };
+                const watchlistHits = await screenParty(connection, screenedParty, customerId);
+                if (watchlistHits.length > 0) {
+                    heldByScreening.push({ party: screenedParty, hits: watchlistHits, customerId });
+                    errors.push({ row: rowCount, message: 'Held by watchlist screening: possible match awaiting compliance review' });
+                    continue;
+                }
+
+                // Run the row through the compliance rule engine
+                const compliance = await evaluateTransaction(
+                    {
+                        amountIn: parseDecimal(amountIn),
+                        currencyInId: currencyMap[currInCode],
+                        customerIdType,
+                        customerIdNumber
+                    },
+                    customerId,
+                    connection
+                );
+
+                if (compliance.blocked) {
+                    errors.push({ row: rowCount, message: `Blocked by compliance rules: ${compliance.violations.map(v => v.rule).join(', ')}` });
+                    continue;
+                }
+
+                if (compliance.idRequired) {
+                    errors.push({ row: rowCount, message: 'Customer identification is required (CustomerIdType, CustomerIdNumber)' });
+                    continue;
+                }
+
+                const status = compliance.requiresApproval ? 'pending' : 'completed';
+                const isFlagged = compliance.alerts.length > 0;
+                const flagReason = isFlagged ? compliance.alerts.map(a => a.description).join('; ') : null;
+
                 // Insert Transaction
                 const uuid = uuidv4();
                 const profit = 0; // simplified
 
-                await connection.query(
+                const [inserted] = await connection.query(
                     `INSERT INTO transactions 
-           (uuid, customer_id, customer_name, currency_in_id, currency_out_id, 
-            amount_in, amount_out, exchange_rate, status, notes, employee_id, transaction_date)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+           (uuid, customer_id, customer_name, customer_id_type, customer_id_number, currency_in_id, currency_out_id, 
+            amount_in, amount_out, exchange_rate, status, is_flagged, flag_reason, notes, employee_id, transaction_date)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
                     [
-                        uuid, customerId, customerName, currencyMap[currInCode], currencyMap[currOutCode],
-                        amountIn, amountOut, row['ExchangeRate'] || 0, 'completed',
+                        uuid, customerId, customerName, customerIdType, customerIdNumber,
+                        currencyMap[currInCode], currencyMap[currOutCode],
+                        amountIn, amountOut, row['ExchangeRate'] || 0, status, isFlagged, flagReason,
                         `Imported Row ${rowCount}: ` + (row['Notes'] || ''), req.user.id
                     ]
                 );
+
+                for (const alert of compliance.alerts) {
+                    await createAlert(alert, inserted.insertId, customerId, connection);
+                }
+
+                // Imported rows count towards structuring patterns like any other transaction
+                const patterns = await detectStructuring(
+                    {
+                        id: inserted.insertId,
+                        customerPhone: row['CustomerPhone'] || null,
+                        customerIdNumber,
+                        currencyInId: currencyMap[currInCode],
+                        currencyCode: currInCode,
+                        amountIn: parseDecimal(amountIn),
+                        threshold: thresholdMap[currInCode]
+                    },
+                    customerId,
+                    connection
+                );
+                if (patterns.length > 0) {
+                    await connection.query(
+                        'UPDATE transactions SET is_flagged = TRUE, flag_reason = ? WHERE id = ?',
+                        [[flagReason, ...patterns.map(p => p.description)].filter(Boolean).join('; '), inserted.insertId]
+                    );
+                }
+
+                if (customerId) importedCustomers.add(customerId);
+
+                if (status === 'pending') pendingCount++;
                 successCount++;
             }
 
             await connection.commit();
 
+            for (const held of heldByScreening) {
+                await recordHits(held.party, held.hits, { customerId: held.customerId, source: 'transaction', userId: req.user.id });
+            }
+
+            for (const importedCustomerId of importedCustomers) {
+                await rescoreCustomer(importedCustomerId, { source: 'transaction', reference: 'import', userId: req.user.id });
+            }
+
             // Cleanup file
             fs.unlinkSync(filePath);
 
             // Log Audit
             await logAudit(req.user.id, 'IMPORT_TRANSACTIONS', 'transactions', null, null,
-                { total: rowCount, success: successCount, failed: errors.length }, getClientIp(req), 'info');
+                { total: rowCount, success: successCount, pending: pendingCount, failed: errors.length }, getClientIp(req), 'info');
 
             res.json({
                 success: true,
@@ -121,6 +208,7 @@ const importTransactions = async (req, res, next) => {
                 data: {
                     totalRows: rowCount,
                     imported: successCount,
+                    pendingApproval: pendingCount,
                     failed: errors.length,
                     errors: errors
                 }
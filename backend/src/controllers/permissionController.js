@@ -3,7 +3,31 @@
  * Manages permissions and role assignments
  */
 const { pool } = require('../config/database');
-const { clearPermissionCache } = require('../middleware/auth');
+const { invalidatePermissionCache, getUserPermissions } = require('../middleware/auth');
+const { logAudit, getClientIp } = require('../utils/helpers');
+
+/**
+ * Find a role by code
+ * @returns {Promise<Object|null>} roles row
+ */
+const findRole = async (code) => {
+  const [roles] = await pool.query('SELECT * FROM roles WHERE code = ?', [code]);
+  return roles.length > 0 ? roles[0] : null;
+};
+
+/**
+ * Check that every ID names an existing permission
+ * @param {number[]} permissionIds
+ * @returns {Promise<boolean>}
+ */
+const permissionsExist = async (permissionIds) => {
+  if (permissionIds.length === 0) {
+    return true;
+  }
+  const unique = [...new Set(permissionIds)];
+  const [rows] = await pool.query('SELECT COUNT(*) as count FROM permissions WHERE id IN (?)', [unique]);
+  return rows[0].count === unique.length;
+};
 
 /**
  * Get all permissions grouped by category
@@ -44,11 +68,10 @@ const getRolePermissions = async (req, res, next) => {
   try {
     const { role } = req.params;
 
-    const validRoles = ['admin', 'manager', 'teller', 'viewer'];
-    if (!validRoles.includes(role)) {
-      return res.status(400).json({
+    if (!(await findRole(role))) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid role'
+        message: 'Role not found.'
       });
     }
 
@@ -88,7 +111,8 @@ const getPermissionMatrix = async (req, res, next) => {
     `);
 
     // Build matrix
-    const roles = ['admin', 'manager', 'teller', 'viewer'];
+    const [roleRows] = await pool.query('SELECT code FROM roles ORDER BY is_system DESC, id ASC');
+    const roles = roleRows.map(r => r.code);
     const matrix = {};
 
     for (const role of roles) {
@@ -120,14 +144,20 @@ const updateRolePermissions = async (req, res, next) => {
     const { role } = req.params;
     const { permissionIds } = req.body;
 
-    const validRoles = ['manager', 'teller', 'viewer'];
-    if (!validRoles.includes(role)) {
+    if (role === 'admin') {
       return res.status(400).json({
         success: false,
         message: 'Cannot modify admin permissions'
       });
     }
 
+    if (!(await findRole(role))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found.'
+      });
+    }
+
     if (!Array.isArray(permissionIds)) {
       return res.status(400).json({
         success: false,
@@ -135,6 +165,13 @@ const updateRolePermissions = async (req, res, next) => {
       });
     }
 
+    if (!(await permissionsExist(permissionIds))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown permission ID.'
+      });
+    }
+
     await connection.beginTransaction();
 
     // Delete existing permissions for role
@@ -154,11 +191,10 @@ const updateRolePermissions = async (req, res, next) => {
 
     await connection.commit();
 
-    // Clear permission cache
-    clearPermissionCache();
+    // Drop cached permissions in every process
+    await invalidatePermissionCache();
 
     // Log audit
-    const { logAudit, getClientIp } = require('../utils/helpers');
     const ipAddress = getClientIp(req);
     await logAudit(
       req.user.id,
@@ -189,37 +225,329 @@ const updateRolePermissions = async (req, res, next) => {
  */
 const getRoles = async (req, res, next) => {
   try {
-    const roles = [
-      { id: 'admin', name: 'Administrator', description: 'Full system access', editable: false },
-      { id: 'manager', name: 'Manager', description: 'Manage operations and reports', editable: true },
-      { id: 'teller', name: 'Teller', description: 'Handle transactions and customers', editable: true },
-      { id: 'viewer', name: 'Viewer', description: 'View-only access', editable: true }
-    ];
-
-    // Get user count per role
-    const [counts] = await pool.query(`
-      SELECT role, COUNT(*) as count
-      FROM users
-      WHERE is_active = 1
-      GROUP BY role
+    const [roles] = await pool.query(`
+      SELECT r.code, r.name, r.description, r.is_system, r.require_two_factor,
+        (SELECT COUNT(*) FROM users u WHERE u.role = r.code AND u.is_active = 1) as user_count
+      FROM roles r
+      ORDER BY r.is_system DESC, r.id ASC
     `);
 
-    const countsMap = counts.reduce((acc, c) => {
-      acc[c.role] = c.count;
-      return acc;
-    }, {});
+    res.json({
+      success: true,
+      data: roles.map(r => ({
+        id: r.code,
+        name: r.name,
+        description: r.description,
+        isSystem: Boolean(r.is_system),
+        requireTwoFactor: Boolean(r.require_two_factor),
+        editable: r.code !== 'admin',
+        userCount: r.user_count
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a custom role, optionally starting from a set of permissions
+ */
+const createRole = async (req, res, next) => {
+  const connection = await pool.getConnection();
+
+  try {
+    const { code, name, description = null, requireTwoFactor = false, permissionIds = [] } = req.body;
+
+    if (await findRole(code)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A role with this code already exists.'
+      });
+    }
+
+    if (!(await permissionsExist(permissionIds))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown permission ID.'
+      });
+    }
+
+    await connection.beginTransaction();
+
+    const [result] = await connection.query(
+      `INSERT INTO roles (code, name, description, require_two_factor, is_system, created_by)
+       VALUES (?, ?, ?, ?, FALSE, ?)`,
+      [code, name, description, requireTwoFactor, req.user.id]
+    );
+
+    if (permissionIds.length > 0) {
+      await connection.query(
+        'INSERT INTO role_permissions (role, permission_id) VALUES ?',
+        [[...new Set(permissionIds)].map(id => [code, id])]
+      );
+    }
+
+    await connection.commit();
+    await invalidatePermissionCache();
+
+    await logAudit(
+      req.user.id,
+      'CREATE',
+      'roles',
+      result.insertId,
+      null,
+      { code, name, description, requireTwoFactor, permissionIds },
+      getClientIp(req),
+      'warning'
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully.',
+      data: { id: code, name }
+    });
+  } catch (error) {
+    await connection.rollback();
+    next(error);
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Rename a role, change its description or whether its users must use two-factor authentication
+ */
+const updateRole = async (req, res, next) => {
+  try {
+    const { role: code } = req.params;
+    const role = await findRole(code);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found.'
+      });
+    }
+
+    const {
+      name = role.name,
+      description = role.description,
+      requireTwoFactor = Boolean(role.require_two_factor)
+    } = req.body;
+
+    await pool.query(
+      'UPDATE roles SET name = ?, description = ?, require_two_factor = ?, updated_by = ? WHERE id = ?',
+      [name, description, requireTwoFactor, req.user.id, role.id]
+    );
+
+    await logAudit(
+      req.user.id,
+      'UPDATE',
+      'roles',
+      role.id,
+      { name: role.name, description: role.description, requireTwoFactor: Boolean(role.require_two_factor) },
+      { name, description, requireTwoFactor },
+      getClientIp(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a custom role
+ * Built-in roles and roles still assigned to users cannot be deleted.
+ */
+const deleteRole = async (req, res, next) => {
+  const connection = await pool.getConnection();
+
+  try {
+    const { role: code } = req.params;
+    const role = await findRole(code);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found.'
+      });
+    }
+
+    if (role.is_system) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted.'
+      });
+    }
+
+    const [users] = await pool.query('SELECT COUNT(*) as count FROM users WHERE role = ?', [code]);
+    if (users[0].count > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is assigned to ${users[0].count} user(s). Assign them another role first.`
+      });
+    }
+
+    await connection.beginTransaction();
+    await connection.query('DELETE FROM role_permissions WHERE role = ?', [code]);
+    await connection.query('DELETE FROM roles WHERE id = ?', [role.id]);
+    await connection.commit();
+    await invalidatePermissionCache();
+
+    await logAudit(
+      req.user.id,
+      'DELETE',
+      'roles',
+      role.id,
+      { code, name: role.name },
+      null,
+      getClientIp(req),
+      'warning'
+    );
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully.'
+    });
+  } catch (error) {
+    await connection.rollback();
+    next(error);
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Get a user's permission overrides and effective permissions
+ */
+const getUserPermissionOverrides = async (req, res, next) => {
+  try {
+    const [users] = await pool.query(
+      'SELECT id, uuid, username, full_name, role FROM users WHERE uuid = ?',
+      [req.params.uuid]
+    );
+
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    const user = users[0];
+    const [overrides] = await pool.query(`
+      SELECT p.id, p.code, p.name, up.granted
+      FROM user_permissions up
+      JOIN permissions p ON up.permission_id = p.id
+      WHERE up.user_id = ?
+      ORDER BY p.category, p.code
+    `, [user.id]);
+
+    res.json({
+      success: true,
+      data: {
+        user: { uuid: user.uuid, username: user.username, fullName: user.full_name, role: user.role },
+        granted: overrides.filter(o => o.granted).map(o => o.id),
+        denied: overrides.filter(o => !o.granted).map(o => o.id),
+        effective: await getUserPermissions(user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace a user's permission overrides
+ * Granted permissions are added to the role's, denied ones taken away from it.
+ */
+const updateUserPermissionOverrides = async (req, res, next) => {
+  const connection = await pool.getConnection();
+
+  try {
+    const { granted = [], denied = [] } = req.body;
+
+    const [users] = await pool.query('SELECT id, role FROM users WHERE uuid = ?', [req.params.uuid]);
+
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
 
-    const rolesWithCounts = roles.map(r => ({
-      ...r,
-      userCount: countsMap[r.id] || 0
-    }));
+    const user = users[0];
+
+    if (user.role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Administrators have every permission; overrides do not apply.'
+      });
+    }
+
+    if (granted.some(id => denied.includes(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'A permission cannot be both granted and denied.'
+      });
+    }
+
+    if (!(await permissionsExist([...granted, ...denied]))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown permission ID.'
+      });
+    }
+
+    const [previous] = await pool.query(
+      'SELECT permission_id, granted FROM user_permissions WHERE user_id = ?',
+      [user.id]
+    );
+
+    await connection.beginTransaction();
+    await connection.query('DELETE FROM user_permissions WHERE user_id = ?', [user.id]);
+
+    const values = [
+      ...[...new Set(granted)].map(id => [user.id, id, true, req.user.id]),
+      ...[...new Set(denied)].map(id => [user.id, id, false, req.user.id])
+    ];
+    if (values.length > 0) {
+      await connection.query(
+        'INSERT INTO user_permissions (user_id, permission_id, granted, created_by) VALUES ?',
+        [values]
+      );
+    }
+
+    await connection.commit();
+    await invalidatePermissionCache();
+
+    await logAudit(
+      req.user.id,
+      'UPDATE',
+      'user_permissions',
+      user.id,
+      {
+        granted: previous.filter(p => p.granted).map(p => p.permission_id),
+        denied: previous.filter(p => !p.granted).map(p => p.permission_id)
+      },
+      { granted, denied },
+      getClientIp(req),
+      'warning'
+    );
 
     res.json({
       success: true,
-      data: rolesWithCounts
+      message: 'User permissions updated successfully.'
     });
   } catch (error) {
+    await connection.rollback();
     next(error);
+  } finally {
+    connection.release();
   }
 };
 
@@ -228,5 +556,10 @@ module.exports = {
   getRolePermissions,
   getPermissionMatrix,
   updateRolePermissions,
-  getRoles
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getUserPermissionOverrides,
+  updateUserPermissionOverrides
 };
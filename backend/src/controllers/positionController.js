@@ -0,0 +1,199 @@
+/**
+ * Position Controller
+ * Currency positions and exposure across drawers, and the limits they are held to
+ */
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const { logAudit, getClientIp, parseDecimal } = require('../utils/helpers');
+const { findBranchId } = require('../middleware/branchScope');
+const { getPositionReport } = require('../services/positionService');
+
+const formatLimit = (l) => ({
+  uuid: l.uuid,
+  currency: { id: l.currency_id, code: l.currency_code },
+  branch: l.branch_uuid ? { uuid: l.branch_uuid, name: l.branch_name } : null,
+  maxLong: l.max_long !== null ? parseDecimal(l.max_long) : null,
+  maxShort: l.max_short !== null ? parseDecimal(l.max_short) : null,
+  updatedAt: l.updated_at
+});
+
+/**
+ * Get currency positions, exposure, intraday movement and limit alerts
+ */
+const getPositions = async (req, res, next) => {
+  try {
+    const report = await getPositionReport(pool, req.branchScope);
+
+    res.json({
+      success: true,
+      data: {
+        branch: req.branchScope.branchUuid
+          ? { uuid: req.branchScope.branchUuid, name: req.branchScope.branchName }
+          : null,
+        ...report
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all position limits
+ */
+const getPositionLimits = async (req, res, next) => {
+  try {
+    const [limits] = await pool.query(`
+      SELECT
+        l.*,
+        c.code as currency_code,
+        b.uuid as branch_uuid,
+        b.name as branch_name
+      FROM position_limits l
+      JOIN currencies c ON l.currency_id = c.id
+      LEFT JOIN branches b ON l.branch_id = b.id
+      ORDER BY c.code ASC, l.branch_id IS NOT NULL, b.name ASC
+    `);
+
+    res.json({
+      success: true,
+      data: limits.map(formatLimit)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set the limit for a currency, consolidated or for one branch
+ * Replaces the existing limit for the same currency and branch.
+ */
+const savePositionLimit = async (req, res, next) => {
+  try {
+    const { currencyId, branchId = null } = req.body;
+    const maxLong = req.body.maxLong !== undefined && req.body.maxLong !== null ? parseDecimal(req.body.maxLong) : null;
+    const maxShort = req.body.maxShort !== undefined && req.body.maxShort !== null ? parseDecimal(req.body.maxShort) : null;
+
+    if (maxLong === null && maxShort === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a long or a short limit, or delete the limit.'
+      });
+    }
+
+    const [currencies] = await pool.query('SELECT id FROM currencies WHERE id = ?', [currencyId]);
+    if (currencies.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Currency not found.'
+      });
+    }
+
+    const limitBranchId = await findBranchId(branchId);
+    if (limitBranchId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Branch not found or not active.'
+      });
+    }
+
+    const [existing] = await pool.query(
+      'SELECT * FROM position_limits WHERE currency_id = ? AND branch_id <=> ?',
+      [currencyId, limitBranchId]
+    );
+
+    if (existing.length > 0) {
+      const limit = existing[0];
+      await pool.query(
+        'UPDATE position_limits SET max_long = ?, max_short = ?, updated_by = ? WHERE id = ?',
+        [maxLong, maxShort, req.user.id, limit.id]
+      );
+
+      await logAudit(
+        req.user.id,
+        'UPDATE',
+        'position_limits',
+        limit.id,
+        { maxLong: limit.max_long, maxShort: limit.max_short },
+        { maxLong, maxShort },
+        getClientIp(req)
+      );
+
+      return res.json({
+        success: true,
+        message: 'Position limit updated successfully.',
+        data: { uuid: limit.uuid }
+      });
+    }
+
+    const uuid = uuidv4();
+    const [result] = await pool.query(
+      `INSERT INTO position_limits (uuid, currency_id, branch_id, max_long, max_short, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [uuid, currencyId, limitBranchId, maxLong, maxShort, req.user.id]
+    );
+
+    await logAudit(
+      req.user.id,
+      'CREATE',
+      'position_limits',
+      result.insertId,
+      null,
+      { uuid, currencyId, branchId: limitBranchId, maxLong, maxShort },
+      getClientIp(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Position limit created successfully.',
+      data: { uuid }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a position limit
+ */
+const deletePositionLimit = async (req, res, next) => {
+  try {
+    const { uuid } = req.params;
+
+    const [limits] = await pool.query('SELECT * FROM position_limits WHERE uuid = ?', [uuid]);
+
+    if (limits.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Position limit not found.'
+      });
+    }
+
+    const limit = limits[0];
+    await pool.query('DELETE FROM position_limits WHERE id = ?', [limit.id]);
+
+    await logAudit(
+      req.user.id,
+      'DELETE',
+      'position_limits',
+      limit.id,
+      { currencyId: limit.currency_id, branchId: limit.branch_id, maxLong: limit.max_long, maxShort: limit.max_short },
+      null,
+      getClientIp(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Position limit deleted successfully.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPositions,
+  getPositionLimits,
+  savePositionLimit,
+  deletePositionLimit
+};
@@ -1,6 +1,8 @@
 const { pool } = require('../config/database');
 const emailService = require('../services/emailService');
+const receiptService = require('../services/receiptService');
 const { logAudit, parseDecimal, getClientIp } = require('../utils/helpers');
+const { ownBranch } = require('../middleware/branchScope');
 
 /**
  * Send receipt via email
@@ -19,6 +21,7 @@ const sendReceipt = async (req, res, next) => {
     }
 
     // Fetch transaction details
+    const scope = ownBranch(req.user, 't.branch_id');
     const [transactions] = await pool.query(`
       SELECT 
         t.*,
@@ -29,8 +32,8 @@ const sendReceipt = async (req, res, next) => {
       JOIN currencies ci ON t.currency_in_id = ci.id
       JOIN currencies co ON t.currency_out_id = co.id
       JOIN users u ON t.employee_id = u.id
-      WHERE t.uuid = ? AND t.deleted_at IS NULL
-    `, [uuid]);
+      WHERE t.uuid = ? AND t.deleted_at IS NULL${scope.sql}
+    `, [uuid, ...scope.params]);
 
     if (transactions.length === 0) {
       return res.status(404).json({
@@ -94,25 +97,40 @@ const sendReceipt = async (req, res, next) => {
 };
 
 /**
- * Get receipt (PDF generation)
+ * Get receipt PDF (inline, or as an attachment when download=true)
+ * Customers can only fetch receipts for their own transactions, and never the internal copy
  */
 const getReceipt = async (req, res, next) => {
   try {
     const { uuid } = req.params;
-    const { type = 'customer', download = 'false', lang = 'en' } = req.query;
+    const { download = 'false', lang = 'en' } = req.query;
+    const isCustomer = req.user.role === 'customer';
+    const type = isCustomer ? 'customer' : (req.query.type || 'customer');
 
-    const [transactions] = await pool.query(`
+    let query = `
       SELECT
         t.*,
-        ci.code as currency_in_code, ci.name as currency_in_name,
-        co.code as currency_out_code, co.name as currency_out_name,
+        ci.code as currency_in_code, ci.symbol as currency_in_symbol,
+        co.code as currency_out_code, co.symbol as currency_out_symbol,
         u.full_name as employee_name
       FROM transactions t
       JOIN currencies ci ON t.currency_in_id = ci.id
       JOIN currencies co ON t.currency_out_id = co.id
       JOIN users u ON t.employee_id = u.id
       WHERE t.uuid = ? AND t.deleted_at IS NULL
-    `, [uuid]);
+    `;
+    const params = [uuid];
+
+    if (isCustomer) {
+      query += ' AND t.customer_id = ?';
+      params.push(req.user.id);
+    } else {
+      const scope = ownBranch(req.user, 't.branch_id');
+      query += scope.sql;
+      params.push(...scope.params);
+    }
+
+    const [transactions] = await pool.query(query, params);
 
     if (transactions.length === 0) {
       return res.status(404).json({
@@ -123,26 +141,43 @@ const getReceipt = async (req, res, next) => {
 
     const transaction = transactions[0];
 
-    // For now, return JSON data - PDF generation can be added later
-    res.json({
-      success: true,
-      data: {
-        transactionNumber: transaction.transaction_number,
-        customerName: transaction.customer_name,
-        customerPhone: transaction.customer_phone,
-        amountIn: parseDecimal(transaction.amount_in),
-        currencyIn: transaction.currency_in_code,
-        currencyInName: transaction.currency_in_name,
-        amountOut: parseDecimal(transaction.amount_out),
-        currencyOut: transaction.currency_out_code,
-        currencyOutName: transaction.currency_out_name,
-        exchangeRate: parseDecimal(transaction.exchange_rate),
-        date: transaction.transaction_date,
-        employeeName: transaction.employee_name,
-        status: transaction.status,
-        notes: transaction.notes
-      }
+    const receiptData = {
+      uuid: transaction.uuid,
+      transactionNumber: transaction.transaction_number,
+      customerName: transaction.customer_name,
+      customerPhone: transaction.customer_phone,
+      customerIdType: transaction.customer_id_type,
+      customerIdNumber: transaction.customer_id_number,
+      currencyIn: { code: transaction.currency_in_code, symbol: transaction.currency_in_symbol },
+      currencyOut: { code: transaction.currency_out_code, symbol: transaction.currency_out_symbol },
+      amountIn: parseDecimal(transaction.amount_in),
+      amountOut: parseDecimal(transaction.amount_out),
+      exchangeRate: parseDecimal(transaction.exchange_rate, 6),
+      marketRate: parseDecimal(transaction.market_rate, 6),
+      profit: parseDecimal(transaction.profit),
+      commission: parseDecimal(transaction.commission),
+      paymentMethod: transaction.payment_method,
+      transactionDate: transaction.transaction_date,
+      employee: transaction.employee_name
+    };
+
+    const pdf = await receiptService.generateReceipt(receiptData, {
+      includeProfit: type === 'internal',
+      language: lang
+    });
+
+    // Staff receipt actions are logged by the client; portal downloads are audited here
+    if (isCustomer) {
+      await logAudit(null, 'CUSTOMER_RECEIPT_DOWNLOAD', 'transactions', transaction.id, null,
+        { customerId: req.user.id, language: lang }, getClientIp(req), 'info');
+    }
+
+    const filename = receiptService.generateReceiptFilename(receiptData, type);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `${download === 'true' ? 'attachment' : 'inline'}; filename="${filename}"`
     });
+    res.send(pdf);
   } catch (error) {
     next(error);
   }
@@ -162,9 +197,10 @@ const getReceiptHistory = async (req, res, next) => {
   try {
     const { uuid } = req.params;
 
+    const scope = ownBranch(req.user, 'branch_id');
     const [transactions] = await pool.query(
-      'SELECT id FROM transactions WHERE uuid = ? AND deleted_at IS NULL',
-      [uuid]
+      `SELECT id FROM transactions WHERE uuid = ? AND deleted_at IS NULL${scope.sql}`,
+      [uuid, ...scope.params]
     );
 
     if (transactions.length === 0) {
@@ -213,9 +249,10 @@ const logReceiptAction = async (req, res, next) => {
     const { action, receiptType = 'customer' } = req.body;
     const userId = req.user.id;
 
+    const scope = ownBranch(req.user, 'branch_id');
     const [transactions] = await pool.query(
-      'SELECT id FROM transactions WHERE uuid = ? AND deleted_at IS NULL',
-      [uuid]
+      `SELECT id FROM transactions WHERE uuid = ? AND deleted_at IS NULL${scope.sql}`,
+      [uuid, ...scope.params]
     );
 
     if (transactions.length === 0) {
@@ -6,6 +6,8 @@ const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../config/database');
 const { logAudit, getClientIp, parseDecimal } = require('../utils/helpers');
 const exportService = require('../services/exportService');
+const { branchFilter } = require('../middleware/branchScope');
+const { getRevaluation } = require('../services/inventoryService');
 
 /**
  * Get daily report with transaction details
@@ -13,6 +15,7 @@ const exportService = require('../services/exportService');
  */
 const getDailyReport = async (req, res, next) => {
   try {
+    const branch = branchFilter(req.branchScope);
     const { date, employeeId } = req.query;
     const reportDate = date || new Date().toISOString().split('T')[0];
 
@@ -39,10 +42,10 @@ const getDailyReport = async (req, res, next) => {
       JOIN users u ON t.employee_id = u.id
       WHERE DATE(t.transaction_date) = ?
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
     `;
 
-    const params = [reportDate];
+    const params = [reportDate, ...branch.params];
 
     if (employeeId) {
       query += ' AND u.uuid = ?';
@@ -66,10 +69,10 @@ const getDailyReport = async (req, res, next) => {
       JOIN currencies ci ON t.currency_in_id = ci.id
       WHERE DATE(t.transaction_date) = ?
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
     `;
 
-    const summaryParams = [reportDate];
+    const summaryParams = [reportDate, ...branch.params];
 
     if (employeeId) {
       summaryQuery += ' AND t.employee_id = (SELECT id FROM users WHERE uuid = ?)';
@@ -86,13 +89,13 @@ const getDailyReport = async (req, res, next) => {
         COALESCE(SUM(profit), 0) as total_profit,
         COALESCE(SUM(commission), 0) as total_commission,
         COUNT(*) as total_count
-      FROM transactions
+      FROM transactions t
       WHERE DATE(transaction_date) = ?
         AND deleted_at IS NULL
-        AND status = 'completed'
+        AND status = 'completed'${branch.sql}
     `;
 
-    const totalProfitParams = [reportDate];
+    const totalProfitParams = [reportDate, ...branch.params];
 
     if (employeeId) {
       totalProfitQuery += ' AND employee_id = (SELECT id FROM users WHERE uuid = ?)';
@@ -103,9 +106,9 @@ const getDailyReport = async (req, res, next) => {
 
     // Get cancelled transactions count for the day
     const [cancelledCount] = await pool.query(`
-      SELECT COUNT(*) as count FROM transactions
-      WHERE DATE(transaction_date) = ? AND status = 'cancelled' AND deleted_at IS NULL
-    `, [reportDate]);
+      SELECT COUNT(*) as count FROM transactions t
+      WHERE DATE(transaction_date) = ? AND status = 'cancelled' AND deleted_at IS NULL${branch.sql}
+    `, [reportDate, ...branch.params]);
 
     res.json({
       success: true,
@@ -150,6 +153,7 @@ const getDailyReport = async (req, res, next) => {
  */
 const getMonthlyReport = async (req, res, next) => {
   try {
+    const branch = branchFilter(req.branchScope);
     const { year, month, employeeId } = req.query;
 
     const reportYear = year || new Date().getFullYear();
@@ -166,10 +170,10 @@ const getMonthlyReport = async (req, res, next) => {
       FROM transactions t
       WHERE YEAR(t.transaction_date) = ? AND MONTH(t.transaction_date) = ?
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
     `;
 
-    const params = [reportYear, reportMonth];
+    const params = [reportYear, reportMonth, ...branch.params];
 
     if (employeeId) {
       dailyQuery += ' AND t.employee_id = (SELECT id FROM users WHERE uuid = ?)';
@@ -191,10 +195,10 @@ const getMonthlyReport = async (req, res, next) => {
       FROM transactions t
       WHERE YEAR(t.transaction_date) = ? AND MONTH(t.transaction_date) = ?
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
     `;
 
-    const monthlyParams = [reportYear, reportMonth];
+    const monthlyParams = [reportYear, reportMonth, ...branch.params];
 
     if (employeeId) {
       monthlyQuery += ' AND t.employee_id = (SELECT id FROM users WHERE uuid = ?)';
@@ -217,10 +221,10 @@ const getMonthlyReport = async (req, res, next) => {
       JOIN currencies co ON t.currency_out_id = co.id
       WHERE YEAR(t.transaction_date) = ? AND MONTH(t.transaction_date) = ?
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
     `;
 
-    const currencyParams = [reportYear, reportMonth];
+    const currencyParams = [reportYear, reportMonth, ...branch.params];
 
     if (employeeId) {
       currencyQuery += ' AND t.employee_id = (SELECT id FROM users WHERE uuid = ?)';
@@ -242,12 +246,12 @@ const getMonthlyReport = async (req, res, next) => {
       JOIN users u ON t.employee_id = u.id
       WHERE YEAR(t.transaction_date) = ? AND MONTH(t.transaction_date) = ?
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
       GROUP BY u.id
       ORDER BY transaction_count DESC
     `;
 
-    const [employeeStats] = await pool.query(employeeQuery, [reportYear, reportMonth]);
+    const [employeeStats] = await pool.query(employeeQuery, [reportYear, reportMonth, ...branch.params]);
 
     res.json({
       success: true,
@@ -296,6 +300,7 @@ const getMonthlyReport = async (req, res, next) => {
  */
 const getDashboardStats = async (req, res, next) => {
   try {
+    const branch = branchFilter(req.branchScope);
     const today = new Date().toISOString().split('T')[0];
     const currentMonth = new Date().getMonth() + 1;
     const currentYear = new Date().getFullYear();
@@ -306,11 +311,11 @@ const getDashboardStats = async (req, res, next) => {
         COUNT(*) as transaction_count,
         COALESCE(SUM(profit), 0) as total_profit,
         COALESCE(SUM(commission), 0) as total_commission
-      FROM transactions
+      FROM transactions t
       WHERE DATE(transaction_date) = ?
         AND deleted_at IS NULL
-        AND status = 'completed'
-    `, [today]);
+        AND status = 'completed'${branch.sql}
+    `, [today, ...branch.params]);
 
     // This month's stats - exclude soft-deleted
     const [monthStats] = await pool.query(`
@@ -318,11 +323,11 @@ const getDashboardStats = async (req, res, next) => {
         COUNT(*) as transaction_count,
         COALESCE(SUM(profit), 0) as total_profit,
         COALESCE(SUM(commission), 0) as total_commission
-      FROM transactions
+      FROM transactions t
       WHERE YEAR(transaction_date) = ? AND MONTH(transaction_date) = ?
         AND deleted_at IS NULL
-        AND status = 'completed'
-    `, [currentYear, currentMonth]);
+        AND status = 'completed'${branch.sql}
+    `, [currentYear, currentMonth, ...branch.params]);
 
     // Recent transactions - exclude soft-deleted
     const [recentTransactions] = await pool.query(`
@@ -341,10 +346,10 @@ const getDashboardStats = async (req, res, next) => {
       JOIN currencies ci ON t.currency_in_id = ci.id
       JOIN currencies co ON t.currency_out_id = co.id
       JOIN users u ON t.employee_id = u.id
-      WHERE t.deleted_at IS NULL
+      WHERE t.deleted_at IS NULL${branch.sql}
       ORDER BY t.transaction_date DESC
       LIMIT 10
-    `);
+    `, branch.params);
 
     // Active currencies count
     const [currencyCount] = await pool.query(
@@ -352,8 +357,10 @@ const getDashboardStats = async (req, res, next) => {
     );
 
     // Active users count
+    const userBranch = branchFilter(req.branchScope, 'branch_id');
     const [userCount] = await pool.query(
-      'SELECT COUNT(*) as count FROM users WHERE is_active = TRUE'
+      `SELECT COUNT(*) as count FROM users WHERE is_active = TRUE${userBranch.sql}`,
+      userBranch.params
     );
 
     res.json({
@@ -396,6 +403,7 @@ const getDashboardStats = async (req, res, next) => {
  */
 const getDashboardCharts = async (req, res, next) => {
   try {
+    const branch = branchFilter(req.branchScope);
     // Get daily transaction volume and profit for the past 7 days
     const [dailyTrend] = await pool.query(`
       SELECT
@@ -405,10 +413,10 @@ const getDashboardCharts = async (req, res, next) => {
       FROM transactions t
       WHERE t.transaction_date >= DATE_SUB(CURDATE(), INTERVAL 6 DAY)
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
       GROUP BY DATE(t.transaction_date)
       ORDER BY date ASC
-    `);
+    `, branch.params);
 
     // Fill in missing days with zero values
     const last7Days = [];
@@ -439,11 +447,11 @@ const getDashboardCharts = async (req, res, next) => {
       JOIN currencies ci ON t.currency_in_id = ci.id
       WHERE YEAR(t.transaction_date) = ? AND MONTH(t.transaction_date) = ?
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
       GROUP BY ci.id, ci.code
       ORDER BY profit DESC
       LIMIT 10
-    `, [currentYear, currentMonth]);
+    `, [currentYear, currentMonth, ...branch.params]);
 
     // Get transactions distribution by currency pair (currency in -> currency out)
     const [transactionsByCurrencyPair] = await pool.query(`
@@ -455,11 +463,11 @@ const getDashboardCharts = async (req, res, next) => {
       JOIN currencies co ON t.currency_out_id = co.id
       WHERE YEAR(t.transaction_date) = ? AND MONTH(t.transaction_date) = ?
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
       GROUP BY ci.id, co.id, ci.code, co.code
       ORDER BY value DESC
       LIMIT 8
-    `, [currentYear, currentMonth]);
+    `, [currentYear, currentMonth, ...branch.params]);
 
     res.json({
       success: true,
@@ -480,20 +488,32 @@ const getDashboardCharts = async (req, res, next) => {
   }
 };
 
+/**
+ * Closing of the resolved branch; without a branch, the consolidated closing (branch_id NULL)
+ * @param {Object} scope - req.branchScope
+ * @returns {{sql: string, params: Array}}
+ */
+const closingScope = (scope) => (scope && scope.branchId
+  ? { sql: ' AND r.branch_id = ?', params: [scope.branchId] }
+  : { sql: ' AND r.branch_id IS NULL', params: [] });
+
 /**
  * Generate daily closing report (end-of-day summary)
- * Admin only - creates a permanent record of the day's transactions
+ * Creates a permanent record of the day's transactions for the resolved branch,
+ * or a consolidated one across all branches
  */
 const generateDailyClosing = async (req, res, next) => {
   try {
     const { date } = req.body;
     const reportDate = date || new Date().toISOString().split('T')[0];
     const ipAddress = getClientIp(req);
+    const branch = branchFilter(req.branchScope);
+    const closing = closingScope(req.branchScope);
 
-    // Check if report already exists
+    // One closing per date and branch
     const [existing] = await pool.query(
-      'SELECT uuid FROM daily_closing_reports WHERE report_date = ?',
-      [reportDate]
+      `SELECT r.uuid FROM daily_closing_reports r WHERE r.report_date = ?${closing.sql}`,
+      [reportDate, ...closing.params]
     );
 
     if (existing.length > 0) {
@@ -512,18 +532,18 @@ const generateDailyClosing = async (req, res, next) => {
         COALESCE(SUM(amount_out), 0) as total_amount_out,
         COALESCE(SUM(profit), 0) as total_profit,
         COALESCE(SUM(commission), 0) as total_commission
-      FROM transactions
-      WHERE DATE(transaction_date) = ?
-        AND deleted_at IS NULL
-        AND status = 'completed'
-    `, [reportDate]);
+      FROM transactions t
+      WHERE DATE(t.transaction_date) = ?
+        AND t.deleted_at IS NULL
+        AND t.status = 'completed'${branch.sql}
+    `, [reportDate, ...branch.params]);
 
     // Count cancelled transactions
     const [cancelled] = await pool.query(`
       SELECT COUNT(*) as count
-      FROM transactions
-      WHERE DATE(transaction_date) = ? AND status = 'cancelled' AND deleted_at IS NULL
-    `, [reportDate]);
+      FROM transactions t
+      WHERE DATE(t.transaction_date) = ? AND t.status = 'cancelled' AND t.deleted_at IS NULL${branch.sql}
+    `, [reportDate, ...branch.params]);
 
     // Get currency breakdown
     const [currencyBreakdown] = await pool.query(`
@@ -539,9 +559,9 @@ const generateDailyClosing = async (req, res, next) => {
       JOIN currencies co ON t.currency_out_id = co.id
       WHERE DATE(t.transaction_date) = ?
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
       GROUP BY ci.code, co.code
-    `, [reportDate]);
+    `, [reportDate, ...branch.params]);
 
     // Get employee breakdown
     const [employeeBreakdown] = await pool.query(`
@@ -554,9 +574,9 @@ const generateDailyClosing = async (req, res, next) => {
       JOIN users u ON t.employee_id = u.id
       WHERE DATE(t.transaction_date) = ?
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
       GROUP BY u.id
-    `, [reportDate]);
+    `, [reportDate, ...branch.params]);
 
     const uuid = uuidv4();
     const reportData = {
@@ -578,13 +598,14 @@ const generateDailyClosing = async (req, res, next) => {
     // Insert daily closing report
     await pool.query(`
       INSERT INTO daily_closing_reports
-        (uuid, report_date, total_transactions, cancelled_transactions,
+        (uuid, report_date, branch_id, total_transactions, cancelled_transactions,
          total_amount_in, total_amount_out, total_profit, total_commission,
          report_data, generated_by, status)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'finalized')
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'finalized')
     `, [
       uuid,
       reportDate,
+      req.branchScope.branchId,
       totals[0].transaction_count,
       cancelled[0].count,
       parseDecimal(totals[0].total_amount_in),
@@ -604,6 +625,7 @@ const generateDailyClosing = async (req, res, next) => {
       null,
       {
         reportDate,
+        branchId: req.branchScope.branchId,
         transactionCount: totals[0].transaction_count,
         totalProfit: parseDecimal(totals[0].total_profit)
       },
@@ -617,6 +639,9 @@ const generateDailyClosing = async (req, res, next) => {
       data: {
         uuid,
         reportDate,
+        branch: req.branchScope.branchId
+          ? { uuid: req.branchScope.branchUuid, name: req.branchScope.branchName }
+          : null,
         totalTransactions: totals[0].transaction_count,
         cancelledTransactions: cancelled[0].count,
         totalAmountIn: parseDecimal(totals[0].total_amount_in),
@@ -651,13 +676,19 @@ const getDailyClosing = async (req, res, next) => {
     let query = `
       SELECT
         r.*,
-        u.full_name as generated_by_name
+        u.full_name as generated_by_name,
+        b.uuid as branch_uuid,
+        b.name as branch_name
       FROM daily_closing_reports r
       JOIN users u ON r.generated_by = u.id
+      LEFT JOIN branches b ON r.branch_id = b.id
       WHERE 1=1
     `;
     const params = [];
 
+    // By id, any closing within reach; by date, the closing of the resolved branch
+    const scope = id ? branchFilter(req.branchScope, 'r.branch_id') : closingScope(req.branchScope);
+
     if (id) {
       query += ' AND r.id = ?';
       params.push(id);
@@ -665,6 +696,8 @@ const getDailyClosing = async (req, res, next) => {
       query += ' AND r.report_date = ?';
       params.push(date);
     }
+    query += scope.sql;
+    params.push(...scope.params);
 
     const [reports] = await pool.query(query, params);
 
@@ -682,6 +715,7 @@ const getDailyClosing = async (req, res, next) => {
       data: {
         id: r.id,
         reportDate: r.report_date,
+        branch: r.branch_uuid ? { uuid: r.branch_uuid, name: r.branch_name } : null,
         totalTransactions: r.total_transactions,
         cancelledTransactions: r.cancelled_transactions,
         totalAmountIn: parseDecimal(r.total_amount_in),
@@ -718,12 +752,18 @@ const listDailyClosings = async (req, res, next) => {
         r.total_commission,
         r.status,
         r.created_at,
-        u.full_name as generated_by_name
+        u.full_name as generated_by_name,
+        b.uuid as branch_uuid,
+        b.name as branch_name
       FROM daily_closing_reports r
       JOIN users u ON r.generated_by = u.id
+      LEFT JOIN branches b ON r.branch_id = b.id
       WHERE 1=1
     `;
-    const params = [];
+    // Staff see their branch's closings; the consolidated view lists every branch's and the consolidated ones
+    const branch = branchFilter(req.branchScope, 'r.branch_id');
+    query += branch.sql;
+    const params = [...branch.params];
 
     if (year) {
       query += ' AND YEAR(r.report_date) = ?';
@@ -749,6 +789,7 @@ const listDailyClosings = async (req, res, next) => {
       data: reports.map(r => ({
         id: r.id,
         reportDate: r.report_date,
+        branch: r.branch_uuid ? { uuid: r.branch_uuid, name: r.branch_name } : null,
         totalTransactions: r.total_transactions,
         cancelledTransactions: r.cancelled_transactions,
         totalProfit: parseDecimal(r.total_profit),
@@ -774,6 +815,7 @@ const listDailyClosings = async (req, res, next) => {
  */
 const exportDailyReport = async (req, res, next) => {
   try {
+    const branch = branchFilter(req.branchScope);
     const { date, format = 'xlsx' } = req.query;
     const reportDate = date || new Date().toISOString().split('T')[0];
 
@@ -798,9 +840,9 @@ const exportDailyReport = async (req, res, next) => {
       JOIN users u ON t.employee_id = u.id
       WHERE DATE(t.transaction_date) = ?
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
       ORDER BY t.transaction_date DESC
-    `, [reportDate]);
+    `, [reportDate, ...branch.params]);
 
     const exportData = exportService.formatTransactionsForExport(transactions);
 
@@ -834,6 +876,7 @@ const exportDailyReport = async (req, res, next) => {
  */
 const exportMonthlyReport = async (req, res, next) => {
   try {
+    const branch = branchFilter(req.branchScope);
     const { year, month, format = 'xlsx' } = req.query;
     const reportYear = year || new Date().getFullYear();
     const reportMonth = month || (new Date().getMonth() + 1);
@@ -848,10 +891,10 @@ const exportMonthlyReport = async (req, res, next) => {
       FROM transactions t
       WHERE YEAR(t.transaction_date) = ? AND MONTH(t.transaction_date) = ?
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
       GROUP BY DATE(t.transaction_date)
       ORDER BY date
-    `, [reportYear, reportMonth]);
+    `, [reportYear, reportMonth, ...branch.params]);
 
     // Get currency breakdown
     const [currencyBreakdown] = await pool.query(`
@@ -865,9 +908,9 @@ const exportMonthlyReport = async (req, res, next) => {
       JOIN currencies ci ON t.currency_in_id = ci.id
       WHERE YEAR(t.transaction_date) = ? AND MONTH(t.transaction_date) = ?
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
       GROUP BY ci.code
-    `, [reportYear, reportMonth]);
+    `, [reportYear, reportMonth, ...branch.params]);
 
     // Get employee breakdown
     const [employeeBreakdown] = await pool.query(`
@@ -879,9 +922,9 @@ const exportMonthlyReport = async (req, res, next) => {
       JOIN users u ON t.employee_id = u.id
       WHERE YEAR(t.transaction_date) = ? AND MONTH(t.transaction_date) = ?
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
       GROUP BY u.id
-    `, [reportYear, reportMonth]);
+    `, [reportYear, reportMonth, ...branch.params]);
 
     const reportData = {
       date: dailyBreakdown.map(d => ({
@@ -951,6 +994,7 @@ const exportMonthlyReport = async (req, res, next) => {
  */
 const getProfitLossReport = async (req, res, next) => {
   try {
+    const branch = branchFilter(req.branchScope);
     const { startDate, endDate, employeeId, currencyId } = req.query;
 
     // Default to current month
@@ -967,9 +1011,9 @@ const getProfitLossReport = async (req, res, next) => {
       FROM transactions t
       WHERE t.transaction_date BETWEEN ? AND DATE_ADD(?, INTERVAL 1 DAY)
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
     `;
-    const params = [start, end];
+    const params = [start, end, ...branch.params];
 
     if (employeeId) {
       baseQuery += ' AND t.employee_id = (SELECT id FROM users WHERE uuid = ?)';
@@ -997,9 +1041,9 @@ const getProfitLossReport = async (req, res, next) => {
       JOIN currencies ci ON t.currency_in_id = ci.id
       WHERE t.transaction_date BETWEEN ? AND DATE_ADD(?, INTERVAL 1 DAY)
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
     `;
-    const currencyParams = [start, end];
+    const currencyParams = [start, end, ...branch.params];
 
     if (employeeId) {
       currencyQuery += ' AND t.employee_id = (SELECT id FROM users WHERE uuid = ?)';
@@ -1022,12 +1066,52 @@ const getProfitLossReport = async (req, res, next) => {
       JOIN users u ON t.employee_id = u.id
       WHERE t.transaction_date BETWEEN ? AND DATE_ADD(?, INTERVAL 1 DAY)
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
       GROUP BY u.id
       ORDER BY total_profit DESC
     `;
 
-    const [employeeData] = await pool.query(employeeQuery, [start, end]);
+    const [employeeData] = await pool.query(employeeQuery, [start, end, ...branch.params]);
+
+    // Get commission breakdown - fees are in the currency received
+    let commissionQuery = `
+      SELECT
+        ci.code as currency_code,
+        t.payment_method,
+        f.uuid as fee_schedule_uuid,
+        f.name as fee_schedule_name,
+        COUNT(*) as transaction_count,
+        COALESCE(SUM(t.commission), 0) as total_commission
+      FROM transactions t
+      JOIN currencies ci ON t.currency_in_id = ci.id
+      LEFT JOIN fee_schedules f ON t.fee_schedule_id = f.id
+      WHERE t.transaction_date BETWEEN ? AND DATE_ADD(?, INTERVAL 1 DAY)
+        AND t.deleted_at IS NULL
+        AND t.status = 'completed'
+        AND t.commission > 0${branch.sql}
+    `;
+    const commissionParams = [start, end, ...branch.params];
+
+    if (employeeId) {
+      commissionQuery += ' AND t.employee_id = (SELECT id FROM users WHERE uuid = ?)';
+      commissionParams.push(employeeId);
+    }
+
+    if (currencyId) {
+      commissionQuery += ' AND t.currency_in_id = (SELECT id FROM currencies WHERE uuid = ?)';
+      commissionParams.push(currencyId);
+    }
+
+    commissionQuery += ' GROUP BY ci.id, t.payment_method, t.fee_schedule_id ORDER BY ci.code, total_commission DESC';
+
+    const [commissionData] = await pool.query(commissionQuery, commissionParams);
+
+    // Open positions revalued at current rates; a snapshot, not limited to the period
+    const revaluation = await getRevaluation(
+      pool,
+      branchFilter(req.branchScope, 'd.branch_id'),
+      req.branchScope ? req.branchScope.branchId : null
+    );
 
     // Calculate totals
     const totalRevenue = dailyData.reduce((sum, d) => sum + parseFloat(d.revenue), 0);
@@ -1044,10 +1128,14 @@ const getProfitLossReport = async (req, res, next) => {
           totalTransactions,
           totalRevenue: parseDecimal(totalRevenue),
           totalProfit: parseDecimal(totalProfit),
+          realizedProfit: parseDecimal(totalProfit),
+          unrealizedProfit: revaluation.unrealizedProfit,
           totalCommission: parseDecimal(totalCommission),
           netProfit: parseDecimal(totalProfit + totalCommission),
-          profitMargin: totalRevenue > 0 ? parseDecimal((totalProfit / totalRevenue) * 100) : 0
+          profitMargin: totalRevenue > 0 ? parseDecimal((totalProfit / totalRevenue) * 100) : 0,
+          baseCurrency: revaluation.baseCurrency
         },
+        positions: revaluation.positions,
         dailyProfitLoss: dailyData.map(d => ({
           date: d.date,
           transactions: parseInt(d.transaction_count),
@@ -1068,6 +1156,13 @@ const getProfitLossReport = async (req, res, next) => {
           transactions: parseInt(e.transaction_count),
           profit: parseDecimal(e.total_profit),
           commission: parseDecimal(e.total_commission)
+        })),
+        commissionBreakdown: commissionData.map(c => ({
+          currencyCode: c.currency_code,
+          paymentMethod: c.payment_method,
+          feeSchedule: c.fee_schedule_uuid ? { uuid: c.fee_schedule_uuid, name: c.fee_schedule_name } : null,
+          transactions: parseInt(c.transaction_count),
+          commission: parseDecimal(c.total_commission)
         }))
       }
     });
@@ -1081,6 +1176,7 @@ const getProfitLossReport = async (req, res, next) => {
  */
 const exportProfitLossReport = async (req, res, next) => {
   try {
+    const branch = branchFilter(req.branchScope);
     const { startDate, endDate, format = 'xlsx' } = req.query;
 
     const start = startDate || new Date(new Date().getFullYear(), new Date().getMonth(), 1).toISOString().split('T')[0];
@@ -1096,10 +1192,10 @@ const exportProfitLossReport = async (req, res, next) => {
       FROM transactions t
       WHERE t.transaction_date BETWEEN ? AND DATE_ADD(?, INTERVAL 1 DAY)
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
       GROUP BY DATE(t.transaction_date)
       ORDER BY date
-    `, [start, end]);
+    `, [start, end, ...branch.params]);
 
     const [currencyData] = await pool.query(`
       SELECT
@@ -1110,9 +1206,33 @@ const exportProfitLossReport = async (req, res, next) => {
       JOIN currencies ci ON t.currency_in_id = ci.id
       WHERE t.transaction_date BETWEEN ? AND DATE_ADD(?, INTERVAL 1 DAY)
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
       GROUP BY ci.id
-    `, [start, end]);
+    `, [start, end, ...branch.params]);
+
+    const [commissionData] = await pool.query(`
+      SELECT
+        ci.code as currency,
+        t.payment_method,
+        f.name as fee_schedule,
+        COUNT(*) as transactions,
+        COALESCE(SUM(t.commission), 0) as commission
+      FROM transactions t
+      JOIN currencies ci ON t.currency_in_id = ci.id
+      LEFT JOIN fee_schedules f ON t.fee_schedule_id = f.id
+      WHERE t.transaction_date BETWEEN ? AND DATE_ADD(?, INTERVAL 1 DAY)
+        AND t.deleted_at IS NULL
+        AND t.status = 'completed'
+        AND t.commission > 0${branch.sql}
+      GROUP BY ci.id, t.payment_method, t.fee_schedule_id
+      ORDER BY ci.code
+    `, [start, end, ...branch.params]);
+
+    const revaluation = await getRevaluation(
+      pool,
+      branchFilter(req.branchScope, 'd.branch_id'),
+      req.branchScope ? req.branchScope.branchId : null
+    );
 
     const exportData = {
       'Daily P&L': dailyData.map(d => ({
@@ -1126,6 +1246,22 @@ const exportProfitLossReport = async (req, res, next) => {
         Currency: c.currency,
         Transactions: c.transactions,
         Profit: parseDecimal(c.profit)
+      })),
+      'Commission': commissionData.map(c => ({
+        Currency: c.currency,
+        'Payment Method': c.payment_method,
+        'Fee Schedule': c.fee_schedule || 'Manual',
+        Transactions: c.transactions,
+        Commission: parseDecimal(c.commission)
+      })),
+      'Open Positions': revaluation.positions.map(p => ({
+        Currency: p.currencyCode,
+        Quantity: p.quantity,
+        'Average Cost': p.avgCost,
+        'Current Rate': p.currentRate,
+        'Cost Value': p.costValue,
+        'Market Value': p.marketValue,
+        'Unrealized Profit': p.unrealizedProfit
       }))
     };
 
@@ -1160,6 +1296,7 @@ const exportProfitLossReport = async (req, res, next) => {
  */
 const exportTransactions = async (req, res, next) => {
   try {
+    const branch = branchFilter(req.branchScope);
     const { startDate, endDate, status, currencyId, format = 'xlsx' } = req.query;
 
     let query = `
@@ -1181,9 +1318,9 @@ const exportTransactions = async (req, res, next) => {
       JOIN currencies ci ON t.currency_in_id = ci.id
       JOIN currencies co ON t.currency_out_id = co.id
       JOIN users u ON t.employee_id = u.id
-      WHERE t.deleted_at IS NULL
+      WHERE t.deleted_at IS NULL${branch.sql}
     `;
-    const params = [];
+    const params = [...branch.params];
 
     if (startDate) {
       query += ' AND t.transaction_date >= ?';
@@ -1238,6 +1375,7 @@ const exportTransactions = async (req, res, next) => {
  */
 const generateCustomReport = async (req, res, next) => {
   try {
+    const branch = branchFilter(req.branchScope);
     const { startDate, endDate, groupBy, metrics, filters } = req.body;
 
     const start = startDate || new Date(new Date().getFullYear(), new Date().getMonth(), 1).toISOString().split('T')[0];
@@ -1285,9 +1423,9 @@ const generateCustomReport = async (req, res, next) => {
       JOIN users u ON t.employee_id = u.id
       WHERE t.transaction_date BETWEEN ? AND DATE_ADD(?, INTERVAL 1 DAY)
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
     `;
-    const params = [start, end];
+    const params = [start, end, ...branch.params];
 
     // Apply filters
     if (filters) {
@@ -1341,6 +1479,7 @@ const generateCustomReport = async (req, res, next) => {
  */
 const exportCustomReport = async (req, res, next) => {
   try {
+    const branch = branchFilter(req.branchScope);
     const { startDate, endDate, groupBy, metrics, filters, format = 'xlsx' } = req.body;
 
     const start = startDate || new Date(new Date().getFullYear(), new Date().getMonth(), 1).toISOString().split('T')[0];
@@ -1388,9 +1527,9 @@ const exportCustomReport = async (req, res, next) => {
       JOIN users u ON t.employee_id = u.id
       WHERE t.transaction_date BETWEEN ? AND DATE_ADD(?, INTERVAL 1 DAY)
         AND t.deleted_at IS NULL
-        AND t.status = 'completed'
+        AND t.status = 'completed'${branch.sql}
     `;
-    const params = [start, end];
+    const params = [start, end, ...branch.params];
 
     // Apply filters
     if (filters) {
@@ -1458,9 +1597,10 @@ const exportCustomReport = async (req, res, next) => {
  */
 const getLeaderboard = async (req, res, next) => {
   try {
+    const branch = branchFilter(req.branchScope);
     const { period = 'month' } = req.query;
     let dateCondition = '';
-    const params = [];
+    const params = [...branch.params];
 
     if (period === 'month') {
       dateCondition = 'AND YEAR(t.transaction_date) = YEAR(CURDATE()) AND MONTH(t.transaction_date) = MONTH(CURDATE())';
@@ -1480,7 +1620,7 @@ const getLeaderboard = async (req, res, next) => {
       JOIN users u ON t.employee_id = u.id
       WHERE t.deleted_at IS NULL
         AND t.status = 'completed'
-        ${dateCondition}
+        ${dateCondition}${branch.sql}
       GROUP BY u.id
       ORDER BY value DESC
       LIMIT 5
@@ -1496,16 +1636,36 @@ const getLeaderboard = async (req, res, next) => {
       JOIN users u ON t.employee_id = u.id
       WHERE t.deleted_at IS NULL
         AND t.status = 'completed'
-        ${dateCondition}
+        ${dateCondition}${branch.sql}
       GROUP BY u.id
       ORDER BY value DESC
       LIMIT 5
     `, params);
 
+    // Realized profit for the period plus the current revaluation of open positions
+    const [realized] = await pool.query(`
+      SELECT COALESCE(SUM(t.profit), 0) as profit
+      FROM transactions t
+      WHERE t.deleted_at IS NULL
+        AND t.status = 'completed'
+        ${dateCondition}${branch.sql}
+    `, params);
+    const revaluation = await getRevaluation(
+      pool,
+      branchFilter(req.branchScope, 'd.branch_id'),
+      req.branchScope ? req.branchScope.branchId : null
+    );
+
     res.json({
       success: true,
       data: {
         period,
+        profit: {
+          realized: parseDecimal(realized[0].profit),
+          unrealized: revaluation.unrealizedProfit,
+          total: parseDecimal(parseDecimal(realized[0].profit) + revaluation.unrealizedProfit),
+          baseCurrency: revaluation.baseCurrency
+        },
         topProfit: topProfit.map(e => ({
           name: e.full_name,
           value: parseDecimal(e.value),
@@ -1514,7 +1674,90 @@ const getLeaderboard = async (req, res, next) => {
         mostActive: mostActive.map(e => ({
           name: e.full_name,
           value: parseInt(e.value),
-          subValue: '$' + parseDecimal(e.profit)
+          subValue: `${parseDecimal(e.profit)} ${revaluation.baseCurrency || ''}`.trim()
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Quote-to-deal conversion
+ * How many quotes turned into transactions, overall, per employee and per currency pair.
+ * Quotes that lapsed without a deal count as expired; live ones are still open.
+ */
+const getQuoteConversion = async (req, res, next) => {
+  try {
+    const branch = branchFilter(req.branchScope, 'q.branch_id');
+    const { startDate, endDate } = req.query;
+
+    // Default to current month
+    const start = startDate || new Date(new Date().getFullYear(), new Date().getMonth(), 1).toISOString().split('T')[0];
+    const end = endDate || new Date().toISOString().split('T')[0];
+    const params = [start, end, ...branch.params];
+
+    const counts = `
+      COUNT(*) as quotes,
+      SUM(q.transaction_id IS NOT NULL) as converted,
+      SUM(q.transaction_id IS NULL AND q.expires_at <= NOW()) as expired,
+      COALESCE(SUM(CASE WHEN q.transaction_id IS NOT NULL THEN q.amount_in END), 0) as converted_amount_in,
+      AVG(CASE WHEN q.transaction_id IS NOT NULL THEN TIMESTAMPDIFF(SECOND, q.created_at, q.converted_at) END) as avg_seconds_to_deal
+    `;
+    const where = `
+      WHERE q.created_at BETWEEN ? AND DATE_ADD(?, INTERVAL 1 DAY)${branch.sql}
+    `;
+
+    const [totals] = await pool.query(`SELECT ${counts} FROM transaction_quotes q ${where}`, params);
+
+    const [byEmployee] = await pool.query(`
+      SELECT u.uuid, u.full_name, ${counts}
+      FROM transaction_quotes q
+      JOIN users u ON q.employee_id = u.id
+      ${where}
+      GROUP BY u.id
+      ORDER BY quotes DESC
+    `, params);
+
+    const [byPair] = await pool.query(`
+      SELECT ci.code as currency_in_code, co.code as currency_out_code, ${counts}
+      FROM transaction_quotes q
+      JOIN currencies ci ON q.currency_in_id = ci.id
+      JOIN currencies co ON q.currency_out_id = co.id
+      ${where}
+      GROUP BY q.currency_in_id, q.currency_out_id
+      ORDER BY quotes DESC
+    `, params);
+
+    const formatRow = (r) => {
+      const quotes = parseInt(r.quotes) || 0;
+      const converted = parseInt(r.converted) || 0;
+      const expired = parseInt(r.expired) || 0;
+      return {
+        quotes,
+        converted,
+        expired,
+        open: quotes - converted - expired,
+        conversionRate: quotes > 0 ? parseDecimal((converted / quotes) * 100) : 0,
+        convertedAmountIn: parseDecimal(r.converted_amount_in),
+        avgSecondsToDeal: r.avg_seconds_to_deal !== null ? Math.round(parseFloat(r.avg_seconds_to_deal)) : null
+      };
+    };
+
+    res.json({
+      success: true,
+      data: {
+        period: { startDate: start, endDate: end },
+        summary: formatRow(totals[0]),
+        byEmployee: byEmployee.map(r => ({
+          employeeId: r.uuid,
+          name: r.full_name,
+          ...formatRow(r)
+        })),
+        byPair: byPair.map(r => ({
+          pair: `${r.currency_in_code}/${r.currency_out_code}`,
+          ...formatRow(r)
         }))
       }
     });
@@ -1539,4 +1782,5 @@ module.exports = {
   generateCustomReport,
   getLeaderboard,
   exportCustomReport,
+  getQuoteConversion,
 };
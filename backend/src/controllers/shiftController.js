@@ -5,6 +5,8 @@
 const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../config/database');
 const { logAudit, getClientIp, parseDecimal } = require('../utils/helpers');
+const { SIGNED_AMOUNT_SQL } = require('../services/drawerLedgerService');
+const { branchFilter, ownBranch } = require('../middleware/branchScope');
 
 /**
  * Start a new shift
@@ -29,11 +31,11 @@ const startShift = async (req, res, next) => {
       });
     }
 
-    // Verify drawer exists if provided
-    let drawerDbId = null;
+    // Resolve the drawer: the one requested, or the one assigned to this user
+    let drawer;
     if (drawerId) {
       const [drawers] = await pool.query(
-        'SELECT id FROM cash_drawers WHERE uuid = ? AND is_active = TRUE',
+        'SELECT id, uuid, assigned_to, is_shared, branch_id FROM cash_drawers WHERE uuid = ? AND is_active = TRUE',
         [drawerId]
       );
       if (drawers.length === 0) {
@@ -42,16 +44,57 @@ const startShift = async (req, res, next) => {
           message: 'Cash drawer not found or not active.'
         });
       }
-      drawerDbId = drawers[0].id;
+      drawer = drawers[0];
+
+      if (!drawer.is_shared && drawer.assigned_to !== employeeId && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'This cash drawer is assigned to another user.'
+        });
+      }
+    } else {
+      const [drawers] = await pool.query(
+        'SELECT id, uuid, assigned_to, is_shared, branch_id FROM cash_drawers WHERE assigned_to = ? AND is_active = TRUE ORDER BY name LIMIT 1',
+        [employeeId]
+      );
+      if (drawers.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No cash drawer is assigned to you. Select a shared drawer to start a shift.'
+        });
+      }
+      drawer = drawers[0];
+    }
+
+    if (req.user.branch_id && drawer.branch_id !== req.user.branch_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'This cash drawer belongs to another branch.'
+      });
+    }
+
+    // A personal drawer is worked by one shift at a time
+    if (!drawer.is_shared) {
+      const [drawerShifts] = await pool.query(
+        'SELECT uuid FROM shifts WHERE drawer_id = ? AND status = "active"',
+        [drawer.id]
+      );
+      if (drawerShifts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'This cash drawer already has an active shift.',
+          data: { activeShiftUuid: drawerShifts[0].uuid }
+        });
+      }
     }
 
     const uuid = uuidv4();
 
     // Create shift
     const [result] = await pool.query(
-      `INSERT INTO shifts (uuid, employee_id, drawer_id, opening_notes)
-       VALUES (?, ?, ?, ?)`,
-      [uuid, employeeId, drawerDbId, notes || null]
+      `INSERT INTO shifts (uuid, branch_id, employee_id, drawer_id, opening_notes)
+       VALUES (?, ?, ?, ?, ?)`,
+      [uuid, drawer.branch_id, employeeId, drawer.id, notes || null]
     );
 
     const shiftId = result.insertId;
@@ -79,7 +122,7 @@ const startShift = async (req, res, next) => {
       'shifts',
       shiftId,
       null,
-      { uuid, drawerId, openingBalances },
+      { uuid, drawerId: drawer.uuid, openingBalances },
       ipAddress,
       'info'
     );
@@ -90,7 +133,7 @@ const startShift = async (req, res, next) => {
       data: {
         uuid,
         startTime: new Date().toISOString(),
-        drawerId
+        drawerId: drawer.uuid
       }
     });
   } catch (error) {
@@ -100,7 +143,8 @@ const startShift = async (req, res, next) => {
 
 /**
  * Calculate expected balances for a shift
- * Opening balance + currency_in amounts - currency_out amounts + deposits - withdrawals
+ * Opening balance + every drawer ledger movement since the shift started.
+ * Shifts without a drawer fall back to currency_in/currency_out of their own transactions.
  */
 const calculateExpectedBalances = async (shiftId, drawerId) => {
   const expectedBalances = {};
@@ -115,6 +159,26 @@ const calculateExpectedBalances = async (shiftId, drawerId) => {
     expectedBalances[row.currency_id] = parseDecimal(row.opening_balance);
   }
 
+  if (drawerId) {
+    // The ledger records transactions, reversals, transfers and cash movements alike
+    const [movements] = await pool.query(`
+      SELECT currency_id, SUM(${SIGNED_AMOUNT_SQL}) as total
+      FROM cash_drawer_transactions
+      WHERE drawer_id = ?
+        AND created_at >= (SELECT start_time FROM shifts WHERE id = ?)
+      GROUP BY currency_id
+    `, [drawerId, shiftId]);
+
+    for (const movement of movements) {
+      if (!expectedBalances[movement.currency_id]) {
+        expectedBalances[movement.currency_id] = 0;
+      }
+      expectedBalances[movement.currency_id] += parseDecimal(movement.total);
+    }
+
+    return expectedBalances;
+  }
+
   // Get transaction flows (currency_in adds, currency_out subtracts from drawer)
   const [transactionFlows] = await pool.query(`
     SELECT
@@ -141,34 +205,6 @@ const calculateExpectedBalances = async (shiftId, drawerId) => {
     expectedBalances[flow.currency_out_id] -= parseDecimal(flow.total_out);
   }
 
-  // Get drawer deposits/withdrawals if drawer is assigned
-  if (drawerId) {
-    const [drawerTransactions] = await pool.query(`
-      SELECT
-        currency_id,
-        type,
-        SUM(amount) as total
-      FROM cash_drawer_transactions
-      WHERE drawer_id = ? AND type IN ('deposit', 'withdrawal', 'adjustment')
-        AND created_at >= (SELECT start_time FROM shifts WHERE id = ?)
-      GROUP BY currency_id, type
-    `, [drawerId, shiftId]);
-
-    for (const tx of drawerTransactions) {
-      if (!expectedBalances[tx.currency_id]) {
-        expectedBalances[tx.currency_id] = 0;
-      }
-      if (tx.type === 'deposit') {
-        expectedBalances[tx.currency_id] += parseDecimal(tx.total);
-      } else if (tx.type === 'withdrawal') {
-        expectedBalances[tx.currency_id] -= parseDecimal(tx.total);
-      } else if (tx.type === 'adjustment') {
-        // Adjustments can be positive or negative
-        expectedBalances[tx.currency_id] += parseDecimal(tx.total);
-      }
-    }
-  }
-
   return expectedBalances;
 };
 
@@ -230,6 +266,51 @@ const getExpectedBalances = async (req, res, next) => {
   }
 };
 
+/**
+ * Recompute a shift's summary row from its transactions
+ * Called when a shift ends and whenever a transaction in it is cancelled or deleted
+ * @param {number} shiftId - Shift ID
+ * @param {Object} [connection] - Optional DB connection for transactional use
+ */
+const refreshShiftSummary = async (shiftId, connection = null) => {
+  const db = connection || pool;
+
+  const [summaryStats] = await db.query(`
+    SELECT
+      COUNT(*) as total_transactions,
+      COALESCE(SUM(profit), 0) as total_profit,
+      COALESCE(SUM(commission), 0) as total_commission,
+      COALESCE(SUM(amount_in), 0) as total_volume_in,
+      COALESCE(SUM(amount_out), 0) as total_volume_out
+    FROM transactions
+    WHERE shift_id = ? AND status = 'completed' AND deleted_at IS NULL
+  `, [shiftId]);
+
+  const [cancelledCount] = await db.query(
+    'SELECT COUNT(*) as count FROM transactions WHERE shift_id = ? AND status = "cancelled" AND deleted_at IS NULL',
+    [shiftId]
+  );
+
+  await db.query(`
+    UPDATE shift_summaries SET
+      total_transactions = ?,
+      total_profit = ?,
+      total_commission = ?,
+      cancelled_transactions = ?,
+      total_volume_in = ?,
+      total_volume_out = ?
+    WHERE shift_id = ?
+  `, [
+    summaryStats[0].total_transactions,
+    summaryStats[0].total_profit,
+    summaryStats[0].total_commission,
+    cancelledCount[0].count,
+    summaryStats[0].total_volume_in,
+    summaryStats[0].total_volume_out,
+    shiftId
+  ]);
+};
+
 /**
  * End a shift with reconciliation
  */
@@ -335,40 +416,7 @@ const endShift = async (req, res, next) => {
     }
 
     // Update shift summary
-    const [summaryStats] = await pool.query(`
-      SELECT
-        COUNT(*) as total_transactions,
-        COALESCE(SUM(profit), 0) as total_profit,
-        COALESCE(SUM(commission), 0) as total_commission,
-        COALESCE(SUM(amount_in), 0) as total_volume_in,
-        COALESCE(SUM(amount_out), 0) as total_volume_out
-      FROM transactions
-      WHERE shift_id = ? AND status = 'completed' AND deleted_at IS NULL
-    `, [shift.id]);
-
-    const [cancelledCount] = await pool.query(
-      'SELECT COUNT(*) as count FROM transactions WHERE shift_id = ? AND status = "cancelled"',
-      [shift.id]
-    );
-
-    await pool.query(`
-      UPDATE shift_summaries SET
-        total_transactions = ?,
-        total_profit = ?,
-        total_commission = ?,
-        cancelled_transactions = ?,
-        total_volume_in = ?,
-        total_volume_out = ?
-      WHERE shift_id = ?
-    `, [
-      summaryStats[0].total_transactions,
-      summaryStats[0].total_profit,
-      summaryStats[0].total_commission,
-      cancelledCount[0].count,
-      summaryStats[0].total_volume_in,
-      summaryStats[0].total_volume_out,
-      shift.id
-    ]);
+    await refreshShiftSummary(shift.id);
 
     // End the shift
     await pool.query(
@@ -538,6 +586,10 @@ const getShifts = async (req, res, next) => {
       params.push(endDate);
     }
 
+    const branch = branchFilter(req.branchScope, 's.branch_id');
+    query += branch.sql;
+    params.push(...branch.params);
+
     const countQuery = query.replace(/SELECT[\s\S]*?FROM/, 'SELECT COUNT(*) as total FROM');
     const [countResult] = await pool.query(countQuery, params);
     const total = countResult[0].total;
@@ -586,6 +638,7 @@ const getShifts = async (req, res, next) => {
 const getShiftDetails = async (req, res, next) => {
   try {
     const { uuid } = req.params;
+    const branch = ownBranch(req.user, 's.branch_id');
 
     const [shifts] = await pool.query(`
       SELECT
@@ -599,8 +652,8 @@ const getShiftDetails = async (req, res, next) => {
       LEFT JOIN cash_drawers d ON s.drawer_id = d.id
       JOIN users u ON s.employee_id = u.id
       LEFT JOIN users h ON s.handover_to = h.id
-      WHERE s.uuid = ?
-    `, [uuid]);
+      WHERE s.uuid = ?${branch.sql}
+    `, [uuid, ...branch.params]);
 
     if (shifts.length === 0) {
       return res.status(404).json({
@@ -793,9 +846,9 @@ const handoverShift = async (req, res, next) => {
     // Create new shift for the target employee
     const newUuid = uuidv4();
     const [newShift] = await pool.query(
-      `INSERT INTO shifts (uuid, employee_id, drawer_id, opening_notes)
-       VALUES (?, ?, ?, ?)`,
-      [newUuid, toEmployee.id, shift.drawer_id, `Handover from shift ${uuid}`]
+      `INSERT INTO shifts (uuid, branch_id, employee_id, drawer_id, opening_notes)
+       VALUES (?, ?, ?, ?, ?)`,
+      [newUuid, shift.branch_id, toEmployee.id, shift.drawer_id, `Handover from shift ${uuid}`]
     );
 
     // Create shift summary for new shift
@@ -804,6 +857,14 @@ const handoverShift = async (req, res, next) => {
       [newShift.insertId]
     );
 
+    // The incoming employee takes over a personal drawer
+    if (shift.drawer_id) {
+      await pool.query(
+        'UPDATE cash_drawers SET assigned_to = ? WHERE id = ? AND is_shared = FALSE',
+        [toEmployee.id, shift.drawer_id]
+      );
+    }
+
     // Copy current balances as opening balances
     const [currentBalances] = await pool.query(
       'SELECT currency_id, opening_balance FROM shift_balances WHERE shift_id = ?',
@@ -897,5 +958,6 @@ module.exports = {
   getShiftDetails,
   getExpectedBalances,
   handoverShift,
-  abandonShift
+  abandonShift,
+  refreshShiftSummary
 };
@@ -5,6 +5,221 @@
 const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../config/database');
 const { logAudit, getClientIp, generateTransactionNumber, parseDecimal } = require('../utils/helpers');
+const { evaluateTransaction, detectStructuring, createAlert, rescoreCustomer } = require('./complianceController');
+const { screenParty, recordHits } = require('./watchlistController');
+const { refreshShiftSummary } = require('./shiftController');
+const drawerLedger = require('../services/drawerLedgerService');
+const { getEffectiveVersion, getTolerance, checkRate } = require('../services/rateVersionService');
+const { resolveRate } = require('../services/crossRateService');
+const quoteService = require('../services/quoteService');
+const { calculateCommission } = require('../services/feeService');
+const inventory = require('../services/inventoryService');
+const { funderKey } = require('../services/structuringService');
+const { branchFilter, ownBranch } = require('../middleware/branchScope');
+const { getUserPermissions } = require('../middleware/auth');
+
+/**
+ * Official band a rate is checked against: the pair's rate version in effect now,
+ * or the inverse or cross rate when the pair has no version of its own
+ * @returns {Promise<{rateVersion: Object|null, resolvedRate: Object|null, officialBand: Object|null}>}
+ */
+const findOfficialBand = async (connection, currencyInId, currencyOutId, branchId) => {
+  const rateVersion = await getEffectiveVersion(connection, currencyInId, currencyOutId, branchId);
+  const resolvedRate = rateVersion ? null : await resolveRate(connection, currencyInId, currencyOutId, branchId);
+  const officialBand = rateVersion || (resolvedRate && {
+    buy_rate: resolvedRate.buyRate,
+    sell_rate: resolvedRate.sellRate
+  });
+
+  return { rateVersion, resolvedRate, officialBand };
+};
+
+/**
+ * Check an applied rate against an official band widened by the pair's tolerance
+ * @returns {Promise<Object|null>} checkRate result plus tolerancePercent; null without a band
+ */
+const checkAgainstBand = async (connection, officialBand, currencyInId, currencyOutId, appliedRate) => {
+  if (!officialBand) {
+    return null;
+  }
+
+  const tolerancePercent = await getTolerance(connection, currencyInId, currencyOutId);
+  return { ...checkRate(officialBand, appliedRate, tolerancePercent), tolerancePercent };
+};
+
+/**
+ * 400 body for a deal whose amountOut does not follow from amountIn and the rate
+ * (rounded to cents), or null when it does
+ */
+const amountOutMismatch = (amountIn, appliedRate, amountOut, currencyOutCode) => {
+  const expectedAmountOut = parseDecimal(parseDecimal(amountIn) * appliedRate, 2);
+
+  if (Math.abs(parseDecimal(amountOut) - expectedAmountOut) <= 0.01) {
+    return null;
+  }
+
+  return {
+    success: false,
+    message: `Amount out does not match amount in × rate. Expected ${expectedAmountOut} ${currencyOutCode}.`,
+    errors: [{ field: 'amountOut', message: `Expected ${expectedAmountOut}` }]
+  };
+};
+
+/**
+ * 400 body for an out-of-band rate sent without an override reason
+ */
+const outOfBandBody = ({ appliedRate, currencyInCode, currencyOutCode, rateCheck, rateVersion, resolvedRate }) => ({
+  success: false,
+  message: `Exchange rate ${appliedRate} is outside the allowed ${currencyInCode}/${currencyOutCode} range (${rateCheck.minRate} - ${rateCheck.maxRate}). Give an override reason to send it for manager approval.`,
+  errors: [{ field: 'exchangeRate', message: `Allowed range ${rateCheck.minRate} - ${rateCheck.maxRate}` }],
+  data: {
+    rateCheck: {
+      versionId: rateVersion ? rateVersion.uuid : null,
+      derived: resolvedRate ? resolvedRate.derived : false,
+      via: resolvedRate && resolvedRate.via ? resolvedRate.via.code : null,
+      officialRate: rateCheck.officialRate,
+      minRate: rateCheck.minRate,
+      maxRate: rateCheck.maxRate,
+      tolerancePercent: rateCheck.tolerancePercent,
+      deviationPercent: rateCheck.deviationPercent
+    }
+  }
+});
+
+/**
+ * Move cash in a drawer for a completed exchange: the OUT currency leaves the
+ * drawer and the IN currency is added, each with its own ledger row.
+ * Must run inside the caller's DB transaction.
+ */
+const postDrawerMovement = async (connection, {
+  drawerId,
+  transactionUuid,
+  currencyInId,
+  currencyOutId,
+  currencyOutCode,
+  amountIn,
+  amountOut,
+  userId
+}) => {
+  await drawerLedger.postEntry(connection, {
+    drawerId,
+    currencyId: currencyOutId,
+    type: 'transaction_out',
+    change: -parseDecimal(amountOut),
+    referenceType: 'transaction',
+    referenceId: transactionUuid,
+    userId,
+    currencyCode: currencyOutCode
+  });
+
+  await drawerLedger.postEntry(connection, {
+    drawerId,
+    currencyId: currencyInId,
+    type: 'transaction_in',
+    change: parseDecimal(amountIn),
+    referenceType: 'transaction',
+    referenceId: transactionUuid,
+    userId
+  });
+};
+
+/**
+ * Find the drawer a transaction was booked against
+ * Transactions booked before drawer_id existed are found through their ledger row
+ */
+const resolveDrawerId = async (connection, transaction) => {
+  if (transaction.drawer_id) {
+    return transaction.drawer_id;
+  }
+
+  const [ledgerRows] = await connection.query(
+    `SELECT drawer_id FROM cash_drawer_transactions
+     WHERE reference_type = 'transaction' AND reference_id = ? AND type = 'transaction_out'
+     ORDER BY id ASC
+     LIMIT 1`,
+    [transaction.uuid]
+  );
+
+  return ledgerRows.length > 0 ? ledgerRows[0].drawer_id : null;
+};
+
+/**
+ * Undo everything a completed transaction applied: drawer balances (with
+ * compensating ledger rows), customer counters and the shift summary.
+ * Must run inside the caller's DB transaction, after the status/deleted_at change.
+ */
+const reverseTransactionEffects = async (connection, transaction, { userId, notes }) => {
+  const drawerId = await resolveDrawerId(connection, transaction);
+
+  if (drawerId) {
+    const [currencies] = await connection.query(
+      'SELECT id, code FROM currencies WHERE id IN (?, ?)',
+      [transaction.currency_in_id, transaction.currency_out_id]
+    );
+    const codeFor = (id) => (currencies.find(c => c.id === id) || {}).code;
+
+    // The OUT currency comes back into the drawer
+    await drawerLedger.postEntry(connection, {
+      drawerId,
+      currencyId: transaction.currency_out_id,
+      type: 'transaction_in',
+      change: parseDecimal(transaction.amount_out),
+      referenceType: 'transaction',
+      referenceId: transaction.uuid,
+      notes,
+      userId
+    });
+
+    // The IN currency is handed back to the customer
+    await drawerLedger.postEntry(connection, {
+      drawerId,
+      currencyId: transaction.currency_in_id,
+      type: 'transaction_out',
+      change: -parseDecimal(transaction.amount_in),
+      referenceType: 'transaction',
+      referenceId: transaction.uuid,
+      notes,
+      userId,
+      currencyCode: codeFor(transaction.currency_in_id)
+    });
+
+    await inventory.reverseDeal(connection, drawerId, transaction);
+  }
+
+  if (transaction.customer_id) {
+    await connection.query(
+      `UPDATE customers
+       SET total_transactions = GREATEST(total_transactions - 1, 0),
+           total_volume = GREATEST(total_volume - ?, 0)
+       WHERE id = ?`,
+      [parseDecimal(transaction.amount_in), transaction.customer_id]
+    );
+  }
+
+  if (transaction.shift_id) {
+    await refreshShiftSummary(transaction.shift_id, connection);
+  }
+
+  return { drawerId };
+};
+
+/**
+ * Reduce a formatted transaction to what the customer it belongs to may see
+ * (no profit, internal notes, compliance flags or employee details)
+ */
+const toCustomerView = (t) => ({
+  uuid: t.uuid,
+  transactionNumber: t.transactionNumber,
+  currencyIn: t.currencyIn,
+  currencyOut: t.currencyOut,
+  amountIn: t.amountIn,
+  amountOut: t.amountOut,
+  exchangeRate: t.exchangeRate,
+  commission: t.commission,
+  status: t.status,
+  transactionDate: t.transactionDate,
+  createdAt: t.createdAt
+});
 
 /**
  * Get transactions with pagination and filters
@@ -83,7 +298,11 @@ const getTransactions = async (req, res, next) => {
       query += ' AND t.customer_id = ?';
       params.push(req.user.id);
     } else {
-      // Staff filters
+      // Staff filters; staff assigned to a branch only see that branch
+      if (req.user.branch_id) {
+        query += ' AND t.branch_id = ?';
+        params.push(req.user.branch_id);
+      }
       if (status && status !== 'all') {
         query += ' AND t.status = ?';
         params.push(status);
@@ -149,45 +368,47 @@ const getTransactions = async (req, res, next) => {
 
     const [transactions] = await pool.query(query, params);
 
+    const formatted = transactions.map(t => ({
+      uuid: t.uuid,
+      transactionNumber: t.transaction_number,
+      customer: t.customer_uuid ? {
+        uuid: t.customer_uuid,
+        fullName: t.customer_name,
+        phone: t.customer_phone,
+        isVip: Boolean(t.customer_is_vip)
+      } : null,
+      customerName: t.customer_name,
+      customerPhone: t.customer_phone,
+      currencyIn: {
+        id: t.currency_in_id,
+        code: t.currency_in_code,
+        symbol: t.currency_in_symbol
+      },
+      currencyOut: {
+        id: t.currency_out_id,
+        code: t.currency_out_code,
+        symbol: t.currency_out_symbol
+      },
+      amountIn: parseDecimal(t.amount_in),
+      amountOut: parseDecimal(t.amount_out),
+      exchangeRate: parseDecimal(t.exchange_rate, 6),
+      profit: parseDecimal(t.profit),
+      commission: parseDecimal(t.commission),
+      notes: t.notes,
+      status: t.status,
+      isFlagged: Boolean(t.is_flagged),
+      flagReason: t.flag_reason,
+      transactionDate: t.transaction_date,
+      employee: {
+        uuid: t.employee_uuid,
+        fullName: t.employee_name
+      },
+      createdAt: t.created_at
+    }));
+
     res.json({
       success: true,
-      data: transactions.map(t => ({
-        uuid: t.uuid,
-        transactionNumber: t.transaction_number,
-        customer: t.customer_uuid ? {
-          uuid: t.customer_uuid,
-          fullName: t.customer_name,
-          phone: t.customer_phone,
-          isVip: Boolean(t.customer_is_vip)
-        } : null,
-        customerName: t.customer_name,
-        customerPhone: t.customer_phone,
-        currencyIn: {
-          id: t.currency_in_id,
-          code: t.currency_in_code,
-          symbol: t.currency_in_symbol
-        },
-        currencyOut: {
-          id: t.currency_out_id,
-          code: t.currency_out_code,
-          symbol: t.currency_out_symbol
-        },
-        amountIn: parseDecimal(t.amount_in),
-        amountOut: parseDecimal(t.amount_out),
-        exchangeRate: parseDecimal(t.exchange_rate, 6),
-        profit: parseDecimal(t.profit),
-        commission: parseDecimal(t.commission),
-        notes: t.notes,
-        status: t.status,
-        isFlagged: Boolean(t.is_flagged),
-        flagReason: t.flag_reason,
-        transactionDate: t.transaction_date,
-        employee: {
-          uuid: t.employee_uuid,
-          fullName: t.employee_name
-        },
-        createdAt: t.created_at
-      })),
+      data: req.user.role === 'customer' ? formatted.map(toCustomerView) : formatted,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -212,14 +433,18 @@ const createTransaction = async (req, res, next) => {
       customerIdType,
       customerIdNumber,
       customerId, // Optional: UUID of existing customer
+      fundedByName, // Optional: third party paying for the customer
+      fundedByIdNumber,
       currencyInId,
       currencyOutId,
       amountIn,
       amountOut,
       exchangeRate,
       marketRate,
-      commission = 0,
-      notes
+      paymentMethod = 'cash',
+      notes,
+      rateOverrideReason,
+      quoteId
     } = req.body;
 
     const ipAddress = getClientIp(req);
@@ -246,33 +471,88 @@ const createTransaction = async (req, res, next) => {
     const currencyOut = currencies.find(c => c.id === currencyOutId);
 
     // --- Phase 2: Cash Drawer Management ---
-    // Get the employee's active drawer
-    // Assuming 1:1 user-drawer or finding the active drawer for this user
-    // For now, let's look up the drawer assigned to this user or the "Main Drawer" if not explicit?
-    // Better: Check if there's an open drawer session.
-    // Simplifying assumption: User has ONE active drawer they are working on.
-    // Querying cash_drawers where created_by = user.id (or assigned).
-
-    // STRICT MODE: Find drawer assigned to user (or Created By user for now as fallback)
-    const [drawers] = await connection.query(
-      'SELECT id, name FROM cash_drawers WHERE is_active = TRUE AND created_by = ? LIMIT 1',
+    // Transactions post to the drawer of the teller's active shift
+    const [activeShifts] = await connection.query(
+      `SELECT s.id, s.drawer_id, d.branch_id, d.is_active as drawer_active
+       FROM shifts s
+       LEFT JOIN cash_drawers d ON s.drawer_id = d.id
+       WHERE s.employee_id = ? AND s.status = 'active'
+       LIMIT 1`,
       [req.user.id]
     );
 
-    // If no drawer found for user, we likely should block, but for migration safety check if "Main Drawer" exists
-    let drawerId = null;
-    if (drawers.length > 0) {
-      drawerId = drawers[0].id;
-    } else {
-      // Fallback to "Main Drawer" if admin, or fail?
-      // Let's fail if no drawer to enforce procedure
+    if (activeShifts.length === 0) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'No active shift. Start a shift before creating transactions.'
+      });
+    }
+
+    const shiftId = activeShifts[0].id;
+    const drawerId = activeShifts[0].drawer_id;
+    const branchId = activeShifts[0].branch_id;
+
+    if (!drawerId || !activeShifts[0].drawer_active) {
       await connection.rollback();
       return res.status(400).json({
         success: false,
-        message: 'No active cash drawer found for this user. Please open a drawer first.'
+        message: 'Your active shift has no active cash drawer. End it and start a shift on a drawer.'
       });
     }
 
+    // --- Rate enforcement ---
+    // amountOut must follow from amountIn and the applied rate (rounded to cents)
+    const appliedRate = parseDecimal(exchangeRate, 6);
+    const mismatch = amountOutMismatch(amountIn, appliedRate, amountOut, currencyOut.code);
+
+    if (mismatch) {
+      await connection.rollback();
+      return res.status(400).json(mismatch);
+    }
+
+    // A live quote locks the official band it was issued at. Otherwise the rate must fall
+    // within the tolerance band of the rate version in effect now; pairs without a version
+    // of their own are checked against the inverse or cross rate.
+    let quote = null;
+    let rateVersion = null;
+    let resolvedRate = null;
+    let officialBand;
+
+    if (quoteId) {
+      quote = await quoteService.getQuoteForDeal(connection, quoteId);
+      const quoteProblem = quote
+        ? quoteService.checkQuote(quote, { currencyInId, currencyOutId, amountIn, exchangeRate: appliedRate, branchId, paymentMethod })
+        : 'Quote not found.';
+
+      if (quoteProblem) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: quoteProblem,
+          errors: [{ field: 'quoteId', message: quoteProblem }]
+        });
+      }
+      officialBand = { buy_rate: quote.buy_rate, sell_rate: quote.sell_rate };
+    } else {
+      ({ rateVersion, resolvedRate, officialBand } = await findOfficialBand(connection, currencyInId, currencyOutId, branchId));
+    }
+    const rateCheck = await checkAgainstBand(connection, officialBand, currencyInId, currencyOutId, appliedRate);
+
+    // Out-of-band rates need a reason and are held for a manager to approve
+    if (rateCheck && !rateCheck.withinTolerance && !rateOverrideReason) {
+      await connection.rollback();
+      return res.status(400).json(outOfBandBody({
+        appliedRate,
+        currencyInCode: currencyIn.code,
+        currencyOutCode: currencyOut.code,
+        rateCheck,
+        rateVersion,
+        resolvedRate
+      }));
+    }
+    const rateOverride = rateCheck !== null && !rateCheck.withinTolerance;
+
     // Check Balance for Currency OUT (Selling)
     // We are giving AmountOut of CurrencyOut
     const [balances] = await connection.query(
@@ -297,11 +577,16 @@ const createTransaction = async (req, res, next) => {
     let customerDbId = null;
     let resolvedCustomerName = customerName;
     let resolvedCustomerPhone = customerPhone;
+    let resolvedIdType = customerIdType;
+    let resolvedIdNumber = customerIdNumber;
+    let customerIsVip = false;
+    let customerDateOfBirth = null;
+    let customerCreated = false;
 
     if (customerId) {
       // Existing customer selected
       const [customers] = await connection.query(
-        'SELECT id, full_name, phone, is_blocked, block_reason FROM customers WHERE uuid = ?',
+        'SELECT id, full_name, phone, id_type, id_number, date_of_birth, is_blocked, block_reason, is_vip FROM customers WHERE uuid = ?',
         [customerId]
       );
 
@@ -325,15 +610,22 @@ const createTransaction = async (req, res, next) => {
       }
 
       customerDbId = customer.id;
+      customerIsVip = Boolean(customer.is_vip);
+      customerDateOfBirth = customer.date_of_birth;
       // Use customer data if not provided in request
       resolvedCustomerName = customerName || customer.full_name;
       resolvedCustomerPhone = customerPhone || customer.phone;
+      // Fall back to the ID on file so KYC rules see it
+      if (!customerIdNumber) {
+        resolvedIdType = customer.id_type;
+        resolvedIdNumber = customer.id_number;
+      }
     } else if (customerName) {
       // Auto-create customer if customer name is provided but no customer ID
       // First check if customer with same phone exists (if phone provided)
       if (customerPhone) {
         const [existingByPhone] = await connection.query(
-          'SELECT id, full_name, is_blocked, block_reason FROM customers WHERE phone = ?',
+          'SELECT id, full_name, id_type, id_number, date_of_birth, is_blocked, block_reason, is_vip FROM customers WHERE phone = ?',
           [customerPhone]
         );
 
@@ -347,6 +639,12 @@ const createTransaction = async (req, res, next) => {
             });
           }
           customerDbId = existingCustomer.id;
+          customerIsVip = Boolean(existingCustomer.is_vip);
+          customerDateOfBirth = existingCustomer.date_of_birth;
+          if (!customerIdNumber) {
+            resolvedIdType = existingCustomer.id_type;
+            resolvedIdNumber = existingCustomer.id_number;
+          }
           // Update customer name if different
           if (existingCustomer.full_name !== customerName) {
             await connection.query('UPDATE customers SET full_name = ? WHERE id = ?', [customerName, customerDbId]);
@@ -370,6 +668,7 @@ const createTransaction = async (req, res, next) => {
           ]
         );
         customerDbId = newCustomer.insertId;
+        customerCreated = true;
 
         // Log customer creation audit
         await logAudit(
@@ -386,13 +685,122 @@ const createTransaction = async (req, res, next) => {
       }
     }
 
+    // --- Watchlist Screening ---
+    // A possible sanctions/PEP match holds the deal until a compliance officer clears it.
+    // A customer created by this request is rolled back with it, so the hits are kept by name.
+    const screenedParty = { name: resolvedCustomerName, dateOfBirth: customerDateOfBirth, idNumber: resolvedIdNumber };
+    const screenedCustomerId = customerCreated ? null : customerDbId;
+    const watchlistHits = await screenParty(connection, screenedParty, screenedCustomerId);
+
+    if (watchlistHits.length > 0) {
+      await connection.rollback();
+      const matches = await recordHits(screenedParty, watchlistHits, {
+        customerId: screenedCustomerId,
+        source: 'transaction',
+        userId: req.user.id
+      });
+      await logAudit(
+        req.user.id,
+        'WATCHLIST_HOLD',
+        'transactions',
+        null,
+        null,
+        { customerName: resolvedCustomerName, currencyInId, amountIn: parseDecimal(amountIn), matches: matches.map(m => m.uuid) },
+        ipAddress,
+        'critical'
+      );
+      return res.status(400).json({
+        success: false,
+        message: 'Transaction held: the customer is a possible watchlist match awaiting compliance review.',
+        data: { watchlistMatches: matches }
+      });
+    }
+
     const uuid = uuidv4();
 
-    // Calculate profit using safe decimal math
-    // Profit = (Applied Rate - Market Rate) * Amount In
-    const appliedRate = parseDecimal(exchangeRate, 6);
-    const mktRate = marketRate ? parseDecimal(marketRate, 6) : appliedRate;
-    const profit = parseDecimal((appliedRate - mktRate) * parseDecimal(amountIn), 2);
+    // --- Fees ---
+    // A quote locks the commission along with the rate; otherwise the fee engine computes it
+    let commission = 0;
+    let feeScheduleId = null;
+    if (quote) {
+      commission = parseDecimal(quote.commission);
+      feeScheduleId = quote.fee_schedule_id;
+    } else {
+      const fee = await calculateCommission(connection, {
+        currencyInId,
+        currencyOutId,
+        amountIn: parseDecimal(amountIn),
+        isVip: customerIsVip,
+        paymentMethod
+      });
+      commission = fee.commission;
+      feeScheduleId = fee.schedule ? fee.schedule.id : null;
+    }
+
+    // The official rate is the market rate whenever one is in effect; the client's value is only a fallback
+    const mktRate = rateCheck
+      ? rateCheck.officialRate
+      : (marketRate ? parseDecimal(marketRate, 6) : appliedRate);
+
+    // --- Compliance Rule Engine ---
+    const compliance = await evaluateTransaction(
+      {
+        amountIn: parseDecimal(amountIn),
+        currencyInId,
+        customerIdType: resolvedIdType,
+        customerIdNumber: resolvedIdNumber
+      },
+      customerDbId,
+      connection
+    );
+
+    if (compliance.blocked) {
+      await connection.rollback();
+      await logAudit(
+        req.user.id,
+        'COMPLIANCE_BLOCK',
+        'transactions',
+        null,
+        null,
+        { customerName: resolvedCustomerName, currencyInId, amountIn: parseDecimal(amountIn), violations: compliance.violations },
+        ipAddress,
+        'critical'
+      );
+      return res.status(400).json({
+        success: false,
+        message: 'Transaction blocked by compliance rules.',
+        data: { violations: compliance.violations }
+      });
+    }
+
+    if (compliance.idRequired) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Customer identification is required for this transaction.',
+        errors: [
+          { field: 'customerIdType', message: 'ID type is required' },
+          { field: 'customerIdNumber', message: 'ID number is required' }
+        ],
+        data: { violations: compliance.violations }
+      });
+    }
+
+    // Held transactions do not move cash until a manager approves them
+    const status = compliance.requiresApproval || rateOverride ? 'pending' : 'completed';
+
+    // --- Profit ---
+    // Realized against the drawer's weighted average cost, in the base currency. Held
+    // transactions get an estimate and are booked into inventory on approval. Without a
+    // base currency profit falls back to the rate margin: (Applied Rate - Market Rate) * Amount In
+    const deal = { drawerId, branchId, currencyInId, currencyOutId, amountIn, amountOut };
+    const valued = status === 'completed'
+      ? await inventory.bookDeal(connection, deal)
+      : await inventory.valueDeal(connection, deal);
+    const profit = valued
+      ? valued.profit
+      : parseDecimal((appliedRate - mktRate) * parseDecimal(amountIn), 2);
+    const costBasis = valued && status === 'completed' ? valued.costBasis : null;
 
     // --- Phase 2: Flagging Logic ---
     let isFlagged = false;
@@ -403,38 +811,102 @@ const createTransaction = async (req, res, next) => {
       isFlagged = true;
       flagReason = `High Value Transaction (>= ${threshold} ${currencyIn.code})`;
     }
-    // Could add more flagging rules here (e.g. watchlist)
+
+    if (compliance.alerts.length > 0) {
+      isFlagged = true;
+      flagReason = [flagReason, ...compliance.alerts.map(a => a.description)].filter(Boolean).join('; ');
+    }
+
+    if (rateOverride) {
+      isFlagged = true;
+      flagReason = [
+        flagReason,
+        `Rate override: ${appliedRate} vs official ${rateCheck.officialRate} (${rateCheck.deviationPercent}%) - ${rateOverrideReason}`
+      ].filter(Boolean).join('; ');
+    }
 
     const [result] = await connection.query(
       `INSERT INTO transactions
        (uuid, customer_id, customer_name, customer_phone, customer_id_type, customer_id_number,
-        currency_in_id, currency_out_id, amount_in, amount_out, exchange_rate,
-        market_rate, profit, commission, notes, employee_id, transaction_date, status, is_flagged, flag_reason)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), 'completed', ?, ?)`,
+        funded_by_name, funded_by_id_number, funded_by_key, currency_in_id, currency_out_id, amount_in, amount_out, exchange_rate, rate_version_id, quote_id,
+        official_rate, rate_deviation_percent, rate_override_reason,
+        market_rate, profit, cost_basis, commission, fee_schedule_id, payment_method, notes, employee_id, shift_id,
+        drawer_id, branch_id, transaction_date, status, is_flagged, flag_reason)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?, ?, ?)`,
       [
         uuid,
         customerDbId,
         resolvedCustomerName,
         resolvedCustomerPhone || null,
-        customerIdType || null,
-        customerIdNumber || null,
+        resolvedIdType || null,
+        resolvedIdNumber || null,
+        fundedByName || null,
+        fundedByIdNumber || null,
+        funderKey(fundedByName),
         currencyInId,
         currencyOutId,
         parseDecimal(amountIn),
         parseDecimal(amountOut),
         appliedRate,
+        quote ? quote.rate_version_id : (rateVersion ? rateVersion.id : null),
+        quote ? quote.id : null,
+        rateCheck ? rateCheck.officialRate : null,
+        rateCheck ? rateCheck.deviationPercent : null,
+        rateOverride ? rateOverrideReason : null,
         mktRate,
         profit,
-        parseDecimal(commission),
+        costBasis,
+        commission,
+        feeScheduleId,
+        paymentMethod,
         notes || null,
         req.user.id,
+        shiftId,
+        drawerId,
+        branchId,
+        status,
         isFlagged,
         flagReason
       ]
     );
 
+    if (quote) {
+      await quoteService.markConverted(connection, quote.id, result.insertId);
+    }
+
+    for (const alert of compliance.alerts) {
+      await createAlert(alert, result.insertId, customerDbId, connection);
+    }
+
+    // --- Structuring Detection ---
+    // Runs once the transaction is inserted so it is linked into the patterns it completes
+    const patterns = await detectStructuring(
+      {
+        id: result.insertId,
+        customerPhone: resolvedCustomerPhone,
+        customerIdNumber: resolvedIdNumber,
+        fundedByName,
+        fundedByIdNumber,
+        currencyInId,
+        currencyCode: currencyIn.code,
+        amountIn: parseDecimal(amountIn),
+        threshold
+      },
+      customerDbId,
+      connection
+    );
+
+    if (patterns.length > 0) {
+      isFlagged = true;
+      flagReason = [flagReason, ...patterns.map(p => p.description)].filter(Boolean).join('; ');
+      await connection.query(
+        'UPDATE transactions SET is_flagged = TRUE, flag_reason = ? WHERE id = ?',
+        [flagReason, result.insertId]
+      );
+    }
+
     // Update customer statistics if customer exists
-    if (customerDbId) {
+    if (customerDbId && status === 'completed') {
       await connection.query(
         `UPDATE customers
          SET total_transactions = total_transactions + 1,
@@ -445,49 +917,45 @@ const createTransaction = async (req, res, next) => {
     }
 
     // --- Phase 2: Update Cash Drawer Balances ---
-    // 1. Deduct OUT amount from Currency Out Balance
-    await connection.query(
-      'UPDATE cash_drawer_balances SET balance = balance - ?, last_updated_by = ? WHERE drawer_id = ? AND currency_id = ?',
-      [parseFloat(amountOut), req.user.id, drawerId, currencyOutId]
-    );
-
-    // 2. Add IN amount to Currency In Balance
-    // Check if balance record exists first (FOR UPDATE above handled Out, but In might be new)
-    const [balanceInCheck] = await connection.query(
-      'SELECT id FROM cash_drawer_balances WHERE drawer_id = ? AND currency_id = ?',
-      [drawerId, currencyInId]
-    );
-
-    if (balanceInCheck.length > 0) {
-      await connection.query(
-        'UPDATE cash_drawer_balances SET balance = balance + ?, last_updated_by = ? WHERE drawer_id = ? AND currency_id = ?',
-        [parseFloat(amountIn), req.user.id, drawerId, currencyInId]
-      );
-    } else {
-      await connection.query(
-        'INSERT INTO cash_drawer_balances (drawer_id, currency_id, balance, last_updated_by) VALUES (?, ?, ?, ?)',
-        [drawerId, currencyInId, parseFloat(amountIn), req.user.id]
-      );
+    if (status === 'completed') {
+      await postDrawerMovement(connection, {
+        drawerId,
+        transactionUuid: uuid,
+        currencyInId,
+        currencyOutId,
+        currencyOutCode: currencyOut.code,
+        amountIn,
+        amountOut,
+        userId: req.user.id
+      });
     }
 
-    // Log Cash Drawer Transaction (Audit) - One entry or two?
-    // Let's log 'transaction_out' and 'transaction_in' type events in cash_drawer_transactions
-    // This is optional but good for strict tracking.
-    // For now, let's keep it simple transaction log is enough, but strictly `cash_drawer_transactions` table should store this too?
-    // Yes, schema says "transaction_in", "transaction_out".
-
-    // Log OUT
-    await connection.query(
-      `INSERT INTO cash_drawer_transactions (uuid, drawer_id, currency_id, type, amount, balance_before, balance_after, reference_type, reference_id, performed_by)
-       VALUES (UUID(), ?, ?, 'transaction_out', ?, ?, ?, 'transaction', ?, ?)`,
-      [drawerId, currencyOutId, parseFloat(amountOut), currentBalanceOut, currentBalanceOut - parseFloat(amountOut), uuid, req.user.id]
-    );
+    // --------------------------------------------
 
-    // Log IN (Need to fetch balance before)
-    // We didn't fetch In balance yet.
-    // Optimization: Just log it.
+    await refreshShiftSummary(shiftId, connection);
 
-    // --------------------------------------------
+    if (rateOverride) {
+      await logAudit(
+        req.user.id,
+        'RATE_OVERRIDE_REQUESTED',
+        'transactions',
+        result.insertId,
+        null,
+        {
+          uuid,
+          exchangeRate: appliedRate,
+          officialRate: rateCheck.officialRate,
+          minRate: rateCheck.minRate,
+          maxRate: rateCheck.maxRate,
+          tolerancePercent: rateCheck.tolerancePercent,
+          deviationPercent: rateCheck.deviationPercent,
+          reason: rateOverrideReason
+        },
+        ipAddress,
+        'warning',
+        connection
+      );
+    }
 
     // Log audit with full details
     await logAudit(
@@ -505,9 +973,18 @@ const createTransaction = async (req, res, next) => {
         amountIn: parseDecimal(amountIn),
         amountOut: parseDecimal(amountOut),
         exchangeRate: appliedRate,
+        rateVersionId: rateVersion ? rateVersion.uuid : null,
+        quoteId: quote ? quote.uuid : null,
+        rateDeviationPercent: rateCheck ? rateCheck.deviationPercent : null,
+        commission,
+        paymentMethod,
         profit,
+        status,
         isFlagged,
-        flagReason
+        flagReason,
+        complianceAlerts: compliance.alerts.map(a => a.description),
+        fundedByName: fundedByName || null,
+        structuringPatterns: patterns.map(p => p.pattern)
       },
       ipAddress,
       isFlagged ? 'warning' : 'info',
@@ -516,9 +993,13 @@ const createTransaction = async (req, res, next) => {
 
     await connection.commit();
 
+    if (customerDbId) {
+      await rescoreCustomer(customerDbId, { source: 'transaction', reference: uuid, userId: req.user.id });
+    }
+
     // EMIT REAL-TIME UPDATE
     const io = req.app.get('io');
-    if (io) {
+    if (io && status === 'completed') {
       // Calculate today's total profit to broadcast
       // We can either query it (safe) or just emit the increment (optimization)
       // Querying is safer to keep everyone in sync
@@ -539,7 +1020,9 @@ const createTransaction = async (req, res, next) => {
 
     res.status(201).json({
       success: true,
-      message: 'Transaction created successfully.',
+      message: status === 'pending'
+        ? 'Transaction created and held for manager approval.'
+        : 'Transaction created successfully.',
       data: {
         uuid,
         customerId: customerId || null,
@@ -550,7 +1033,11 @@ const createTransaction = async (req, res, next) => {
         amountIn: parseDecimal(amountIn),
         amountOut: parseDecimal(amountOut),
         exchangeRate: appliedRate,
+        quoteId: quote ? quote.uuid : null,
+        commission,
+        paymentMethod,
         profit,
+        status,
         isFlagged,
         flagReason
       }
@@ -564,48 +1051,147 @@ const createTransaction = async (req, res, next) => {
 };
 
 /**
- * Get single transaction by UUID
+ * Quote a rate to a customer
+ * The quote locks the resolved rate, amount out and commission until it expires;
+ * pass its id as quoteId to createTransaction to book the deal at that rate.
  */
-const getTransaction = async (req, res, next) => {
+const createQuote = async (req, res, next) => {
   try {
-    const { uuid } = req.params;
+    const { currencyInId, currencyOutId, amountIn, paymentMethod = 'cash', customerId } = req.body;
 
-    const [transactions] = await pool.query(`
-      SELECT
-        t.*,
-        ci.code as currency_in_code,
-        ci.symbol as currency_in_symbol,
-        ci.name as currency_in_name,
-        co.code as currency_out_code,
-        co.symbol as currency_out_symbol,
-        co.name as currency_out_name,
-        u.uuid as employee_uuid,
-        u.full_name as employee_name,
-        cb.full_name as cancelled_by_name,
-        c.uuid as customer_uuid,
-        c.full_name as customer_full_name,
-        c.is_vip as customer_is_vip,
-        c.is_blocked as customer_is_blocked
-      FROM transactions t
-      JOIN currencies ci ON t.currency_in_id = ci.id
-      JOIN currencies co ON t.currency_out_id = co.id
-      JOIN users u ON t.employee_id = u.id
-      LEFT JOIN users cb ON t.cancelled_by = cb.id
-      LEFT JOIN customers c ON t.customer_id = c.id
-      WHERE t.uuid = ? AND t.deleted_at IS NULL
-    `, [uuid]);
+    const [currencies] = await pool.query(
+      'SELECT id, code, symbol FROM currencies WHERE id IN (?, ?) AND is_active = TRUE',
+      [currencyInId, currencyOutId]
+    );
 
-    if (transactions.length === 0) {
-      return res.status(404).json({
+    if (currencies.length !== 2) {
+      return res.status(400).json({
         success: false,
-        message: 'Transaction not found.'
+        message: 'Invalid currency IDs or currencies are not active.'
       });
     }
 
-    const t = transactions[0];
+    let customerDbId = null;
+    let isVip = false;
+    if (customerId) {
+      const [customers] = await pool.query('SELECT id, is_vip FROM customers WHERE uuid = ?', [customerId]);
+      if (customers.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Customer not found.'
+        });
+      }
+      customerDbId = customers[0].id;
+      isVip = Boolean(customers[0].is_vip);
+    }
 
-    res.json({
-      success: true,
+    // Quote from the rate sheet of the branch the deal will be booked at
+    const [activeShifts] = await pool.query(
+      `SELECT d.branch_id
+       FROM shifts s
+       JOIN cash_drawers d ON s.drawer_id = d.id
+       WHERE s.employee_id = ? AND s.status = 'active'
+       LIMIT 1`,
+      [req.user.id]
+    );
+    const branchId = activeShifts.length > 0 ? activeShifts[0].branch_id : (req.user.branch_id || null);
+
+    const quote = await quoteService.createQuote(pool, {
+      currencyInId,
+      currencyOutId,
+      amountIn,
+      paymentMethod,
+      customerId: customerDbId,
+      isVip,
+      branchId,
+      employeeId: req.user.id
+    });
+
+    const currencyIn = currencies.find(c => c.id === currencyInId);
+    const currencyOut = currencies.find(c => c.id === currencyOutId);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: `No exchange rate available for ${currencyIn.code}/${currencyOut.code}.`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Quote created.',
+      data: {
+        quoteId: quote.uuid,
+        currencyIn: { id: currencyIn.id, code: currencyIn.code, symbol: currencyIn.symbol },
+        currencyOut: { id: currencyOut.id, code: currencyOut.code, symbol: currencyOut.symbol },
+        buyRate: quote.buyRate,
+        sellRate: quote.sellRate,
+        exchangeRate: quote.exchangeRate,
+        amountIn: quote.amountIn,
+        amountOut: quote.amountOut,
+        commission: quote.commission,
+        paymentMethod: quote.paymentMethod,
+        derived: quote.derived,
+        via: quote.via ? quote.via.code : null,
+        expiresAt: quote.expiresAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get single transaction by UUID
+ */
+const getTransaction = async (req, res, next) => {
+  try {
+    const { uuid } = req.params;
+    const scope = ownBranch(req.user);
+
+    const [transactions] = await pool.query(`
+      SELECT
+        t.*,
+        ci.code as currency_in_code,
+        ci.symbol as currency_in_symbol,
+        ci.name as currency_in_name,
+        co.code as currency_out_code,
+        co.symbol as currency_out_symbol,
+        co.name as currency_out_name,
+        u.uuid as employee_uuid,
+        u.full_name as employee_name,
+        cb.full_name as cancelled_by_name,
+        ab.full_name as approved_by_name,
+        c.uuid as customer_uuid,
+        c.full_name as customer_full_name,
+        c.is_vip as customer_is_vip,
+        c.is_blocked as customer_is_blocked,
+        rv.uuid as rate_version_uuid,
+        rv.buy_rate as rate_version_buy_rate,
+        rv.sell_rate as rate_version_sell_rate,
+        rv.effective_from as rate_version_effective_from
+      FROM transactions t
+      JOIN currencies ci ON t.currency_in_id = ci.id
+      JOIN currencies co ON t.currency_out_id = co.id
+      JOIN users u ON t.employee_id = u.id
+      LEFT JOIN users cb ON t.cancelled_by = cb.id
+      LEFT JOIN users ab ON t.approved_by = ab.id
+      LEFT JOIN customers c ON t.customer_id = c.id
+      LEFT JOIN exchange_rate_versions rv ON t.rate_version_id = rv.id
+      WHERE t.uuid = ? AND t.deleted_at IS NULL${scope.sql}
+    `, [uuid, ...scope.params]);
+
+    if (transactions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found.'
+      });
+    }
+
+    const t = transactions[0];
+
+    res.json({
+      success: true,
       data: {
         uuid: t.uuid,
         transactionNumber: t.transaction_number,
@@ -619,6 +1205,8 @@ const getTransaction = async (req, res, next) => {
         customerPhone: t.customer_phone,
         customerIdType: t.customer_id_type,
         customerIdNumber: t.customer_id_number,
+        fundedByName: t.funded_by_name,
+        fundedByIdNumber: t.funded_by_id_number,
         currencyIn: {
           id: t.currency_in_id,
           code: t.currency_in_code,
@@ -635,6 +1223,15 @@ const getTransaction = async (req, res, next) => {
         amountOut: parseDecimal(t.amount_out),
         exchangeRate: parseDecimal(t.exchange_rate, 6),
         marketRate: parseDecimal(t.market_rate, 6),
+        rateVersion: t.rate_version_uuid ? {
+          uuid: t.rate_version_uuid,
+          buyRate: parseDecimal(t.rate_version_buy_rate, 6),
+          sellRate: parseDecimal(t.rate_version_sell_rate, 6),
+          effectiveFrom: t.rate_version_effective_from
+        } : null,
+        officialRate: t.official_rate !== null ? parseDecimal(t.official_rate, 6) : null,
+        rateDeviationPercent: t.rate_deviation_percent !== null ? parseDecimal(t.rate_deviation_percent, 4) : null,
+        rateOverrideReason: t.rate_override_reason,
         profit: parseDecimal(t.profit),
         commission: parseDecimal(t.commission),
         notes: t.notes,
@@ -649,7 +1246,13 @@ const getTransaction = async (req, res, next) => {
         cancellation: t.status === 'cancelled' ? {
           cancelledBy: t.cancelled_by_name,
           cancelledAt: t.cancelled_at,
-          reason: t.cancellation_reason
+          reason: t.cancellation_reason,
+          rejected: Boolean(t.rejected_by)
+        } : null,
+        approval: t.approved_by ? {
+          approvedBy: t.approved_by_name,
+          approvedAt: t.approved_at,
+          notes: t.approval_notes
         } : null,
         createdAt: t.created_at
       }
@@ -660,10 +1263,14 @@ const getTransaction = async (req, res, next) => {
 };
 
 /**
- * Update transaction (editable fields only)
- * Cannot update cancelled transactions
+ * Update transaction
+ * Cannot update cancelled transactions. Changing amounts, rates or currencies re-runs
+ * createTransaction's rate checks and recomputes profit; for completed transactions the
+ * difference is posted to the drawer, or the deal is taken back and held for approval
+ * when the new rate is out of band.
  */
 const updateTransaction = async (req, res, next) => {
+  let connection;
   try {
     const { uuid } = req.params;
     const {
@@ -673,17 +1280,30 @@ const updateTransaction = async (req, res, next) => {
       customerIdNumber,
       notes,
       paymentMethod,
-      referenceNumber
+      referenceNumber,
+      currencyInId,
+      currencyOutId,
+      amountIn,
+      amountOut,
+      exchangeRate,
+      marketRate,
+      commission,
+      rateOverrideReason
     } = req.body;
     const ipAddress = getClientIp(req);
 
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
     // Get transaction
-    const [transactions] = await pool.query(
-      'SELECT * FROM transactions WHERE uuid = ? AND deleted_at IS NULL',
-      [uuid]
+    const scope = ownBranch(req.user, 'branch_id');
+    const [transactions] = await connection.query(
+      `SELECT * FROM transactions WHERE uuid = ? AND deleted_at IS NULL${scope.sql} FOR UPDATE`,
+      [uuid, ...scope.params]
     );
 
     if (transactions.length === 0) {
+      await connection.rollback();
       return res.status(404).json({
         success: false,
         message: 'Transaction not found.'
@@ -693,6 +1313,7 @@ const updateTransaction = async (req, res, next) => {
     const transaction = transactions[0];
 
     if (transaction.status === 'cancelled') {
+      await connection.rollback();
       return res.status(400).json({
         success: false,
         message: 'Cannot update a cancelled transaction.'
@@ -754,21 +1375,317 @@ const updateTransaction = async (req, res, next) => {
       newValues.referenceNumber = referenceNumber;
     }
 
+    // --- Financial fields ---
+    const financialChange = [currencyInId, currencyOutId, amountIn, amountOut, exchangeRate, marketRate, commission]
+      .some(value => value !== undefined);
+
+    const before = {
+      currencyInId: transaction.currency_in_id,
+      currencyOutId: transaction.currency_out_id,
+      amountIn: parseDecimal(transaction.amount_in),
+      amountOut: parseDecimal(transaction.amount_out),
+      exchangeRate: parseDecimal(transaction.exchange_rate, 6),
+      marketRate: parseDecimal(transaction.market_rate, 6),
+      commission: parseDecimal(transaction.commission),
+      profit: parseDecimal(transaction.profit)
+    };
+    const after = { ...before };
+    let rateCheck = null;
+    let holdForApproval = false;
+
+    if (currencyInId !== undefined) after.currencyInId = parseInt(currencyInId);
+    if (currencyOutId !== undefined) after.currencyOutId = parseInt(currencyOutId);
+    if (amountIn !== undefined) after.amountIn = parseDecimal(amountIn);
+    if (amountOut !== undefined) after.amountOut = parseDecimal(amountOut);
+    if (exchangeRate !== undefined) after.exchangeRate = parseDecimal(exchangeRate, 6);
+    if (marketRate !== undefined) after.marketRate = parseDecimal(marketRate, 6);
+
+    // --- Fees ---
+    // A manual commission is a fee-schedule decision; otherwise the fee follows the deal, and a
+    // new amount, pair or payment method re-runs the fee engine as createTransaction does
+    const feeChange = after.amountIn !== before.amountIn ||
+      after.currencyInId !== before.currencyInId ||
+      after.currencyOutId !== before.currencyOutId ||
+      (paymentMethod !== undefined && paymentMethod !== transaction.payment_method);
+
+    if (commission !== undefined) {
+      const permissions = await getUserPermissions(req.user);
+      if (!permissions.includes('fees.manage')) {
+        await connection.rollback();
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Setting a commission by hand requires fees.manage.'
+        });
+      }
+      after.commission = parseDecimal(commission);
+    }
+
+    if (commission !== undefined || feeChange) {
+      let feeScheduleId = null;
+
+      if (commission === undefined) {
+        let isVip = false;
+        if (transaction.customer_id) {
+          const [customers] = await connection.query('SELECT is_vip FROM customers WHERE id = ?', [transaction.customer_id]);
+          isVip = customers.length > 0 && Boolean(customers[0].is_vip);
+        }
+
+        const fee = await calculateCommission(connection, {
+          currencyInId: after.currencyInId,
+          currencyOutId: after.currencyOutId,
+          amountIn: after.amountIn,
+          isVip,
+          paymentMethod: paymentMethod !== undefined ? paymentMethod : transaction.payment_method
+        });
+        after.commission = fee.commission;
+        feeScheduleId = fee.schedule ? fee.schedule.id : null;
+      }
+
+      updates.push('commission = ?', 'fee_schedule_id = ?');
+      params.push(after.commission, feeScheduleId);
+      if (after.commission !== before.commission) {
+        oldValues.commission = before.commission;
+        newValues.commission = after.commission;
+      }
+      if (feeScheduleId !== transaction.fee_schedule_id) {
+        oldValues.feeScheduleId = transaction.fee_schedule_id;
+        newValues.feeScheduleId = feeScheduleId;
+      }
+    }
+
+    if (financialChange) {
+      if (after.currencyInId === after.currencyOutId) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Currency in and currency out must be different.'
+        });
+      }
+
+      // A new pair must be active; a deal already on a since-retired currency can still be corrected
+      const pairChanged = after.currencyInId !== before.currencyInId || after.currencyOutId !== before.currencyOutId;
+      const [currencies] = await connection.query(
+        'SELECT id, code, is_active FROM currencies WHERE id IN (?, ?)',
+        [after.currencyInId, after.currencyOutId]
+      );
+
+      if (currencies.length !== 2 || (pairChanged && !currencies.every(c => c.is_active))) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid currency IDs or currencies are not active.'
+        });
+      }
+
+      const currencyIn = currencies.find(c => c.id === after.currencyInId);
+      const currencyOut = currencies.find(c => c.id === after.currencyOutId);
+
+      // Same rate enforcement as createTransaction, against the band in effect now
+      const mismatch = amountOutMismatch(after.amountIn, after.exchangeRate, after.amountOut, currencyOut.code);
+
+      if (mismatch) {
+        await connection.rollback();
+        return res.status(400).json(mismatch);
+      }
+
+      const { rateVersion, resolvedRate, officialBand } = await findOfficialBand(
+        connection, after.currencyInId, after.currencyOutId, transaction.branch_id
+      );
+      rateCheck = await checkAgainstBand(connection, officialBand, after.currencyInId, after.currencyOutId, after.exchangeRate);
+
+      if (rateCheck && !rateCheck.withinTolerance && !rateOverrideReason) {
+        await connection.rollback();
+        return res.status(400).json(outOfBandBody({
+          appliedRate: after.exchangeRate,
+          currencyInCode: currencyIn.code,
+          currencyOutCode: currencyOut.code,
+          rateCheck,
+          rateVersion,
+          resolvedRate
+        }));
+      }
+      const rateOverride = rateCheck !== null && !rateCheck.withinTolerance;
+
+      // A completed deal edited out of band is taken back out of the drawer until a manager approves it
+      holdForApproval = rateOverride && transaction.status === 'completed';
+
+      // Same as createTransaction: the official rate is the market rate whenever one is in effect,
+      // and profit falls back to (Applied Rate - Market Rate) * Amount In
+      const mktRate = rateCheck
+        ? rateCheck.officialRate
+        : (after.marketRate !== null ? after.marketRate : after.exchangeRate);
+      after.profit = parseDecimal((after.exchangeRate - mktRate) * after.amountIn, 2);
+
+      // A deal booked into inventory is taken out and booked again at the new amounts;
+      // a held one gets a fresh estimate
+      let costBasis = transaction.cost_basis;
+      const deal = {
+        drawerId: transaction.drawer_id,
+        branchId: transaction.branch_id,
+        currencyInId: after.currencyInId,
+        currencyOutId: after.currencyOutId,
+        amountIn: after.amountIn,
+        amountOut: after.amountOut
+      };
+      let valued = null;
+      if (holdForApproval) {
+        // reverseTransactionEffects takes the old deal out of inventory; approval books it again
+        valued = await inventory.valueDeal(connection, deal);
+        costBasis = null;
+      } else if (transaction.status === 'completed' && transaction.cost_basis !== null && transaction.drawer_id) {
+        await inventory.reverseDeal(connection, transaction.drawer_id, transaction);
+        valued = await inventory.bookDeal(connection, deal);
+        costBasis = valued ? valued.costBasis : null;
+      } else if (transaction.status === 'pending') {
+        valued = await inventory.valueDeal(connection, deal);
+      }
+      if (valued) {
+        after.profit = valued.profit;
+      }
+
+      updates.push(
+        'currency_in_id = ?', 'currency_out_id = ?', 'amount_in = ?', 'amount_out = ?',
+        'exchange_rate = ?', 'market_rate = ?', 'profit = ?', 'cost_basis = ?'
+      );
+      params.push(
+        after.currencyInId, after.currencyOutId, after.amountIn, after.amountOut,
+        after.exchangeRate, mktRate, after.profit, costBasis
+      );
+      after.marketRate = mktRate;
+
+      // The deal is now priced against the version in effect, not the one it was booked at
+      const rateVersionId = rateVersion ? rateVersion.id : null;
+      if (rateVersionId !== transaction.rate_version_id) {
+        oldValues.rateVersionId = transaction.rate_version_id;
+        newValues.rateVersionId = rateVersionId;
+      }
+      updates.push('rate_version_id = ?', 'official_rate = ?', 'rate_deviation_percent = ?', 'rate_override_reason = ?');
+      params.push(
+        rateVersionId,
+        rateCheck ? rateCheck.officialRate : null,
+        rateCheck ? rateCheck.deviationPercent : null,
+        rateOverride ? rateOverrideReason : null
+      );
+
+      if (rateOverride) {
+        updates.push('is_flagged = TRUE', 'flag_reason = ?');
+        params.push([
+          transaction.flag_reason,
+          `Rate override: ${after.exchangeRate} vs official ${rateCheck.officialRate} (${rateCheck.deviationPercent}%) - ${rateOverrideReason}`
+        ].filter(Boolean).join('; '));
+      }
+
+      if (holdForApproval) {
+        updates.push("status = 'pending'");
+        oldValues.status = transaction.status;
+        newValues.status = 'pending';
+      }
+
+      for (const key of Object.keys(before)) {
+        if (before[key] !== after[key]) {
+          oldValues[key] = before[key];
+          newValues[key] = after[key];
+        }
+      }
+    }
+
     if (updates.length === 0) {
+      await connection.rollback();
       return res.status(400).json({
         success: false,
         message: 'No fields to update.'
       });
     }
 
-    // Add uuid to params for WHERE clause
-    params.push(uuid);
+    // Add id to params for WHERE clause
+    params.push(transaction.id);
 
-    await pool.query(
-      `UPDATE transactions SET ${updates.join(', ')} WHERE uuid = ?`,
+    await connection.query(
+      `UPDATE transactions SET ${updates.join(', ')} WHERE id = ?`,
       params
     );
 
+    // Pending transactions have not touched the drawer yet; approval posts the edited amounts
+    if (holdForApproval) {
+      await reverseTransactionEffects(connection, transaction, {
+        userId: req.user.id,
+        notes: `Held for approval: transaction ${transaction.transaction_number || uuid} edited outside the rate band`
+      });
+    } else if (financialChange && transaction.status === 'completed') {
+      const drawerId = await resolveDrawerId(connection, transaction);
+
+      if (drawerId) {
+        // Net effect on each currency: the old deal is taken out, the new one put in
+        const deltas = {};
+        const addDelta = (currencyId, amount) => {
+          deltas[currencyId] = parseDecimal((deltas[currencyId] || 0) + amount);
+        };
+        addDelta(before.currencyInId, -before.amountIn);
+        addDelta(before.currencyOutId, before.amountOut);
+        addDelta(after.currencyInId, after.amountIn);
+        addDelta(after.currencyOutId, -after.amountOut);
+
+        const [currencies] = await connection.query(
+          'SELECT id, code FROM currencies WHERE id IN (?)',
+          [Object.keys(deltas).map(Number)]
+        );
+
+        // Credits first so a currency swap never fails on an intermediate balance
+        const entries = Object.entries(deltas)
+          .filter(([, delta]) => delta !== 0)
+          .sort(([, a], [, b]) => b - a);
+
+        for (const [currencyId, delta] of entries) {
+          const currency = currencies.find(c => c.id === Number(currencyId)) || {};
+          await drawerLedger.postEntry(connection, {
+            drawerId,
+            currencyId: Number(currencyId),
+            type: delta > 0 ? 'transaction_in' : 'transaction_out',
+            change: delta,
+            referenceType: 'transaction',
+            referenceId: transaction.uuid,
+            notes: `Correction: transaction ${transaction.transaction_number || uuid} edited`,
+            userId: req.user.id,
+            currencyCode: currency.code
+          });
+        }
+      }
+
+      if (transaction.customer_id && after.amountIn !== before.amountIn) {
+        await connection.query(
+          'UPDATE customers SET total_volume = GREATEST(total_volume + ?, 0) WHERE id = ?',
+          [parseDecimal(after.amountIn - before.amountIn), transaction.customer_id]
+        );
+      }
+
+      if (transaction.shift_id) {
+        await refreshShiftSummary(transaction.shift_id, connection);
+      }
+    }
+
+    if (rateCheck && !rateCheck.withinTolerance) {
+      await logAudit(
+        req.user.id,
+        'RATE_OVERRIDE_REQUESTED',
+        'transactions',
+        transaction.id,
+        null,
+        {
+          uuid,
+          exchangeRate: after.exchangeRate,
+          officialRate: rateCheck.officialRate,
+          minRate: rateCheck.minRate,
+          maxRate: rateCheck.maxRate,
+          tolerancePercent: rateCheck.tolerancePercent,
+          deviationPercent: rateCheck.deviationPercent,
+          reason: rateOverrideReason
+        },
+        ipAddress,
+        'warning',
+        connection
+      );
+    }
+
     // Log audit
     await logAudit(
       req.user.id,
@@ -778,34 +1695,59 @@ const updateTransaction = async (req, res, next) => {
       oldValues,
       newValues,
       ipAddress,
-      'info'
+      financialChange ? 'warning' : 'info',
+      connection
     );
 
+    await connection.commit();
+
     res.json({
       success: true,
-      message: 'Transaction updated successfully.'
+      message: holdForApproval
+        ? 'Transaction updated and held for manager approval.'
+        : 'Transaction updated successfully.',
+      ...(financialChange && {
+        data: {
+          amountIn: after.amountIn,
+          amountOut: after.amountOut,
+          exchangeRate: after.exchangeRate,
+          commission: after.commission,
+          profit: after.profit,
+          status: holdForApproval ? 'pending' : transaction.status
+        }
+      })
     });
   } catch (error) {
+    if (connection) await connection.rollback();
     next(error);
+  } finally {
+    if (connection) connection.release();
   }
 };
 
 /**
- * Cancel transaction (soft state change)
+ * Cancel transaction
+ * Reverses drawer balances, customer stats and shift summary in one DB transaction
  */
 const cancelTransaction = async (req, res, next) => {
+  let connection;
   try {
     const { uuid } = req.params;
     const { reason } = req.body;
     const ipAddress = getClientIp(req);
 
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
     // Get transaction
-    const [transactions] = await pool.query(
-      'SELECT * FROM transactions WHERE uuid = ? AND deleted_at IS NULL',
-      [uuid]
+    const scope = ownBranch(req.user, 'branch_id');
+    const [transactions] = await connection.query(
+      `SELECT * FROM transactions WHERE uuid = ? AND deleted_at IS NULL${scope.sql} FOR UPDATE`,
+      [uuid, ...scope.params]
     );
 
     if (transactions.length === 0) {
+      await connection.rollback();
       return res.status(404).json({
         success: false,
         message: 'Transaction not found.'
@@ -815,6 +1757,7 @@ const cancelTransaction = async (req, res, next) => {
     const transaction = transactions[0];
 
     if (transaction.status === 'cancelled') {
+      await connection.rollback();
       return res.status(400).json({
         success: false,
         message: 'Transaction is already cancelled.'
@@ -822,13 +1765,22 @@ const cancelTransaction = async (req, res, next) => {
     }
 
     // Update status
-    await pool.query(
+    await connection.query(
       `UPDATE transactions
        SET status = 'cancelled', cancelled_by = ?, cancelled_at = NOW(), cancellation_reason = ?
-       WHERE uuid = ?`,
-      [req.user.id, reason || null, uuid]
+       WHERE id = ?`,
+      [req.user.id, reason || null, transaction.id]
     );
 
+    // Pending transactions never moved cash, so there is nothing to reverse
+    let reversal = null;
+    if (transaction.status === 'completed') {
+      reversal = await reverseTransactionEffects(connection, transaction, {
+        userId: req.user.id,
+        notes: `Reversal: transaction ${transaction.transaction_number || uuid} cancelled`
+      });
+    }
+
     // Log audit
     await logAudit(
       req.user.id,
@@ -836,36 +1788,49 @@ const cancelTransaction = async (req, res, next) => {
       'transactions',
       transaction.id,
       { status: transaction.status },
-      { status: 'cancelled', reason },
+      { status: 'cancelled', reason, drawerReversed: Boolean(reversal && reversal.drawerId) },
       ipAddress,
-      'warning'
+      'warning',
+      connection
     );
 
+    await connection.commit();
+
     res.json({
       success: true,
       message: 'Transaction cancelled successfully.'
     });
   } catch (error) {
+    if (connection) await connection.rollback();
     next(error);
+  } finally {
+    if (connection) connection.release();
   }
 };
 
 /**
  * Soft delete transaction (admin only)
+ * Completed transactions are reversed the same way as a cancellation
  */
 const deleteTransaction = async (req, res, next) => {
+  let connection;
   try {
     const { uuid } = req.params;
     const { reason } = req.body;
     const ipAddress = getClientIp(req);
 
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
     // Admin only check is done in route
-    const [transactions] = await pool.query(
-      'SELECT * FROM transactions WHERE uuid = ? AND deleted_at IS NULL',
-      [uuid]
+    const scope = ownBranch(req.user, 'branch_id');
+    const [transactions] = await connection.query(
+      `SELECT * FROM transactions WHERE uuid = ? AND deleted_at IS NULL${scope.sql} FOR UPDATE`,
+      [uuid, ...scope.params]
     );
 
     if (transactions.length === 0) {
+      await connection.rollback();
       return res.status(404).json({
         success: false,
         message: 'Transaction not found.'
@@ -875,11 +1840,22 @@ const deleteTransaction = async (req, res, next) => {
     const transaction = transactions[0];
 
     // Soft delete - never hard delete transactions
-    await pool.query(
-      `UPDATE transactions SET deleted_at = NOW(), deleted_by = ? WHERE uuid = ?`,
-      [req.user.id, uuid]
+    await connection.query(
+      `UPDATE transactions SET deleted_at = NOW(), deleted_by = ? WHERE id = ?`,
+      [req.user.id, transaction.id]
     );
 
+    // Cancelled transactions were already reversed; pending ones never moved cash
+    let reversal = null;
+    if (transaction.status === 'completed') {
+      reversal = await reverseTransactionEffects(connection, transaction, {
+        userId: req.user.id,
+        notes: `Reversal: transaction ${transaction.transaction_number || uuid} deleted`
+      });
+    } else if (transaction.shift_id) {
+      await refreshShiftSummary(transaction.shift_id, connection);
+    }
+
     // Log audit with critical severity
     await logAudit(
       req.user.id,
@@ -890,17 +1866,371 @@ const deleteTransaction = async (req, res, next) => {
         transactionNumber: transaction.transaction_number,
         customerName: transaction.customer_name,
         amountIn: parseDecimal(transaction.amount_in),
-        amountOut: parseDecimal(transaction.amount_out)
+        amountOut: parseDecimal(transaction.amount_out),
+        status: transaction.status
+      },
+      {
+        reason,
+        deletedAt: new Date().toISOString(),
+        drawerReversed: Boolean(reversal && reversal.drawerId)
       },
-      { reason, deletedAt: new Date().toISOString() },
       ipAddress,
-      'critical'
+      'critical',
+      connection
     );
 
+    await connection.commit();
+
     res.json({
       success: true,
       message: 'Transaction deleted successfully.'
     });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+/**
+ * Get transactions held for approval (maker-checker queue)
+ * Oldest first so supervisors clear the longest-waiting deals before new ones
+ */
+const getApprovalQueue = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const branch = branchFilter(req.branchScope);
+
+    const countQuery = `
+      SELECT COUNT(*) as total FROM transactions t
+      WHERE t.status = 'pending' AND t.deleted_at IS NULL${branch.sql}
+    `;
+    const [countResult] = await pool.query(countQuery, branch.params);
+    const total = countResult[0].total;
+
+    const [transactions] = await pool.query(`
+      SELECT
+        t.uuid,
+        t.transaction_number,
+        t.customer_name,
+        t.customer_phone,
+        t.customer_id_type,
+        t.customer_id_number,
+        t.amount_in,
+        t.amount_out,
+        t.exchange_rate,
+        t.official_rate,
+        t.rate_deviation_percent,
+        t.rate_override_reason,
+        t.profit,
+        t.notes,
+        t.flag_reason,
+        t.employee_id,
+        t.transaction_date,
+        ci.code as currency_in_code,
+        ci.symbol as currency_in_symbol,
+        co.code as currency_out_code,
+        co.symbol as currency_out_symbol,
+        u.uuid as employee_uuid,
+        u.full_name as employee_name,
+        d.name as drawer_name,
+        (SELECT COUNT(*) FROM compliance_alerts ca WHERE ca.transaction_id = t.id) as alert_count
+      FROM transactions t
+      JOIN currencies ci ON t.currency_in_id = ci.id
+      JOIN currencies co ON t.currency_out_id = co.id
+      JOIN users u ON t.employee_id = u.id
+      LEFT JOIN cash_drawers d ON t.drawer_id = d.id
+      WHERE t.status = 'pending' AND t.deleted_at IS NULL${branch.sql}
+      ORDER BY t.transaction_date ASC
+      LIMIT ? OFFSET ?
+    `, [...branch.params, parseInt(limit), offset]);
+
+    res.json({
+      success: true,
+      data: transactions.map(t => ({
+        uuid: t.uuid,
+        transactionNumber: t.transaction_number,
+        customerName: t.customer_name,
+        customerPhone: t.customer_phone,
+        customerIdType: t.customer_id_type,
+        customerIdNumber: t.customer_id_number,
+        currencyIn: { code: t.currency_in_code, symbol: t.currency_in_symbol },
+        currencyOut: { code: t.currency_out_code, symbol: t.currency_out_symbol },
+        amountIn: parseDecimal(t.amount_in),
+        amountOut: parseDecimal(t.amount_out),
+        exchangeRate: parseDecimal(t.exchange_rate, 6),
+        rateOverride: t.rate_override_reason ? {
+          officialRate: parseDecimal(t.official_rate, 6),
+          deviationPercent: parseDecimal(t.rate_deviation_percent, 4),
+          reason: t.rate_override_reason
+        } : null,
+        profit: parseDecimal(t.profit),
+        notes: t.notes,
+        flagReason: t.flag_reason,
+        alertCount: t.alert_count,
+        drawerName: t.drawer_name,
+        transactionDate: t.transaction_date,
+        employee: {
+          uuid: t.employee_uuid,
+          fullName: t.employee_name
+        },
+        // Makers cannot check their own deals
+        canReview: t.employee_id !== req.user.id
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a pending transaction
+ * Cash only moves through the drawer at this point; the approver must not be the creator
+ */
+const approveTransaction = async (req, res, next) => {
+  let connection;
+  try {
+    const { uuid } = req.params;
+    const { notes } = req.body;
+    const ipAddress = getClientIp(req);
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    const scope = ownBranch(req.user);
+    const [transactions] = await connection.query(
+      `SELECT t.*, co.code as currency_out_code
+       FROM transactions t
+       JOIN currencies co ON t.currency_out_id = co.id
+       WHERE t.uuid = ? AND t.deleted_at IS NULL${scope.sql}
+       FOR UPDATE`,
+      [uuid, ...scope.params]
+    );
+
+    if (transactions.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found.'
+      });
+    }
+
+    const transaction = transactions[0];
+
+    if (transaction.status !== 'pending') {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending transactions can be approved.'
+      });
+    }
+
+    if (transaction.employee_id === req.user.id) {
+      await connection.rollback();
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot approve a transaction you created.'
+      });
+    }
+
+    // An override requested by editing the deal needs someone other than the editor
+    if (transaction.rate_override_reason) {
+      const [requests] = await connection.query(
+        `SELECT user_id FROM audit_logs
+         WHERE action = 'RATE_OVERRIDE_REQUESTED' AND resource_type = 'transactions' AND resource_id = ?
+         ORDER BY id DESC LIMIT 1`,
+        [String(transaction.id)]
+      );
+
+      if (requests.length > 0 && requests[0].user_id === req.user.id) {
+        await connection.rollback();
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot approve a rate override you requested.'
+        });
+      }
+    }
+
+    // Imported transactions are not booked against a drawer; the ledger re-checks funds
+    // and the deal goes into inventory, replacing the profit estimated when it was held
+    let profit = parseDecimal(transaction.profit);
+    let costBasis = null;
+    if (transaction.drawer_id) {
+      await postDrawerMovement(connection, {
+        drawerId: transaction.drawer_id,
+        transactionUuid: transaction.uuid,
+        currencyInId: transaction.currency_in_id,
+        currencyOutId: transaction.currency_out_id,
+        currencyOutCode: transaction.currency_out_code,
+        amountIn: transaction.amount_in,
+        amountOut: transaction.amount_out,
+        userId: req.user.id
+      });
+
+      const booked = await inventory.bookDeal(connection, {
+        drawerId: transaction.drawer_id,
+        branchId: transaction.branch_id,
+        currencyInId: transaction.currency_in_id,
+        currencyOutId: transaction.currency_out_id,
+        amountIn: transaction.amount_in,
+        amountOut: transaction.amount_out
+      });
+      if (booked) {
+        profit = booked.profit;
+        costBasis = booked.costBasis;
+      }
+    }
+
+    await connection.query(
+      `UPDATE transactions
+       SET status = 'completed', approved_by = ?, approved_at = NOW(), approval_notes = ?, profit = ?, cost_basis = ?
+       WHERE id = ?`,
+      [req.user.id, notes || null, profit, costBasis, transaction.id]
+    );
+
+    if (transaction.customer_id) {
+      await connection.query(
+        `UPDATE customers
+         SET total_transactions = total_transactions + 1,
+             total_volume = total_volume + ?
+         WHERE id = ?`,
+        [parseDecimal(transaction.amount_in), transaction.customer_id]
+      );
+    }
+
+    if (transaction.shift_id) {
+      await refreshShiftSummary(transaction.shift_id, connection);
+    }
+
+    await logAudit(
+      req.user.id,
+      'APPROVE',
+      'transactions',
+      transaction.id,
+      { status: 'pending', profit: parseDecimal(transaction.profit) },
+      { status: 'completed', notes: notes || null, profit },
+      ipAddress,
+      'info',
+      connection
+    );
+
+    // The manager signing off an out-of-band rate is recorded with the deviation
+    if (transaction.rate_override_reason) {
+      await logAudit(
+        req.user.id,
+        'RATE_OVERRIDE_APPROVED',
+        'transactions',
+        transaction.id,
+        null,
+        {
+          uuid,
+          exchangeRate: parseDecimal(transaction.exchange_rate, 6),
+          officialRate: parseDecimal(transaction.official_rate, 6),
+          deviationPercent: parseDecimal(transaction.rate_deviation_percent, 4),
+          reason: transaction.rate_override_reason,
+          requestedBy: transaction.employee_id
+        },
+        ipAddress,
+        'warning',
+        connection
+      );
+    }
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Transaction approved.',
+      data: { uuid, status: 'completed' }
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    next(error);
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+/**
+ * Reject a pending transaction
+ * Nothing was posted to the drawer, so rejection only closes the record
+ */
+const rejectTransaction = async (req, res, next) => {
+  try {
+    const { uuid } = req.params;
+    const { reason } = req.body;
+    const ipAddress = getClientIp(req);
+
+    const scope = ownBranch(req.user, 'branch_id');
+    const [transactions] = await pool.query(
+      `SELECT * FROM transactions WHERE uuid = ? AND deleted_at IS NULL${scope.sql}`,
+      [uuid, ...scope.params]
+    );
+
+    if (transactions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found.'
+      });
+    }
+
+    const transaction = transactions[0];
+
+    if (transaction.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending transactions can be rejected.'
+      });
+    }
+
+    if (transaction.employee_id === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot reject a transaction you created.'
+      });
+    }
+
+    // Guard on status so two reviewers cannot both act on the same deal
+    const [result] = await pool.query(
+      `UPDATE transactions
+       SET status = 'cancelled', cancelled_by = ?, cancelled_at = NOW(), cancellation_reason = ?,
+           rejected_by = ?, rejected_at = NOW(), rejection_reason = ?
+       WHERE id = ? AND status = 'pending'`,
+      [req.user.id, reason, req.user.id, reason, transaction.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Transaction was already reviewed.'
+      });
+    }
+
+    await logAudit(
+      req.user.id,
+      'REJECT',
+      'transactions',
+      transaction.id,
+      { status: 'pending' },
+      { status: 'cancelled', reason },
+      ipAddress,
+      'warning'
+    );
+
+    res.json({
+      success: true,
+      message: 'Transaction rejected.',
+      data: { uuid, status: 'cancelled' }
+    });
   } catch (error) {
     next(error);
   }
@@ -909,8 +2239,12 @@ const deleteTransaction = async (req, res, next) => {
 module.exports = {
   getTransactions,
   createTransaction,
+  createQuote,
   getTransaction,
   updateTransaction,
   cancelTransaction,
-  deleteTransaction
+  deleteTransaction,
+  getApprovalQueue,
+  approveTransaction,
+  rejectTransaction
 };
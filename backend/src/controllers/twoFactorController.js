@@ -0,0 +1,279 @@
+/**
+ * Two-Factor Controller
+ * Staff manage their own TOTP enrollment and recovery codes; admins can reset a user
+ * who lost their device. Signing in with a code is handled by authController.
+ */
+const bcrypt = require('bcryptjs');
+const { pool } = require('../config/database');
+const { logAudit, getClientIp } = require('../utils/helpers');
+const twoFactorService = require('../services/twoFactorService');
+
+/**
+ * Check a TOTP or recovery code of an enrolled user, using it up
+ * @returns {Promise<boolean>}
+ */
+const confirmCode = async (record, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const remaining = await twoFactorService.redeemRecoveryCode(pool, record.id, recoveryCode);
+    return remaining !== null;
+  }
+
+  const step = twoFactorService.verifyCode(
+    twoFactorService.decryptSecret(record.secret),
+    code,
+    record.last_used_step
+  );
+  if (step === null) {
+    return false;
+  }
+  const [updated] = await pool.query(
+    `UPDATE two_factor_auth SET last_used_step = ?
+     WHERE id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+    [step, record.id, step]
+  );
+  return updated.affectedRows > 0;
+};
+
+/**
+ * Get the current user's two-factor status
+ */
+const getStatus = async (req, res, next) => {
+  try {
+    const state = await twoFactorService.getTwoFactorState(pool, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: state.enabled,
+        required: state.required,
+        enabledAt: state.enabled ? state.record.enabled_at : null,
+        recoveryCodesRemaining: state.enabled
+          ? twoFactorService.getRecoveryHashes(state.record).length
+          : 0
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start enrollment: create a secret and return the QR code to scan
+ * Nothing changes for the user until a code from the app is confirmed.
+ */
+const setup = async (req, res, next) => {
+  try {
+    const state = await twoFactorService.getTwoFactorState(pool, req.user);
+
+    if (state.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled.'
+      });
+    }
+
+    const generated = await twoFactorService.generateSecret(req.user.username);
+    await pool.query(
+      `INSERT INTO two_factor_auth (user_id, secret, is_enabled)
+       VALUES (?, ?, FALSE)
+       ON DUPLICATE KEY UPDATE secret = VALUES(secret), is_enabled = FALSE,
+         enabled_at = NULL, backup_codes = NULL, last_used_step = NULL`,
+      [req.user.id, twoFactorService.encryptSecret(generated.secret)]
+    );
+
+    res.json({
+      success: true,
+      data: generated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Finish enrollment with a code from the app
+ * Returns the recovery codes; they are not shown again.
+ */
+const enable = async (req, res, next) => {
+  try {
+    const state = await twoFactorService.getTwoFactorState(pool, req.user);
+
+    if (state.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled.'
+      });
+    }
+
+    if (!state.record) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start the setup first.'
+      });
+    }
+
+    if (!(await confirmCode(state.record, { code: req.body.code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code.'
+      });
+    }
+
+    const recovery = twoFactorService.generateRecoveryCodes();
+    await pool.query(
+      'UPDATE two_factor_auth SET is_enabled = TRUE, enabled_at = NOW(), backup_codes = ? WHERE id = ?',
+      [JSON.stringify(recovery.hashes), state.record.id]
+    );
+
+    await logAudit(req.user.id, 'TWO_FACTOR_ENABLED', 'users', req.user.id, null,
+      null, getClientIp(req), 'info');
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled.',
+      data: { recoveryCodes: recovery.codes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Switch two-factor authentication off (password and a current code required)
+ */
+const disable = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const ipAddress = getClientIp(req);
+    const state = await twoFactorService.getTwoFactorState(pool, req.user);
+
+    if (!state.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled.'
+      });
+    }
+
+    if (state.required) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your role requires two-factor authentication.'
+      });
+    }
+
+    const [users] = await pool.query('SELECT password FROM users WHERE id = ?', [req.user.id]);
+    const isValidPassword = await bcrypt.compare(password, users[0].password);
+
+    if (!isValidPassword || !(await confirmCode(state.record, { code, recoveryCode }))) {
+      await logAudit(req.user.id, 'TWO_FACTOR_DISABLE_FAILED', 'users', req.user.id, null,
+        { reason: isValidPassword ? 'Invalid code' : 'Invalid password' }, ipAddress, 'warning');
+
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or verification code.'
+      });
+    }
+
+    await pool.query('DELETE FROM two_factor_auth WHERE id = ?', [state.record.id]);
+
+    await logAudit(req.user.id, 'TWO_FACTOR_DISABLED', 'users', req.user.id, null,
+      null, ipAddress, 'warning');
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the recovery codes (a current code from the app required)
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const state = await twoFactorService.getTwoFactorState(pool, req.user);
+
+    if (!state.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled.'
+      });
+    }
+
+    if (!(await confirmCode(state.record, { code: req.body.code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code.'
+      });
+    }
+
+    const recovery = twoFactorService.generateRecoveryCodes();
+    await pool.query('UPDATE two_factor_auth SET backup_codes = ? WHERE id = ?',
+      [JSON.stringify(recovery.hashes), state.record.id]);
+
+    await logAudit(req.user.id, 'TWO_FACTOR_RECOVERY_CODES', 'users', req.user.id, null,
+      null, getClientIp(req), 'info');
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated.',
+      data: { recoveryCodes: recovery.codes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reset another user's two-factor authentication (lost device)
+ * Signs the user out everywhere; if their role requires two-factor they enroll
+ * again at their next login.
+ */
+const resetUser = async (req, res, next) => {
+  try {
+    const [users] = await pool.query('SELECT id, username FROM users WHERE uuid = ?', [req.params.uuid]);
+
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found.'
+      });
+    }
+
+    const user = users[0];
+    const [result] = await pool.query('DELETE FROM two_factor_auth WHERE user_id = ?', [user.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not set up for this user.'
+      });
+    }
+
+    await pool.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+      [user.id]
+    );
+
+    await logAudit(req.user.id, 'TWO_FACTOR_RESET', 'users', user.id, null,
+      { username: user.username }, getClientIp(req), 'warning');
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  resetUser
+};
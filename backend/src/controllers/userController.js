@@ -2,25 +2,69 @@ const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../config/database');
 const { logAudit, getClientIp } = require('../utils/helpers');
+const { findBranchId } = require('../middleware/branchScope');
+
+/**
+ * Resolve the branch for a user record; only admins may work without one
+ * @returns {Promise<{branchId: number|null}|{error: string}>}
+ */
+const resolveUserBranch = async (branchUuid, role) => {
+  const branchId = await findBranchId(branchUuid);
+  if (branchId === undefined) {
+    return { error: 'Branch not found or not active.' };
+  }
+  if (branchId === null && role !== 'admin') {
+    return { error: 'A branch is required for non-admin users.' };
+  }
+  return { branchId };
+};
+
+/**
+ * Check that a role can be given to a user by the current user
+ * Roles must exist; only admins may hand out the admin role.
+ * @returns {Promise<string|null>} error message, or null when allowed
+ */
+const checkRoleAssignment = async (role, currentUser) => {
+  const [roles] = await pool.query('SELECT id FROM roles WHERE code = ?', [role]);
+  if (roles.length === 0) {
+    return 'Invalid role.';
+  }
+  if (role === 'admin' && currentUser.role !== 'admin') {
+    return 'Only administrators can assign the admin role.';
+  }
+  return null;
+};
 
 const getUsers = async (req, res, next) => {
   try {
-    const { role, active } = req.query;
-
-    let query = 'SELECT id, uuid, username, email, full_name, role, is_active, created_at FROM users WHERE 1=1';
+    const { role, active, branchId } = req.query;
+
+    let query = `
+      SELECT u.id, u.uuid, u.username, u.email, u.full_name, u.role, u.is_active, u.created_at,
+        b.uuid as branch_uuid, b.name as branch_name, tfa.is_enabled as two_factor_enabled
+      FROM users u
+      LEFT JOIN branches b ON u.branch_id = b.id
+      LEFT JOIN two_factor_auth tfa ON tfa.user_id = u.id
+      WHERE 1=1
+    `;
     const params = [];
 
     if (role) {
-      query += ' AND role = ?';
+      query += ' AND u.role = ?';
       params.push(role);
     }
 
     if (active !== undefined) {
-      query += ' AND is_active = ?';
+      query += ' AND u.is_active = ?';
       params.push(active === 'true');
     }
 
-    query += ' ORDER BY created_at DESC';
+    if (branchId) {
+      query += ' AND b.uuid = ?';
+      params.push(branchId);
+    }
+
+    query += ' ORDER BY u.created_at DESC';
 
     const [users] = await pool.query(query, params);
 
@@ -32,6 +76,8 @@ const getUsers = async (req, res, next) => {
         email: u.email,
         fullName: u.full_name,
         role: u.role,
+        branch: u.branch_uuid ? { uuid: u.branch_uuid, name: u.branch_name } : null,
+        twoFactorEnabled: Boolean(u.two_factor_enabled),
         isActive: u.is_active,
         createdAt: u.created_at
       }))
@@ -43,16 +89,32 @@ const getUsers = async (req, res, next) => {
 
 const createUser = async (req, res, next) => {
   try {
-    const { username, email, password, fullName, role } = req.body;
+    const { username, email, password, fullName, role, branchId } = req.body;
+
+    const roleError = await checkRoleAssignment(role || 'employee', req.user);
+    if (roleError) {
+      return res.status(400).json({
+        success: false,
+        message: roleError
+      });
+    }
+
+    const branch = await resolveUserBranch(branchId, role || 'employee');
+    if (branch.error) {
+      return res.status(400).json({
+        success: false,
+        message: branch.error
+      });
+    }
 
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 12);
     const uuid = uuidv4();
 
     const [result] = await pool.query(
-      `INSERT INTO users (uuid, username, email, password, full_name, role)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [uuid, username, email, hashedPassword, fullName, role || 'employee']
+      `INSERT INTO users (uuid, username, email, password, full_name, role, branch_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [uuid, username, email, hashedPassword, fullName, role || 'employee', branch.branchId]
     );
 
     // Log audit
@@ -62,7 +124,7 @@ const createUser = async (req, res, next) => {
       'users',
       result.insertId,
       null,
-      { username, email, fullName, role: role || 'employee' },
+      { username, email, fullName, role: role || 'employee', branchId: branch.branchId },
       getClientIp(req)
     );
 
@@ -74,7 +136,8 @@ const createUser = async (req, res, next) => {
         username,
         email,
         fullName,
-        role: role || 'employee'
+        role: role || 'employee',
+        branchId: branchId || null
       }
     });
   } catch (error) {
@@ -85,7 +148,7 @@ const createUser = async (req, res, next) => {
 const updateUser = async (req, res, next) => {
   try {
     const { uuid } = req.params;
-    const { email, fullName, role, isActive } = req.body;
+    const { email, fullName, role, isActive, branchId } = req.body;
 
     // Get existing user
     const [users] = await pool.query('SELECT * FROM users WHERE uuid = ?', [uuid]);
@@ -120,6 +183,13 @@ const updateUser = async (req, res, next) => {
       params.push(fullName);
     }
     if (role !== undefined) {
+      const roleError = await checkRoleAssignment(role, req.user);
+      if (roleError) {
+        return res.status(400).json({
+          success: false,
+          message: roleError
+        });
+      }
       updates.push('role = ?');
       params.push(role);
     }
@@ -128,6 +198,24 @@ const updateUser = async (req, res, next) => {
       params.push(isActive);
     }
 
+    // A role change away from admin needs a branch as well
+    let newBranchId;
+    if (branchId !== undefined || (role !== undefined && role !== 'admin' && !oldUser.branch_id)) {
+      const branch = await resolveUserBranch(
+        branchId !== undefined ? branchId : null,
+        role !== undefined ? role : oldUser.role
+      );
+      if (branch.error) {
+        return res.status(400).json({
+          success: false,
+          message: branch.error
+        });
+      }
+      newBranchId = branch.branchId;
+      updates.push('branch_id = ?');
+      params.push(newBranchId);
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({
         success: false,
@@ -145,8 +233,8 @@ const updateUser = async (req, res, next) => {
       'UPDATE',
       'users',
       oldUser.id,
-      { email: oldUser.email, fullName: oldUser.full_name, role: oldUser.role, isActive: oldUser.is_active },
-      { email, fullName, role, isActive },
+      { email: oldUser.email, fullName: oldUser.full_name, role: oldUser.role, isActive: oldUser.is_active, branchId: oldUser.branch_id },
+      { email, fullName, role, isActive, branchId: newBranchId },
       getClientIp(req)
     );
 
@@ -191,13 +279,19 @@ const resetUserPassword = async (req, res, next) => {
 
 /**
  * Get employee list for report filters (any authenticated user)
- * Returns limited data: uuid and fullName only
+ * Returns limited data: uuid and fullName only, limited to the caller's branch
  */
 const getEmployeeList = async (req, res, next) => {
   try {
-    const [users] = await pool.query(
-      'SELECT uuid, full_name FROM users WHERE is_active = TRUE ORDER BY full_name ASC'
-    );
+    let query = 'SELECT uuid, full_name FROM users WHERE is_active = TRUE';
+    const params = [];
+
+    if (req.user.branch_id) {
+      query += ' AND branch_id = ?';
+      params.push(req.user.branch_id);
+    }
+
+    const [users] = await pool.query(`${query} ORDER BY full_name ASC`, params);
 
     res.json({
       success: true,
@@ -0,0 +1,604 @@
+/**
+ * Watchlist Controller
+ * Imports sanctions/PEP lists and screens customers against them. Every possible match
+ * is recorded in watchlist_matches with a watchlist_match alert; until a compliance
+ * officer clears it, transactions for that customer (or walk-in name) are held.
+ */
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const { logAudit, getClientIp } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const {
+  screen,
+  nameKey,
+  getActiveEntries,
+  entriesFromCsvRows,
+  entriesFromXml
+} = require('../services/watchlistService');
+const { createAlert, rescoreCustomer } = require('./complianceController');
+
+// Rows per INSERT when storing list entries
+const INSERT_BATCH_SIZE = 500;
+
+const parseJson = (value) => (value ? (typeof value === 'string' ? JSON.parse(value) : value) : null);
+
+/**
+ * Screen a person against the active lists
+ * Matches an officer has cleared for this customer (or, for walk-ins, this name) are
+ * left out. Errors propagate so a caller screening a transaction fails closed.
+ * @param {Object} connection - Pool or connection
+ * @param {{name: string, dateOfBirth?: string, idNumber?: string}} party
+ * @param {number|null} customerId - Existing customer record, null for walk-ins
+ * @returns {Promise<Array<Object>>} Uncleared hits, best first
+ */
+const screenParty = async (connection, party, customerId = null) => {
+  if (!party.name && !party.idNumber) {
+    return [];
+  }
+
+  const entries = await getActiveEntries(connection);
+  const hits = screen(party, entries);
+  if (hits.length === 0) {
+    return [];
+  }
+
+  const entryIds = hits.map(hit => hit.entry.id);
+  const [cleared] = customerId
+    ? await connection.query(
+      `SELECT entry_id FROM watchlist_matches WHERE status = 'cleared' AND customer_id = ? AND entry_id IN (${entryIds.map(() => '?').join(',')})`,
+      [customerId, ...entryIds]
+    )
+    : await connection.query(
+      `SELECT entry_id FROM watchlist_matches WHERE status = 'cleared' AND customer_id IS NULL AND name_key = ? AND entry_id IN (${entryIds.map(() => '?').join(',')})`,
+      [nameKey(party.name), ...entryIds]
+    );
+
+  const clearedIds = new Set(cleared.map(row => row.entry_id));
+  return hits.filter(hit => !clearedIds.has(hit.entry.id));
+};
+
+/**
+ * Record screening hits and raise an alert for each new one
+ * A hit that is already pending or confirmed for the same customer or name is not
+ * recorded twice. Runs on the pool: hits of a rejected transaction must outlive its rollback.
+ * @param {Object} party - As screened
+ * @param {Array<Object>} hits - From screenParty
+ * @param {Object} context
+ * @param {number|null} context.customerId
+ * @param {string} context.source - 'customer' or 'transaction'
+ * @param {number} context.userId
+ * @returns {Promise<Array<Object>>} { uuid, list, listedName, score, matchedOn, status }
+ */
+const recordHits = async (party, hits, { customerId = null, source, userId }) => {
+  const key = nameKey(party.name);
+  const matches = [];
+
+  for (const hit of hits) {
+    const [existing] = customerId
+      ? await pool.query(
+        "SELECT uuid, status FROM watchlist_matches WHERE entry_id = ? AND customer_id = ? AND status IN ('pending', 'confirmed') LIMIT 1",
+        [hit.entry.id, customerId]
+      )
+      : await pool.query(
+        "SELECT uuid, status FROM watchlist_matches WHERE entry_id = ? AND customer_id IS NULL AND name_key = ? AND status IN ('pending', 'confirmed') LIMIT 1",
+        [hit.entry.id, key]
+      );
+
+    const summary = { list: hit.entry.listName, listedName: hit.matchedName, score: hit.score, matchedOn: hit.matchedOn };
+    if (existing.length > 0) {
+      matches.push({ uuid: existing[0].uuid, ...summary, status: existing[0].status });
+      continue;
+    }
+
+    const uuid = uuidv4();
+    const alertUuid = await createAlert({
+      alertType: 'watchlist_match',
+      severity: hit.matchedOn.includes('idNumber') || hit.score >= 95 ? 'critical' : 'high',
+      description: `Possible ${hit.entry.listType} list match: ${party.name} resembles "${hit.matchedName}" on ${hit.entry.listName} (score ${hit.score})`,
+      details: {
+        matchUuid: uuid,
+        list: hit.entry.listName,
+        listType: hit.entry.listType,
+        externalId: hit.entry.externalId,
+        listedName: hit.matchedName,
+        screenedName: party.name,
+        score: hit.score,
+        matchedOn: hit.matchedOn,
+        source
+      }
+    }, null, customerId);
+    const [[alert]] = await pool.query('SELECT id FROM compliance_alerts WHERE uuid = ?', [alertUuid]);
+
+    await pool.query(
+      `INSERT INTO watchlist_matches (uuid, entry_id, customer_id, source, screened_name, name_key, score, matched_on, alert_id, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uuid, hit.entry.id, customerId, source, party.name, key, hit.score, JSON.stringify(hit.matchedOn), alert.id, userId]
+    );
+
+    matches.push({ uuid, ...summary, status: 'pending' });
+  }
+
+  if (customerId) {
+    await rescoreCustomer(customerId, { source: source === 'transaction' ? 'transaction' : 'manual', reference: 'watchlist', userId });
+  }
+
+  return matches;
+};
+
+/**
+ * Screen a customer record after it has been saved
+ * Failures are logged rather than returned: the customer is saved either way and
+ * their next transaction is screened again.
+ * @param {number} customerId
+ * @param {number} userId
+ * @returns {Promise<Array<Object>>} Recorded matches, empty when clear
+ */
+const screenCustomer = async (customerId, userId) => {
+  try {
+    const [customers] = await pool.query(
+      'SELECT id, full_name, date_of_birth, id_number FROM customers WHERE id = ?',
+      [customerId]
+    );
+    if (customers.length === 0) {
+      return [];
+    }
+    const customer = customers[0];
+    const party = { name: customer.full_name, dateOfBirth: customer.date_of_birth, idNumber: customer.id_number };
+
+    const hits = await screenParty(pool, party, customer.id);
+    return hits.length > 0 ? await recordHits(party, hits, { customerId: customer.id, source: 'customer', userId }) : [];
+  } catch (error) {
+    logger.error('Customer watchlist screening failed', { customerId, error: error.message });
+    return [];
+  }
+};
+
+/**
+ * Get imported watchlists
+ */
+const getWatchlists = async (req, res, next) => {
+  try {
+    const [lists] = await pool.query(`
+      SELECT w.*, u.full_name as imported_by_name
+      FROM watchlists w
+      LEFT JOIN users u ON w.imported_by = u.id
+      ORDER BY w.name
+    `);
+
+    res.json({
+      success: true,
+      data: lists.map(w => ({
+        uuid: w.uuid,
+        name: w.name,
+        source: w.source,
+        listType: w.list_type,
+        entryCount: w.entry_count,
+        isActive: Boolean(w.is_active),
+        importedBy: w.imported_by_name,
+        importedAt: w.imported_at,
+        createdAt: w.created_at
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Import a watchlist from an uploaded CSV or XML file
+ * Passing watchlistUuid replaces the entries of that list with the file's.
+ */
+const importWatchlist = async (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, message: 'No file uploaded' });
+  }
+
+  const filePath = req.file.path;
+
+  try {
+    const { name, source, listType = 'sanctions', watchlistUuid } = req.body;
+    const ipAddress = getClientIp(req);
+
+    const isXml = path.extname(req.file.originalname || '').toLowerCase() === '.xml' || /xml/.test(req.file.mimetype || '');
+    let parsed;
+    if (isXml) {
+      parsed = entriesFromXml(await fs.promises.readFile(filePath, 'utf8'));
+    } else {
+      const rows = await new Promise((resolve, reject) => {
+        const collected = [];
+        fs.createReadStream(filePath)
+          .pipe(csv())
+          .on('data', (data) => collected.push(data))
+          .on('end', () => resolve(collected))
+          .on('error', reject);
+      });
+      parsed = entriesFromCsvRows(rows);
+    }
+
+    if (parsed.entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file contains no list entries.',
+        data: { errors: parsed.errors }
+      });
+    }
+
+    const connection = await pool.getConnection();
+    let list;
+    try {
+      await connection.beginTransaction();
+
+      if (watchlistUuid) {
+        const [lists] = await connection.query('SELECT * FROM watchlists WHERE uuid = ? FOR UPDATE', [watchlistUuid]);
+        if (lists.length === 0) {
+          await connection.rollback();
+          return res.status(404).json({ success: false, message: 'Watchlist not found.' });
+        }
+        list = lists[0];
+        // Matches go with their entries, so the new version is screened afresh; alerts and blocks stay
+        await connection.query('DELETE FROM watchlist_entries WHERE watchlist_id = ?', [list.id]);
+        await connection.query(
+          'UPDATE watchlists SET entry_count = ?, imported_by = ?, imported_at = NOW() WHERE id = ?',
+          [parsed.entries.length, req.user.id, list.id]
+        );
+      } else {
+        const uuid = uuidv4();
+        const [result] = await connection.query(
+          `INSERT INTO watchlists (uuid, name, source, list_type, entry_count, imported_by, imported_at)
+           VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+          [uuid, name, source || null, listType, parsed.entries.length, req.user.id]
+        );
+        list = { id: result.insertId, uuid, name };
+      }
+
+      for (let i = 0; i < parsed.entries.length; i += INSERT_BATCH_SIZE) {
+        const batch = parsed.entries.slice(i, i + INSERT_BATCH_SIZE);
+        await connection.query(
+          `INSERT INTO watchlist_entries (watchlist_id, external_id, full_name, aliases, date_of_birth, id_numbers, nationality, remarks)
+           VALUES ?`,
+          [batch.map(e => [
+            list.id,
+            e.externalId ? String(e.externalId).slice(0, 100) : null,
+            e.fullName.slice(0, 255),
+            JSON.stringify(e.aliases),
+            e.dateOfBirth ? String(e.dateOfBirth).slice(0, 20) : null,
+            JSON.stringify(e.idNumbers),
+            e.nationality ? String(e.nationality).slice(0, 100) : null,
+            e.remarks || null
+          ])]
+        );
+      }
+
+      await logAudit(
+        req.user.id,
+        watchlistUuid ? 'WATCHLIST_REPLACE' : 'WATCHLIST_IMPORT',
+        'watchlists',
+        list.id,
+        null,
+        { name: list.name, entries: parsed.entries.length, skipped: parsed.errors.length, format: isXml ? 'xml' : 'csv' },
+        ipAddress,
+        'warning',
+        connection
+      );
+
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+
+    res.status(watchlistUuid ? 200 : 201).json({
+      success: true,
+      message: 'Watchlist imported successfully.',
+      data: {
+        uuid: list.uuid,
+        imported: parsed.entries.length,
+        skipped: parsed.errors.length,
+        errors: parsed.errors
+      }
+    });
+  } catch (error) {
+    next(error);
+  } finally {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  }
+};
+
+/**
+ * Activate or deactivate a watchlist
+ */
+const toggleWatchlist = async (req, res, next) => {
+  try {
+    const { uuid } = req.params;
+    const { isActive } = req.body;
+    const ipAddress = getClientIp(req);
+
+    const [lists] = await pool.query('SELECT id, name, is_active FROM watchlists WHERE uuid = ?', [uuid]);
+    if (lists.length === 0) {
+      return res.status(404).json({ success: false, message: 'Watchlist not found.' });
+    }
+
+    await pool.query('UPDATE watchlists SET is_active = ? WHERE id = ?', [isActive, lists[0].id]);
+
+    await logAudit(req.user.id, 'WATCHLIST_TOGGLE', 'watchlists', lists[0].id, { isActive: Boolean(lists[0].is_active) }, { isActive }, ipAddress, 'warning');
+
+    res.json({ success: true, message: `Watchlist ${isActive ? 'activated' : 'deactivated'} successfully.` });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a watchlist with its entries and matches
+ */
+const deleteWatchlist = async (req, res, next) => {
+  try {
+    const { uuid } = req.params;
+    const ipAddress = getClientIp(req);
+
+    const [lists] = await pool.query('SELECT id, name, entry_count FROM watchlists WHERE uuid = ?', [uuid]);
+    if (lists.length === 0) {
+      return res.status(404).json({ success: false, message: 'Watchlist not found.' });
+    }
+
+    await pool.query('DELETE FROM watchlists WHERE id = ?', [lists[0].id]);
+
+    await logAudit(req.user.id, 'WATCHLIST_DELETE', 'watchlists', lists[0].id, { name: lists[0].name, entries: lists[0].entry_count }, null, ipAddress, 'warning');
+
+    res.json({ success: true, message: 'Watchlist deleted successfully.' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the entries of a watchlist
+ */
+const getWatchlistEntries = async (req, res, next) => {
+  try {
+    const { uuid } = req.params;
+    const { page = 1, limit = 50, search } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const [lists] = await pool.query('SELECT id FROM watchlists WHERE uuid = ?', [uuid]);
+    if (lists.length === 0) {
+      return res.status(404).json({ success: false, message: 'Watchlist not found.' });
+    }
+
+    let query = 'SELECT * FROM watchlist_entries WHERE watchlist_id = ?';
+    const params = [lists[0].id];
+
+    if (search) {
+      query += ' AND (full_name LIKE ? OR aliases LIKE ? OR external_id LIKE ?)';
+      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+
+    const countQuery = query.replace('SELECT *', 'SELECT COUNT(*) as total');
+    const [countResult] = await pool.query(countQuery, params);
+    const total = countResult[0].total;
+
+    query += ' ORDER BY full_name LIMIT ? OFFSET ?';
+    params.push(parseInt(limit), offset);
+
+    const [entries] = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: entries.map(e => ({
+        id: e.id,
+        externalId: e.external_id,
+        fullName: e.full_name,
+        aliases: parseJson(e.aliases) || [],
+        dateOfBirth: e.date_of_birth,
+        idNumbers: parseJson(e.id_numbers) || [],
+        nationality: e.nationality,
+        remarks: e.remarks
+      })),
+      pagination: { page: parseInt(page), limit: parseInt(limit), total, totalPages: Math.ceil(total / parseInt(limit)) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get screening matches
+ */
+const getMatches = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, customerUuid } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    let query = `
+      SELECT
+        m.*,
+        e.full_name as listed_name,
+        e.external_id,
+        e.date_of_birth as listed_date_of_birth,
+        e.nationality,
+        w.name as list_name,
+        w.list_type,
+        c.uuid as customer_uuid,
+        c.full_name as customer_name,
+        a.uuid as alert_uuid,
+        u.full_name as reviewed_by_name
+      FROM watchlist_matches m
+      JOIN watchlist_entries e ON m.entry_id = e.id
+      JOIN watchlists w ON e.watchlist_id = w.id
+      LEFT JOIN customers c ON m.customer_id = c.id
+      LEFT JOIN compliance_alerts a ON m.alert_id = a.id
+      LEFT JOIN users u ON m.reviewed_by = u.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (status) { query += ' AND m.status = ?'; params.push(status); }
+    if (customerUuid) { query += ' AND c.uuid = ?'; params.push(customerUuid); }
+
+    const countQuery = query.replace(/SELECT[\s\S]*?FROM/, 'SELECT COUNT(*) as total FROM');
+    const [countResult] = await pool.query(countQuery, params);
+    const total = countResult[0].total;
+
+    query += ' ORDER BY m.created_at DESC LIMIT ? OFFSET ?';
+    params.push(parseInt(limit), offset);
+
+    const [matches] = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      data: matches.map(m => ({
+        uuid: m.uuid,
+        source: m.source,
+        screenedName: m.screened_name,
+        customer: m.customer_uuid ? { uuid: m.customer_uuid, name: m.customer_name } : null,
+        entry: {
+          list: m.list_name,
+          listType: m.list_type,
+          externalId: m.external_id,
+          fullName: m.listed_name,
+          dateOfBirth: m.listed_date_of_birth,
+          nationality: m.nationality
+        },
+        score: m.score,
+        matchedOn: parseJson(m.matched_on) || [],
+        alertUuid: m.alert_uuid,
+        status: m.status,
+        reviewedBy: m.reviewed_by_name,
+        reviewedAt: m.reviewed_at,
+        reviewNotes: m.review_notes,
+        createdAt: m.created_at
+      })),
+      pagination: { page: parseInt(page), limit: parseInt(limit), total, totalPages: Math.ceil(total / parseInt(limit)) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Clear or confirm a screening match
+ * Clearing releases the customer or name for that list entry and closes the alert as a
+ * false positive. Confirming blocks the customer and escalates the alert.
+ */
+const reviewMatch = async (req, res, next) => {
+  const connection = await pool.getConnection();
+  try {
+    const { uuid } = req.params;
+    const { decision, notes } = req.body;
+    const ipAddress = getClientIp(req);
+
+    await connection.beginTransaction();
+
+    const [matches] = await connection.query(`
+      SELECT m.*, e.full_name as listed_name, w.name as list_name
+      FROM watchlist_matches m
+      JOIN watchlist_entries e ON m.entry_id = e.id
+      JOIN watchlists w ON e.watchlist_id = w.id
+      WHERE m.uuid = ?
+      FOR UPDATE
+    `, [uuid]);
+
+    if (matches.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ success: false, message: 'Match not found.' });
+    }
+
+    const match = matches[0];
+    if (match.status !== 'pending') {
+      await connection.rollback();
+      return res.status(400).json({ success: false, message: `Match has already been ${match.status}.` });
+    }
+
+    await connection.query(
+      'UPDATE watchlist_matches SET status = ?, reviewed_by = ?, reviewed_at = NOW(), review_notes = ? WHERE id = ?',
+      [decision, req.user.id, notes || null, match.id]
+    );
+
+    if (match.alert_id) {
+      await connection.query(
+        'UPDATE compliance_alerts SET status = ?, review_notes = ?, reviewed_by = ?, reviewed_at = NOW() WHERE id = ?',
+        [decision === 'cleared' ? 'false_positive' : 'escalated', notes || null, req.user.id, match.alert_id]
+      );
+    }
+
+    if (decision === 'confirmed' && match.customer_id) {
+      await connection.query(
+        'UPDATE customers SET is_blocked = TRUE, block_reason = ? WHERE id = ?',
+        [`Watchlist match: ${match.listed_name} (${match.list_name})`, match.customer_id]
+      );
+    }
+
+    await logAudit(
+      req.user.id,
+      decision === 'cleared' ? 'WATCHLIST_MATCH_CLEAR' : 'WATCHLIST_MATCH_CONFIRM',
+      'watchlist_matches',
+      match.id,
+      { status: match.status },
+      { status: decision, notes, screenedName: match.screened_name, listedName: match.listed_name },
+      ipAddress,
+      'critical',
+      connection
+    );
+
+    await connection.commit();
+
+    if (match.customer_id) {
+      await rescoreCustomer(match.customer_id, { source: 'alert_review', reference: uuid, userId: req.user.id });
+    }
+
+    res.json({ success: true, message: `Match ${decision} successfully.` });
+  } catch (error) {
+    await connection.rollback();
+    next(error);
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Screen a name without recording anything (ad-hoc check)
+ */
+const screenName = async (req, res, next) => {
+  try {
+    const { name, dateOfBirth, idNumber } = req.body;
+
+    const entries = await getActiveEntries(pool);
+    const hits = screen({ name, dateOfBirth, idNumber }, entries);
+
+    res.json({
+      success: true,
+      data: hits.map(hit => ({
+        list: hit.entry.listName,
+        listType: hit.entry.listType,
+        externalId: hit.entry.externalId,
+        fullName: hit.entry.fullName,
+        matchedName: hit.matchedName,
+        dateOfBirth: hit.entry.dateOfBirth,
+        nationality: hit.entry.nationality,
+        score: hit.score,
+        matchedOn: hit.matchedOn
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  screenParty,
+  recordHits,
+  screenCustomer,
+  getWatchlists,
+  importWatchlist,
+  toggleWatchlist,
+  deleteWatchlist,
+  getWatchlistEntries,
+  getMatches,
+  reviewMatch,
+  screenName
+};
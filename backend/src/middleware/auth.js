@@ -6,8 +6,18 @@ const jwt = require('jsonwebtoken');
 const jwtConfig = require('../config/jwt');
 const { pool } = require('../config/database');
 
+/**
+ * Mark a router as open to customer portal tokens.
+ * authenticate rejects customer tokens on every other route.
+ */
+const allowCustomers = (req, res, next) => {
+  req.allowCustomers = true;
+  next();
+};
+
 /**
  * Authenticate user via JWT access token
+ * Staff tokens resolve against users, customer portal tokens against customers
  */
 const authenticate = async (req, res, next) => {
   try {
@@ -34,9 +44,75 @@ const authenticate = async (req, res, next) => {
         });
       }
 
+      if (decoded.role === 'customer') {
+        if (!req.allowCustomers) {
+          return res.status(403).json({
+            success: false,
+            message: 'Access denied. Staff only.'
+          });
+        }
+
+        // Portal tokens name the session that issued them; tokens from before sessions
+        // existed have long expired, so one without a session is not honoured
+        if (!decoded.sid) {
+          return res.status(401).json({
+            success: false,
+            message: 'Invalid token.'
+          });
+        }
+
+        // A revoked portal session invalidates its access tokens straight away
+        const [customers] = await pool.query(
+          `SELECT c.id, c.uuid, c.email, c.full_name, c.is_blocked, crt.id as session_id
+           FROM customers c
+           LEFT JOIN customer_refresh_tokens crt
+             ON crt.customer_id = c.id AND crt.uuid = ? AND crt.revoked_at IS NULL
+           WHERE c.uuid = ?`,
+          [decoded.sid, decoded.uuid]
+        );
+
+        if (customers.length === 0) {
+          return res.status(401).json({
+            success: false,
+            message: 'Customer not found.'
+          });
+        }
+
+        const customer = customers[0];
+
+        if (customer.is_blocked) {
+          return res.status(403).json({
+            success: false,
+            message: 'Account is blocked. Please contact support.'
+          });
+        }
+
+        if (!customer.session_id) {
+          return res.status(401).json({
+            success: false,
+            message: 'Session has been revoked.'
+          });
+        }
+
+        req.user = {
+          id: customer.id,
+          uuid: customer.uuid,
+          email: customer.email,
+          full_name: customer.full_name,
+          role: 'customer',
+          sessionId: decoded.sid,
+          is_active: true
+        };
+        return next();
+      }
+
       // Verify user still exists and is active
       const [users] = await pool.query(
-        'SELECT id, uuid, username, email, full_name, role, is_active FROM users WHERE uuid = ?',
+        `SELECT u.id, u.uuid, u.username, u.email, u.full_name, u.role, u.is_active,
+                u.branch_id, b.uuid as branch_uuid, b.name as branch_name
+         FROM users u
+         LEFT JOIN branches b ON u.branch_id = b.id
+         WHERE u.uuid = ?`,
         [decoded.uuid]
       );
 
@@ -101,34 +177,59 @@ const authorize = (...roles) => {
 
 /**
  * Permission cache to avoid repeated DB queries
- * Cache permissions for 5 minutes
+ * Holds role grants and per-user overrides. Every check compares the cache with the
+ * version in permission_versions, so a change made in any API process is picked up
+ * by all of them on their next request; the TTL is only a safety net.
  */
-let permissionCache = {};
+let permissionCache = null;
 let permissionCacheTime = 0;
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
 /**
- * Load role permissions into cache
+ * Current permission version
+ * @returns {Promise<number>}
  */
-const loadPermissions = async () => {
-  const now = Date.now();
-  if (permissionCache && Object.keys(permissionCache).length > 0 && (now - permissionCacheTime) < CACHE_TTL) {
-    return permissionCache;
-  }
+const getPermissionVersion = async () => {
+  const [versions] = await pool.query('SELECT version FROM permission_versions WHERE id = 1');
+  return versions.length > 0 ? versions[0].version : 0;
+};
 
+/**
+ * Load role permissions and user overrides into cache
+ * @returns {Promise<{version: number, all: Set, roles: Object, users: Object}>}
+ */
+const loadPermissions = async () => {
   try {
+    const version = await getPermissionVersion();
+    const now = Date.now();
+    if (permissionCache && permissionCache.version === version && (now - permissionCacheTime) < CACHE_TTL) {
+      return permissionCache;
+    }
+
+    const [codes] = await pool.query('SELECT code FROM permissions');
     const [rows] = await pool.query(`
       SELECT rp.role, p.code
       FROM role_permissions rp
       JOIN permissions p ON rp.permission_id = p.id
     `);
+    const [overrides] = await pool.query(`
+      SELECT up.user_id, up.granted, p.code
+      FROM user_permissions up
+      JOIN permissions p ON up.permission_id = p.id
+    `);
 
-    const cache = {};
+    const cache = { version, all: new Set(codes.map(c => c.code)), roles: {}, users: {} };
     for (const row of rows) {
-      if (!cache[row.role]) {
-        cache[row.role] = new Set();
+      if (!cache.roles[row.role]) {
+        cache.roles[row.role] = new Set();
       }
-      cache[row.role].add(row.code);
+      cache.roles[row.role].add(row.code);
+    }
+    for (const row of overrides) {
+      if (!cache.users[row.user_id]) {
+        cache.users[row.user_id] = { granted: new Set(), denied: new Set() };
+      }
+      cache.users[row.user_id][row.granted ? 'granted' : 'denied'].add(row.code);
     }
 
     permissionCache = cache;
@@ -136,18 +237,51 @@ const loadPermissions = async () => {
     return cache;
   } catch (error) {
     console.error('Error loading permissions:', error);
-    return permissionCache; // Return stale cache on error
+    // Return stale cache on error
+    return permissionCache || { version: null, all: new Set(), roles: {}, users: {} };
   }
 };
 
 /**
- * Clear permission cache (call when permissions are updated)
+ * Clear this process's permission cache
  */
 const clearPermissionCache = () => {
-  permissionCache = {};
+  permissionCache = null;
   permissionCacheTime = 0;
 };
 
+/**
+ * Invalidate cached permissions in every API process (call after permissions are updated)
+ * Call after the change is committed, or another process may cache the old state
+ * under the new version.
+ */
+const invalidatePermissionCache = async () => {
+  await pool.query('UPDATE permission_versions SET version = version + 1 WHERE id = 1');
+  clearPermissionCache();
+};
+
+/**
+ * Effective permissions of a user from a loaded cache
+ * Admins hold every permission; everyone else gets their role's permissions plus
+ * the ones granted to them, minus the ones denied to them.
+ * @param {Object} cache - From loadPermissions
+ * @param {{id: number, role: string}} user
+ * @returns {Set<string>}
+ */
+const resolvePermissions = (cache, user) => {
+  if (user.role === 'admin') {
+    return new Set(cache.all);
+  }
+
+  const permissions = new Set(cache.roles[user.role] || []);
+  const overrides = cache.users[user.id];
+  if (overrides) {
+    overrides.granted.forEach(code => permissions.add(code));
+    overrides.denied.forEach(code => permissions.delete(code));
+  }
+  return permissions;
+};
+
 /**
  * Require specific permission(s) to access a route
  * @param {...string} permissions - Permission codes required (any one must match)
@@ -168,7 +302,7 @@ const requirePermission = (...permissions) => {
 
     try {
       const cache = await loadPermissions();
-      const userPermissions = cache[req.user.role] || new Set();
+      const userPermissions = resolvePermissions(cache, req.user);
 
       // Check if user has any of the required permissions
       const hasPermission = permissions.some(p => userPermissions.has(p));
@@ -192,17 +326,21 @@ const requirePermission = (...permissions) => {
 };
 
 /**
- * Get all permissions for a user's role
+ * Get the effective permission codes of a user
+ * @param {{id: number, role: string}} user
+ * @returns {Promise<string[]>}
  */
-const getUserPermissions = async (role) => {
+const getUserPermissions = async (user) => {
   const cache = await loadPermissions();
-  return Array.from(cache[role] || []);
+  return Array.from(resolvePermissions(cache, user)).sort();
 };
 
 module.exports = {
+  allowCustomers,
   authenticate,
   authorize,
   requirePermission,
   getUserPermissions,
-  clearPermissionCache
+  clearPermissionCache,
+  invalidatePermissionCache
 };
@@ -0,0 +1,119 @@
+/**
+ * Branch Scope Middleware
+ * Decides which branch a request may read. Admins without a branch can pick
+ * one with branchId (UUID) or leave it out for the consolidated view; everyone
+ * else is pinned to their own branch.
+ */
+const { pool } = require('../config/database');
+
+/**
+ * Resolve req.branchScope = { branchId, branchUuid, branchName } (branchId null = all branches)
+ * Reads branchId from the query string, falling back to the request body.
+ */
+const resolveBranchScope = async (req, res, next) => {
+  try {
+    const requested = req.query.branchId || req.body?.branchId || null;
+    const isConsolidatedUser = req.user.role === 'admin' && !req.user.branch_id;
+
+    if (!isConsolidatedUser) {
+      if (!req.user.branch_id) {
+        return res.status(403).json({
+          success: false,
+          message: 'No branch is assigned to your account.'
+        });
+      }
+
+      if (requested && requested !== req.user.branch_uuid) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own branch.'
+        });
+      }
+    }
+
+    const branchUuid = isConsolidatedUser ? requested : req.user.branch_uuid;
+
+    if (!branchUuid) {
+      req.branchScope = { branchId: null, branchUuid: null, branchName: null };
+      return next();
+    }
+
+    const [branches] = await pool.query(
+      'SELECT id, uuid, name FROM branches WHERE uuid = ?',
+      [branchUuid]
+    );
+
+    if (branches.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found.'
+      });
+    }
+
+    req.branchScope = {
+      branchId: branches[0].id,
+      branchUuid: branches[0].uuid,
+      branchName: branches[0].name
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve a branch UUID to its ID
+ * @returns {Promise<number|null|undefined>} null when no UUID is given, undefined if the branch does not exist
+ */
+const findBranchId = async (branchUuid) => {
+  if (!branchUuid) return null;
+
+  const [branches] = await pool.query(
+    'SELECT id FROM branches WHERE uuid = ? AND is_active = TRUE',
+    [branchUuid]
+  );
+
+  return branches.length > 0 ? branches[0].id : undefined;
+};
+
+/**
+ * Branch a new record belongs to: admins may name any active branch,
+ * everyone else always writes to their own.
+ * @returns {Promise<number|null|undefined>} Same contract as findBranchId
+ */
+const resolveWriteBranch = async (user, branchUuid) => {
+  if (user.role !== 'admin') {
+    return user.branch_id || null;
+  }
+  return branchUuid ? findBranchId(branchUuid) : (user.branch_id || null);
+};
+
+/**
+ * SQL fragment restricting a query to the resolved branch
+ * @param {Object} scope - req.branchScope
+ * @param {string} [column='t.branch_id'] - Qualified branch column
+ * @returns {{sql: string, params: Array}}
+ */
+const branchFilter = (scope, column = 't.branch_id') => {
+  if (!scope || !scope.branchId) {
+    return { sql: '', params: [] };
+  }
+  return { sql: ` AND ${column} = ?`, params: [scope.branchId] };
+};
+
+/**
+ * SQL fragment keeping staff assigned to a branch to that branch's records when
+ * loading one by UUID; admins without a branch reach every branch
+ * @param {Object} user - req.user
+ * @param {string} [column='t.branch_id'] - Qualified branch column
+ * @returns {{sql: string, params: Array}}
+ */
+const ownBranch = (user, column = 't.branch_id') => branchFilter({ branchId: user.branch_id }, column);
+
+module.exports = {
+  resolveBranchScope,
+  findBranchId,
+  resolveWriteBranch,
+  branchFilter,
+  ownBranch
+};
@@ -23,6 +23,12 @@ const errorHandler = (err, req, res, next) => {
     message = err.message;
   }
 
+  // Upload errors (file too large, unexpected field)
+  if (err.name === 'MulterError') {
+    statusCode = 400;
+    message = err.code === 'LIMIT_FILE_SIZE' ? 'File is too large.' : err.message;
+  }
+
   // JWT errors are handled in auth middleware
 
   res.status(statusCode).json({
@@ -8,6 +8,9 @@ const { pool } = require('../config/database');
 // In-memory store for rate limiting (use Redis in production for multi-instance)
 const loginAttempts = new Map();
 
+// Stores of the request limiters below, pruned with the login attempts
+const requestWindows = [];
+
 const RATE_LIMIT_CONFIG = {
   maxAttempts: 5,           // Max failed attempts
   windowMs: 15 * 60 * 1000, // 15 minutes window
@@ -24,6 +27,13 @@ setInterval(() => {
       loginAttempts.delete(key);
     }
   }
+  for (const { requests, windowMs } of requestWindows) {
+    for (const [key, data] of requests.entries()) {
+      if (now - data.windowStart > windowMs) {
+        requests.delete(key);
+      }
+    }
+  }
 }, 60000); // Clean every minute
 
 /**
@@ -207,9 +217,109 @@ const apiRateLimiter = (() => {
   };
 })();
 
+/**
+ * Fixed-window limiter counting every request under a key
+ * @param {Object} options
+ * @param {number} options.max - Requests allowed per key and window
+ * @param {number} options.windowMs
+ * @param {function(Object): ?string} options.keyFor - Key of a request; null lets it through
+ * @param {string} options.message
+ * @returns {Function} Express middleware
+ */
+const createRequestLimiter = ({ max, windowMs, keyFor, message }) => {
+  const requests = new Map();
+  requestWindows.push({ requests, windowMs });
+
+  return (req, res, next) => {
+    const key = keyFor(req);
+    if (!key) {
+      return next();
+    }
+
+    const now = Date.now();
+    let data = requests.get(key);
+    if (!data || now - data.windowStart > windowMs) {
+      data = { count: 0, windowStart: now };
+    }
+
+    data.count++;
+    requests.set(key, data);
+
+    if (data.count > max) {
+      return res.status(429).json({
+        success: false,
+        message,
+        retryAfter: Math.ceil((data.windowStart + windowMs - now) / 1000)
+      });
+    }
+
+    next();
+  };
+};
+
+const ipKey = (req) => req.headers['x-forwarded-for']?.split(',')[0] ||
+  req.connection?.remoteAddress || req.ip;
+
+// Runs before validation, so the address is normalised here
+const emailKey = (req) => (typeof req.body?.email === 'string' && req.body.email.trim()
+  ? req.body.email.trim().toLowerCase()
+  : null);
+
+/**
+ * Customer portal sign-in: per address and per account, so neither guessing one
+ * password nor spraying many accounts from one address gets far
+ */
+const portalLoginRateLimiter = [
+  createRequestLimiter({
+    max: 30,
+    windowMs: 15 * 60 * 1000,
+    keyFor: ipKey,
+    message: 'Too many login attempts. Please try again later.'
+  }),
+  createRequestLimiter({
+    max: 10,
+    windowMs: 15 * 60 * 1000,
+    keyFor: emailKey,
+    message: 'Too many login attempts. Please try again later.'
+  })
+];
+
+/**
+ * Customer password reset requests: each one emails the customer and replaces
+ * their outstanding link, so an account gets only a few per hour
+ */
+const passwordResetRateLimiter = [
+  createRequestLimiter({
+    max: 10,
+    windowMs: 60 * 60 * 1000,
+    keyFor: ipKey,
+    message: 'Too many password reset requests. Please try again later.'
+  }),
+  createRequestLimiter({
+    max: 3,
+    windowMs: 60 * 60 * 1000,
+    keyFor: emailKey,
+    message: 'Too many password reset requests. Please try again later.'
+  })
+];
+
+/**
+ * Setting a password with an emailed token (guards against token guessing)
+ */
+const setPasswordRateLimiter = createRequestLimiter({
+  max: 10,
+  windowMs: 15 * 60 * 1000,
+  keyFor: ipKey,
+  message: 'Too many attempts. Please try again later.'
+});
+
 module.exports = {
   loginRateLimiter,
   recordFailedLogin,
   recordSuccessfulLogin,
-  apiRateLimiter
+  apiRateLimiter,
+  createRequestLimiter,
+  portalLoginRateLimiter,
+  passwordResetRateLimiter,
+  setPasswordRateLimiter
 };
@@ -6,12 +6,12 @@ const express = require('express');
 const { query, param } = require('express-validator');
 const router = express.Router();
 const auditController = require('../controllers/auditController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validate } = require('../middleware/validator');
 
 // All routes require authentication and admin/manager role
 router.use(authenticate);
-router.use(authorize('admin'));
+router.use(requirePermission('audit.view'));
 
 /**
  * @swagger
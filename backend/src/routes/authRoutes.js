@@ -6,6 +6,7 @@ const express = require('express');
 const { body } = require('express-validator');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
 const { authenticate } = require('../middleware/auth');
 const { validate } = require('../middleware/validator');
 const { loginRateLimiter } = require('../middleware/rateLimiter');
@@ -15,6 +16,10 @@ const { loginRateLimiter } = require('../middleware/rateLimiter');
  * /auth/login:
  *   post:
  *     summary: User login
+ *     description: |
+ *       Users with two-factor authentication, or whose role requires it, receive
+ *       twoFactorRequired or twoFactorSetupRequired with a challengeToken instead of
+ *       tokens, and finish signing in at /auth/2fa/verify.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -64,6 +69,86 @@ router.post(
   authController.login
 );
 
+/**
+ * @swagger
+ * /auth/2fa/verify:
+ *   post:
+ *     summary: Second login step - verify a two-factor code
+ *     description: |
+ *       Exchanges the login challenge and a code from the authenticator app (or a recovery
+ *       code) for tokens. For a setup challenge the first valid code enables two-factor
+ *       authentication and the response includes the recovery codes.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               recoveryCode:
+ *                 type: string
+ *                 example: 'A1B2C-3D4E5'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       429:
+ *         description: Too many login attempts
+ */
+router.post(
+  '/2fa/verify',
+  [
+    body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+    body('code').optional().matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+    body('recoveryCode').optional().isString().isLength({ max: 20 }).withMessage('Invalid recovery code'),
+    body().custom((value) => Boolean(value.code || value.recoveryCode)).withMessage('Code or recovery code is required')
+  ],
+  validate,
+  authController.resolveTwoFactorChallenge,
+  loginRateLimiter,
+  authController.verifyTwoFactor
+);
+
+/**
+ * @swagger
+ * /auth/2fa/enroll:
+ *   post:
+ *     summary: Start two-factor setup during login (roles that require it)
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret, otpauth URL and QR code (data URL) to scan
+ *       401:
+ *         description: Expired challenge
+ */
+router.post(
+  '/2fa/enroll',
+  [body('challengeToken').notEmpty().withMessage('Challenge token is required')],
+  validate,
+  authController.resolveTwoFactorChallenge,
+  authController.startLoginEnrollment
+);
+
 /**
  * @swagger
  * /auth/refresh:
@@ -215,4 +300,142 @@ router.put(
   authController.changePassword
 );
 
+/**
+ * @swagger
+ * /auth/2fa:
+ *   get:
+ *     summary: Get own two-factor status
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether two-factor is enabled or required, and recovery codes left
+ */
+router.get('/2fa', authenticate, twoFactorController.getStatus);
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor setup
+ *     description: Returns a new secret and QR code. Two-factor is enabled once a code is confirmed at /auth/2fa/enable.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret, otpauth URL and QR code (data URL) to scan
+ *       400:
+ *         description: Already enabled
+ */
+router.post('/2fa/setup', authenticate, twoFactorController.setup);
+
+/**
+ * @swagger
+ * /auth/2fa/enable:
+ *   post:
+ *     summary: Confirm a code and enable two-factor
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Enabled; the response lists the recovery codes once
+ *       400:
+ *         description: Invalid code or setup not started
+ */
+router.post(
+  '/2fa/enable',
+  authenticate,
+  [body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits')],
+  validate,
+  twoFactorController.enable
+);
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor
+ *     description: Not allowed when the user's role requires two-factor authentication.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Disabled
+ *       400:
+ *         description: Invalid password or code
+ *       403:
+ *         description: Required for the user's role
+ */
+router.post(
+  '/2fa/disable',
+  authenticate,
+  [
+    body('password').notEmpty().withMessage('Password is required'),
+    body().custom((value) => Boolean(value.code || value.recoveryCode)).withMessage('Code or recovery code is required')
+  ],
+  validate,
+  twoFactorController.disable
+);
+
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace recovery codes
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes, listed once
+ */
+router.post(
+  '/2fa/recovery-codes',
+  authenticate,
+  [body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits')],
+  validate,
+  twoFactorController.regenerateRecoveryCodes
+);
+
 module.exports = router;
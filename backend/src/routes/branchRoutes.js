@@ -0,0 +1,168 @@
+/**
+ * Branch Routes
+ * Branch (location) management; any authenticated user may list branches
+ */
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const router = express.Router();
+const branchController = require('../controllers/branchController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validator');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /branches:
+ *   get:
+ *     summary: Get all branches
+ *     tags: [Branches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *     responses:
+ *       200:
+ *         description: List of branches with active user and drawer counts
+ */
+router.get(
+  '/',
+  requirePermission('branches.view'),
+  [
+    query('active').optional().isBoolean().withMessage('Active must be boolean')
+  ],
+  validate,
+  branchController.getBranches
+);
+
+/**
+ * @swagger
+ * /branches:
+ *   post:
+ *     summary: Create branch (admin only)
+ *     tags: [Branches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - name
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 maxLength: 20
+ *                 description: Short unique code, stored upper-case
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               address:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Branch created
+ *       409:
+ *         description: Branch code already in use
+ */
+router.post(
+  '/',
+  requirePermission('branches.manage'),
+  [
+    body('code')
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{2,20}$/)
+      .withMessage('Code must be 2-20 letters, numbers, dashes or underscores'),
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be 2-100 characters'),
+    body('address')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Address must be max 255 characters'),
+    body('phone')
+      .optional()
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage('Phone must be max 30 characters')
+  ],
+  validate,
+  branchController.createBranch
+);
+
+/**
+ * @swagger
+ * /branches/{uuid}:
+ *   put:
+ *     summary: Update branch (admin only)
+ *     tags: [Branches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Branch updated
+ *       400:
+ *         description: Branch still has active shifts
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put(
+  '/:uuid',
+  requirePermission('branches.manage'),
+  [
+    param('uuid').isUUID().withMessage('Invalid branch ID'),
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be 2-100 characters'),
+    body('address')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Address must be max 255 characters'),
+    body('phone')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 30 })
+      .withMessage('Phone must be max 30 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ],
+  validate,
+  branchController.updateBranch
+);
+
+module.exports = router;
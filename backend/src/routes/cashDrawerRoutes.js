@@ -6,7 +6,7 @@ const express = require('express');
 const { body, query } = require('express-validator');
 const router = express.Router();
 const cashDrawerController = require('../controllers/cashDrawerController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validate } = require('../middleware/validator');
 
 // All routes require authentication
@@ -26,6 +26,11 @@ router.use(authenticate);
  *         schema:
  *           type: boolean
  *         description: Filter by active status
+ *       - in: query
+ *         name: available
+ *         schema:
+ *           type: boolean
+ *         description: Only drawers the current user may open a shift on (shared or assigned to them)
  *     responses:
  *       200:
  *         description: List of cash drawers
@@ -43,8 +48,10 @@ router.use(authenticate);
  */
 router.get(
   '/',
+  requirePermission('cash_drawer.view'),
   [
-    query('active').optional().isBoolean().withMessage('Active must be boolean')
+    query('active').optional().isBoolean().withMessage('Active must be boolean'),
+    query('available').optional().isBoolean().withMessage('Available must be boolean')
   ],
   validate,
   cashDrawerController.getDrawers
@@ -62,7 +69,239 @@ router.get(
  *       200:
  *         description: Low balance alerts
  */
-router.get('/alerts', cashDrawerController.getLowBalanceAlerts);
+router.get('/alerts', requirePermission('cash_drawer.view'), cashDrawerController.getLowBalanceAlerts);
+
+/**
+ * @swagger
+ * /cash-drawers/transfers:
+ *   get:
+ *     summary: List drawer-to-drawer transfers
+ *     tags: [Cash Drawers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, completed, cancelled]
+ *         description: pending transfers are in transit
+ *       - in: query
+ *         name: drawerUuid
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Transfers leaving or arriving at this drawer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of transfers
+ */
+router.get(
+  '/transfers',
+  requirePermission('cash_drawer.view'),
+  [
+    query('status').optional().isIn(['pending', 'completed', 'cancelled']).withMessage('Invalid status'),
+    query('drawerUuid').optional().isUUID().withMessage('Invalid drawer ID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100')
+  ],
+  validate,
+  cashDrawerController.getTransfers
+);
+
+/**
+ * @swagger
+ * /cash-drawers/transfers:
+ *   post:
+ *     summary: Initiate a transfer between drawers
+ *     description: Debits the source drawer with a transfer_out ledger entry and holds the funds in transit until the destination confirms receipt.
+ *     tags: [Cash Drawers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fromDrawerUuid
+ *               - toDrawerUuid
+ *               - currencyId
+ *               - amount
+ *             properties:
+ *               fromDrawerUuid:
+ *                 type: string
+ *                 format: uuid
+ *               toDrawerUuid:
+ *                 type: string
+ *                 format: uuid
+ *               currencyId:
+ *                 type: integer
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Transfer initiated
+ *       400:
+ *         description: Same drawer or insufficient balance
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post(
+  '/transfers',
+  requirePermission('cash_drawer.transfer'),
+  [
+    body('fromDrawerUuid')
+      .isUUID()
+      .withMessage('Valid source drawer is required'),
+    body('toDrawerUuid')
+      .isUUID()
+      .withMessage('Valid destination drawer is required'),
+    body('currencyId')
+      .isInt({ min: 1 })
+      .withMessage('Valid currency ID is required'),
+    body('amount')
+      .isFloat({ min: 0.01 })
+      .withMessage('Amount must be a positive number'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes must be max 500 characters')
+  ],
+  validate,
+  cashDrawerController.createTransfer
+);
+
+/**
+ * @swagger
+ * /cash-drawers/transfers/{uuid}/receive:
+ *   post:
+ *     summary: Confirm receipt of an in-transit transfer
+ *     description: Credits the destination drawer with a transfer_in ledger entry and completes the transfer.
+ *     tags: [Cash Drawers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Transfer received
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Transfer is no longer pending
+ */
+router.post('/transfers/:uuid/receive', requirePermission('cash_drawer.transfer'), cashDrawerController.receiveTransfer);
+
+/**
+ * @swagger
+ * /cash-drawers/transfers/{uuid}/cancel:
+ *   post:
+ *     summary: Cancel an in-transit transfer
+ *     description: Returns the funds to the source drawer. Allowed for the initiator, managers and admins.
+ *     tags: [Cash Drawers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 255
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       409:
+ *         description: Transfer is no longer pending
+ */
+router.post(
+  '/transfers/:uuid/cancel',
+  requirePermission('cash_drawer.transfer'),
+  [
+    body('reason')
+      .trim()
+      .isLength({ min: 3, max: 255 })
+      .withMessage('Reason must be 3-255 characters')
+  ],
+  validate,
+  cashDrawerController.cancelTransfer
+);
+
+/**
+ * @swagger
+ * /cash-drawers/ledger/verify:
+ *   get:
+ *     summary: Verify every drawer ledger against stored balances (admin only)
+ *     description: Replays cash_drawer_transactions per drawer and currency and reports balances that do not match, plus rows whose balance_before does not follow the previous row's balance_after.
+ *     tags: [Cash Drawers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification results per drawer and currency
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/ledger/verify', requirePermission('cash_drawer.manage'), cashDrawerController.verifyLedger);
+
+/**
+ * @swagger
+ * /cash-drawers/{uuid}/ledger/verify:
+ *   get:
+ *     summary: Verify one drawer's ledger against its stored balances (admin only)
+ *     tags: [Cash Drawers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Verification results per currency
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:uuid/ledger/verify', requirePermission('cash_drawer.manage'), cashDrawerController.verifyLedger);
 
 /**
  * @swagger
@@ -85,7 +324,7 @@ router.get('/alerts', cashDrawerController.getLowBalanceAlerts);
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.get('/:uuid', cashDrawerController.getDrawer);
+router.get('/:uuid', requirePermission('cash_drawer.view'), cashDrawerController.getDrawer);
 
 /**
  * @swagger
@@ -114,6 +353,18 @@ router.get('/:uuid', cashDrawerController.getDrawer);
  *               lowBalanceAlert:
  *                 type: number
  *                 minimum: 0
+ *               assignedTo:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: UUID of the teller who works this drawer
+ *               isShared:
+ *                 type: boolean
+ *                 description: Any teller may open a shift on a shared drawer
+ *               branchId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Branch the drawer belongs to (defaults to the admin's own branch)
  *     responses:
  *       201:
  *         description: Cash drawer created
@@ -122,7 +373,7 @@ router.get('/:uuid', cashDrawerController.getDrawer);
  */
 router.post(
   '/',
-  authorize('admin'),
+  requirePermission('cash_drawer.manage'),
   [
     body('name')
       .trim()
@@ -136,7 +387,19 @@ router.post(
     body('lowBalanceAlert')
       .optional()
       .isFloat({ min: 0 })
-      .withMessage('Low balance alert must be a positive number')
+      .withMessage('Low balance alert must be a positive number'),
+    body('assignedTo')
+      .optional({ nullable: true, checkFalsy: true })
+      .isUUID()
+      .withMessage('Assigned user must be a valid user ID'),
+    body('isShared')
+      .optional()
+      .isBoolean()
+      .withMessage('isShared must be boolean'),
+    body('branchId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid branch ID')
   ],
   validate,
   cashDrawerController.createDrawer
@@ -171,6 +434,15 @@ router.post(
  *                 type: boolean
  *               lowBalanceAlert:
  *                 type: number
+ *               assignedTo:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *               isShared:
+ *                 type: boolean
+ *               branchId:
+ *                 type: string
+ *                 format: uuid
  *     responses:
  *       200:
  *         description: Cash drawer updated
@@ -179,7 +451,7 @@ router.post(
  */
 router.put(
   '/:uuid',
-  authorize('admin'),
+  requirePermission('cash_drawer.manage'),
   [
     body('name')
       .optional()
@@ -198,7 +470,19 @@ router.put(
     body('lowBalanceAlert')
       .optional()
       .isFloat({ min: 0 })
-      .withMessage('Low balance alert must be a positive number')
+      .withMessage('Low balance alert must be a positive number'),
+    body('assignedTo')
+      .optional({ nullable: true, checkFalsy: true })
+      .isUUID()
+      .withMessage('Assigned user must be a valid user ID'),
+    body('isShared')
+      .optional()
+      .isBoolean()
+      .withMessage('isShared must be boolean'),
+    body('branchId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid branch ID')
   ],
   validate,
   cashDrawerController.updateDrawer
@@ -242,6 +526,7 @@ router.put(
  */
 router.post(
   '/:uuid/deposit',
+  requirePermission('cash_drawer.deposit'),
   [
     body('currencyId')
       .isInt({ min: 1 })
@@ -299,6 +584,7 @@ router.post(
  */
 router.post(
   '/:uuid/withdraw',
+  requirePermission('cash_drawer.withdraw'),
   [
     body('currencyId')
       .isInt({ min: 1 })
@@ -359,7 +645,7 @@ router.post(
  */
 router.post(
   '/:uuid/adjust',
-  authorize('admin'),
+  requirePermission('cash_drawer.manage'),
   [
     body('currencyId')
       .isInt({ min: 1 })
@@ -407,7 +693,7 @@ router.post(
  *         name: type
  *         schema:
  *           type: string
- *           enum: [deposit, withdrawal, adjustment, transaction_in, transaction_out]
+ *           enum: [deposit, withdrawal, adjustment, transaction_in, transaction_out, transfer_in, transfer_out]
  *       - in: query
  *         name: startDate
  *         schema:
@@ -424,11 +710,12 @@ router.post(
  */
 router.get(
   '/:uuid/history',
+  requirePermission('cash_drawer.view'),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
     query('currencyId').optional().isInt({ min: 1 }).withMessage('Invalid currency ID'),
-    query('type').optional().isIn(['deposit', 'withdrawal', 'adjustment', 'transaction_in', 'transaction_out']).withMessage('Invalid type'),
+    query('type').optional().isIn(['deposit', 'withdrawal', 'adjustment', 'transaction_in', 'transaction_out', 'transfer_in', 'transfer_out']).withMessage('Invalid type'),
     query('startDate').optional().isDate().withMessage('Invalid start date'),
     query('endDate').optional().isDate().withMessage('Invalid end date')
   ],
@@ -474,6 +761,7 @@ router.get(
  */
 router.post(
   '/:uuid/reconcile',
+  requirePermission('cash_drawer.reconcile'),
   [
     body('currencyId')
       .isInt({ min: 1 })
@@ -509,7 +797,7 @@ router.post(
  *       200:
  *         description: Drawer status retrieved
  */
-router.get('/:id/status', cashDrawerController.getDrawerStatus);
+router.get('/:id/status', requirePermission('cash_drawer.view'), cashDrawerController.getDrawerStatus);
 
 /**
  * @swagger
@@ -544,6 +832,7 @@ router.get('/:id/status', cashDrawerController.getDrawerStatus);
  */
 router.post(
   '/:drawerId/close',
+  requirePermission('cash_drawer.reconcile'),
   [
     body('actualBalances').isArray().withMessage('Actual balances must be an array'),
     body('notes').optional().isString()
@@ -5,9 +5,27 @@
 const express = require('express');
 const { body, query } = require('express-validator');
 const router = express.Router();
+const multer = require('multer');
 const complianceController = require('../controllers/complianceController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validate } = require('../middleware/validator');
+const companyConfig = require('../config/company');
+
+const ATTACHMENT_TYPES = /^(image\/.+|application\/pdf|text\/plain)$/;
+const attachmentUpload = multer({
+  dest: companyConfig.sar.attachmentDir,
+  limits: { fileSize: companyConfig.sar.maxAttachmentMb * 1024 * 1024 },
+  fileFilter: (req, file, cb) => cb(null, ATTACHMENT_TYPES.test(file.mimetype))
+});
+
+// SAR fields beyond the narrative, shared by create and update
+const sarDetailValidators = [
+  body('suspicionType').optional().isIn(['structuring', 'sanctions', 'fraud', 'terrorist_financing', 'identity', 'unusual_activity', 'other']).withMessage('Invalid suspicion type'),
+  body('activityFrom').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid activity start date'),
+  body('activityTo').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid activity end date')
+    .custom((value, { req }) => !req.body.activityFrom || value >= req.body.activityFrom).withMessage('Activity end must not be before its start'),
+  body('actionTaken').optional({ nullable: true }).trim().isLength({ max: 2000 }).withMessage('Action taken must be at most 2000 chars')
+];
 
 // All routes require authentication
 router.use(authenticate);
@@ -40,7 +58,7 @@ router.use(authenticate);
  *                     highRiskCustomers:
  *                       type: integer
  */
-router.get('/dashboard', complianceController.getDashboardStats);
+router.get('/dashboard', requirePermission('compliance.view'), complianceController.getDashboardStats);
 
 /**
  * @swagger
@@ -62,6 +80,7 @@ router.get('/dashboard', complianceController.getDashboardStats);
  */
 router.get(
   '/rules',
+  requirePermission('compliance.view'),
   [query('active').optional().isBoolean().withMessage('Active must be boolean')],
   validate,
   complianceController.getRules
@@ -114,7 +133,7 @@ router.get(
  */
 router.post(
   '/rules',
-  authorize('admin'),
+  requirePermission('compliance.manage'),
   [
     body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
     body('description').optional().trim().isLength({ max: 500 }).withMessage('Description max 500 chars'),
@@ -167,7 +186,7 @@ router.post(
  */
 router.put(
   '/rules/:uuid',
-  authorize('admin'),
+  requirePermission('compliance.manage'),
   [
     body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
     body('thresholdAmount').optional().isFloat({ min: 0 }).withMessage('Threshold must be non-negative'),
@@ -197,13 +216,14 @@ router.put(
  *       200:
  *         description: Rule status toggled
  */
-router.post('/rules/:uuid/toggle', authorize('admin'), complianceController.toggleRule);
+router.post('/rules/:uuid/toggle', requirePermission('compliance.manage'), complianceController.toggleRule);
 
 /**
  * @swagger
  * /compliance/alerts:
  *   get:
  *     summary: Get compliance alerts with filters
+ *     description: suspicious_pattern alerts list every transaction making up the pattern in linkedTransactions.
  *     tags: [Compliance]
  *     security:
  *       - bearerAuth: []
@@ -229,6 +249,11 @@ router.post('/rules/:uuid/toggle', authorize('admin'), complianceController.togg
  *           type: string
  *           enum: [low, medium, high, critical]
  *       - in: query
+ *         name: customerUuid
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -257,12 +282,14 @@ router.post('/rules/:uuid/toggle', authorize('admin'), complianceController.togg
  */
 router.get(
   '/alerts',
+  requirePermission('compliance.view'),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
     query('status').optional().isIn(['pending', 'reviewed', 'escalated', 'resolved', 'false_positive']).withMessage('Invalid status'),
     query('severity').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid severity'),
     query('alertType').optional().isString().withMessage('Invalid alert type'),
+    query('customerUuid').optional().isUUID().withMessage('Invalid customer UUID'),
     query('startDate').optional().isDate().withMessage('Invalid start date'),
     query('endDate').optional().isDate().withMessage('Invalid end date')
   ],
@@ -270,6 +297,55 @@ router.get(
   complianceController.getAlerts
 );
 
+/**
+ * @swagger
+ * /compliance/alerts/bulk/review:
+ *   post:
+ *     summary: Review several compliance alerts with the same outcome
+ *     tags: [Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - uuids
+ *               - status
+ *             properties:
+ *               uuids:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               status:
+ *                 type: string
+ *                 enum: [reviewed, escalated, resolved, false_positive]
+ *               notes:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Alerts reviewed; lists updated and unknown UUIDs
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post(
+  '/alerts/bulk/review',
+  requirePermission('compliance.review'),
+  [
+    body('uuids').isArray({ min: 1, max: 100 }).withMessage('UUIDs array is required (max 100)'),
+    body('uuids.*').isUUID().withMessage('Each UUID must be valid'),
+    body('status').isIn(['reviewed', 'escalated', 'resolved', 'false_positive']).withMessage('Invalid status'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes max 1000 chars')
+  ],
+  validate,
+  complianceController.bulkReviewAlerts
+);
+
 /**
  * @swagger
  * /compliance/alerts/{uuid}/review:
@@ -308,6 +384,7 @@ router.get(
  */
 router.post(
   '/alerts/:uuid/review',
+  requirePermission('compliance.review'),
   [
     body('status').isIn(['reviewed', 'escalated', 'resolved', 'false_positive']).withMessage('Invalid status'),
     body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes max 1000 chars')
@@ -337,7 +414,30 @@ router.post(
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.get('/customers/:uuid/risk', complianceController.getCustomerRiskProfile);
+router.get('/customers/:uuid/risk', requirePermission('compliance.view'), complianceController.getCustomerRiskProfile);
+
+/**
+ * @swagger
+ * /compliance/customers/{uuid}/risk/recalculate:
+ *   post:
+ *     summary: Recompute a customer's risk score from the current factors
+ *     tags: [Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: New score and level with the factor breakdown
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/customers/:uuid/risk/recalculate', requirePermission('compliance.review'), complianceController.recalculateRiskScore);
 
 /**
  * @swagger
@@ -374,6 +474,7 @@ router.get('/customers/:uuid/risk', complianceController.getCustomerRiskProfile)
  */
 router.get(
   '/sars',
+  requirePermission('compliance.view'),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
@@ -420,23 +521,433 @@ router.get(
  *               riskLevel:
  *                 type: string
  *                 enum: [low, medium, high]
+ *               suspicionType:
+ *                 type: string
+ *                 enum: [structuring, sanctions, fraud, terrorist_financing, identity, unusual_activity, other]
+ *               activityFrom:
+ *                 type: string
+ *                 format: date
+ *               activityTo:
+ *                 type: string
+ *                 format: date
+ *               actionTaken:
+ *                 type: string
  *     responses:
  *       201:
- *         description: SAR created
+ *         description: SAR created with its report number
  *       400:
  *         description: Validation error
  */
 router.post(
   '/sars',
+  requirePermission('compliance.review'),
   [
     body('customerUuid').optional().isUUID().withMessage('Invalid customer UUID'),
     body('alertUuids').optional().isArray().withMessage('Alert UUIDs must be array'),
     body('transactionUuids').optional().isArray().withMessage('Transaction UUIDs must be array'),
     body('description').trim().isLength({ min: 10, max: 5000 }).withMessage('Description must be 10-5000 chars'),
-    body('riskLevel').isIn(['low', 'medium', 'high']).withMessage('Invalid risk level')
+    body('riskLevel').isIn(['low', 'medium', 'high']).withMessage('Invalid risk level'),
+    ...sarDetailValidators
   ],
   validate,
   complianceController.createSAR
 );
 
+/**
+ * @swagger
+ * /compliance/sars/{uuid}:
+ *   get:
+ *     summary: Get a SAR with its transactions, alerts, attachments and status history
+ *     tags: [Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: SAR details
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/sars/:uuid', requirePermission('compliance.view'), complianceController.getSAR);
+
+/**
+ * @swagger
+ * /compliance/sars/{uuid}:
+ *   put:
+ *     summary: Update a draft SAR
+ *     tags: [Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               customerUuid:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *               alertUuids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               transactionUuids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               riskLevel:
+ *                 type: string
+ *                 enum: [low, medium, high]
+ *               suspicionType:
+ *                 type: string
+ *                 enum: [structuring, sanctions, fraud, terrorist_financing, identity, unusual_activity, other]
+ *               activityFrom:
+ *                 type: string
+ *                 format: date
+ *               activityTo:
+ *                 type: string
+ *                 format: date
+ *               actionTaken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: SAR updated
+ *       400:
+ *         description: Validation error or the report is not a draft
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put(
+  '/sars/:uuid',
+  requirePermission('compliance.review'),
+  [
+    body('customerUuid').optional({ nullable: true, checkFalsy: true }).isUUID().withMessage('Invalid customer UUID'),
+    body('alertUuids').optional().isArray().withMessage('Alert UUIDs must be array'),
+    body('transactionUuids').optional().isArray().withMessage('Transaction UUIDs must be array'),
+    body('description').optional().trim().isLength({ min: 10, max: 5000 }).withMessage('Description must be 10-5000 chars'),
+    body('riskLevel').optional().isIn(['low', 'medium', 'high']).withMessage('Invalid risk level'),
+    ...sarDetailValidators
+  ],
+  validate,
+  complianceController.updateSAR
+);
+
+/**
+ * @swagger
+ * /compliance/sars/{uuid}/submit:
+ *   post:
+ *     summary: Submit a draft SAR for review
+ *     tags: [Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: SAR submitted
+ *       400:
+ *         description: The report is not a draft
+ */
+router.post(
+  '/sars/:uuid/submit',
+  requirePermission('compliance.review'),
+  [body('notes').optional().trim().isLength({ max: 2000 }).withMessage('Notes must be at most 2000 chars')],
+  validate,
+  complianceController.submitSAR
+);
+
+/**
+ * @swagger
+ * /compliance/sars/{uuid}/start-review:
+ *   post:
+ *     summary: Take a submitted SAR into review
+ *     tags: [Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: SAR under review
+ *       400:
+ *         description: The report is not submitted
+ */
+router.post(
+  '/sars/:uuid/start-review',
+  requirePermission('compliance.manage'),
+  [body('notes').optional().trim().isLength({ max: 2000 }).withMessage('Notes must be at most 2000 chars')],
+  validate,
+  complianceController.startSARReview
+);
+
+/**
+ * @swagger
+ * /compliance/sars/{uuid}/return:
+ *   post:
+ *     summary: Return a submitted or reviewed SAR to draft for changes
+ *     tags: [Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notes
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 description: What needs to change
+ *     responses:
+ *       200:
+ *         description: SAR returned to draft
+ *       400:
+ *         description: Validation error or the report cannot be returned
+ */
+router.post(
+  '/sars/:uuid/return',
+  requirePermission('compliance.manage'),
+  [body('notes').trim().isLength({ min: 3, max: 2000 }).withMessage('Notes are required (3-2000 chars)')],
+  validate,
+  complianceController.returnSAR
+);
+
+/**
+ * @swagger
+ * /compliance/sars/{uuid}/sign-off:
+ *   post:
+ *     summary: Sign off a SAR under review and close it
+ *     description: The reviewer must not be the person who drafted or submitted the report.
+ *     tags: [Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notes
+ *               - outcome
+ *             properties:
+ *               notes:
+ *                 type: string
+ *               outcome:
+ *                 type: string
+ *                 enum: [filed, not_filed]
+ *               fiuReference:
+ *                 type: string
+ *                 description: Acknowledgement number of the filing
+ *     responses:
+ *       200:
+ *         description: SAR closed
+ *       400:
+ *         description: Validation error, wrong status or same person as the author
+ */
+router.post(
+  '/sars/:uuid/sign-off',
+  requirePermission('compliance.manage'),
+  [
+    body('notes').trim().isLength({ min: 3, max: 2000 }).withMessage('Review notes are required (3-2000 chars)'),
+    body('outcome').isIn(['filed', 'not_filed']).withMessage('Outcome must be filed or not_filed'),
+    body('fiuReference').optional({ checkFalsy: true }).trim().isLength({ max: 100 }).withMessage('FIU reference must be at most 100 chars')
+  ],
+  validate,
+  complianceController.signOffSAR
+);
+
+/**
+ * @swagger
+ * /compliance/sars/{uuid}/attachments:
+ *   post:
+ *     summary: Attach a supporting document (ID scan, CCTV notes) to a SAR
+ *     tags: [Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image, PDF or text file
+ *               category:
+ *                 type: string
+ *                 enum: [id_scan, cctv, statement, correspondence, other]
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Document attached
+ *       400:
+ *         description: Missing or unsupported file, or the report is closed
+ */
+router.post(
+  '/sars/:uuid/attachments',
+  requirePermission('compliance.review'),
+  attachmentUpload.single('file'),
+  [
+    body('category').optional().isIn(['id_scan', 'cctv', 'statement', 'correspondence', 'other']).withMessage('Invalid category'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description must be at most 500 chars')
+  ],
+  validate,
+  complianceController.uploadSARAttachment
+);
+
+/**
+ * @swagger
+ * /compliance/sars/{uuid}/attachments/{attachmentUuid}:
+ *   get:
+ *     summary: Download a SAR attachment
+ *     tags: [Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: attachmentUuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The file
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     summary: Remove an attachment from a draft SAR
+ *     tags: [Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: attachmentUuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Attachment removed
+ *       400:
+ *         description: The report is not a draft
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/sars/:uuid/attachments/:attachmentUuid', requirePermission('compliance.view'), complianceController.downloadSARAttachment);
+router.delete('/sars/:uuid/attachments/:attachmentUuid', requirePermission('compliance.review'), complianceController.deleteSARAttachment);
+
+/**
+ * @swagger
+ * /compliance/sars/{uuid}/export:
+ *   get:
+ *     summary: Export the FIU filing package of a SAR
+ *     description: json and xml give the structured filing; pdf gives the narrative report.
+ *     tags: [Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, xml, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Filing package file
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get(
+  '/sars/:uuid/export',
+  requirePermission('compliance.review'),
+  [query('format').optional().isIn(['json', 'xml', 'pdf']).withMessage('Format must be json, xml or pdf')],
+  validate,
+  complianceController.exportSAR
+);
+
 module.exports = router;
@@ -3,10 +3,11 @@
  * Production-ready with exchange rate history tracking
  */
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, query, param } = require('express-validator');
 const router = express.Router();
 const currencyController = require('../controllers/currencyController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { resolveBranchScope } = require('../middleware/branchScope');
 const { validate } = require('../middleware/validator');
 
 // All routes require authentication
@@ -37,7 +38,7 @@ router.use(authenticate);
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/', currencyController.getCurrencies);
+router.get('/', requirePermission('currencies.view'), currencyController.getCurrencies);
 
 /**
  * @swagger
@@ -87,7 +88,7 @@ router.get('/', currencyController.getCurrencies);
  */
 router.post(
   '/',
-  authorize('admin'),
+  requirePermission('currencies.manage'),
   [
     body('code')
       .trim()
@@ -106,6 +107,159 @@ router.post(
   currencyController.createCurrency
 );
 
+/**
+ * @swagger
+ * /currencies/quote:
+ *   get:
+ *     summary: Quote a currency pair
+ *     description: |
+ *       Uses the pair's own rate, the inverse of the opposite pair, or a cross rate derived
+ *       through the base currency. Derived quotes have derived=true and name the currency in "via".
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fromCurrencyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: toCurrencyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: amount
+ *         schema:
+ *           type: number
+ *         description: Amount of the from currency to convert
+ *       - in: query
+ *         name: side
+ *         schema:
+ *           type: string
+ *           enum: [buy, sell]
+ *           default: sell
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Branch whose rates to use (admins only; defaults to the caller's branch)
+ *     responses:
+ *       200:
+ *         description: Quote with buy/sell rates and, when an amount is given, the converted amount
+ *       404:
+ *         description: No rate available for the pair
+ */
+router.get(
+  '/quote',
+  requirePermission('currencies.view'),
+  [
+    query('fromCurrencyId').isInt({ min: 1 }).withMessage('Valid from currency ID is required'),
+    query('toCurrencyId').isInt({ min: 1 }).withMessage('Valid to currency ID is required'),
+    query('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
+    query('side').optional().isIn(['buy', 'sell']).withMessage('Side must be "buy" or "sell"'),
+    query('branchId').optional().isUUID().withMessage('Invalid branch ID')
+  ],
+  validate,
+  resolveBranchScope,
+  currencyController.getQuote
+);
+
+/**
+ * @swagger
+ * /currencies/spreads:
+ *   get:
+ *     summary: Get the spread rules for derived cross rates
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Spread rules; a missing currency matches any currency
+ */
+router.get('/spreads', requirePermission('currencies.view'), currencyController.getSpreadRules);
+
+/**
+ * @swagger
+ * /currencies/spreads:
+ *   put:
+ *     summary: Create or update a spread rule (admin only)
+ *     description: |
+ *       The most specific rule wins: an exact pair, then a rule on either currency, then the
+ *       default rule with neither currency.
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - spreadPercent
+ *             properties:
+ *               fromCurrencyId:
+ *                 type: integer
+ *                 nullable: true
+ *               toCurrencyId:
+ *                 type: integer
+ *                 nullable: true
+ *               spreadPercent:
+ *                 type: number
+ *                 example: 0.25
+ *     responses:
+ *       200:
+ *         description: Spread rule saved
+ *       400:
+ *         description: Validation error
+ */
+router.put(
+  '/spreads',
+  requirePermission('currencies.spreads'),
+  [
+    body('fromCurrencyId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Invalid from currency ID'),
+    body('toCurrencyId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Invalid to currency ID'),
+    body('spreadPercent')
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Spread must be between 0 and 100 percent')
+  ],
+  validate,
+  currencyController.setSpreadRule
+);
+
+/**
+ * @swagger
+ * /currencies/spreads/{id}:
+ *   delete:
+ *     summary: Delete a spread rule (admin only)
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Spread rule deleted
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete(
+  '/spreads/:id',
+  requirePermission('currencies.spreads'),
+  [
+    param('id').isInt({ min: 1 }).withMessage('Invalid spread rule ID')
+  ],
+  validate,
+  currencyController.deleteSpreadRule
+);
+
 /**
  * @swagger
  * /currencies/{id}:
@@ -133,6 +287,9 @@ router.post(
  *                 type: string
  *               isActive:
  *                 type: boolean
+ *               isBase:
+ *                 type: boolean
+ *                 description: Make this the base currency for cross rates (replaces the current one)
  *     responses:
  *       200:
  *         description: Currency updated
@@ -141,7 +298,7 @@ router.post(
  */
 router.put(
   '/:id',
-  authorize('admin'),
+  requirePermission('currencies.manage'),
   [
     body('name')
       .optional()
@@ -153,7 +310,8 @@ router.put(
       .trim()
       .isLength({ min: 1, max: 10 })
       .withMessage('Symbol must be 1-10 characters'),
-    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    body('isBase').optional().isBoolean().withMessage('isBase must be a boolean')
   ],
   validate,
   currencyController.updateCurrency
@@ -167,6 +325,13 @@ router.put(
  *     tags: [Currencies]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Branch whose rates to return (admins only; defaults to the caller's branch)
  *     responses:
  *       200:
  *         description: Exchange rates
@@ -191,7 +356,16 @@ router.put(
  *                       sellRate:
  *                         type: number
  */
-router.get('/rates', currencyController.getExchangeRates);
+router.get(
+  '/rates',
+  requirePermission('currencies.view'),
+  [
+    query('branchId').optional().isUUID().withMessage('Invalid branch ID')
+  ],
+  validate,
+  resolveBranchScope,
+  currencyController.getExchangeRates
+);
 
 /**
  * @swagger
@@ -221,15 +395,25 @@ router.get('/rates', currencyController.getExchangeRates);
  *                 type: number
  *               sellRate:
  *                 type: number
+ *               branchId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Branch the rate applies to (omit for the default rate)
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Schedule the rate for a future time (omit to apply it now)
  *     responses:
  *       200:
  *         description: Rate updated
+ *       201:
+ *         description: Rate scheduled
  *       400:
  *         description: Validation error
  */
 router.post(
   '/rates',
-  authorize('admin'),
+  requirePermission('currencies.rates'),
   [
     body('fromCurrencyId').isInt({ min: 1 }).withMessage('Valid from currency ID is required'),
     body('toCurrencyId').isInt({ min: 1 }).withMessage('Valid to currency ID is required'),
@@ -238,7 +422,9 @@ router.post(
       .withMessage('Buy rate must be a positive number'),
     body('sellRate')
       .isFloat({ min: 0.000001 })
-      .withMessage('Sell rate must be a positive number')
+      .withMessage('Sell rate must be a positive number'),
+    body('branchId').optional({ nullable: true }).isUUID().withMessage('Invalid branch ID'),
+    body('effectiveFrom').optional({ nullable: true }).isISO8601().withMessage('Effective date must be a valid date')
   ],
   validate,
   currencyController.setExchangeRate
@@ -261,6 +447,14 @@ router.post(
  *             required:
  *               - rates
  *             properties:
+ *               branchId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Branch the rates apply to (omit for the default rates)
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Schedule the whole rate sheet for a future time (omit to apply it now)
  *               rates:
  *                 type: array
  *                 items:
@@ -277,14 +471,18 @@ router.post(
  *     responses:
  *       200:
  *         description: Rates updated
+ *       201:
+ *         description: Rates scheduled
  *       400:
  *         description: Validation error
  */
 router.put(
   '/rates/bulk',
-  authorize('admin'),
+  requirePermission('currencies.rates'),
   [
     body('rates').isArray({ min: 1, max: 50 }).withMessage('Rates array is required (max 50)'),
+    body('branchId').optional({ nullable: true }).isUUID().withMessage('Invalid branch ID'),
+    body('effectiveFrom').optional({ nullable: true }).isISO8601().withMessage('Effective date must be a valid date'),
     body('rates.*.fromCurrencyId').isInt({ min: 1 }).withMessage('Valid from currency ID is required'),
     body('rates.*.toCurrencyId').isInt({ min: 1 }).withMessage('Valid to currency ID is required'),
     body('rates.*.buyRate').isFloat({ min: 0.000001 }).withMessage('Buy rate must be positive'),
@@ -294,6 +492,131 @@ router.put(
   currencyController.bulkUpdateRates
 );
 
+/**
+ * @swagger
+ * /currencies/rates/scheduled:
+ *   get:
+ *     summary: Get scheduled exchange rates that have not taken effect yet
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Branch whose scheduled rates to return (admins only; defaults to the caller's branch)
+ *     responses:
+ *       200:
+ *         description: Scheduled rates ordered by effective date
+ */
+router.get(
+  '/rates/scheduled',
+  requirePermission('currencies.view'),
+  [
+    query('branchId').optional().isUUID().withMessage('Invalid branch ID')
+  ],
+  validate,
+  resolveBranchScope,
+  currencyController.getScheduledRates
+);
+
+/**
+ * @swagger
+ * /currencies/rates/scheduled/{uuid}:
+ *   delete:
+ *     summary: Cancel a scheduled exchange rate (admin only)
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Scheduled rate cancelled
+ *       400:
+ *         description: Rate already took effect or was cancelled
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete(
+  '/rates/scheduled/:uuid',
+  requirePermission('currencies.rates'),
+  [
+    param('uuid').isUUID().withMessage('Invalid scheduled rate ID')
+  ],
+  validate,
+  currencyController.cancelScheduledRate
+);
+
+/**
+ * @swagger
+ * /currencies/rates/tolerances:
+ *   get:
+ *     summary: Get the rate tolerance band per currency pair
+ *     description: Pairs without an entry have 0% tolerance (rates must stay within the buy/sell spread).
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rate tolerances
+ */
+router.get('/rates/tolerances', requirePermission('currencies.view'), currencyController.getRateTolerances);
+
+/**
+ * @swagger
+ * /currencies/rates/tolerances:
+ *   put:
+ *     summary: Set the rate tolerance for a currency pair (admin only)
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fromCurrencyId
+ *               - toCurrencyId
+ *               - tolerancePercent
+ *             properties:
+ *               fromCurrencyId:
+ *                 type: integer
+ *               toCurrencyId:
+ *                 type: integer
+ *               tolerancePercent:
+ *                 type: number
+ *                 description: Allowed deviation beyond the buy/sell spread, in percent
+ *                 example: 0.5
+ *     responses:
+ *       200:
+ *         description: Tolerance saved
+ *       400:
+ *         description: Validation error
+ */
+router.put(
+  '/rates/tolerances',
+  requirePermission('currencies.spreads'),
+  [
+    body('fromCurrencyId').isInt({ min: 1 }).withMessage('Valid from currency ID is required'),
+    body('toCurrencyId').isInt({ min: 1 }).withMessage('Valid to currency ID is required'),
+    body('tolerancePercent')
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Tolerance must be between 0 and 100 percent')
+  ],
+  validate,
+  currencyController.setRateTolerance
+);
+
 /**
  * @swagger
  * /currencies/rates/history:
@@ -330,6 +653,7 @@ router.put(
  */
 router.get(
   '/rates/history',
+  requirePermission('currencies.view'),
   [
     query('fromCurrencyId').optional().isInt({ min: 1 }).withMessage('Invalid from currency ID'),
     query('toCurrencyId').optional().isInt({ min: 1 }).withMessage('Invalid to currency ID'),
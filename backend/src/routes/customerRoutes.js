@@ -6,7 +6,8 @@ const express = require('express');
 const { body, query, param } = require('express-validator');
 const router = express.Router();
 const customerController = require('../controllers/customerController');
-const { authenticate, authorize } = require('../middleware/auth');
+const customerAuthController = require('../controllers/customerAuthController');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validate } = require('../middleware/validator');
 
 // All routes require authentication
@@ -74,6 +75,7 @@ router.use(authenticate);
  */
 router.get(
   '/',
+  requirePermission('customers.view'),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
@@ -98,7 +100,7 @@ router.get(
  */
 router.put(
   '/bulk/update',
-  authorize('admin'),
+  requirePermission('customers.block'),
   [
     body('uuids').isArray({ min: 1, max: 100 }).withMessage('UUIDs array is required (max 100)'),
     body('uuids.*').isUUID().withMessage('Each UUID must be valid'),
@@ -132,6 +134,7 @@ router.put(
  */
 router.get(
   '/:uuid',
+  requirePermission('customers.view'),
   [
     param('uuid').isUUID().withMessage('Invalid customer ID')
   ],
@@ -173,6 +176,9 @@ router.get(
  *               idExpiry:
  *                 type: string
  *                 format: date
+ *               dateOfBirth:
+ *                 type: string
+ *                 format: date
  *               address:
  *                 type: string
  *               notes:
@@ -188,6 +194,7 @@ router.get(
  */
 router.post(
   '/',
+  requirePermission('customers.create'),
   [
     body('fullName')
       .trim()
@@ -216,6 +223,10 @@ router.post(
       .optional()
       .isDate()
       .withMessage('Invalid expiry date format'),
+    body('dateOfBirth')
+      .optional({ checkFalsy: true })
+      .isDate()
+      .withMessage('Invalid date of birth format'),
     body('address')
       .optional()
       .trim()
@@ -268,6 +279,8 @@ router.post(
  *                 type: string
  *               idExpiry:
  *                 type: string
+ *               dateOfBirth:
+ *                 type: string
  *               address:
  *                 type: string
  *               notes:
@@ -282,6 +295,7 @@ router.post(
  */
 router.put(
   '/:uuid',
+  requirePermission('customers.edit'),
   [
     param('uuid').isUUID().withMessage('Invalid customer ID'),
     body('fullName')
@@ -312,6 +326,10 @@ router.put(
       .optional()
       .isDate()
       .withMessage('Invalid expiry date format'),
+    body('dateOfBirth')
+      .optional({ checkFalsy: true })
+      .isDate()
+      .withMessage('Invalid date of birth format'),
     body('address')
       .optional()
       .trim()
@@ -365,7 +383,7 @@ router.put(
  */
 router.post(
   '/:uuid/block',
-  authorize('admin'),
+  requirePermission('customers.block'),
   [
     param('uuid').isUUID().withMessage('Invalid customer ID'),
     body('reason')
@@ -403,7 +421,7 @@ router.post(
  */
 router.post(
   '/:uuid/unblock',
-  authorize('admin'),
+  requirePermission('customers.block'),
   [
     param('uuid').isUUID().withMessage('Invalid customer ID')
   ],
@@ -411,6 +429,44 @@ router.post(
   customerController.unblockCustomer
 );
 
+/**
+ * @swagger
+ * /customers/{uuid}/portal-invite:
+ *   post:
+ *     summary: Email the customer a link to set their portal password (admin/manager only)
+ *     description: Can be re-sent; each invitation replaces the previous link.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invitation sent
+ *       400:
+ *         description: Customer has no email or is blocked
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       502:
+ *         description: Email could not be sent
+ */
+router.post(
+  '/:uuid/portal-invite',
+  requirePermission('customers.portal'),
+  [
+    param('uuid').isUUID().withMessage('Invalid customer ID')
+  ],
+  validate,
+  customerAuthController.sendInvite
+);
+
 /**
  * @swagger
  * /customers/{uuid}/transactions:
@@ -457,6 +513,7 @@ router.post(
  */
 router.get(
   '/:uuid/transactions',
+  requirePermission('customers.view'),
   [
     param('uuid').isUUID().withMessage('Invalid customer ID'),
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
@@ -492,6 +549,7 @@ router.get(
  */
 router.get(
   '/:uuid/stats',
+  requirePermission('customers.view'),
   [
     param('uuid').isUUID().withMessage('Invalid customer ID')
   ],
@@ -526,7 +584,7 @@ router.get(
  */
 router.delete(
   '/:uuid',
-  authorize('admin'),
+  requirePermission('customers.delete'),
   [
     param('uuid').isUUID().withMessage('Invalid customer ID')
   ],
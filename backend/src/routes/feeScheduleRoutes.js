@@ -0,0 +1,273 @@
+/**
+ * Fee Schedule Routes
+ * Commission schedules for the fee engine; admins manage them, staff may preview a fee
+ */
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const router = express.Router();
+const feeScheduleController = require('../controllers/feeScheduleController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validator');
+const { PAYMENT_METHODS } = require('../services/feeService');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Tier limits must increase and only the last tier may be open-ended
+const validateTiers = (tiers, { req }) => {
+  if (req.body.feeType !== 'tiered') {
+    return true;
+  }
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw new Error('Tiered fees need at least one tier');
+  }
+
+  let previousLimit = 0;
+  tiers.forEach((tier, index) => {
+    if (tier.upTo === null || tier.upTo === undefined) {
+      if (index !== tiers.length - 1) {
+        throw new Error('Only the last tier may have no upper limit');
+      }
+    } else if (!(Number(tier.upTo) > previousLimit)) {
+      throw new Error('Tier limits must be positive and increasing');
+    } else {
+      previousLimit = Number(tier.upTo);
+    }
+
+    const percentage = Number(tier.percentage || 0);
+    const flatAmount = Number(tier.flatAmount || 0);
+    if (!(percentage >= 0 && percentage <= 100) || !(flatAmount >= 0)) {
+      throw new Error('Tier fees must be non-negative and percentages at most 100');
+    }
+  });
+  return true;
+};
+
+const scheduleValidators = (isUpdate) => {
+  const optional = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    optional(body('name'))
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be 2-100 characters'),
+    body('currencyInId')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Invalid currency in ID'),
+    body('currencyOutId')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Invalid currency out ID'),
+    body('customerSegment')
+      .optional()
+      .isIn(['all', 'vip', 'regular'])
+      .withMessage('Customer segment must be all, vip or regular'),
+    body('paymentMethod')
+      .optional({ nullable: true })
+      .isIn(PAYMENT_METHODS)
+      .withMessage('Invalid payment method'),
+    optional(body('feeType'))
+      .isIn(['flat', 'percentage', 'tiered'])
+      .withMessage('Fee type must be flat, percentage or tiered'),
+    body('flatAmount')
+      .if(body('feeType').equals('flat'))
+      .isFloat({ min: 0 })
+      .withMessage('Flat amount must be non-negative'),
+    body('percentage')
+      .if(body('feeType').equals('percentage'))
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Percentage must be between 0 and 100'),
+    body('tiers').custom(validateTiers),
+    body('minFee')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Minimum fee must be non-negative'),
+    body('maxFee')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Maximum fee must be non-negative')
+      .custom((value, { req }) => value === null || req.body.minFee === null || req.body.minFee === undefined
+        || Number(value) >= Number(req.body.minFee))
+      .withMessage('Maximum fee must not be below the minimum fee')
+  ];
+};
+
+/**
+ * @swagger
+ * /fee-schedules:
+ *   get:
+ *     summary: Get all fee schedules (admin/manager)
+ *     tags: [Fee Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Fee schedules, active first
+ */
+router.get('/', requirePermission('fees.view'), feeScheduleController.getFeeSchedules);
+
+/**
+ * @swagger
+ * /fee-schedules/preview:
+ *   get:
+ *     summary: Preview the commission for a deal
+ *     description: Same engine createTransaction uses to compute commission. Fees are in the currency received.
+ *     tags: [Fee Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: currencyInId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: currencyOutId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: amountIn
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: paymentMethod
+ *         schema:
+ *           type: string
+ *           enum: [cash, card, bank_transfer, cheque, other]
+ *           default: cash
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: VIP customers get VIP schedules
+ *     responses:
+ *       200:
+ *         description: Commission and the schedule that produced it (null when none applies)
+ */
+router.get(
+  '/preview',
+  requirePermission('transactions.create'),
+  [
+    query('currencyInId').isInt({ min: 1 }).withMessage('Valid currency in ID is required'),
+    query('currencyOutId').isInt({ min: 1 }).withMessage('Valid currency out ID is required'),
+    query('amountIn').isFloat({ min: 0.01 }).withMessage('Amount in must be a positive number'),
+    query('paymentMethod').optional().isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
+    query('customerId').optional().isUUID().withMessage('Customer ID must be a valid UUID')
+  ],
+  validate,
+  feeScheduleController.previewFee
+);
+
+/**
+ * @swagger
+ * /fee-schedules:
+ *   post:
+ *     summary: Create a fee schedule (admin only)
+ *     description: Leave currencies, payment method or segment ("all") open to match any. The most specific active schedule wins.
+ *     tags: [Fee Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - feeType
+ *             properties:
+ *               name:
+ *                 type: string
+ *               currencyInId:
+ *                 type: integer
+ *                 nullable: true
+ *               currencyOutId:
+ *                 type: integer
+ *                 nullable: true
+ *               customerSegment:
+ *                 type: string
+ *                 enum: [all, vip, regular]
+ *                 default: all
+ *               paymentMethod:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [cash, card, bank_transfer, cheque, other]
+ *               feeType:
+ *                 type: string
+ *                 enum: [flat, percentage, tiered]
+ *               flatAmount:
+ *                 type: number
+ *                 description: Required for flat fees, in the currency received
+ *               percentage:
+ *                 type: number
+ *                 description: Required for percentage fees
+ *               tiers:
+ *                 type: array
+ *                 description: Required for tiered fees. The whole amount is charged at the first tier whose upTo covers it.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     upTo:
+ *                       type: number
+ *                       nullable: true
+ *                     percentage:
+ *                       type: number
+ *                     flatAmount:
+ *                       type: number
+ *               minFee:
+ *                 type: number
+ *                 nullable: true
+ *               maxFee:
+ *                 type: number
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Fee schedule created
+ */
+router.post(
+  '/',
+  requirePermission('fees.manage'),
+  scheduleValidators(false),
+  validate,
+  feeScheduleController.createFeeSchedule
+);
+
+/**
+ * @swagger
+ * /fee-schedules/{uuid}:
+ *   put:
+ *     summary: Update a fee schedule (admin only)
+ *     description: Takes the same fields as create, all optional, plus isActive. Sending feeType replaces the fee definition.
+ *     tags: [Fee Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Fee schedule updated
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put(
+  '/:uuid',
+  requirePermission('fees.manage'),
+  [
+    param('uuid').isUUID().withMessage('Invalid fee schedule ID'),
+    ...scheduleValidators(true),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ],
+  validate,
+  feeScheduleController.updateFeeSchedule
+);
+
+module.exports = router;
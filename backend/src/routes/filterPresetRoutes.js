@@ -8,7 +8,7 @@ const filterPresetController = require('../controllers/filterPresetController');
 const { authenticate } = require('../middleware/auth');
 const { validate } = require('../middleware/validator');
 
-// All routes require authentication
+// All routes require authentication; presets belong to the signed-in user, so no permission applies
 router.use(authenticate);
 
 /**
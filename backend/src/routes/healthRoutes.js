@@ -5,7 +5,7 @@
 const express = require('express');
 const router = express.Router();
 const healthController = require('../controllers/healthController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -70,7 +70,7 @@ router.get('/', healthController.getHealth);
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get('/detailed', authenticate, authorize('admin'), healthController.getDetailedHealth);
+router.get('/detailed', authenticate, requirePermission('settings.view'), healthController.getDetailedHealth);
 
 /**
  * @swagger
@@ -103,7 +103,7 @@ router.get('/detailed', authenticate, authorize('admin'), healthController.getDe
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get('/metrics', authenticate, authorize('admin'), healthController.getMetrics);
+router.get('/metrics', authenticate, requirePermission('settings.view'), healthController.getMetrics);
 
 /**
  * @swagger
@@ -119,6 +119,6 @@ router.get('/metrics', authenticate, authorize('admin'), healthController.getMet
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.post('/metrics/reset', authenticate, authorize('admin'), healthController.resetMetrics);
+router.post('/metrics/reset', authenticate, requirePermission('settings.manage'), healthController.resetMetrics);
 
 module.exports = router;
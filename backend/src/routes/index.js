@@ -21,6 +21,11 @@ const filterPresetRoutes = require('./filterPresetRoutes');
 const auditRoutes = require('./auditRoutes');
 const permissionRoutes = require('./permissionRoutes');
 const rateAlertRoutes = require('./rateAlertRoutes');
+const portalRoutes = require('./portalRoutes');
+const branchRoutes = require('./branchRoutes');
+const feeScheduleRoutes = require('./feeScheduleRoutes');
+const positionRoutes = require('./positionRoutes');
+const watchlistRoutes = require('./watchlistRoutes');
 
 // Mount routes
 router.use('/auth', authRoutes);
@@ -38,5 +43,10 @@ router.use('/filter-presets', filterPresetRoutes);
 router.use('/audit-logs', auditRoutes);
 router.use('/permissions', permissionRoutes);
 router.use('/rate-alerts', rateAlertRoutes);
+router.use('/portal', portalRoutes);
+router.use('/branches', branchRoutes);
+router.use('/fee-schedules', feeScheduleRoutes);
+router.use('/positions', positionRoutes);
+router.use('/watchlists', watchlistRoutes);
 
 module.exports = router;
@@ -1,16 +1,30 @@
 /**
  * Permission Routes
- * Admin-only routes for managing role permissions
+ * Managing roles, the permissions they grant, and per-user overrides
  */
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
-const { authenticate, authorize } = require('../middleware/auth');
+const { body, param } = require('express-validator');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validate } = require('../middleware/validator');
 const permissionController = require('../controllers/permissionController');
 
-// All routes require authentication and admin role
-router.use(authenticate, authorize('admin'));
+const roleCode = param('role')
+  .matches(/^[a-z][a-z0-9_]{1,49}$/)
+  .withMessage('Invalid role');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Get all roles with user counts (also used to assign roles to users)
+router.get(
+  '/roles',
+  requirePermission('users.permissions', 'users.view'),
+  permissionController.getRoles
+);
+
+// Everything else requires permission management
+router.use(requirePermission('users.permissions'));
 
 // Get all permissions
 router.get(
@@ -18,10 +32,22 @@ router.get(
   permissionController.getAllPermissions
 );
 
-// Get all roles with user counts
-router.get(
+// Create a custom role
+router.post(
   '/roles',
-  permissionController.getRoles
+  [
+    body('code')
+      .trim()
+      .matches(/^[a-z][a-z0-9_]{1,49}$/)
+      .withMessage('Role code must be 2-50 lowercase letters, digits or underscores, starting with a letter'),
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Role name is required (max 100 characters)'),
+    body('description').optional({ nullable: true }).trim().isLength({ max: 255 }).withMessage('Description too long'),
+    body('requireTwoFactor').optional().isBoolean().withMessage('requireTwoFactor must be a boolean').toBoolean(),
+    body('permissionIds').optional().isArray().withMessage('permissionIds must be an array'),
+    body('permissionIds.*').isInt({ min: 1 }).withMessage('Invalid permission ID')
+  ],
+  validate,
+  permissionController.createRole
 );
 
 // Get permission matrix (all roles with their permissions)
@@ -33,6 +59,8 @@ router.get(
 // Get permissions for a specific role
 router.get(
   '/roles/:role',
+  [roleCode],
+  validate,
   permissionController.getRolePermissions
 );
 
@@ -40,6 +68,7 @@ router.get(
 router.put(
   '/roles/:role',
   [
+    roleCode,
     body('permissionIds').isArray().withMessage('permissionIds must be an array'),
     body('permissionIds.*').isInt({ min: 1 }).withMessage('Invalid permission ID')
   ],
@@ -47,4 +76,47 @@ router.put(
   permissionController.updateRolePermissions
 );
 
+// Rename a role, change its description or two-factor requirement
+router.put(
+  '/roles/:role/details',
+  [
+    roleCode,
+    body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Role name must be 1-100 characters'),
+    body('description').optional({ nullable: true }).trim().isLength({ max: 255 }).withMessage('Description too long'),
+    body('requireTwoFactor').optional().isBoolean().withMessage('requireTwoFactor must be a boolean').toBoolean()
+  ],
+  validate,
+  permissionController.updateRole
+);
+
+// Delete a custom role
+router.delete(
+  '/roles/:role',
+  [roleCode],
+  validate,
+  permissionController.deleteRole
+);
+
+// Get a user's permission overrides and effective permissions
+router.get(
+  '/users/:uuid',
+  [param('uuid').isUUID().withMessage('Invalid user ID')],
+  validate,
+  permissionController.getUserPermissionOverrides
+);
+
+// Replace a user's permission overrides
+router.put(
+  '/users/:uuid',
+  [
+    param('uuid').isUUID().withMessage('Invalid user ID'),
+    body('granted').optional().isArray().withMessage('granted must be an array'),
+    body('granted.*').isInt({ min: 1 }).withMessage('Invalid permission ID'),
+    body('denied').optional().isArray().withMessage('denied must be an array'),
+    body('denied.*').isInt({ min: 1 }).withMessage('Invalid permission ID')
+  ],
+  validate,
+  permissionController.updateUserPermissionOverrides
+);
+
 module.exports = router;
@@ -1,32 +1,452 @@
+/**
+ * Customer Portal Routes
+ * Self-service endpoints for customers, authenticated with customer portal tokens
+ */
 const express = require('express');
+const { body, query, param } = require('express-validator');
 const router = express.Router();
 const customerAuthController = require('../controllers/customerAuthController');
 const transactionController = require('../controllers/transactionController');
-const { authenticate } = require('../middleware/auth');
+const receiptController = require('../controllers/receiptController');
+const currencyController = require('../controllers/currencyController');
+const { allowCustomers, authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validator');
+const {
+  portalLoginRateLimiter,
+  passwordResetRateLimiter,
+  setPasswordRateLimiter
+} = require('../middleware/rateLimiter');
 
-// Public routes
-router.post('/login', customerAuthController.login);
+/**
+ * @swagger
+ * /portal/login:
+ *   post:
+ *     summary: Customer portal login
+ *     tags: [Portal]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful; returns accessToken, refreshToken and expiresIn
+ *       401:
+ *         description: Invalid credentials
+ *       403:
+ *         description: Account is blocked
+ *       429:
+ *         description: Too many login attempts from this address or for this account
+ */
+router.post(
+  '/login',
+  portalLoginRateLimiter,
+  [
+    body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+    body('password').notEmpty().withMessage('Password is required')
+  ],
+  validate,
+  customerAuthController.login
+);
 
-// Protected routes
-router.use(authenticate); // Reusing existing auth middleware which decodes JWT
+/**
+ * @swagger
+ * /portal/refresh:
+ *   post:
+ *     summary: Refresh a customer access token
+ *     description: Rotates the refresh token; the one presented can no longer be used.
+ *     tags: [Portal]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ *       403:
+ *         description: Account is blocked
+ */
+router.post(
+  '/refresh',
+  [
+    body('refreshToken').notEmpty().withMessage('Refresh token is required')
+  ],
+  validate,
+  customerAuthController.refreshToken
+);
+
+/**
+ * @swagger
+ * /portal/forgot-password:
+ *   post:
+ *     summary: Request a customer password reset link
+ *     description: Always returns 200 so the endpoint does not reveal which emails have accounts.
+ *     tags: [Portal]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       429:
+ *         description: Too many reset requests from this address or for this email
+ */
+router.post(
+  '/forgot-password',
+  passwordResetRateLimiter,
+  [
+    body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+  ],
+  validate,
+  customerAuthController.forgotPassword
+);
+
+/**
+ * @swagger
+ * /portal/set-password:
+ *   post:
+ *     summary: Set a customer password using an emailed invitation or reset token
+ *     tags: [Portal]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password set; the token can no longer be used
+ *       400:
+ *         description: Invalid or expired token, or weak password
+ *       403:
+ *         description: Account is blocked
+ *       429:
+ *         description: Too many attempts from this address
+ */
+router.post(
+  '/set-password',
+  setPasswordRateLimiter,
+  [
+    body('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Invalid token'),
+    body('password')
+      .isLength({ min: 8 })
+      .withMessage('Password must be at least 8 characters')
+      .matches(/[A-Z]/)
+      .withMessage('Password must contain at least one uppercase letter')
+      .matches(/[a-z]/)
+      .withMessage('Password must contain at least one lowercase letter')
+      .matches(/\d/)
+      .withMessage('Password must contain at least one number')
+  ],
+  validate,
+  customerAuthController.setPassword
+);
+
+// Protected routes accept customer tokens only
+router.use(allowCustomers, authenticate);
 
 // Middleware to ensure user is a customer
 const requireCustomer = (req, res, next) => {
-    if (req.user.role !== 'customer') {
-        return res.status(403).json({
-            success: false,
-            message: 'Access denied. Customers only.'
-        });
-    }
-    next();
+  if (req.user.role !== 'customer') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Customers only.'
+    });
+  }
+  next();
 };
 
 router.use(requireCustomer);
 
+/**
+ * @swagger
+ * /portal/logout:
+ *   post:
+ *     summary: Log out of the current portal session
+ *     tags: [Portal]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out
+ */
+router.post('/logout', customerAuthController.logout);
+
+/**
+ * @swagger
+ * /portal/logout-all:
+ *   post:
+ *     summary: Log out of every portal session
+ *     tags: [Portal]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ */
+router.post('/logout-all', customerAuthController.logoutAll);
+
+/**
+ * @swagger
+ * /portal/sessions:
+ *   get:
+ *     summary: List the customer's active portal sessions
+ *     tags: [Portal]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions with device, IP and last use; the caller's own session is flagged isCurrent
+ */
+router.get('/sessions', customerAuthController.getSessions);
+
+/**
+ * @swagger
+ * /portal/sessions/{uuid}:
+ *   delete:
+ *     summary: Revoke a portal session
+ *     tags: [Portal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete(
+  '/sessions/:uuid',
+  [
+    param('uuid').isUUID().withMessage('Invalid session ID')
+  ],
+  validate,
+  customerAuthController.revokeSession
+);
+
+/**
+ * @swagger
+ * /portal/profile:
+ *   get:
+ *     summary: Get the logged-in customer's profile
+ *     tags: [Portal]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Customer profile
+ *       403:
+ *         description: Not a customer token
+ */
 router.get('/profile', customerAuthController.getProfile);
 
-// Reusing transaction controller but we must ensure it filters by req.user.id (customer_id)
-// We need to modify transactionController.getTransactions to handle 'customer' role context
-router.get('/transactions', transactionController.getTransactions);
+/**
+ * @swagger
+ * /portal/transactions:
+ *   get:
+ *     summary: List the logged-in customer's transactions
+ *     description: Always scoped to the customer; internal fields such as profit, notes and flags are omitted.
+ *     tags: [Portal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: List of the customer's transactions
+ */
+router.get(
+  '/transactions',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
+    query('startDate').optional().isDate().withMessage('Invalid start date'),
+    query('endDate').optional().isDate().withMessage('Invalid end date')
+  ],
+  validate,
+  transactionController.getTransactions
+);
+
+/**
+ * @swagger
+ * /portal/quote:
+ *   get:
+ *     summary: Quote a currency pair at the default rates
+ *     description: Same resolver as /currencies/quote; derived cross rates are marked with derived=true and "via".
+ *     tags: [Portal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fromCurrencyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: toCurrencyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: amount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: side
+ *         schema:
+ *           type: string
+ *           enum: [buy, sell]
+ *           default: sell
+ *     responses:
+ *       200:
+ *         description: Quote
+ *       404:
+ *         description: No rate available for the pair
+ */
+router.get(
+  '/quote',
+  [
+    query('fromCurrencyId').isInt({ min: 1 }).withMessage('Valid from currency ID is required'),
+    query('toCurrencyId').isInt({ min: 1 }).withMessage('Valid to currency ID is required'),
+    query('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
+    query('side').optional().isIn(['buy', 'sell']).withMessage('Side must be "buy" or "sell"')
+  ],
+  validate,
+  currencyController.getQuote
+);
+
+/**
+ * @swagger
+ * /portal/currencies:
+ *   get:
+ *     summary: List active currencies for the quote calculator
+ *     tags: [Portal]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active currencies
+ */
+router.get('/currencies', currencyController.getQuoteCurrencies);
+
+/**
+ * @swagger
+ * /portal/transactions/{uuid}/receipt:
+ *   get:
+ *     summary: Get a receipt for one of the customer's transactions
+ *     tags: [Portal]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: download
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Send the PDF as an attachment instead of inline
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, ar, ku]
+ *           default: en
+ *     responses:
+ *       200:
+ *         description: Receipt PDF, inline unless download is true
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get(
+  '/transactions/:uuid/receipt',
+  [
+    query('download')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('Download must be "true" or "false"'),
+    query('lang')
+      .optional()
+      .isIn(['en', 'ar', 'ku'])
+      .withMessage('Language must be "en", "ar", or "ku"')
+  ],
+  validate,
+  receiptController.getReceipt
+);
 
 module.exports = router;
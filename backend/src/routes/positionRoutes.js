@@ -0,0 +1,142 @@
+/**
+ * Position Routes
+ * Currency positions and exposure for managers; admins set the position limits
+ */
+const express = require('express');
+const { body, param } = require('express-validator');
+const router = express.Router();
+const positionController = require('../controllers/positionController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { resolveBranchScope } = require('../middleware/branchScope');
+const { validate } = require('../middleware/validator');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /positions:
+ *   get:
+ *     summary: Get currency positions and exposure (admin/manager)
+ *     description: |
+ *       Balances of all active drawers summed per currency and valued in the base currency at
+ *       the current buy, sell and mid rates, with today's movement from completed deals and the
+ *       status of each position against its limit. Positions at or above the warning share of
+ *       their limit, or over it, are listed in alerts.
+ *     tags: [Positions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Branch to report on (admins only; omit for all branches)
+ *     responses:
+ *       200:
+ *         description: Positions, exposure summary, limit alerts and hourly intraday movement
+ */
+router.get('/', requirePermission('positions.view'), resolveBranchScope, positionController.getPositions);
+
+/**
+ * @swagger
+ * /positions/limits:
+ *   get:
+ *     summary: Get all position limits (admin/manager)
+ *     tags: [Positions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Position limits by currency; a limit without a branch is the consolidated default
+ */
+router.get('/limits', requirePermission('positions.view'), positionController.getPositionLimits);
+
+/**
+ * @swagger
+ * /positions/limits:
+ *   put:
+ *     summary: Set a position limit (admin only)
+ *     description: Creates or replaces the limit for the currency and branch. Limits are in units of the currency.
+ *     tags: [Positions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currencyId
+ *             properties:
+ *               currencyId:
+ *                 type: integer
+ *               branchId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Omit for the consolidated limit, which also applies to branches without their own
+ *               maxLong:
+ *                 type: number
+ *                 nullable: true
+ *               maxShort:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Largest short (negative) position allowed, as a positive amount
+ *     responses:
+ *       200:
+ *         description: Position limit updated
+ *       201:
+ *         description: Position limit created
+ */
+router.put(
+  '/limits',
+  requirePermission('positions.limits'),
+  [
+    body('currencyId').isInt({ min: 1 }).withMessage('Valid currency ID is required'),
+    body('branchId').optional({ nullable: true }).isUUID().withMessage('Branch ID must be a valid UUID'),
+    body('maxLong')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Long limit must be non-negative'),
+    body('maxShort')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Short limit must be non-negative')
+  ],
+  validate,
+  positionController.savePositionLimit
+);
+
+/**
+ * @swagger
+ * /positions/limits/{uuid}:
+ *   delete:
+ *     summary: Delete a position limit (admin only)
+ *     tags: [Positions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Position limit deleted
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete(
+  '/limits/:uuid',
+  requirePermission('positions.limits'),
+  [param('uuid').isUUID().withMessage('Invalid position limit ID')],
+  validate,
+  positionController.deletePositionLimit
+);
+
+module.exports = router;
@@ -1,9 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const rateAlertController = require('../controllers/rateAlertController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
-router.use(authenticate);
+router.use(authenticate, requirePermission('currencies.view'));
 
 router.route('/')
     .get(rateAlertController.getAlerts)
@@ -6,11 +6,12 @@ const express = require('express');
 const { query, body } = require('express-validator');
 const router = express.Router();
 const reportController = require('../controllers/reportController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { resolveBranchScope } = require('../middleware/branchScope');
 const { validate } = require('../middleware/validator');
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require authentication and are limited to the caller's branch
+router.use(authenticate, resolveBranchScope);
 
 /**
  * @swagger
@@ -20,6 +21,13 @@ router.use(authenticate);
  *     tags: [Reports]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Branch to report on (admins only; omit for all branches)
  *     responses:
  *       200:
  *         description: Dashboard statistics
@@ -42,7 +50,7 @@ router.use(authenticate);
  *                     monthlyVolume:
  *                       type: number
  */
-router.get('/dashboard', reportController.getDashboardStats);
+router.get('/dashboard', requirePermission('reports.view'), reportController.getDashboardStats);
 
 /**
  * @swagger
@@ -52,6 +60,13 @@ router.get('/dashboard', reportController.getDashboardStats);
  *     tags: [Reports]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Branch to report on (admins only; omit for all branches)
  *     responses:
  *       200:
  *         description: Dashboard chart data
@@ -75,18 +90,25 @@ router.get('/dashboard', reportController.getDashboardStats);
  *                       type: array
  *                       description: Transaction distribution by currency pair
  */
-router.get('/dashboard/charts', reportController.getDashboardCharts);
+router.get('/dashboard/charts', requirePermission('reports.view'), reportController.getDashboardCharts);
 
 /**
  * @swagger
  * /reports/leaderboard:
  *   get:
  *     summary: Get employee leaderboard
+ *     description: Includes realized profit for the period and unrealized profit on open positions.
  *     tags: [Reports]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Branch to report on (admins only; omit for all branches)
+ *       - in: query
  *         name: period
  *         schema:
  *           type: string
@@ -96,7 +118,50 @@ router.get('/dashboard/charts', reportController.getDashboardCharts);
  *       200:
  *         description: Leaderboard data
  */
-router.get('/leaderboard', reportController.getLeaderboard);
+router.get('/leaderboard', requirePermission('reports.view'), reportController.getLeaderboard);
+
+/**
+ * @swagger
+ * /reports/quote-conversion:
+ *   get:
+ *     summary: Get quote-to-deal conversion
+ *     description: Quotes issued in the period and how many became transactions, overall, per employee and per currency pair.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Branch to report on (admins only; omit for all branches)
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to the first day of the current month
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *     responses:
+ *       200:
+ *         description: Conversion summary with byEmployee and byPair breakdowns
+ */
+router.get(
+  '/quote-conversion',
+  requirePermission('reports.profit'),
+  [
+    query('startDate').optional().isDate().withMessage('Invalid start date'),
+    query('endDate').optional().isDate().withMessage('Invalid end date')
+  ],
+  validate,
+  reportController.getQuoteConversion
+);
 
 /**
  * @swagger
@@ -108,6 +173,12 @@ router.get('/leaderboard', reportController.getLeaderboard);
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Branch to report on (admins only; omit for all branches)
+ *       - in: query
  *         name: date
  *         schema:
  *           type: string
@@ -125,6 +196,7 @@ router.get('/leaderboard', reportController.getLeaderboard);
  */
 router.get(
   '/daily',
+  requirePermission('reports.daily'),
   [
     query('date').optional().isDate().withMessage('Invalid date format (YYYY-MM-DD)'),
     query('employeeId').optional().isUUID().withMessage('Invalid employee ID')
@@ -143,6 +215,12 @@ router.get(
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Branch to report on (admins only; omit for all branches)
+ *       - in: query
  *         name: year
  *         schema:
  *           type: integer
@@ -165,6 +243,7 @@ router.get(
  */
 router.get(
   '/monthly',
+  requirePermission('reports.monthly'),
   [
     query('year')
       .optional()
@@ -185,6 +264,7 @@ router.get(
  * /reports/closing:
  *   post:
  *     summary: Generate daily closing report (admin only)
+ *     description: Closes the day for the caller's branch. Admins without a branch close the branch given in branchId, or all branches together when it is omitted.
  *     tags: [Reports]
  *     security:
  *       - bearerAuth: []
@@ -198,17 +278,21 @@ router.get(
  *                 type: string
  *                 format: date
  *                 description: Date for closing report (defaults to today)
+ *               branchId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Branch to close (admins only; omit for all branches)
  *     responses:
  *       201:
  *         description: Closing report generated
  *       400:
- *         description: Report already exists for date
+ *         description: Report already exists for this date and branch
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
 router.post(
   '/closing',
-  authorize('admin'),
+  requirePermission('reports.closing'),
   [
     body('date').optional().isDate().withMessage('Invalid date format (YYYY-MM-DD)')
   ],
@@ -235,6 +319,12 @@ router.post(
  *         schema:
  *           type: string
  *           format: uuid
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Branch whose closing to read by date (admins only; omit for the consolidated closing)
  *     responses:
  *       200:
  *         description: Daily closing report
@@ -243,6 +333,7 @@ router.post(
  */
 router.get(
   '/closing',
+  requirePermission('reports.daily'),
   [
     query('date').optional().isDate().withMessage('Invalid date format (YYYY-MM-DD)'),
     query('uuid').optional().isUUID().withMessage('Invalid UUID')
@@ -279,12 +370,19 @@ router.get(
  *         name: month
  *         schema:
  *           type: integer
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Branch to list (admins only; omit for all branches)
  *     responses:
  *       200:
  *         description: List of closing reports with pagination
  */
 router.get(
   '/closings',
+  requirePermission('reports.daily'),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
@@ -305,6 +403,12 @@ router.get(
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Branch to report on (admins only; omit for all branches)
+ *       - in: query
  *         name: date
  *         schema:
  *           type: string
@@ -321,6 +425,7 @@ router.get(
  */
 router.get(
   '/daily/export',
+  requirePermission('reports.export'),
   [
     query('date').optional().isDate().withMessage('Invalid date format (YYYY-MM-DD)'),
     query('format').optional().isIn(['xlsx', 'csv', 'pdf']).withMessage('Format must be xlsx, csv, or pdf')
@@ -339,6 +444,12 @@ router.get(
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Branch to report on (admins only; omit for all branches)
+ *       - in: query
  *         name: year
  *         schema:
  *           type: integer
@@ -358,6 +469,7 @@ router.get(
  */
 router.get(
   '/monthly/export',
+  requirePermission('reports.export'),
   [
     query('year').optional().isInt({ min: 2020, max: 2100 }).withMessage('Invalid year'),
     query('month').optional().isInt({ min: 1, max: 12 }).withMessage('Invalid month'),
@@ -372,11 +484,18 @@ router.get(
  * /reports/profit-loss:
  *   get:
  *     summary: Get profit/loss report with breakdowns
+ *     description: Profit is realized against each drawer's weighted average cost, in the base currency. Open positions are revalued at current mid rates for unrealized profit.
  *     tags: [Reports]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Branch to report on (admins only; omit for all branches)
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -402,6 +521,7 @@ router.get(
  */
 router.get(
   '/profit-loss',
+  requirePermission('reports.profit'),
   [
     query('startDate').optional().isDate().withMessage('Invalid start date'),
     query('endDate').optional().isDate().withMessage('Invalid end date'),
@@ -422,6 +542,12 @@ router.get(
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Branch to report on (admins only; omit for all branches)
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -442,6 +568,7 @@ router.get(
  */
 router.get(
   '/profit-loss/export',
+  requirePermission('reports.profit'),
   [
     query('startDate').optional().isDate().withMessage('Invalid start date'),
     query('endDate').optional().isDate().withMessage('Invalid end date'),
@@ -461,6 +588,12 @@ router.get(
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Branch to report on (admins only; omit for all branches)
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -491,6 +624,7 @@ router.get(
  */
 router.get(
   '/transactions/export',
+  requirePermission('transactions.export'),
   [
     query('startDate').optional().isDate().withMessage('Invalid start date'),
     query('endDate').optional().isDate().withMessage('Invalid end date'),
@@ -522,6 +656,9 @@ router.get(
  *               endDate:
  *                 type: string
  *                 format: date
+ *               branchId:
+ *                 type: string
+ *                 format: uuid
  *               groupBy:
  *                 type: string
  *                 enum: [day, week, month, employee, currency_in, currency_out]
@@ -547,6 +684,7 @@ router.get(
  */
 router.post(
   '/custom',
+  requirePermission('reports.builder'),
   [
     body('startDate').optional().isDate().withMessage('Invalid start date'),
     body('endDate').optional().isDate().withMessage('Invalid end date'),
@@ -587,6 +725,7 @@ router.post(
  */
 router.post(
   '/custom/export',
+  requirePermission('reports.export'),
   [
     body('format').optional().isIn(['xlsx', 'csv', 'pdf']).withMessage('Invalid format'),
     body('startDate').optional().isDate(),
@@ -6,7 +6,7 @@ const express = require('express');
 const { body, query, param } = require('express-validator');
 const router = express.Router();
 const scheduledReportController = require('../controllers/scheduledReportController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validate } = require('../middleware/validator');
 
 // All routes require authentication
@@ -78,7 +78,7 @@ router.use(authenticate);
  */
 router.post(
   '/',
-  authorize('admin'),
+  requirePermission('reports.schedule'),
   [
     body('name')
       .trim()
@@ -155,6 +155,7 @@ router.post(
  */
 router.get(
   '/',
+  requirePermission('reports.view'),
   [
     query('page')
       .optional()
@@ -196,6 +197,7 @@ router.get(
  */
 router.get(
   '/:uuid',
+  requirePermission('reports.view'),
   [
     param('uuid')
       .isUUID()
@@ -261,7 +263,7 @@ router.get(
  */
 router.put(
   '/:uuid',
-  authorize('admin'),
+  requirePermission('reports.schedule'),
   [
     param('uuid')
       .isUUID()
@@ -335,7 +337,7 @@ router.put(
  */
 router.delete(
   '/:uuid',
-  authorize('admin'),
+  requirePermission('reports.schedule'),
   [
     param('uuid')
       .isUUID()
@@ -370,6 +372,7 @@ router.delete(
  */
 router.post(
   '/:uuid/run',
+  requirePermission('reports.schedule'),
   [
     param('uuid')
       .isUUID()
@@ -412,6 +415,7 @@ router.post(
  */
 router.get(
   '/:uuid/history',
+  requirePermission('reports.view'),
   [
     param('uuid')
       .isUUID()
@@ -6,7 +6,8 @@ const express = require('express');
 const { body, query } = require('express-validator');
 const router = express.Router();
 const shiftController = require('../controllers/shiftController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { resolveBranchScope } = require('../middleware/branchScope');
 const { validate } = require('../middleware/validator');
 
 // All routes require authentication
@@ -52,6 +53,12 @@ router.use(authenticate);
  *         schema:
  *           type: string
  *           format: date
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Branch to list (admins only; omit for all branches)
  *     responses:
  *       200:
  *         description: List of shifts with pagination
@@ -71,6 +78,8 @@ router.use(authenticate);
  */
 router.get(
   '/',
+  requirePermission('shifts.view'),
+  resolveBranchScope,
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
@@ -104,7 +113,7 @@ router.get(
  *                 shift:
  *                   $ref: '#/components/schemas/Shift'
  */
-router.get('/active', shiftController.getActiveShift);
+router.get('/active', requirePermission('shifts.view'), shiftController.getActiveShift);
 
 /**
  * @swagger
@@ -123,7 +132,7 @@ router.get('/active', shiftController.getActiveShift);
  *               drawerId:
  *                 type: string
  *                 format: uuid
- *                 description: Optional cash drawer to assign
+ *                 description: Cash drawer to work. Must be shared or assigned to the user; defaults to the user's assigned drawer
  *               openingBalances:
  *                 type: array
  *                 items:
@@ -139,10 +148,15 @@ router.get('/active', shiftController.getActiveShift);
  *       201:
  *         description: Shift started
  *       400:
- *         description: Already has active shift
+ *         description: Already has active shift, or no drawer assigned
+ *       403:
+ *         description: Drawer is assigned to another user
+ *       409:
+ *         description: Drawer already has an active shift
  */
 router.post(
   '/start',
+  requirePermission('shifts.manage'),
   [
     body('drawerId').optional().isUUID().withMessage('Invalid drawer ID'),
     body('openingBalances')
@@ -188,7 +202,7 @@ router.post(
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.get('/:uuid', shiftController.getShiftDetails);
+router.get('/:uuid', requirePermission('shifts.view'), shiftController.getShiftDetails);
 
 /**
  * @swagger
@@ -211,7 +225,7 @@ router.get('/:uuid', shiftController.getShiftDetails);
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.get('/:uuid/expected-balances', shiftController.getExpectedBalances);
+router.get('/:uuid/expected-balances', requirePermission('shifts.view'), shiftController.getExpectedBalances);
 
 /**
  * @swagger
@@ -255,6 +269,7 @@ router.get('/:uuid/expected-balances', shiftController.getExpectedBalances);
  */
 router.post(
   '/:uuid/end',
+  requirePermission('shifts.manage'),
   [
     body('closingBalances')
       .optional()
@@ -315,6 +330,7 @@ router.post(
  */
 router.post(
   '/:uuid/handover',
+  requirePermission('shifts.manage'),
   [
     body('toEmployeeUuid')
       .isUUID()
@@ -361,7 +377,7 @@ router.post(
  */
 router.post(
   '/:uuid/abandon',
-  authorize('admin'),
+  requirePermission('shifts.abandon'),
   [
     body('reason')
       .optional()
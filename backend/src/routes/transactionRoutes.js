@@ -7,11 +7,13 @@ const { body, query } = require('express-validator');
 const router = express.Router();
 const transactionController = require('../controllers/transactionController');
 const receiptController = require('../controllers/receiptController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { resolveBranchScope } = require('../middleware/branchScope');
 const { validate } = require('../middleware/validator');
 const multer = require('multer');
 const upload = multer({ dest: 'uploads/' });
 const importController = require('../controllers/importController');
+const { PAYMENT_METHODS } = require('../services/feeService');
 
 // All routes require authentication
 router.use(authenticate);
@@ -21,6 +23,7 @@ router.use(authenticate);
  * /transactions/import:
  *   post:
  *     summary: Bulk import transactions from CSV
+ *     description: Each row is evaluated by the compliance rule engine; blocked rows are reported as failures.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
@@ -39,7 +42,7 @@ router.use(authenticate);
  */
 router.post(
   '/import',
-  authorize('admin'), // Restrict to admins for safety
+  requirePermission('transactions.import'),
   upload.single('file'),
   importController.importTransactions
 );
@@ -78,7 +81,7 @@ router.post(
  *         name: status
  *         schema:
  *           type: string
- *           enum: [completed, cancelled, all]
+ *           enum: [completed, pending, cancelled, all]
  *       - in: query
  *         name: includeDeleted
  *         schema:
@@ -103,12 +106,13 @@ router.post(
  */
 router.get(
   '/',
+  requirePermission('transactions.view'),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
     query('startDate').optional().isDate().withMessage('Invalid start date format'),
     query('endDate').optional().isDate().withMessage('Invalid end date format'),
-    query('status').optional().isIn(['completed', 'cancelled', 'all']).withMessage('Invalid status'),
+    query('status').optional().isIn(['completed', 'pending', 'cancelled', 'all']).withMessage('Invalid status'),
     query('includeDeleted').optional().isBoolean().withMessage('includeDeleted must be boolean')
   ],
   validate,
@@ -120,6 +124,7 @@ router.get(
  * /transactions:
  *   post:
  *     summary: Create new transaction
+ *     description: Posts to the cash drawer of the teller's active shift and links the transaction to that shift.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
@@ -150,6 +155,11 @@ router.get(
  *                 enum: [passport, national_id, driver_license, other]
  *               customerIdNumber:
  *                 type: string
+ *               fundedByName:
+ *                 type: string
+ *                 description: Third party paying for the customer, if any; checked for one person funding many customers
+ *               fundedByIdNumber:
+ *                 type: string
  *               currencyInId:
  *                 type: integer
  *               currencyOutId:
@@ -162,19 +172,30 @@ router.get(
  *                 type: number
  *               marketRate:
  *                 type: number
- *               commission:
- *                 type: number
- *                 default: 0
+ *                 description: Only used when no official rate is in effect for the pair
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cash, card, bank_transfer, cheque, other]
+ *                 default: cash
+ *                 description: Selects the fee schedule; commission is computed by the fee engine
  *               notes:
  *                 type: string
+ *               rateOverrideReason:
+ *                 type: string
+ *                 description: Required when exchangeRate is outside the pair's tolerance band; holds the transaction for manager approval
+ *               quoteId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Unexpired quote from POST /transactions/quote; the deal is booked at its locked rate and commission
  *     responses:
  *       201:
- *         description: Transaction created
+ *         description: Transaction created (status is "pending" when a compliance rule or a rate override requires approval)
  *       400:
- *         description: Validation error
+ *         description: Validation error, amountOut not matching amountIn × rate, rate outside tolerance without a reason, expired, used or mismatched quote, no active shift or drawer, insufficient drawer funds, or blocked / missing ID per compliance rules
  */
 router.post(
   '/',
+  requirePermission('transactions.create'),
   [
     body('customerId')
       .optional()
@@ -199,6 +220,16 @@ router.post(
       .trim()
       .isLength({ max: 50 })
       .withMessage('ID number must be max 50 characters'),
+    body('fundedByName')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Funder name must be max 100 characters'),
+    body('fundedByIdNumber')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Funder ID number must be max 50 characters'),
     body('currencyInId').isInt({ min: 1 }).withMessage('Valid currency in ID is required'),
     body('currencyOutId').isInt({ min: 1 }).withMessage('Valid currency out ID is required'),
     body('amountIn')
@@ -214,15 +245,24 @@ router.post(
       .optional()
       .isFloat({ min: 0.000001 })
       .withMessage('Market rate must be a positive number'),
-    body('commission')
+    body('paymentMethod')
       .optional()
-      .isFloat({ min: 0 })
-      .withMessage('Commission must be non-negative'),
+      .isIn(PAYMENT_METHODS)
+      .withMessage('Invalid payment method'),
     body('notes')
       .optional()
       .trim()
       .isLength({ max: 500 })
-      .withMessage('Notes must be max 500 characters')
+      .withMessage('Notes must be max 500 characters'),
+    body('rateOverrideReason')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Override reason must be 5-500 characters'),
+    body('quoteId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Quote ID must be a valid UUID')
   ],
   validate,
   (req, res, next) => {
@@ -238,6 +278,115 @@ router.post(
   transactionController.createTransaction
 );
 
+/**
+ * @swagger
+ * /transactions/quote:
+ *   post:
+ *     summary: Quote a rate to a customer
+ *     description: Locks the resolved sell rate, amount out and commission until the quote expires (QUOTE_EXPIRY_SECONDS, default 120). Pass the returned quoteId to POST /transactions to book the deal at that rate.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currencyInId
+ *               - currencyOutId
+ *               - amountIn
+ *             properties:
+ *               currencyInId:
+ *                 type: integer
+ *               currencyOutId:
+ *                 type: integer
+ *               amountIn:
+ *                 type: number
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cash, card, bank_transfer, cheque, other]
+ *                 default: cash
+ *                 description: Selects the fee schedule for the locked commission
+ *               customerId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: VIP customers get VIP fee schedules
+ *     responses:
+ *       201:
+ *         description: Quote with quoteId, buy/sell rate, exchange rate, amount out, commission and expiresAt
+ *       400:
+ *         description: Validation error, inactive currency or unknown customer
+ *       404:
+ *         description: No rate can be resolved for the pair
+ */
+router.post(
+  '/quote',
+  requirePermission('transactions.create'),
+  [
+    body('currencyInId').isInt({ min: 1 }).withMessage('Valid currency in ID is required'),
+    body('currencyOutId').isInt({ min: 1 }).withMessage('Valid currency out ID is required'),
+    body('amountIn')
+      .isFloat({ min: 0.01 })
+      .withMessage('Amount in must be a positive number'),
+    body('paymentMethod')
+      .optional()
+      .isIn(PAYMENT_METHODS)
+      .withMessage('Invalid payment method'),
+    body('customerId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Customer ID must be a valid UUID')
+  ],
+  validate,
+  transactionController.createQuote
+);
+
+/**
+ * @swagger
+ * /transactions/approvals:
+ *   get:
+ *     summary: Get transactions held for manager approval (manager/admin)
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Branch to list (admins only; omit for all branches)
+ *     responses:
+ *       200:
+ *         description: Pending transactions of the caller's branch, oldest first
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get(
+  '/approvals',
+  requirePermission('transactions.approve'),
+  resolveBranchScope,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100')
+  ],
+  validate,
+  transactionController.getApprovalQueue
+);
+
 /**
  * @swagger
  * /transactions/{uuid}:
@@ -259,13 +408,14 @@ router.post(
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.get('/:uuid', transactionController.getTransaction);
+router.get('/:uuid', requirePermission('transactions.view'), transactionController.getTransaction);
 
 /**
  * @swagger
  * /transactions/{uuid}:
  *   put:
- *     summary: Update transaction (editable fields only)
+ *     summary: Update transaction
+ *     description: Changing amounts, rates or currencies re-runs the amount and rate-band checks of create and recomputes profit. For completed transactions the difference is posted to the cash drawer ledger and the out currency is re-checked for sufficient funds; an out-of-band rate takes the deal back out of the drawer and holds it for manager approval.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
@@ -298,16 +448,37 @@ router.get('/:uuid', transactionController.getTransaction);
  *                 enum: [cash, card, bank_transfer, cheque, other]
  *               referenceNumber:
  *                 type: string
+ *               currencyInId:
+ *                 type: integer
+ *               currencyOutId:
+ *                 type: integer
+ *               amountIn:
+ *                 type: number
+ *               amountOut:
+ *                 type: number
+ *               exchangeRate:
+ *                 type: number
+ *               marketRate:
+ *                 type: number
+ *               commission:
+ *                 type: number
+ *                 description: Manual commission (requires fees.manage). Without it, changing amountIn, the currency pair or paymentMethod recomputes the commission with the fee engine
+ *               rateOverrideReason:
+ *                 type: string
+ *                 description: Required when the edited exchangeRate is outside the pair's tolerance band; holds the transaction for manager approval
  *     responses:
  *       200:
- *         description: Transaction updated
+ *         description: Transaction updated, or held for approval when the rate was overridden
  *       400:
- *         description: Cannot update cancelled transaction or validation error
+ *         description: Cannot update cancelled transaction, amount out does not match the rate, rate outside the tolerance band without a reason, insufficient drawer funds or validation error
+ *       403:
+ *         description: Manual commission without fees.manage
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
 router.put(
   '/:uuid',
+  requirePermission('transactions.edit'),
   [
     body('customerName')
       .optional()
@@ -335,13 +506,40 @@ router.put(
       .withMessage('Notes must be max 500 characters'),
     body('paymentMethod')
       .optional()
-      .isIn(['cash', 'card', 'bank_transfer', 'cheque', 'other'])
+      .isIn(PAYMENT_METHODS)
       .withMessage('Invalid payment method'),
     body('referenceNumber')
       .optional()
       .trim()
       .isLength({ max: 100 })
-      .withMessage('Reference number must be max 100 characters')
+      .withMessage('Reference number must be max 100 characters'),
+    body('currencyInId').optional().isInt({ min: 1 }).withMessage('Valid currency in ID is required'),
+    body('currencyOutId').optional().isInt({ min: 1 }).withMessage('Valid currency out ID is required'),
+    body('amountIn')
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage('Amount in must be a positive number'),
+    body('amountOut')
+      .optional()
+      .isFloat({ min: 0.01 })
+      .withMessage('Amount out must be a positive number'),
+    body('exchangeRate')
+      .optional()
+      .isFloat({ min: 0.000001 })
+      .withMessage('Exchange rate must be a positive number'),
+    body('marketRate')
+      .optional()
+      .isFloat({ min: 0.000001 })
+      .withMessage('Market rate must be a positive number'),
+    body('commission')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Commission must be non-negative'),
+    body('rateOverrideReason')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage('Override reason must be 5-500 characters')
   ],
   validate,
   transactionController.updateTransaction
@@ -393,6 +591,7 @@ router.put(
  */
 router.get(
   '/:uuid/receipt',
+  requirePermission('transactions.view'),
   [
     query('type')
       .optional()
@@ -456,6 +655,7 @@ router.get(
  */
 router.post(
   '/:uuid/receipt/email',
+  requirePermission('transactions.view'),
   [
     body('email')
       .isEmail()
@@ -494,7 +694,7 @@ router.post(
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.get('/:uuid/receipt/history', receiptController.getReceiptHistory);
+router.get('/:uuid/receipt/history', requirePermission('transactions.view'), receiptController.getReceiptHistory);
 
 /**
  * @swagger
@@ -537,6 +737,7 @@ router.get('/:uuid/receipt/history', receiptController.getReceiptHistory);
  */
 router.post(
   '/:uuid/receipt/log',
+  requirePermission('transactions.view'),
   [
     body('action')
       .isIn(['view', 'download', 'print'])
@@ -559,6 +760,7 @@ router.post(
  * /transactions/{uuid}/cancel:
  *   post:
  *     summary: Cancel transaction
+ *     description: Completed transactions are reversed in the cash drawer with compensating ledger entries, and customer stats and the shift summary are rolled back.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
@@ -582,12 +784,13 @@ router.post(
  *       200:
  *         description: Transaction cancelled
  *       400:
- *         description: Transaction already cancelled
+ *         description: Transaction already cancelled, or the drawer cannot cover the reversal
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
 router.post(
   '/:uuid/cancel',
+  requirePermission('transactions.cancel'),
   [
     body('reason')
       .optional()
@@ -599,11 +802,116 @@ router.post(
   transactionController.cancelTransaction
 );
 
+/**
+ * @swagger
+ * /transactions/{uuid}/approve:
+ *   post:
+ *     summary: Approve a pending transaction and post it to the cash drawer (manager/admin)
+ *     description: The approver must be a different user from the one who created the transaction.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 maxLength: 255
+ *     responses:
+ *       200:
+ *         description: Transaction approved
+ *       400:
+ *         description: Transaction is not pending or drawer has insufficient funds
+ *       403:
+ *         description: Approver created the transaction or lacks the role
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post(
+  '/:uuid/approve',
+  requirePermission('transactions.approve'),
+  [
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Notes must be max 255 characters')
+  ],
+  validate,
+  transactionController.approveTransaction
+);
+
+/**
+ * @swagger
+ * /transactions/{uuid}/reject:
+ *   post:
+ *     summary: Reject a pending transaction (manager/admin)
+ *     description: The reviewer must be a different user from the one who created the transaction.
+ *     tags: [Transactions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 255
+ *     responses:
+ *       200:
+ *         description: Transaction rejected
+ *       400:
+ *         description: Transaction is not pending
+ *       403:
+ *         description: Reviewer created the transaction or lacks the role
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Transaction was already reviewed
+ */
+router.post(
+  '/:uuid/reject',
+  requirePermission('transactions.approve'),
+  [
+    body('reason')
+      .trim()
+      .notEmpty()
+      .withMessage('Rejection reason is required')
+      .isLength({ max: 255 })
+      .withMessage('Reason must be max 255 characters')
+  ],
+  validate,
+  transactionController.rejectTransaction
+);
+
 /**
  * @swagger
  * /transactions/{uuid}:
  *   delete:
  *     summary: Soft delete transaction (admin only)
+ *     description: Completed transactions are reversed the same way as a cancellation before being hidden.
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
@@ -633,7 +941,7 @@ router.post(
  */
 router.delete(
   '/:uuid',
-  authorize('admin'),
+  requirePermission('transactions.delete'),
   [
     body('reason')
       .optional()
@@ -6,7 +6,8 @@ const express = require('express');
 const { body } = require('express-validator');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { authenticate, authorize } = require('../middleware/auth');
+const twoFactorController = require('../controllers/twoFactorController');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validate } = require('../middleware/validator');
 
 // All routes require authentication
@@ -24,7 +25,7 @@ router.use(authenticate);
  *       200:
  *         description: List of employees (limited data)
  */
-router.get('/employees', userController.getEmployeeList);
+router.get('/employees', requirePermission('transactions.view'), userController.getEmployeeList);
 
 /**
  * @swagger
@@ -53,7 +54,7 @@ router.get('/employees', userController.getEmployeeList);
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get('/', authorize('admin'), userController.getUsers);
+router.get('/', requirePermission('users.view'), userController.getUsers);
 
 /**
  * @swagger
@@ -92,8 +93,12 @@ router.get('/', authorize('admin'), userController.getUsers);
  *                 maxLength: 100
  *               role:
  *                 type: string
- *                 enum: [admin, employee]
+ *                 description: Role code (built-in or custom, see /permissions/roles)
  *                 default: employee
+ *               branchId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Required for every role except admin
  *     responses:
  *       201:
  *         description: User created
@@ -104,7 +109,7 @@ router.get('/', authorize('admin'), userController.getUsers);
  */
 router.post(
   '/',
-  authorize('admin'),
+  requirePermission('users.create'),
   [
     body('username')
       .isLength({ min: 3, max: 50 })
@@ -120,8 +125,9 @@ router.post(
       .withMessage('Full name must be 2-100 characters'),
     body('role')
       .optional()
-      .isIn(['admin', 'manager', 'teller', 'viewer', 'employee'])
-      .withMessage('Role must be admin, manager, teller, viewer, or employee')
+      .matches(/^[a-z][a-z0-9_]{1,49}$/)
+      .withMessage('Invalid role'),
+    body('branchId').optional({ nullable: true }).isUUID().withMessage('Invalid branch ID')
   ],
   validate,
   userController.createUser
@@ -155,9 +161,14 @@ router.post(
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [admin, employee]
+ *                 description: Role code (built-in or custom, see /permissions/roles)
  *               isActive:
  *                 type: boolean
+ *               branchId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: null leaves an admin without a branch (all branches)
  *     responses:
  *       200:
  *         description: User updated
@@ -166,7 +177,7 @@ router.post(
  */
 router.put(
   '/:uuid',
-  authorize('admin'),
+  requirePermission('users.edit'),
   [
     body('email').optional().isEmail().withMessage('Valid email is required'),
     body('fullName')
@@ -175,9 +186,10 @@ router.put(
       .withMessage('Full name must be 2-100 characters'),
     body('role')
       .optional()
-      .isIn(['admin', 'manager', 'teller', 'viewer', 'employee'])
-      .withMessage('Role must be admin, manager, teller, viewer, or employee'),
-    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+      .matches(/^[a-z][a-z0-9_]{1,49}$/)
+      .withMessage('Invalid role'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    body('branchId').optional({ nullable: true }).isUUID().withMessage('Invalid branch ID')
   ],
   validate,
   userController.updateUser
@@ -218,7 +230,7 @@ router.put(
  */
 router.put(
   '/:uuid/reset-password',
-  authorize('admin'),
+  requirePermission('users.edit'),
   [
     body('newPassword')
       .isLength({ min: 6 })
@@ -228,4 +240,33 @@ router.put(
   userController.resetUserPassword
 );
 
+/**
+ * @swagger
+ * /users/{uuid}/two-factor/reset:
+ *   post:
+ *     summary: Reset a user's two-factor authentication (lost device)
+ *     description: Removes the user's authenticator and recovery codes and signs them out everywhere.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       400:
+ *         description: Two-factor authentication not set up for the user
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post(
+  '/:uuid/two-factor/reset',
+  requirePermission('users.edit'),
+  twoFactorController.resetUser
+);
+
 module.exports = router;
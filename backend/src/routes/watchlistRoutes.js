@@ -0,0 +1,327 @@
+/**
+ * Watchlist Routes
+ * Sanctions/PEP list import, screening matches and their review
+ */
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const multer = require('multer');
+const upload = multer({ dest: 'uploads/' });
+const watchlistController = require('../controllers/watchlistController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validator');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /watchlists:
+ *   get:
+ *     summary: Get imported watchlists
+ *     tags: [Watchlists]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Watchlists with entry counts
+ */
+router.get('/', requirePermission('compliance.view'), watchlistController.getWatchlists);
+
+/**
+ * @swagger
+ * /watchlists/import:
+ *   post:
+ *     summary: Import a sanctions/PEP list from CSV or XML
+ *     description: |
+ *       CSV needs a name column; aliases, dateOfBirth, idNumber, nationality, reference and
+ *       remarks are optional (several aliases or IDs separated by ; or |). XML may be the UN
+ *       consolidated list or <entry> records. Pass watchlistUuid to replace an existing list.
+ *     tags: [Watchlists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               name:
+ *                 type: string
+ *               source:
+ *                 type: string
+ *               listType:
+ *                 type: string
+ *                 enum: [sanctions, pep, internal]
+ *               watchlistUuid:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       201:
+ *         description: List imported
+ *       200:
+ *         description: List replaced
+ *       400:
+ *         description: Invalid request or no entries in the file
+ */
+router.post(
+  '/import',
+  requirePermission('compliance.manage'),
+  upload.single('file'),
+  [
+    body('watchlistUuid').optional({ checkFalsy: true }).isUUID().withMessage('Invalid watchlist'),
+    body('name')
+      .if(body('watchlistUuid').isEmpty())
+      .trim().notEmpty().withMessage('List name is required')
+      .isLength({ max: 150 }).withMessage('List name max 150 chars'),
+    body('source').optional().trim().isLength({ max: 150 }).withMessage('Source max 150 chars'),
+    body('listType').optional().isIn(['sanctions', 'pep', 'internal']).withMessage('Invalid list type')
+  ],
+  validate,
+  watchlistController.importWatchlist
+);
+
+/**
+ * @swagger
+ * /watchlists/matches:
+ *   get:
+ *     summary: Get screening matches
+ *     tags: [Watchlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, cleared, confirmed]
+ *       - in: query
+ *         name: customerUuid
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Paginated matches
+ */
+router.get(
+  '/matches',
+  requirePermission('compliance.view'),
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('status').optional().isIn(['pending', 'cleared', 'confirmed']).withMessage('Invalid status'),
+    query('customerUuid').optional().isUUID().withMessage('Invalid customer')
+  ],
+  validate,
+  watchlistController.getMatches
+);
+
+/**
+ * @swagger
+ * /watchlists/matches/{uuid}/review:
+ *   post:
+ *     summary: Clear or confirm a screening match
+ *     description: Clearing releases the customer or walk-in name and closes the alert as a false positive. Confirming blocks the customer and escalates the alert.
+ *     tags: [Watchlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *               - notes
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [cleared, confirmed]
+ *               notes:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Match reviewed
+ *       400:
+ *         description: Match already reviewed
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post(
+  '/matches/:uuid/review',
+  requirePermission('compliance.review'),
+  [
+    param('uuid').isUUID().withMessage('Invalid match'),
+    body('decision').isIn(['cleared', 'confirmed']).withMessage('Invalid decision'),
+    body('notes').trim().notEmpty().withMessage('Notes are required')
+      .isLength({ max: 1000 }).withMessage('Notes max 1000 chars')
+  ],
+  validate,
+  watchlistController.reviewMatch
+);
+
+/**
+ * @swagger
+ * /watchlists/screen:
+ *   post:
+ *     summary: Check a name against the active lists without recording anything
+ *     tags: [Watchlists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               dateOfBirth:
+ *                 type: string
+ *                 format: date
+ *               idNumber:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Possible matches, best first
+ */
+router.post(
+  '/screen',
+  requirePermission('compliance.view'),
+  [
+    body('name').trim().notEmpty().withMessage('Name is required')
+      .isLength({ max: 255 }).withMessage('Name max 255 chars'),
+    body('dateOfBirth').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid date of birth'),
+    body('idNumber').optional().trim().isLength({ max: 100 }).withMessage('ID number max 100 chars')
+  ],
+  validate,
+  watchlistController.screenName
+);
+
+/**
+ * @swagger
+ * /watchlists/{uuid}/entries:
+ *   get:
+ *     summary: Get the entries of a watchlist
+ *     tags: [Watchlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Paginated entries
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get(
+  '/:uuid/entries',
+  requirePermission('compliance.view'),
+  [
+    param('uuid').isUUID().withMessage('Invalid watchlist'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('search').optional().trim().isLength({ max: 100 }).withMessage('Search max 100 chars')
+  ],
+  validate,
+  watchlistController.getWatchlistEntries
+);
+
+/**
+ * @swagger
+ * /watchlists/{uuid}:
+ *   patch:
+ *     summary: Activate or deactivate a watchlist
+ *     tags: [Watchlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Watchlist updated
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.patch(
+  '/:uuid',
+  requirePermission('compliance.manage'),
+  [
+    param('uuid').isUUID().withMessage('Invalid watchlist'),
+    body('isActive').isBoolean().withMessage('isActive must be a boolean')
+  ],
+  validate,
+  watchlistController.toggleWatchlist
+);
+
+/**
+ * @swagger
+ * /watchlists/{uuid}:
+ *   delete:
+ *     summary: Delete a watchlist with its entries and matches
+ *     tags: [Watchlists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uuid
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Watchlist deleted
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete(
+  '/:uuid',
+  requirePermission('compliance.manage'),
+  [param('uuid').isUUID().withMessage('Invalid watchlist')],
+  validate,
+  watchlistController.deleteWatchlist
+);
+
+module.exports = router;
@@ -0,0 +1,167 @@
+/**
+ * Cross Rate Service
+ * Resolves a rate for any currency pair from the live rate sheet: the pair's own rate,
+ * the inverse of the opposite pair, or a cross rate derived through the base currency.
+ * Derived rates are widened by the most specific matching spread rule.
+ */
+const { parseDecimal } = require('../utils/helpers');
+
+/**
+ * Invert a rate: buying X for Y is selling Y for X
+ * @param {{buyRate: number, sellRate: number}} rate
+ * @returns {{buyRate: number, sellRate: number}}
+ */
+const invertRate = ({ buyRate, sellRate }) => ({
+  buyRate: parseDecimal(1 / sellRate, 6),
+  sellRate: parseDecimal(1 / buyRate, 6)
+});
+
+/**
+ * Chain two legs (A->B then B->C) into an A->C rate
+ * @param {{buyRate: number, sellRate: number}} first
+ * @param {{buyRate: number, sellRate: number}} second
+ * @returns {{buyRate: number, sellRate: number}}
+ */
+const combineRates = (first, second) => ({
+  buyRate: parseDecimal(first.buyRate * second.buyRate, 6),
+  sellRate: parseDecimal(first.sellRate * second.sellRate, 6)
+});
+
+/**
+ * Widen a rate by a spread: the buy rate goes down and the sell rate up
+ * @param {{buyRate: number, sellRate: number}} rate
+ * @param {number} spreadPercent
+ * @returns {{buyRate: number, sellRate: number}}
+ */
+const applySpread = ({ buyRate, sellRate }, spreadPercent) => ({
+  buyRate: parseDecimal(buyRate * (1 - spreadPercent / 100), 6),
+  sellRate: parseDecimal(sellRate * (1 + spreadPercent / 100), 6)
+});
+
+/**
+ * Get the base currency, or null when none is set
+ * @param {Object} connection - Pool or connection
+ * @returns {Promise<{id: number, code: string}|null>}
+ */
+const getBaseCurrency = async (connection) => {
+  const [rows] = await connection.query(
+    'SELECT id, code FROM currencies WHERE is_base = TRUE AND is_active = TRUE LIMIT 1'
+  );
+  return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Get the spread for a derived pair. An exact pair rule beats a rule on either
+ * currency alone, which beats the default rule (both currencies NULL).
+ * @param {Object} connection - Pool or connection
+ * @param {number} fromCurrencyId
+ * @param {number} toCurrencyId
+ * @returns {Promise<number>} Spread in percent, 0 when no rule matches
+ */
+const getSpreadPercent = async (connection, fromCurrencyId, toCurrencyId) => {
+  const [rules] = await connection.query(
+    `SELECT spread_percent FROM rate_spread_rules
+     WHERE (from_currency_id = ? OR from_currency_id IS NULL)
+       AND (to_currency_id = ? OR to_currency_id IS NULL)
+     ORDER BY (from_currency_id IS NOT NULL) + (to_currency_id IS NOT NULL) DESC,
+       from_currency_id IS NULL
+     LIMIT 1`,
+    [fromCurrencyId, toCurrencyId]
+  );
+  return rules.length > 0 ? parseDecimal(rules[0].spread_percent, 3) : 0;
+};
+
+/**
+ * Load the live rates in effect for a branch, keyed by "from:to".
+ * A branch's own rate overrides the default for the same pair.
+ * @param {Object} connection - Pool or connection
+ * @param {number|null} branchId
+ * @returns {Promise<Map<string, {buyRate: number, sellRate: number, versionId: number|null}>>}
+ */
+const loadRateSheet = async (connection, branchId) => {
+  const [rates] = await connection.query(
+    `SELECT from_currency_id, to_currency_id, branch_id, buy_rate, sell_rate, version_id
+     FROM exchange_rates
+     WHERE branch_id IS NULL OR branch_id = ?
+     ORDER BY branch_id IS NOT NULL`,
+    [branchId]
+  );
+
+  const sheet = new Map();
+  for (const r of rates) {
+    // Branch rows come last and replace the default
+    sheet.set(`${r.from_currency_id}:${r.to_currency_id}`, {
+      buyRate: parseDecimal(r.buy_rate, 6),
+      sellRate: parseDecimal(r.sell_rate, 6),
+      versionId: r.version_id
+    });
+  }
+  return sheet;
+};
+
+/**
+ * Look up a pair in the sheet directly or as the inverse of the opposite pair
+ * @returns {{buyRate: number, sellRate: number, source: string, versionId: number|null}|null}
+ */
+const findLeg = (sheet, fromCurrencyId, toCurrencyId) => {
+  const direct = sheet.get(`${fromCurrencyId}:${toCurrencyId}`);
+  if (direct) {
+    return { buyRate: direct.buyRate, sellRate: direct.sellRate, source: 'direct', versionId: direct.versionId };
+  }
+
+  const opposite = sheet.get(`${toCurrencyId}:${fromCurrencyId}`);
+  if (opposite) {
+    return { ...invertRate(opposite), source: 'inverse', versionId: null };
+  }
+
+  return null;
+};
+
+/**
+ * Resolve the rate for a pair
+ * @param {Object} connection - Pool or connection
+ * @param {number} fromCurrencyId
+ * @param {number} toCurrencyId
+ * @param {number|null} branchId - Branch whose rate sheet applies; null for the defaults
+ * @returns {Promise<Object|null>} { buyRate, sellRate, source, derived, via, spreadPercent, versionId },
+ *   where source is 'direct', 'inverse' or 'derived'; null when no rate can be resolved
+ */
+const resolveRate = async (connection, fromCurrencyId, toCurrencyId, branchId = null) => {
+  const sheet = await loadRateSheet(connection, branchId);
+
+  const leg = findLeg(sheet, fromCurrencyId, toCurrencyId);
+  if (leg) {
+    return { ...leg, derived: false, via: null, spreadPercent: 0 };
+  }
+
+  const base = await getBaseCurrency(connection);
+  if (!base || base.id === fromCurrencyId || base.id === toCurrencyId) {
+    return null;
+  }
+
+  const toBase = findLeg(sheet, fromCurrencyId, base.id);
+  const fromBase = findLeg(sheet, base.id, toCurrencyId);
+  if (!toBase || !fromBase) {
+    return null;
+  }
+
+  const spreadPercent = await getSpreadPercent(connection, fromCurrencyId, toCurrencyId);
+
+  return {
+    ...applySpread(combineRates(toBase, fromBase), spreadPercent),
+    source: 'derived',
+    derived: true,
+    via: { id: base.id, code: base.code },
+    spreadPercent,
+    versionId: null
+  };
+};
+
+module.exports = {
+  invertRate,
+  combineRates,
+  applySpread,
+  getBaseCurrency,
+  getSpreadPercent,
+  resolveRate
+};
@@ -0,0 +1,192 @@
+/**
+ * Drawer Ledger Service
+ * Applies cash movements to cash_drawer_balances and writes the matching
+ * cash_drawer_transactions row, so every balance change can be traced
+ */
+const { v4: uuidv4 } = require('uuid');
+const { parseDecimal } = require('../utils/helpers');
+
+/**
+ * SQL expression giving a ledger row's effect on the drawer balance.
+ * Adjustments are stored signed; every other type is a positive amount.
+ */
+const SIGNED_AMOUNT_SQL = `CASE
+  WHEN type IN ('deposit', 'transaction_in', 'transfer_in') THEN amount
+  WHEN type IN ('withdrawal', 'transaction_out', 'transfer_out') THEN -amount
+  ELSE amount
+END`;
+
+/**
+ * Build an error the global error handler turns into a 400 response
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const insufficientFundsError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Apply a signed change to a drawer balance and record it in the ledger.
+ * Must run inside the caller's DB transaction; the balance row is locked.
+ * @param {Object} connection - Connection with an open transaction
+ * @param {Object} entry - Ledger entry
+ * @param {number} entry.drawerId - Drawer ID
+ * @param {number} entry.currencyId - Currency ID
+ * @param {string} entry.type - cash_drawer_transactions.type
+ * @param {number} entry.change - Positive adds cash, negative removes it
+ * @param {string} [entry.referenceType] - Source record type (e.g. 'transaction')
+ * @param {string} [entry.referenceId] - Source record UUID
+ * @param {string} [entry.notes] - Free-text notes
+ * @param {number} entry.userId - User performing the movement
+ * @param {string} [entry.currencyCode] - Used in the insufficient funds message
+ * @param {boolean} [entry.allowNegative=false] - Skip the insufficient funds check
+ * @returns {Promise<{uuid: string, balanceBefore: number, balanceAfter: number}>}
+ */
+const postEntry = async (connection, {
+  drawerId,
+  currencyId,
+  type,
+  change,
+  referenceType = null,
+  referenceId = null,
+  notes = null,
+  userId,
+  currencyCode = '',
+  allowNegative = false
+}) => {
+  const [balances] = await connection.query(
+    'SELECT id, balance FROM cash_drawer_balances WHERE drawer_id = ? AND currency_id = ? FOR UPDATE',
+    [drawerId, currencyId]
+  );
+
+  const balanceBefore = balances.length > 0 ? parseDecimal(balances[0].balance) : 0;
+  const balanceAfter = parseDecimal(balanceBefore + parseDecimal(change));
+
+  if (balanceAfter < 0 && !allowNegative) {
+    const available = currencyCode ? `${balanceBefore} ${currencyCode}` : `${balanceBefore}`;
+    throw insufficientFundsError(
+      `Insufficient funds in cash drawer. Available: ${available}, Required: ${Math.abs(parseDecimal(change))}`
+    );
+  }
+
+  if (balances.length > 0) {
+    await connection.query(
+      'UPDATE cash_drawer_balances SET balance = ?, last_updated_by = ? WHERE id = ?',
+      [balanceAfter, userId, balances[0].id]
+    );
+  } else {
+    await connection.query(
+      'INSERT INTO cash_drawer_balances (drawer_id, currency_id, balance, last_updated_by) VALUES (?, ?, ?, ?)',
+      [drawerId, currencyId, balanceAfter, userId]
+    );
+  }
+
+  // Adjustments keep their sign; every other type is stored as a positive amount
+  const amount = type === 'adjustment' ? parseDecimal(change) : Math.abs(parseDecimal(change));
+  const uuid = uuidv4();
+
+  await connection.query(
+    `INSERT INTO cash_drawer_transactions
+     (uuid, drawer_id, currency_id, type, amount, balance_before, balance_after, reference_type, reference_id, notes, performed_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [uuid, drawerId, currencyId, type, amount, balanceBefore, balanceAfter, referenceType, referenceId, notes, userId]
+  );
+
+  return { uuid, balanceBefore, balanceAfter };
+};
+
+/**
+ * Replay the ledger per drawer/currency and compare it with cash_drawer_balances.
+ * Also counts chain breaks, where a row's balance_before does not match the
+ * previous row's balance_after.
+ * @param {Object} db - Pool or connection
+ * @param {number|null} [drawerId] - Limit the check to one drawer
+ * @returns {Promise<Array>} One result per drawer/currency pair
+ */
+const verifyLedger = async (db, drawerId = null) => {
+  const drawerFilter = drawerId ? 'WHERE drawer_id = ?' : '';
+  const params = drawerId ? [drawerId] : [];
+
+  const [ledgerTotals] = await db.query(`
+    SELECT drawer_id, currency_id, SUM(${SIGNED_AMOUNT_SQL}) as ledger_balance, COUNT(*) as entries
+    FROM cash_drawer_transactions
+    ${drawerFilter}
+    GROUP BY drawer_id, currency_id
+  `, params);
+
+  const [chainBreaks] = await db.query(`
+    SELECT drawer_id, currency_id, COUNT(*) as breaks
+    FROM (
+      SELECT drawer_id, currency_id, balance_before,
+        LAG(balance_after) OVER (PARTITION BY drawer_id, currency_id ORDER BY id) as previous_after
+      FROM cash_drawer_transactions
+      ${drawerFilter}
+    ) chain
+    WHERE previous_after IS NOT NULL AND previous_after <> balance_before
+    GROUP BY drawer_id, currency_id
+  `, params);
+
+  const [balances] = await db.query(`
+    SELECT cdb.drawer_id, cdb.currency_id, cdb.balance, cd.name as drawer_name, c.code as currency_code
+    FROM cash_drawer_balances cdb
+    JOIN cash_drawers cd ON cdb.drawer_id = cd.id
+    JOIN currencies c ON cdb.currency_id = c.id
+    ${drawerId ? 'WHERE cdb.drawer_id = ?' : ''}
+  `, params);
+
+  const key = (row) => `${row.drawer_id}:${row.currency_id}`;
+  const results = new Map();
+
+  for (const row of balances) {
+    results.set(key(row), {
+      drawerId: row.drawer_id,
+      drawerName: row.drawer_name,
+      currencyId: row.currency_id,
+      currencyCode: row.currency_code,
+      balance: parseDecimal(row.balance),
+      ledgerBalance: 0,
+      entries: 0,
+      chainBreaks: 0
+    });
+  }
+
+  for (const row of ledgerTotals) {
+    const result = results.get(key(row)) || {
+      drawerId: row.drawer_id,
+      drawerName: null,
+      currencyId: row.currency_id,
+      currencyCode: null,
+      balance: 0,
+      ledgerBalance: 0,
+      entries: 0,
+      chainBreaks: 0
+    };
+    result.ledgerBalance = parseDecimal(row.ledger_balance);
+    result.entries = Number(row.entries);
+    results.set(key(row), result);
+  }
+
+  for (const row of chainBreaks) {
+    const result = results.get(key(row));
+    if (result) {
+      result.chainBreaks = Number(row.breaks);
+    }
+  }
+
+  return Array.from(results.values()).map(result => {
+    const difference = parseDecimal(result.balance - result.ledgerBalance);
+    return {
+      ...result,
+      difference,
+      isConsistent: difference === 0 && result.chainBreaks === 0
+    };
+  });
+};
+
+module.exports = {
+  SIGNED_AMOUNT_SQL,
+  postEntry,
+  verifyLedger
+};
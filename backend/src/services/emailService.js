@@ -411,6 +411,43 @@ const sendReceiptEmail = async (to, transactionData) => {
   return sendEmail(to, subject, html);
 };
 
+/**
+ * Send customer portal password setup (invite) or reset email
+ * @param {string} to - Customer email address
+ * @param {object} data - { fullName, link, purpose: 'invite'|'reset', expiresIn }
+ * @returns {Promise<object>} Send result
+ */
+const sendCustomerPasswordEmail = async (to, { fullName, link, purpose, expiresIn }) => {
+  const isInvite = purpose === 'invite';
+  const subject = isInvite
+    ? 'Set up your United Exchange customer portal account'
+    : 'Reset your United Exchange customer portal password';
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <body style="font-family: Arial, sans-serif; padding: 20px;">
+      <h2>${isInvite ? 'Welcome to the Customer Portal' : 'Password Reset Request'}</h2>
+      <p>Hello ${fullName},</p>
+      <p>${isInvite
+    ? 'You have been invited to the United Exchange customer portal, where you can view your transactions and download receipts.'
+    : 'We received a request to reset your customer portal password.'}</p>
+
+      <p style="margin: 30px 0;">
+        <a href="${link}" style="background-color: #2563eb; color: #fff; padding: 12px 24px; border-radius: 5px; text-decoration: none;">
+          ${isInvite ? 'Set Your Password' : 'Reset Password'}
+        </a>
+      </p>
+
+      <p>This link expires in ${expiresIn} and can only be used once.</p>
+      ${isInvite ? '' : '<p>If you did not request a password reset, you can ignore this email.</p>'}
+    </body>
+    </html>
+  `;
+
+  return sendEmail(to, subject, html);
+};
+
 module.exports = {
   initTransporter,
   verifyConnection,
@@ -419,5 +456,6 @@ module.exports = {
   sendScheduleNotification,
   sendRateAlertEmail,
   sendReceiptEmail, // Export new function
+  sendCustomerPasswordEmail,
   generateReportEmailTemplate
 };
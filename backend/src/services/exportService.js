@@ -133,6 +133,150 @@ const exportService = {
     });
   },
 
+  /**
+   * Generate the narrative PDF of a suspicious activity report
+   * @param {Object} sar - Filing package from sarService.buildFilingPackage
+   */
+  generateSARNarrativePDF: (sar) => {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({ margin: 50 });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const section = (title) => {
+          if (doc.y > doc.page.height - 150) {
+            doc.addPage();
+          }
+          doc.moveDown();
+          doc.fontSize(13).font('Helvetica-Bold').text(title, 50, doc.y, { underline: true });
+          doc.moveDown(0.5);
+          doc.fontSize(10).font('Helvetica');
+        };
+        const field = (label, value) => {
+          if (value === null || value === undefined || value === '') return;
+          doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value));
+        };
+
+        // Header
+        doc.fontSize(20).font('Helvetica-Bold').text('Suspicious Activity Report', { align: 'center' });
+        doc.fontSize(12).font('Helvetica').text(sar.report.number || sar.report.uuid, { align: 'center' });
+        doc.moveDown(0.5);
+        doc.fontSize(10).text(`Generated: ${new Date(sar.generatedAt).toLocaleString()}`, { align: 'right' });
+
+        section('Reporting Entity');
+        field('Name', sar.reportingEntity.name);
+        field('Reporting entity ID', sar.reportingEntity.id);
+        field('License', sar.reportingEntity.licenseNumber);
+        field('Address', [sar.reportingEntity.address, sar.reportingEntity.city, sar.reportingEntity.country].filter(Boolean).join(', '));
+        field('Contact', [sar.reportingEntity.phone, sar.reportingEntity.email].filter(Boolean).join(' / '));
+
+        section('Report');
+        field('Status', sar.report.status);
+        field('Suspicion', sar.report.suspicionType);
+        field('Risk level', sar.report.riskLevel);
+        if (sar.report.activityFrom || sar.report.activityTo) {
+          field('Activity period', `${sar.report.activityFrom || '?'} to ${sar.report.activityTo || '?'}`);
+        }
+        field('Prepared by', sar.report.preparedBy);
+        field('Submitted by', sar.report.submittedBy);
+
+        section('Subject');
+        if (sar.subject) {
+          field('Name', sar.subject.name);
+          field('Date of birth', sar.subject.dateOfBirth);
+          field('ID', [sar.subject.idType, sar.subject.idNumber].filter(Boolean).join(' '));
+          field('ID expiry', sar.subject.idExpiry);
+          field('Phone', sar.subject.phone);
+          field('Email', sar.subject.email);
+          field('Address', sar.subject.address);
+        } else {
+          doc.text('No customer on record.');
+        }
+
+        section('Narrative');
+        doc.text(sar.report.narrative, { align: 'justify' });
+        if (sar.report.actionTaken) {
+          doc.moveDown(0.5);
+          field('Action taken', sar.report.actionTaken);
+        }
+
+        section(`Transactions (${sar.transactions.length})`);
+        if (sar.transactions.length === 0) {
+          doc.text('None linked.');
+        }
+        const columns = [
+          { header: 'Date', width: 95, value: tx => new Date(tx.date).toLocaleString() },
+          { header: 'Number', width: 95, value: tx => tx.number || '' },
+          { header: 'Paid in', width: 85, value: tx => `${tx.amountIn} ${tx.currencyIn}` },
+          { header: 'Paid out', width: 85, value: tx => `${tx.amountOut} ${tx.currencyOut}` },
+          { header: 'Teller', width: 75, value: tx => tx.teller || '' },
+          { header: 'Paid by', width: 75, value: tx => tx.fundedBy || '' }
+        ];
+        const row = (cells, bold) => {
+          if (doc.y > doc.page.height - 100) {
+            doc.addPage();
+          }
+          const y = doc.y;
+          let x = 50;
+          doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+          let bottom = y;
+          cells.forEach((cell, i) => {
+            doc.text(cell, x, y, { width: columns[i].width - 5 });
+            bottom = Math.max(bottom, doc.y);
+            x += columns[i].width;
+          });
+          doc.x = 50;
+          doc.y = bottom + 3;
+        };
+        if (sar.transactions.length > 0) {
+          row(columns.map(c => c.header), true);
+          sar.transactions.forEach(tx => row(columns.map(c => c.value(tx)), false));
+          doc.fontSize(10).font('Helvetica').moveDown(0.5);
+          sar.totals.forEach(total => field(`Total ${total.currency}`, `${total.amountIn} in ${total.count} transaction(s)`));
+        }
+
+        section(`Alerts (${sar.alerts.length})`);
+        sar.alerts.forEach(alert => {
+          doc.text(`[${alert.severity}] ${alert.type}: ${alert.description}`);
+        });
+        if (sar.alerts.length === 0) {
+          doc.text('None linked.');
+        }
+
+        section(`Attachments (${sar.attachments.length})`);
+        sar.attachments.forEach(attachment => {
+          doc.text(`${attachment.fileName} (${attachment.category})${attachment.description ? ` - ${attachment.description}` : ''}`);
+        });
+        if (sar.attachments.length === 0) {
+          doc.text('None.');
+        }
+
+        section('Sign-off');
+        if (sar.report.signOff) {
+          field('Reviewer', sar.report.signOff.reviewer);
+          field('Signed', new Date(sar.report.signOff.signedAt).toLocaleString());
+          field('Outcome', sar.report.signOff.outcome === 'filed' ? 'Filed with the FIU' : 'Not filed');
+          field('FIU reference', sar.report.signOff.fiuReference);
+          field('Notes', sar.report.signOff.notes);
+        } else {
+          doc.text('Not signed off.');
+        }
+
+        // Footer; inside the bottom margin, which would otherwise start a new page
+        doc.page.margins.bottom = 0;
+        doc.fontSize(8).text(`${sar.reportingEntity.name} - Confidential`, 50, doc.page.height - 50, { align: 'center' });
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  },
+
   /**
    * Format transaction data for export
    */
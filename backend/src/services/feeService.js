@@ -0,0 +1,104 @@
+/**
+ * Fee Service
+ * Computes the commission on a deal from the fee schedules. A schedule matches on
+ * currency pair, customer segment and payment method, each of which may be left open;
+ * the most specific active schedule wins. Fees are in the currency received.
+ */
+const { parseDecimal } = require('../utils/helpers');
+
+const PAYMENT_METHODS = ['cash', 'card', 'bank_transfer', 'cheque', 'other'];
+
+/**
+ * Normalise stored tiers (JSON column, returned as text by some drivers)
+ * @param {string|Array|null} tiers
+ * @returns {Array<{upTo: number|null, percentage: number, flatAmount: number}>}
+ */
+const parseTiers = (tiers) => {
+  const list = typeof tiers === 'string' ? JSON.parse(tiers) : (tiers || []);
+  return list.map(t => ({
+    upTo: t.upTo === null || t.upTo === undefined ? null : parseDecimal(t.upTo),
+    percentage: parseDecimal(t.percentage || 0, 3),
+    flatAmount: parseDecimal(t.flatAmount || 0)
+  }));
+};
+
+/**
+ * Compute the fee a schedule charges on an amount
+ * Tiers are bands, not marginal: the whole amount is charged at the first tier whose
+ * upTo covers it, or the last tier when the amount is above every limit.
+ * @param {Object} schedule - fee_schedules row
+ * @param {number} amountIn - Amount received, in the currency received
+ * @returns {number} Fee rounded to cents, clamped to min_fee / max_fee
+ */
+const computeFee = (schedule, amountIn) => {
+  const amount = parseDecimal(amountIn);
+  let fee = 0;
+
+  if (schedule.fee_type === 'flat') {
+    fee = parseDecimal(schedule.flat_amount);
+  } else if (schedule.fee_type === 'percentage') {
+    fee = amount * parseDecimal(schedule.percentage, 3) / 100;
+  } else if (schedule.fee_type === 'tiered') {
+    const tiers = parseTiers(schedule.tiers);
+    const tier = tiers.find(t => t.upTo === null || amount <= t.upTo) || tiers[tiers.length - 1];
+    if (tier) {
+      fee = tier.flatAmount + amount * tier.percentage / 100;
+    }
+  }
+
+  if (schedule.min_fee !== null && schedule.min_fee !== undefined) {
+    fee = Math.max(fee, parseDecimal(schedule.min_fee));
+  }
+  if (schedule.max_fee !== null && schedule.max_fee !== undefined) {
+    fee = Math.min(fee, parseDecimal(schedule.max_fee));
+  }
+
+  return parseDecimal(fee);
+};
+
+/**
+ * Find the schedule that applies to a deal
+ * Each matched criterion (currency in, currency out, segment, payment method) counts
+ * one point of specificity; ties go to the newest schedule.
+ * @param {Object} connection - Pool or connection
+ * @param {Object} deal - { currencyInId, currencyOutId, isVip, paymentMethod }
+ * @returns {Promise<Object|null>} fee_schedules row
+ */
+const findSchedule = async (connection, { currencyInId, currencyOutId, isVip, paymentMethod }) => {
+  const [schedules] = await connection.query(
+    `SELECT * FROM fee_schedules
+     WHERE is_active = TRUE
+       AND (currency_in_id = ? OR currency_in_id IS NULL)
+       AND (currency_out_id = ? OR currency_out_id IS NULL)
+       AND customer_segment IN ('all', ?)
+       AND (payment_method = ? OR payment_method IS NULL)
+     ORDER BY (currency_in_id IS NOT NULL) + (currency_out_id IS NOT NULL)
+       + (customer_segment <> 'all') + (payment_method IS NOT NULL) DESC,
+       id DESC
+     LIMIT 1`,
+    [currencyInId, currencyOutId, isVip ? 'vip' : 'regular', paymentMethod || 'cash']
+  );
+  return schedules.length > 0 ? schedules[0] : null;
+};
+
+/**
+ * Compute the commission for a deal
+ * @param {Object} connection - Pool or connection
+ * @param {Object} deal - { currencyInId, currencyOutId, amountIn, isVip, paymentMethod }
+ * @returns {Promise<{commission: number, schedule: Object|null}>} Commission 0 when no schedule applies
+ */
+const calculateCommission = async (connection, deal) => {
+  const schedule = await findSchedule(connection, deal);
+  return {
+    commission: schedule ? computeFee(schedule, deal.amountIn) : 0,
+    schedule
+  };
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  parseTiers,
+  computeFee,
+  findSchedule,
+  calculateCommission
+};
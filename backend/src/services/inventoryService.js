@@ -0,0 +1,282 @@
+/**
+ * Inventory Service
+ * Keeps each drawer's currency holdings at weighted average cost, valued in the base
+ * currency. Currency bought goes into the position at the price paid for it; currency
+ * sold leaves at the average cost, and the difference to what was received for it is
+ * the realized profit. Open positions are revalued at current mid rates for unrealized
+ * profit. Nothing is tracked while no base currency is set.
+ */
+const { parseDecimal } = require('../utils/helpers');
+const { getBaseCurrency, resolveRate } = require('./crossRateService');
+
+/**
+ * Current value of one unit of a currency in the base currency (mid rate)
+ * @param {Object} connection - Pool or connection
+ * @param {number} currencyId
+ * @param {{id: number}} baseCurrency
+ * @param {number|null} [branchId] - Branch whose rate sheet applies
+ * @returns {Promise<number|null>} null when the currency has no rate to the base currency
+ */
+const getUnitValue = async (connection, currencyId, baseCurrency, branchId = null) => {
+  if (currencyId === baseCurrency.id) {
+    return 1;
+  }
+  const rate = await resolveRate(connection, currencyId, baseCurrency.id, branchId);
+  return rate ? parseDecimal((rate.buyRate + rate.sellRate) / 2, 8) : null;
+};
+
+/**
+ * Lock a drawer's position in a currency
+ * @param {Object} connection - Connection inside a transaction
+ * @param {number} drawerId
+ * @param {number} currencyId
+ * @returns {Promise<{quantity: number, avgCost: number}>} Zero position when none exists yet
+ */
+const lockPosition = async (connection, drawerId, currencyId) => {
+  const [positions] = await connection.query(
+    'SELECT quantity, avg_cost FROM currency_positions WHERE drawer_id = ? AND currency_id = ? FOR UPDATE',
+    [drawerId, currencyId]
+  );
+  return positions.length > 0
+    ? { quantity: parseDecimal(positions[0].quantity), avgCost: parseDecimal(positions[0].avg_cost, 8) }
+    : { quantity: 0, avgCost: 0 };
+};
+
+/**
+ * Move currency in or out of a position
+ * Additions are blended into the average cost; removals leave it unchanged and
+ * take out the average cost. A position without holdings takes its cost from unitCost.
+ * @param {Object} connection - Connection inside a transaction
+ * @param {Object} movement
+ * @param {number} movement.drawerId
+ * @param {number} movement.currencyId
+ * @param {number} movement.change - Positive adds currency, negative removes it
+ * @param {number|null} [movement.unitCost] - Base currency per unit; null keeps the average cost
+ * @returns {Promise<{cost: number, avgCost: number}>} Base currency value moved, and the average cost after
+ */
+const applyMovement = async (connection, { drawerId, currencyId, change, unitCost = null }) => {
+  const position = await lockPosition(connection, drawerId, currencyId);
+  const amount = parseDecimal(change);
+  const quantity = parseDecimal(position.quantity + amount);
+  const hasHoldings = position.quantity > 0;
+
+  let avgCost = position.avgCost;
+  let unit;
+
+  if (amount > 0) {
+    unit = unitCost !== null ? unitCost : avgCost;
+    avgCost = hasHoldings && quantity > 0
+      ? parseDecimal((position.quantity * position.avgCost + amount * unit) / quantity, 8)
+      : parseDecimal(unit, 8);
+  } else {
+    unit = hasHoldings || unitCost === null ? avgCost : unitCost;
+    if (!hasHoldings && unitCost !== null) {
+      avgCost = parseDecimal(unitCost, 8);
+    }
+  }
+
+  await connection.query(
+    `INSERT INTO currency_positions (drawer_id, currency_id, quantity, avg_cost)
+     VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE quantity = VALUES(quantity), avg_cost = VALUES(avg_cost)`,
+    [drawerId, currencyId, quantity, avgCost]
+  );
+
+  return { cost: parseDecimal(Math.abs(amount) * unit), avgCost };
+};
+
+/**
+ * Record a cash movement that is not a deal (deposit, withdrawal, adjustment, transfer)
+ * Deposits come in at the current market value unless a unit cost is given.
+ * @param {Object} connection - Connection inside a transaction
+ * @param {Object} movement - { drawerId, currencyId, change, unitCost, branchId }
+ * @returns {Promise<{cost: number, avgCost: number}|null>} null when no base currency is set
+ */
+const recordMovement = async (connection, { drawerId, currencyId, change, unitCost, branchId = null }) => {
+  const baseCurrency = await getBaseCurrency(connection);
+  if (!baseCurrency) {
+    return null;
+  }
+
+  const unit = unitCost !== undefined && unitCost !== null
+    ? unitCost
+    : await getUnitValue(connection, currencyId, baseCurrency, branchId);
+
+  return applyMovement(connection, { drawerId, currencyId, change, unitCost: unit });
+};
+
+/**
+ * Value a deal against the drawer's inventory
+ * The currency received is worth its current mid rate; the currency paid out costs
+ * its average cost, or its current value when the drawer holds none of it yet.
+ * @param {Object} connection - Pool or connection
+ * @param {Object} deal - { drawerId, branchId, currencyInId, currencyOutId, amountIn, amountOut }
+ * @param {boolean} [lock=false] - Lock the position being sold (when booking)
+ * @returns {Promise<{profit: number, costBasis: number, valueIn: number, unitCostOut: number}|null>}
+ *   null when no base currency is set or neither currency can be valued
+ */
+const valueDeal = async (connection, deal, lock = false) => {
+  const baseCurrency = await getBaseCurrency(connection);
+  if (!baseCurrency) {
+    return null;
+  }
+
+  const amountIn = parseDecimal(deal.amountIn);
+  const amountOut = parseDecimal(deal.amountOut);
+  const unitIn = await getUnitValue(connection, deal.currencyInId, baseCurrency, deal.branchId);
+  const unitOut = await getUnitValue(connection, deal.currencyOutId, baseCurrency, deal.branchId);
+
+  let position = { quantity: 0, avgCost: 0 };
+  if (deal.drawerId) {
+    if (lock) {
+      position = await lockPosition(connection, deal.drawerId, deal.currencyOutId);
+    } else {
+      const [positions] = await connection.query(
+        'SELECT quantity, avg_cost FROM currency_positions WHERE drawer_id = ? AND currency_id = ?',
+        [deal.drawerId, deal.currencyOutId]
+      );
+      if (positions.length > 0) {
+        position = { quantity: parseDecimal(positions[0].quantity), avgCost: parseDecimal(positions[0].avg_cost, 8) };
+      }
+    }
+  }
+
+  const unitCostOut = position.quantity > 0 ? position.avgCost : unitOut;
+  if (unitCostOut === null || (unitIn === null && unitOut === null)) {
+    return null;
+  }
+
+  // Without a rate for the currency received, it is taken at the market value of what was paid
+  const valueIn = unitIn !== null ? parseDecimal(amountIn * unitIn) : parseDecimal(amountOut * unitOut);
+  const costBasis = parseDecimal(amountOut * unitCostOut);
+
+  return {
+    profit: parseDecimal(valueIn - costBasis),
+    costBasis,
+    valueIn,
+    unitCostOut
+  };
+};
+
+/**
+ * Book a completed deal into the drawer's inventory
+ * @param {Object} connection - Connection inside a transaction
+ * @param {Object} deal - { drawerId, branchId, currencyInId, currencyOutId, amountIn, amountOut }
+ * @returns {Promise<{profit: number, costBasis: number, valueIn: number}|null>} Realized profit in the
+ *   base currency, or null when the deal cannot be valued (profit then falls back to the rate margin)
+ */
+const bookDeal = async (connection, deal) => {
+  const valued = await valueDeal(connection, deal, true);
+  if (!valued) {
+    return null;
+  }
+
+  await applyMovement(connection, {
+    drawerId: deal.drawerId,
+    currencyId: deal.currencyOutId,
+    change: -parseDecimal(deal.amountOut),
+    unitCost: valued.unitCostOut
+  });
+  await applyMovement(connection, {
+    drawerId: deal.drawerId,
+    currencyId: deal.currencyInId,
+    change: parseDecimal(deal.amountIn),
+    unitCost: parseDecimal(valued.valueIn / parseDecimal(deal.amountIn), 8)
+  });
+
+  return { profit: valued.profit, costBasis: valued.costBasis, valueIn: valued.valueIn };
+};
+
+/**
+ * Take a booked deal back out of the drawer's inventory (cancellation, deletion, edit)
+ * The currency paid out returns at the cost it left with; the currency received
+ * leaves at the current average cost.
+ * @param {Object} connection - Connection inside a transaction
+ * @param {number} drawerId
+ * @param {Object} transaction - transactions row with cost_basis set
+ */
+const reverseDeal = async (connection, drawerId, transaction) => {
+  if (transaction.cost_basis === null || transaction.cost_basis === undefined) {
+    return;
+  }
+
+  await applyMovement(connection, {
+    drawerId,
+    currencyId: transaction.currency_in_id,
+    change: -parseDecimal(transaction.amount_in)
+  });
+  await applyMovement(connection, {
+    drawerId,
+    currencyId: transaction.currency_out_id,
+    change: parseDecimal(transaction.amount_out),
+    unitCost: parseDecimal(parseDecimal(transaction.cost_basis) / parseDecimal(transaction.amount_out), 8)
+  });
+};
+
+/**
+ * Revalue open positions at current rates
+ * @param {Object} connection - Pool or connection
+ * @param {Object} [scope] - { sql, params } filter on the drawer's branch (alias d), from branchFilter
+ * @param {number|null} [branchId] - Branch whose rate sheet applies
+ * @returns {Promise<Object>} { baseCurrency, positions: [...], costValue, marketValue, unrealizedProfit }
+ */
+const getRevaluation = async (connection, scope = { sql: '', params: [] }, branchId = null) => {
+  const baseCurrency = await getBaseCurrency(connection);
+  if (!baseCurrency) {
+    return { baseCurrency: null, positions: [], costValue: 0, marketValue: 0, unrealizedProfit: 0 };
+  }
+
+  const [rows] = await connection.query(`
+    SELECT
+      c.id as currency_id,
+      c.code as currency_code,
+      SUM(p.quantity) as quantity,
+      SUM(p.quantity * p.avg_cost) as cost_value
+    FROM currency_positions p
+    JOIN cash_drawers d ON p.drawer_id = d.id
+    JOIN currencies c ON p.currency_id = c.id
+    WHERE p.quantity <> 0${scope.sql}
+    GROUP BY c.id
+    ORDER BY c.code
+  `, scope.params);
+
+  const positions = [];
+  for (const row of rows) {
+    const quantity = parseDecimal(row.quantity);
+    const costValue = parseDecimal(row.cost_value);
+    const unitValue = await getUnitValue(connection, row.currency_id, baseCurrency, branchId);
+    // Without a current rate a position is carried at cost
+    const marketValue = unitValue !== null ? parseDecimal(quantity * unitValue) : costValue;
+
+    positions.push({
+      currencyCode: row.currency_code,
+      quantity,
+      avgCost: quantity !== 0 ? parseDecimal(costValue / quantity, 8) : 0,
+      currentRate: unitValue,
+      costValue,
+      marketValue,
+      unrealizedProfit: parseDecimal(marketValue - costValue)
+    });
+  }
+
+  const costValue = parseDecimal(positions.reduce((sum, p) => sum + p.costValue, 0));
+  const marketValue = parseDecimal(positions.reduce((sum, p) => sum + p.marketValue, 0));
+
+  return {
+    baseCurrency: baseCurrency.code,
+    positions,
+    costValue,
+    marketValue,
+    unrealizedProfit: parseDecimal(marketValue - costValue)
+  };
+};
+
+module.exports = {
+  getUnitValue,
+  applyMovement,
+  recordMovement,
+  valueDeal,
+  bookDeal,
+  reverseDeal,
+  getRevaluation
+};
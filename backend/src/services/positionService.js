@@ -0,0 +1,239 @@
+/**
+ * Position Service
+ * Aggregates drawer balances into one position per currency, values it in the base
+ * currency at the current buy, sell and mid rates, and checks it against the
+ * configured long/short limits. Today's deals give the intraday movement.
+ */
+const { parseDecimal } = require('../utils/helpers');
+const companyConfig = require('../config/company');
+const { branchFilter } = require('../middleware/branchScope');
+const { getBaseCurrency, resolveRate } = require('./crossRateService');
+const { getRevaluation } = require('./inventoryService');
+
+/**
+ * Check a position against its limits
+ * Long positions are held against maxLong, short (negative) positions against maxShort.
+ * @param {number} quantity - Net position in units of the currency
+ * @param {{maxLong: number|null, maxShort: number|null}|null} limit
+ * @param {number} [warningPercent] - Share of the limit at which the position is flagged
+ * @returns {{status: string, side: string, limit: number|null, usedPercent: number|null}}
+ *   status is 'ok', 'warning', 'breached' or 'unlimited'
+ */
+const checkLimit = (quantity, limit, warningPercent = companyConfig.positions.warningPercent) => {
+  const side = quantity > 0 ? 'long' : quantity < 0 ? 'short' : 'flat';
+  const applicable = !limit ? null : side === 'short' ? limit.maxShort : side === 'long' ? limit.maxLong : null;
+
+  if (applicable === null || applicable === undefined) {
+    return { status: 'unlimited', side, limit: null, usedPercent: null };
+  }
+
+  const exposure = Math.abs(quantity);
+  const usedPercent = applicable > 0 ? parseDecimal((exposure / applicable) * 100) : exposure > 0 ? 100 : 0;
+  let status = 'ok';
+  if (exposure > applicable) {
+    status = 'breached';
+  } else if (usedPercent >= warningPercent) {
+    status = 'warning';
+  }
+
+  return { status, side, limit: applicable, usedPercent };
+};
+
+/**
+ * Limits that apply in a branch scope, by currency
+ * A branch uses its own limit for a currency and falls back to the consolidated one.
+ * @param {Object} connection - Pool or connection
+ * @param {number|null} branchId - null for the consolidated view
+ * @returns {Promise<Map<number, {uuid: string, maxLong: number|null, maxShort: number|null, branchId: number|null}>>}
+ */
+const getApplicableLimits = async (connection, branchId) => {
+  const [rows] = await connection.query(
+    `SELECT uuid, currency_id, branch_id, max_long, max_short
+     FROM position_limits
+     WHERE branch_id IS NULL${branchId ? ' OR branch_id = ?' : ''}`,
+    branchId ? [branchId] : []
+  );
+
+  const limits = new Map();
+  for (const row of rows) {
+    if (limits.has(row.currency_id) && row.branch_id === null) {
+      continue;
+    }
+    limits.set(row.currency_id, {
+      uuid: row.uuid,
+      branchId: row.branch_id,
+      maxLong: row.max_long !== null ? parseDecimal(row.max_long) : null,
+      maxShort: row.max_short !== null ? parseDecimal(row.max_short) : null
+    });
+  }
+  return limits;
+};
+
+/**
+ * Today's completed deals per currency: bought is what came in, sold what went out
+ * @param {Object} connection - Pool or connection
+ * @param {Object} scope - req.branchScope
+ * @returns {Promise<{byCurrency: Map<number, {bought: number, sold: number}>, hourly: Array}>}
+ */
+const getIntradayMovement = async (connection, scope) => {
+  const branch = branchFilter(scope, 't.branch_id');
+  const [rows] = await connection.query(`
+    SELECT currency_id, currency_code, hour, SUM(bought) as bought, SUM(sold) as sold
+    FROM (
+      SELECT t.currency_in_id as currency_id, ci.code as currency_code,
+        HOUR(t.transaction_date) as hour, t.amount_in as bought, 0 as sold
+      FROM transactions t
+      JOIN currencies ci ON t.currency_in_id = ci.id
+      WHERE DATE(t.transaction_date) = CURDATE()
+        AND t.deleted_at IS NULL
+        AND t.status = 'completed'${branch.sql}
+      UNION ALL
+      SELECT t.currency_out_id, co.code, HOUR(t.transaction_date), 0, t.amount_out
+      FROM transactions t
+      JOIN currencies co ON t.currency_out_id = co.id
+      WHERE DATE(t.transaction_date) = CURDATE()
+        AND t.deleted_at IS NULL
+        AND t.status = 'completed'${branch.sql}
+    ) movements
+    GROUP BY currency_id, currency_code, hour
+    ORDER BY hour, currency_code
+  `, [...branch.params, ...branch.params]);
+
+  const byCurrency = new Map();
+  const hourly = [];
+  for (const row of rows) {
+    const bought = parseDecimal(row.bought);
+    const sold = parseDecimal(row.sold);
+    const total = byCurrency.get(row.currency_id) || { bought: 0, sold: 0 };
+    byCurrency.set(row.currency_id, {
+      bought: parseDecimal(total.bought + bought),
+      sold: parseDecimal(total.sold + sold)
+    });
+    hourly.push({
+      hour: Number(row.hour),
+      currencyCode: row.currency_code,
+      bought,
+      sold,
+      net: parseDecimal(bought - sold)
+    });
+  }
+  return { byCurrency, hourly };
+};
+
+/**
+ * Currency positions and exposure for a branch scope
+ * @param {Object} connection - Pool or connection
+ * @param {Object} scope - req.branchScope ({ branchId } null = all branches)
+ * @returns {Promise<Object>} { baseCurrency, positions: [...], summary, alerts, intraday }
+ */
+const getPositionReport = async (connection, scope) => {
+  const branchId = scope ? scope.branchId : null;
+  const drawerScope = branchFilter(scope, 'd.branch_id');
+  const baseCurrency = await getBaseCurrency(connection);
+
+  const [balances] = await connection.query(`
+    SELECT
+      c.id as currency_id,
+      c.code as currency_code,
+      c.name as currency_name,
+      c.symbol as currency_symbol,
+      SUM(b.balance) as quantity,
+      COUNT(DISTINCT b.drawer_id) as drawer_count
+    FROM cash_drawer_balances b
+    JOIN cash_drawers d ON b.drawer_id = d.id
+    JOIN currencies c ON b.currency_id = c.id
+    WHERE d.is_active = TRUE${drawerScope.sql}
+    GROUP BY c.id
+    HAVING SUM(b.balance) <> 0
+    ORDER BY c.code
+  `, drawerScope.params);
+
+  const limits = await getApplicableLimits(connection, branchId);
+  const intraday = await getIntradayMovement(connection, scope);
+  const revaluation = await getRevaluation(connection, drawerScope, branchId);
+  const costs = new Map(revaluation.positions.map(p => [p.currencyCode, p]));
+
+  const positions = [];
+  for (const row of balances) {
+    const quantity = parseDecimal(row.quantity);
+    const isBase = Boolean(baseCurrency) && row.currency_id === baseCurrency.id;
+
+    let rates = null;
+    if (isBase) {
+      rates = { buyRate: 1, sellRate: 1 };
+    } else if (baseCurrency) {
+      rates = await resolveRate(connection, row.currency_id, baseCurrency.id, branchId);
+    }
+    const midRate = rates ? parseDecimal((rates.buyRate + rates.sellRate) / 2, 8) : null;
+
+    const movement = intraday.byCurrency.get(row.currency_id) || { bought: 0, sold: 0 };
+    const netToday = parseDecimal(movement.bought - movement.sold);
+    const cost = costs.get(row.currency_code);
+    const marketValue = midRate !== null ? parseDecimal(quantity * midRate) : null;
+
+    positions.push({
+      currencyId: row.currency_id,
+      currencyCode: row.currency_code,
+      currencyName: row.currency_name,
+      currencySymbol: row.currency_symbol,
+      isBase,
+      quantity,
+      drawerCount: Number(row.drawer_count),
+      buyRate: rates ? rates.buyRate : null,
+      sellRate: rates ? rates.sellRate : null,
+      midRate,
+      buyValue: rates ? parseDecimal(quantity * rates.buyRate) : null,
+      sellValue: rates ? parseDecimal(quantity * rates.sellRate) : null,
+      marketValue,
+      avgCost: cost ? cost.avgCost : null,
+      unrealizedProfit: cost && marketValue !== null ? parseDecimal(marketValue - cost.costValue) : null,
+      intraday: {
+        opening: parseDecimal(quantity - netToday),
+        bought: movement.bought,
+        sold: movement.sold,
+        net: netToday
+      },
+      limit: checkLimit(quantity, limits.get(row.currency_id) || null)
+    });
+  }
+
+  // Exposure is everything not held in the base currency
+  const foreign = positions.filter(p => !p.isBase && p.marketValue !== null);
+  const longExposure = parseDecimal(foreign.filter(p => p.marketValue > 0).reduce((sum, p) => sum + p.marketValue, 0));
+  const shortExposure = parseDecimal(foreign.filter(p => p.marketValue < 0).reduce((sum, p) => sum - p.marketValue, 0));
+
+  const alerts = positions
+    .filter(p => p.limit.status === 'breached' || p.limit.status === 'warning')
+    .map(p => ({
+      currencyCode: p.currencyCode,
+      quantity: p.quantity,
+      side: p.limit.side,
+      limit: p.limit.limit,
+      usedPercent: p.limit.usedPercent,
+      severity: p.limit.status === 'breached' ? 'critical' : 'warning'
+    }));
+
+  return {
+    baseCurrency: baseCurrency ? baseCurrency.code : null,
+    positions,
+    summary: {
+      totalValue: parseDecimal(positions.reduce((sum, p) => sum + (p.marketValue || 0), 0)),
+      longExposure,
+      shortExposure,
+      netExposure: parseDecimal(longExposure - shortExposure),
+      grossExposure: parseDecimal(longExposure + shortExposure),
+      unrealizedProfit: revaluation.unrealizedProfit,
+      breachedLimits: alerts.filter(a => a.severity === 'critical').length,
+      warningLimits: alerts.filter(a => a.severity === 'warning').length
+    },
+    alerts,
+    intraday: intraday.hourly
+  };
+};
+
+module.exports = {
+  checkLimit,
+  getApplicableLimits,
+  getIntradayMovement,
+  getPositionReport
+};
@@ -0,0 +1,168 @@
+/**
+ * Quote Service
+ * A quote locks the resolved rate, amount out and commission for a customer until it
+ * expires. createTransaction books a deal at the locked rate while the quote is live,
+ * and each quote records whether it was converted, for quote-to-deal reporting.
+ */
+const { v4: uuidv4 } = require('uuid');
+const companyConfig = require('../config/company');
+const { parseDecimal } = require('../utils/helpers');
+const { resolveRate } = require('./crossRateService');
+const { calculateCommission } = require('./feeService');
+
+/**
+ * Resolve the rate for a pair and persist a quote for it
+ * @param {Object} connection - Pool or connection
+ * @param {Object} params
+ * @param {number} params.currencyInId
+ * @param {number} params.currencyOutId
+ * @param {number} params.amountIn
+ * @param {string} [params.paymentMethod='cash'] - Selects the fee schedule
+ * @param {number|null} [params.customerId]
+ * @param {boolean} [params.isVip=false] - Whether the customer gets VIP fee schedules
+ * @param {number|null} params.branchId - Branch whose rate sheet applies
+ * @param {number} params.employeeId
+ * @param {Date} [params.now]
+ * @returns {Promise<Object|null>} The quote, or null when no rate can be resolved for the pair
+ */
+const createQuote = async (connection, {
+  currencyInId,
+  currencyOutId,
+  amountIn,
+  paymentMethod = 'cash',
+  customerId = null,
+  isVip = false,
+  branchId,
+  employeeId,
+  now = new Date()
+}) => {
+  const resolved = await resolveRate(connection, currencyInId, currencyOutId, branchId);
+  if (!resolved) {
+    return null;
+  }
+
+  const { commission, schedule } = await calculateCommission(connection, {
+    currencyInId,
+    currencyOutId,
+    amountIn: parseDecimal(amountIn),
+    isVip,
+    paymentMethod
+  });
+
+  // Deals are booked at the sell rate, as on the transaction form
+  const exchangeRate = resolved.sellRate;
+  const quote = {
+    uuid: uuidv4(),
+    currencyInId,
+    currencyOutId,
+    amountIn: parseDecimal(amountIn),
+    amountOut: parseDecimal(parseDecimal(amountIn) * exchangeRate),
+    buyRate: resolved.buyRate,
+    sellRate: resolved.sellRate,
+    exchangeRate,
+    commission,
+    paymentMethod,
+    feeScheduleId: schedule ? schedule.id : null,
+    source: resolved.source,
+    derived: resolved.derived,
+    via: resolved.via,
+    branchId,
+    expiresAt: new Date(now.getTime() + companyConfig.quotes.expirySeconds * 1000)
+  };
+
+  const [result] = await connection.query(
+    `INSERT INTO transaction_quotes
+     (uuid, currency_in_id, currency_out_id, amount_in, amount_out, buy_rate, sell_rate, exchange_rate,
+      commission, payment_method, fee_schedule_id, rate_source, rate_version_id, customer_id, branch_id,
+      employee_id, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      quote.uuid,
+      currencyInId,
+      currencyOutId,
+      quote.amountIn,
+      quote.amountOut,
+      quote.buyRate,
+      quote.sellRate,
+      quote.exchangeRate,
+      quote.commission,
+      quote.paymentMethod,
+      quote.feeScheduleId,
+      quote.source,
+      resolved.versionId,
+      customerId,
+      branchId,
+      employeeId,
+      quote.expiresAt
+    ]
+  );
+
+  return { id: result.insertId, ...quote };
+};
+
+/**
+ * Load a quote by UUID and lock it for the deal being booked
+ * @param {Object} connection - Connection inside a transaction
+ * @param {string} uuid
+ * @returns {Promise<Object|null>} transaction_quotes row
+ */
+const getQuoteForDeal = async (connection, uuid) => {
+  const [quotes] = await connection.query(
+    'SELECT * FROM transaction_quotes WHERE uuid = ? FOR UPDATE',
+    [uuid]
+  );
+  return quotes.length > 0 ? quotes[0] : null;
+};
+
+/**
+ * Check that a quote can be honoured for a deal
+ * @param {Object} quote - transaction_quotes row
+ * @param {Object} deal - { currencyInId, currencyOutId, amountIn, exchangeRate, branchId, paymentMethod }
+ * @param {Date} [now]
+ * @returns {string|null} Why the quote cannot be used, or null when it can
+ */
+const checkQuote = (quote, deal, now = new Date()) => {
+  if (quote.transaction_id) {
+    return 'Quote has already been used.';
+  }
+  if (new Date(quote.expires_at) <= now) {
+    return 'Quote has expired. Request a new quote.';
+  }
+  if (quote.currency_in_id !== deal.currencyInId || quote.currency_out_id !== deal.currencyOutId) {
+    return 'Quote is for a different currency pair.';
+  }
+  if (parseDecimal(quote.amount_in) !== parseDecimal(deal.amountIn)) {
+    return `Quote is for an amount of ${parseDecimal(quote.amount_in)}.`;
+  }
+  if (parseDecimal(quote.exchange_rate, 6) !== parseDecimal(deal.exchangeRate, 6)) {
+    return `Quote locked the rate at ${parseDecimal(quote.exchange_rate, 6)}.`;
+  }
+  if ((quote.branch_id || null) !== (deal.branchId || null)) {
+    return 'Quote was issued for another branch.';
+  }
+  // The locked commission was computed for this payment method
+  if ((quote.payment_method || 'cash') !== (deal.paymentMethod || 'cash')) {
+    return `Quote is for payment by ${quote.payment_method}.`;
+  }
+  return null;
+};
+
+/**
+ * Link a quote to the transaction booked from it
+ * @param {Object} connection - Connection inside a transaction
+ * @param {number} quoteId
+ * @param {number} transactionId
+ */
+const markConverted = async (connection, quoteId, transactionId) => {
+  await connection.query(
+    'UPDATE transaction_quotes SET transaction_id = ?, converted_at = NOW() WHERE id = ?',
+    [transactionId, quoteId]
+  );
+};
+
+module.exports = {
+  createQuote,
+  getQuoteForDeal,
+  checkQuote,
+  markConverted
+};
@@ -0,0 +1,240 @@
+/**
+ * Rate Version Service
+ * Every rate change is stored as a version with an effective date. The version in
+ * effect is copied into exchange_rates (the live rate sheet); future versions wait
+ * until applyDueVersions runs after their effective date.
+ */
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../config/database');
+const { parseDecimal } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Store a new rate version
+ * @param {Object} connection - Pool or connection (inside the caller's transaction if any)
+ * @param {Object} version
+ * @param {number} version.fromCurrencyId
+ * @param {number} version.toCurrencyId
+ * @param {number|null} version.branchId - null for the default rate
+ * @param {number} version.buyRate
+ * @param {number} version.sellRate
+ * @param {Date} version.effectiveFrom
+ * @param {number} version.userId - User creating the version
+ * @returns {Promise<{id: number, uuid: string}>}
+ */
+const createVersion = async (connection, {
+  fromCurrencyId,
+  toCurrencyId,
+  branchId = null,
+  buyRate,
+  sellRate,
+  effectiveFrom,
+  userId
+}) => {
+  const uuid = uuidv4();
+
+  const [result] = await connection.query(
+    `INSERT INTO exchange_rate_versions
+      (uuid, from_currency_id, to_currency_id, branch_id, buy_rate, sell_rate, effective_from, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [uuid, fromCurrencyId, toCurrencyId, branchId, buyRate, sellRate, effectiveFrom, userId]
+  );
+
+  return { id: result.insertId, uuid };
+};
+
+/**
+ * Copy a version into exchange_rates, logging the change to exchange_rate_history
+ * @param {Object} connection - Pool or connection (inside the caller's transaction if any)
+ * @param {Object} version - exchange_rate_versions row (snake_case columns)
+ * @returns {Promise<{rateId: number, action: string, oldValues: Object|null}>}
+ *   action is 'RATE_CHANGE' when an existing rate was replaced, 'CREATE' otherwise
+ */
+const applyVersion = async (connection, version) => {
+  const buyRate = parseDecimal(version.buy_rate, 6);
+  const sellRate = parseDecimal(version.sell_rate, 6);
+
+  const [existing] = await connection.query(
+    `SELECT id, buy_rate, sell_rate FROM exchange_rates
+     WHERE from_currency_id = ? AND to_currency_id = ? AND branch_id <=> ?
+     FOR UPDATE`,
+    [version.from_currency_id, version.to_currency_id, version.branch_id]
+  );
+
+  let rateId;
+  let oldValues = null;
+
+  if (existing.length > 0) {
+    rateId = existing[0].id;
+    oldValues = {
+      buyRate: parseDecimal(existing[0].buy_rate, 6),
+      sellRate: parseDecimal(existing[0].sell_rate, 6)
+    };
+
+    await connection.query(
+      `UPDATE exchange_rates
+       SET buy_rate = ?, sell_rate = ?, updated_by = ?, effective_from = ?, version_id = ?
+       WHERE id = ?`,
+      [buyRate, sellRate, version.created_by, version.effective_from, version.id, rateId]
+    );
+  } else {
+    const [insertResult] = await connection.query(
+      `INSERT INTO exchange_rates
+        (from_currency_id, to_currency_id, branch_id, buy_rate, sell_rate, updated_by, effective_from, version_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        version.from_currency_id,
+        version.to_currency_id,
+        version.branch_id,
+        buyRate,
+        sellRate,
+        version.created_by,
+        version.effective_from,
+        version.id
+      ]
+    );
+    rateId = insertResult.insertId;
+  }
+
+  await connection.query(
+    `INSERT INTO exchange_rate_history
+      (exchange_rate_id, from_currency_id, to_currency_id, branch_id, old_buy_rate, new_buy_rate,
+       old_sell_rate, new_sell_rate, changed_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      rateId,
+      version.from_currency_id,
+      version.to_currency_id,
+      version.branch_id,
+      oldValues ? oldValues.buyRate : null,
+      buyRate,
+      oldValues ? oldValues.sellRate : null,
+      sellRate,
+      version.created_by
+    ]
+  );
+
+  await connection.query(
+    'UPDATE exchange_rate_versions SET applied_at = NOW() WHERE id = ?',
+    [version.id]
+  );
+
+  return { rateId, action: oldValues ? 'RATE_CHANGE' : 'CREATE', oldValues };
+};
+
+/**
+ * Find the version in effect for a pair at a moment in time.
+ * A branch's own version wins over the default; cancelled versions are ignored.
+ * @param {Object} connection - Pool or connection
+ * @param {number} fromCurrencyId
+ * @param {number} toCurrencyId
+ * @param {number|null} branchId
+ * @param {Date} [at=new Date()]
+ * @returns {Promise<Object|null>} exchange_rate_versions row
+ */
+const getEffectiveVersion = async (connection, fromCurrencyId, toCurrencyId, branchId, at = new Date()) => {
+  const [versions] = await connection.query(
+    `SELECT * FROM exchange_rate_versions
+     WHERE from_currency_id = ? AND to_currency_id = ?
+       AND (branch_id = ? OR branch_id IS NULL)
+       AND cancelled_at IS NULL
+       AND effective_from <= ?
+     ORDER BY branch_id IS NULL, effective_from DESC, id DESC
+     LIMIT 1`,
+    [fromCurrencyId, toCurrencyId, branchId, at]
+  );
+
+  return versions.length > 0 ? versions[0] : null;
+};
+
+/**
+ * Get the tolerance configured for a pair, in percent. Pairs without a row get 0,
+ * meaning the rate must stay within the buy/sell spread.
+ * @param {Object} connection - Pool or connection
+ * @param {number} fromCurrencyId
+ * @param {number} toCurrencyId
+ * @returns {Promise<number>}
+ */
+const getTolerance = async (connection, fromCurrencyId, toCurrencyId) => {
+  const [rows] = await connection.query(
+    'SELECT tolerance_percent FROM rate_tolerances WHERE from_currency_id = ? AND to_currency_id = ?',
+    [fromCurrencyId, toCurrencyId]
+  );
+
+  return rows.length > 0 ? parseDecimal(rows[0].tolerance_percent, 3) : 0;
+};
+
+/**
+ * Check a quoted rate against a version and tolerance. The allowed band is the
+ * buy/sell spread widened by tolerancePercent on each side; deviation is measured
+ * from the mid rate.
+ * @param {Object} version - exchange_rate_versions row, or any object with buy_rate and sell_rate
+ * @param {number} rate - Rate the teller applied
+ * @param {number} tolerancePercent
+ * @returns {{officialRate: number, minRate: number, maxRate: number, deviationPercent: number, withinTolerance: boolean}}
+ */
+const checkRate = (version, rate, tolerancePercent) => {
+  const buyRate = parseDecimal(version.buy_rate, 6);
+  const sellRate = parseDecimal(version.sell_rate, 6);
+
+  const officialRate = parseDecimal((buyRate + sellRate) / 2, 6);
+  const minRate = parseDecimal(Math.min(buyRate, sellRate) * (1 - tolerancePercent / 100), 6);
+  const maxRate = parseDecimal(Math.max(buyRate, sellRate) * (1 + tolerancePercent / 100), 6);
+  const deviationPercent = parseDecimal(((rate - officialRate) / officialRate) * 100, 4);
+
+  return {
+    officialRate,
+    minRate,
+    maxRate,
+    deviationPercent,
+    withinTolerance: rate >= minRate && rate <= maxRate
+  };
+};
+
+/**
+ * Apply every version whose effective date has passed. Each version is applied in
+ * its own transaction, oldest first, so a failure leaves later ones for the next run.
+ * @returns {Promise<Array>} Applied versions as { fromCurrencyId, toCurrencyId, buyRate, sellRate }
+ */
+const applyDueVersions = async () => {
+  const [due] = await pool.query(
+    `SELECT * FROM exchange_rate_versions
+     WHERE applied_at IS NULL AND cancelled_at IS NULL AND effective_from <= NOW()
+     ORDER BY effective_from ASC, id ASC`
+  );
+
+  const applied = [];
+
+  for (const version of due) {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await applyVersion(connection, version);
+      await connection.commit();
+
+      applied.push({
+        fromCurrencyId: version.from_currency_id,
+        toCurrencyId: version.to_currency_id,
+        buyRate: parseDecimal(version.buy_rate, 6),
+        sellRate: parseDecimal(version.sell_rate, 6)
+      });
+      logger.info('Scheduled exchange rate applied', { versionUuid: version.uuid });
+    } catch (error) {
+      await connection.rollback();
+      logger.error('Failed to apply scheduled exchange rate', { versionUuid: version.uuid, error: error.message });
+    } finally {
+      connection.release();
+    }
+  }
+
+  return applied;
+};
+
+module.exports = {
+  createVersion,
+  applyVersion,
+  getEffectiveVersion,
+  getTolerance,
+  checkRate,
+  applyDueVersions
+};
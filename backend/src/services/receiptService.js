@@ -153,6 +153,8 @@ const generateReceipt = async (transaction, options = {}) => {
           marketRate: 'Market Rate',
           profit: 'Profit',
           commission: 'Commission',
+          fee: 'Fee',
+          paymentMethod: 'Payment Method',
           processedBy: 'Processed By',
           termsTitle: 'Terms & Conditions',
           verifyText: 'Scan QR code to verify',
@@ -175,6 +177,8 @@ const generateReceipt = async (transaction, options = {}) => {
           marketRate: 'سعر السوق',
           profit: 'الربح',
           commission: 'العمولة',
+          fee: 'الرسوم',
+          paymentMethod: 'طريقة الدفع',
           processedBy: 'تمت المعالجة بواسطة',
           termsTitle: 'الشروط والأحكام',
           verifyText: 'امسح رمز QR للتحقق',
@@ -197,6 +201,8 @@ const generateReceipt = async (transaction, options = {}) => {
           marketRate: 'نرخی بازاڕ',
           profit: 'قازانج',
           commission: 'کۆمیسیۆن',
+          fee: 'کرێ',
+          paymentMethod: 'شێوازی پارەدان',
           processedBy: 'ئەنجامدراوە لەلایەن',
           termsTitle: 'مەرج و ڕێسا',
           verifyText: 'QR بخوێنەوە بۆ پشتڕاستکردنەوە',
@@ -444,6 +450,41 @@ const generateReceipt = async (transaction, options = {}) => {
 
       y += 120;
 
+      // Fee and payment method - the fee is charged in the currency received
+      if (transaction.commission || transaction.paymentMethod) {
+        if (transaction.commission) {
+          doc.fillColor('#4a5568')
+            .fontSize(10)
+            .font('Helvetica')
+            .text(`${l.fee}:`, leftMargin, y);
+
+          doc.fillColor('#2d3748')
+            .font('Helvetica-Bold')
+            .text(
+              formatAmount(
+                transaction.commission,
+                transaction.currencyIn.symbol,
+                transaction.currencyIn.code
+              ),
+              leftMargin + 100,
+              y
+            );
+        }
+
+        if (transaction.paymentMethod) {
+          doc.fillColor('#4a5568')
+            .fontSize(10)
+            .font('Helvetica')
+            .text(`${l.paymentMethod}:`, rightMargin - 200, y);
+
+          doc.fillColor('#2d3748')
+            .font('Helvetica-Bold')
+            .text(transaction.paymentMethod.replace('_', ' ').toUpperCase(), rightMargin - 100, y);
+        }
+
+        y += 25;
+      }
+
       // ============================================
       // INTERNAL INFORMATION (if includeProfit)
       // ============================================
@@ -491,7 +532,7 @@ const generateReceipt = async (transaction, options = {}) => {
 
           doc.font('Helvetica-Bold')
             .text(
-              `${parseDecimal(transaction.commission, 2)} ${companyConfig.currency.defaultProfitCurrency}`,
+              `${parseDecimal(transaction.commission, 2)} ${transaction.currencyIn.code}`,
               leftMargin + boxPadding + 100,
               y + boxPadding + 40
             );
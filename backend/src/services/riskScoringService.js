@@ -0,0 +1,304 @@
+/**
+ * Risk Scoring Service
+ * Recomputes a customer's risk score from weighted factors: alerts by severity,
+ * transaction velocity, cash volume, ID expiry, structuring alerts, watchlist hits
+ * and SAR history. Each factor is capped so no single signal decides the score on
+ * its own. Every change of score or level is kept in customer_risk_score_history
+ * together with the factors that moved.
+ */
+const { parseDecimal } = require('../utils/helpers');
+const companyConfig = require('../config/company');
+const logger = require('../utils/logger');
+const { getBaseCurrency, resolveRate } = require('./crossRateService');
+
+// Alert types scored by their own factor rather than by severity
+const STRUCTURING_ALERT_TYPES = ['suspicious_pattern'];
+const WATCHLIST_ALERT_TYPES = ['blocked_customer', 'watchlist_match'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Map a score to a risk level
+ * @param {number} score
+ * @param {{mediumThreshold: number, highThreshold: number}} [config]
+ * @returns {string} 'low', 'medium' or 'high'
+ */
+const levelForScore = (score, config = companyConfig.riskScoring) => {
+  if (score >= config.highThreshold) return 'high';
+  if (score >= config.mediumThreshold) return 'medium';
+  return 'low';
+};
+
+/**
+ * Score a customer from their metrics
+ * @param {Object} metrics - As returned by collectMetrics
+ * @param {Object} [config] - companyConfig.riskScoring
+ * @param {Date} [now]
+ * @returns {{score: number, level: string, factors: Array<{factor: string, points: number, value: *}>}}
+ */
+const scoreCustomer = (metrics, config = companyConfig.riskScoring, now = new Date()) => {
+  const w = config.weights;
+  const factors = [];
+  const add = (factor, points, value) => factors.push({ factor, points: Math.round(points), value });
+
+  const alerts = metrics.alerts;
+  add('alerts', Math.min(w.alerts.max,
+    alerts.low * w.alerts.low + alerts.medium * w.alerts.medium + alerts.high * w.alerts.high + alerts.critical * w.alerts.critical
+  ), alerts);
+
+  const excess = Math.max(0, metrics.recentTransactions - w.velocity.threshold);
+  add('velocity', Math.min(w.velocity.max, excess * w.velocity.perTransaction), metrics.recentTransactions);
+
+  // Without a base currency cash in different currencies cannot be added up
+  const cashSteps = metrics.cashVolume === null ? 0 : Math.floor(metrics.cashVolume / w.cashVolume.threshold);
+  add('cashVolume', Math.min(w.cashVolume.max, cashSteps * w.cashVolume.points), metrics.cashVolume);
+
+  let idStatus = 'valid';
+  let idPoints = 0;
+  if (!metrics.hasId) {
+    idStatus = 'missing';
+    idPoints = w.idExpiry.missing;
+  } else if (metrics.idExpiry) {
+    const daysLeft = Math.floor((new Date(metrics.idExpiry).getTime() - now.getTime()) / DAY_MS);
+    if (daysLeft < 0) {
+      idStatus = 'expired';
+      idPoints = w.idExpiry.expired;
+    } else if (daysLeft <= w.idExpiry.expiringDays) {
+      idStatus = 'expiring';
+      idPoints = w.idExpiry.expiring;
+    }
+  }
+  add('idExpiry', idPoints, idStatus);
+
+  add('structuring', Math.min(w.structuring.max, metrics.structuringAlerts * w.structuring.perAlert), metrics.structuringAlerts);
+  add('watchlist', Math.min(w.watchlist.max, metrics.watchlistHits * w.watchlist.perHit), metrics.watchlistHits);
+  add('sars', Math.min(w.sars.max, metrics.sars * w.sars.perReport), metrics.sars);
+
+  const score = Math.min(100, factors.reduce((sum, f) => sum + f.points, 0));
+
+  // A customer under an open SAR stays high risk whatever the score
+  const level = metrics.openSars > 0 ? 'high' : levelForScore(score, config);
+
+  return { score, level, factors };
+};
+
+/**
+ * Summarise which factors moved between two scorings, e.g. "alerts +10, idExpiry -15"
+ * @param {Array|null} previous - Factors of the previous scoring
+ * @param {Array} current
+ * @returns {string}
+ */
+const describeChanges = (previous, current) => {
+  const before = new Map((previous || []).map(f => [f.factor, f.points]));
+  const changes = current
+    .map(f => ({ factor: f.factor, delta: f.points - (before.get(f.factor) || 0) }))
+    .filter(c => c.delta !== 0)
+    .map(c => `${c.factor} ${c.delta > 0 ? '+' : ''}${c.delta}`);
+  return changes.length > 0 ? changes.join(', ') : 'No factor changed';
+};
+
+/**
+ * Completed cash deals in the window valued in the base currency at mid rates
+ * @returns {Promise<number|null>} null when there is no base currency
+ */
+const getCashVolume = async (connection, customerId, days) => {
+  const baseCurrency = await getBaseCurrency(connection);
+  if (!baseCurrency) {
+    return null;
+  }
+
+  const [rows] = await connection.query(`
+    SELECT currency_in_id, SUM(amount_in) as total
+    FROM transactions
+    WHERE customer_id = ? AND payment_method = 'cash' AND status = 'completed' AND deleted_at IS NULL
+      AND transaction_date >= DATE_SUB(NOW(), INTERVAL ? DAY)
+    GROUP BY currency_in_id
+  `, [customerId, days]);
+
+  let volume = 0;
+  for (const row of rows) {
+    const total = parseDecimal(row.total);
+    if (row.currency_in_id === baseCurrency.id) {
+      volume += total;
+      continue;
+    }
+    const rates = await resolveRate(connection, row.currency_in_id, baseCurrency.id);
+    if (rates) {
+      volume += total * (rates.buyRate + rates.sellRate) / 2;
+    }
+  }
+  return parseDecimal(volume);
+};
+
+/**
+ * Gather everything the score is computed from
+ * @param {Object} connection - Pool or connection
+ * @param {number} customerId
+ * @param {Object} [config] - companyConfig.riskScoring
+ * @returns {Promise<Object|null>} null when the customer does not exist
+ */
+const collectMetrics = async (connection, customerId, config = companyConfig.riskScoring) => {
+  const [customers] = await connection.query(
+    'SELECT id, id_number, id_expiry FROM customers WHERE id = ?',
+    [customerId]
+  );
+  if (customers.length === 0) {
+    return null;
+  }
+  const customer = customers[0];
+
+  // Alerts closed as false positives say nothing about the customer
+  const [alertRows] = await connection.query(`
+    SELECT alert_type, severity, COUNT(*) as count
+    FROM compliance_alerts
+    WHERE customer_id = ? AND status <> 'false_positive'
+      AND created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+    GROUP BY alert_type, severity
+  `, [customerId, config.lookbackDays]);
+
+  const alerts = { low: 0, medium: 0, high: 0, critical: 0 };
+  let structuringAlerts = 0;
+  let watchlistHits = 0;
+  for (const row of alertRows) {
+    const count = Number(row.count);
+    if (STRUCTURING_ALERT_TYPES.includes(row.alert_type)) {
+      structuringAlerts += count;
+    } else if (WATCHLIST_ALERT_TYPES.includes(row.alert_type)) {
+      watchlistHits += count;
+    } else {
+      alerts[row.severity] += count;
+    }
+  }
+
+  const [[totals]] = await connection.query(
+    'SELECT COUNT(*) as total_alerts FROM compliance_alerts WHERE customer_id = ?',
+    [customerId]
+  );
+
+  const [[sars]] = await connection.query(`
+    SELECT COUNT(*) as total, COALESCE(SUM(status <> 'closed'), 0) as open
+    FROM suspicious_activity_reports
+    WHERE customer_id = ?
+  `, [customerId]);
+
+  const [[velocity]] = await connection.query(`
+    SELECT COUNT(*) as count
+    FROM transactions
+    WHERE customer_id = ? AND status IN ('completed', 'pending') AND deleted_at IS NULL
+      AND transaction_date >= DATE_SUB(NOW(), INTERVAL ? DAY)
+  `, [customerId, config.weights.velocity.days]);
+
+  return {
+    alerts,
+    totalAlerts: Number(totals.total_alerts),
+    recentTransactions: Number(velocity.count),
+    cashVolume: await getCashVolume(connection, customerId, config.weights.cashVolume.days),
+    hasId: Boolean(customer.id_number),
+    idExpiry: customer.id_expiry,
+    structuringAlerts,
+    watchlistHits,
+    sars: Number(sars.total),
+    openSars: Number(sars.open)
+  };
+};
+
+/**
+ * Recompute and store a customer's risk score
+ * A history row is written whenever the score or level changes.
+ * @param {Object} connection - Pool or connection
+ * @param {number} customerId
+ * @param {Object} trigger
+ * @param {string} trigger.source - 'transaction', 'alert_review', 'sar', 'nightly' or 'manual'
+ * @param {string} [trigger.reference] - What set it off, e.g. a transaction number
+ * @param {number} [trigger.userId]
+ * @returns {Promise<Object|null>} { score, level, previousScore, previousLevel, factors, changed },
+ *   null when the customer does not exist
+ */
+const recalculateCustomerRisk = async (connection, customerId, { source, reference = null, userId = null }) => {
+  const metrics = await collectMetrics(connection, customerId);
+  if (!metrics) {
+    return null;
+  }
+
+  const [profiles] = await connection.query(
+    'SELECT risk_score, risk_level, score_factors FROM customer_risk_profiles WHERE customer_id = ?',
+    [customerId]
+  );
+  const previous = profiles[0] || null;
+  const previousScore = previous ? previous.risk_score : 0;
+  const previousLevel = previous ? previous.risk_level : 'low';
+  const previousFactors = previous && previous.score_factors
+    ? (typeof previous.score_factors === 'string' ? JSON.parse(previous.score_factors) : previous.score_factors)
+    : null;
+
+  const { score, level, factors } = scoreCustomer(metrics);
+
+  await connection.query(`
+    INSERT INTO customer_risk_profiles (customer_id, risk_score, risk_level, total_alerts, total_sars, score_factors, scored_at)
+    VALUES (?, ?, ?, ?, ?, ?, NOW())
+    ON DUPLICATE KEY UPDATE
+      risk_score = VALUES(risk_score),
+      risk_level = VALUES(risk_level),
+      total_alerts = VALUES(total_alerts),
+      total_sars = VALUES(total_sars),
+      score_factors = VALUES(score_factors),
+      scored_at = NOW()
+  `, [customerId, score, level, metrics.totalAlerts, metrics.sars, JSON.stringify(factors)]);
+
+  const changed = score !== previousScore || level !== previousLevel;
+  if (changed) {
+    await connection.query(`
+      INSERT INTO customer_risk_score_history
+        (customer_id, previous_score, risk_score, previous_level, risk_level, factors, reason, source, reference, triggered_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      customerId,
+      previousScore,
+      score,
+      previousLevel,
+      level,
+      JSON.stringify(factors),
+      describeChanges(previousFactors, factors),
+      source,
+      reference,
+      userId
+    ]);
+  }
+
+  return { score, level, previousScore, previousLevel, factors, changed };
+};
+
+/**
+ * Rescore every customer (the nightly run)
+ * Picks up what no transaction triggers: IDs expiring and alerts ageing out of the window.
+ * A failing customer is counted and skipped so the rest still get scored.
+ * @param {Object} connection - Pool or connection
+ * @returns {Promise<{processed: number, changed: number, failed: number}>}
+ */
+const recalculateAllCustomers = async (connection) => {
+  const [customers] = await connection.query('SELECT id FROM customers ORDER BY id');
+
+  const result = { processed: 0, changed: 0, failed: 0 };
+  for (const customer of customers) {
+    try {
+      const scored = await recalculateCustomerRisk(connection, customer.id, { source: 'nightly' });
+      result.processed++;
+      if (scored && scored.changed) result.changed++;
+    } catch (error) {
+      result.failed++;
+      logger.error('Failed to rescore customer', { customerId: customer.id, error: error.message });
+    }
+  }
+  return result;
+};
+
+module.exports = {
+  STRUCTURING_ALERT_TYPES,
+  WATCHLIST_ALERT_TYPES,
+  levelForScore,
+  scoreCustomer,
+  describeChanges,
+  collectMetrics,
+  recalculateCustomerRisk,
+  recalculateAllCustomers
+};
@@ -0,0 +1,231 @@
+/**
+ * SAR Service
+ * Lifecycle rules of suspicious activity reports and the filing package handed to the
+ * financial intelligence unit (FIU). A report moves draft -> submitted -> under_review
+ * -> closed and can be returned to draft for changes until it is closed. Closing is the
+ * reviewer's sign-off, which must come from someone other than the report's author.
+ */
+const companyConfig = require('../config/company');
+
+const FORMAT_VERSION = '1.0';
+
+// Status changes by action
+const SAR_TRANSITIONS = {
+  submit: { from: ['draft'], to: 'submitted', label: 'submitted' },
+  start_review: { from: ['submitted'], to: 'under_review', label: 'taken into review' },
+  return: { from: ['submitted', 'under_review'], to: 'draft', label: 'returned' },
+  sign_off: { from: ['under_review'], to: 'closed', label: 'signed off' }
+};
+
+const SUSPICION_TYPES = ['structuring', 'sanctions', 'fraud', 'terrorist_financing', 'identity', 'unusual_activity', 'other'];
+const ATTACHMENT_CATEGORIES = ['id_scan', 'cctv', 'statement', 'correspondence', 'other'];
+
+// Element name of the items of each list in the XML package
+const XML_ITEM_NAMES = {
+  transactions: 'transaction',
+  totals: 'total',
+  alerts: 'alert',
+  attachments: 'attachment',
+  history: 'event'
+};
+
+/**
+ * Check a status change against the lifecycle
+ * @param {{status: string, created_by: number, submitted_by: number|null}} report
+ * @param {string} action - submit, start_review, return or sign_off
+ * @param {number} userId - Who makes the change
+ * @returns {{from: string, to: string}|{error: string}}
+ */
+const planTransition = (report, action, userId) => {
+  const transition = SAR_TRANSITIONS[action];
+  if (!transition) {
+    return { error: `Unknown action: ${action}.` };
+  }
+  if (!transition.from.includes(report.status)) {
+    return { error: `A report that is ${report.status.replace('_', ' ')} cannot be ${transition.label}.` };
+  }
+  // Four eyes: the author cannot approve their own report
+  if (action === 'sign_off' && (report.created_by === userId || report.submitted_by === userId)) {
+    return { error: 'A report must be signed off by someone other than the person who drafted or submitted it.' };
+  }
+  return { from: report.status, to: transition.to };
+};
+
+/**
+ * Generate the next report number
+ * Format: SAR-YYYY-NNNN, numbered per year
+ * @param {Object} db - Pool or connection
+ * @returns {Promise<string>}
+ */
+const generateReportNumber = async (db) => {
+  const prefix = `SAR-${new Date().getFullYear()}-`;
+  const [rows] = await db.query(
+    `SELECT MAX(CAST(SUBSTRING(report_number, ?) AS UNSIGNED)) as last_num
+     FROM suspicious_activity_reports
+     WHERE report_number LIKE ?`,
+    [prefix.length + 1, `${prefix}%`]
+  );
+  const nextNum = (rows[0]?.last_num || 0) + 1;
+  return `${prefix}${String(nextNum).padStart(4, '0')}`;
+};
+
+const timestamp = (value) => (value ? new Date(value).toISOString() : null);
+
+// DATE columns come back as local midnight; keep the calendar date
+const calendarDate = (value) => {
+  if (!value) return null;
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+/**
+ * Assemble the filing package of a report
+ * @param {Object} data
+ * @param {Object} data.report - suspicious_activity_reports row with created_by_name, submitted_by_name, reviewed_by_name
+ * @param {Object|null} data.customer - customers row
+ * @param {Array<Object>} data.transactions - transactions rows with currency codes and employee_name
+ * @param {Array<Object>} data.alerts - compliance_alerts rows
+ * @param {Array<Object>} data.attachments - sar_attachments rows
+ * @param {Array<Object>} data.history - sar_status_history rows with changed_by_name
+ * @param {Object} [company] - companyConfig
+ * @returns {Object}
+ */
+const buildFilingPackage = ({ report, customer, transactions, alerts, attachments, history }, company = companyConfig) => {
+  const totals = {};
+  for (const tx of transactions) {
+    const total = totals[tx.currency_in_code] || { currency: tx.currency_in_code, count: 0, amountIn: 0 };
+    total.count += 1;
+    total.amountIn += parseFloat(tx.amount_in);
+    totals[tx.currency_in_code] = total;
+  }
+
+  return {
+    formatVersion: FORMAT_VERSION,
+    generatedAt: new Date().toISOString(),
+    reportingEntity: {
+      id: company.sar.reportingEntityId || null,
+      name: company.name,
+      licenseNumber: company.licenseNumber,
+      address: [company.address, company.addressLine2].filter(Boolean).join(', '),
+      city: company.city,
+      country: company.country,
+      phone: company.phone,
+      email: company.email
+    },
+    report: {
+      number: report.report_number,
+      uuid: report.uuid,
+      status: report.status,
+      suspicionType: report.suspicion_type,
+      riskLevel: report.risk_level,
+      activityFrom: calendarDate(report.activity_from),
+      activityTo: calendarDate(report.activity_to),
+      narrative: report.description,
+      actionTaken: report.action_taken || null,
+      preparedBy: report.created_by_name,
+      preparedAt: timestamp(report.created_at),
+      submittedBy: report.submitted_by_name || null,
+      submittedAt: timestamp(report.submitted_at),
+      signOff: report.status === 'closed' ? {
+        reviewer: report.reviewed_by_name,
+        signedAt: timestamp(report.reviewed_at),
+        notes: report.review_notes,
+        outcome: report.outcome,
+        fiuReference: report.fiu_reference || null
+      } : null
+    },
+    subject: customer ? {
+      name: customer.full_name,
+      dateOfBirth: calendarDate(customer.date_of_birth),
+      phone: customer.phone || null,
+      email: customer.email || null,
+      address: customer.address || null,
+      idType: customer.id_type || null,
+      idNumber: customer.id_number || null,
+      idExpiry: calendarDate(customer.id_expiry)
+    } : null,
+    transactions: transactions.map(tx => ({
+      number: tx.transaction_number,
+      date: timestamp(tx.transaction_date),
+      customerName: tx.customer_name,
+      amountIn: parseFloat(tx.amount_in),
+      currencyIn: tx.currency_in_code,
+      amountOut: parseFloat(tx.amount_out),
+      currencyOut: tx.currency_out_code,
+      exchangeRate: parseFloat(tx.exchange_rate),
+      paymentMethod: tx.payment_method || null,
+      status: tx.status,
+      teller: tx.employee_name || null,
+      fundedBy: tx.funded_by_name || null
+    })),
+    totals: Object.values(totals).map(t => ({ ...t, amountIn: parseFloat(t.amountIn.toFixed(2)) })),
+    alerts: alerts.map(a => ({
+      type: a.alert_type,
+      severity: a.severity,
+      description: a.description,
+      status: a.status,
+      raisedAt: timestamp(a.created_at)
+    })),
+    attachments: attachments.map(a => ({
+      category: a.category,
+      description: a.description || null,
+      fileName: a.original_name,
+      mimeType: a.mime_type,
+      sizeBytes: a.size_bytes,
+      uploadedAt: timestamp(a.created_at)
+    })),
+    history: history.map(h => ({
+      action: h.action,
+      fromStatus: h.from_status,
+      toStatus: h.to_status,
+      by: h.changed_by_name || null,
+      at: timestamp(h.created_at),
+      notes: h.notes || null
+    }))
+  };
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const xmlElement = (name, value, depth) => {
+  const indent = '  '.repeat(depth);
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) {
+    const itemName = XML_ITEM_NAMES[name] || 'item';
+    const items = value.map(item => xmlElement(itemName, item, depth + 1)).join('');
+    return items ? `${indent}<${name}>\n${items}${indent}</${name}>\n` : `${indent}<${name}/>\n`;
+  }
+  if (typeof value === 'object') {
+    const children = Object.entries(value).map(([key, child]) => xmlElement(key, child, depth + 1)).join('');
+    return `${indent}<${name}>\n${children}${indent}</${name}>\n`;
+  }
+  return `${indent}<${name}>${escapeXml(value)}</${name}>\n`;
+};
+
+/**
+ * Serialize a filing package as XML. Element names follow the JSON keys; empty
+ * values are left out.
+ * @param {Object} filingPackage - From buildFilingPackage
+ * @returns {string}
+ */
+const toXml = (filingPackage) => {
+  const { formatVersion, ...content } = filingPackage;
+  const children = Object.entries(content).map(([key, value]) => xmlElement(key, value, 1)).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<suspiciousActivityReport formatVersion="${escapeXml(formatVersion)}">\n${children}</suspiciousActivityReport>\n`;
+};
+
+module.exports = {
+  SAR_TRANSITIONS,
+  SUSPICION_TYPES,
+  ATTACHMENT_CATEGORIES,
+  planTransition,
+  generateReportNumber,
+  buildFilingPackage,
+  toXml
+};
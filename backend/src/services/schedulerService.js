@@ -8,6 +8,10 @@ const emailService = require('./emailService');
 const exportService = require('./exportService');
 const logger = require('../utils/logger');
 const { parseDecimal } = require('../utils/helpers');
+const { applyDueVersions } = require('./rateVersionService');
+const { checkAlerts } = require('../controllers/rateAlertController');
+const { recalculateAllCustomers } = require('./riskScoringService');
+const companyConfig = require('../config/company');
 
 // Store active schedules in memory
 const activeSchedules = new Map();
@@ -18,6 +22,9 @@ const SCHEDULER_INTERVAL = 60 * 1000;
 // Main scheduler interval reference
 let schedulerInterval = null;
 
+// Day (server time) of the last nightly risk scoring run
+let lastRiskScoringDay = null;
+
 /**
  * Initialize the scheduler service
  * Loads all active schedules from database and starts the scheduler
@@ -32,7 +39,7 @@ const initScheduler = async () => {
 
     // Start the main scheduler interval
     if (!schedulerInterval) {
-      schedulerInterval = setInterval(runScheduledReports, SCHEDULER_INTERVAL);
+      schedulerInterval = setInterval(runScheduledTasks, SCHEDULER_INTERVAL);
       logger.info('Scheduler service started');
     }
 
@@ -209,6 +216,58 @@ const listSchedules = async (options = {}) => {
   };
 };
 
+/**
+ * Scheduler tick: apply due rate versions, run due reports, then the nightly risk scoring
+ */
+const runScheduledTasks = async () => {
+  await applyScheduledRates();
+  await runScheduledReports();
+  await runNightlyRiskScoring();
+};
+
+/**
+ * Apply exchange rate versions whose effective date has passed
+ * and fire rate alerts for the new rates
+ */
+const applyScheduledRates = async () => {
+  try {
+    const applied = await applyDueVersions();
+    if (applied.length > 0) {
+      logger.info(`Applied ${applied.length} scheduled exchange rate(s)`);
+      checkAlerts(applied);
+    }
+  } catch (error) {
+    logger.error('Error applying scheduled exchange rates', { error: error.message });
+  }
+};
+
+/**
+ * Rescore all customers once a day, on the first tick after the configured hour
+ * @param {Date} [now]
+ * @returns {Promise<boolean>} Whether the run was due
+ */
+const runNightlyRiskScoring = async (now = new Date()) => {
+  const today = now.toDateString();
+  if (now.getHours() < companyConfig.riskScoring.nightlyHour || lastRiskScoringDay === today) {
+    return false;
+  }
+
+  // Claim the day before starting so overlapping ticks do not start a second run
+  lastRiskScoringDay = today;
+
+  try {
+    const startTime = Date.now();
+    const result = await recalculateAllCustomers(pool);
+    logger.info('Nightly customer risk scoring completed', {
+      ...result,
+      duration: `${Date.now() - startTime}ms`
+    });
+  } catch (error) {
+    logger.error('Error running nightly customer risk scoring', { error: error.message });
+  }
+  return true;
+};
+
 /**
  * Run all scheduled reports that are due
  */
@@ -714,6 +773,8 @@ module.exports = {
   cancelSchedule,
   listSchedules,
   runScheduledReports,
+  applyScheduledRates,
+  runNightlyRiskScoring,
   runScheduleNow,
   calculateNextRunTime,
   generateReportData,
@@ -0,0 +1,210 @@
+/**
+ * Structuring Service
+ * Detects transactions arranged to stay under reporting thresholds (structuring or
+ * smurfing): repeated amounts just below a currency's high value threshold, one phone
+ * or ID number behind several customer records, one person paying for many customers,
+ * and a customer's amount split across tellers. Each pattern carries the transactions
+ * it links and a key naming its subject, so a pattern that keeps growing stays one alert.
+ */
+const { parseDecimal } = require('../utils/helpers');
+const companyConfig = require('../config/company');
+const { nameKey } = require('./watchlistService');
+
+// Transactions that count towards a pattern
+const WINDOW_FILTER = `transaction_date >= DATE_SUB(NOW(), INTERVAL ? HOUR)
+  AND status IN ('completed', 'pending') AND deleted_at IS NULL`;
+
+const sum = (rows) => parseDecimal(rows.reduce((total, r) => total + parseFloat(r.amount_in), 0));
+
+/**
+ * Whether an amount sits just below a threshold
+ * @param {number} amount
+ * @param {number} threshold
+ * @param {number} marginPercent - How far below still counts, as a share of the threshold
+ * @returns {boolean}
+ */
+const isJustBelow = (amount, threshold, marginPercent) => {
+  if (!threshold || threshold <= 0) return false;
+  return amount < threshold && amount >= threshold * (1 - marginPercent / 100);
+};
+
+/**
+ * Key identifying a funder by name regardless of spelling or name order
+ * @param {string} name
+ * @returns {string|null}
+ */
+const funderKey = (name) => {
+  const key = nameKey(name || '').split(' ').filter(Boolean).sort().join(' ');
+  return key ? key.slice(0, 191) : null;
+};
+
+/**
+ * Repeated amounts just below the threshold
+ * @param {Array<{id: number, amount_in: *}>} rows - One customer's transactions in one currency
+ * @param {number} threshold
+ * @param {Object} options - companyConfig.structuring
+ * @returns {{transactionIds: number[], total: number}|null}
+ */
+const findBelowThreshold = (rows, threshold, options) => {
+  const below = rows.filter(r => isJustBelow(parseFloat(r.amount_in), threshold, options.marginPercent));
+  if (below.length < options.minBelowThreshold) return null;
+  return { transactionIds: below.map(r => r.id), total: sum(below) };
+};
+
+/**
+ * Amounts that each stay under the threshold but together pass it, handled by
+ * different tellers
+ * @param {Array<{id: number, amount_in: *, employee_id: number}>} rows - One customer's transactions in one currency
+ * @param {number} threshold
+ * @param {Object} options - companyConfig.structuring
+ * @returns {{transactionIds: number[], total: number, tellers: number}|null}
+ */
+const findTellerSplit = (rows, threshold, options) => {
+  if (!threshold || threshold <= 0) return null;
+  const under = rows.filter(r => parseFloat(r.amount_in) < threshold);
+  const tellers = new Set(under.map(r => r.employee_id)).size;
+  const total = sum(under);
+  if (tellers < options.minTellers || total < threshold) return null;
+  return { transactionIds: under.map(r => r.id), total, tellers };
+};
+
+/**
+ * Count the different customers behind a set of transactions. Transactions without
+ * a customer record count by name.
+ * @param {Array<{customer_id: number|null, customer_name: string}>} rows
+ * @returns {number}
+ */
+const countCustomers = (rows) => new Set(
+  rows.map(r => (r.customer_id ? `id:${r.customer_id}` : `name:${(r.customer_name || '').trim().toLowerCase()}`))
+).size;
+
+/**
+ * Find the structuring patterns a new transaction takes part in. Call it after the
+ * transaction is inserted, on the same connection, so it is part of what is found.
+ * @param {Object} db - Pool or connection
+ * @param {Object} transaction
+ * @param {number} transaction.id
+ * @param {number|null} transaction.customerId
+ * @param {string} [transaction.customerPhone]
+ * @param {string} [transaction.customerIdNumber]
+ * @param {string} [transaction.fundedByName]
+ * @param {string} [transaction.fundedByIdNumber]
+ * @param {number} transaction.currencyInId
+ * @param {string} transaction.currencyCode
+ * @param {number} transaction.amountIn
+ * @param {number} transaction.threshold - High value threshold of the currency paid in
+ * @param {Object} [options] - companyConfig.structuring
+ * @returns {Promise<Array<{pattern: string, key: string, severity: string, description: string, transactionIds: number[], details: Object}>>}
+ */
+const detectPatterns = async (db, transaction, options = companyConfig.structuring) => {
+  const patterns = [];
+  const hours = options.windowHours;
+  const { customerId, currencyCode: code, threshold } = transaction;
+  const amountIn = parseFloat(transaction.amountIn);
+
+  if (customerId && amountIn < threshold) {
+    const [rows] = await db.query(
+      `SELECT id, amount_in, employee_id FROM transactions
+       WHERE customer_id = ? AND currency_in_id = ? AND ${WINDOW_FILTER}`,
+      [customerId, transaction.currencyInId, hours]
+    );
+
+    const below = isJustBelow(amountIn, threshold, options.marginPercent) && findBelowThreshold(rows, threshold, options);
+    if (below) {
+      patterns.push({
+        pattern: 'below_threshold',
+        key: `below_threshold:customer:${customerId}:currency:${transaction.currencyInId}`,
+        severity: 'high',
+        description: `${below.transactionIds.length} payments just below the ${threshold} ${code} threshold within ${hours}h (total ${below.total} ${code})`,
+        transactionIds: below.transactionIds,
+        details: { pattern: 'below_threshold', windowHours: hours, threshold, currency: code, total: below.total, transactionCount: below.transactionIds.length }
+      });
+    }
+
+    const split = findTellerSplit(rows, threshold, options);
+    if (split) {
+      patterns.push({
+        pattern: 'teller_split',
+        key: `teller_split:customer:${customerId}:currency:${transaction.currencyInId}`,
+        severity: 'high',
+        description: `${split.total} ${code} paid in with ${split.tellers} tellers within ${hours}h, each payment below the ${threshold} ${code} threshold`,
+        transactionIds: split.transactionIds,
+        details: { pattern: 'teller_split', windowHours: hours, threshold, currency: code, total: split.total, tellers: split.tellers, transactionCount: split.transactionIds.length }
+      });
+    }
+  }
+
+  // The same phone or ID number on several customer records that are all in use
+  const identities = [
+    { field: 'phone', label: 'Phone', value: transaction.customerPhone },
+    { field: 'id_number', label: 'ID number', value: transaction.customerIdNumber }
+  ];
+  for (const identity of identities) {
+    const value = identity.value ? String(identity.value).trim() : '';
+    if (!customerId || !value) continue;
+
+    const [others] = await db.query(
+      `SELECT id, full_name FROM customers WHERE id <> ? AND ${identity.field} = ?`,
+      [customerId, value]
+    );
+    if (others.length + 1 < options.minSharedIdentity) continue;
+
+    const customerIds = [customerId, ...others.map(c => c.id)];
+    const [rows] = await db.query(
+      `SELECT id, customer_id, customer_name FROM transactions
+       WHERE customer_id IN (${customerIds.map(() => '?').join(',')}) AND ${WINDOW_FILTER}`,
+      [...customerIds, hours]
+    );
+    // Duplicate records nobody else transacts on are a data quality issue, not a pattern
+    if (countCustomers(rows) < 2) continue;
+
+    patterns.push({
+      pattern: 'shared_identity',
+      key: `shared_identity:${identity.field}:${value}`.slice(0, 191),
+      severity: 'medium',
+      description: `${identity.label} ${value} is on ${customerIds.length} customer records, ${countCustomers(rows)} of them transacting within ${hours}h`,
+      transactionIds: rows.map(r => r.id),
+      details: {
+        pattern: 'shared_identity',
+        windowHours: hours,
+        [identity.field === 'phone' ? 'phone' : 'idNumber']: value,
+        customers: others.map(c => c.full_name),
+        transactionCount: rows.length
+      }
+    });
+  }
+
+  // One person paying for many different customers
+  const funderIdNumber = transaction.fundedByIdNumber ? String(transaction.fundedByIdNumber).trim() : '';
+  const funderNameKey = funderKey(transaction.fundedByName);
+  if (funderIdNumber || funderNameKey) {
+    const [rows] = await db.query(
+      `SELECT id, customer_id, customer_name FROM transactions
+       WHERE ${funderIdNumber ? 'funded_by_id_number = ?' : 'funded_by_key = ?'} AND ${WINDOW_FILTER}`,
+      [funderIdNumber || funderNameKey, hours]
+    );
+    const customers = countCustomers(rows);
+    if (customers >= options.minFundedCustomers) {
+      const funder = transaction.fundedByName || funderIdNumber;
+      patterns.push({
+        pattern: 'common_funder',
+        key: (funderIdNumber ? `common_funder:id:${funderIdNumber}` : `common_funder:name:${funderNameKey}`).slice(0, 191),
+        severity: 'high',
+        description: `${funder} paid for ${customers} different customers within ${hours}h (${rows.length} transactions)`,
+        transactionIds: rows.map(r => r.id),
+        details: { pattern: 'common_funder', windowHours: hours, funder, funderIdNumber: funderIdNumber || null, customers, transactionCount: rows.length }
+      });
+    }
+  }
+
+  return patterns;
+};
+
+module.exports = {
+  isJustBelow,
+  funderKey,
+  findBelowThreshold,
+  findTellerSplit,
+  countCustomers,
+  detectPatterns
+};
@@ -0,0 +1,206 @@
+/**
+ * Two-Factor Service
+ * TOTP secrets, enrollment QR codes and recovery codes for staff two-factor
+ * authentication. Secrets are encrypted at rest; recovery codes are only kept as
+ * hashes and each one works once.
+ */
+const crypto = require('crypto');
+const speakeasy = require('speakeasy');
+const QRCode = require('qrcode');
+const jwtConfig = require('../config/jwt');
+const companyConfig = require('../config/company');
+
+const TOTP_STEP_SECONDS = 30;
+// Accept the previous and next code as well, for clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const encryptionKey = () => crypto.createHash('sha256').update(jwtConfig.twoFactor.encryptionKey).digest();
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv:tag:ciphertext, hex encoded
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Value from encryptSecret
+ * @returns {string} Base32 secret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Create a new secret and the QR code authenticator apps scan to enroll
+ * @param {string} username - Shown as the account name in the app
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>} qrCode is a data URL
+ */
+const generateSecret = async (username) => {
+  const generated = speakeasy.generateSecret({ length: 20 });
+  const otpauthUrl = speakeasy.otpauthURL({
+    secret: generated.base32,
+    encoding: 'base32',
+    label: `${encodeURIComponent(companyConfig.name)}:${encodeURIComponent(username)}`,
+    issuer: companyConfig.name
+  });
+
+  return {
+    secret: generated.base32,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+/**
+ * Check a TOTP code
+ * A code is only accepted once: its time step must be later than the last accepted one.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Six-digit code from the app
+ * @param {number|null} [lastUsedStep] - Time step of the last accepted code
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number|null} Time step of the accepted code, or null when invalid or replayed
+ */
+const verifyCode = (secret, code, lastUsedStep = null, now = Date.now()) => {
+  if (!/^\d{6}$/.test(String(code || ''))) {
+    return null;
+  }
+
+  const match = speakeasy.totp.verifyDelta({
+    secret,
+    encoding: 'base32',
+    token: String(code),
+    window: TOTP_WINDOW,
+    step: TOTP_STEP_SECONDS,
+    time: Math.floor(now / 1000)
+  });
+  if (!match) {
+    return null;
+  }
+
+  const step = Math.floor(now / 1000 / TOTP_STEP_SECONDS) + match.delta;
+  if (lastUsedStep !== null && lastUsedStep !== undefined && step <= Number(lastUsedStep)) {
+    return null;
+  }
+  return step;
+};
+
+/**
+ * Normalize a recovery code as typed (case and separators do not matter)
+ */
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[^a-zA-Z0-9]/g, '').toUpperCase();
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * Create a fresh set of recovery codes
+ * @returns {{codes: string[], hashes: string[]}} codes are shown to the user once, hashes are stored
+ */
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Use up a recovery code
+ * @param {string[]} hashes - Stored hashes of unused codes
+ * @param {string} code - Code as typed
+ * @returns {string[]|null} Remaining hashes, or null when the code does not match
+ */
+const consumeRecoveryCode = (hashes, code) => {
+  const hash = hashRecoveryCode(code);
+  const index = (hashes || []).indexOf(hash);
+  if (index === -1) {
+    return null;
+  }
+  return hashes.filter((_, i) => i !== index);
+};
+
+/**
+ * A user's two-factor record and whether their role requires two-factor authentication
+ * @param {Object} connection - Pool or connection
+ * @param {{id: number, role: string}} user
+ * @returns {Promise<{record: Object|null, enabled: boolean, required: boolean}>}
+ */
+const getTwoFactorState = async (connection, user) => {
+  const [records] = await connection.query('SELECT * FROM two_factor_auth WHERE user_id = ?', [user.id]);
+  const [roles] = await connection.query('SELECT require_two_factor FROM roles WHERE code = ?', [user.role]);
+  const record = records.length > 0 ? records[0] : null;
+
+  return {
+    record,
+    enabled: Boolean(record && record.is_enabled),
+    required: roles.length > 0 && Boolean(roles[0].require_two_factor)
+  };
+};
+
+/**
+ * Stored recovery code hashes of a two-factor record
+ * @returns {string[]}
+ */
+const getRecoveryHashes = (record) => {
+  if (!record || !record.backup_codes) {
+    return [];
+  }
+  return typeof record.backup_codes === 'string' ? JSON.parse(record.backup_codes) : record.backup_codes;
+};
+
+/**
+ * Use up a recovery code of a stored two-factor record. The row stays locked from
+ * read to write, so two requests cannot both spend the same code.
+ * @param {Object} pool - Database pool
+ * @param {number} recordId - two_factor_auth id
+ * @param {string} code - Code as typed
+ * @returns {Promise<string[]|null>} Remaining hashes, or null when the code does not match
+ */
+const redeemRecoveryCode = async (pool, recordId, code) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [records] = await connection.query(
+      'SELECT backup_codes FROM two_factor_auth WHERE id = ? FOR UPDATE',
+      [recordId]
+    );
+    const remaining = records.length > 0 ? consumeRecoveryCode(getRecoveryHashes(records[0]), code) : null;
+
+    if (remaining) {
+      await connection.query('UPDATE two_factor_auth SET backup_codes = ? WHERE id = ?',
+        [JSON.stringify(remaining), recordId]);
+    }
+
+    await connection.commit();
+    return remaining;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  getTwoFactorState,
+  getRecoveryHashes,
+  redeemRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  verifyCode,
+  generateRecoveryCodes,
+  consumeRecoveryCode
+};
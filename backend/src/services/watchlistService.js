@@ -0,0 +1,494 @@
+/**
+ * Watchlist Service
+ * Parses sanctions/PEP lists (CSV or XML) and screens people against them.
+ * Names are compared after transliterating Arabic and Kurdish script to Latin and
+ * reducing each name part to a consonant skeleton, so "Mohammed", "Muhammad" and
+ * "محمد" compare as the same name. Date of birth moves the score up or down; an
+ * identical ID number is a match on its own.
+ */
+const companyConfig = require('../config/company');
+
+// Arabic and Kurdish (Sorani) letters to Latin. و and ي depend on position; see transliterate
+const ARABIC_TO_LATIN = {
+  'ا': 'a', 'أ': 'a', 'إ': 'i', 'آ': 'a', 'ٱ': 'a', 'ء': '', 'ئ': '', 'ؤ': 'u',
+  'ب': 'b', 'پ': 'p', 'ت': 't', 'ة': 'a', 'ث': 'th', 'ج': 'j', 'چ': 'ch', 'ح': 'h',
+  'خ': 'kh', 'د': 'd', 'ذ': 'dh', 'ر': 'r', 'ڕ': 'r', 'ز': 'z', 'ژ': 'zh', 'س': 's',
+  'ش': 'sh', 'ص': 's', 'ض': 'd', 'ط': 't', 'ظ': 'z', 'غ': 'gh', 'ف': 'f', 'ڤ': 'v',
+  'ق': 'q', 'ك': 'k', 'ک': 'k', 'گ': 'g', 'ل': 'l', 'ڵ': 'l', 'م': 'm', 'ن': 'n',
+  'ه': 'h', 'ھ': 'h', 'ە': 'e', 'ۆ': 'o', 'ێ': 'e', 'ى': 'a'
+};
+
+// Name particles that say nothing about who someone is
+const NOISE_TOKENS = new Set(['al', 'el', 'ul', 'bin', 'ibn', 'bint', 'binti', 'ben']);
+const ARABIC_NOISE_TOKENS = new Set(['بن', 'ابن', 'بنت']);
+
+const ARABIC_SCRIPT = /[\u0600-\u06FF]/;
+
+/**
+ * Transliterate one Arabic-script word to Latin
+ * Initial و and ي are consonants (w, y); elsewhere they are read as vowels. An initial
+ * ع is read as "a" (Ali, Omar); elsewhere it is dropped.
+ * @param {string} word
+ * @returns {string}
+ */
+const transliterate = (word) => {
+  // Definite article: الحسن -> حسن
+  const stem = word.length > 3 && word.startsWith('ال') ? word.slice(2) : word;
+  let latin = '';
+  [...stem].forEach((ch, i) => {
+    if (ch === 'و') latin += i === 0 ? 'w' : 'u';
+    else if (ch === 'ي' || ch === 'ی') latin += i === 0 ? 'y' : 'i';
+    else if (ch === 'ع') latin += i === 0 ? 'a' : '';
+    else if (ARABIC_TO_LATIN[ch] !== undefined) latin += ARABIC_TO_LATIN[ch];
+  });
+  return latin;
+};
+
+/**
+ * Reduce a Latin name part to its consonant skeleton
+ * Spelling variants of the same sound are merged, vowels and w/y after the first
+ * letter dropped, doubled letters collapsed and a trailing h removed:
+ * Mohammed, Muhammad -> mhmd; Abdullah, Abdallah -> abdl.
+ * @param {string} token - Lower-case Latin letters
+ * @returns {string}
+ */
+const skeleton = (token) => {
+  let key = token
+    .replace(/ph/g, 'f')
+    .replace(/ck/g, 'k')
+    .replace(/c(?!h)/g, 'k')
+    .replace(/q/g, 'k')
+    .replace(/dh/g, 'z')
+    .replace(/th/g, 't')
+    .replace(/j/g, 'g')
+    .replace(/v/g, 'f');
+
+  // An initial vowel is kept as "a": Ahmed (ahmd) is not Hamid (hmd), Omar and Amr are both amr
+  const lead = /^[aeiou]/.test(key) ? 'a' : key[0];
+  key = lead + key.slice(1).replace(/[aeiouwy]/g, '');
+  key = key.replace(/(.)\1+/g, '$1');
+  if (key.length > 2 && key.endsWith('h') && !/[cgks]h$/.test(key)) {
+    key = key.slice(0, -1);
+  }
+  return key;
+};
+
+/**
+ * Split a name into comparable parts
+ * @param {string} name - In Latin, Arabic or Kurdish script
+ * @returns {Array<{latin: string, key: string}>}
+ */
+const tokenize = (name) => {
+  if (!name) return [];
+
+  const words = String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036F]/g, '') // Latin accents
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, '') // Arabic diacritics and tatweel
+    .toLowerCase()
+    .split(/[^a-z\u0600-\u06FF]+/)
+    .filter(Boolean);
+
+  const tokens = [];
+  for (const word of words) {
+    if (ARABIC_SCRIPT.test(word)) {
+      if (ARABIC_NOISE_TOKENS.has(word)) continue;
+      const latin = transliterate(word.replace(/[a-z]/g, ''));
+      if (latin) tokens.push(latin);
+    } else if (!NOISE_TOKENS.has(word)) {
+      tokens.push(word);
+    }
+  }
+
+  return tokens.map(latin => ({ latin, key: skeleton(latin) }));
+};
+
+/**
+ * Jaro-Winkler similarity
+ * @returns {number} 0 (nothing in common) to 1 (identical)
+ */
+const jaroWinkler = (a, b) => {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(i + window + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+// Spelling and skeleton similarity count equally
+const tokenSimilarity = (x, y) => {
+  if (!x.key || !y.key) return jaroWinkler(x.latin, y.latin);
+  return (jaroWinkler(x.latin, y.latin) + jaroWinkler(x.key, y.key)) / 2;
+};
+
+/**
+ * Compare two names
+ * Parts are paired best-first; name parts missing on one side lower the score, so a
+ * single matching first name does not match a full name.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0-100
+ */
+const compareNames = (a, b) => {
+  const ta = tokenize(a);
+  const tb = tokenize(b);
+  if (ta.length === 0 || tb.length === 0) return 0;
+
+  const [shorter, longer] = ta.length <= tb.length ? [ta, tb] : [tb, ta];
+
+  const pairs = [];
+  shorter.forEach((x, i) => longer.forEach((y, j) => pairs.push({ i, j, score: tokenSimilarity(x, y) })));
+  pairs.sort((p, q) => q.score - p.score);
+
+  const usedShort = new Set();
+  const usedLong = new Set();
+  let total = 0;
+  for (const pair of pairs) {
+    if (usedShort.has(pair.i) || usedLong.has(pair.j)) continue;
+    usedShort.add(pair.i);
+    usedLong.add(pair.j);
+    total += pair.score;
+  }
+
+  // A single name part never matches a longer name on its own
+  const coverage = shorter.length === 1 && longer.length > 1 ? 0.5 : 0.7 + 0.3 * (shorter.length / longer.length);
+  const tokenScore = (total / shorter.length) * coverage;
+
+  // Catch names split differently: "Abd Allah" against "Abdullah"
+  const joinedA = ta.map(t => t.latin).join('');
+  const joinedB = tb.map(t => t.latin).join('');
+  const comparable = Math.min(joinedA.length, joinedB.length) >= 0.75 * Math.max(joinedA.length, joinedB.length);
+  const joinedScore = comparable
+    ? tokenSimilarity({ latin: joinedA, key: skeleton(joinedA) }, { latin: joinedB, key: skeleton(joinedB) }) * 0.95
+    : 0;
+
+  return Math.round(Math.max(tokenScore, joinedScore) * 100);
+};
+
+/**
+ * Normalize an ID number for comparison: letters and digits only, upper case
+ * @param {string|null} value
+ * @returns {string}
+ */
+const normalizeIdNumber = (value) => (value ? String(value).toUpperCase().replace(/[^A-Z0-9]/g, '') : '');
+
+/**
+ * Parse a date of birth as found on lists: YYYY-MM-DD, DD/MM/YYYY or just a year
+ * @param {string|Date|null} value
+ * @returns {{year: number, date: string|null}|null}
+ */
+const parseBirthDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    // DATE columns come back as local midnight; toISOString could shift them a day
+    const pad = (n) => String(n).padStart(2, '0');
+    return { year: value.getFullYear(), date: `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}` };
+  }
+
+  const text = String(value).trim();
+  let m = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return { year: Number(m[1]), date: `${m[1]}-${m[2]}-${m[3]}` };
+  m = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/);
+  if (m) return { year: Number(m[3]), date: `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}` };
+  m = text.match(/^(\d{4})$/);
+  if (m) return { year: Number(m[1]), date: null };
+  return null;
+};
+
+/**
+ * Score a person against one list entry
+ * The best of the entry's name and aliases counts. Matching dates of birth add to the
+ * score, birth years more than a year apart take from it. The same ID number is a
+ * match whatever the names say.
+ * @param {{name: string, dateOfBirth?: string, idNumber?: string}} party
+ * @param {{fullName: string, aliases?: string[], dateOfBirth?: string, idNumbers?: string[]}} entry
+ * @returns {{score: number, matchedOn: string[], matchedName: string}}
+ */
+const scoreEntry = (party, entry) => {
+  const partyId = normalizeIdNumber(party.idNumber);
+  if (partyId.length >= 5 && (entry.idNumbers || []).some(id => normalizeIdNumber(id) === partyId)) {
+    return { score: 100, matchedOn: ['idNumber'], matchedName: entry.fullName };
+  }
+
+  let score = 0;
+  let matchedName = entry.fullName;
+  for (const name of [entry.fullName, ...(entry.aliases || [])]) {
+    const nameScore = compareNames(party.name, name);
+    if (nameScore > score) {
+      score = nameScore;
+      matchedName = name;
+    }
+  }
+
+  const matchedOn = ['name'];
+  const partyDob = parseBirthDate(party.dateOfBirth);
+  const entryDob = parseBirthDate(entry.dateOfBirth);
+  if (partyDob && entryDob) {
+    if (partyDob.date && entryDob.date && partyDob.date === entryDob.date) {
+      score += 10;
+      matchedOn.push('dateOfBirth');
+    } else if (partyDob.year === entryDob.year) {
+      score += 5;
+      matchedOn.push('dateOfBirth');
+    } else if (Math.abs(partyDob.year - entryDob.year) > 1) {
+      score -= 20;
+    }
+  }
+
+  return { score: Math.max(0, Math.min(100, score)), matchedOn, matchedName };
+};
+
+/**
+ * Screen a person against list entries
+ * @param {Object} party - { name, dateOfBirth, idNumber }
+ * @param {Array<Object>} entries
+ * @param {number} [threshold]
+ * @returns {Array<Object>} Entries at or above the threshold, best first, with score and matchedOn
+ */
+const screen = (party, entries, threshold = companyConfig.watchlist.matchThreshold) => {
+  if (!party.name && !party.idNumber) return [];
+
+  return entries
+    .map(entry => ({ entry, ...scoreEntry(party, entry) }))
+    .filter(hit => hit.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+};
+
+// --- List parsing ---
+
+const splitList = (value) => (value ? String(value).split(/[;|]/).map(v => v.trim()).filter(Boolean) : []);
+
+// Column names accepted for each field, compared case-insensitively without spaces or underscores
+const CSV_COLUMNS = {
+  fullName: ['name', 'fullname', 'wholename'],
+  aliases: ['aliases', 'alias', 'aka'],
+  dateOfBirth: ['dateofbirth', 'dob', 'birthdate'],
+  idNumbers: ['idnumber', 'idnumbers', 'documentnumber', 'passport', 'nationalid'],
+  nationality: ['nationality', 'country'],
+  externalId: ['reference', 'referencenumber', 'id', 'externalid', 'dataid'],
+  remarks: ['remarks', 'program', 'comments', 'notes']
+};
+
+/**
+ * Map parsed CSV rows to list entries
+ * Multiple aliases or ID numbers go in one cell separated by ; or |
+ * @param {Array<Object>} rows - As produced by csv-parser
+ * @returns {{entries: Array<Object>, errors: Array<{row: number, message: string}>}}
+ */
+const entriesFromCsvRows = (rows) => {
+  const entries = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const cells = {};
+    for (const [column, value] of Object.entries(row)) {
+      cells[column.toLowerCase().replace(/[\s_-]/g, '')] = typeof value === 'string' ? value.trim() : value;
+    }
+    const pick = (field) => {
+      const column = CSV_COLUMNS[field].find(c => cells[c]);
+      return column ? cells[column] : null;
+    };
+
+    const fullName = pick('fullName');
+    if (!fullName) {
+      errors.push({ row: index + 2, message: 'Name is missing' });
+      return;
+    }
+
+    entries.push({
+      externalId: pick('externalId'),
+      fullName,
+      aliases: splitList(pick('aliases')),
+      dateOfBirth: pick('dateOfBirth'),
+      idNumbers: splitList(pick('idNumbers')),
+      nationality: pick('nationality'),
+      remarks: pick('remarks')
+    });
+  });
+
+  return { entries, errors };
+};
+
+const decodeXml = (text) => text
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(Number(code)))
+  .replace(/&amp;/g, '&')
+  .trim();
+
+// Inner XML of every <tag> element (tags are matched case-insensitively, without nesting)
+const elements = (xml, tag) => {
+  const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'gi');
+  return [...xml.matchAll(pattern)].map(m => m[1]);
+};
+
+const textOf = (xml, tag) => {
+  const found = elements(xml, tag);
+  return found.length > 0 ? decodeXml(found[0].replace(/<[^>]+>/g, ' ')) : null;
+};
+
+const textsOf = (xml, tag) => elements(xml, tag).map(inner => decodeXml(inner.replace(/<[^>]+>/g, ' '))).filter(Boolean);
+
+/**
+ * Parse an XML list
+ * Reads the UN Security Council consolidated list (INDIVIDUAL and ENTITY records) and
+ * a plain format of <entry> records with name, alias, dateOfBirth, idNumber,
+ * nationality, reference and remarks elements.
+ * @param {string} xml
+ * @returns {{entries: Array<Object>, errors: Array<{row: number, message: string}>}}
+ */
+const entriesFromXml = (xml) => {
+  const entries = [];
+  const errors = [];
+  const records = [];
+
+  for (const tag of ['INDIVIDUAL', 'ENTITY']) {
+    for (const inner of elements(xml, tag)) {
+      const nameParts = ['FIRST_NAME', 'SECOND_NAME', 'THIRD_NAME', 'FOURTH_NAME'].map(part => textOf(inner, part)).filter(Boolean);
+      const birth = elements(inner, 'INDIVIDUAL_DATE_OF_BIRTH')[0] || '';
+      records.push({
+        externalId: textOf(inner, 'REFERENCE_NUMBER') || textOf(inner, 'DATAID'),
+        fullName: nameParts.join(' '),
+        aliases: [
+          ...textsOf(inner, 'ALIAS_NAME'),
+          ...(textOf(inner, 'NAME_ORIGINAL_SCRIPT') ? [textOf(inner, 'NAME_ORIGINAL_SCRIPT')] : [])
+        ],
+        dateOfBirth: textOf(birth, 'DATE') || textOf(birth, 'YEAR'),
+        idNumbers: elements(inner, 'INDIVIDUAL_DOCUMENT').map(doc => textOf(doc, 'NUMBER')).filter(Boolean),
+        nationality: textOf(elements(inner, 'NATIONALITY')[0] || '', 'VALUE'),
+        remarks: textOf(inner, 'UN_LIST_TYPE') || textOf(inner, 'COMMENTS1')
+      });
+    }
+  }
+
+  if (records.length === 0) {
+    for (const inner of elements(xml, 'entry')) {
+      records.push({
+        externalId: textOf(inner, 'reference'),
+        fullName: textOf(inner, 'name'),
+        aliases: textsOf(inner, 'alias'),
+        dateOfBirth: textOf(inner, 'dateOfBirth'),
+        idNumbers: textsOf(inner, 'idNumber'),
+        nationality: textOf(inner, 'nationality'),
+        remarks: textOf(inner, 'remarks')
+      });
+    }
+  }
+
+  records.forEach((record, index) => {
+    if (!record.fullName) {
+      errors.push({ row: index + 1, message: 'Name is missing' });
+      return;
+    }
+    entries.push(record);
+  });
+
+  return { entries, errors };
+};
+
+// --- Stored lists ---
+
+// Entries of the active lists, reloaded whenever a list is imported, replaced, toggled or deleted
+let entryCache = { signature: null, entries: [] };
+
+/**
+ * Key identifying a screened name regardless of spelling, e.g. "mhmd hsn".
+ * Clearances of walk-in customers (no customer record) are remembered by this key.
+ * @param {string} name
+ * @returns {string}
+ */
+const nameKey = (name) => tokenize(name).map(t => t.key).join(' ').slice(0, 255);
+
+/**
+ * Load the entries of all active lists
+ * @param {Object} connection - Pool or connection
+ * @returns {Promise<Array<Object>>} Entries with id, watchlistId, listName and listType
+ */
+const getActiveEntries = async (connection) => {
+  const [[state]] = await connection.query(`
+    SELECT COUNT(e.id) as count, COALESCE(MAX(e.id), 0) as max_id
+    FROM watchlist_entries e
+    JOIN watchlists w ON e.watchlist_id = w.id
+    WHERE w.is_active = TRUE
+  `);
+  const signature = `${state.count}:${state.max_id}`;
+  if (signature === entryCache.signature) {
+    return entryCache.entries;
+  }
+
+  const [rows] = await connection.query(`
+    SELECT e.*, w.name as list_name, w.list_type
+    FROM watchlist_entries e
+    JOIN watchlists w ON e.watchlist_id = w.id
+    WHERE w.is_active = TRUE
+  `);
+  const parseList = (value) => (value ? (typeof value === 'string' ? JSON.parse(value) : value) : []);
+
+  const entries = rows.map(row => ({
+    id: row.id,
+    watchlistId: row.watchlist_id,
+    listName: row.list_name,
+    listType: row.list_type,
+    externalId: row.external_id,
+    fullName: row.full_name,
+    aliases: parseList(row.aliases),
+    dateOfBirth: row.date_of_birth,
+    idNumbers: parseList(row.id_numbers),
+    nationality: row.nationality,
+    remarks: row.remarks
+  }));
+  entryCache = { signature, entries };
+  return entries;
+};
+
+module.exports = {
+  transliterate,
+  skeleton,
+  tokenize,
+  jaroWinkler,
+  compareNames,
+  normalizeIdNumber,
+  parseBirthDate,
+  scoreEntry,
+  screen,
+  entriesFromCsvRows,
+  entriesFromXml,
+  nameKey,
+  getActiveEntries
+};
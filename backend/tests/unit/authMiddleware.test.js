@@ -0,0 +1,205 @@
+/**
+ * Authentication Middleware Unit Tests
+ */
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../src/config/database', () => ({
+  pool: { query: jest.fn() }
+}));
+
+const { pool } = require('../../src/config/database');
+const jwtConfig = require('../../src/config/jwt');
+const {
+  allowCustomers,
+  authenticate,
+  requirePermission,
+  getUserPermissions,
+  clearPermissionCache
+} = require('../../src/middleware/auth');
+
+const signAccess = (payload) => jwt.sign({ ...payload, type: 'access' }, jwtConfig.accessToken.secret);
+
+const createReq = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('authenticate middleware', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+  });
+
+  it('should resolve staff tokens against the users table', async () => {
+    pool.query.mockResolvedValueOnce([[{ id: 1, uuid: 'u-1', role: 'teller', is_active: true }]]);
+    const req = createReq(signAccess({ uuid: 'u-1' }));
+    const next = jest.fn();
+
+    await authenticate(req, createRes(), next);
+
+    expect(pool.query.mock.calls[0][0]).toContain('FROM users');
+    expect(req.user.role).toBe('teller');
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should reject customer tokens on staff routes', async () => {
+    const req = createReq(signAccess({ uuid: 'c-1', role: 'customer' }));
+    const res = createRes();
+    const next = jest.fn();
+
+    await authenticate(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(pool.query).not.toHaveBeenCalled();
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should resolve customer tokens against the customers table on portal routes', async () => {
+    pool.query.mockResolvedValueOnce([[{ id: 9, uuid: 'c-1', email: 'a@b.c', full_name: 'Ali', is_blocked: false, session_id: 4 }]]);
+    const req = createReq(signAccess({ uuid: 'c-1', role: 'customer', sid: 's-1' }));
+    const next = jest.fn();
+
+    allowCustomers(req, createRes(), () => {});
+    await authenticate(req, createRes(), next);
+
+    expect(pool.query.mock.calls[0][0]).toContain('FROM customers');
+    expect(req.user).toMatchObject({ id: 9, role: 'customer', sessionId: 's-1' });
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should reject customer tokens without a portal session', async () => {
+    const req = createReq(signAccess({ uuid: 'c-1', role: 'customer' }));
+    const res = createRes();
+    const next = jest.fn();
+
+    allowCustomers(req, createRes(), () => {});
+    await authenticate(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(pool.query).not.toHaveBeenCalled();
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should reject customer tokens whose portal session was revoked', async () => {
+    pool.query.mockResolvedValueOnce([[{ id: 9, uuid: 'c-1', is_blocked: false, session_id: null }]]);
+    const req = createReq(signAccess({ uuid: 'c-1', role: 'customer', sid: 's-1' }));
+    const res = createRes();
+    const next = jest.fn();
+
+    allowCustomers(req, createRes(), () => {});
+    await authenticate(req, res, next);
+
+    expect(pool.query.mock.calls[0][1]).toEqual(['s-1', 'c-1']);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should reject blocked customers', async () => {
+    pool.query.mockResolvedValueOnce([[{ id: 9, uuid: 'c-1', is_blocked: true, session_id: 4 }]]);
+    const req = createReq(signAccess({ uuid: 'c-1', role: 'customer', sid: 's-1' }));
+    const res = createRes();
+    const next = jest.fn();
+
+    allowCustomers(req, createRes(), () => {});
+    await authenticate(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe('requirePermission middleware', () => {
+  let db;
+
+  // Answer permission queries from an in-memory matrix
+  const mockPermissions = () => {
+    pool.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM permission_versions')) {
+        return [[{ version: db.version }]];
+      }
+      if (sql.includes('FROM role_permissions')) {
+        return [db.roles];
+      }
+      if (sql.includes('FROM user_permissions')) {
+        return [db.overrides];
+      }
+      return [db.codes.map(code => ({ code }))];
+    });
+  };
+
+  const check = async (user, ...codes) => {
+    const res = createRes();
+    const next = jest.fn();
+    await requirePermission(...codes)({ user }, res, next);
+    return { res, next };
+  };
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    clearPermissionCache();
+    db = {
+      version: 1,
+      codes: ['transactions.view', 'transactions.delete', 'reports.view'],
+      roles: [
+        { role: 'teller', code: 'transactions.view' },
+        { role: 'auditor', code: 'reports.view' }
+      ],
+      overrides: []
+    };
+    mockPermissions();
+  });
+
+  it('should allow codes granted to the role, including custom roles', async () => {
+    expect((await check({ id: 1, role: 'teller' }, 'transactions.view')).next).toHaveBeenCalled();
+    expect((await check({ id: 2, role: 'auditor' }, 'reports.view')).next).toHaveBeenCalled();
+  });
+
+  it('should reject codes the role does not grant', async () => {
+    const { res, next } = await check({ id: 1, role: 'teller' }, 'transactions.delete');
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should accept any one of several codes', async () => {
+    expect((await check({ id: 1, role: 'teller' }, 'reports.view', 'transactions.view')).next).toHaveBeenCalled();
+  });
+
+  it('should let admins through without loading permissions', async () => {
+    expect((await check({ id: 3, role: 'admin' }, 'transactions.delete')).next).toHaveBeenCalled();
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('should apply per-user grants and denials on top of the role', async () => {
+    db.overrides = [
+      { user_id: 1, granted: 1, code: 'transactions.delete' },
+      { user_id: 1, granted: 0, code: 'transactions.view' }
+    ];
+
+    expect((await check({ id: 1, role: 'teller' }, 'transactions.delete')).next).toHaveBeenCalled();
+    expect((await check({ id: 1, role: 'teller' }, 'transactions.view')).next).not.toHaveBeenCalled();
+    expect((await check({ id: 4, role: 'teller' }, 'transactions.view')).next).toHaveBeenCalled();
+  });
+
+  it('should reload permissions as soon as the version changes', async () => {
+    expect((await check({ id: 1, role: 'teller' }, 'reports.view')).next).not.toHaveBeenCalled();
+
+    db.roles.push({ role: 'teller', code: 'reports.view' });
+    expect((await check({ id: 1, role: 'teller' }, 'reports.view')).next).not.toHaveBeenCalled();
+
+    db.version = 2;
+    expect((await check({ id: 1, role: 'teller' }, 'reports.view')).next).toHaveBeenCalled();
+  });
+
+  it('should list the effective permissions of a user', async () => {
+    db.overrides = [{ user_id: 1, granted: 1, code: 'reports.view' }];
+
+    expect(await getUserPermissions({ id: 1, role: 'teller' })).toEqual(['reports.view', 'transactions.view']);
+    expect(await getUserPermissions({ id: 3, role: 'admin' })).toEqual(
+      ['reports.view', 'transactions.delete', 'transactions.view']
+    );
+  });
+});
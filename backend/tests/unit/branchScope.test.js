@@ -0,0 +1,99 @@
+/**
+ * Branch Scope Middleware Unit Tests
+ */
+jest.mock('../../src/config/database', () => ({
+  pool: { query: jest.fn() }
+}));
+
+const { pool } = require('../../src/config/database');
+const { resolveBranchScope, branchFilter, ownBranch } = require('../../src/middleware/branchScope');
+
+const createReq = (user, query = {}) => ({ user, query, body: {} });
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('resolveBranchScope middleware', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+  });
+
+  it('should give admins without a branch the consolidated view', async () => {
+    const req = createReq({ role: 'admin', branch_id: null });
+    const next = jest.fn();
+
+    await resolveBranchScope(req, createRes(), next);
+
+    expect(req.branchScope.branchId).toBeNull();
+    expect(pool.query).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should let consolidated admins pick a branch', async () => {
+    pool.query.mockResolvedValueOnce([[{ id: 2, uuid: 'b-2', name: 'Erbil' }]]);
+    const req = createReq({ role: 'admin', branch_id: null }, { branchId: 'b-2' });
+    const next = jest.fn();
+
+    await resolveBranchScope(req, createRes(), next);
+
+    expect(req.branchScope).toEqual({ branchId: 2, branchUuid: 'b-2', branchName: 'Erbil' });
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should pin staff to their own branch', async () => {
+    pool.query.mockResolvedValueOnce([[{ id: 1, uuid: 'b-1', name: 'Main Branch' }]]);
+    const req = createReq({ role: 'manager', branch_id: 1, branch_uuid: 'b-1' });
+    const next = jest.fn();
+
+    await resolveBranchScope(req, createRes(), next);
+
+    expect(pool.query.mock.calls[0][1]).toEqual(['b-1']);
+    expect(req.branchScope.branchId).toBe(1);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should reject staff asking for another branch', async () => {
+    const req = createReq({ role: 'manager', branch_id: 1, branch_uuid: 'b-1' }, { branchId: 'b-2' });
+    const res = createRes();
+    const next = jest.fn();
+
+    await resolveBranchScope(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should reject staff without a branch', async () => {
+    const res = createRes();
+    const next = jest.fn();
+
+    await resolveBranchScope(createReq({ role: 'teller', branch_id: null }), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe('branchFilter', () => {
+  it('should add no condition for the consolidated view', () => {
+    expect(branchFilter({ branchId: null })).toEqual({ sql: '', params: [] });
+  });
+
+  it('should restrict the given column to the branch', () => {
+    expect(branchFilter({ branchId: 3 }, 'branch_id')).toEqual({ sql: ' AND branch_id = ?', params: [3] });
+  });
+});
+
+describe('ownBranch', () => {
+  it('should pin staff with a branch to it', () => {
+    expect(ownBranch({ role: 'manager', branch_id: 2 })).toEqual({ sql: ' AND t.branch_id = ?', params: [2] });
+  });
+
+  it('should leave admins without a branch unrestricted', () => {
+    expect(ownBranch({ role: 'admin', branch_id: null }, 'branch_id')).toEqual({ sql: '', params: [] });
+  });
+});
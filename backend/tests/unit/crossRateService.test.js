@@ -0,0 +1,108 @@
+/**
+ * Cross Rate Service Unit Tests
+ */
+const {
+  invertRate,
+  combineRates,
+  applySpread,
+  resolveRate
+} = require('../../src/services/crossRateService');
+
+const USD = 1;
+const IQD = 2;
+const EUR = 3;
+const TRY = 4;
+
+// Connection double answering the rate sheet, base currency and spread rule lookups
+const createConnection = ({ rates = [], base = { id: USD, code: 'USD' }, spread } = {}) => ({
+  query: jest.fn(async (sql) => {
+    if (sql.includes('FROM exchange_rates')) return [rates];
+    if (sql.includes('FROM currencies')) return [base ? [base] : []];
+    if (sql.includes('FROM rate_spread_rules')) return [spread !== undefined ? [{ spread_percent: spread }] : []];
+    return [[]];
+  })
+});
+
+const rate = (from, to, buy, sell, branchId = null) => ({
+  from_currency_id: from,
+  to_currency_id: to,
+  branch_id: branchId,
+  buy_rate: buy,
+  sell_rate: sell,
+  version_id: 1
+});
+
+describe('Cross Rate Service', () => {
+  describe('rate arithmetic', () => {
+    it('should invert a rate by swapping and inverting buy and sell', () => {
+      expect(invertRate({ buyRate: 1.25, sellRate: 2 })).toEqual({ buyRate: 0.5, sellRate: 0.8 });
+    });
+
+    it('should chain two legs', () => {
+      expect(combineRates({ buyRate: 1.08, sellRate: 1.1 }, { buyRate: 1460, sellRate: 1470 }))
+        .toEqual({ buyRate: 1576.8, sellRate: 1617 });
+    });
+
+    it('should widen the spread', () => {
+      expect(applySpread({ buyRate: 100, sellRate: 100 }, 0.5)).toEqual({ buyRate: 99.5, sellRate: 100.5 });
+    });
+  });
+
+  describe('resolveRate', () => {
+    it('should use the pair rate when there is one', async () => {
+      const connection = createConnection({ rates: [rate(USD, IQD, '1460', '1470')] });
+
+      const result = await resolveRate(connection, USD, IQD, null);
+
+      expect(result).toMatchObject({ buyRate: 1460, sellRate: 1470, source: 'direct', derived: false, via: null });
+    });
+
+    it('should prefer the branch rate over the default', async () => {
+      const connection = createConnection({
+        rates: [rate(USD, IQD, '1460', '1470'), rate(USD, IQD, '1455', '1475', 2)]
+      });
+
+      expect(await resolveRate(connection, USD, IQD, 2)).toMatchObject({ buyRate: 1455, sellRate: 1475 });
+    });
+
+    it('should invert the opposite pair', async () => {
+      const connection = createConnection({ rates: [rate(USD, IQD, '1250', '1250')] });
+
+      expect(await resolveRate(connection, IQD, USD, null)).toMatchObject({ buyRate: 0.0008, source: 'inverse' });
+    });
+
+    it('should derive a cross rate through the base currency with the spread', async () => {
+      const connection = createConnection({
+        rates: [rate(EUR, USD, '1.08', '1.1'), rate(USD, IQD, '1460', '1470')],
+        spread: '0.500'
+      });
+
+      const result = await resolveRate(connection, EUR, IQD, null);
+
+      expect(result).toEqual({
+        buyRate: 1568.916,
+        sellRate: 1625.085,
+        source: 'derived',
+        derived: true,
+        via: { id: USD, code: 'USD' },
+        spreadPercent: 0.5,
+        versionId: null
+      });
+    });
+
+    it('should return null when a leg is missing', async () => {
+      const connection = createConnection({ rates: [rate(EUR, USD, '1.08', '1.1')] });
+
+      expect(await resolveRate(connection, EUR, TRY, null)).toBeNull();
+    });
+
+    it('should return null without a base currency', async () => {
+      const connection = createConnection({
+        rates: [rate(EUR, USD, '1.08', '1.1'), rate(USD, IQD, '1460', '1470')],
+        base: null
+      });
+
+      expect(await resolveRate(connection, EUR, IQD, null)).toBeNull();
+    });
+  });
+});
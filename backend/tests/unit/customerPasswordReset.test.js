@@ -0,0 +1,117 @@
+/**
+ * Customer Password Setup/Reset Unit Tests
+ */
+const crypto = require('crypto');
+
+jest.mock('../../src/config/database', () => ({
+  pool: { query: jest.fn() }
+}));
+
+jest.mock('../../src/services/emailService', () => ({
+  sendCustomerPasswordEmail: jest.fn()
+}));
+
+// The real limiter starts a cleanup interval that would keep Jest running
+jest.mock('../../src/middleware/rateLimiter', () => ({}));
+
+jest.mock('../../src/utils/helpers', () => ({
+  ...jest.requireActual('../../src/utils/helpers'),
+  logAudit: jest.fn()
+}));
+
+const { pool } = require('../../src/config/database');
+const emailService = require('../../src/services/emailService');
+const { forgotPassword, setPassword } = require('../../src/controllers/customerAuthController');
+
+const createReq = (body) => ({ body, headers: {}, ip: '127.0.0.1' });
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('Customer password tokens', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+    emailService.sendCustomerPasswordEmail.mockReset();
+    emailService.sendCustomerPasswordEmail.mockResolvedValue({ success: true });
+  });
+
+  describe('forgotPassword', () => {
+    it('should store only the hash of the emailed token', async () => {
+      pool.query
+        .mockResolvedValueOnce([[{ id: 5, full_name: 'Sara', email: 'sara@example.com', is_blocked: false }]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }]);
+      const res = createRes();
+
+      await forgotPassword(createReq({ email: 'sara@example.com' }), res, jest.fn());
+
+      const [, { link, purpose }] = emailService.sendCustomerPasswordEmail.mock.calls[0];
+      const token = new URL(link).searchParams.get('token');
+      const [sql, params] = pool.query.mock.calls[1];
+
+      expect(purpose).toBe('reset');
+      expect(sql).toContain('UPDATE customers SET reset_token');
+      expect(params[0]).toBe(sha256(token));
+      expect(params[0]).not.toBe(token);
+      expect(params[1].getTime()).toBeGreaterThan(Date.now());
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
+    it('should give the same answer for unknown emails without sending anything', async () => {
+      pool.query.mockResolvedValueOnce([[]]);
+      const res = createRes();
+
+      await forgotPassword(createReq({ email: 'nobody@example.com' }), res, jest.fn());
+
+      expect(emailService.sendCustomerPasswordEmail).not.toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+  });
+
+  describe('setPassword', () => {
+    const token = 'a'.repeat(64);
+
+    it('should reject unknown or expired tokens', async () => {
+      pool.query.mockResolvedValueOnce([[]]);
+      const res = createRes();
+
+      await setPassword(createReq({ token, password: 'NewPass123' }), res, jest.fn());
+
+      expect(pool.query.mock.calls[0][0]).toContain('reset_token_expires_at > NOW()');
+      expect(pool.query.mock.calls[0][1]).toEqual([sha256(token)]);
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should hash the new password and clear the token', async () => {
+      pool.query
+        .mockResolvedValueOnce([[{ id: 5, password: null, is_blocked: false }]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }]);
+      const res = createRes();
+
+      await setPassword(createReq({ token, password: 'NewPass123' }), res, jest.fn());
+
+      const [sql, params] = pool.query.mock.calls[1];
+      expect(sql).toContain('reset_token = NULL');
+      expect(params[0]).not.toBe('NewPass123');
+      expect(params.slice(1)).toEqual([5, sha256(token)]);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
+    it('should fail when the token was consumed concurrently', async () => {
+      pool.query
+        .mockResolvedValueOnce([[{ id: 5, password: 'old', is_blocked: false }]])
+        .mockResolvedValueOnce([{ affectedRows: 0 }]);
+      const res = createRes();
+
+      await setPassword(createReq({ token, password: 'NewPass123' }), res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+});
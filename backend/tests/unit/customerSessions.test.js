@@ -0,0 +1,94 @@
+/**
+ * Customer Portal Session Unit Tests
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../src/config/database', () => ({
+  pool: { query: jest.fn() }
+}));
+
+// The real limiter starts a cleanup interval that would keep Jest running
+jest.mock('../../src/middleware/rateLimiter', () => ({}));
+
+jest.mock('../../src/utils/helpers', () => ({
+  ...jest.requireActual('../../src/utils/helpers'),
+  logAudit: jest.fn()
+}));
+
+const { pool } = require('../../src/config/database');
+const { refreshToken, revokeSession } = require('../../src/controllers/customerAuthController');
+
+const createReq = (extra) => ({ body: {}, params: {}, headers: {}, ip: '127.0.0.1', ...extra });
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('Customer portal sessions', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+  });
+
+  describe('refreshToken', () => {
+    const session = { id: 3, session_uuid: 's-1', customer_id: 9, uuid: 'c-1', is_blocked: false };
+
+    it('should rotate the refresh token in place and keep the session id', async () => {
+      pool.query
+        .mockResolvedValueOnce([[session]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }]);
+      const res = createRes();
+
+      await refreshToken(createReq({ body: { refreshToken: 'old-token' } }), res, jest.fn());
+
+      const { data } = res.json.mock.calls[0][0];
+      const [sql, params] = pool.query.mock.calls[1];
+
+      expect(sql).toContain('UPDATE customer_refresh_tokens');
+      expect(params[0]).toBe(sha256(data.refreshToken));
+      expect(params.slice(-2)).toEqual([3, sha256('old-token')]);
+      expect(data.refreshToken).not.toBe('old-token');
+      expect(jwt.decode(data.accessToken)).toMatchObject({ uuid: 'c-1', role: 'customer', sid: 's-1' });
+    });
+
+    it('should reject a token that was already rotated by another request', async () => {
+      pool.query
+        .mockResolvedValueOnce([[session]])
+        .mockResolvedValueOnce([{ affectedRows: 0 }]);
+      const res = createRes();
+
+      await refreshToken(createReq({ body: { refreshToken: 'old-token' } }), res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should revoke every session of a blocked customer', async () => {
+      pool.query
+        .mockResolvedValueOnce([[{ ...session, is_blocked: true }]])
+        .mockResolvedValueOnce([{ affectedRows: 2 }]);
+      const res = createRes();
+
+      await refreshToken(createReq({ body: { refreshToken: 'old-token' } }), res, jest.fn());
+
+      expect(pool.query.mock.calls[1]).toEqual([expect.stringContaining('revoked_at = NOW()'), [9]]);
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should only revoke sessions owned by the customer', async () => {
+      pool.query.mockResolvedValueOnce([{ affectedRows: 0 }]);
+      const res = createRes();
+
+      await revokeSession(createReq({ params: { uuid: 's-2' }, user: { id: 9 } }), res, jest.fn());
+
+      expect(pool.query.mock.calls[0][1]).toEqual(['s-2', 9]);
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Drawer Ledger Service Unit Tests
+ */
+const { postEntry, verifyLedger } = require('../../src/services/drawerLedgerService');
+
+// Minimal connection double: answers the balance lookup and records every query
+const createConnection = (existingBalance) => {
+  const queries = [];
+  return {
+    queries,
+    query: jest.fn(async (sql, params) => {
+      queries.push({ sql, params });
+      if (sql.startsWith('SELECT')) {
+        return [existingBalance === undefined ? [] : [{ id: 7, balance: existingBalance }]];
+      }
+      return [{ affectedRows: 1 }];
+    })
+  };
+};
+
+describe('Drawer Ledger Service', () => {
+  describe('postEntry', () => {
+    it('should add to an existing balance and record before/after', async () => {
+      const connection = createConnection('100.00');
+
+      const result = await postEntry(connection, {
+        drawerId: 1,
+        currencyId: 2,
+        type: 'transaction_in',
+        change: 50,
+        userId: 3
+      });
+
+      expect(result).toMatchObject({ balanceBefore: 100, balanceAfter: 150 });
+      expect(connection.queries[1].sql).toContain('UPDATE cash_drawer_balances');
+      expect(connection.queries[1].params).toEqual([150, 3, 7]);
+
+      const ledger = connection.queries[2];
+      expect(ledger.sql).toContain('INSERT INTO cash_drawer_transactions');
+      expect(ledger.params).toEqual([result.uuid, 1, 2, 'transaction_in', 50, 100, 150, null, null, null, 3]);
+    });
+
+    it('should create the balance row when the currency is new to the drawer', async () => {
+      const connection = createConnection();
+
+      const result = await postEntry(connection, {
+        drawerId: 1,
+        currencyId: 2,
+        type: 'deposit',
+        change: 25.5,
+        userId: 3
+      });
+
+      expect(result).toMatchObject({ balanceBefore: 0, balanceAfter: 25.5 });
+      expect(connection.queries[1].sql).toContain('INSERT INTO cash_drawer_balances');
+    });
+
+    it('should store outflows as positive amounts', async () => {
+      const connection = createConnection('80.00');
+
+      await postEntry(connection, {
+        drawerId: 1,
+        currencyId: 2,
+        type: 'transaction_out',
+        change: -30,
+        referenceType: 'transaction',
+        referenceId: 'abc',
+        userId: 3
+      });
+
+      expect(connection.queries[2].params.slice(3, 9)).toEqual(['transaction_out', 30, 80, 50, 'transaction', 'abc']);
+    });
+
+    it('should keep the sign of adjustments', async () => {
+      const connection = createConnection('80.00');
+
+      await postEntry(connection, {
+        drawerId: 1,
+        currencyId: 2,
+        type: 'adjustment',
+        change: -5,
+        userId: 3
+      });
+
+      expect(connection.queries[2].params[4]).toBe(-5);
+    });
+
+    it('should reject movements that overdraw the drawer', async () => {
+      const connection = createConnection('10.00');
+
+      await expect(postEntry(connection, {
+        drawerId: 1,
+        currencyId: 2,
+        type: 'transaction_out',
+        change: -20,
+        userId: 3,
+        currencyCode: 'USD'
+      })).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Insufficient funds in cash drawer. Available: 10 USD, Required: 20'
+      });
+
+      // Nothing is written once the check fails
+      expect(connection.queries).toHaveLength(1);
+    });
+
+    it('should allow overdrawing when explicitly permitted', async () => {
+      const connection = createConnection('10.00');
+
+      const result = await postEntry(connection, {
+        drawerId: 1,
+        currencyId: 2,
+        type: 'transaction_out',
+        change: -20,
+        userId: 3,
+        allowNegative: true
+      });
+
+      expect(result.balanceAfter).toBe(-10);
+    });
+  });
+
+  describe('verifyLedger', () => {
+    // Answers the ledger totals, chain break and balance queries in order
+    const createDb = (ledgerTotals, chainBreaks, balances) => ({
+      query: jest.fn()
+        .mockResolvedValueOnce([ledgerTotals])
+        .mockResolvedValueOnce([chainBreaks])
+        .mockResolvedValueOnce([balances])
+    });
+
+    it('should report balances that match the replayed ledger', async () => {
+      const db = createDb(
+        [{ drawer_id: 1, currency_id: 2, ledger_balance: '150.00', entries: 3 }],
+        [],
+        [{ drawer_id: 1, currency_id: 2, balance: '150.00', drawer_name: 'Main', currency_code: 'USD' }]
+      );
+
+      const [result] = await verifyLedger(db);
+
+      expect(result).toMatchObject({
+        drawerName: 'Main',
+        currencyCode: 'USD',
+        balance: 150,
+        ledgerBalance: 150,
+        entries: 3,
+        difference: 0,
+        isConsistent: true
+      });
+    });
+
+    it('should flag differences and broken balance chains', async () => {
+      const db = createDb(
+        [
+          { drawer_id: 1, currency_id: 2, ledger_balance: '120.00', entries: 2 },
+          { drawer_id: 1, currency_id: 3, ledger_balance: '40.00', entries: 1 }
+        ],
+        [{ drawer_id: 1, currency_id: 3, breaks: 1 }],
+        [{ drawer_id: 1, currency_id: 2, balance: '150.00', drawer_name: 'Main', currency_code: 'USD' }]
+      );
+
+      const results = await verifyLedger(db, 1);
+
+      expect(db.query.mock.calls[0][1]).toEqual([1]);
+      expect(results).toHaveLength(2);
+      expect(results[0]).toMatchObject({ difference: 30, isConsistent: false });
+      // Ledger rows without a balance row are still reported
+      expect(results[1]).toMatchObject({ balance: 0, ledgerBalance: 40, chainBreaks: 1, isConsistent: false });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Fee Service Unit Tests
+ */
+const { computeFee, findSchedule, calculateCommission } = require('../../src/services/feeService');
+
+const schedule = (fields) => ({
+  id: 1,
+  fee_type: 'flat',
+  flat_amount: null,
+  percentage: null,
+  tiers: null,
+  min_fee: null,
+  max_fee: null,
+  ...fields
+});
+
+describe('Fee Service', () => {
+  describe('computeFee', () => {
+    it('should charge a flat fee whatever the amount', () => {
+      expect(computeFee(schedule({ flat_amount: '5.00' }), 10000)).toBe(5);
+    });
+
+    it('should charge a percentage of the amount received', () => {
+      expect(computeFee(schedule({ fee_type: 'percentage', percentage: '1.250' }), 1000)).toBe(12.5);
+    });
+
+    it('should clamp to the minimum and maximum fee', () => {
+      const pct = schedule({ fee_type: 'percentage', percentage: '1.000', min_fee: '2.00', max_fee: '50.00' });
+
+      expect(computeFee(pct, 100)).toBe(2);
+      expect(computeFee(pct, 1000)).toBe(10);
+      expect(computeFee(pct, 100000)).toBe(50);
+    });
+
+    it('should charge the whole amount at the tier that covers it', () => {
+      const tiered = schedule({
+        fee_type: 'tiered',
+        tiers: JSON.stringify([
+          { upTo: 1000, flatAmount: 3 },
+          { upTo: 10000, percentage: 0.5 },
+          { upTo: null, percentage: 0.25, flatAmount: 10 }
+        ])
+      });
+
+      expect(computeFee(tiered, 1000)).toBe(3);
+      expect(computeFee(tiered, 1000.01)).toBe(5);
+      expect(computeFee(tiered, 20000)).toBe(60);
+    });
+
+    it('should use the last tier when the amount is above every limit', () => {
+      const tiered = schedule({ fee_type: 'tiered', tiers: [{ upTo: 500, percentage: 2 }] });
+
+      expect(computeFee(tiered, 1000)).toBe(20);
+    });
+  });
+
+  describe('findSchedule', () => {
+    it('should match the customer segment and default to cash', async () => {
+      const connection = { query: jest.fn().mockResolvedValue([[]]) };
+
+      const result = await findSchedule(connection, { currencyInId: 1, currencyOutId: 2, isVip: true });
+
+      expect(result).toBeNull();
+      const [sql, params] = connection.query.mock.calls[0];
+      expect(sql).toContain('is_active = TRUE');
+      expect(sql).toContain('ORDER BY (currency_in_id IS NOT NULL)');
+      expect(params).toEqual([1, 2, 'vip', 'cash']);
+    });
+  });
+
+  describe('calculateCommission', () => {
+    it('should be zero when no schedule applies', async () => {
+      const connection = { query: jest.fn().mockResolvedValue([[]]) };
+
+      expect(await calculateCommission(connection, { currencyInId: 1, currencyOutId: 2, amountIn: 100 }))
+        .toEqual({ commission: 0, schedule: null });
+    });
+
+    it('should compute the fee from the matching schedule', async () => {
+      const match = schedule({ id: 4, fee_type: 'percentage', percentage: '0.500' });
+      const connection = { query: jest.fn().mockResolvedValue([[match]]) };
+
+      const result = await calculateCommission(connection, {
+        currencyInId: 1, currencyOutId: 2, amountIn: 2000, isVip: false, paymentMethod: 'card'
+      });
+
+      expect(result).toEqual({ commission: 10, schedule: match });
+      expect(connection.query.mock.calls[0][1]).toEqual([1, 2, 'regular', 'card']);
+    });
+  });
+});
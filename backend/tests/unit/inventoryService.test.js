@@ -0,0 +1,188 @@
+/**
+ * Inventory Service Unit Tests
+ */
+jest.mock('../../src/services/crossRateService', () => ({
+  getBaseCurrency: jest.fn(),
+  resolveRate: jest.fn()
+}));
+
+const { getBaseCurrency, resolveRate } = require('../../src/services/crossRateService');
+const {
+  applyMovement,
+  recordMovement,
+  valueDeal,
+  bookDeal,
+  reverseDeal
+} = require('../../src/services/inventoryService');
+
+const IQD = 1;
+const USD = 2;
+const EUR = 3;
+
+// Connection double holding positions by currency; records every upsert
+const createConnection = (positions = {}) => {
+  const upserts = [];
+  return {
+    upserts,
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('FROM currency_positions')) {
+        const position = positions[params[1]];
+        return [position ? [{ quantity: position.quantity, avg_cost: position.avgCost }] : []];
+      }
+      if (sql.includes('INSERT INTO currency_positions')) {
+        const [, currencyId, quantity, avgCost] = params;
+        positions[currencyId] = { quantity, avgCost };
+        upserts.push(params);
+      }
+      return [{ affectedRows: 1 }];
+    })
+  };
+};
+
+describe('Inventory Service', () => {
+  beforeEach(() => {
+    getBaseCurrency.mockReset().mockResolvedValue({ id: IQD, code: 'IQD' });
+    // 1 USD = 1460 / 1480 IQD, 1 EUR = 1590 / 1610 IQD
+    resolveRate.mockReset().mockImplementation(async (connection, from) => {
+      if (from === USD) return { buyRate: 1460, sellRate: 1480 };
+      if (from === EUR) return { buyRate: 1590, sellRate: 1610 };
+      return null;
+    });
+  });
+
+  describe('applyMovement', () => {
+    it('should blend additions into the average cost', async () => {
+      const connection = createConnection({ [USD]: { quantity: '100.00', avgCost: '1450.00000000' } });
+
+      const result = await applyMovement(connection, { drawerId: 5, currencyId: USD, change: 300, unitCost: 1470 });
+
+      expect(result).toEqual({ cost: 441000, avgCost: 1465 });
+      expect(connection.upserts[0]).toEqual([5, USD, 400, 1465]);
+    });
+
+    it('should take removals out at the average cost without changing it', async () => {
+      const connection = createConnection({ [USD]: { quantity: '400.00', avgCost: '1465.00000000' } });
+
+      const result = await applyMovement(connection, { drawerId: 5, currencyId: USD, change: -100, unitCost: 1470 });
+
+      expect(result).toEqual({ cost: 146500, avgCost: 1465 });
+      expect(connection.upserts[0]).toEqual([5, USD, 300, 1465]);
+    });
+
+    it('should start an empty position at the given unit cost', async () => {
+      const connection = createConnection();
+
+      const result = await applyMovement(connection, { drawerId: 5, currencyId: EUR, change: 50, unitCost: 1600 });
+
+      expect(result).toEqual({ cost: 80000, avgCost: 1600 });
+    });
+  });
+
+  describe('valueDeal', () => {
+    it('should realize the difference between the value received and the average cost paid out', async () => {
+      // Customer hands over 1,500,000 IQD for 1,000 USD that cost 1450 each
+      const connection = createConnection({ [USD]: { quantity: '5000.00', avgCost: '1450' } });
+
+      const result = await valueDeal(connection, {
+        drawerId: 5, currencyInId: IQD, currencyOutId: USD, amountIn: 1500000, amountOut: 1000
+      });
+
+      expect(result).toEqual({ profit: 50000, costBasis: 1450000, valueIn: 1500000, unitCostOut: 1450 });
+    });
+
+    it('should cost currency the drawer does not hold at its current value', async () => {
+      const connection = createConnection();
+
+      const result = await valueDeal(connection, {
+        drawerId: 5, currencyInId: IQD, currencyOutId: USD, amountIn: 1480000, amountOut: 1000
+      });
+
+      expect(result.costBasis).toBe(1470000);
+      expect(result.profit).toBe(10000);
+    });
+
+    it('should value foreign currency bought at its mid rate', async () => {
+      const connection = createConnection({ [IQD]: { quantity: '9000000', avgCost: '1' } });
+
+      const result = await valueDeal(connection, {
+        drawerId: 5, currencyInId: USD, currencyOutId: IQD, amountIn: 1000, amountOut: 1460000
+      });
+
+      // The dollars are worth 1,470,000 at mid, so buying below mid books the margin
+      expect(result).toMatchObject({ profit: 10000, costBasis: 1460000, valueIn: 1470000 });
+    });
+
+    it('should return null without a base currency', async () => {
+      getBaseCurrency.mockResolvedValue(null);
+
+      const result = await valueDeal(createConnection(), {
+        drawerId: 5, currencyInId: IQD, currencyOutId: USD, amountIn: 100, amountOut: 1
+      });
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('bookDeal', () => {
+    it('should move both positions and return the realized profit', async () => {
+      const positions = { [USD]: { quantity: '5000.00', avgCost: '1450' } };
+      const connection = createConnection(positions);
+
+      const result = await bookDeal(connection, {
+        drawerId: 5, currencyInId: EUR, currencyOutId: USD, amountIn: 1000, amountOut: 1090
+      });
+
+      // 1,000 EUR at 1600 mid = 1,600,000 IQD against 1,090 USD at 1450 = 1,580,500
+      expect(result).toEqual({ profit: 19500, costBasis: 1580500, valueIn: 1600000 });
+      expect(positions[USD]).toEqual({ quantity: 3910, avgCost: 1450 });
+      expect(positions[EUR]).toEqual({ quantity: 1000, avgCost: 1600 });
+    });
+  });
+
+  describe('reverseDeal', () => {
+    it('should return the currency paid out at the cost it left with', async () => {
+      const positions = {
+        [USD]: { quantity: '3910.00', avgCost: '1450' },
+        [EUR]: { quantity: '1000.00', avgCost: '1600' }
+      };
+      const connection = createConnection(positions);
+
+      await reverseDeal(connection, 5, {
+        currency_in_id: EUR,
+        currency_out_id: USD,
+        amount_in: '1000.00',
+        amount_out: '1090.00',
+        cost_basis: '1580500.00'
+      });
+
+      expect(positions[USD]).toEqual({ quantity: 5000, avgCost: 1450 });
+      expect(positions[EUR].quantity).toBe(0);
+    });
+
+    it('should skip transactions that were never booked into inventory', async () => {
+      const connection = createConnection();
+
+      await reverseDeal(connection, 5, { currency_in_id: EUR, currency_out_id: USD, cost_basis: null });
+
+      expect(connection.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordMovement', () => {
+    it('should bring deposits in at the current mid rate', async () => {
+      const connection = createConnection();
+
+      const result = await recordMovement(connection, { drawerId: 5, currencyId: USD, change: 200 });
+
+      expect(result).toEqual({ cost: 294000, avgCost: 1470 });
+    });
+
+    it('should not track anything without a base currency', async () => {
+      getBaseCurrency.mockResolvedValue(null);
+      const connection = createConnection();
+
+      expect(await recordMovement(connection, { drawerId: 5, currencyId: USD, change: 200 })).toBeNull();
+      expect(connection.upserts).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Position Service Unit Tests
+ */
+jest.mock('../../src/services/crossRateService', () => ({
+  getBaseCurrency: jest.fn(),
+  resolveRate: jest.fn()
+}));
+jest.mock('../../src/services/inventoryService', () => ({
+  getRevaluation: jest.fn()
+}));
+
+const { getBaseCurrency, resolveRate } = require('../../src/services/crossRateService');
+const { getRevaluation } = require('../../src/services/inventoryService');
+const { checkLimit, getApplicableLimits, getPositionReport } = require('../../src/services/positionService');
+
+const IQD = 1;
+const USD = 2;
+const EUR = 3;
+
+// Connection double answering the balance, limit and intraday queries
+const createConnection = ({ balances = [], limits = [], movements = [] }) => ({
+  query: jest.fn(async (sql) => {
+    if (sql.includes('FROM cash_drawer_balances')) return [balances];
+    if (sql.includes('FROM position_limits')) return [limits];
+    if (sql.includes('FROM transactions')) return [movements];
+    return [[]];
+  })
+});
+
+describe('Position Service', () => {
+  describe('checkLimit', () => {
+    const limit = { maxLong: 10000, maxShort: 2000 };
+
+    it('should hold long positions against the long limit', () => {
+      expect(checkLimit(5000, limit, 80)).toEqual({ status: 'ok', side: 'long', limit: 10000, usedPercent: 50 });
+      expect(checkLimit(8500, limit, 80)).toMatchObject({ status: 'warning', usedPercent: 85 });
+      expect(checkLimit(10000.01, limit, 80).status).toBe('breached');
+    });
+
+    it('should hold short positions against the short limit', () => {
+      expect(checkLimit(-2500, limit, 80)).toEqual({ status: 'breached', side: 'short', limit: 2000, usedPercent: 125 });
+    });
+
+    it('should treat a position at exactly its limit as a warning, not a breach', () => {
+      expect(checkLimit(10000, limit, 80).status).toBe('warning');
+    });
+
+    it('should report positions without a limit on their side as unlimited', () => {
+      expect(checkLimit(5000, null).status).toBe('unlimited');
+      expect(checkLimit(-5000, { maxLong: 10000, maxShort: null }).status).toBe('unlimited');
+      expect(checkLimit(0, limit).side).toBe('flat');
+    });
+
+    it('should breach a zero limit with any position', () => {
+      expect(checkLimit(1, { maxLong: 0, maxShort: null }, 80)).toMatchObject({ status: 'breached', usedPercent: 100 });
+    });
+  });
+
+  describe('getApplicableLimits', () => {
+    it('should prefer the branch limit over the consolidated one', async () => {
+      const connection = createConnection({
+        limits: [
+          { uuid: 'branch', currency_id: USD, branch_id: 4, max_long: '5000.00', max_short: null },
+          { uuid: 'all', currency_id: USD, branch_id: null, max_long: '50000.00', max_short: '1000.00' },
+          { uuid: 'all-eur', currency_id: EUR, branch_id: null, max_long: '20000.00', max_short: null }
+        ]
+      });
+
+      const limits = await getApplicableLimits(connection, 4);
+
+      expect(limits.get(USD)).toEqual({ uuid: 'branch', branchId: 4, maxLong: 5000, maxShort: null });
+      expect(limits.get(EUR).uuid).toBe('all-eur');
+      expect(connection.query.mock.calls[0][1]).toEqual([4]);
+    });
+  });
+
+  describe('getPositionReport', () => {
+    beforeEach(() => {
+      getBaseCurrency.mockReset().mockResolvedValue({ id: IQD, code: 'IQD' });
+      // 1 USD = 1460 / 1480 IQD
+      resolveRate.mockReset().mockImplementation(async (connection, from) => (
+        from === USD ? { buyRate: 1460, sellRate: 1480 } : null
+      ));
+      getRevaluation.mockReset().mockResolvedValue({
+        positions: [{ currencyCode: 'USD', avgCost: 1450, costValue: 17400000 }],
+        unrealizedProfit: 240000
+      });
+    });
+
+    it('should value positions, track intraday movement and raise limit alerts', async () => {
+      const connection = createConnection({
+        balances: [
+          { currency_id: IQD, currency_code: 'IQD', quantity: '25000000.00', drawer_count: 2 },
+          { currency_id: USD, currency_code: 'USD', quantity: '12000.00', drawer_count: 2 }
+        ],
+        limits: [{ uuid: 'usd', currency_id: USD, branch_id: null, max_long: '10000.00', max_short: null }],
+        movements: [
+          { currency_id: USD, currency_code: 'USD', hour: 9, bought: '3000.00', sold: '0' },
+          { currency_id: USD, currency_code: 'USD', hour: 11, bought: '0', sold: '1000.00' }
+        ]
+      });
+
+      const report = await getPositionReport(connection, { branchId: null });
+      const usd = report.positions.find(p => p.currencyCode === 'USD');
+
+      expect(usd).toMatchObject({
+        quantity: 12000,
+        buyValue: 17520000,
+        sellValue: 17760000,
+        marketValue: 17640000,
+        unrealizedProfit: 240000,
+        intraday: { opening: 10000, bought: 3000, sold: 1000, net: 2000 },
+        limit: { status: 'breached', side: 'long', limit: 10000 }
+      });
+      expect(report.positions.find(p => p.currencyCode === 'IQD')).toMatchObject({ isBase: true, marketValue: 25000000 });
+      expect(report.summary).toMatchObject({ longExposure: 17640000, shortExposure: 0, breachedLimits: 1 });
+      expect(report.alerts).toEqual([
+        { currencyCode: 'USD', quantity: 12000, side: 'long', limit: 10000, usedPercent: 120, severity: 'critical' }
+      ]);
+      expect(report.intraday).toHaveLength(2);
+    });
+
+    it('should leave positions without a rate unvalued', async () => {
+      const connection = createConnection({
+        balances: [{ currency_id: EUR, currency_code: 'EUR', quantity: '500.00', drawer_count: 1 }]
+      });
+
+      const report = await getPositionReport(connection, { branchId: 4 });
+
+      expect(report.positions[0]).toMatchObject({ marketValue: null, buyRate: null });
+      expect(report.summary.longExposure).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Quote Service Unit Tests
+ */
+jest.mock('../../src/services/crossRateService', () => ({
+  resolveRate: jest.fn()
+}));
+jest.mock('../../src/services/feeService', () => ({
+  calculateCommission: jest.fn()
+}));
+
+const { resolveRate } = require('../../src/services/crossRateService');
+const { calculateCommission } = require('../../src/services/feeService');
+const { createQuote, checkQuote } = require('../../src/services/quoteService');
+
+const now = new Date('2026-10-18T10:00:00Z');
+
+const quote = {
+  id: 7,
+  currency_in_id: 1,
+  currency_out_id: 2,
+  amount_in: '100.00',
+  exchange_rate: '1470.000000',
+  branch_id: 4,
+  payment_method: 'cash',
+  expires_at: new Date('2026-10-18T10:02:00Z'),
+  transaction_id: null
+};
+
+const deal = { currencyInId: 1, currencyOutId: 2, amountIn: 100, exchangeRate: 1470, branchId: 4, paymentMethod: 'cash' };
+
+describe('Quote Service', () => {
+  describe('createQuote', () => {
+    beforeEach(() => {
+      resolveRate.mockReset();
+      calculateCommission.mockReset();
+    });
+
+    it('should lock the sell rate and commission and expire after the configured window', async () => {
+      resolveRate.mockResolvedValue({
+        buyRate: 1460,
+        sellRate: 1470,
+        source: 'direct',
+        derived: false,
+        via: null,
+        spreadPercent: 0,
+        versionId: 9
+      });
+      calculateCommission.mockResolvedValue({ commission: 2.5, schedule: { id: 5 } });
+      const connection = { query: jest.fn().mockResolvedValue([{ insertId: 12 }]) };
+
+      const result = await createQuote(connection, {
+        currencyInId: 1,
+        currencyOutId: 2,
+        amountIn: '250.5',
+        paymentMethod: 'card',
+        isVip: true,
+        branchId: 4,
+        employeeId: 3,
+        now
+      });
+
+      expect(result).toMatchObject({
+        id: 12,
+        exchangeRate: 1470,
+        amountIn: 250.5,
+        amountOut: 368235,
+        commission: 2.5,
+        expiresAt: new Date('2026-10-18T10:02:00Z')
+      });
+      expect(calculateCommission).toHaveBeenCalledWith(connection, {
+        currencyInId: 1, currencyOutId: 2, amountIn: 250.5, isVip: true, paymentMethod: 'card'
+      });
+      const params = connection.query.mock.calls[0][1];
+      expect(params.slice(1)).toEqual([1, 2, 250.5, 368235, 1460, 1470, 1470, 2.5, 'card', 5, 'direct', 9, null, 4, 3, result.expiresAt]);
+    });
+
+    it('should not persist a quote when the pair has no rate', async () => {
+      resolveRate.mockResolvedValue(null);
+      const connection = { query: jest.fn() };
+
+      const result = await createQuote(connection, {
+        currencyInId: 1, currencyOutId: 5, amountIn: 10, branchId: null, employeeId: 3, now
+      });
+
+      expect(result).toBeNull();
+      expect(connection.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkQuote', () => {
+    it('should accept a live quote matching the deal', () => {
+      expect(checkQuote(quote, deal, now)).toBeNull();
+    });
+
+    it('should reject an expired or used quote', () => {
+      expect(checkQuote(quote, deal, new Date('2026-10-18T10:02:00Z'))).toMatch(/expired/);
+      expect(checkQuote({ ...quote, transaction_id: 30 }, deal, now)).toMatch(/already been used/);
+    });
+
+    it('should reject a deal that does not match the quote', () => {
+      expect(checkQuote(quote, { ...deal, currencyOutId: 3 }, now)).toMatch(/currency pair/);
+      expect(checkQuote(quote, { ...deal, amountIn: 150 }, now)).toMatch(/amount of 100/);
+      expect(checkQuote(quote, { ...deal, exchangeRate: 1480 }, now)).toMatch(/rate at 1470/);
+      expect(checkQuote(quote, { ...deal, branchId: 5 }, now)).toMatch(/another branch/);
+      expect(checkQuote(quote, { ...deal, paymentMethod: 'card' }, now)).toMatch(/payment by cash/);
+    });
+  });
+});
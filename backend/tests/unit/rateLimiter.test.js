@@ -0,0 +1,95 @@
+/**
+ * Rate Limiter Unit Tests
+ */
+jest.mock('../../src/config/database', () => ({
+  pool: { query: jest.fn() }
+}));
+
+// The limiter module starts a cleanup interval; a fake one keeps it from holding Jest open
+jest.useFakeTimers();
+const { createRequestLimiter, passwordResetRateLimiter } = require('../../src/middleware/rateLimiter');
+jest.useRealTimers();
+
+const createReq = (body, ip = '10.0.0.1') => ({ body, headers: {}, ip });
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Run a request through one or more limiters; true when it got through
+const pass = (limiters, req) => {
+  let passed = true;
+  for (const limiter of [].concat(limiters)) {
+    const next = jest.fn();
+    limiter(req, createRes(), next);
+    if (!next.mock.calls.length) {
+      passed = false;
+      break;
+    }
+  }
+  return passed;
+};
+
+describe('createRequestLimiter', () => {
+  const limiter = () => createRequestLimiter({
+    max: 2,
+    windowMs: 60000,
+    keyFor: (req) => req.ip,
+    message: 'Slow down.'
+  });
+
+  it('should answer 429 once a key is over its limit', () => {
+    const limit = limiter();
+    const req = createReq({});
+    limit(req, createRes(), jest.fn());
+    limit(req, createRes(), jest.fn());
+
+    const res = createRes();
+    const next = jest.fn();
+    limit(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Slow down.' }));
+  });
+
+  it('should count keys separately', () => {
+    const limit = limiter();
+    expect(pass(limit, createReq({}, 'a'))).toBe(true);
+    expect(pass(limit, createReq({}, 'a'))).toBe(true);
+    expect(pass(limit, createReq({}, 'b'))).toBe(true);
+  });
+
+  it('should start over after the window', () => {
+    const limit = limiter();
+    const req = createReq({});
+    pass(limit, req);
+    pass(limit, req);
+    expect(pass(limit, req)).toBe(false);
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 60001);
+    expect(pass(limit, req)).toBe(true);
+    Date.now.mockRestore();
+  });
+});
+
+describe('passwordResetRateLimiter', () => {
+  it('should limit one email across addresses', () => {
+    const results = ['1', '2', '3', '4'].map(ip =>
+      pass(passwordResetRateLimiter, createReq({ email: ' Sara@Example.com' }, `10.1.0.${ip}`)));
+
+    expect(results).toEqual([true, true, true, false]);
+  });
+
+  it('should limit one address across emails', () => {
+    const results = Array.from({ length: 11 }, (_, i) =>
+      pass(passwordResetRateLimiter, createReq({ email: `user${i}@example.com` }, '10.2.0.1')));
+
+    expect(results.slice(0, 10).every(Boolean)).toBe(true);
+    expect(results[10]).toBe(false);
+  });
+});
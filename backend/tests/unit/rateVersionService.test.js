@@ -0,0 +1,164 @@
+/**
+ * Rate Version Service Unit Tests
+ */
+jest.mock('../../src/config/database', () => ({
+  pool: { query: jest.fn(), getConnection: jest.fn() }
+}));
+
+const { pool } = require('../../src/config/database');
+const {
+  applyVersion,
+  getEffectiveVersion,
+  getTolerance,
+  checkRate,
+  applyDueVersions
+} = require('../../src/services/rateVersionService');
+
+// Minimal connection double: answers the live rate lookup and records every query
+const createConnection = (existingRate) => {
+  const queries = [];
+  return {
+    queries,
+    query: jest.fn(async (sql, params) => {
+      queries.push({ sql, params });
+      if (sql.startsWith('SELECT')) {
+        return [existingRate ? [existingRate] : []];
+      }
+      return [{ insertId: 42, affectedRows: 1 }];
+    }),
+    beginTransaction: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn()
+  };
+};
+
+const version = {
+  id: 9,
+  uuid: 'v-9',
+  from_currency_id: 1,
+  to_currency_id: 2,
+  branch_id: null,
+  buy_rate: '1460.000000',
+  sell_rate: '1470.000000',
+  effective_from: new Date('2026-10-19T09:00:00Z'),
+  created_by: 3
+};
+
+describe('Rate Version Service', () => {
+  describe('applyVersion', () => {
+    it('should replace the live rate and point it at the version', async () => {
+      const connection = createConnection({ id: 5, buy_rate: '1450.000000', sell_rate: '1455.000000' });
+
+      const result = await applyVersion(connection, version);
+
+      expect(result).toEqual({
+        rateId: 5,
+        action: 'RATE_CHANGE',
+        oldValues: { buyRate: 1450, sellRate: 1455 }
+      });
+      expect(connection.queries[1].sql).toContain('UPDATE exchange_rates');
+      expect(connection.queries[1].params).toEqual([1460, 1470, 3, version.effective_from, 9, 5]);
+      expect(connection.queries[2].params).toEqual([5, 1, 2, null, 1450, 1460, 1455, 1470, 3]);
+      expect(connection.queries[3].sql).toContain('SET applied_at = NOW()');
+    });
+
+    it('should create the live rate for a new pair', async () => {
+      const connection = createConnection();
+
+      const result = await applyVersion(connection, { ...version, branch_id: 4 });
+
+      expect(result).toMatchObject({ rateId: 42, action: 'CREATE', oldValues: null });
+      expect(connection.queries[1].sql).toContain('INSERT INTO exchange_rates');
+      expect(connection.queries[1].params[2]).toBe(4);
+      expect(connection.queries[2].params).toEqual([42, 1, 2, 4, null, 1460, null, 1470, 3]);
+    });
+  });
+
+  describe('getEffectiveVersion', () => {
+    it('should prefer the branch version and ignore future or cancelled ones', async () => {
+      const at = new Date('2026-10-18T12:00:00Z');
+      const connection = createConnection(version);
+
+      const result = await getEffectiveVersion(connection, 1, 2, 4, at);
+
+      expect(result).toBe(version);
+      const { sql, params } = connection.queries[0];
+      expect(sql).toContain('cancelled_at IS NULL');
+      expect(sql).toContain('effective_from <= ?');
+      expect(sql).toContain('ORDER BY branch_id IS NULL');
+      expect(params).toEqual([1, 2, 4, at]);
+    });
+
+    it('should return null when the pair has no version', async () => {
+      expect(await getEffectiveVersion(createConnection(), 1, 2, null)).toBeNull();
+    });
+  });
+
+  describe('checkRate', () => {
+    it('should accept rates within the buy/sell spread at zero tolerance', () => {
+      const result = checkRate(version, 1465, 0);
+
+      expect(result).toEqual({
+        officialRate: 1465,
+        minRate: 1460,
+        maxRate: 1470,
+        deviationPercent: 0,
+        withinTolerance: true
+      });
+    });
+
+    it('should widen the band by the tolerance on each side', () => {
+      expect(checkRate(version, 1475, 0).withinTolerance).toBe(false);
+      expect(checkRate(version, 1475, 0.5)).toMatchObject({ maxRate: 1477.35, withinTolerance: true });
+      expect(checkRate(version, 1450, 0.5)).toMatchObject({ minRate: 1452.7, withinTolerance: false });
+    });
+
+    it('should measure deviation from the mid rate', () => {
+      expect(checkRate(version, 1318.5, 0).deviationPercent).toBe(-10);
+    });
+  });
+
+  describe('getTolerance', () => {
+    it('should default to zero for pairs without a tolerance', async () => {
+      expect(await getTolerance(createConnection(), 1, 2)).toBe(0);
+    });
+
+    it('should return the configured percentage', async () => {
+      expect(await getTolerance(createConnection({ tolerance_percent: '0.750' }), 1, 2)).toBe(0.75);
+    });
+  });
+
+  describe('applyDueVersions', () => {
+    beforeEach(() => {
+      pool.query.mockReset();
+      pool.getConnection.mockReset();
+    });
+
+    it('should apply each due version in its own transaction', async () => {
+      const connection = createConnection();
+      pool.query.mockResolvedValueOnce([[version]]);
+      pool.getConnection.mockResolvedValue(connection);
+
+      const applied = await applyDueVersions();
+
+      expect(applied).toEqual([{ fromCurrencyId: 1, toCurrencyId: 2, buyRate: 1460, sellRate: 1470 }]);
+      expect(connection.commit).toHaveBeenCalledTimes(1);
+      expect(connection.release).toHaveBeenCalledTimes(1);
+    });
+
+    it('should roll back a failing version and carry on', async () => {
+      const failing = createConnection();
+      failing.query.mockRejectedValueOnce(new Error('lock wait timeout'));
+      const working = createConnection();
+      pool.query.mockResolvedValueOnce([[{ ...version, id: 8, uuid: 'v-8' }, version]]);
+      pool.getConnection.mockResolvedValueOnce(failing).mockResolvedValueOnce(working);
+
+      const applied = await applyDueVersions();
+
+      expect(failing.rollback).toHaveBeenCalled();
+      expect(working.commit).toHaveBeenCalled();
+      expect(applied).toHaveLength(1);
+    });
+  });
+});
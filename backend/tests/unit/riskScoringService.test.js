@@ -0,0 +1,225 @@
+/**
+ * Risk Scoring Service Unit Tests
+ */
+jest.mock('../../src/services/crossRateService', () => ({
+  getBaseCurrency: jest.fn(),
+  resolveRate: jest.fn()
+}));
+
+const { getBaseCurrency, resolveRate } = require('../../src/services/crossRateService');
+const {
+  levelForScore,
+  scoreCustomer,
+  describeChanges,
+  recalculateCustomerRisk
+} = require('../../src/services/riskScoringService');
+
+const config = {
+  mediumThreshold: 40,
+  highThreshold: 70,
+  lookbackDays: 90,
+  weights: {
+    alerts: { low: 2, medium: 5, high: 10, critical: 20, max: 30 },
+    velocity: { days: 7, threshold: 10, perTransaction: 2, max: 15 },
+    cashVolume: { days: 30, threshold: 50000, points: 10, max: 20 },
+    idExpiry: { missing: 10, expired: 15, expiring: 5, expiringDays: 30 },
+    structuring: { perAlert: 15, max: 30 },
+    watchlist: { perHit: 40, max: 60 },
+    sars: { perReport: 25, max: 50 }
+  }
+};
+
+const now = new Date('2026-10-18T12:00:00Z');
+
+const cleanMetrics = {
+  alerts: { low: 0, medium: 0, high: 0, critical: 0 },
+  totalAlerts: 0,
+  recentTransactions: 2,
+  cashVolume: 1000,
+  hasId: true,
+  idExpiry: '2030-01-01',
+  structuringAlerts: 0,
+  watchlistHits: 0,
+  sars: 0,
+  openSars: 0
+};
+
+const pointsOf = (result, factor) => result.factors.find(f => f.factor === factor).points;
+
+describe('Risk Scoring Service', () => {
+  describe('levelForScore', () => {
+    it('should map scores to levels at the thresholds', () => {
+      expect(levelForScore(39, config)).toBe('low');
+      expect(levelForScore(40, config)).toBe('medium');
+      expect(levelForScore(69, config)).toBe('medium');
+      expect(levelForScore(70, config)).toBe('high');
+    });
+  });
+
+  describe('scoreCustomer', () => {
+    it('should score a customer without risk signals at zero', () => {
+      const result = scoreCustomer(cleanMetrics, config, now);
+      expect(result.score).toBe(0);
+      expect(result.level).toBe('low');
+      expect(result.factors.map(f => f.factor)).toEqual([
+        'alerts', 'velocity', 'cashVolume', 'idExpiry', 'structuring', 'watchlist', 'sars'
+      ]);
+    });
+
+    it('should weight alerts by severity up to the cap', () => {
+      const some = scoreCustomer({ ...cleanMetrics, alerts: { low: 1, medium: 1, high: 1, critical: 0 } }, config, now);
+      expect(pointsOf(some, 'alerts')).toBe(17);
+
+      const many = scoreCustomer({ ...cleanMetrics, alerts: { low: 0, medium: 0, high: 2, critical: 2 } }, config, now);
+      expect(pointsOf(many, 'alerts')).toBe(30);
+    });
+
+    it('should only count transactions above the velocity threshold', () => {
+      expect(pointsOf(scoreCustomer({ ...cleanMetrics, recentTransactions: 10 }, config, now), 'velocity')).toBe(0);
+      expect(pointsOf(scoreCustomer({ ...cleanMetrics, recentTransactions: 13 }, config, now), 'velocity')).toBe(6);
+      expect(pointsOf(scoreCustomer({ ...cleanMetrics, recentTransactions: 40 }, config, now), 'velocity')).toBe(15);
+    });
+
+    it('should add points per full cash volume threshold and skip unknown volume', () => {
+      expect(pointsOf(scoreCustomer({ ...cleanMetrics, cashVolume: 49999 }, config, now), 'cashVolume')).toBe(0);
+      expect(pointsOf(scoreCustomer({ ...cleanMetrics, cashVolume: 120000 }, config, now), 'cashVolume')).toBe(20);
+      expect(pointsOf(scoreCustomer({ ...cleanMetrics, cashVolume: null }, config, now), 'cashVolume')).toBe(0);
+    });
+
+    it('should score missing, expired and expiring IDs', () => {
+      const factor = (metrics) => scoreCustomer({ ...cleanMetrics, ...metrics }, config, now).factors
+        .find(f => f.factor === 'idExpiry');
+
+      expect(factor({ hasId: false })).toEqual({ factor: 'idExpiry', points: 10, value: 'missing' });
+      expect(factor({ idExpiry: '2026-10-01' })).toEqual({ factor: 'idExpiry', points: 15, value: 'expired' });
+      expect(factor({ idExpiry: '2026-11-10' })).toEqual({ factor: 'idExpiry', points: 5, value: 'expiring' });
+      expect(factor({ idExpiry: null })).toEqual({ factor: 'idExpiry', points: 0, value: 'valid' });
+    });
+
+    it('should cap the total score at 100', () => {
+      const result = scoreCustomer({
+        ...cleanMetrics,
+        alerts: { low: 0, medium: 0, high: 0, critical: 3 },
+        watchlistHits: 2,
+        sars: 2
+      }, config, now);
+      expect(result.score).toBe(100);
+      expect(result.level).toBe('high');
+    });
+
+    it('should keep a customer under an open SAR at high risk', () => {
+      const result = scoreCustomer({ ...cleanMetrics, sars: 1, openSars: 1 }, config, now);
+      expect(result.score).toBe(25);
+      expect(result.level).toBe('high');
+
+      const closed = scoreCustomer({ ...cleanMetrics, sars: 1, openSars: 0 }, config, now);
+      expect(closed.level).toBe('low');
+    });
+  });
+
+  describe('describeChanges', () => {
+    it('should list the factors that moved', () => {
+      const previous = [{ factor: 'alerts', points: 10 }, { factor: 'idExpiry', points: 15 }];
+      const current = [{ factor: 'alerts', points: 20 }, { factor: 'idExpiry', points: 0 }, { factor: 'sars', points: 0 }];
+      expect(describeChanges(previous, current)).toBe('alerts +10, idExpiry -15');
+    });
+
+    it('should treat a first scoring as a change from zero', () => {
+      expect(describeChanges(null, [{ factor: 'velocity', points: 4 }])).toBe('velocity +4');
+      expect(describeChanges(null, [{ factor: 'velocity', points: 0 }])).toBe('No factor changed');
+    });
+  });
+
+  describe('recalculateCustomerRisk', () => {
+    // Connection double answering the metric queries; records profile and history writes
+    const createConnection = ({ customer, alertRows = [], profile = null, cashRows = [] }) => {
+      const writes = { profile: null, history: [] };
+      return {
+        writes,
+        query: jest.fn(async (sql, params) => {
+          if (sql.includes('FROM customers')) return [customer ? [customer] : []];
+          if (sql.includes('GROUP BY alert_type')) return [alertRows];
+          if (sql.includes('total_alerts FROM compliance_alerts')) return [[{ total_alerts: alertRows.length }]];
+          if (sql.includes('FROM suspicious_activity_reports')) return [[{ total: 0, open: 0 }]];
+          if (sql.includes('GROUP BY currency_in_id')) return [cashRows];
+          if (sql.includes('FROM transactions')) return [[{ count: 1 }]];
+          if (sql.includes('FROM customer_risk_profiles')) return [profile ? [profile] : []];
+          if (sql.includes('INSERT INTO customer_risk_profiles')) writes.profile = params;
+          if (sql.includes('INSERT INTO customer_risk_score_history')) writes.history.push(params);
+          return [{ affectedRows: 1 }];
+        })
+      };
+    };
+
+    const customer = { id: 7, id_number: 'A123', id_expiry: null };
+
+    beforeEach(() => {
+      getBaseCurrency.mockResolvedValue({ id: 1, code: 'IQD' });
+      resolveRate.mockResolvedValue({ buyRate: 1300, sellRate: 1320 });
+    });
+
+    it('should return null for an unknown customer', async () => {
+      const connection = createConnection({ customer: null });
+      await expect(recalculateCustomerRisk(connection, 99, { source: 'manual' })).resolves.toBeNull();
+    });
+
+    it('should store the score and record the change with its reason', async () => {
+      const connection = createConnection({
+        customer,
+        alertRows: [{ alert_type: 'large_transaction', severity: 'high', count: 2 }],
+        profile: { risk_score: 5, risk_level: 'low', score_factors: JSON.stringify([{ factor: 'alerts', points: 5 }]) }
+      });
+
+      const result = await recalculateCustomerRisk(connection, 7, { source: 'transaction', reference: 'abc', userId: 3 });
+
+      expect(result).toMatchObject({ score: 20, level: 'low', previousScore: 5, changed: true });
+      expect(connection.writes.profile.slice(0, 3)).toEqual([7, 20, 'low']);
+      expect(connection.writes.history).toHaveLength(1);
+      const [customerId, previousScore, score, previousLevel, level, , reason, source, reference, userId] = connection.writes.history[0];
+      expect([customerId, previousScore, score, previousLevel, level]).toEqual([7, 5, 20, 'low', 'low']);
+      expect([reason, source, reference, userId]).toEqual(['alerts +15', 'transaction', 'abc', 3]);
+    });
+
+    it('should score structuring and watchlist alerts by their own factors', async () => {
+      const connection = createConnection({
+        customer,
+        alertRows: [
+          { alert_type: 'suspicious_pattern', severity: 'high', count: 1 },
+          { alert_type: 'blocked_customer', severity: 'critical', count: 1 }
+        ]
+      });
+
+      const result = await recalculateCustomerRisk(connection, 7, { source: 'nightly' });
+
+      expect(result.factors.find(f => f.factor === 'alerts').points).toBe(0);
+      expect(result.factors.find(f => f.factor === 'structuring').points).toBe(15);
+      expect(result.factors.find(f => f.factor === 'watchlist').points).toBe(40);
+      expect(result.level).toBe('medium');
+    });
+
+    it('should value foreign cash in the base currency at the mid rate', async () => {
+      const connection = createConnection({
+        customer,
+        cashRows: [{ currency_in_id: 2, total: '40' }, { currency_in_id: 1, total: '60000' }]
+      });
+
+      const result = await recalculateCustomerRisk(connection, 7, { source: 'manual' });
+
+      // 40 USD at 1310 + 60,000 IQD = 112,400 IQD: two full thresholds
+      expect(result.factors.find(f => f.factor === 'cashVolume')).toEqual({ factor: 'cashVolume', points: 20, value: 112400 });
+    });
+
+    it('should not write history when neither score nor level changed', async () => {
+      const connection = createConnection({
+        customer,
+        profile: { risk_score: 0, risk_level: 'low', score_factors: null }
+      });
+
+      const result = await recalculateCustomerRisk(connection, 7, { source: 'nightly' });
+
+      expect(result.changed).toBe(false);
+      expect(connection.writes.profile).not.toBeNull();
+      expect(connection.writes.history).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * SAR Service Unit Tests
+ */
+const {
+  planTransition,
+  generateReportNumber,
+  buildFilingPackage,
+  toXml
+} = require('../../src/services/sarService');
+
+const company = {
+  name: 'United Exchange',
+  licenseNumber: 'CBI-123',
+  address: 'Main Street 1',
+  addressLine2: '',
+  city: 'Erbil',
+  country: 'Iraq',
+  phone: '+964 750 000 0000',
+  email: 'info@example.com',
+  sar: { reportingEntityId: 'RE-42' }
+};
+
+const report = {
+  uuid: '6c1f2b3a-0000-4000-8000-000000000001',
+  report_number: 'SAR-2026-0007',
+  status: 'closed',
+  suspicion_type: 'structuring',
+  risk_level: 'high',
+  activity_from: new Date(2026, 9, 1),
+  activity_to: '2026-10-03',
+  description: 'Three deposits just below the threshold on consecutive days.',
+  action_taken: null,
+  created_by_name: 'Sara Ali',
+  created_at: '2026-10-04T08:00:00.000Z',
+  submitted_by_name: 'Sara Ali',
+  submitted_at: '2026-10-04T09:00:00.000Z',
+  reviewed_by_name: 'Omar Aziz',
+  reviewed_at: '2026-10-05T10:00:00.000Z',
+  review_notes: 'Filed',
+  outcome: 'filed',
+  fiu_reference: 'FIU-991'
+};
+
+const transactions = [
+  { transaction_number: 'TX-1', amount_in: '9500.00', currency_in_code: 'USD', amount_out: '12350000', currency_out_code: 'IQD', exchange_rate: '1300', status: 'completed', employee_name: 'Teller A' },
+  { transaction_number: 'TX-2', amount_in: '9800.50', currency_in_code: 'USD', amount_out: '12740650', currency_out_code: 'IQD', exchange_rate: '1300', status: 'completed' },
+  { transaction_number: 'TX-3', amount_in: '700.00', currency_in_code: 'EUR', amount_out: '980000', currency_out_code: 'IQD', exchange_rate: '1400', status: 'completed', funded_by_name: 'Karim' }
+];
+
+describe('SAR Service', () => {
+  describe('planTransition', () => {
+    it('should follow the lifecycle', () => {
+      expect(planTransition({ status: 'draft', created_by: 1 }, 'submit', 1)).toEqual({ from: 'draft', to: 'submitted' });
+      expect(planTransition({ status: 'submitted', created_by: 1 }, 'start_review', 2)).toEqual({ from: 'submitted', to: 'under_review' });
+      expect(planTransition({ status: 'under_review', created_by: 1 }, 'return', 2)).toEqual({ from: 'under_review', to: 'draft' });
+      expect(planTransition({ status: 'under_review', created_by: 1, submitted_by: 1 }, 'sign_off', 2)).toEqual({ from: 'under_review', to: 'closed' });
+    });
+
+    it('should reject changes the status does not allow', () => {
+      expect(planTransition({ status: 'draft', created_by: 1 }, 'sign_off', 2).error).toMatch(/draft cannot be signed off/);
+      expect(planTransition({ status: 'closed', created_by: 1 }, 'return', 2).error).toMatch(/closed cannot be returned/);
+      expect(planTransition({ status: 'draft', created_by: 1 }, 'delete', 2).error).toMatch(/Unknown action/);
+    });
+
+    it('should not let the author or submitter sign off', () => {
+      expect(planTransition({ status: 'under_review', created_by: 1, submitted_by: 3 }, 'sign_off', 1).error).toMatch(/someone other/);
+      expect(planTransition({ status: 'under_review', created_by: 1, submitted_by: 3 }, 'sign_off', 3).error).toMatch(/someone other/);
+    });
+  });
+
+  describe('generateReportNumber', () => {
+    it('should continue the numbering of the year', async () => {
+      const db = { query: jest.fn(async () => [[{ last_num: 41 }]]) };
+      const year = new Date().getFullYear();
+
+      await expect(generateReportNumber(db)).resolves.toBe(`SAR-${year}-0042`);
+      expect(db.query.mock.calls[0][1]).toEqual([10, `SAR-${year}-%`]);
+    });
+
+    it('should start at 1 in a new year', async () => {
+      const db = { query: jest.fn(async () => [[{ last_num: null }]]) };
+      await expect(generateReportNumber(db)).resolves.toMatch(/^SAR-\d{4}-0001$/);
+    });
+  });
+
+  describe('buildFilingPackage', () => {
+    const build = (overrides = {}) => buildFilingPackage({
+      report: { ...report, ...overrides },
+      customer: { full_name: 'Ali Hassan', id_type: 'national_id', id_number: 'A123', date_of_birth: new Date(1990, 4, 2) },
+      transactions,
+      alerts: [{ alert_type: 'suspicious_pattern', severity: 'high', description: 'Below threshold', status: 'escalated', created_at: '2026-10-03T12:00:00.000Z' }],
+      attachments: [{ category: 'id_scan', original_name: 'id.jpg', mime_type: 'image/jpeg', size_bytes: 2048, created_at: '2026-10-04T08:30:00.000Z' }],
+      history: [{ action: 'create', from_status: null, to_status: 'draft', changed_by_name: 'Sara Ali', created_at: '2026-10-04T08:00:00.000Z' }]
+    }, company);
+
+    it('should describe the reporting entity, report and subject', () => {
+      const pkg = build();
+
+      expect(pkg.formatVersion).toBe('1.0');
+      expect(pkg.reportingEntity).toMatchObject({ id: 'RE-42', name: 'United Exchange', address: 'Main Street 1' });
+      expect(pkg.report).toMatchObject({
+        number: 'SAR-2026-0007',
+        suspicionType: 'structuring',
+        activityFrom: '2026-10-01',
+        activityTo: '2026-10-03',
+        preparedBy: 'Sara Ali'
+      });
+      expect(pkg.subject).toMatchObject({ name: 'Ali Hassan', idNumber: 'A123', dateOfBirth: '1990-05-02', phone: null });
+    });
+
+    it('should total the amounts paid in per currency', () => {
+      const pkg = build();
+
+      expect(pkg.totals).toEqual([
+        { currency: 'USD', count: 2, amountIn: 19300.5 },
+        { currency: 'EUR', count: 1, amountIn: 700 }
+      ]);
+      expect(pkg.transactions[0]).toMatchObject({ number: 'TX-1', amountIn: 9500, teller: 'Teller A', fundedBy: null });
+      expect(pkg.transactions[2].fundedBy).toBe('Karim');
+    });
+
+    it('should include the sign-off of closed reports only', () => {
+      expect(build().report.signOff).toEqual({
+        reviewer: 'Omar Aziz',
+        signedAt: '2026-10-05T10:00:00.000Z',
+        notes: 'Filed',
+        outcome: 'filed',
+        fiuReference: 'FIU-991'
+      });
+      expect(build({ status: 'under_review' }).report.signOff).toBeNull();
+    });
+  });
+
+  describe('toXml', () => {
+    it('should nest lists and escape values', () => {
+      const xml = toXml({
+        formatVersion: '1.0',
+        report: { number: 'SAR-2026-0001', narrative: 'Cash <in> & "out"', actionTaken: null },
+        transactions: [{ number: 'TX-1' }, { number: 'TX-2' }],
+        attachments: []
+      });
+
+      expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<suspiciousActivityReport formatVersion="1.0">/);
+      expect(xml).toContain('<narrative>Cash &lt;in&gt; &amp; &quot;out&quot;</narrative>');
+      expect(xml).not.toContain('actionTaken');
+      expect(xml).toContain('  <transactions>\n    <transaction>\n      <number>TX-1</number>\n    </transaction>');
+      expect(xml).toContain('<attachments/>');
+      expect(xml.trim().endsWith('</suspiciousActivityReport>')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Structuring Service Unit Tests
+ */
+const {
+  isJustBelow,
+  funderKey,
+  findBelowThreshold,
+  findTellerSplit,
+  countCustomers,
+  detectPatterns
+} = require('../../src/services/structuringService');
+
+const options = {
+  windowHours: 72,
+  marginPercent: 10,
+  minBelowThreshold: 3,
+  minSharedIdentity: 2,
+  minFundedCustomers: 3,
+  minTellers: 2
+};
+
+describe('Structuring Service', () => {
+  describe('isJustBelow', () => {
+    it('should accept amounts within the margin under the threshold only', () => {
+      expect(isJustBelow(9500, 10000, 10)).toBe(true);
+      expect(isJustBelow(9000, 10000, 10)).toBe(true);
+      expect(isJustBelow(8999, 10000, 10)).toBe(false);
+      expect(isJustBelow(10000, 10000, 10)).toBe(false);
+      expect(isJustBelow(500, 0, 10)).toBe(false);
+    });
+  });
+
+  describe('funderKey', () => {
+    it('should give the same key whatever the spelling or name order', () => {
+      expect(funderKey('Mohammed Hassan')).toBe(funderKey('Hasan Muhammad'));
+      expect(funderKey('')).toBeNull();
+      expect(funderKey(null)).toBeNull();
+    });
+  });
+
+  describe('findBelowThreshold', () => {
+    it('should report repeated just-below amounts', () => {
+      const rows = [
+        { id: 1, amount_in: '9800.00' },
+        { id: 2, amount_in: '9500.00' },
+        { id: 3, amount_in: '2000.00' },
+        { id: 4, amount_in: '9900.00' }
+      ];
+      expect(findBelowThreshold(rows, 10000, options)).toEqual({ transactionIds: [1, 2, 4], total: 29200 });
+    });
+
+    it('should need the minimum number of payments', () => {
+      const rows = [{ id: 1, amount_in: '9800.00' }, { id: 2, amount_in: '9500.00' }];
+      expect(findBelowThreshold(rows, 10000, options)).toBeNull();
+    });
+  });
+
+  describe('findTellerSplit', () => {
+    it('should report amounts under the threshold that pass it together across tellers', () => {
+      const rows = [
+        { id: 1, amount_in: '6000.00', employee_id: 7 },
+        { id: 2, amount_in: '5000.00', employee_id: 8 },
+        { id: 3, amount_in: '15000.00', employee_id: 8 }
+      ];
+      expect(findTellerSplit(rows, 10000, options)).toEqual({ transactionIds: [1, 2], total: 11000, tellers: 2 });
+    });
+
+    it('should not report a single teller or a total under the threshold', () => {
+      expect(findTellerSplit([
+        { id: 1, amount_in: '6000.00', employee_id: 7 },
+        { id: 2, amount_in: '5000.00', employee_id: 7 }
+      ], 10000, options)).toBeNull();
+      expect(findTellerSplit([
+        { id: 1, amount_in: '3000.00', employee_id: 7 },
+        { id: 2, amount_in: '3000.00', employee_id: 8 }
+      ], 10000, options)).toBeNull();
+    });
+  });
+
+  describe('countCustomers', () => {
+    it('should count customer records by id and walk-ins by name', () => {
+      expect(countCustomers([
+        { customer_id: 1, customer_name: 'A' },
+        { customer_id: 1, customer_name: 'A' },
+        { customer_id: null, customer_name: 'Sara Ali' },
+        { customer_id: null, customer_name: ' sara ali' }
+      ])).toBe(2);
+    });
+  });
+
+  describe('detectPatterns', () => {
+    // Answers each query by the first table/column condition it finds
+    const createDb = (answers) => ({
+      query: jest.fn(async (sql) => {
+        const match = Object.keys(answers).find(key => sql.includes(key));
+        return [match ? answers[match] : []];
+      })
+    });
+
+    const transaction = {
+      id: 4,
+      currencyInId: 2,
+      currencyCode: 'USD',
+      amountIn: 9700,
+      threshold: 10000
+    };
+
+    it('should find just-below amounts and a teller split for one customer', async () => {
+      const db = createDb({
+        'WHERE customer_id = ? AND currency_in_id = ?': [
+          { id: 1, amount_in: '9500.00', employee_id: 7 },
+          { id: 2, amount_in: '9600.00', employee_id: 8 },
+          { id: 4, amount_in: '9700.00', employee_id: 7 }
+        ]
+      });
+
+      const patterns = await detectPatterns(db, { ...transaction, customerId: 12 }, options);
+
+      expect(patterns.map(p => p.pattern)).toEqual(['below_threshold', 'teller_split']);
+      expect(patterns[0]).toMatchObject({
+        key: 'below_threshold:customer:12:currency:2',
+        severity: 'high',
+        transactionIds: [1, 2, 4],
+        details: { total: 28800, transactionCount: 3 }
+      });
+      expect(patterns[1].details.tellers).toBe(2);
+    });
+
+    it('should not look at the customer history for amounts at or above the threshold', async () => {
+      const db = createDb({});
+      const patterns = await detectPatterns(db, { ...transaction, amountIn: 12000, customerId: 12 }, options);
+
+      expect(patterns).toEqual([]);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should find a phone shared by customer records that transact', async () => {
+      const db = createDb({
+        'AND phone = ?': [{ id: 13, full_name: 'Ali Hassan' }],
+        'WHERE customer_id IN': [
+          { id: 4, customer_id: 12, customer_name: 'Ali Hasan' },
+          { id: 3, customer_id: 13, customer_name: 'Ali Hassan' }
+        ]
+      });
+
+      const patterns = await detectPatterns(db, { ...transaction, amountIn: 500, customerId: 12, customerPhone: '07501234567' }, options);
+
+      expect(patterns).toHaveLength(1);
+      expect(patterns[0]).toMatchObject({
+        pattern: 'shared_identity',
+        key: 'shared_identity:phone:07501234567',
+        severity: 'medium',
+        transactionIds: [4, 3],
+        details: { phone: '07501234567', customers: ['Ali Hassan'] }
+      });
+    });
+
+    it('should ignore a shared phone when only one of the records transacts', async () => {
+      const db = createDb({
+        'AND phone = ?': [{ id: 13, full_name: 'Ali Hassan' }],
+        'WHERE customer_id IN': [{ id: 4, customer_id: 12, customer_name: 'Ali Hasan' }]
+      });
+
+      const patterns = await detectPatterns(db, { ...transaction, amountIn: 500, customerId: 12, customerPhone: '07501234567' }, options);
+      expect(patterns).toEqual([]);
+    });
+
+    it('should find one funder paying for several customers, by ID number first', async () => {
+      const db = createDb({
+        'WHERE funded_by_id_number = ?': [
+          { id: 1, customer_id: 20, customer_name: 'A' },
+          { id: 2, customer_id: 21, customer_name: 'B' },
+          { id: 4, customer_id: null, customer_name: 'C' }
+        ]
+      });
+
+      const patterns = await detectPatterns(db, {
+        ...transaction,
+        amountIn: 500,
+        customerId: null,
+        fundedByName: 'Karim Aziz',
+        fundedByIdNumber: ' A123 '
+      }, options);
+
+      expect(patterns).toHaveLength(1);
+      expect(patterns[0]).toMatchObject({
+        pattern: 'common_funder',
+        key: 'common_funder:id:A123',
+        transactionIds: [1, 2, 4],
+        details: { funder: 'Karim Aziz', customers: 3 }
+      });
+      expect(db.query.mock.calls[0][1]).toEqual(['A123', 72]);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Two-Factor Service Unit Tests
+ */
+const speakeasy = require('speakeasy');
+const {
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  verifyCode,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  getTwoFactorState,
+  getRecoveryHashes,
+  redeemRecoveryCode
+} = require('../../src/services/twoFactorService');
+
+const SECRET = 'JBSWY3DPEHPK3PXP';
+const NOW = Date.UTC(2026, 9, 18, 12, 0, 0);
+
+const codeAt = (time) => speakeasy.totp({
+  secret: SECRET,
+  encoding: 'base32',
+  time: Math.floor(time / 1000)
+});
+
+describe('Two-Factor Service', () => {
+  describe('encryptSecret / decryptSecret', () => {
+    it('should round-trip a secret', () => {
+      const stored = encryptSecret(SECRET);
+      expect(stored).not.toContain(SECRET);
+      expect(decryptSecret(stored)).toBe(SECRET);
+    });
+
+    it('should use a fresh IV each time', () => {
+      expect(encryptSecret(SECRET)).not.toBe(encryptSecret(SECRET));
+    });
+
+    it('should reject tampered values', () => {
+      const [iv, tag, encrypted] = encryptSecret(SECRET).split(':');
+      const flipped = (parseInt(encrypted[0], 16) ^ 1).toString(16) + encrypted.slice(1);
+      expect(() => decryptSecret([iv, tag, flipped].join(':'))).toThrow();
+    });
+  });
+
+  describe('generateSecret', () => {
+    it('should return a base32 secret, otpauth URL and QR code', async () => {
+      const result = await generateSecret('teller one');
+      expect(result.secret).toMatch(/^[A-Z2-7]+$/);
+      expect(result.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+      expect(result.otpauthUrl).toContain('teller%20one');
+      expect(result.qrCode).toMatch(/^data:image\/png;base64,/);
+    });
+  });
+
+  describe('verifyCode', () => {
+    it('should accept the current code and return its time step', () => {
+      expect(verifyCode(SECRET, codeAt(NOW), null, NOW)).toBe(Math.floor(NOW / 30000));
+    });
+
+    it('should accept the previous code for clock drift', () => {
+      expect(verifyCode(SECRET, codeAt(NOW - 30000), null, NOW)).toBe(Math.floor(NOW / 30000) - 1);
+    });
+
+    it('should reject codes outside the window', () => {
+      expect(verifyCode(SECRET, codeAt(NOW - 120000), null, NOW)).toBeNull();
+    });
+
+    it('should reject a code that was already used', () => {
+      const step = verifyCode(SECRET, codeAt(NOW), null, NOW);
+      expect(verifyCode(SECRET, codeAt(NOW), step, NOW)).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(verifyCode(SECRET, '12345', null, NOW)).toBeNull();
+      expect(verifyCode(SECRET, 'abcdef', null, NOW)).toBeNull();
+      expect(verifyCode(SECRET, undefined, null, NOW)).toBeNull();
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('should generate unique codes with matching hashes', () => {
+      const { codes, hashes } = generateRecoveryCodes();
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach(code => expect(code).toMatch(/^[0-9A-F]{5}-[0-9A-F]{5}$/));
+      expect(hashes).toHaveLength(10);
+      expect(hashes.join()).not.toContain(codes[0]);
+    });
+
+    it('should consume a code once', () => {
+      const { codes, hashes } = generateRecoveryCodes(3);
+      const remaining = consumeRecoveryCode(hashes, codes[1]);
+      expect(remaining).toHaveLength(2);
+      expect(consumeRecoveryCode(remaining, codes[1])).toBeNull();
+      expect(consumeRecoveryCode(remaining, codes[0])).toHaveLength(1);
+    });
+
+    it('should ignore case and separators', () => {
+      const { codes, hashes } = generateRecoveryCodes(1);
+      expect(consumeRecoveryCode(hashes, ` ${codes[0].replace('-', '').toLowerCase()} `)).toEqual([]);
+    });
+
+    it('should read stored hashes from JSON', () => {
+      expect(getRecoveryHashes({ backup_codes: '["a","b"]' })).toEqual(['a', 'b']);
+      expect(getRecoveryHashes({ backup_codes: ['a'] })).toEqual(['a']);
+      expect(getRecoveryHashes(null)).toEqual([]);
+    });
+  });
+
+  describe('getTwoFactorState', () => {
+    const createConnection = (record, requireTwoFactor) => ({
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FROM two_factor_auth')) return [record ? [record] : []];
+        if (sql.includes('FROM roles')) return [[{ require_two_factor: requireTwoFactor ? 1 : 0 }]];
+        return [[]];
+      })
+    });
+
+    it('should report a pending setup as not enabled', async () => {
+      const state = await getTwoFactorState(createConnection({ id: 1, is_enabled: 0 }, false), { id: 1, role: 'teller' });
+      expect(state.enabled).toBe(false);
+      expect(state.required).toBe(false);
+      expect(state.record).toEqual({ id: 1, is_enabled: 0 });
+    });
+
+    it('should report the role requirement', async () => {
+      const state = await getTwoFactorState(createConnection(null, true), { id: 1, role: 'manager' });
+      expect(state.enabled).toBe(false);
+      expect(state.required).toBe(true);
+    });
+  });
+
+  describe('redeemRecoveryCode', () => {
+    // Stands in for the row lock: the stored codes are read and written through one record
+    const createPool = (hashes) => {
+      const row = { backup_codes: JSON.stringify(hashes) };
+      const connection = {
+        beginTransaction: jest.fn(),
+        commit: jest.fn(),
+        rollback: jest.fn(),
+        release: jest.fn(),
+        query: jest.fn(async (sql, params) => {
+          if (sql.startsWith('SELECT')) return [[{ ...row }]];
+          row.backup_codes = params[0];
+          return [{ affectedRows: 1 }];
+        })
+      };
+      return { connection, pool: { getConnection: jest.fn(async () => connection) } };
+    };
+
+    it('should lock the record and store the remaining codes', async () => {
+      const { codes, hashes } = generateRecoveryCodes(3);
+      const { pool, connection } = createPool(hashes);
+
+      const remaining = await redeemRecoveryCode(pool, 7, codes[1]);
+      expect(remaining).toEqual([hashes[0], hashes[2]]);
+      expect(connection.query.mock.calls[0][0]).toContain('FOR UPDATE');
+      expect(connection.query.mock.calls[1][1]).toEqual([JSON.stringify(remaining), 7]);
+      expect(connection.commit).toHaveBeenCalled();
+      expect(connection.release).toHaveBeenCalled();
+    });
+
+    it('should not accept the same code twice', async () => {
+      const { codes, hashes } = generateRecoveryCodes(2);
+      const { pool } = createPool(hashes);
+
+      expect(await redeemRecoveryCode(pool, 7, codes[0])).not.toBeNull();
+      expect(await redeemRecoveryCode(pool, 7, codes[0])).toBeNull();
+    });
+
+    it('should roll back and release on errors', async () => {
+      const { pool, connection } = createPool([]);
+      connection.query.mockRejectedValueOnce(new Error('lock wait timeout'));
+
+      await expect(redeemRecoveryCode(pool, 7, 'ABCDE-12345')).rejects.toThrow('lock wait timeout');
+      expect(connection.rollback).toHaveBeenCalled();
+      expect(connection.release).toHaveBeenCalled();
+    });
+  });
+});
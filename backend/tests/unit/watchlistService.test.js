@@ -0,0 +1,227 @@
+/**
+ * Watchlist Service Unit Tests
+ */
+const {
+  transliterate,
+  skeleton,
+  compareNames,
+  parseBirthDate,
+  scoreEntry,
+  screen,
+  entriesFromCsvRows,
+  entriesFromXml,
+  nameKey,
+  getActiveEntries
+} = require('../../src/services/watchlistService');
+
+const entry = (fields) => ({ aliases: [], idNumbers: [], dateOfBirth: null, ...fields });
+
+describe('Watchlist Service', () => {
+  describe('transliterate', () => {
+    it('should read Arabic letters as Latin and drop the definite article', () => {
+      expect(transliterate('محمد')).toBe('mhmd');
+      expect(transliterate('الجبوري')).toBe('jburi');
+    });
+
+    it('should read initial waw and ya as consonants and later ones as vowels', () => {
+      expect(transliterate('يوسف')).toBe('yusf');
+      expect(transliterate('وليد')).toBe('wlid');
+    });
+  });
+
+  describe('skeleton', () => {
+    it('should reduce spelling variants to the same key', () => {
+      expect(skeleton('mohammed')).toBe(skeleton('muhammad'));
+      expect(skeleton('qassem')).toBe(skeleton('kasim'));
+      expect(skeleton('abdullah')).toBe(skeleton('abdalla'));
+    });
+
+    it('should keep an initial vowel so different names stay apart', () => {
+      expect(skeleton('ahmed')).toBe('ahmd');
+      expect(skeleton('hamid')).toBe('hmd');
+      expect(skeleton('omar')).toBe(skeleton('amr'));
+    });
+  });
+
+  describe('compareNames', () => {
+    it('should match Latin spelling variants', () => {
+      expect(compareNames('Mohammed Hassan', 'Muhammad Hasan')).toBeGreaterThanOrEqual(90);
+      expect(compareNames('Qasim Sulaimani', 'Qassem Soleimani')).toBeGreaterThanOrEqual(90);
+    });
+
+    it('should match Arabic and Kurdish script against Latin', () => {
+      expect(compareNames('قاسم سليماني', 'Qassem Soleimani')).toBeGreaterThanOrEqual(90);
+      expect(compareNames('فاطمة خليل', 'Fatima Khalil')).toBeGreaterThanOrEqual(90);
+      expect(compareNames('هێمن عەبدوڵڵا', 'Hemin Abdulla')).toBeGreaterThanOrEqual(90);
+    });
+
+    it('should ignore name order, particles and differently split names', () => {
+      expect(compareNames('Ahmed Ali', 'Ali Ahmed')).toBe(100);
+      expect(compareNames('عبدالله الجبوري', 'Abdullah Al-Jubouri')).toBeGreaterThanOrEqual(90);
+      expect(compareNames('Abd Allah Jubouri', 'Abdullah al-Jubouri')).toBeGreaterThanOrEqual(85);
+    });
+
+    it('should not match a single name part or a different person', () => {
+      expect(compareNames('Ali', 'Ali Hassan')).toBeLessThan(85);
+      expect(compareNames('Ali Hassan', 'Omar Hassan')).toBeLessThan(85);
+      expect(compareNames('John Smith', 'Mohammed Hassan')).toBeLessThan(70);
+      expect(compareNames('', 'Mohammed Hassan')).toBe(0);
+    });
+  });
+
+  describe('parseBirthDate', () => {
+    it('should read ISO dates, day-first dates and bare years', () => {
+      expect(parseBirthDate('1965-03-07')).toEqual({ year: 1965, date: '1965-03-07' });
+      expect(parseBirthDate('7/3/1965')).toEqual({ year: 1965, date: '1965-03-07' });
+      expect(parseBirthDate('1965')).toEqual({ year: 1965, date: null });
+      expect(parseBirthDate(new Date(1965, 2, 7))).toEqual({ year: 1965, date: '1965-03-07' });
+      expect(parseBirthDate('circa 1965')).toBeNull();
+    });
+  });
+
+  describe('scoreEntry', () => {
+    const listed = entry({ fullName: 'Qassem Soleimani', aliases: ['Haj Qasem'], dateOfBirth: '1957-03-11', idNumbers: ['P-0081237'] });
+
+    it('should match on an identical ID number whatever the name', () => {
+      const result = scoreEntry({ name: 'Someone Else', idNumber: 'p0081237' }, listed);
+      expect(result).toEqual({ score: 100, matchedOn: ['idNumber'], matchedName: 'Qassem Soleimani' });
+    });
+
+    it('should raise the score for the same date of birth and lower it for a distant one', () => {
+      const name = 'Qasim Sulaimani';
+      const base = scoreEntry({ name }, listed).score;
+
+      const sameDate = scoreEntry({ name, dateOfBirth: '1957-03-11' }, listed);
+      expect(sameDate.score).toBe(Math.min(100, base + 10));
+      expect(sameDate.matchedOn).toEqual(['name', 'dateOfBirth']);
+
+      expect(scoreEntry({ name, dateOfBirth: '1990-01-01' }, listed).score).toBe(base - 20);
+    });
+
+    it('should score against the best of the name and its aliases', () => {
+      const result = scoreEntry({ name: 'Hajj Qassem' }, listed);
+      expect(result.matchedName).toBe('Haj Qasem');
+    });
+  });
+
+  describe('screen', () => {
+    const entries = [
+      entry({ id: 1, fullName: 'Mohammed Hassan' }),
+      entry({ id: 2, fullName: 'Fatima Khalil' }),
+      entry({ id: 3, fullName: 'Muhammad Hasan Ali' })
+    ];
+
+    it('should return entries at or above the threshold, best first', () => {
+      const hits = screen({ name: 'Mohammed Hassan' }, entries, 85);
+      expect(hits.map(h => h.entry.id)).toEqual([1, 3]);
+      expect(hits[0].score).toBeGreaterThanOrEqual(hits[1].score);
+    });
+
+    it('should not screen a party without name or ID', () => {
+      expect(screen({ name: '' }, entries, 0)).toEqual([]);
+    });
+  });
+
+  describe('entriesFromCsvRows', () => {
+    it('should accept column name variants and split multi-valued cells', () => {
+      const { entries, errors } = entriesFromCsvRows([
+        { 'Full Name': 'Mohammed Hassan', AKA: 'Abu Ali; Mohamad Hasan', DOB: '1970', 'ID_Number': 'A1|B2', Reference: 'IQi.001' },
+        { 'Full Name': '', AKA: 'Nobody' }
+      ]);
+
+      expect(entries).toEqual([{
+        externalId: 'IQi.001',
+        fullName: 'Mohammed Hassan',
+        aliases: ['Abu Ali', 'Mohamad Hasan'],
+        dateOfBirth: '1970',
+        idNumbers: ['A1', 'B2'],
+        nationality: null,
+        remarks: null
+      }]);
+      expect(errors).toEqual([{ row: 3, message: 'Name is missing' }]);
+    });
+  });
+
+  describe('entriesFromXml', () => {
+    it('should read individuals of the UN consolidated list', () => {
+      const xml = `
+        <CONSOLIDATED_LIST><INDIVIDUALS><INDIVIDUAL>
+          <DATAID>6908555</DATAID>
+          <FIRST_NAME>ABD AL-RAHMAN</FIRST_NAME><SECOND_NAME>HASAN</SECOND_NAME>
+          <UN_LIST_TYPE>Iraq</UN_LIST_TYPE><REFERENCE_NUMBER>IQi.010</REFERENCE_NUMBER>
+          <NAME_ORIGINAL_SCRIPT>عبد الرحمن حسن</NAME_ORIGINAL_SCRIPT>
+          <NATIONALITY><VALUE>Iraq</VALUE></NATIONALITY>
+          <INDIVIDUAL_ALIAS><QUALITY>Good</QUALITY><ALIAS_NAME>Abu Hasan</ALIAS_NAME></INDIVIDUAL_ALIAS>
+          <INDIVIDUAL_DATE_OF_BIRTH><TYPE_OF_DATE>EXACT</TYPE_OF_DATE><DATE>1960-07-01</DATE></INDIVIDUAL_DATE_OF_BIRTH>
+          <INDIVIDUAL_DOCUMENT><TYPE_OF_DOCUMENT>Passport</TYPE_OF_DOCUMENT><NUMBER>M0123456</NUMBER></INDIVIDUAL_DOCUMENT>
+        </INDIVIDUAL></INDIVIDUALS></CONSOLIDATED_LIST>`;
+
+      const { entries, errors } = entriesFromXml(xml);
+
+      expect(errors).toEqual([]);
+      expect(entries).toEqual([{
+        externalId: 'IQi.010',
+        fullName: 'ABD AL-RAHMAN HASAN',
+        aliases: ['Abu Hasan', 'عبد الرحمن حسن'],
+        dateOfBirth: '1960-07-01',
+        idNumbers: ['M0123456'],
+        nationality: 'Iraq',
+        remarks: 'Iraq'
+      }]);
+    });
+
+    it('should read plain entry records and decode entities', () => {
+      const { entries, errors } = entriesFromXml(`
+        <list>
+          <entry><name>Smith &amp; Sons Trading</name><alias>S&amp;S</alias><reference>X-1</reference></entry>
+          <entry><alias>No name</alias></entry>
+        </list>`);
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({ fullName: 'Smith & Sons Trading', aliases: ['S&S'], externalId: 'X-1' });
+      expect(errors).toEqual([{ row: 2, message: 'Name is missing' }]);
+    });
+  });
+
+  describe('nameKey', () => {
+    it('should give the same key to spellings of one name', () => {
+      expect(nameKey('Mohammed Hassan')).toBe(nameKey('محمد حسن'));
+    });
+  });
+
+  describe('getActiveEntries', () => {
+    const createConnection = (state, rows) => ({
+      query: jest.fn(async (sql) => {
+        if (sql.includes('COUNT(e.id)')) return [[state]];
+        return [rows];
+      })
+    });
+
+    const row = {
+      id: 10,
+      watchlist_id: 1,
+      list_name: 'UN',
+      list_type: 'sanctions',
+      external_id: 'IQi.001',
+      full_name: 'Mohammed Hassan',
+      aliases: '["Abu Ali"]',
+      date_of_birth: '1970',
+      id_numbers: null,
+      nationality: null,
+      remarks: null
+    };
+
+    it('should load entries once and reload when the lists change', async () => {
+      const connection = createConnection({ count: 1, max_id: 10 }, [row]);
+
+      const first = await getActiveEntries(connection);
+      expect(first).toEqual([expect.objectContaining({ id: 10, listName: 'UN', aliases: ['Abu Ali'], idNumbers: [] })]);
+
+      await getActiveEntries(connection);
+      expect(connection.query).toHaveBeenCalledTimes(3);
+
+      const changed = createConnection({ count: 2, max_id: 11 }, [row, { ...row, id: 11 }]);
+      expect(await getActiveEntries(changed)).toHaveLength(2);
+    });
+  });
+});
@@ -19,10 +19,16 @@ import CashDrawersPage from './pages/CashDrawersPage';
 import ShiftsPage from './pages/ShiftsPage';
 import ReportBuilderPage from './pages/ReportBuilderPage';
 import TransactionDetailPage from './pages/TransactionDetailPage';
+import ApprovalQueuePage from './pages/ApprovalQueuePage';
 import AuditLogsPage from './pages/AuditLogsPage';
 import PermissionsPage from './pages/PermissionsPage';
+import BranchesPage from './pages/BranchesPage';
+import PositionsPage from './pages/PositionsPage';
+import CompliancePage from './pages/CompliancePage';
 import PortalLayout from './components/layout/PortalLayout';
 import PortalLoginPage from './pages/portal/PortalLoginPage';
+import PortalForgotPasswordPage from './pages/portal/PortalForgotPasswordPage';
+import PortalSetPasswordPage from './pages/portal/PortalSetPasswordPage';
 import PortalDashboardPage from './pages/portal/PortalDashboardPage';
 
 // i18n
@@ -32,8 +38,8 @@ import './i18n';
 import './index.css';
 
 // Protected Route Component
-const ProtectedRoute = ({ children, adminOnly = false }) => {
-  const { isAuthenticated, loading, isAdmin } = useAuth();
+const ProtectedRoute = ({ children, permission }) => {
+  const { isAuthenticated, loading, hasPermission } = useAuth();
 
   if (loading) {
     return <LoadingPage />;
@@ -43,7 +49,7 @@ const ProtectedRoute = ({ children, adminOnly = false }) => {
     return <Navigate to="/login" replace />;
   }
 
-  if (adminOnly && !isAdmin()) {
+  if (permission && !hasPermission(permission)) {
     return <Navigate to="/" replace />;
   }
 
@@ -90,15 +96,23 @@ function AppRoutes() {
       <Route
         path="/transactions"
         element={
-          <ProtectedRoute>
+          <ProtectedRoute permission="transactions.view">
             <TransactionsPage />
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/transactions/approvals"
+        element={
+          <ProtectedRoute permission="transactions.approve">
+            <ApprovalQueuePage />
+          </ProtectedRoute>
+        }
+      />
       <Route
         path="/transactions/:uuid"
         element={
-          <ProtectedRoute>
+          <ProtectedRoute permission="transactions.view">
             <TransactionDetailPage />
           </ProtectedRoute>
         }
@@ -106,7 +120,7 @@ function AppRoutes() {
       <Route
         path="/currencies"
         element={
-          <ProtectedRoute>
+          <ProtectedRoute permission="currencies.view">
             <CurrenciesPage />
           </ProtectedRoute>
         }
@@ -114,7 +128,7 @@ function AppRoutes() {
       <Route
         path="/rate-history"
         element={
-          <ProtectedRoute>
+          <ProtectedRoute permission="currencies.view">
             <RateHistoryPage />
           </ProtectedRoute>
         }
@@ -122,15 +136,31 @@ function AppRoutes() {
       <Route
         path="/reports"
         element={
-          <ProtectedRoute>
+          <ProtectedRoute permission="reports.view">
             <ReportsPage />
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/positions"
+        element={
+          <ProtectedRoute permission="positions.view">
+            <PositionsPage />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/compliance"
+        element={
+          <ProtectedRoute permission="compliance.view">
+            <CompliancePage />
+          </ProtectedRoute>
+        }
+      />
       <Route
         path="/customers"
         element={
-          <ProtectedRoute>
+          <ProtectedRoute permission="customers.view">
             <CustomersPage />
           </ProtectedRoute>
         }
@@ -138,7 +168,7 @@ function AppRoutes() {
       <Route
         path="/cash-drawers"
         element={
-          <ProtectedRoute>
+          <ProtectedRoute permission="cash_drawer.view">
             <CashDrawersPage />
           </ProtectedRoute>
         }
@@ -146,7 +176,7 @@ function AppRoutes() {
       <Route
         path="/shifts"
         element={
-          <ProtectedRoute>
+          <ProtectedRoute permission="shifts.view">
             <ShiftsPage />
           </ProtectedRoute>
         }
@@ -154,7 +184,7 @@ function AppRoutes() {
       <Route
         path="/report-builder"
         element={
-          <ProtectedRoute>
+          <ProtectedRoute permission="reports.builder">
             <ReportBuilderPage />
           </ProtectedRoute>
         }
@@ -166,6 +196,14 @@ function AppRoutes() {
         path="/portal/login"
         element={<PortalLoginPage />}
       />
+      <Route
+        path="/portal/forgot-password"
+        element={<PortalForgotPasswordPage />}
+      />
+      <Route
+        path="/portal/set-password"
+        element={<PortalSetPasswordPage />}
+      />
       <Route
         path="/portal/dashboard"
         element={
@@ -175,11 +213,11 @@ function AppRoutes() {
         <Route index element={<PortalDashboardPage />} />
       </Route>
 
-      {/* Admin Only Routes */}
+      {/* Administration Routes */}
       <Route
         path="/users"
         element={
-          <ProtectedRoute adminOnly>
+          <ProtectedRoute permission="users.view">
             <UsersPage />
           </ProtectedRoute>
         }
@@ -187,7 +225,7 @@ function AppRoutes() {
       <Route
         path="/audit-logs"
         element={
-          <ProtectedRoute adminOnly>
+          <ProtectedRoute permission="audit.view">
             <AuditLogsPage />
           </ProtectedRoute>
         }
@@ -195,11 +233,19 @@ function AppRoutes() {
       <Route
         path="/permissions"
         element={
-          <ProtectedRoute adminOnly>
+          <ProtectedRoute permission="users.permissions">
             <PermissionsPage />
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/branches"
+        element={
+          <ProtectedRoute permission="branches.manage">
+            <BranchesPage />
+          </ProtectedRoute>
+        }
+      />
 
       {/* Catch all - redirect to dashboard */}
       <Route path="*" element={<Navigate to="/" replace />} />
@@ -0,0 +1,39 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import { ClipboardDocumentIcon } from '@heroicons/react/24/outline';
+import { Button } from '../common';
+
+/**
+ * One-time display of new recovery codes. The server only keeps hashes,
+ * so this is the only chance to save them.
+ */
+const RecoveryCodes = ({ codes }) => {
+  const { t } = useTranslation();
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success(t('twoFactor.codesCopied'));
+    } catch (error) {
+      toast.error(t('common.error'));
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-amber-700 dark:text-amber-400">{t('twoFactor.recoveryCodesHelp')}</p>
+      <div className="grid grid-cols-2 gap-2 p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg font-mono text-sm text-gray-900 dark:text-gray-100" dir="ltr">
+        {codes.map(code => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <Button type="button" variant="secondary" size="sm" onClick={handleCopy}>
+        <ClipboardDocumentIcon className="h-4 w-4 mr-1 rtl:mr-0 rtl:ml-1" />
+        {t('twoFactor.copyCodes')}
+      </Button>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+
+/**
+ * QR code and manual key for adding the account to an authenticator app
+ */
+const TwoFactorEnrollment = ({ setup }) => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600 dark:text-gray-300">{t('twoFactor.scanHelp')}</p>
+      <div className="flex justify-center">
+        <img src={setup.qrCode} alt={t('twoFactor.qrCode')} className="h-44 w-44 rounded bg-white p-2" />
+      </div>
+      <div className="text-center">
+        <p className="text-xs text-gray-500 dark:text-gray-400">{t('twoFactor.manualKey')}</p>
+        <p className="font-mono text-sm break-all text-gray-900 dark:text-gray-100" dir="ltr">{setup.secret}</p>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorEnrollment;
@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import { Modal, Button, Input, Badge, Loading } from '../common';
+import authService from '../../services/authService';
+import RecoveryCodes from './RecoveryCodes';
+import TwoFactorEnrollment from './TwoFactorEnrollment';
+
+/**
+ * Manage the signed-in user's two-factor authentication: set it up with an
+ * authenticator app, replace the recovery codes or switch it off.
+ */
+const TwoFactorSettings = ({ isOpen, onClose }) => {
+  const { t } = useTranslation();
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  // status | setup | disable | regenerate | codes
+  const [mode, setMode] = useState('status');
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await authService.getTwoFactorStatus();
+      if (response.success) {
+        setStatus(response.data);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setMode('status');
+      setSetup(null);
+      setRecoveryCodes([]);
+      setCode('');
+      setPassword('');
+      fetchStatus();
+    }
+  }, [isOpen, fetchStatus]);
+
+  const changeMode = (next) => {
+    setCode('');
+    setPassword('');
+    setMode(next);
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      setSubmitting(true);
+      const response = await authService.setupTwoFactor();
+      if (response.success) {
+        setSetup(response.data);
+        changeMode('setup');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const entered = code.trim();
+    // Recovery codes are only accepted when switching off
+    const codes = /^\d{6}$/.test(entered) ? { code: entered } : { recoveryCode: entered };
+
+    try {
+      setSubmitting(true);
+      let response;
+      if (mode === 'setup') {
+        response = await authService.enableTwoFactor(entered);
+      } else if (mode === 'regenerate') {
+        response = await authService.regenerateRecoveryCodes(entered);
+      } else {
+        response = await authService.disableTwoFactor(password, codes);
+      }
+
+      if (response.success) {
+        toast.success(response.message);
+        if (response.data?.recoveryCodes) {
+          setRecoveryCodes(response.data.recoveryCodes);
+          changeMode('codes');
+        } else {
+          changeMode('status');
+        }
+        fetchStatus();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderStatus = () => (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <span className="text-sm text-gray-700 dark:text-gray-300">{t('common.status')}</span>
+        <Badge variant={status.enabled ? 'success' : 'secondary'}>
+          {status.enabled ? t('twoFactor.enabled') : t('twoFactor.disabled')}
+        </Badge>
+      </div>
+      {status.required && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">{t('twoFactor.requiredByRole')}</p>
+      )}
+      {status.enabled && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          {t('twoFactor.recoveryCodesRemaining', { count: status.recoveryCodesRemaining })}
+        </p>
+      )}
+      <div className="flex items-center justify-end gap-3 pt-4 border-t border-gray-200 dark:border-gray-700">
+        {!status.enabled && (
+          <Button onClick={handleStartSetup} loading={submitting}>
+            {t('twoFactor.setUp')}
+          </Button>
+        )}
+        {status.enabled && (
+          <>
+            <Button variant="secondary" onClick={() => changeMode('regenerate')}>
+              {t('twoFactor.newRecoveryCodes')}
+            </Button>
+            {!status.required && (
+              <Button variant="danger" onClick={() => changeMode('disable')}>
+                {t('twoFactor.turnOff')}
+              </Button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+
+  const renderForm = () => (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {mode === 'setup' && setup && <TwoFactorEnrollment setup={setup} />}
+      {mode === 'disable' && (
+        <Input
+          label={t('auth.password')}
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+        />
+      )}
+      <Input
+        label={mode === 'disable' ? t('twoFactor.codeOrRecoveryCode') : t('twoFactor.code')}
+        inputMode={mode === 'disable' ? 'text' : 'numeric'}
+        autoComplete="one-time-code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        required
+      />
+      <div className="flex items-center justify-end gap-3 pt-4 border-t border-gray-200 dark:border-gray-700">
+        <Button type="button" variant="secondary" onClick={() => changeMode('status')} disabled={submitting}>
+          {t('common.cancel')}
+        </Button>
+        <Button type="submit" variant={mode === 'disable' ? 'danger' : 'primary'} loading={submitting}>
+          {mode === 'disable' ? t('twoFactor.turnOff') : t('common.confirm')}
+        </Button>
+      </div>
+    </form>
+  );
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={t('twoFactor.title')}>
+      {loading || !status ? (
+        <div className="flex justify-center py-6">
+          <Loading />
+        </div>
+      ) : mode === 'codes' ? (
+        <div className="space-y-4">
+          <RecoveryCodes codes={recoveryCodes} />
+          <div className="flex justify-end pt-4 border-t border-gray-200 dark:border-gray-700">
+            <Button onClick={() => changeMode('status')}>{t('twoFactor.savedCodes')}</Button>
+          </div>
+        </div>
+      ) : mode === 'status' ? renderStatus() : renderForm()}
+    </Modal>
+  );
+};
+
+export default TwoFactorSettings;
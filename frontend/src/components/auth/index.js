@@ -0,0 +1,3 @@
+export { default as RecoveryCodes } from './RecoveryCodes';
+export { default as TwoFactorEnrollment } from './TwoFactorEnrollment';
+export { default as TwoFactorSettings } from './TwoFactorSettings';
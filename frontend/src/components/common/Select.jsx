@@ -1,13 +1,13 @@
-import React from 'react';
+import React, { forwardRef } from 'react';
 
-const Select = ({
+const Select = forwardRef(({
   label,
   options = [],
   error,
   className = '',
   placeholder,
   ...props
-}) => {
+}, ref) => {
   return (
     <div className={className}>
       {label && (
@@ -16,6 +16,7 @@ const Select = ({
         </label>
       )}
       <select
+        ref={ref}
         className={`input-field ${error ? 'border-red-500 dark:border-red-400 focus:ring-red-500 focus:border-red-500' : ''}`}
         {...props}
       >
@@ -33,6 +34,8 @@ const Select = ({
       )}
     </div>
   );
-};
+});
+
+Select.displayName = 'Select';
 
 export default Select;
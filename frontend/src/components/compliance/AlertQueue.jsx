@@ -0,0 +1,337 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { Table, Pagination, AdvancedFilters, Badge, Button } from '../common';
+import complianceService from '../../services/complianceService';
+import AlertReviewModal, { REVIEW_STATUSES } from './AlertReviewModal';
+import { severityVariants } from './badgeVariants';
+
+const ALERT_TYPES = ['large_transaction', 'daily_limit_exceeded', 'velocity_exceeded', 'id_missing', 'watchlist_match', 'suspicious_pattern'];
+
+// Linked transactions shown in the row; the rest are counted
+const VISIBLE_LINKED = 3;
+
+const emptyFilters = {
+  status: 'pending',
+  severity: '',
+  alertType: '',
+  startDate: '',
+  endDate: ''
+};
+
+/**
+ * Alert triage queue. Alerts can be reviewed one at a time or selected and
+ * reviewed together; a selection can also start a SAR.
+ */
+const AlertQueue = ({ customerFilter, onClearCustomer, onOpenCustomer, onDraftSAR, canReview, refreshKey }) => {
+  const { t } = useTranslation();
+  const [alerts, setAlerts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, totalPages: 1 });
+  const [filters, setFilters] = useState(emptyFilters);
+  const [appliedFilters, setAppliedFilters] = useState(emptyFilters);
+  const [showFilters, setShowFilters] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [reviewing, setReviewing] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const fetchAlerts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page: pagination.page, limit: pagination.limit };
+      Object.entries(appliedFilters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      if (customerFilter) params.customerUuid = customerFilter.uuid;
+
+      const response = await complianceService.getAlerts(params);
+      if (response.success) {
+        setAlerts(response.data);
+        setPagination(prev => ({ ...prev, ...response.pagination }));
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setLoading(false);
+    }
+  }, [pagination.page, pagination.limit, appliedFilters, customerFilter, t]);
+
+  useEffect(() => {
+    fetchAlerts();
+  }, [fetchAlerts, refreshKey]);
+
+  // A new page or filter shows different alerts; start the selection over
+  useEffect(() => {
+    setSelected([]);
+  }, [alerts]);
+
+  useEffect(() => {
+    setPagination(prev => ({ ...prev, page: 1 }));
+  }, [customerFilter]);
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const applyFilters = () => {
+    setPagination(prev => ({ ...prev, page: 1 }));
+    setAppliedFilters(filters);
+  };
+
+  const resetFilters = () => {
+    setFilters(emptyFilters);
+    setPagination(prev => ({ ...prev, page: 1 }));
+    setAppliedFilters(emptyFilters);
+  };
+
+  const toggleSelected = (uuid) => {
+    setSelected(prev => (prev.includes(uuid) ? prev.filter(id => id !== uuid) : [...prev, uuid]));
+  };
+
+  const allSelected = alerts.length > 0 && selected.length === alerts.length;
+  const toggleAll = () => {
+    setSelected(allSelected ? [] : alerts.map(a => a.uuid));
+  };
+
+  const selectedAlerts = alerts.filter(a => selected.includes(a.uuid));
+
+  const handleReview = async (status, notes) => {
+    try {
+      setSaving(true);
+      const response = reviewing.length === 1
+        ? await complianceService.reviewAlert(reviewing[0].uuid, status, notes)
+        : await complianceService.bulkReviewAlerts(reviewing.map(a => a.uuid), status, notes);
+      if (response.success) {
+        toast.success(response.message);
+        setReviewing([]);
+        fetchAlerts();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // A SAR is about one customer; only preselect one when the alerts agree.
+  // Pattern alerts bring every transaction of the pattern along.
+  const handleDraftSAR = () => {
+    const customers = [...new Set(selectedAlerts.filter(a => a.customer).map(a => a.customer.uuid))];
+    const transactions = new Map();
+    selectedAlerts.forEach(a => {
+      [a.transaction, ...(a.linkedTransactions || [])].filter(Boolean).forEach(tx => transactions.set(tx.uuid, tx));
+    });
+    onDraftSAR({
+      customer: customers.length === 1 ? selectedAlerts.find(a => a.customer).customer : null,
+      alerts: selectedAlerts,
+      transactions: [...transactions.values()]
+    });
+  };
+
+  const filterConfig = [
+    {
+      key: 'status',
+      type: 'select',
+      label: t('common.status'),
+      options: [
+        { value: '', label: t('common.all') },
+        { value: 'pending', label: t('compliance.alertStatuses.pending') },
+        ...REVIEW_STATUSES.map(value => ({ value, label: t(`compliance.alertStatuses.${value}`) }))
+      ]
+    },
+    {
+      key: 'severity',
+      type: 'select',
+      label: t('compliance.severity'),
+      options: [
+        { value: '', label: t('common.all') },
+        ...['low', 'medium', 'high', 'critical'].map(value => ({ value, label: t(`compliance.severities.${value}`) }))
+      ]
+    },
+    {
+      key: 'alertType',
+      type: 'select',
+      label: t('compliance.alertType'),
+      options: [
+        { value: '', label: t('common.all') },
+        ...ALERT_TYPES.map(value => ({ value, label: t(`compliance.alertTypes.${value}`, { defaultValue: value }) }))
+      ]
+    },
+    { key: 'dateRange', type: 'dateRange', startKey: 'startDate', endKey: 'endDate' }
+  ];
+
+  const columns = [
+    ...(canReview ? [{
+      header: (
+        <input
+          type="checkbox"
+          className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+          checked={allSelected}
+          onChange={toggleAll}
+        />
+      ),
+      accessor: 'uuid',
+      width: '40px',
+      render: (uuid) => (
+        <input
+          type="checkbox"
+          className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+          checked={selected.includes(uuid)}
+          onChange={() => toggleSelected(uuid)}
+        />
+      )
+    }] : []),
+    {
+      header: t('compliance.createdAt'),
+      accessor: 'createdAt',
+      render: (value) => <span className="text-sm text-gray-600">{new Date(value).toLocaleString()}</span>
+    },
+    {
+      header: t('compliance.severity'),
+      accessor: 'severity',
+      render: (value) => <Badge variant={severityVariants[value]}>{t(`compliance.severities.${value}`)}</Badge>
+    },
+    {
+      header: t('compliance.alert'),
+      accessor: 'description',
+      render: (value, row) => (
+        <div className="max-w-md">
+          <p className="text-sm text-gray-900 whitespace-normal">{value}</p>
+          <p className="text-xs text-gray-500">
+            {t(`compliance.alertTypes.${row.alertType}`, { defaultValue: row.alertType })}
+            {row.ruleName && ` · ${row.ruleName}`}
+          </p>
+        </div>
+      )
+    },
+    {
+      header: t('compliance.customer'),
+      accessor: 'customer',
+      render: (customer) => (customer ? (
+        <button onClick={() => onOpenCustomer(customer.uuid)} className="text-primary-600 hover:text-primary-700 text-sm">
+          {customer.name}
+        </button>
+      ) : '-')
+    },
+    {
+      header: t('compliance.transaction'),
+      accessor: 'transaction',
+      render: (transaction, row) => {
+        const linked = (row.linkedTransactions || []).filter(tx => !transaction || tx.uuid !== transaction.uuid);
+        if (!transaction && linked.length === 0) return '-';
+        return (
+          <div className="text-sm">
+            {transaction && (
+              <Link to={`/transactions/${transaction.uuid}`} className="text-primary-600 hover:text-primary-700">
+                {transaction.number}
+              </Link>
+            )}
+            {linked.length > 0 && (
+              <div className="text-xs text-gray-500 mt-1">
+                <span>{t('compliance.patternTransactions', { count: linked.length })}: </span>
+                {linked.slice(0, VISIBLE_LINKED).map((tx, idx) => (
+                  <React.Fragment key={tx.uuid}>
+                    {idx > 0 && ', '}
+                    <Link to={`/transactions/${tx.uuid}`} className="text-primary-600 hover:text-primary-700">
+                      {tx.number}
+                    </Link>
+                  </React.Fragment>
+                ))}
+                {linked.length > VISIBLE_LINKED && ` ${t('compliance.moreLinked', { count: linked.length - VISIBLE_LINKED })}`}
+              </div>
+            )}
+          </div>
+        );
+      }
+    },
+    {
+      header: t('common.status'),
+      accessor: 'status',
+      render: (value, row) => (
+        <div>
+          <Badge variant={value === 'pending' ? 'warning' : value === 'escalated' ? 'danger' : 'secondary'}>
+            {t(`compliance.alertStatuses.${value}`)}
+          </Badge>
+          {row.reviewedBy && (
+            <p className="text-xs text-gray-500 mt-1" title={row.reviewNotes || ''}>{row.reviewedBy}</p>
+          )}
+        </div>
+      )
+    },
+    ...(canReview ? [{
+      header: t('common.actions'),
+      accessor: 'uuid',
+      render: (uuid, row) => (
+        <Button size="sm" variant="secondary" onClick={() => setReviewing([row])}>
+          {t('compliance.review')}
+        </Button>
+      )
+    }] : [])
+  ];
+
+  return (
+    <div className="space-y-4">
+      <AdvancedFilters
+        resourceType="compliance_alerts"
+        filters={filters}
+        filterConfig={filterConfig}
+        onFilterChange={handleFilterChange}
+        onApply={applyFilters}
+        onReset={resetFilters}
+        isOpen={showFilters}
+        onToggle={() => setShowFilters(!showFilters)}
+      />
+
+      {customerFilter && (
+        <div className="flex items-center gap-2 text-sm">
+          <span className="text-gray-600">{t('compliance.alertsFor', { name: customerFilter.name })}</span>
+          <button onClick={onClearCustomer} className="text-gray-400 hover:text-gray-600" title={t('common.reset')}>
+            <XMarkIcon className="h-4 w-4" />
+          </button>
+        </div>
+      )}
+
+      {selected.length > 0 && (
+        <div className="flex items-center justify-between p-3 bg-primary-50 border border-primary-200 rounded-lg">
+          <span className="text-sm font-medium text-gray-700">
+            {t('compliance.selectedAlerts', { count: selected.length })}
+          </span>
+          <div className="flex items-center gap-2">
+            <Button size="sm" variant="secondary" onClick={() => setSelected([])}>
+              {t('common.cancel')}
+            </Button>
+            <Button size="sm" variant="secondary" onClick={handleDraftSAR}>
+              {t('compliance.draftSAR')}
+            </Button>
+            <Button size="sm" onClick={() => setReviewing(selectedAlerts)}>
+              {t('compliance.reviewSelected')}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      <div>
+        <Table columns={columns} data={alerts} loading={loading} emptyMessage={t('compliance.noAlerts')} />
+        {pagination.totalPages > 1 && (
+          <Pagination
+            page={pagination.page}
+            totalPages={pagination.totalPages}
+            onPageChange={(page) => setPagination(prev => ({ ...prev, page }))}
+          />
+        )}
+      </div>
+
+      <AlertReviewModal
+        isOpen={reviewing.length > 0}
+        onClose={() => setReviewing([])}
+        onSubmit={handleReview}
+        alerts={reviewing}
+        loading={saving}
+      />
+    </div>
+  );
+};
+
+export default AlertQueue;
@@ -0,0 +1,73 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Modal, Select, Button } from '../common';
+
+export const REVIEW_STATUSES = ['reviewed', 'escalated', 'resolved', 'false_positive'];
+
+/**
+ * Record the outcome of one or more alerts. Several alerts get the same status
+ * and notes.
+ */
+const AlertReviewModal = ({ isOpen, onClose, onSubmit, alerts, loading }) => {
+  const { t } = useTranslation();
+  const [status, setStatus] = useState('reviewed');
+  const [notes, setNotes] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setStatus('reviewed');
+      setNotes('');
+    }
+  }, [isOpen]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(status, notes.trim() || undefined);
+  };
+
+  const statusOptions = REVIEW_STATUSES.map(value => ({
+    value,
+    label: t(`compliance.alertStatuses.${value}`)
+  }));
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={alerts.length === 1 ? t('compliance.reviewAlert') : t('compliance.reviewAlerts', { count: alerts.length })}
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {alerts.length === 1 && (
+          <p className="text-sm text-gray-600">{alerts[0].description}</p>
+        )}
+        <Select
+          label={t('common.status')}
+          options={statusOptions}
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+        />
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">{t('common.notes')}</label>
+          <textarea
+            className="input-field"
+            rows={3}
+            maxLength={1000}
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+          />
+        </div>
+
+        <div className="flex items-center justify-end gap-3 pt-4 border-t border-gray-200">
+          <Button type="button" variant="secondary" onClick={onClose} disabled={loading}>
+            {t('common.cancel')}
+          </Button>
+          <Button type="submit" loading={loading}>
+            {t('common.save')}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default AlertReviewModal;
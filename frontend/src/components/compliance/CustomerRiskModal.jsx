@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { ArrowPathIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import { Modal, Badge, Button, Loading } from '../common';
+import complianceService from '../../services/complianceService';
+import { severityVariants, riskLevelVariants } from './badgeVariants';
+
+const formatAmount = (amount) => new Intl.NumberFormat('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+}).format(amount || 0);
+
+/**
+ * Risk profile of one customer: score and the factors behind it, how the score
+ * changed over time, alert history and recent transactions. From here the officer
+ * can narrow the alert queue to the customer or start a SAR with the customer's
+ * open alerts preselected.
+ */
+const CustomerRiskModal = ({ customerUuid, onClose, onShowAlerts, onDraftSAR }) => {
+  const { t } = useTranslation();
+  const { hasPermission } = useAuth();
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [recalculating, setRecalculating] = useState(false);
+
+  const fetchProfile = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await complianceService.getCustomerRisk(customerUuid);
+      setProfile(response.success ? response.data : null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setLoading(false);
+    }
+  }, [customerUuid, t]);
+
+  useEffect(() => {
+    if (!customerUuid) {
+      setProfile(null);
+      return;
+    }
+    fetchProfile();
+  }, [customerUuid, fetchProfile]);
+
+  const handleRecalculate = async () => {
+    try {
+      setRecalculating(true);
+      const response = await complianceService.recalculateCustomerRisk(customerUuid);
+      if (response.success) {
+        toast.success(response.message);
+        fetchProfile();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setRecalculating(false);
+    }
+  };
+
+  const handleDraftSAR = () => {
+    const openAlerts = profile.recentAlerts.filter(a => a.status === 'pending' || a.status === 'escalated');
+    onDraftSAR({
+      customer: profile.customer,
+      alerts: openAlerts,
+      transactions: openAlerts.filter(a => a.transaction).map(a => a.transaction)
+    });
+  };
+
+  return (
+    <Modal
+      isOpen={Boolean(customerUuid)}
+      onClose={onClose}
+      title={profile ? t('compliance.riskProfileOf', { name: profile.customer.name }) : t('compliance.riskProfile')}
+      size="xl"
+    >
+      {loading || !profile ? (
+        <div className="flex justify-center py-8">
+          <Loading />
+        </div>
+      ) : (
+        <div className="space-y-6">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="p-3 rounded-lg bg-gray-50">
+              <p className="text-xs text-gray-500">{t('compliance.riskScore')}</p>
+              <p className="text-2xl font-semibold text-gray-900">{profile.riskScore}</p>
+              <Badge variant={riskLevelVariants[profile.riskLevel] || 'secondary'}>
+                {t(`compliance.riskLevels.${profile.riskLevel}`)}
+              </Badge>
+            </div>
+            <div className="p-3 rounded-lg bg-gray-50">
+              <p className="text-xs text-gray-500">{t('compliance.totalAlerts')}</p>
+              <p className="text-2xl font-semibold text-gray-900">{profile.totalAlerts}</p>
+            </div>
+            <div className="p-3 rounded-lg bg-gray-50">
+              <p className="text-xs text-gray-500">{t('compliance.totalSARs')}</p>
+              <p className="text-2xl font-semibold text-gray-900">{profile.totalSARs}</p>
+            </div>
+            <div className="p-3 rounded-lg bg-gray-50">
+              <p className="text-xs text-gray-500">{t('compliance.completedVolume')}</p>
+              <p className="text-lg font-semibold text-gray-900">{formatAmount(profile.stats.totalVolume)}</p>
+              <p className="text-xs text-gray-500">
+                {t('compliance.transactionCount', { count: profile.stats.totalTransactions })}
+              </p>
+            </div>
+          </div>
+
+          {profile.factors.length > 0 && (
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-sm font-medium text-gray-700 uppercase tracking-wider">
+                  {t('compliance.riskFactors')}
+                </h3>
+                {profile.scoredAt && (
+                  <span className="text-xs text-gray-500">
+                    {t('compliance.scoredAt', { date: new Date(profile.scoredAt).toLocaleString() })}
+                  </span>
+                )}
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                {profile.factors.map(factor => (
+                  <div
+                    key={factor.factor}
+                    className={`flex items-center justify-between px-3 py-2 rounded-lg border text-sm ${
+                      factor.points > 0 ? 'border-yellow-200 bg-yellow-50' : 'border-gray-200'
+                    }`}
+                  >
+                    <span className="text-gray-700">{t(`compliance.factors.${factor.factor}`)}</span>
+                    <span className="font-medium text-gray-900">+{factor.points}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {profile.notes && (
+            <p className="text-sm text-gray-600">{profile.notes}</p>
+          )}
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 uppercase tracking-wider mb-2">
+              {t('compliance.recentAlerts')}
+            </h3>
+            {profile.recentAlerts.length === 0 ? (
+              <p className="text-sm text-gray-500">{t('compliance.noAlerts')}</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                {profile.recentAlerts.map(alert => (
+                  <li key={alert.uuid} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                    <div className="min-w-0">
+                      <p className="text-gray-900 truncate">{alert.description}</p>
+                      <p className="text-xs text-gray-500">
+                        {new Date(alert.createdAt).toLocaleString()}
+                        {alert.transaction && ` · ${alert.transaction.number}`}
+                      </p>
+                    </div>
+                    <div className="flex gap-2 flex-shrink-0">
+                      <Badge variant={severityVariants[alert.severity]}>{t(`compliance.severities.${alert.severity}`)}</Badge>
+                      <Badge variant="secondary">{t(`compliance.alertStatuses.${alert.status}`)}</Badge>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 uppercase tracking-wider mb-2">
+              {t('compliance.recentTransactions')}
+            </h3>
+            {profile.recentTransactions.length === 0 ? (
+              <p className="text-sm text-gray-500">{t('common.noData')}</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg max-h-60 overflow-y-auto">
+                {profile.recentTransactions.map(tx => (
+                  <li key={tx.uuid} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                    <Link to={`/transactions/${tx.uuid}`} className="text-primary-600 hover:text-primary-700">
+                      {tx.transactionNumber}
+                    </Link>
+                    <span className="text-gray-700">
+                      {formatAmount(tx.amountIn)} {tx.currencyIn} → {formatAmount(tx.amountOut)} {tx.currencyOut}
+                    </span>
+                    <span className="text-xs text-gray-500">{new Date(tx.transactionDate).toLocaleString()}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {profile.scoreHistory.length > 0 && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 uppercase tracking-wider mb-2">
+                {t('compliance.scoreHistory')}
+              </h3>
+              <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg max-h-60 overflow-y-auto">
+                {profile.scoreHistory.map((entry, index) => (
+                  <li key={index} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                    <div className="min-w-0">
+                      <p className="text-gray-900">
+                        {entry.previousScore} → <span className="font-medium">{entry.riskScore}</span>
+                        {entry.previousLevel !== entry.riskLevel && (
+                          <span className="ml-2">
+                            <Badge variant={riskLevelVariants[entry.riskLevel] || 'secondary'}>
+                              {t(`compliance.riskLevels.${entry.riskLevel}`)}
+                            </Badge>
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-500 truncate">{entry.reason}</p>
+                    </div>
+                    <div className="text-right flex-shrink-0">
+                      <p className="text-xs text-gray-700">
+                        {t(`compliance.scoreSources.${entry.source}`)}
+                        {entry.triggeredBy && ` · ${entry.triggeredBy}`}
+                      </p>
+                      <p className="text-xs text-gray-500">{new Date(entry.createdAt).toLocaleString()}</p>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="flex items-center justify-end gap-3 pt-4 border-t border-gray-200">
+            {hasPermission('compliance.review') && (
+              <Button variant="secondary" onClick={handleRecalculate} loading={recalculating}>
+                <ArrowPathIcon className="h-4 w-4 mr-2 rtl:mr-0 rtl:ml-2" />
+                {t('compliance.recalculate')}
+              </Button>
+            )}
+            <Button variant="secondary" onClick={() => onShowAlerts(profile.customer)}>
+              {t('compliance.showCustomerAlerts')}
+            </Button>
+            {onDraftSAR && (
+              <Button onClick={handleDraftSAR}>
+                {t('compliance.draftSAR')}
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default CustomerRiskModal;
@@ -0,0 +1,183 @@
+import React, { useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useForm } from 'react-hook-form';
+import { Modal, Input, Select, Button } from '../common';
+
+export const RULE_TYPES = ['transaction_limit', 'daily_limit', 'velocity', 'id_required'];
+export const RULE_ACTIONS = ['flag', 'require_approval', 'require_id', 'block'];
+
+const emptyRule = {
+  name: '',
+  description: '',
+  ruleType: 'transaction_limit',
+  currencyId: '',
+  thresholdAmount: '',
+  thresholdCount: '',
+  timeWindowHours: '24',
+  action: 'flag',
+  priority: '0'
+};
+
+const toNumberOrUndefined = (value) => (value === '' || value === null || value === undefined ? undefined : Number(value));
+
+/**
+ * Create or edit a compliance rule. Velocity rules count transactions in a time
+ * window; the other types compare amounts against the threshold. The rule type
+ * and currency are fixed once the rule exists.
+ */
+const RuleForm = ({ isOpen, onClose, onSubmit, rule, currencies, loading }) => {
+  const { t } = useTranslation();
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors }
+  } = useForm({ defaultValues: emptyRule });
+
+  useEffect(() => {
+    if (rule) {
+      reset({
+        name: rule.name,
+        description: rule.description || '',
+        ruleType: rule.ruleType,
+        currencyId: '',
+        thresholdAmount: rule.thresholdAmount ?? '',
+        thresholdCount: rule.thresholdCount ?? '',
+        timeWindowHours: rule.timeWindowHours ?? '24',
+        action: rule.action,
+        priority: rule.priority ?? '0'
+      });
+    } else {
+      reset(emptyRule);
+    }
+  }, [rule, reset, isOpen]);
+
+  const ruleType = watch('ruleType');
+  const isVelocity = ruleType === 'velocity';
+
+  const handleFormSubmit = (data) => {
+    const payload = {
+      name: data.name.trim(),
+      description: data.description.trim() || undefined,
+      thresholdAmount: isVelocity ? undefined : toNumberOrUndefined(data.thresholdAmount),
+      thresholdCount: isVelocity ? toNumberOrUndefined(data.thresholdCount) : undefined,
+      timeWindowHours: isVelocity ? toNumberOrUndefined(data.timeWindowHours) : undefined,
+      action: data.action,
+      priority: toNumberOrUndefined(data.priority)
+    };
+
+    if (!rule) {
+      payload.ruleType = data.ruleType;
+      payload.currencyId = data.currencyId ? parseInt(data.currencyId, 10) : undefined;
+    }
+
+    onSubmit(payload);
+  };
+
+  const ruleTypeOptions = RULE_TYPES.map(type => ({ value: type, label: t(`compliance.ruleTypes.${type}`) }));
+  const actionOptions = RULE_ACTIONS.map(action => ({ value: action, label: t(`compliance.actions.${action}`) }));
+  const currencyOptions = [
+    { value: '', label: t('compliance.allCurrencies') },
+    ...currencies.filter(c => c.isActive).map(c => ({ value: c.id.toString(), label: c.code }))
+  ];
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={rule ? t('compliance.editRule') : t('compliance.newRule')}
+      size="lg"
+    >
+      <form onSubmit={handleSubmit(handleFormSubmit)} className="space-y-4">
+        <Input
+          label={t('common.name')}
+          {...register('name', {
+            required: t('validation.required'),
+            minLength: { value: 2, message: t('validation.minLength', { min: 2 }) },
+            maxLength: { value: 100, message: t('validation.maxLength', { max: 100 }) }
+          })}
+          error={errors.name?.message}
+        />
+        <Input
+          label={t('compliance.description')}
+          {...register('description', {
+            maxLength: { value: 500, message: t('validation.maxLength', { max: 500 }) }
+          })}
+          error={errors.description?.message}
+        />
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <Select
+            label={t('compliance.ruleType')}
+            options={ruleTypeOptions}
+            disabled={Boolean(rule)}
+            {...register('ruleType')}
+          />
+          <Select
+            label={t('compliance.currency')}
+            options={rule ? [{ value: '', label: rule.currency }] : currencyOptions}
+            disabled={Boolean(rule)}
+            {...register('currencyId')}
+          />
+        </div>
+
+        {isVelocity ? (
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <Input
+              label={t('compliance.thresholdCount')}
+              type="number"
+              min="1"
+              {...register('thresholdCount', { required: t('validation.required') })}
+              error={errors.thresholdCount?.message}
+            />
+            <Input
+              label={t('compliance.timeWindowHours')}
+              type="number"
+              min="1"
+              max="720"
+              {...register('timeWindowHours', { required: t('validation.required') })}
+              error={errors.timeWindowHours?.message}
+            />
+          </div>
+        ) : (
+          <Input
+            label={t('compliance.thresholdAmount')}
+            type="number"
+            step="0.01"
+            min="0"
+            {...register('thresholdAmount', { required: t('validation.required') })}
+            error={errors.thresholdAmount?.message}
+          />
+        )}
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <Select
+            label={t('compliance.action')}
+            options={actionOptions}
+            {...register('action')}
+          />
+          <Input
+            label={t('compliance.priority')}
+            type="number"
+            min="0"
+            {...register('priority')}
+          />
+        </div>
+        <p className="text-sm text-gray-500">{t('compliance.actionHelp')}</p>
+
+        <div className="flex items-center justify-end gap-3 pt-4 border-t border-gray-200">
+          <Button type="button" variant="secondary" onClick={onClose} disabled={loading}>
+            {t('common.cancel')}
+          </Button>
+          <Button type="submit" loading={loading}>
+            {t('common.save')}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default RuleForm;
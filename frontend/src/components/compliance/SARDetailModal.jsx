@@ -0,0 +1,484 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import {
+  ArrowDownTrayIcon,
+  PaperClipIcon,
+  PencilIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import { useAuth } from '../../contexts/AuthContext';
+import { Modal, Input, Select, Badge, Button, Loading, ConfirmDialog } from '../common';
+import complianceService from '../../services/complianceService';
+import { severityVariants, riskLevelVariants, sarStatusVariants } from './badgeVariants';
+
+export const ATTACHMENT_CATEGORIES = ['id_scan', 'cctv', 'statement', 'correspondence', 'other'];
+const EXPORT_FORMATS = ['pdf', 'xml', 'json'];
+
+const formatAmount = (amount) => new Intl.NumberFormat('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+}).format(amount || 0);
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+const downloadFile = (response, filename) => {
+  const blob = new Blob([response.data], { type: response.headers['content-type'] });
+  const link = document.createElement('a');
+  link.href = window.URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  window.URL.revokeObjectURL(link.href);
+};
+
+/**
+ * One suspicious activity report: what it covers, its supporting documents and how
+ * it moved through review. Drafts are edited and submitted here; reviewers take
+ * submitted reports into review, return them or sign them off. The filing package
+ * for the financial intelligence unit is exported as PDF narrative, XML or JSON.
+ */
+const SARDetailModal = ({ sarUuid, onClose, onEdit, onChange }) => {
+  const { t } = useTranslation();
+  const { hasPermission } = useAuth();
+  const canReview = hasPermission('compliance.review');
+  const canManage = hasPermission('compliance.manage');
+
+  const [sar, setSar] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  // return or sign-off, both of which need notes
+  const [pendingAction, setPendingAction] = useState(null);
+  const [decision, setDecision] = useState({ notes: '', outcome: 'filed', fiuReference: '' });
+  const [upload, setUpload] = useState({ file: null, category: 'id_scan', description: '' });
+  const [uploadKey, setUploadKey] = useState(0);
+  const [deleting, setDeleting] = useState(null);
+  const [exporting, setExporting] = useState(null);
+
+  const fetchSAR = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await complianceService.getSAR(sarUuid);
+      setSar(response.success ? response.data : null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setLoading(false);
+    }
+  }, [sarUuid, t]);
+
+  useEffect(() => {
+    setSar(null);
+    setPendingAction(null);
+    if (sarUuid) {
+      fetchSAR();
+    }
+  }, [sarUuid, fetchSAR]);
+
+  const changeStatus = async (action, data) => {
+    try {
+      setSaving(true);
+      const response = await complianceService.changeSARStatus(sarUuid, action, data);
+      if (response.success) {
+        toast.success(t(`compliance.sar.statusChanged.${action}`));
+        setPendingAction(null);
+        fetchSAR();
+        onChange();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openDecision = (action) => {
+    setDecision({ notes: '', outcome: 'filed', fiuReference: '' });
+    setPendingAction(action);
+  };
+
+  const handleDecision = (e) => {
+    e.preventDefault();
+    changeStatus(pendingAction, pendingAction === 'sign-off'
+      ? {
+        notes: decision.notes.trim(),
+        outcome: decision.outcome,
+        fiuReference: decision.outcome === 'filed' ? decision.fiuReference.trim() : ''
+      }
+      : { notes: decision.notes.trim() });
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await complianceService.uploadSARAttachment(sarUuid, upload.file, {
+        category: upload.category,
+        description: upload.description.trim()
+      });
+      if (response.success) {
+        toast.success(t('compliance.sar.attachmentAdded'));
+        setUpload({ file: null, category: 'id_scan', description: '' });
+        setUploadKey(k => k + 1);
+        fetchSAR();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      const response = await complianceService.downloadSARAttachment(sarUuid, attachment.uuid);
+      downloadFile(response, attachment.fileName);
+    } catch (error) {
+      toast.error(t('common.error'));
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      setSaving(true);
+      const response = await complianceService.deleteSARAttachment(sarUuid, deleting.uuid);
+      if (response.success) {
+        toast.success(t('compliance.sar.attachmentRemoved'));
+        setDeleting(null);
+        fetchSAR();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(format);
+      const response = await complianceService.exportSAR(sarUuid, format);
+      downloadFile(response, `sar-${sar.reportNumber || sar.uuid}.${format}`);
+    } catch (error) {
+      toast.error(t('common.error'));
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleEdit = () => {
+    onEdit({
+      customer: sar.customer,
+      alerts: sar.alerts,
+      transactions: sar.transactions,
+      sar
+    });
+  };
+
+  const isDraft = sar?.status === 'draft';
+  const notesValid = decision.notes.trim().length >= 3;
+
+  return (
+    <Modal
+      isOpen={Boolean(sarUuid)}
+      onClose={onClose}
+      title={sar ? t('compliance.sar.title', { number: sar.reportNumber || '-' }) : t('compliance.sars')}
+      size="xl"
+    >
+      {loading || !sar ? (
+        <div className="flex justify-center py-8">
+          <Loading />
+        </div>
+      ) : (
+        <div className="space-y-6">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="p-3 rounded-lg bg-gray-50">
+              <p className="text-xs text-gray-500">{t('common.status')}</p>
+              <Badge variant={sarStatusVariants[sar.status]}>{t(`compliance.sarStatuses.${sar.status}`)}</Badge>
+            </div>
+            <div className="p-3 rounded-lg bg-gray-50">
+              <p className="text-xs text-gray-500">{t('compliance.riskLevel')}</p>
+              <Badge variant={riskLevelVariants[sar.riskLevel]}>{t(`compliance.riskLevels.${sar.riskLevel}`)}</Badge>
+            </div>
+            <div className="p-3 rounded-lg bg-gray-50">
+              <p className="text-xs text-gray-500">{t('compliance.sar.suspicionType')}</p>
+              <p className="text-sm font-medium text-gray-900">{t(`compliance.sar.suspicionTypes.${sar.suspicionType}`)}</p>
+            </div>
+            <div className="p-3 rounded-lg bg-gray-50">
+              <p className="text-xs text-gray-500">{t('compliance.customer')}</p>
+              <p className="text-sm font-medium text-gray-900">{sar.customer?.name || t('compliance.noCustomer')}</p>
+              {sar.customer?.idNumber && <p className="text-xs text-gray-500">{sar.customer.idNumber}</p>}
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 uppercase tracking-wider mb-2">
+              {t('compliance.sarDescription')}
+            </h3>
+            <p className="text-sm text-gray-900 whitespace-pre-line">{sar.description}</p>
+            {(sar.activityFrom || sar.activityTo) && (
+              <p className="mt-2 text-xs text-gray-500">
+                {t('compliance.sar.activityPeriod', {
+                  from: sar.activityFrom ? sar.activityFrom.slice(0, 10) : '…',
+                  to: sar.activityTo ? sar.activityTo.slice(0, 10) : '…'
+                })}
+              </p>
+            )}
+            {sar.actionTaken && (
+              <p className="mt-2 text-sm text-gray-700">
+                <span className="font-medium">{t('compliance.sar.actionTaken')}:</span> {sar.actionTaken}
+              </p>
+            )}
+          </div>
+
+          {sar.status === 'closed' && (
+            <div className="p-3 rounded-lg border border-green-200 bg-green-50 text-sm">
+              <p className="font-medium text-green-800">
+                {t('compliance.sar.signedOffBy', { name: sar.reviewedBy, date: new Date(sar.reviewedAt).toLocaleString() })}
+              </p>
+              <p className="text-green-700">
+                {t(`compliance.sar.outcomes.${sar.outcome}`)}
+                {sar.fiuReference && ` · ${t('compliance.sar.fiuReference')}: ${sar.fiuReference}`}
+              </p>
+              {sar.reviewNotes && <p className="mt-1 text-green-700">{sar.reviewNotes}</p>}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 uppercase tracking-wider mb-2">
+                {t('compliance.linkedAlerts', { count: sar.alerts.length })}
+              </h3>
+              {sar.alerts.length === 0 ? (
+                <p className="text-sm text-gray-500">{t('compliance.noAlerts')}</p>
+              ) : (
+                <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg max-h-60 overflow-y-auto">
+                  {sar.alerts.map(alert => (
+                    <li key={alert.uuid} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                      <p className="text-gray-900 min-w-0 truncate" title={alert.description}>{alert.description}</p>
+                      <Badge variant={severityVariants[alert.severity]}>{t(`compliance.severities.${alert.severity}`)}</Badge>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 uppercase tracking-wider mb-2">
+                {t('compliance.linkedTransactions', { count: sar.transactions.length })}
+              </h3>
+              {sar.transactions.length === 0 ? (
+                <p className="text-sm text-gray-500">{t('common.noData')}</p>
+              ) : (
+                <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg max-h-60 overflow-y-auto">
+                  {sar.transactions.map(tx => (
+                    <li key={tx.uuid} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                      <Link to={`/transactions/${tx.uuid}`} className="text-primary-600 hover:text-primary-700">
+                        {tx.number}
+                      </Link>
+                      <span className="text-gray-700">
+                        {formatAmount(tx.amountIn)} {tx.currencyIn} → {formatAmount(tx.amountOut)} {tx.currencyOut}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 uppercase tracking-wider mb-2">
+              {t('compliance.sar.attachments')}
+            </h3>
+            {sar.attachments.length === 0 ? (
+              <p className="text-sm text-gray-500">{t('compliance.sar.noAttachments')}</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                {sar.attachments.map(attachment => (
+                  <li key={attachment.uuid} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                    <div className="min-w-0">
+                      <button
+                        type="button"
+                        onClick={() => handleDownload(attachment)}
+                        className="inline-flex items-center text-primary-600 hover:text-primary-700"
+                      >
+                        <PaperClipIcon className="h-4 w-4 mr-1 rtl:mr-0 rtl:ml-1 flex-shrink-0" />
+                        <span className="truncate">{attachment.fileName}</span>
+                      </button>
+                      <p className="text-xs text-gray-500">
+                        {t(`compliance.sar.categories.${attachment.category}`)} · {formatSize(attachment.sizeBytes)}
+                        {attachment.description && ` · ${attachment.description}`}
+                        {attachment.uploadedBy && ` · ${attachment.uploadedBy}`}
+                      </p>
+                    </div>
+                    {isDraft && canReview && (
+                      <button
+                        type="button"
+                        onClick={() => setDeleting(attachment)}
+                        className="p-1 text-gray-500 hover:text-red-600"
+                        title={t('common.delete')}
+                      >
+                        <TrashIcon className="h-5 w-5" />
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {canReview && sar.status !== 'closed' && (
+              <form onSubmit={handleUpload} className="mt-3 grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+                <input
+                  key={uploadKey}
+                  type="file"
+                  accept="image/*,.pdf,.txt"
+                  onChange={(e) => setUpload(prev => ({ ...prev, file: e.target.files[0] || null }))}
+                  className="block w-full text-sm text-gray-500 file:mr-4 rtl:file:mr-0 rtl:file:ml-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-primary-50 file:text-primary-700 hover:file:bg-primary-100"
+                />
+                <Select
+                  label={t('compliance.sar.category')}
+                  options={ATTACHMENT_CATEGORIES.map(value => ({ value, label: t(`compliance.sar.categories.${value}`) }))}
+                  value={upload.category}
+                  onChange={(e) => setUpload(prev => ({ ...prev, category: e.target.value }))}
+                />
+                <Input
+                  label={t('compliance.description')}
+                  value={upload.description}
+                  maxLength={500}
+                  placeholder={t('compliance.sar.attachmentDescriptionHelp')}
+                  onChange={(e) => setUpload(prev => ({ ...prev, description: e.target.value }))}
+                />
+                <Button type="submit" variant="secondary" loading={saving} disabled={!upload.file}>
+                  {t('compliance.sar.attach')}
+                </Button>
+              </form>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 uppercase tracking-wider mb-2">
+              {t('compliance.sar.history')}
+            </h3>
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg max-h-60 overflow-y-auto">
+              {sar.history.map((entry, index) => (
+                <li key={index} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                  <div className="min-w-0">
+                    <p className="text-gray-900">
+                      {t(`compliance.sar.actions.${entry.action}`)}
+                      {entry.changedBy && <span className="text-gray-500"> · {entry.changedBy}</span>}
+                    </p>
+                    {entry.notes && <p className="text-xs text-gray-500 whitespace-pre-line">{entry.notes}</p>}
+                  </div>
+                  <span className="text-xs text-gray-500 flex-shrink-0">{new Date(entry.createdAt).toLocaleString()}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {pendingAction && (
+            <form onSubmit={handleDecision} className="space-y-3 p-4 rounded-lg border border-gray-200 bg-gray-50">
+              <h3 className="text-sm font-medium text-gray-900">{t(`compliance.sar.decisionTitles.${pendingAction}`)}</h3>
+              {pendingAction === 'sign-off' && (
+                <>
+                  <p className="text-xs text-gray-500">{t('compliance.sar.signOffHelp')}</p>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <Select
+                      label={t('compliance.sar.outcome')}
+                      options={['filed', 'not_filed'].map(value => ({ value, label: t(`compliance.sar.outcomes.${value}`) }))}
+                      value={decision.outcome}
+                      onChange={(e) => setDecision(prev => ({ ...prev, outcome: e.target.value }))}
+                    />
+                    <Input
+                      label={t('compliance.sar.fiuReference')}
+                      value={decision.fiuReference}
+                      maxLength={100}
+                      disabled={decision.outcome !== 'filed'}
+                      onChange={(e) => setDecision(prev => ({ ...prev, fiuReference: e.target.value }))}
+                    />
+                  </div>
+                </>
+              )}
+              <textarea
+                className="input-field"
+                rows={3}
+                maxLength={2000}
+                value={decision.notes}
+                onChange={(e) => setDecision(prev => ({ ...prev, notes: e.target.value }))}
+                placeholder={t(`compliance.sar.decisionNotes.${pendingAction}`)}
+              />
+              <div className="flex justify-end gap-3">
+                <Button type="button" variant="secondary" onClick={() => setPendingAction(null)} disabled={saving}>
+                  {t('common.cancel')}
+                </Button>
+                <Button type="submit" variant={pendingAction === 'return' ? 'danger' : 'primary'} loading={saving} disabled={!notesValid}>
+                  {t(`compliance.sar.transitions.${pendingAction}`)}
+                </Button>
+              </div>
+            </form>
+          )}
+
+          <div className="flex flex-wrap items-center justify-between gap-3 pt-4 border-t border-gray-200">
+            <div className="flex flex-wrap gap-2">
+              {canReview && EXPORT_FORMATS.map(format => (
+                <Button
+                  key={format}
+                  size="sm"
+                  variant="secondary"
+                  onClick={() => handleExport(format)}
+                  loading={exporting === format}
+                  disabled={Boolean(exporting)}
+                >
+                  <ArrowDownTrayIcon className="h-4 w-4 mr-1 rtl:mr-0 rtl:ml-1" />
+                  {t(`compliance.sar.exportFormats.${format}`)}
+                </Button>
+              ))}
+            </div>
+            {!pendingAction && (
+              <div className="flex flex-wrap gap-2">
+                {isDraft && canReview && (
+                  <>
+                    <Button size="sm" variant="secondary" onClick={handleEdit}>
+                      <PencilIcon className="h-4 w-4 mr-1 rtl:mr-0 rtl:ml-1" />
+                      {t('common.edit')}
+                    </Button>
+                    <Button size="sm" onClick={() => changeStatus('submit')} loading={saving}>
+                      {t('compliance.sar.transitions.submit')}
+                    </Button>
+                  </>
+                )}
+                {canManage && (sar.status === 'submitted' || sar.status === 'under_review') && (
+                  <Button size="sm" variant="danger" onClick={() => openDecision('return')}>
+                    {t('compliance.sar.transitions.return')}
+                  </Button>
+                )}
+                {canManage && sar.status === 'submitted' && (
+                  <Button size="sm" onClick={() => changeStatus('start-review')} loading={saving}>
+                    {t('compliance.sar.transitions.start-review')}
+                  </Button>
+                )}
+                {canManage && sar.status === 'under_review' && (
+                  <Button size="sm" onClick={() => openDecision('sign-off')}>
+                    {t('compliance.sar.transitions.sign-off')}
+                  </Button>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      <ConfirmDialog
+        isOpen={Boolean(deleting)}
+        onClose={() => setDeleting(null)}
+        onConfirm={handleDelete}
+        title={t('compliance.sar.removeAttachment')}
+        message={deleting && t('compliance.sar.removeAttachmentMessage', { name: deleting.fileName })}
+        confirmText={t('common.delete')}
+        loading={saving}
+      />
+    </Modal>
+  );
+};
+
+export default SARDetailModal;
@@ -0,0 +1,264 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import { Modal, Input, Select, Button, Loading } from '../common';
+import complianceService from '../../services/complianceService';
+
+export const SUSPICION_TYPES = ['structuring', 'sanctions', 'fraud', 'terrorist_financing', 'identity', 'unusual_activity', 'other'];
+
+// Suspicion a new report starts from, going by the alerts it was drafted from
+// (queue alerts carry alertType, risk profile alerts type)
+const suggestSuspicionType = (alerts) => {
+  const types = alerts.map(a => a.alertType || a.type);
+  if (types.includes('suspicious_pattern')) return 'structuring';
+  if (types.includes('watchlist_match')) return 'sanctions';
+  return 'other';
+};
+
+// Merge lists by uuid, keeping the first occurrence
+const mergeByUuid = (...lists) => {
+  const seen = new Set();
+  return lists.flat().filter(item => {
+    if (seen.has(item.uuid)) return false;
+    seen.add(item.uuid);
+    return true;
+  });
+};
+
+/**
+ * Draft a suspicious activity report. The alerts and transactions it was started
+ * from are preselected; for a customer their other recent alerts and
+ * transactions can be added as well. A draft carrying `sar` edits that report.
+ */
+const SARForm = ({ draft, onClose, onSubmit, loading }) => {
+  const { t } = useTranslation();
+  const [alerts, setAlerts] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [selectedAlerts, setSelectedAlerts] = useState([]);
+  const [selectedTransactions, setSelectedTransactions] = useState([]);
+  const [riskLevel, setRiskLevel] = useState('medium');
+  const [description, setDescription] = useState('');
+  const [details, setDetails] = useState({ suspicionType: 'other', activityFrom: '', activityTo: '', actionTaken: '' });
+  const [loadingProfile, setLoadingProfile] = useState(false);
+
+  useEffect(() => {
+    if (!draft) {
+      return;
+    }
+
+    const draftTransactions = draft.transactions.map(tx => ({ uuid: tx.uuid, label: tx.number }));
+    setAlerts(draft.alerts);
+    setTransactions(draftTransactions);
+    if (draft.sar) {
+      setSelectedAlerts(draft.sar.alertUuids);
+      setSelectedTransactions(draft.sar.transactionUuids);
+      setRiskLevel(draft.sar.riskLevel);
+      setDescription(draft.sar.description);
+      setDetails({
+        suspicionType: draft.sar.suspicionType,
+        activityFrom: draft.sar.activityFrom ? draft.sar.activityFrom.slice(0, 10) : '',
+        activityTo: draft.sar.activityTo ? draft.sar.activityTo.slice(0, 10) : '',
+        actionTaken: draft.sar.actionTaken || ''
+      });
+    } else {
+      setSelectedAlerts(draft.alerts.map(a => a.uuid));
+      setSelectedTransactions(draftTransactions.map(tx => tx.uuid));
+      setRiskLevel(draft.alerts.some(a => a.severity === 'high' || a.severity === 'critical') ? 'high' : 'medium');
+      setDescription('');
+      setDetails({ suspicionType: suggestSuspicionType(draft.alerts), activityFrom: '', activityTo: '', actionTaken: '' });
+    }
+
+    if (!draft.customer) {
+      return;
+    }
+
+    setLoadingProfile(true);
+    complianceService.getCustomerRisk(draft.customer.uuid)
+      .then((response) => {
+        if (!response.success) return;
+        setAlerts(prev => mergeByUuid(prev, response.data.recentAlerts));
+        setTransactions(prev => mergeByUuid(prev, response.data.recentTransactions.map(tx => ({
+          uuid: tx.uuid,
+          label: `${tx.transactionNumber} · ${tx.amountIn} ${tx.currencyIn} → ${tx.amountOut} ${tx.currencyOut}`
+        }))));
+      })
+      .catch((error) => toast.error(error.response?.data?.message || t('common.error')))
+      .finally(() => setLoadingProfile(false));
+  }, [draft, t]);
+
+  const toggle = (setter) => (uuid) => {
+    setter(prev => (prev.includes(uuid) ? prev.filter(id => id !== uuid) : [...prev, uuid]));
+  };
+  const toggleAlert = toggle(setSelectedAlerts);
+  const toggleTransaction = toggle(setSelectedTransactions);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({
+      customerUuid: draft.customer?.uuid,
+      alertUuids: selectedAlerts,
+      transactionUuids: selectedTransactions,
+      riskLevel,
+      description: description.trim(),
+      suspicionType: details.suspicionType,
+      activityFrom: details.activityFrom || null,
+      activityTo: details.activityTo || null,
+      actionTaken: details.actionTaken.trim() || null
+    });
+  };
+
+  const handleDetailChange = (key, value) => {
+    setDetails(prev => ({ ...prev, [key]: value }));
+  };
+
+  const riskLevelOptions = ['low', 'medium', 'high'].map(value => ({
+    value,
+    label: t(`compliance.riskLevels.${value}`)
+  }));
+
+  const suspicionTypeOptions = SUSPICION_TYPES.map(value => ({
+    value,
+    label: t(`compliance.sar.suspicionTypes.${value}`)
+  }));
+
+  const descriptionValid = description.trim().length >= 10;
+  const periodValid = !details.activityFrom || !details.activityTo || details.activityTo >= details.activityFrom;
+
+  return (
+    <Modal
+      isOpen={Boolean(draft)}
+      onClose={onClose}
+      title={draft?.sar ? t('compliance.sar.editTitle', { number: draft.sar.reportNumber }) : t('compliance.draftSAR')}
+      size="xl"
+    >
+      {draft && (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <p className="block text-sm font-medium text-gray-700 mb-1">{t('compliance.customer')}</p>
+              <p className="text-sm text-gray-900">{draft.customer?.name || t('compliance.noCustomer')}</p>
+            </div>
+            <Select
+              label={t('compliance.riskLevel')}
+              options={riskLevelOptions}
+              value={riskLevel}
+              onChange={(e) => setRiskLevel(e.target.value)}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <Select
+              label={t('compliance.sar.suspicionType')}
+              options={suspicionTypeOptions}
+              value={details.suspicionType}
+              onChange={(e) => handleDetailChange('suspicionType', e.target.value)}
+            />
+            <Input
+              type="date"
+              label={t('compliance.sar.activityFrom')}
+              value={details.activityFrom}
+              onChange={(e) => handleDetailChange('activityFrom', e.target.value)}
+            />
+            <Input
+              type="date"
+              label={t('compliance.sar.activityTo')}
+              value={details.activityTo}
+              min={details.activityFrom || undefined}
+              onChange={(e) => handleDetailChange('activityTo', e.target.value)}
+              error={periodValid ? undefined : t('compliance.sar.periodInvalid')}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{t('compliance.sarDescription')}</label>
+            <textarea
+              className="input-field"
+              rows={5}
+              maxLength={5000}
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              placeholder={t('compliance.sarDescriptionHelp')}
+            />
+            {description && !descriptionValid && (
+              <p className="mt-1 text-sm text-red-600">{t('validation.minLength', { min: 10 })}</p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{t('compliance.sar.actionTaken')}</label>
+            <textarea
+              className="input-field"
+              rows={2}
+              maxLength={2000}
+              value={details.actionTaken}
+              onChange={(e) => handleDetailChange('actionTaken', e.target.value)}
+              placeholder={t('compliance.sar.actionTakenHelp')}
+            />
+          </div>
+
+          {loadingProfile && (
+            <div className="flex justify-center py-2">
+              <Loading />
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">
+                {t('compliance.linkedAlerts', { count: selectedAlerts.length })}
+              </h3>
+              <div className="border border-gray-200 rounded-lg max-h-64 overflow-y-auto divide-y divide-gray-100">
+                {alerts.length === 0 && (
+                  <p className="px-3 py-2 text-sm text-gray-500">{t('compliance.noAlerts')}</p>
+                )}
+                {alerts.map(alert => (
+                  <label key={alert.uuid} className="flex items-start gap-2 px-3 py-2 text-sm cursor-pointer hover:bg-gray-50">
+                    <input
+                      type="checkbox"
+                      className="mt-0.5 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                      checked={selectedAlerts.includes(alert.uuid)}
+                      onChange={() => toggleAlert(alert.uuid)}
+                    />
+                    <span className="text-gray-700">{alert.description}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">
+                {t('compliance.linkedTransactions', { count: selectedTransactions.length })}
+              </h3>
+              <div className="border border-gray-200 rounded-lg max-h-64 overflow-y-auto divide-y divide-gray-100">
+                {transactions.length === 0 && (
+                  <p className="px-3 py-2 text-sm text-gray-500">{t('common.noData')}</p>
+                )}
+                {transactions.map(tx => (
+                  <label key={tx.uuid} className="flex items-start gap-2 px-3 py-2 text-sm cursor-pointer hover:bg-gray-50">
+                    <input
+                      type="checkbox"
+                      className="mt-0.5 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                      checked={selectedTransactions.includes(tx.uuid)}
+                      onChange={() => toggleTransaction(tx.uuid)}
+                    />
+                    <span className="text-gray-700">{tx.label}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="flex items-center justify-end gap-3 pt-4 border-t border-gray-200">
+            <Button type="button" variant="secondary" onClick={onClose} disabled={loading}>
+              {t('common.cancel')}
+            </Button>
+            <Button type="submit" loading={loading} disabled={!descriptionValid || !periodValid}>
+              {t('compliance.saveDraft')}
+            </Button>
+          </div>
+        </form>
+      )}
+    </Modal>
+  );
+};
+
+export default SARForm;
@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Modal, Input, Select, Button } from '../common';
+
+export const LIST_TYPES = ['sanctions', 'pep', 'internal'];
+
+/**
+ * Upload a sanctions/PEP list (CSV or XML). Given a list, the upload replaces
+ * its entries instead of creating a new list.
+ */
+const WatchlistImportModal = ({ isOpen, onClose, onSubmit, watchlist, result, loading }) => {
+  const { t } = useTranslation();
+  const [file, setFile] = useState(null);
+  const [fields, setFields] = useState({ name: '', source: '', listType: 'sanctions' });
+
+  useEffect(() => {
+    if (isOpen) {
+      setFile(null);
+      setFields({ name: '', source: '', listType: 'sanctions' });
+    }
+  }, [isOpen]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(file, watchlist ? { watchlistUuid: watchlist.uuid } : fields);
+  };
+
+  const handleChange = (key, value) => {
+    setFields(prev => ({ ...prev, [key]: value }));
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={watchlist ? t('compliance.watchlist.replaceList', { name: watchlist.name }) : t('compliance.watchlist.importList')}
+    >
+      {result ? (
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div className="bg-green-50 p-3 rounded">
+              <span className="block text-green-800 font-bold text-xl">{result.imported}</span>
+              <span className="text-green-600 text-sm">{t('compliance.watchlist.imported')}</span>
+            </div>
+            <div className="bg-red-50 p-3 rounded">
+              <span className="block text-red-800 font-bold text-xl">{result.skipped}</span>
+              <span className="text-red-600 text-sm">{t('compliance.watchlist.skipped')}</span>
+            </div>
+          </div>
+          {result.errors.length > 0 && (
+            <div className="max-h-40 overflow-y-auto border rounded p-2 text-sm bg-gray-50">
+              <ul className="list-disc pl-4 rtl:pl-0 rtl:pr-4 text-red-600">
+                {result.errors.map((err, idx) => (
+                  <li key={idx}>{t('compliance.watchlist.rowError', { row: err.row, message: err.message })}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          <div className="flex justify-end pt-4 border-t border-gray-200">
+            <Button onClick={onClose}>{t('common.close')}</Button>
+          </div>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {!watchlist && (
+            <>
+              <Input
+                label={t('common.name')}
+                value={fields.name}
+                maxLength={150}
+                required
+                onChange={(e) => handleChange('name', e.target.value)}
+              />
+              <div className="grid grid-cols-2 gap-4">
+                <Input
+                  label={t('compliance.watchlist.source')}
+                  value={fields.source}
+                  maxLength={150}
+                  placeholder={t('compliance.watchlist.sourcePlaceholder')}
+                  onChange={(e) => handleChange('source', e.target.value)}
+                />
+                <Select
+                  label={t('compliance.watchlist.listType')}
+                  options={LIST_TYPES.map(value => ({ value, label: t(`compliance.watchlist.listTypes.${value}`) }))}
+                  value={fields.listType}
+                  onChange={(e) => handleChange('listType', e.target.value)}
+                />
+              </div>
+            </>
+          )}
+          <div>
+            <input
+              type="file"
+              accept=".csv,.xml"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              className="block w-full text-sm text-gray-500 file:mr-4 rtl:file:mr-0 rtl:file:ml-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-primary-50 file:text-primary-700 hover:file:bg-primary-100"
+            />
+            <p className="mt-2 text-xs text-gray-500">{t('compliance.watchlist.fileHelp')}</p>
+          </div>
+
+          <div className="flex items-center justify-end gap-3 pt-4 border-t border-gray-200">
+            <Button type="button" variant="secondary" onClick={onClose} disabled={loading}>
+              {t('common.cancel')}
+            </Button>
+            <Button type="submit" loading={loading} disabled={!file}>
+              {t('compliance.watchlist.upload')}
+            </Button>
+          </div>
+        </form>
+      )}
+    </Modal>
+  );
+};
+
+export default WatchlistImportModal;
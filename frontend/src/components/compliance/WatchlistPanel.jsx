@@ -0,0 +1,374 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import { ArrowUpTrayIcon, ArrowPathIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { Card, Table, Pagination, Select, Badge, Button, ConfirmDialog } from '../common';
+import watchlistService from '../../services/watchlistService';
+import WatchlistImportModal from './WatchlistImportModal';
+
+const MATCH_STATUSES = ['pending', 'cleared', 'confirmed'];
+
+const matchStatusVariants = {
+  pending: 'warning',
+  cleared: 'success',
+  confirmed: 'danger'
+};
+
+/**
+ * Screening matches awaiting a decision and the imported lists they come from.
+ * A pending match holds the customer's transactions until it is cleared.
+ */
+const WatchlistPanel = ({ onOpenCustomer, canReview, canManage, onChange }) => {
+  const { t } = useTranslation();
+
+  const [matches, setMatches] = useState([]);
+  const [loadingMatches, setLoadingMatches] = useState(true);
+  const [matchStatus, setMatchStatus] = useState('pending');
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, totalPages: 1 });
+  // { match, decision } while the clear/confirm dialog is open
+  const [reviewing, setReviewing] = useState(null);
+
+  const [lists, setLists] = useState([]);
+  const [loadingLists, setLoadingLists] = useState(true);
+  const [importing, setImporting] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchMatches = useCallback(async () => {
+    setLoadingMatches(true);
+    try {
+      const params = { page: pagination.page, limit: pagination.limit };
+      if (matchStatus) params.status = matchStatus;
+
+      const response = await watchlistService.getMatches(params);
+      if (response.success) {
+        setMatches(response.data);
+        setPagination(prev => ({ ...prev, ...response.pagination }));
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setLoadingMatches(false);
+    }
+  }, [pagination.page, pagination.limit, matchStatus, t]);
+
+  const fetchLists = useCallback(async () => {
+    setLoadingLists(true);
+    try {
+      const response = await watchlistService.getWatchlists();
+      if (response.success) {
+        setLists(response.data);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setLoadingLists(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    fetchMatches();
+  }, [fetchMatches]);
+
+  useEffect(() => {
+    fetchLists();
+  }, [fetchLists]);
+
+  const handleReview = async (notes) => {
+    try {
+      setSaving(true);
+      const response = await watchlistService.reviewMatch(reviewing.match.uuid, reviewing.decision, notes);
+      if (response.success) {
+        toast.success(t(reviewing.decision === 'cleared' ? 'compliance.watchlist.matchCleared' : 'compliance.watchlist.matchConfirmed'));
+        setReviewing(null);
+        fetchMatches();
+        onChange?.();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openImport = (list = null) => {
+    setImportResult(null);
+    setImporting({ list });
+  };
+
+  const handleImport = async (file, fields) => {
+    try {
+      setSaving(true);
+      const response = await watchlistService.importWatchlist(file, fields);
+      if (response.success) {
+        setImportResult(response.data);
+        fetchLists();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (list) => {
+    try {
+      const response = await watchlistService.setActive(list.uuid, !list.isActive);
+      if (response.success) {
+        toast.success(response.message);
+        fetchLists();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      setSaving(true);
+      const response = await watchlistService.deleteWatchlist(deleting.uuid);
+      if (response.success) {
+        toast.success(t('compliance.watchlist.listDeleted'));
+        setDeleting(null);
+        fetchLists();
+        fetchMatches();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const matchColumns = [
+    {
+      header: t('compliance.createdAt'),
+      accessor: 'createdAt',
+      render: (value, row) => (
+        <div>
+          <p className="text-sm text-gray-600">{new Date(value).toLocaleString()}</p>
+          <p className="text-xs text-gray-500">{t(`compliance.watchlist.sources.${row.source}`)}</p>
+        </div>
+      )
+    },
+    {
+      header: t('compliance.watchlist.screenedName'),
+      accessor: 'screenedName',
+      render: (value, row) => (row.customer ? (
+        <button onClick={() => onOpenCustomer(row.customer.uuid)} className="text-primary-600 hover:text-primary-700 text-sm">
+          {row.customer.name}
+        </button>
+      ) : (
+        <div>
+          <p className="text-sm text-gray-900">{value}</p>
+          <p className="text-xs text-gray-500">{t('compliance.watchlist.walkIn')}</p>
+        </div>
+      ))
+    },
+    {
+      header: t('compliance.watchlist.listedAs'),
+      accessor: 'entry',
+      render: (entry) => (
+        <div>
+          <p className="text-sm text-gray-900">{entry.fullName}</p>
+          <p className="text-xs text-gray-500">
+            {entry.list}
+            {entry.externalId && ` · ${entry.externalId}`}
+            {entry.dateOfBirth && ` · ${entry.dateOfBirth}`}
+          </p>
+        </div>
+      )
+    },
+    {
+      header: t('compliance.watchlist.score'),
+      accessor: 'score',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium text-gray-900">{value}</p>
+          <p className="text-xs text-gray-500">
+            {row.matchedOn.map(field => t(`compliance.watchlist.matchedOn.${field}`)).join(', ')}
+          </p>
+        </div>
+      )
+    },
+    {
+      header: t('common.status'),
+      accessor: 'status',
+      render: (value, row) => (
+        <div>
+          <Badge variant={matchStatusVariants[value]}>{t(`compliance.watchlist.matchStatuses.${value}`)}</Badge>
+          {row.reviewedBy && (
+            <p className="text-xs text-gray-500 mt-1" title={row.reviewNotes || ''}>{row.reviewedBy}</p>
+          )}
+        </div>
+      )
+    },
+    ...(canReview ? [{
+      header: t('common.actions'),
+      accessor: 'uuid',
+      render: (uuid, row) => (row.status === 'pending' ? (
+        <div className="flex items-center gap-2">
+          <Button size="sm" variant="secondary" onClick={() => setReviewing({ match: row, decision: 'cleared' })}>
+            {t('compliance.watchlist.clear')}
+          </Button>
+          <Button size="sm" variant="danger" onClick={() => setReviewing({ match: row, decision: 'confirmed' })}>
+            {t('compliance.watchlist.confirm')}
+          </Button>
+        </div>
+      ) : null)
+    }] : [])
+  ];
+
+  const listColumns = [
+    {
+      header: t('common.name'),
+      accessor: 'name',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium text-gray-900">{value}</p>
+          {row.source && <p className="text-xs text-gray-500">{row.source}</p>}
+        </div>
+      )
+    },
+    {
+      header: t('compliance.watchlist.listType'),
+      accessor: 'listType',
+      render: (value) => t(`compliance.watchlist.listTypes.${value}`)
+    },
+    {
+      header: t('compliance.watchlist.entries'),
+      accessor: 'entryCount',
+      render: (value) => Number(value).toLocaleString()
+    },
+    {
+      header: t('compliance.watchlist.importedAt'),
+      accessor: 'importedAt',
+      render: (value, row) => (
+        <div>
+          <p className="text-sm text-gray-600">{value ? new Date(value).toLocaleString() : '-'}</p>
+          {row.importedBy && <p className="text-xs text-gray-500">{row.importedBy}</p>}
+        </div>
+      )
+    },
+    {
+      header: t('common.status'),
+      accessor: 'isActive',
+      render: (value, row) => (canManage ? (
+        <button
+          onClick={() => handleToggle(row)}
+          className={`px-2 py-1 text-xs rounded ${value
+            ? 'bg-green-100 text-green-700 hover:bg-green-200'
+            : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+        >
+          {value ? t('common.active') : t('common.inactive')}
+        </button>
+      ) : (
+        <Badge variant={value ? 'success' : 'secondary'}>
+          {value ? t('common.active') : t('common.inactive')}
+        </Badge>
+      ))
+    },
+    ...(canManage ? [{
+      header: t('common.actions'),
+      accessor: 'uuid',
+      render: (uuid, row) => (
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => openImport(row)}
+            className="p-1 text-gray-500 hover:text-primary-600"
+            title={t('compliance.watchlist.replace')}
+          >
+            <ArrowPathIcon className="h-5 w-5" />
+          </button>
+          <button
+            onClick={() => setDeleting(row)}
+            className="p-1 text-gray-500 hover:text-red-600"
+            title={t('common.delete')}
+          >
+            <TrashIcon className="h-5 w-5" />
+          </button>
+        </div>
+      )
+    }] : [])
+  ];
+
+  return (
+    <div className="space-y-6">
+      <Card title={t('compliance.watchlist.matches')}>
+        <p className="text-sm text-gray-500 mb-4">{t('compliance.watchlist.matchesHelp')}</p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+          <Select
+            label={t('common.status')}
+            options={MATCH_STATUSES.map(value => ({ value, label: t(`compliance.watchlist.matchStatuses.${value}`) }))}
+            placeholder={t('common.all')}
+            value={matchStatus}
+            onChange={(e) => {
+              setMatchStatus(e.target.value);
+              setPagination(prev => ({ ...prev, page: 1 }));
+            }}
+          />
+        </div>
+        <Table columns={matchColumns} data={matches} loading={loadingMatches} emptyMessage={t('compliance.watchlist.noMatches')} />
+        {pagination.totalPages > 1 && (
+          <Pagination
+            page={pagination.page}
+            totalPages={pagination.totalPages}
+            onPageChange={(page) => setPagination(prev => ({ ...prev, page }))}
+          />
+        )}
+      </Card>
+
+      <Card
+        title={t('compliance.watchlist.lists')}
+        action={canManage && (
+          <Button size="sm" onClick={() => openImport()}>
+            <ArrowUpTrayIcon className="h-4 w-4 mr-1 rtl:mr-0 rtl:ml-1" />
+            {t('compliance.watchlist.importList')}
+          </Button>
+        )}
+      >
+        <Table columns={listColumns} data={lists} loading={loadingLists} emptyMessage={t('compliance.watchlist.noLists')} />
+      </Card>
+
+      <WatchlistImportModal
+        isOpen={Boolean(importing)}
+        onClose={() => setImporting(null)}
+        onSubmit={handleImport}
+        watchlist={importing?.list}
+        result={importResult}
+        loading={saving}
+      />
+
+      <ConfirmDialog
+        isOpen={Boolean(reviewing)}
+        onClose={() => setReviewing(null)}
+        onConfirm={handleReview}
+        title={t(reviewing?.decision === 'confirmed' ? 'compliance.watchlist.confirmTitle' : 'compliance.watchlist.clearTitle')}
+        message={reviewing && t(
+          reviewing.decision === 'confirmed' ? 'compliance.watchlist.confirmMessage' : 'compliance.watchlist.clearMessage',
+          { name: reviewing.match.customer?.name || reviewing.match.screenedName, listed: reviewing.match.entry.fullName }
+        )}
+        confirmText={t(reviewing?.decision === 'confirmed' ? 'compliance.watchlist.confirm' : 'compliance.watchlist.clear')}
+        confirmVariant={reviewing?.decision === 'confirmed' ? 'danger' : 'primary'}
+        showReasonInput
+        reasonRequired
+        reasonLabel={t('common.notes')}
+        reasonPlaceholder={t('compliance.watchlist.notesPlaceholder')}
+        loading={saving}
+      />
+
+      <ConfirmDialog
+        isOpen={Boolean(deleting)}
+        onClose={() => setDeleting(null)}
+        onConfirm={handleDelete}
+        title={t('compliance.watchlist.deleteTitle')}
+        message={deleting && t('compliance.watchlist.deleteMessage', { name: deleting.name })}
+        confirmText={t('common.delete')}
+        loading={saving}
+      />
+    </div>
+  );
+};
+
+export default WatchlistPanel;
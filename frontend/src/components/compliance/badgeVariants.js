@@ -0,0 +1,20 @@
+// Badge colours shared by the compliance views
+export const severityVariants = {
+  low: 'info',
+  medium: 'warning',
+  high: 'danger',
+  critical: 'danger'
+};
+
+export const riskLevelVariants = {
+  low: 'success',
+  medium: 'warning',
+  high: 'danger'
+};
+
+export const sarStatusVariants = {
+  draft: 'secondary',
+  submitted: 'info',
+  under_review: 'warning',
+  closed: 'success'
+};
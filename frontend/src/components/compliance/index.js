@@ -0,0 +1,7 @@
+export { default as AlertQueue } from './AlertQueue';
+export { default as AlertReviewModal } from './AlertReviewModal';
+export { default as CustomerRiskModal } from './CustomerRiskModal';
+export { default as RuleForm } from './RuleForm';
+export { default as SARDetailModal } from './SARDetailModal';
+export { default as SARForm } from './SARForm';
+export { default as WatchlistPanel } from './WatchlistPanel';
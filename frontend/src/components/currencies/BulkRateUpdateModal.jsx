@@ -4,13 +4,15 @@ import { Modal, Button, Input } from '../common';
 import currencyService from '../../services/currencyService';
 import toast from 'react-hot-toast';
 
-const BulkRateUpdateModal = ({ isOpen, onClose, rates, currencies, onSuccess }) => {
+const BulkRateUpdateModal = ({ isOpen, onClose, rates, currencies, branchId, onSuccess }) => {
   const { t } = useTranslation();
   const [editedRates, setEditedRates] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [effectiveFrom, setEffectiveFrom] = useState('');
 
   useEffect(() => {
     if (isOpen && rates) {
+      setEffectiveFrom('');
       setEditedRates(rates.map(r => ({
         id: r.id,
         fromCurrencyId: r.fromCurrency.id,
@@ -58,6 +60,11 @@ const BulkRateUpdateModal = ({ isOpen, onClose, rates, currencies, onSuccess })
       }
     }
 
+    if (effectiveFrom && new Date(effectiveFrom) <= new Date()) {
+      toast.error(t('currencies.effectiveFromFuture'));
+      return;
+    }
+
     setLoading(true);
     try {
       const ratesPayload = changedRates.map(r => ({
@@ -67,10 +74,16 @@ const BulkRateUpdateModal = ({ isOpen, onClose, rates, currencies, onSuccess })
         sellRate: parseFloat(r.sellRate)
       }));
 
-      const response = await currencyService.bulkUpdateRates(ratesPayload);
+      const response = await currencyService.bulkUpdateRates(
+        ratesPayload,
+        branchId,
+        effectiveFrom ? new Date(effectiveFrom).toISOString() : undefined
+      );
 
       if (response.success) {
-        toast.success(t('currencies.bulkUpdateSuccess') || `${changedRates.length} rate(s) updated successfully`);
+        toast.success(effectiveFrom
+          ? t('currencies.ratesScheduled')
+          : t('currencies.bulkUpdateSuccess') || `${changedRates.length} rate(s) updated successfully`);
         onSuccess && onSuccess();
         onClose();
       }
@@ -159,6 +172,15 @@ const BulkRateUpdateModal = ({ isOpen, onClose, rates, currencies, onSuccess })
           </table>
         </div>
 
+        <Input
+          className="max-w-xs"
+          label={t('currencies.effectiveFrom')}
+          type="datetime-local"
+          value={effectiveFrom}
+          onChange={(e) => setEffectiveFrom(e.target.value)}
+        />
+        <p className="text-xs text-gray-500 -mt-2">{t('currencies.effectiveFromHelp')}</p>
+
         {changedCount > 0 && (
           <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
             {changedCount} {t('currencies.ratesWillBeUpdated') || 'rate(s) will be updated'}
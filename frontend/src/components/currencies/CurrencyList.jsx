@@ -1,18 +1,25 @@
 import React from 'react';
 import { useTranslation } from 'react-i18next';
-import { PencilIcon, CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline';
+import { PencilIcon, CheckCircleIcon, XCircleIcon, StarIcon } from '@heroicons/react/24/outline';
 import { Table } from '../common';
 import { Button } from '../common';
 
-const CurrencyList = ({ currencies, loading, onEdit, onToggleStatus, isAdmin }) => {
+const CurrencyList = ({ currencies, loading, onEdit, onToggleStatus, onSetBase, isAdmin }) => {
   const { t } = useTranslation();
 
   const columns = [
     {
       header: t('currencies.code'),
       accessor: 'code',
-      render: (value) => (
-        <span className="font-mono font-semibold text-gray-900">{value}</span>
+      render: (value, row) => (
+        <span className="inline-flex items-center gap-2">
+          <span className="font-mono font-semibold text-gray-900">{value}</span>
+          {row.isBase && (
+            <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800">
+              {t('currencies.baseCurrency')}
+            </span>
+          )}
+        </span>
       )
     },
     {
@@ -68,6 +75,16 @@ const CurrencyList = ({ currencies, loading, onEdit, onToggleStatus, isAdmin })
                   <CheckCircleIcon className="h-4 w-4" />
                 )}
               </Button>
+              {row.isActive && !row.isBase && (
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  onClick={() => onSetBase(row)}
+                  title={t('currencies.setAsBase')}
+                >
+                  <StarIcon className="h-4 w-4" />
+                </Button>
+              )}
             </>
           )}
         </div>
@@ -23,7 +23,8 @@ const ExchangeRateForm = ({
       from_currency_id: '',
       to_currency_id: '',
       buy_rate: '',
-      sell_rate: ''
+      sell_rate: '',
+      effective_from: ''
     }
   });
 
@@ -36,17 +37,20 @@ const ExchangeRateForm = ({
         from_currency_id: '',
         to_currency_id: '',
         buy_rate: '',
-        sell_rate: ''
+        sell_rate: '',
+        effective_from: ''
       });
     }
   }, [isOpen, reset]);
 
   const handleFormSubmit = (data) => {
     onSubmit({
-      from_currency_id: parseInt(data.from_currency_id, 10),
-      to_currency_id: parseInt(data.to_currency_id, 10),
-      buy_rate: parseFloat(data.buy_rate),
-      sell_rate: parseFloat(data.sell_rate)
+      fromCurrencyId: parseInt(data.from_currency_id, 10),
+      toCurrencyId: parseInt(data.to_currency_id, 10),
+      buyRate: parseFloat(data.buy_rate),
+      sellRate: parseFloat(data.sell_rate),
+      // Empty means the rate takes effect immediately
+      effectiveFrom: data.effective_from ? new Date(data.effective_from).toISOString() : undefined
     });
   };
 
@@ -138,8 +142,18 @@ const ExchangeRateForm = ({
           />
         </div>
 
+        <Input
+          label={t('currencies.effectiveFrom')}
+          type="datetime-local"
+          {...register('effective_from', {
+            validate: (value) =>
+              !value || new Date(value) > new Date() || t('currencies.effectiveFromFuture')
+          })}
+          error={errors.effective_from?.message}
+        />
+
         <p className="text-sm text-gray-500">
-          {t('currencies.rateExplanation')}
+          {t('currencies.rateExplanation')} {t('currencies.effectiveFromHelp')}
         </p>
 
         <div className="flex justify-end space-x-3 pt-4">
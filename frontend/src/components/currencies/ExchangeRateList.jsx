@@ -39,7 +39,14 @@ const ExchangeRateList = ({ rates, loading }) => {
       accessor: 'fromCurrency',
       render: (_, row) => (
         <div className="flex flex-col">
-          <span className="font-medium text-gray-900">{row.fromCurrency?.code}</span>
+          <span className="font-medium text-gray-900">
+            {row.fromCurrency?.code}
+            {row.isBranchRate && (
+              <span className="ml-2 rtl:ml-0 rtl:mr-2 px-1.5 py-0.5 text-xs font-medium rounded bg-amber-100 text-amber-800">
+                {t('branches.branchRate')}
+              </span>
+            )}
+          </span>
           <span className="text-xs text-gray-500">{row.fromCurrency?.name}</span>
         </div>
       )
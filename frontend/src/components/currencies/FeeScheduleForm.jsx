@@ -0,0 +1,273 @@
+import React, { useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useForm, useFieldArray } from 'react-hook-form';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { Modal, Input, Select, Button } from '../common';
+
+const emptySchedule = {
+  name: '',
+  currencyInId: '',
+  currencyOutId: '',
+  customerSegment: 'all',
+  paymentMethod: '',
+  feeType: 'percentage',
+  flatAmount: '',
+  percentage: '',
+  tiers: [{ upTo: '', percentage: '', flatAmount: '' }],
+  minFee: '',
+  maxFee: ''
+};
+
+const toNumberOrNull = (value) => (value === '' || value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Create or edit a fee schedule. Empty currencies and payment method match any deal.
+ */
+const FeeScheduleForm = ({ isOpen, onClose, onSubmit, schedule, currencies, paymentMethodOptions, loading }) => {
+  const { t } = useTranslation();
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    control,
+    formState: { errors }
+  } = useForm({ defaultValues: emptySchedule });
+
+  const { fields, append, remove } = useFieldArray({ control, name: 'tiers' });
+  const feeType = watch('feeType');
+
+  useEffect(() => {
+    if (schedule) {
+      reset({
+        name: schedule.name,
+        currencyInId: schedule.currencyIn ? schedule.currencyIn.id.toString() : '',
+        currencyOutId: schedule.currencyOut ? schedule.currencyOut.id.toString() : '',
+        customerSegment: schedule.customerSegment,
+        paymentMethod: schedule.paymentMethod || '',
+        feeType: schedule.feeType,
+        flatAmount: schedule.flatAmount ?? '',
+        percentage: schedule.percentage ?? '',
+        tiers: schedule.tiers?.length
+          ? schedule.tiers.map(tier => ({
+            upTo: tier.upTo ?? '',
+            percentage: tier.percentage || '',
+            flatAmount: tier.flatAmount || ''
+          }))
+          : emptySchedule.tiers,
+        minFee: schedule.minFee ?? '',
+        maxFee: schedule.maxFee ?? ''
+      });
+    } else {
+      reset(emptySchedule);
+    }
+  }, [schedule, reset, isOpen]);
+
+  const handleFormSubmit = (data) => {
+    onSubmit({
+      name: data.name.trim(),
+      currencyInId: data.currencyInId ? parseInt(data.currencyInId, 10) : null,
+      currencyOutId: data.currencyOutId ? parseInt(data.currencyOutId, 10) : null,
+      customerSegment: data.customerSegment,
+      paymentMethod: data.paymentMethod || null,
+      feeType: data.feeType,
+      flatAmount: data.feeType === 'flat' ? parseFloat(data.flatAmount) : undefined,
+      percentage: data.feeType === 'percentage' ? parseFloat(data.percentage) : undefined,
+      tiers: data.feeType === 'tiered'
+        ? data.tiers.map(tier => ({
+          upTo: toNumberOrNull(tier.upTo),
+          percentage: toNumberOrNull(tier.percentage) || 0,
+          flatAmount: toNumberOrNull(tier.flatAmount) || 0
+        }))
+        : undefined,
+      minFee: toNumberOrNull(data.minFee),
+      maxFee: toNumberOrNull(data.maxFee)
+    });
+  };
+
+  const currencyOptions = [
+    { value: '', label: t('currencies.anyCurrency') },
+    ...currencies
+      .filter(c => c.isActive)
+      .map(c => ({ value: c.id.toString(), label: c.code }))
+  ];
+
+  const segmentOptions = [
+    { value: 'all', label: t('fees.segments.all') },
+    { value: 'vip', label: t('fees.segments.vip') },
+    { value: 'regular', label: t('fees.segments.regular') }
+  ];
+
+  const feeTypeOptions = [
+    { value: 'flat', label: t('fees.types.flat') },
+    { value: 'percentage', label: t('fees.types.percentage') },
+    { value: 'tiered', label: t('fees.types.tiered') }
+  ];
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={schedule ? t('fees.editSchedule') : t('fees.addSchedule')}
+      size="lg"
+    >
+      <form onSubmit={handleSubmit(handleFormSubmit)} className="space-y-4">
+        <Input
+          label={t('fees.name')}
+          {...register('name', {
+            required: t('validation.required'),
+            minLength: { value: 2, message: t('validation.required') }
+          })}
+          error={errors.name?.message}
+        />
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <Select
+            label={t('transactions.currencyIn')}
+            options={currencyOptions}
+            {...register('currencyInId')}
+          />
+          <Select
+            label={t('transactions.currencyOut')}
+            options={currencyOptions}
+            {...register('currencyOutId')}
+          />
+          <Select
+            label={t('fees.customerSegment')}
+            options={segmentOptions}
+            {...register('customerSegment')}
+          />
+          <Select
+            label={t('transactions.paymentMethod')}
+            options={[{ value: '', label: t('fees.anyPaymentMethod') }, ...paymentMethodOptions]}
+            {...register('paymentMethod')}
+          />
+        </div>
+
+        <Select
+          label={t('fees.feeType')}
+          options={feeTypeOptions}
+          {...register('feeType')}
+        />
+
+        {feeType === 'flat' && (
+          <Input
+            label={t('fees.flatAmount')}
+            type="number"
+            step="0.01"
+            min="0"
+            {...register('flatAmount', {
+              required: t('validation.required'),
+              validate: (value) => parseFloat(value) >= 0 || t('validation.positiveNumber')
+            })}
+            error={errors.flatAmount?.message}
+          />
+        )}
+
+        {feeType === 'percentage' && (
+          <Input
+            label={t('fees.percentage')}
+            type="number"
+            step="0.001"
+            min="0"
+            max="100"
+            {...register('percentage', {
+              required: t('validation.required'),
+              validate: (value) =>
+                (parseFloat(value) >= 0 && parseFloat(value) <= 100) || t('validation.positiveNumber')
+            })}
+            error={errors.percentage?.message}
+          />
+        )}
+
+        {feeType === 'tiered' && (
+          <div className="space-y-2">
+            <p className="text-sm text-gray-500">{t('fees.tiersExplanation')}</p>
+            {fields.map((field, index) => (
+              <div key={field.id} className="grid grid-cols-7 gap-2 items-end">
+                <div className="col-span-2">
+                  <Input
+                    label={index === 0 ? t('fees.upTo') : undefined}
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    placeholder={t('fees.noLimit')}
+                    {...register(`tiers.${index}.upTo`)}
+                  />
+                </div>
+                <div className="col-span-2">
+                  <Input
+                    label={index === 0 ? t('fees.percentage') : undefined}
+                    type="number"
+                    step="0.001"
+                    min="0"
+                    max="100"
+                    placeholder="0"
+                    {...register(`tiers.${index}.percentage`)}
+                  />
+                </div>
+                <div className="col-span-2">
+                  <Input
+                    label={index === 0 ? t('fees.flatAmount') : undefined}
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    placeholder="0"
+                    {...register(`tiers.${index}.flatAmount`)}
+                  />
+                </div>
+                <button
+                  type="button"
+                  onClick={() => remove(index)}
+                  disabled={fields.length === 1}
+                  className="mb-2 p-2 text-red-600 hover:text-red-800 disabled:opacity-40"
+                  title={t('common.delete')}
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+            <Button
+              type="button"
+              variant="secondary"
+              size="sm"
+              onClick={() => append({ upTo: '', percentage: '', flatAmount: '' })}
+            >
+              <PlusIcon className="h-4 w-4 mr-1 rtl:mr-0 rtl:ml-1" />
+              {t('fees.addTier')}
+            </Button>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <Input
+            label={t('fees.minFee')}
+            type="number"
+            step="0.01"
+            min="0"
+            {...register('minFee')}
+          />
+          <Input
+            label={t('fees.maxFee')}
+            type="number"
+            step="0.01"
+            min="0"
+            {...register('maxFee')}
+          />
+        </div>
+
+        <div className="flex items-center justify-end gap-3 pt-4 border-t border-gray-200">
+          <Button type="button" variant="secondary" onClick={onClose} disabled={loading}>
+            {t('common.cancel')}
+          </Button>
+          <Button type="submit" loading={loading}>
+            {t('common.save')}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default FeeScheduleForm;
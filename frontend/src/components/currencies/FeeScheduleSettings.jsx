@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import { PlusIcon, PencilSquareIcon } from '@heroicons/react/24/outline';
+import { Badge, Button, Table } from '../common';
+import feeScheduleService from '../../services/feeScheduleService';
+import FeeScheduleForm from './FeeScheduleForm';
+
+/**
+ * Fee schedules the commission on each deal is computed from. The most specific
+ * active schedule for the pair, customer segment and payment method wins.
+ */
+const FeeScheduleSettings = ({ currencies, isAdmin }) => {
+  const { t } = useTranslation();
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editingSchedule, setEditingSchedule] = useState(null);
+
+  const fetchSchedules = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await feeScheduleService.getFeeSchedules();
+      setSchedules(response.success ? response.data : []);
+    } catch (error) {
+      console.error('Error fetching fee schedules:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSchedules();
+  }, [fetchSchedules]);
+
+  const paymentMethodOptions = ['cash', 'card', 'bank_transfer', 'cheque', 'other'].map(method => ({
+    value: method,
+    label: t(`transactions.paymentMethods.${method}`)
+  }));
+
+  const openModal = (schedule = null) => {
+    setEditingSchedule(schedule);
+    setModalOpen(true);
+  };
+
+  const handleSubmit = async (data) => {
+    try {
+      setSaving(true);
+      if (editingSchedule) {
+        await feeScheduleService.updateFeeSchedule(editingSchedule.uuid, data);
+      } else {
+        await feeScheduleService.createFeeSchedule(data);
+      }
+      toast.success(t('fees.scheduleSaved'));
+      setModalOpen(false);
+      fetchSchedules();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || t('common.error'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (schedule) => {
+    try {
+      await feeScheduleService.updateFeeSchedule(schedule.uuid, { isActive: !schedule.isActive });
+      toast.success(t('fees.scheduleSaved'));
+      fetchSchedules();
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  };
+
+  const describeFee = (schedule) => {
+    if (schedule.feeType === 'flat') {
+      return schedule.flatAmount;
+    }
+    if (schedule.feeType === 'percentage') {
+      return `${schedule.percentage}%`;
+    }
+    return (schedule.tiers || [])
+      .map(tier => {
+        const parts = [];
+        if (tier.flatAmount) parts.push(tier.flatAmount);
+        if (tier.percentage) parts.push(`${tier.percentage}%`);
+        return `≤ ${tier.upTo ?? '∞'}: ${parts.join(' + ') || 0}`;
+      })
+      .join(', ');
+  };
+
+  const columns = [
+    {
+      header: t('fees.name'),
+      accessor: 'name',
+      render: (value, row) => (
+        <span className={row.isActive ? 'font-medium text-gray-900' : 'text-gray-400 line-through'}>
+          {value}
+        </span>
+      )
+    },
+    {
+      header: t('currencies.currencyPair'),
+      accessor: 'currencyIn',
+      render: (_, row) => (
+        <span className="text-sm">
+          {row.currencyIn?.code || t('currencies.anyCurrency')} / {row.currencyOut?.code || t('currencies.anyCurrency')}
+        </span>
+      )
+    },
+    {
+      header: t('fees.customerSegment'),
+      accessor: 'customerSegment',
+      render: (value) => (
+        <Badge variant={value === 'vip' ? 'warning' : 'secondary'}>{t(`fees.segments.${value}`)}</Badge>
+      )
+    },
+    {
+      header: t('transactions.paymentMethod'),
+      accessor: 'paymentMethod',
+      render: (value) => (value ? t(`transactions.paymentMethods.${value}`) : t('fees.anyPaymentMethod'))
+    },
+    {
+      header: t('fees.fee'),
+      accessor: 'feeType',
+      render: (value, row) => (
+        <div className="text-sm">
+          <span className="font-mono">{describeFee(row)}</span>
+          {(row.minFee !== null || row.maxFee !== null) && (
+            <span className="block text-xs text-gray-500">
+              {t('fees.bounds', { min: row.minFee ?? '-', max: row.maxFee ?? '-' })}
+            </span>
+          )}
+        </div>
+      )
+    }
+  ];
+
+  if (isAdmin) {
+    columns.push({
+      header: t('common.actions'),
+      accessor: 'uuid',
+      render: (_, row) => (
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => openModal(row)}
+            className="p-1 text-primary-600 hover:text-primary-800"
+            title={t('common.edit')}
+          >
+            <PencilSquareIcon className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => handleToggleActive(row)}
+            className="text-sm text-gray-600 hover:text-gray-900"
+          >
+            {row.isActive ? t('fees.deactivate') : t('fees.activate')}
+          </button>
+        </div>
+      )
+    });
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start justify-between gap-4">
+        <p className="text-sm text-gray-500">{t('fees.explanation')}</p>
+        {isAdmin && (
+          <Button size="sm" onClick={() => openModal()}>
+            <PlusIcon className="h-4 w-4 mr-1 rtl:mr-0 rtl:ml-1" />
+            {t('fees.addSchedule')}
+          </Button>
+        )}
+      </div>
+
+      <Table
+        columns={columns}
+        data={schedules}
+        loading={loading}
+        emptyMessage={t('fees.noSchedules')}
+      />
+
+      <FeeScheduleForm
+        isOpen={modalOpen}
+        onClose={() => setModalOpen(false)}
+        onSubmit={handleSubmit}
+        schedule={editingSchedule}
+        currencies={currencies}
+        paymentMethodOptions={paymentMethodOptions}
+        loading={saving}
+      />
+    </div>
+  );
+};
+
+export default FeeScheduleSettings;
@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import { Button, Input, Select, Table } from '../common';
+import currencyService from '../../services/currencyService';
+
+/**
+ * How far a teller's rate may stray beyond the buy/sell spread before it needs
+ * a manager override. Pairs without an entry allow no deviation.
+ */
+const RateToleranceSettings = ({ currencies, isAdmin }) => {
+  const { t } = useTranslation();
+  const [tolerances, setTolerances] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const { register, handleSubmit, reset, watch, formState: { errors } } = useForm({
+    defaultValues: { fromCurrencyId: '', toCurrencyId: '', tolerancePercent: '' }
+  });
+
+  const fromCurrencyId = watch('fromCurrencyId');
+
+  const fetchTolerances = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await currencyService.getRateTolerances();
+      setTolerances(response.success ? response.data : []);
+    } catch (error) {
+      console.error('Error fetching rate tolerances:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTolerances();
+  }, [fetchTolerances]);
+
+  const onSubmit = async (data) => {
+    try {
+      setSaving(true);
+      await currencyService.setRateTolerance({
+        fromCurrencyId: parseInt(data.fromCurrencyId, 10),
+        toCurrencyId: parseInt(data.toCurrencyId, 10),
+        tolerancePercent: parseFloat(data.tolerancePercent)
+      });
+      toast.success(t('currencies.toleranceSaved'));
+      reset();
+      fetchTolerances();
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const currencyOptions = currencies
+    .filter(c => c.isActive)
+    .map(c => ({ value: c.id.toString(), label: c.code }));
+
+  const columns = [
+    {
+      header: t('currencies.currencyPair'),
+      accessor: 'fromCurrency',
+      render: (_, row) => (
+        <span className="font-medium text-gray-900">
+          {row.fromCurrency.code} / {row.toCurrency.code}
+        </span>
+      )
+    },
+    {
+      header: t('currencies.tolerance'),
+      accessor: 'tolerancePercent',
+      render: (value) => <span className="font-mono">{value}%</span>
+    },
+    {
+      header: t('currencies.updatedBy'),
+      accessor: 'updatedByName',
+      render: (value) => <span className="text-sm text-gray-700">{value || '-'}</span>
+    }
+  ];
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-500">{t('currencies.toleranceExplanation')}</p>
+
+      {isAdmin && (
+        <form onSubmit={handleSubmit(onSubmit)} className="grid grid-cols-1 sm:grid-cols-4 gap-4 items-end">
+          <Select
+            label={t('currencies.fromCurrency')}
+            options={currencyOptions}
+            placeholder={t('currencies.selectCurrency')}
+            {...register('fromCurrencyId', { required: t('currencies.fromCurrencyRequired') })}
+            error={errors.fromCurrencyId?.message}
+          />
+          <Select
+            label={t('currencies.toCurrency')}
+            options={currencyOptions.filter(option => option.value !== fromCurrencyId)}
+            placeholder={t('currencies.selectCurrency')}
+            {...register('toCurrencyId', { required: t('currencies.toCurrencyRequired') })}
+            error={errors.toCurrencyId?.message}
+          />
+          <Input
+            label={t('currencies.tolerance')}
+            type="number"
+            step="0.001"
+            min="0"
+            max="100"
+            {...register('tolerancePercent', {
+              required: t('validation.required'),
+              validate: (value) =>
+                (parseFloat(value) >= 0 && parseFloat(value) <= 100) || t('validation.positiveNumber')
+            })}
+            error={errors.tolerancePercent?.message}
+            placeholder="0.5"
+          />
+          <Button type="submit" loading={saving}>
+            {t('common.save')}
+          </Button>
+        </form>
+      )}
+
+      <Table
+        columns={columns}
+        data={tolerances}
+        loading={loading}
+        emptyMessage={t('currencies.noTolerances')}
+      />
+    </div>
+  );
+};
+
+export default RateToleranceSettings;
@@ -0,0 +1,95 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { Table } from '../common';
+
+const ScheduledRateList = ({ rates, loading, onCancel, isAdmin }) => {
+  const { t } = useTranslation();
+
+  const formatDate = (dateString) => {
+    if (!dateString) return '-';
+    return new Intl.DateTimeFormat('default', {
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    }).format(new Date(dateString));
+  };
+
+  const formatRate = (rate) => {
+    if (rate === null || rate === undefined) return '-';
+    return Number(rate).toFixed(4);
+  };
+
+  const columns = [
+    {
+      header: t('currencies.effectiveFrom'),
+      accessor: 'effectiveFrom',
+      render: (value) => (
+        <span className="text-sm font-medium text-gray-900">{formatDate(value)}</span>
+      )
+    },
+    {
+      header: t('currencies.currencyPair'),
+      accessor: 'fromCurrency',
+      render: (_, row) => (
+        <span className="font-medium text-gray-900">
+          {row.fromCurrency?.code} / {row.toCurrency?.code}
+        </span>
+      )
+    },
+    {
+      header: t('branches.branch'),
+      accessor: 'branch',
+      render: (value) => (
+        <span className="text-sm text-gray-700">{value ? value.name : t('branches.defaultRates')}</span>
+      )
+    },
+    {
+      header: t('currencies.buyRate'),
+      accessor: 'buyRate',
+      render: (value) => (
+        <span className="font-mono text-green-600 font-medium">{formatRate(value)}</span>
+      )
+    },
+    {
+      header: t('currencies.sellRate'),
+      accessor: 'sellRate',
+      render: (value) => (
+        <span className="font-mono text-blue-600 font-medium">{formatRate(value)}</span>
+      )
+    },
+    {
+      header: t('currencies.updatedBy'),
+      accessor: 'createdByName',
+      render: (value) => (
+        <span className="text-sm text-gray-700">{value || '-'}</span>
+      )
+    }
+  ];
+
+  if (isAdmin) {
+    columns.push({
+      header: t('common.actions'),
+      accessor: 'uuid',
+      render: (value) => (
+        <button
+          onClick={() => onCancel(value)}
+          className="inline-flex items-center px-2 py-1 text-sm text-red-600 hover:text-red-800 hover:bg-red-50 rounded transition-colors"
+        >
+          <XMarkIcon className="h-4 w-4 mr-1" />
+          {t('common.cancel')}
+        </button>
+      )
+    });
+  }
+
+  return (
+    <Table
+      columns={columns}
+      data={rates}
+      loading={loading}
+      emptyMessage={t('currencies.noScheduledRates')}
+    />
+  );
+};
+
+export default ScheduledRateList;
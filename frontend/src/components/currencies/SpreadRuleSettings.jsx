@@ -0,0 +1,159 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import { TrashIcon } from '@heroicons/react/24/outline';
+import { Button, Input, Select, Table } from '../common';
+import currencyService from '../../services/currencyService';
+
+/**
+ * Spread added to cross rates derived through the base currency. A rule for the
+ * exact pair wins over a rule on one currency, which wins over the default rule.
+ */
+const SpreadRuleSettings = ({ currencies, isAdmin }) => {
+  const { t } = useTranslation();
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const { register, handleSubmit, reset, formState: { errors } } = useForm({
+    defaultValues: { fromCurrencyId: '', toCurrencyId: '', spreadPercent: '' }
+  });
+
+  const fetchRules = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await currencyService.getSpreadRules();
+      setRules(response.success ? response.data : []);
+    } catch (error) {
+      console.error('Error fetching spread rules:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const onSubmit = async (data) => {
+    try {
+      setSaving(true);
+      await currencyService.setSpreadRule({
+        fromCurrencyId: data.fromCurrencyId ? parseInt(data.fromCurrencyId, 10) : null,
+        toCurrencyId: data.toCurrencyId ? parseInt(data.toCurrencyId, 10) : null,
+        spreadPercent: parseFloat(data.spreadPercent)
+      });
+      toast.success(t('currencies.spreadSaved'));
+      reset();
+      fetchRules();
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(t('currencies.confirmDeleteSpread'))) return;
+    try {
+      await currencyService.deleteSpreadRule(rule.id);
+      toast.success(t('currencies.spreadDeleted'));
+      fetchRules();
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  };
+
+  const currencyOptions = [
+    { value: '', label: t('currencies.anyCurrency') },
+    ...currencies
+      .filter(c => c.isActive)
+      .map(c => ({ value: c.id.toString(), label: c.code }))
+  ];
+
+  const columns = [
+    {
+      header: t('currencies.currencyPair'),
+      accessor: 'fromCurrency',
+      render: (_, row) => (
+        <span className="font-medium text-gray-900">
+          {row.fromCurrency?.code || t('currencies.anyCurrency')} / {row.toCurrency?.code || t('currencies.anyCurrency')}
+        </span>
+      )
+    },
+    {
+      header: t('currencies.spread'),
+      accessor: 'spreadPercent',
+      render: (value) => <span className="font-mono">{value}%</span>
+    },
+    {
+      header: t('currencies.updatedBy'),
+      accessor: 'updatedByName',
+      render: (value) => <span className="text-sm text-gray-700">{value || '-'}</span>
+    }
+  ];
+
+  if (isAdmin) {
+    columns.push({
+      header: t('common.actions'),
+      accessor: 'id',
+      render: (_, row) => (
+        <button
+          onClick={() => handleDelete(row)}
+          className="inline-flex items-center px-2 py-1 text-sm text-red-600 hover:text-red-800 hover:bg-red-50 rounded transition-colors"
+        >
+          <TrashIcon className="h-4 w-4 mr-1" />
+          {t('common.delete')}
+        </button>
+      )
+    });
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-500">{t('currencies.spreadExplanation')}</p>
+
+      {isAdmin && (
+        <form onSubmit={handleSubmit(onSubmit)} className="grid grid-cols-1 sm:grid-cols-4 gap-4 items-end">
+          <Select
+            label={t('currencies.fromCurrency')}
+            options={currencyOptions}
+            {...register('fromCurrencyId')}
+          />
+          <Select
+            label={t('currencies.toCurrency')}
+            options={currencyOptions}
+            {...register('toCurrencyId')}
+          />
+          <Input
+            label={t('currencies.spread')}
+            type="number"
+            step="0.001"
+            min="0"
+            max="100"
+            {...register('spreadPercent', {
+              required: t('validation.required'),
+              validate: (value) =>
+                (parseFloat(value) >= 0 && parseFloat(value) <= 100) || t('validation.positiveNumber')
+            })}
+            error={errors.spreadPercent?.message}
+            placeholder="0.25"
+          />
+          <Button type="submit" loading={saving}>
+            {t('common.save')}
+          </Button>
+        </form>
+      )}
+
+      <Table
+        columns={columns}
+        data={rules}
+        loading={loading}
+        emptyMessage={t('currencies.noSpreadRules')}
+      />
+    </div>
+  );
+};
+
+export default SpreadRuleSettings;
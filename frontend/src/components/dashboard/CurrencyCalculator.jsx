@@ -7,13 +7,15 @@ import { ArrowsRightLeftIcon, CalculatorIcon } from '@heroicons/react/24/outline
 const CurrencyCalculator = () => {
   const { t } = useTranslation();
   const [currencies, setCurrencies] = useState([]);
-  const [exchangeRates, setExchangeRates] = useState([]);
   const [loading, setLoading] = useState(true);
   const [fromCurrency, setFromCurrency] = useState('');
   const [toCurrency, setToCurrency] = useState('');
   const [amount, setAmount] = useState('');
   const [rateType, setRateType] = useState('buy'); // 'buy' or 'sell'
 
+  const [currentRate, setCurrentRate] = useState(null);
+  const [quoting, setQuoting] = useState(false);
+
   useEffect(() => {
     fetchData();
   }, []);
@@ -21,14 +23,9 @@ const CurrencyCalculator = () => {
   const fetchData = async () => {
     try {
       setLoading(true);
-      const [currenciesRes, ratesRes] = await Promise.all([
-        currencyService.getCurrencies(true), // Only active currencies
-        currencyService.getExchangeRates()
-      ]);
+      const currenciesRes = await currencyService.getCurrencies(true); // Only active currencies
       const currenciesData = currenciesRes.success ? currenciesRes.data : [];
-      const ratesData = ratesRes.success ? ratesRes.data : [];
       setCurrencies(currenciesData);
-      setExchangeRates(ratesData);
 
       // Set default selections if currencies exist
       if (currenciesData.length >= 2) {
@@ -42,38 +39,41 @@ const CurrencyCalculator = () => {
     }
   };
 
-  // Find the exchange rate for the selected currency pair
-  const currentRate = useMemo(() => {
+  // Quote the selected pair; the server falls back to the inverse or a cross rate
+  useEffect(() => {
     if (!fromCurrency || !toCurrency || fromCurrency === toCurrency) {
-      return null;
-    }
-
-    const rate = exchangeRates.find(
-      r => r.fromCurrencyId === parseInt(fromCurrency) &&
-           r.toCurrencyId === parseInt(toCurrency)
-    );
-
-    if (rate) {
-      return rate;
+      setCurrentRate(null);
+      return;
     }
 
-    // Try inverse rate
-    const inverseRate = exchangeRates.find(
-      r => r.fromCurrencyId === parseInt(toCurrency) &&
-           r.toCurrencyId === parseInt(fromCurrency)
-    );
-
-    if (inverseRate) {
-      return {
-        ...inverseRate,
-        buyRate: inverseRate.sellRate ? 1 / inverseRate.sellRate : null,
-        sellRate: inverseRate.buyRate ? 1 / inverseRate.buyRate : null,
-        isInverse: true
-      };
-    }
+    let cancelled = false;
+    const fetchQuote = async () => {
+      try {
+        setQuoting(true);
+        const response = await currencyService.getQuote({
+          fromCurrencyId: fromCurrency,
+          toCurrencyId: toCurrency
+        });
+        if (!cancelled) {
+          setCurrentRate(response.success ? response.data : null);
+        }
+      } catch (error) {
+        // 404 means no rate can be resolved for the pair
+        if (!cancelled) {
+          setCurrentRate(null);
+        }
+      } finally {
+        if (!cancelled) {
+          setQuoting(false);
+        }
+      }
+    };
 
-    return null;
-  }, [fromCurrency, toCurrency, exchangeRates]);
+    fetchQuote();
+    return () => {
+      cancelled = true;
+    };
+  }, [fromCurrency, toCurrency]);
 
   // Calculate the converted amount
   const convertedAmount = useMemo(() => {
@@ -244,6 +244,11 @@ const CurrencyCalculator = () => {
                 1 {fromCurrencyData?.code} = {formatNumber(rateType === 'buy' ? currentRate.buyRate : currentRate.sellRate)} {toCurrencyData?.code}
               </span>
             </div>
+            {currentRate.derived && (
+              <p className="mt-1 text-xs text-amber-600 dark:text-amber-400">
+                {t('dashboard.currencyCalculator.derivedVia', { currency: currentRate.via })}
+              </p>
+            )}
           </div>
         )}
 
@@ -265,7 +270,7 @@ const CurrencyCalculator = () => {
         )}
 
         {/* No Rate Available Message */}
-        {fromCurrency && toCurrency && fromCurrency !== toCurrency && !currentRate && (
+        {fromCurrency && toCurrency && fromCurrency !== toCurrency && !currentRate && !quoting && (
           <div className="bg-yellow-50 dark:bg-yellow-900/30 rounded-lg p-3 border border-yellow-100 dark:border-yellow-800">
             <p className="text-sm text-yellow-700 dark:text-yellow-400 text-center">
               {t('dashboard.currencyCalculator.noRateAvailable')}
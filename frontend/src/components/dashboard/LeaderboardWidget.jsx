@@ -4,7 +4,7 @@ import { TrophyIcon, FireIcon } from '@heroicons/react/24/solid';
 import { Card, Loading } from '../common';
 import reportService from '../../services/reportService';
 
-const LeaderboardWidget = () => {
+const LeaderboardWidget = ({ branchId }) => {
     const { t } = useTranslation();
     const [activeTab, setActiveTab] = useState('profit');
     const [data, setData] = useState({ topProfit: [], mostActive: [] });
@@ -14,7 +14,7 @@ const LeaderboardWidget = () => {
         const fetchLeaderboard = async () => {
             try {
                 setLoading(true);
-                const response = await reportService.getLeaderboard('month');
+                const response = await reportService.getLeaderboard('month', branchId);
                 if (response.data.success) {
                     setData(response.data.data);
                 }
@@ -26,7 +26,7 @@ const LeaderboardWidget = () => {
         };
 
         fetchLeaderboard();
-    }, []);
+    }, [branchId]);
 
     const List = ({ items, type }) => (
         <div className="space-y-4">
@@ -51,7 +51,7 @@ const LeaderboardWidget = () => {
                         </div>
                         <div className="text-right">
                             <p className={`font-bold ${type === 'profit' ? 'text-green-600 dark:text-green-400' : 'text-blue-600 dark:text-blue-400'}`}>
-                                {type === 'profit' ? `$${item.value}` : item.value}
+                                {type === 'profit' ? `${item.value} ${data.profit?.baseCurrency || ''}` : item.value}
                             </p>
                         </div>
                     </div>
@@ -98,10 +98,33 @@ const LeaderboardWidget = () => {
                 {loading ? (
                     <div className="flex justify-center py-8"><Loading size="md" /></div>
                 ) : (
-                    <List
-                        items={activeTab === 'profit' ? data.topProfit : data.mostActive}
-                        type={activeTab}
-                    />
+                    <>
+                        <List
+                            items={activeTab === 'profit' ? data.topProfit : data.mostActive}
+                            type={activeTab}
+                        />
+                        {/* Realized profit plus revaluation of the open currency positions */}
+                        {activeTab === 'profit' && data.profit && (
+                            <div className="mt-4 grid grid-cols-3 gap-2 border-t border-gray-100 dark:border-gray-700 pt-3 text-center">
+                                <div>
+                                    <p className="text-xs text-gray-500 dark:text-gray-400">{t('dashboard.leaderboard.realized')}</p>
+                                    <p className="font-semibold text-gray-900 dark:text-gray-100">{data.profit.realized.toLocaleString()}</p>
+                                </div>
+                                <div>
+                                    <p className="text-xs text-gray-500 dark:text-gray-400">{t('dashboard.leaderboard.unrealized')}</p>
+                                    <p className={`font-semibold ${data.profit.unrealized >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                                        {data.profit.unrealized.toLocaleString()}
+                                    </p>
+                                </div>
+                                <div>
+                                    <p className="text-xs text-gray-500 dark:text-gray-400">{t('dashboard.leaderboard.totalProfit')}</p>
+                                    <p className="font-semibold text-gray-900 dark:text-gray-100">
+                                        {data.profit.total.toLocaleString()} {data.profit.baseCurrency || ''}
+                                    </p>
+                                </div>
+                            </div>
+                        )}
+                    </>
                 )}
             </div>
         </div>
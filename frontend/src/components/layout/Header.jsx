@@ -9,11 +9,13 @@ import {
   ArrowRightOnRectangleIcon,
   LanguageIcon,
   SunIcon,
-  MoonIcon
+  MoonIcon,
+  ShieldCheckIcon
 } from '@heroicons/react/24/outline';
 import { useTheme } from '../../contexts/ThemeContext';
 
 import ClosingWizard from '../operations/ClosingWizard';
+import { TwoFactorSettings } from '../auth';
 
 const languages = [
   { code: 'en', name: 'English', dir: 'ltr' },
@@ -28,6 +30,7 @@ const Header = ({ onMenuClick }) => {
   const { user, logout } = useAuth();
   const [loggingOut, setLoggingOut] = useState(false);
   const [closingWizardOpen, setClosingWizardOpen] = useState(false);
+  const [twoFactorOpen, setTwoFactorOpen] = useState(false);
 
   const changeLanguage = (langCode) => {
     i18n.changeLanguage(langCode);
@@ -151,6 +154,18 @@ const Header = ({ onMenuClick }) => {
                     <p className="text-xs text-gray-500 dark:text-gray-400">{user?.email}</p>
                     <p className="text-xs text-primary-600 dark:text-primary-400 capitalize">{user?.role}</p>
                   </div>
+                  <Menu.Item>
+                    {({ active }) => (
+                      <button
+                        onClick={() => setTwoFactorOpen(true)}
+                        className={`${active ? 'bg-gray-100 dark:bg-gray-700' : ''
+                          } flex items-center w-full px-4 py-2 text-sm text-gray-700 dark:text-gray-300`}
+                      >
+                        <ShieldCheckIcon className="h-5 w-5 mr-2 rtl:mr-0 rtl:ml-2" />
+                        {t('twoFactor.title')}
+                      </button>
+                    )}
+                  </Menu.Item>
                   <Menu.Item>
                     {({ active }) => (
                       <button
@@ -178,6 +193,11 @@ const Header = ({ onMenuClick }) => {
         onClose={() => setClosingWizardOpen(false)}
         drawerId={2} // HARDCODED for now to Main Drawer (ID 2 usually) or we need context
       />
+
+      <TwoFactorSettings
+        isOpen={twoFactorOpen}
+        onClose={() => setTwoFactorOpen(false)}
+      />
     </header>
   );
 };
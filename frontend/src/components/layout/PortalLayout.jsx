@@ -1,12 +1,12 @@
 import React from 'react';
 import { Outlet, Link, useNavigate } from 'react-router-dom';
+import portalService from '../../services/portalService';
 
 const PortalLayout = () => {
     const navigate = useNavigate();
 
-    const handleLogout = () => {
-        // Clear customer token
-        localStorage.removeItem('customerToken');
+    const handleLogout = async () => {
+        await portalService.logout();
         navigate('/portal/login');
     };
 
@@ -14,30 +14,39 @@ import {
   CalendarDaysIcon,
   WrenchScrewdriverIcon,
   ClipboardDocumentListIcon,
-  ShieldCheckIcon
+  ShieldCheckIcon,
+  CheckBadgeIcon,
+  BuildingStorefrontIcon,
+  ScaleIcon,
+  ShieldExclamationIcon
 } from '@heroicons/react/24/outline';
 
 const Sidebar = ({ isOpen, onClose }) => {
   const { t } = useTranslation();
-  const { isAdmin } = useAuth();
+  const { hasPermission } = useAuth();
 
+  // Items are shown to users holding the permission their page requires
   const navigation = [
     { name: t('nav.dashboard'), href: '/', icon: HomeIcon },
-    { name: t('nav.transactions'), href: '/transactions', icon: ArrowsRightLeftIcon },
-    { name: t('nav.currencies'), href: '/currencies', icon: CurrencyDollarIcon },
-    { name: t('currencies.rateHistory'), href: '/rate-history', icon: ClockIcon },
-    { name: t('nav.customers'), href: '/customers', icon: UserGroupIcon },
-    { name: t('nav.cashDrawers'), href: '/cash-drawers', icon: BanknotesIcon },
-    { name: t('nav.shifts'), href: '/shifts', icon: CalendarDaysIcon },
-    { name: t('nav.reports'), href: '/reports', icon: DocumentChartBarIcon },
-    { name: t('nav.reportBuilder'), href: '/report-builder', icon: WrenchScrewdriverIcon },
-  ];
+    { name: t('nav.transactions'), href: '/transactions', icon: ArrowsRightLeftIcon, permission: 'transactions.view' },
+    { name: t('nav.approvals'), href: '/transactions/approvals', icon: CheckBadgeIcon, permission: 'transactions.approve' },
+    { name: t('nav.currencies'), href: '/currencies', icon: CurrencyDollarIcon, permission: 'currencies.view' },
+    { name: t('currencies.rateHistory'), href: '/rate-history', icon: ClockIcon, permission: 'currencies.view' },
+    { name: t('nav.customers'), href: '/customers', icon: UserGroupIcon, permission: 'customers.view' },
+    { name: t('nav.compliance'), href: '/compliance', icon: ShieldExclamationIcon, permission: 'compliance.view' },
+    { name: t('nav.cashDrawers'), href: '/cash-drawers', icon: BanknotesIcon, permission: 'cash_drawer.view' },
+    { name: t('nav.positions'), href: '/positions', icon: ScaleIcon, permission: 'positions.view' },
+    { name: t('nav.shifts'), href: '/shifts', icon: CalendarDaysIcon, permission: 'shifts.view' },
+    { name: t('nav.reports'), href: '/reports', icon: DocumentChartBarIcon, permission: 'reports.view' },
+    { name: t('nav.reportBuilder'), href: '/report-builder', icon: WrenchScrewdriverIcon, permission: 'reports.builder' },
+  ].filter(item => !item.permission || hasPermission(item.permission));
 
   const adminNavigation = [
-    { name: t('nav.users'), href: '/users', icon: UsersIcon },
-    { name: t('nav.permissions') || 'Permissions', href: '/permissions', icon: ShieldCheckIcon },
-    { name: t('nav.auditLogs') || 'Audit Logs', href: '/audit-logs', icon: ClipboardDocumentListIcon },
-  ];
+    { name: t('nav.users'), href: '/users', icon: UsersIcon, permission: 'users.view' },
+    { name: t('nav.branches'), href: '/branches', icon: BuildingStorefrontIcon, permission: 'branches.manage' },
+    { name: t('nav.permissions') || 'Permissions', href: '/permissions', icon: ShieldCheckIcon, permission: 'users.permissions' },
+    { name: t('nav.auditLogs') || 'Audit Logs', href: '/audit-logs', icon: ClipboardDocumentListIcon, permission: 'audit.view' },
+  ].filter(item => hasPermission(item.permission));
 
   const NavItem = ({ item }) => (
     <NavLink
@@ -84,7 +93,7 @@ const Sidebar = ({ isOpen, onClose }) => {
               <NavItem key={item.href} item={item} />
             ))}
 
-            {isAdmin() && (
+            {adminNavigation.length > 0 && (
               <>
                 <div className="pt-4 mt-4 border-t border-gray-200 dark:border-gray-700">
                   <p className="px-4 text-xs font-semibold text-gray-400 dark:text-gray-500 uppercase tracking-wider">
@@ -0,0 +1,101 @@
+import React, { useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useForm } from 'react-hook-form';
+import { Modal, Input, Button } from '../common';
+
+const emptyRole = {
+  code: '',
+  name: '',
+  description: ''
+};
+
+/**
+ * Create a custom role or rename an existing one. The code identifies the role
+ * on users and in the permission matrix, so it is fixed once the role exists.
+ * A new role can start from the permissions of the selected role.
+ */
+const RoleForm = ({ isOpen, onClose, onSubmit, role, copyFrom, loading }) => {
+  const { t } = useTranslation();
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors }
+  } = useForm({ defaultValues: emptyRole });
+
+  useEffect(() => {
+    if (role) {
+      reset({
+        code: role.id,
+        name: role.name,
+        description: role.description || ''
+      });
+    } else {
+      reset(emptyRole);
+    }
+  }, [role, reset, isOpen]);
+
+  const handleFormSubmit = (data) => {
+    onSubmit({
+      code: role ? role.id : data.code.trim(),
+      name: data.name.trim(),
+      description: data.description.trim() || null
+    });
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={role ? t('permissions.editRole') : t('permissions.newRole')}
+    >
+      <form onSubmit={handleSubmit(handleFormSubmit)} className="space-y-4">
+        <Input
+          label={t('permissions.roleCode')}
+          placeholder="senior_teller"
+          disabled={Boolean(role)}
+          {...register('code', {
+            required: t('validation.required'),
+            pattern: {
+              value: /^[a-z][a-z0-9_]{1,49}$/,
+              message: t('permissions.roleCodeFormat')
+            }
+          })}
+          error={errors.code?.message}
+        />
+        <Input
+          label={t('permissions.roleName')}
+          {...register('name', {
+            required: t('validation.required'),
+            maxLength: { value: 100, message: t('validation.maxLength', { max: 100 }) }
+          })}
+          error={errors.name?.message}
+        />
+        <Input
+          label={t('permissions.roleDescription')}
+          {...register('description', {
+            maxLength: { value: 255, message: t('validation.maxLength', { max: 255 }) }
+          })}
+          error={errors.description?.message}
+        />
+        {!role && copyFrom && (
+          <p className="text-sm text-gray-500">
+            {t('permissions.copyPermissionsNote', { role: copyFrom })}
+          </p>
+        )}
+
+        <div className="flex items-center justify-end gap-3 pt-4 border-t border-gray-200">
+          <Button type="button" variant="secondary" onClick={onClose} disabled={loading}>
+            {t('common.cancel')}
+          </Button>
+          <Button type="submit" loading={loading}>
+            {t('common.save')}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default RoleForm;
@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import { Card, Select, Button, Badge, Loading } from '../common';
+import permissionService from '../../services/permissionService';
+import userService from '../../services/userService';
+
+/**
+ * Grant or deny single permissions to one user on top of their role.
+ * Each permission either follows the role, is granted or is denied.
+ */
+const UserPermissionOverrides = ({ groupedPermissions, categoryLabels, matrix, roleLabel }) => {
+  const { t } = useTranslation();
+  const [users, setUsers] = useState([]);
+  const [selectedUuid, setSelectedUuid] = useState('');
+  const [details, setDetails] = useState(null);
+  const [overrides, setOverrides] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    userService.getUsers({ active: true })
+      .then((response) => setUsers(response.success ? response.data.filter(u => u.role !== 'admin') : []))
+      .catch((error) => console.error('Failed to fetch users:', error));
+  }, []);
+
+  useEffect(() => {
+    if (!selectedUuid) {
+      setDetails(null);
+      setOverrides({});
+      return;
+    }
+
+    setLoading(true);
+    permissionService.getUserPermissions(selectedUuid)
+      .then((response) => {
+        if (response.success) {
+          setDetails(response.data);
+          const next = {};
+          response.data.granted.forEach(id => { next[id] = 'grant'; });
+          response.data.denied.forEach(id => { next[id] = 'deny'; });
+          setOverrides(next);
+        }
+      })
+      .catch((error) => toast.error(error.response?.data?.message || t('common.error')))
+      .finally(() => setLoading(false));
+  }, [selectedUuid, t]);
+
+  const setOverride = (permissionId, value) => {
+    setOverrides(prev => {
+      const next = { ...prev };
+      if (value) {
+        next[permissionId] = value;
+      } else {
+        delete next[permissionId];
+      }
+      return next;
+    });
+  };
+
+  const handleSave = async () => {
+    const entries = Object.entries(overrides);
+    const granted = entries.filter(([, value]) => value === 'grant').map(([id]) => Number(id));
+    const denied = entries.filter(([, value]) => value === 'deny').map(([id]) => Number(id));
+
+    try {
+      setSaving(true);
+      const response = await permissionService.updateUserPermissions(selectedUuid, granted, denied);
+      if (response.success) {
+        toast.success(t('permissions.overridesSaved'));
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const userOptions = users.map(u => ({
+    value: u.uuid,
+    label: `${u.fullName} (${u.username})`
+  }));
+
+  const overrideOptions = [
+    { value: '', label: t('permissions.fromRole') },
+    { value: 'grant', label: t('permissions.grant') },
+    { value: 'deny', label: t('permissions.deny') }
+  ];
+
+  const rolePermissions = details ? matrix[details.user.role] || [] : [];
+
+  return (
+    <Card
+      title={t('permissions.userOverrides')}
+      action={details && (
+        <Button size="sm" onClick={handleSave} loading={saving}>
+          {t('common.save')}
+        </Button>
+      )}
+    >
+      <p className="text-sm text-gray-500 mb-4">{t('permissions.userOverridesHelp')}</p>
+      <div className="max-w-md mb-6">
+        <Select
+          options={userOptions}
+          placeholder={t('permissions.selectUser')}
+          value={selectedUuid}
+          onChange={(e) => setSelectedUuid(e.target.value)}
+        />
+      </div>
+
+      {loading && (
+        <div className="flex justify-center py-6">
+          <Loading />
+        </div>
+      )}
+
+      {!loading && details && (
+        <div className="space-y-6">
+          <p className="text-sm text-gray-700">
+            {t('permissions.userRole', { role: roleLabel(details.user.role) })}
+          </p>
+          {Object.entries(groupedPermissions).map(([category, perms]) => (
+            <div key={category}>
+              <h3 className="text-sm font-medium text-gray-700 uppercase tracking-wider mb-3">
+                {categoryLabels[category] || category}
+              </h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {perms.map(perm => {
+                  const fromRole = rolePermissions.includes(perm.id);
+                  const override = overrides[perm.id] || '';
+                  const effective = override ? override === 'grant' : fromRole;
+
+                  return (
+                    <div
+                      key={perm.id}
+                      className="flex items-center justify-between gap-3 p-3 rounded-lg border border-gray-200"
+                    >
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-gray-900 truncate">{perm.name}</p>
+                        <Badge variant={effective ? 'success' : 'secondary'}>
+                          {effective ? t('permissions.allowed') : t('permissions.notAllowed')}
+                        </Badge>
+                      </div>
+                      <div className="w-36 flex-shrink-0">
+                        <Select
+                          options={overrideOptions}
+                          value={override}
+                          onChange={(e) => setOverride(perm.id, e.target.value)}
+                        />
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default UserPermissionOverrides;
@@ -0,0 +1,122 @@
+import React, { useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useForm } from 'react-hook-form';
+import { Modal, Input, Select, Button } from '../common';
+
+const emptyLimit = {
+  currencyId: '',
+  branchId: '',
+  maxLong: '',
+  maxShort: ''
+};
+
+const toNumberOrNull = (value) => (value === '' || value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Set the long/short limit for a currency. Without a branch the limit is the
+ * consolidated one, which also applies to branches without their own.
+ */
+const PositionLimitForm = ({ isOpen, onClose, onSubmit, limit, currencies, branches, loading }) => {
+  const { t } = useTranslation();
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors }
+  } = useForm({ defaultValues: emptyLimit });
+
+  useEffect(() => {
+    if (limit) {
+      reset({
+        currencyId: limit.currency.id.toString(),
+        branchId: limit.branch ? limit.branch.uuid : '',
+        maxLong: limit.maxLong ?? '',
+        maxShort: limit.maxShort ?? ''
+      });
+    } else {
+      reset(emptyLimit);
+    }
+  }, [limit, reset, isOpen]);
+
+  // Currency and branch identify the limit, so they are fixed once it exists
+  const handleFormSubmit = (data) => {
+    onSubmit({
+      currencyId: limit ? limit.currency.id : parseInt(data.currencyId, 10),
+      branchId: limit ? limit.branch?.uuid || null : data.branchId || null,
+      maxLong: toNumberOrNull(data.maxLong),
+      maxShort: toNumberOrNull(data.maxShort)
+    });
+  };
+
+  const currencyOptions = currencies
+    .filter(c => c.isActive)
+    .map(c => ({ value: c.id.toString(), label: c.code }));
+
+  const branchOptions = [
+    { value: '', label: t('positions.allBranches') },
+    ...branches.map(b => ({ value: b.uuid, label: b.name }))
+  ];
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={limit ? t('positions.editLimit') : t('positions.addLimit')}
+    >
+      <form onSubmit={handleSubmit(handleFormSubmit)} className="space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <Select
+            label={t('positions.currency')}
+            options={currencyOptions}
+            placeholder={t('transactions.selectCurrency')}
+            disabled={Boolean(limit)}
+            {...register('currencyId', { required: t('validation.required') })}
+            error={errors.currencyId?.message}
+          />
+          <Select
+            label={t('positions.branch')}
+            options={branchOptions}
+            disabled={Boolean(limit)}
+            {...register('branchId')}
+          />
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <Input
+            label={t('positions.maxLong')}
+            type="number"
+            step="0.01"
+            min="0"
+            placeholder={t('positions.noLimit')}
+            {...register('maxLong')}
+          />
+          <Input
+            label={t('positions.maxShort')}
+            type="number"
+            step="0.01"
+            min="0"
+            placeholder={t('positions.noLimit')}
+            {...register('maxShort', {
+              validate: (value, values) =>
+                value !== '' || values.maxLong !== '' || t('positions.limitRequired')
+            })}
+            error={errors.maxShort?.message}
+          />
+        </div>
+        <p className="text-sm text-gray-500">{t('positions.limitExplanation')}</p>
+
+        <div className="flex items-center justify-end gap-3 pt-4 border-t border-gray-200">
+          <Button type="button" variant="secondary" onClick={onClose} disabled={loading}>
+            {t('common.cancel')}
+          </Button>
+          <Button type="submit" loading={loading}>
+            {t('common.save')}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default PositionLimitForm;
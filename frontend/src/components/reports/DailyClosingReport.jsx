@@ -14,9 +14,9 @@ import reportService from '../../services/reportService';
 import { useAuth } from '../../contexts/AuthContext';
 import { Button, Card, StatCard, Table, Modal, Loading } from '../common';
 
-const DailyClosingReport = () => {
+const DailyClosingReport = ({ branchId }) => {
   const { t } = useTranslation();
-  const { isAdmin } = useAuth();
+  const { hasPermission } = useAuth();
   const [loading, setLoading] = useState(false);
   const [generating, setGenerating] = useState(false);
   const [closingReports, setClosingReports] = useState([]);
@@ -29,7 +29,7 @@ const DailyClosingReport = () => {
     setLoading(true);
     setError(null);
     try {
-      const data = await reportService.getClosingReports();
+      const data = await reportService.getClosingReports(branchId);
       setClosingReports(data.reports || data || []);
     } catch (err) {
       console.error('Failed to fetch closing reports:', err);
@@ -37,7 +37,7 @@ const DailyClosingReport = () => {
     } finally {
       setLoading(false);
     }
-  }, [t]);
+  }, [t, branchId]);
 
   useEffect(() => {
     fetchClosingReports();
@@ -47,7 +47,7 @@ const DailyClosingReport = () => {
     setGenerating(true);
     setError(null);
     try {
-      const result = await reportService.generateClosingReport(selectedDate);
+      const result = await reportService.generateClosingReport(selectedDate, branchId);
       setClosingReports(prev => [result, ...prev]);
       setSelectedReport(result);
       setDetailModalOpen(true);
@@ -92,6 +92,11 @@ const DailyClosingReport = () => {
         </div>
       )
     },
+    {
+      header: t('branches.branch'),
+      accessor: 'branch',
+      render: (value) => value?.name || t('branches.allBranches')
+    },
     {
       header: t('reports.totalTransactions'),
       accessor: 'totalTransactions',
@@ -280,7 +285,7 @@ const DailyClosingReport = () => {
               />
             </div>
           </div>
-          {isAdmin() && (
+          {hasPermission('reports.closing') && (
             <Button
               onClick={handleGenerateReport}
               loading={generating}
@@ -17,7 +17,7 @@ const downloadFile = (response, filename) => {
   window.URL.revokeObjectURL(link.href);
 };
 
-const DailyReport = () => {
+const DailyReport = ({ branchId }) => {
   const { t } = useTranslation();
   const [loading, setLoading] = useState(false);
   const [exporting, setExporting] = useState(false);
@@ -56,7 +56,8 @@ const DailyReport = () => {
     try {
       const response = await reportService.getDailyReport(
         filters.date,
-        filters.employeeId || undefined
+        filters.employeeId || undefined,
+        branchId || undefined
       );
       // Extract nested data from API response
       const data = response.data || response;
@@ -73,7 +74,7 @@ const DailyReport = () => {
     } finally {
       setLoading(false);
     }
-  }, [filters.date, filters.employeeId]);
+  }, [filters.date, filters.employeeId, branchId]);
 
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({ ...prev, [key]: value }));
@@ -83,7 +84,7 @@ const DailyReport = () => {
     setExporting(true);
     setExportDropdownOpen(false);
     try {
-      const response = await reportService.exportDailyReport(filters.date, format);
+      const response = await reportService.exportDailyReport(filters.date, format, branchId || undefined);
       const extension = format === 'xlsx' ? 'xlsx' : format === 'csv' ? 'csv' : 'pdf';
       const filename = `daily-report-${filters.date}.${extension}`;
       downloadFile(response, filename);
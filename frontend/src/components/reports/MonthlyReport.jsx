@@ -18,7 +18,7 @@ const downloadFile = (response, filename) => {
   window.URL.revokeObjectURL(link.href);
 };
 
-const MonthlyReport = () => {
+const MonthlyReport = ({ branchId }) => {
   const { t } = useTranslation();
   const [loading, setLoading] = useState(false);
   const [exporting, setExporting] = useState(false);
@@ -51,7 +51,7 @@ const MonthlyReport = () => {
 
   useEffect(() => {
     fetchReport();
-  }, [filters]);
+  }, [filters, branchId]);
 
   const fetchEmployees = async () => {
     try {
@@ -69,7 +69,8 @@ const MonthlyReport = () => {
       const data = await reportService.getMonthlyReport(
         filters.year,
         filters.month,
-        filters.employeeId || undefined
+        filters.employeeId || undefined,
+        branchId || undefined
       );
       setReport(data);
     } catch (error) {
@@ -87,7 +88,7 @@ const MonthlyReport = () => {
     setExporting(true);
     setExportDropdownOpen(false);
     try {
-      const response = await reportService.exportMonthlyReport(filters.year, filters.month, format);
+      const response = await reportService.exportMonthlyReport(filters.year, filters.month, format, branchId || undefined);
       const extension = format === 'xlsx' ? 'xlsx' : format === 'csv' ? 'csv' : 'pdf';
       const monthStr = String(filters.month).padStart(2, '0');
       const filename = `monthly-report-${filters.year}-${monthStr}.${extension}`;
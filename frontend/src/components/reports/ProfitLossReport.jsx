@@ -17,7 +17,7 @@ const downloadFile = (response, filename) => {
   window.URL.revokeObjectURL(link.href);
 };
 
-const ProfitLossReport = () => {
+const ProfitLossReport = ({ branchId }) => {
   const { t } = useTranslation();
   const [loading, setLoading] = useState(false);
   const [exporting, setExporting] = useState(false);
@@ -51,16 +51,17 @@ const ProfitLossReport = () => {
 
   useEffect(() => {
     fetchReport();
-  }, []);
+  }, [branchId]);
 
   const fetchReport = async () => {
     setLoading(true);
     try {
       const data = await reportService.getProfitLossReport(
         filters.startDate,
-        filters.endDate
+        filters.endDate,
+        branchId ? { branchId } : {}
       );
-      setReport(data);
+      setReport(data.success ? data.data : null);
     } catch (error) {
       console.error('Failed to fetch profit/loss report:', error);
       toast.error(t('reports.fetchError'));
@@ -80,7 +81,8 @@ const ProfitLossReport = () => {
       const response = await reportService.exportProfitLossReport(
         filters.startDate,
         filters.endDate,
-        format
+        format,
+        branchId || undefined
       );
       const extension = format === 'xlsx' ? 'xlsx' : format === 'csv' ? 'csv' : 'pdf';
       const filename = `profit-loss-${filters.startDate}-to-${filters.endDate}.${extension}`;
@@ -101,7 +103,8 @@ const ProfitLossReport = () => {
       const response = await reportService.exportTransactionsReport(
         filters.startDate,
         filters.endDate,
-        format
+        format,
+        branchId || undefined
       );
       const extension = format === 'xlsx' ? 'xlsx' : format === 'csv' ? 'csv' : 'pdf';
       const filename = `transactions-${filters.startDate}-to-${filters.endDate}.${extension}`;
@@ -141,6 +144,69 @@ const ProfitLossReport = () => {
     }
   ];
 
+  // Fees are charged in the currency received, so commission is broken out per currency
+  const commissionColumns = [
+    {
+      header: t('reports.currency'),
+      accessor: 'currencyCode'
+    },
+    {
+      header: t('transactions.paymentMethod'),
+      accessor: 'paymentMethod',
+      render: (value) => t(`transactions.paymentMethods.${value}`)
+    },
+    {
+      header: t('fees.schedule'),
+      accessor: 'feeSchedule',
+      render: (value) => value?.name || <span className="text-gray-500">{t('fees.manual')}</span>
+    },
+    {
+      header: t('reports.transactions'),
+      accessor: 'transactions'
+    },
+    {
+      header: t('reports.commission'),
+      accessor: 'commission',
+      render: (value, row) => (
+        <span className="font-semibold text-green-600">
+          {value?.toLocaleString() || '0'} {row.currencyCode}
+        </span>
+      )
+    }
+  ];
+
+  // Open positions at weighted average cost against their current value
+  const positionColumns = [
+    {
+      header: t('reports.currency'),
+      accessor: 'currencyCode'
+    },
+    {
+      header: t('reports.quantity'),
+      accessor: 'quantity',
+      render: (value) => value?.toLocaleString()
+    },
+    {
+      header: t('reports.avgCost'),
+      accessor: 'avgCost',
+      render: (value) => <span className="font-mono">{value}</span>
+    },
+    {
+      header: t('reports.currentRate'),
+      accessor: 'currentRate',
+      render: (value) => <span className="font-mono">{value ?? '-'}</span>
+    },
+    {
+      header: t('reports.unrealizedProfit'),
+      accessor: 'unrealizedProfit',
+      render: (value) => (
+        <span className={value >= 0 ? 'text-green-600 font-semibold' : 'text-red-600 font-semibold'}>
+          {value?.toLocaleString() || '0'}
+        </span>
+      )
+    }
+  ];
+
   const chartData = report?.dailyProfitLoss?.map(day => ({
     date: day.date,
     profit: day.profit,
@@ -261,19 +327,30 @@ const ProfitLossReport = () => {
           <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
             <StatCard
               title={t('reports.totalTransactions')}
-              value={report.totalTransactions?.toLocaleString() || '0'}
+              value={report.summary?.totalTransactions?.toLocaleString() || '0'}
             />
             <StatCard
               title={t('reports.totalIn')}
-              value={`${report.totalRevenue?.toLocaleString() || '0'} ${report.baseCurrency || ''}`}
+              value={report.summary?.totalRevenue?.toLocaleString() || '0'}
             />
             <StatCard
-              title={t('reports.totalOut')}
-              value={`${report.totalExpenses?.toLocaleString() || '0'} ${report.baseCurrency || ''}`}
+              title={t('reports.commission')}
+              value={report.summary?.totalCommission?.toLocaleString() || '0'}
             />
             <StatCard
               title={t('reports.netProfit')}
-              value={`${report.netProfit?.toLocaleString() || '0'} ${report.baseCurrency || ''}`}
+              value={report.summary?.netProfit?.toLocaleString() || '0'}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <StatCard
+              title={t('reports.realizedProfit')}
+              value={`${report.summary?.realizedProfit?.toLocaleString() || '0'} ${report.summary?.baseCurrency || ''}`}
+            />
+            <StatCard
+              title={t('reports.unrealizedProfit')}
+              value={`${report.summary?.unrealizedProfit?.toLocaleString() || '0'} ${report.summary?.baseCurrency || ''}`}
             />
           </div>
 
@@ -344,6 +421,26 @@ const ProfitLossReport = () => {
               emptyMessage={t('reports.noData')}
             />
           </Card>
+
+          {/* Open Positions Table */}
+          <Card title={t('reports.openPositions')}>
+            <Table
+              columns={positionColumns}
+              data={report.positions || []}
+              loading={loading}
+              emptyMessage={t('reports.noData')}
+            />
+          </Card>
+
+          {/* Commission Breakdown Table */}
+          <Card title={t('reports.commissionBreakdown')}>
+            <Table
+              columns={commissionColumns}
+              data={report.commissionBreakdown || []}
+              loading={loading}
+              emptyMessage={t('reports.noData')}
+            />
+          </Card>
         </>
       ) : null}
     </div>
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import reportService from '../../services/reportService';
+import { Button, Card, StatCard, Table } from '../common';
+import { Loading } from '../common';
+
+const QuoteConversionReport = ({ branchId }) => {
+  const { t } = useTranslation();
+  const [loading, setLoading] = useState(false);
+  const [report, setReport] = useState(null);
+
+  // Default to the current month, like the API
+  const getDefaultDates = () => {
+    const today = new Date();
+    const startDate = new Date(today.getFullYear(), today.getMonth(), 1);
+    return {
+      startDate: startDate.toISOString().split('T')[0],
+      endDate: today.toISOString().split('T')[0]
+    };
+  };
+
+  const [filters, setFilters] = useState(getDefaultDates());
+
+  useEffect(() => {
+    fetchReport();
+  }, [branchId]);
+
+  const fetchReport = async () => {
+    setLoading(true);
+    try {
+      const response = await reportService.getQuoteConversion(
+        filters.startDate,
+        filters.endDate,
+        branchId || undefined
+      );
+      setReport(response.success ? response.data : null);
+    } catch (error) {
+      console.error('Failed to fetch quote conversion report:', error);
+      toast.error(t('reports.fetchError'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const formatDuration = (seconds) => {
+    if (seconds === null || seconds === undefined) return '-';
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  };
+
+  const countColumns = [
+    {
+      header: t('reports.quotes'),
+      accessor: 'quotes'
+    },
+    {
+      header: t('reports.converted'),
+      accessor: 'converted'
+    },
+    {
+      header: t('reports.expiredQuotes'),
+      accessor: 'expired'
+    },
+    {
+      header: t('reports.conversionRate'),
+      accessor: 'conversionRate',
+      render: (value) => <span className="font-semibold">{value}%</span>
+    },
+    {
+      header: t('reports.avgTimeToDeal'),
+      accessor: 'avgSecondsToDeal',
+      render: (value) => formatDuration(value)
+    }
+  ];
+
+  const employeeColumns = [
+    { header: t('reports.employee'), accessor: 'name' },
+    ...countColumns
+  ];
+
+  const pairColumns = [
+    {
+      header: t('currencies.currencyPair'),
+      accessor: 'pair',
+      render: (value) => <span className="font-mono font-medium">{value}</span>
+    },
+    ...countColumns
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <Card>
+        <div className="flex flex-wrap gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t('reports.startDate')}
+            </label>
+            <input
+              type="date"
+              value={filters.startDate}
+              onChange={(e) => handleFilterChange('startDate', e.target.value)}
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t('reports.endDate')}
+            </label>
+            <input
+              type="date"
+              value={filters.endDate}
+              onChange={(e) => handleFilterChange('endDate', e.target.value)}
+              className="input-field"
+            />
+          </div>
+          <Button onClick={fetchReport} loading={loading}>
+            {t('reports.generateReport')}
+          </Button>
+        </div>
+      </Card>
+
+      {loading && !report ? (
+        <Loading size="lg" className="py-12" />
+      ) : report ? (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+            <StatCard
+              title={t('reports.quotes')}
+              value={report.summary.quotes.toLocaleString()}
+            />
+            <StatCard
+              title={t('reports.converted')}
+              value={report.summary.converted.toLocaleString()}
+            />
+            <StatCard
+              title={t('reports.conversionRate')}
+              value={`${report.summary.conversionRate}%`}
+            />
+            <StatCard
+              title={t('reports.avgTimeToDeal')}
+              value={formatDuration(report.summary.avgSecondsToDeal)}
+            />
+          </div>
+
+          <Card title={t('reports.conversionByEmployee')}>
+            <Table
+              columns={employeeColumns}
+              data={report.byEmployee}
+              emptyMessage={t('reports.noQuotes')}
+            />
+          </Card>
+
+          <Card title={t('reports.conversionByPair')}>
+            <Table
+              columns={pairColumns}
+              data={report.byPair}
+              emptyMessage={t('reports.noQuotes')}
+            />
+          </Card>
+        </>
+      ) : null}
+    </div>
+  );
+};
+
+export default QuoteConversionReport;
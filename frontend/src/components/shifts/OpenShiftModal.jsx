@@ -30,12 +30,17 @@ const OpenShiftModal = ({ isOpen, onClose, onSuccess }) => {
       setLoading(true);
       const [currenciesRes, drawersRes] = await Promise.all([
         currencyService.getCurrencies(true),
-        cashDrawerService ? cashDrawerService.getDrawers().catch(() => ({ success: true, data: [] })) : Promise.resolve({ success: true, data: [] })
+        cashDrawerService.getDrawers({ active: true, available: true }).catch(() => ({ success: true, data: [] }))
       ]);
 
       const currenciesData = currenciesRes.success ? currenciesRes.data : [];
       setCurrencies(currenciesData);
-      setCashDrawers(drawersRes?.data || []);
+
+      // Preselect the drawer assigned to this user
+      const drawersData = drawersRes?.data || [];
+      setCashDrawers(drawersData);
+      const ownDrawer = drawersData.find(d => d.isMine) || drawersData[0];
+      setSelectedDrawer(ownDrawer ? ownDrawer.uuid : '');
 
       // Initialize with main currencies (USD, IQD, EUR if available)
       const mainCurrencyCodes = ['USD', 'IQD', 'EUR'];
@@ -143,21 +148,22 @@ const OpenShiftModal = ({ isOpen, onClose, onSuccess }) => {
       ) : (
         <form onSubmit={handleSubmit} className={`space-y-6 ${isRTL ? 'rtl' : 'ltr'}`}>
           {/* Cash Drawer Selection */}
-          {cashDrawers.length > 0 && (
+          {cashDrawers.length > 0 ? (
             <div>
               <Select
                 label={t('shifts.selectCashDrawer') || 'Select Cash Drawer'}
                 value={selectedDrawer}
                 onChange={(e) => setSelectedDrawer(e.target.value)}
-                options={[
-                  { value: '', label: t('common.none') || 'None' },
-                  ...cashDrawers.map(d => ({
-                    value: d.uuid,
-                    label: d.name
-                  }))
-                ]}
+                options={cashDrawers.map(d => ({
+                  value: d.uuid,
+                  label: d.isShared ? `${d.name} (${t('cashDrawers.shared')})` : d.name
+                }))}
               />
             </div>
+          ) : (
+            <p className="text-sm text-yellow-700 bg-yellow-50 rounded p-3">
+              {t('shifts.noDrawerAssigned')}
+            </p>
           )}
 
           {/* Opening Balances */}
@@ -249,7 +255,7 @@ const OpenShiftModal = ({ isOpen, onClose, onSuccess }) => {
             </Button>
             <Button
               type="submit"
-              disabled={submitting}
+              disabled={submitting || !selectedDrawer}
             >
               {submitting ? (
                 <Loading size="sm" />
@@ -2,44 +2,70 @@ import React, { useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
 import transactionService from '../../services/transactionService';
 import currencyService from '../../services/currencyService';
+import feeScheduleService from '../../services/feeScheduleService';
 import { Button, Input, Select, Modal } from '../common';
 import toast from 'react-hot-toast';
-import { CalculatorIcon } from '@heroicons/react/24/outline';
+import { CalculatorIcon, LockClosedIcon } from '@heroicons/react/24/outline';
 
 const TransactionForm = ({ isOpen, onClose, onSuccess }) => {
   const { t } = useTranslation();
   const [currencies, setCurrencies] = useState([]);
-  const [exchangeRates, setExchangeRates] = useState([]);
+  // Quote behind the auto-filled rate, kept to flag derived cross rates
+  const [quote, setQuote] = useState(null);
+  // Rate locked with POST /transactions/quote; dropped as soon as the deal changes
+  const [lockedQuote, setLockedQuote] = useState(null);
+  const [locking, setLocking] = useState(false);
+  // Commission the fee engine will charge, in the currency received
+  const [fee, setFee] = useState(null);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
+  // Set when the server rejects the rate as out of tolerance; a reason then sends it for approval
+  const [rateCheck, setRateCheck] = useState(null);
   const [formData, setFormData] = useState({
     customerName: '',
     customerPhone: '',
+    customerIdType: '',
+    customerIdNumber: '',
+    fundedByName: '',
+    fundedByIdNumber: '',
     currencyInId: '',
     currencyOutId: '',
     amountIn: '',
     exchangeRate: '',
     amountOut: '',
-    notes: ''
+    paymentMethod: 'cash',
+    notes: '',
+    rateOverrideReason: ''
   });
 
   useEffect(() => {
     if (isOpen) {
       fetchCurrencies();
-      fetchExchangeRates();
       resetForm();
     }
   }, [isOpen]);
 
   useEffect(() => {
     // Auto-populate exchange rate when currencies change
-    if (formData.currencyInId && formData.currencyOutId && exchangeRates.length > 0) {
-      const rate = findExchangeRate(formData.currencyInId, formData.currencyOutId);
-      if (rate) {
-        setFormData(prev => ({ ...prev, exchangeRate: rate.toString() }));
-      }
+    setQuote(null);
+    if (formData.currencyInId && formData.currencyOutId && formData.currencyInId !== formData.currencyOutId) {
+      fetchQuote(formData.currencyInId, formData.currencyOutId);
     }
-  }, [formData.currencyInId, formData.currencyOutId, exchangeRates]);
+  }, [formData.currencyInId, formData.currencyOutId]);
+
+  useEffect(() => {
+    // Preview the commission once typing pauses
+    setFee(null);
+    const amountIn = parseFloat(formData.amountIn);
+    if (!formData.currencyInId || !formData.currencyOutId || isNaN(amountIn) || amountIn <= 0) {
+      return undefined;
+    }
+    const timer = setTimeout(
+      () => fetchFee(formData.currencyInId, formData.currencyOutId, amountIn, formData.paymentMethod),
+      400
+    );
+    return () => clearTimeout(timer);
+  }, [formData.currencyInId, formData.currencyOutId, formData.amountIn, formData.paymentMethod]);
 
   const fetchCurrencies = async () => {
     try {
@@ -52,37 +78,61 @@ const TransactionForm = ({ isOpen, onClose, onSuccess }) => {
     }
   };
 
-  const fetchExchangeRates = async () => {
+  const fetchQuote = async (currencyInId, currencyOutId) => {
     try {
-      const response = await currencyService.getExchangeRates();
+      const response = await currencyService.getQuote({
+        fromCurrencyId: currencyInId,
+        toCurrencyId: currencyOutId,
+        side: 'sell'
+      });
       if (response.success) {
-        setExchangeRates(response.data);
+        setQuote(response.data);
+        setFormData(prev => ({ ...prev, exchangeRate: response.data.rate.toString() }));
       }
     } catch (error) {
-      console.error('Failed to fetch exchange rates:', error);
+      // No rate for the pair: the teller enters one by hand
+      console.error('Failed to fetch quote:', error);
     }
   };
 
-  const findExchangeRate = (currencyInId, currencyOutId) => {
-    const rate = exchangeRates.find(
-      r => r.fromCurrencyId === parseInt(currencyInId) &&
-           r.toCurrencyId === parseInt(currencyOutId)
-    );
-    return rate?.sellRate || rate?.rate || null;
+  const fetchFee = async (currencyInId, currencyOutId, amountIn, paymentMethod) => {
+    try {
+      const response = await feeScheduleService.previewFee({
+        currencyInId,
+        currencyOutId,
+        amountIn,
+        paymentMethod
+      });
+      if (response.success) {
+        setFee(response.data);
+      }
+    } catch (error) {
+      console.error('Failed to preview fee:', error);
+    }
   };
 
   const resetForm = () => {
     setFormData({
       customerName: '',
       customerPhone: '',
+      customerIdType: '',
+      customerIdNumber: '',
+      fundedByName: '',
+      fundedByIdNumber: '',
       currencyInId: '',
       currencyOutId: '',
       amountIn: '',
       exchangeRate: '',
       amountOut: '',
-      notes: ''
+      paymentMethod: 'cash',
+      notes: '',
+      rateOverrideReason: ''
     });
     setErrors({});
+    setRateCheck(null);
+    setQuote(null);
+    setLockedQuote(null);
+    setFee(null);
   };
 
   const handleChange = (field, value) => {
@@ -90,6 +140,12 @@ const TransactionForm = ({ isOpen, onClose, onSuccess }) => {
     if (errors[field]) {
       setErrors(prev => ({ ...prev, [field]: null }));
     }
+    if (['currencyInId', 'currencyOutId', 'amountIn', 'exchangeRate', 'paymentMethod'].includes(field)) {
+      setLockedQuote(null);
+    }
+    if (['currencyInId', 'currencyOutId', 'exchangeRate'].includes(field)) {
+      setRateCheck(null);
+    }
   };
 
   const handleCalculate = () => {
@@ -107,6 +163,39 @@ const TransactionForm = ({ isOpen, onClose, onSuccess }) => {
     }
   };
 
+  const handleLockRate = async () => {
+    const amountIn = parseFloat(formData.amountIn);
+    if (!formData.currencyInId || !formData.currencyOutId || isNaN(amountIn) || amountIn <= 0) {
+      toast.error(t('transactions.enterAmount'));
+      return;
+    }
+
+    setLocking(true);
+    try {
+      const response = await transactionService.createQuote({
+        currencyInId: parseInt(formData.currencyInId),
+        currencyOutId: parseInt(formData.currencyOutId),
+        amountIn,
+        paymentMethod: formData.paymentMethod
+      });
+      if (response.success) {
+        setLockedQuote(response.data);
+        setRateCheck(null);
+        setFormData(prev => ({
+          ...prev,
+          exchangeRate: response.data.exchangeRate.toString(),
+          amountOut: response.data.amountOut.toFixed(2)
+        }));
+        toast.success(t('transactions.rateLocked'));
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+      console.error('Failed to lock rate:', error);
+    } finally {
+      setLocking(false);
+    }
+  };
+
   const validate = () => {
     const newErrors = {};
 
@@ -128,6 +217,9 @@ const TransactionForm = ({ isOpen, onClose, onSuccess }) => {
     if (!formData.amountOut || parseFloat(formData.amountOut) < 0) {
       newErrors.amountOut = t('validation.positiveNumber');
     }
+    if (rateCheck && formData.rateOverrideReason.trim().length < 5) {
+      newErrors.rateOverrideReason = t('transactions.overrideReasonRequired');
+    }
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -145,21 +237,46 @@ const TransactionForm = ({ isOpen, onClose, onSuccess }) => {
       const payload = {
         customerName: formData.customerName.trim(),
         customerPhone: formData.customerPhone.trim() || null,
+        customerIdType: formData.customerIdType || undefined,
+        customerIdNumber: formData.customerIdNumber.trim() || undefined,
+        fundedByName: formData.fundedByName.trim() || undefined,
+        fundedByIdNumber: formData.fundedByIdNumber.trim() || undefined,
         currencyInId: parseInt(formData.currencyInId),
         currencyOutId: parseInt(formData.currencyOutId),
         amountIn: parseFloat(formData.amountIn),
         exchangeRate: parseFloat(formData.exchangeRate),
         amountOut: parseFloat(formData.amountOut),
-        notes: formData.notes.trim() || null
+        paymentMethod: formData.paymentMethod,
+        notes: formData.notes.trim() || null,
+        rateOverrideReason: rateCheck ? formData.rateOverrideReason.trim() : undefined,
+        quoteId: lockedQuote ? lockedQuote.quoteId : undefined
       };
 
       const response = await transactionService.createTransaction(payload);
       if (response.success) {
-        toast.success(t('transactions.transactionCreated'));
+        if (response.data?.status === 'pending') {
+          toast.success(t('transactions.heldForApproval'));
+        } else {
+          toast.success(t('transactions.transactionCreated'));
+        }
         onSuccess?.();
         onClose();
       }
     } catch (error) {
+      if (error.response?.data?.data?.rateCheck) {
+        setRateCheck(error.response.data.data.rateCheck);
+      }
+      const serverErrors = error.response?.data?.errors;
+      // An expired or used quote cannot be retried; the teller locks a new one
+      if (Array.isArray(serverErrors) && serverErrors.some(err => err.field === 'quoteId')) {
+        setLockedQuote(null);
+      }
+      if (Array.isArray(serverErrors)) {
+        setErrors(prev => ({
+          ...prev,
+          ...Object.fromEntries(serverErrors.map(err => [err.field, err.message]))
+        }));
+      }
       toast.error(error.response?.data?.message || t('common.error'));
       console.error('Failed to create transaction:', error);
     } finally {
@@ -167,6 +284,20 @@ const TransactionForm = ({ isOpen, onClose, onSuccess }) => {
     }
   };
 
+  const idTypeOptions = [
+    { value: 'passport', label: t('customers.idTypes.passport') },
+    { value: 'national_id', label: t('customers.idTypes.national_id') },
+    { value: 'driver_license', label: t('customers.idTypes.driving_license') },
+    { value: 'other', label: t('customers.idTypes.other') }
+  ];
+
+  const paymentMethodOptions = ['cash', 'card', 'bank_transfer', 'cheque', 'other'].map(method => ({
+    value: method,
+    label: t(`transactions.paymentMethods.${method}`)
+  }));
+
+  const currencyCodeIn = currencies.find(c => c.id.toString() === formData.currencyInId)?.code;
+
   const currencyOptions = currencies.map(c => ({
     value: c.id.toString(),
     label: `${c.code} - ${c.name}`
@@ -199,6 +330,45 @@ const TransactionForm = ({ isOpen, onClose, onSuccess }) => {
           />
         </div>
 
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {/* Customer ID Type */}
+          <Select
+            label={t('transactions.customerIdType')}
+            options={idTypeOptions}
+            placeholder={t('transactions.selectIdType')}
+            value={formData.customerIdType}
+            onChange={(e) => handleChange('customerIdType', e.target.value)}
+            error={errors.customerIdType}
+          />
+
+          {/* Customer ID Number */}
+          <Input
+            label={t('transactions.customerIdNumber')}
+            value={formData.customerIdNumber}
+            onChange={(e) => handleChange('customerIdNumber', e.target.value)}
+            error={errors.customerIdNumber}
+            placeholder={t('transactions.customerIdNumber')}
+          />
+        </div>
+
+        {/* Third party paying for the customer */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <Input
+            label={t('transactions.fundedByName')}
+            value={formData.fundedByName}
+            onChange={(e) => handleChange('fundedByName', e.target.value)}
+            error={errors.fundedByName}
+            placeholder={t('transactions.fundedByPlaceholder')}
+          />
+          <Input
+            label={t('transactions.fundedByIdNumber')}
+            value={formData.fundedByIdNumber}
+            onChange={(e) => handleChange('fundedByIdNumber', e.target.value)}
+            error={errors.fundedByIdNumber}
+            disabled={!formData.fundedByName.trim()}
+          />
+        </div>
+
         <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
           {/* Currency In */}
           <Select
@@ -261,8 +431,37 @@ const TransactionForm = ({ isOpen, onClose, onSuccess }) => {
           </div>
         </div>
 
-        {/* Calculate Button */}
-        <div className="flex justify-center">
+        {quote?.derived && (
+          <p className="-mt-2 text-xs text-amber-600">
+            {t('transactions.rateDerivedVia', { currency: quote.via })}
+          </p>
+        )}
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          {/* Payment Method */}
+          <Select
+            label={t('transactions.paymentMethod')}
+            options={paymentMethodOptions}
+            value={formData.paymentMethod}
+            onChange={(e) => handleChange('paymentMethod', e.target.value)}
+            error={errors.paymentMethod}
+          />
+
+          {/* Commission from the fee schedules, or the one locked with the rate */}
+          <div className="sm:col-span-2 flex items-end pb-2 text-sm text-gray-700">
+            {lockedQuote ? (
+              <span>{t('transactions.feeLocked', { amount: lockedQuote.commission, currency: currencyCodeIn })}</span>
+            ) : fee ? (
+              <span>
+                {t('transactions.feePreview', { amount: fee.commission, currency: currencyCodeIn })}
+                {fee.schedule && <span className="text-gray-500"> ({fee.schedule.name})</span>}
+              </span>
+            ) : null}
+          </div>
+        </div>
+
+        {/* Calculate and lock rate */}
+        <div className="flex justify-center gap-2">
           <Button
             type="button"
             variant="secondary"
@@ -272,7 +471,54 @@ const TransactionForm = ({ isOpen, onClose, onSuccess }) => {
             <CalculatorIcon className="h-4 w-4 mr-2 rtl:mr-0 rtl:ml-2" />
             {t('transactions.calculate')}
           </Button>
+          <Button
+            type="button"
+            variant="secondary"
+            size="sm"
+            onClick={handleLockRate}
+            loading={locking}
+          >
+            <LockClosedIcon className="h-4 w-4 mr-2 rtl:mr-0 rtl:ml-2" />
+            {t('transactions.lockRate')}
+          </Button>
         </div>
+        {lockedQuote && (
+          <p className="text-center text-sm text-green-700">
+            {t('transactions.rateLockedUntil', {
+              rate: lockedQuote.exchangeRate,
+              time: new Date(lockedQuote.expiresAt).toLocaleTimeString()
+            })}
+          </p>
+        )}
+
+        {/* Rate override */}
+        {rateCheck && (
+          <div className="rounded-lg border border-amber-200 bg-amber-50 p-4 space-y-3">
+            <p className="text-sm text-amber-800">
+              {t('transactions.rateOutOfTolerance', {
+                min: rateCheck.minRate,
+                max: rateCheck.maxRate,
+                official: rateCheck.officialRate,
+                deviation: rateCheck.deviationPercent
+              })}
+            </p>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {t('transactions.overrideReason')} *
+              </label>
+              <textarea
+                className="input-field min-h-[60px]"
+                value={formData.rateOverrideReason}
+                onChange={(e) => handleChange('rateOverrideReason', e.target.value)}
+                placeholder={t('transactions.overrideReasonPlaceholder')}
+                rows={2}
+              />
+              {errors.rateOverrideReason && (
+                <p className="mt-1 text-sm text-red-600">{errors.rateOverrideReason}</p>
+              )}
+            </div>
+          </div>
+        )}
 
         {/* Notes */}
         <div>
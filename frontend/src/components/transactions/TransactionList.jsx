@@ -11,7 +11,7 @@ import ReceiptActions from './ReceiptActions';
 
 const TransactionList = ({ onRefresh }) => {
   const { t } = useTranslation();
-  const { isAdmin } = useAuth();
+  const { hasPermission } = useAuth();
   const navigate = useNavigate();
   const [transactions, setTransactions] = useState([]);
   const [currencies, setCurrencies] = useState([]);
@@ -113,7 +113,7 @@ const TransactionList = ({ onRefresh }) => {
         toast.error(response.message || t('common.error'));
       }
     } catch (error) {
-      toast.error(t('common.error'));
+      toast.error(error.response?.data?.message || t('common.error'));
       console.error('Failed to cancel transaction:', error);
     } finally {
       setActionLoading(false);
@@ -141,7 +141,7 @@ const TransactionList = ({ onRefresh }) => {
         toast.error(response.message || t('common.error'));
       }
     } catch (error) {
-      toast.error(t('common.error'));
+      toast.error(error.response?.data?.message || t('common.error'));
       console.error('Failed to delete transaction:', error);
     } finally {
       setActionLoading(false);
@@ -154,11 +154,13 @@ const TransactionList = ({ onRefresh }) => {
   const StatusBadge = ({ status }) => {
     const statusStyles = {
       completed: 'bg-green-100 text-green-800',
+      pending: 'bg-yellow-100 text-yellow-800',
       cancelled: 'bg-red-100 text-red-800'
     };
 
     const statusLabels = {
       completed: t('transactions.completed'),
+      pending: t('transactions.pending'),
       cancelled: t('transactions.cancelled')
     };
 
@@ -173,6 +175,7 @@ const TransactionList = ({ onRefresh }) => {
   const statusOptions = [
     { value: '', label: t('common.all') },
     { value: 'completed', label: t('transactions.completed') },
+    { value: 'pending', label: t('transactions.pending') },
     { value: 'cancelled', label: t('transactions.cancelled') }
   ];
 
@@ -291,7 +294,7 @@ const TransactionList = ({ onRefresh }) => {
               <XCircleIcon className="h-5 w-5" />
             </button>
           )}
-          {isAdmin() && (
+          {hasPermission('transactions.delete') && (
             <button
               onClick={() => handleDeleteClick(row)}
               className="p-1 text-red-600 hover:text-red-800 hover:bg-red-50 rounded"
@@ -35,6 +35,25 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, []);
 
+  // Permissions can change while the user stays signed in; refresh them from the profile
+  const userUuid = user?.uuid;
+  useEffect(() => {
+    if (!userUuid) {
+      return;
+    }
+
+    authService.getProfile()
+      .then((result) => {
+        if (result.success) {
+          localStorage.setItem('user', JSON.stringify(result.data));
+          setUser(result.data);
+        }
+      })
+      .catch((error) => {
+        console.error('Failed to refresh profile:', error);
+      });
+  }, [userUuid]);
+
   // Proactive token refresh function
   const checkAndRefreshToken = useCallback(async () => {
     // Skip if already refreshing or no user
@@ -105,14 +124,30 @@ export const AuthProvider = ({ children }) => {
   }, []);
 
   // Login function
+  // Returns the two-factor challenge as is; the user is set once verifyTwoFactor succeeds
   const login = async (username, password) => {
     const result = await authService.login(username, password);
-    if (result.success) {
+    if (result.success && result.data.user) {
       setUser(result.data.user);
     }
     return result;
   };
 
+  // Second login step
+  // After setup during login the session starts with completeLogin, once the
+  // recovery codes have been shown
+  const verifyTwoFactor = async (challengeToken, codes) => {
+    const result = await authService.verifyTwoFactor(challengeToken, codes);
+    if (result.success && !result.data.recoveryCodes) {
+      setUser(result.data.user);
+    }
+    return result;
+  };
+
+  const completeLogin = () => {
+    setUser(authService.getCurrentUser());
+  };
+
   // Logout function
   const logout = async () => {
     // Clear refresh interval
@@ -133,6 +168,21 @@ export const AuthProvider = ({ children }) => {
     return user?.role === 'admin';
   };
 
+  // Check if user can review held transactions
+  const isManager = () => {
+    return user?.role === 'admin' || user?.role === 'manager';
+  };
+
+  // Admins without a branch see every branch and may switch between them
+  const isAllBranches = () => {
+    return user?.role === 'admin' && !user?.branch;
+  };
+
+  // Check a permission code; admins hold every permission
+  const hasPermission = (code) => {
+    return user?.role === 'admin' || Boolean(user?.permissions?.includes(code));
+  };
+
   // Manual token refresh (can be called from components if needed)
   const refreshToken = async () => {
     if (isRefreshingRef.current) {
@@ -161,8 +211,13 @@ export const AuthProvider = ({ children }) => {
     user,
     loading,
     login,
+    verifyTwoFactor,
+    completeLogin,
     logout,
     isAdmin,
+    isManager,
+    isAllBranches,
+    hasPermission,
     isAuthenticated: !!user,
     refreshToken,
     getTokenInfo
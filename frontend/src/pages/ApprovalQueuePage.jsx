@@ -0,0 +1,287 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Link } from 'react-router-dom';
+import transactionService from '../services/transactionService';
+import { Button, Table, Pagination, ConfirmDialog } from '../components/common';
+import toast from 'react-hot-toast';
+import {
+  ArrowPathIcon,
+  CheckCircleIcon,
+  XCircleIcon,
+  EyeIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+
+const ApprovalQueuePage = () => {
+  const { t } = useTranslation();
+  const [transactions, setTransactions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, totalPages: 1 });
+
+  // Approve/Reject dialog states
+  const [approveDialogOpen, setApproveDialogOpen] = useState(false);
+  const [rejectDialogOpen, setRejectDialogOpen] = useState(false);
+  const [selectedTransaction, setSelectedTransaction] = useState(null);
+  const [actionLoading, setActionLoading] = useState(false);
+
+  const fetchQueue = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await transactionService.getApprovalQueue({
+        page: pagination.page,
+        limit: pagination.limit
+      });
+      if (response.success) {
+        setTransactions(response.data);
+        setPagination(prev => ({ ...prev, ...response.pagination }));
+      }
+    } catch (error) {
+      toast.error(t('common.error'));
+      console.error('Failed to fetch approval queue:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [pagination.page, pagination.limit, t]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  const closeDialogs = () => {
+    setApproveDialogOpen(false);
+    setRejectDialogOpen(false);
+    setSelectedTransaction(null);
+  };
+
+  const handleApproveClick = (transaction) => {
+    setSelectedTransaction(transaction);
+    setApproveDialogOpen(true);
+  };
+
+  const handleRejectClick = (transaction) => {
+    setSelectedTransaction(transaction);
+    setRejectDialogOpen(true);
+  };
+
+  const handleApproveConfirm = async (notes) => {
+    if (!selectedTransaction) return;
+
+    setActionLoading(true);
+    try {
+      const response = await transactionService.approveTransaction(selectedTransaction.uuid, notes);
+      if (response.success) {
+        toast.success(t('approvals.approved'));
+        fetchQueue();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+      console.error('Failed to approve transaction:', error);
+    } finally {
+      setActionLoading(false);
+      closeDialogs();
+    }
+  };
+
+  const handleRejectConfirm = async (reason) => {
+    if (!selectedTransaction) return;
+
+    setActionLoading(true);
+    try {
+      const response = await transactionService.rejectTransaction(selectedTransaction.uuid, reason);
+      if (response.success) {
+        toast.success(t('approvals.rejected'));
+        fetchQueue();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+      console.error('Failed to reject transaction:', error);
+    } finally {
+      setActionLoading(false);
+      closeDialogs();
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount || 0);
+  };
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString();
+  };
+
+  const columns = [
+    {
+      header: t('transactions.date'),
+      accessor: 'transactionDate',
+      render: (value) => (
+        <span className="text-gray-600 text-sm">{formatDateTime(value)}</span>
+      )
+    },
+    {
+      header: t('transactions.customerName'),
+      accessor: 'customerName',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium text-gray-900">{value}</p>
+          {row.customerPhone && (
+            <p className="text-sm text-gray-500">{row.customerPhone}</p>
+          )}
+        </div>
+      )
+    },
+    {
+      header: t('transactions.amountIn'),
+      accessor: 'amountIn',
+      render: (value, row) => (
+        <span className="text-green-600 font-medium">
+          {formatCurrency(value)} {row.currencyIn?.code}
+        </span>
+      )
+    },
+    {
+      header: t('transactions.amountOut'),
+      accessor: 'amountOut',
+      render: (value, row) => (
+        <span className="text-red-600 font-medium">
+          {formatCurrency(value)} {row.currencyOut?.code}
+        </span>
+      )
+    },
+    {
+      header: t('approvals.reason'),
+      accessor: 'flagReason',
+      render: (value, row) => (
+        <div className="flex items-start gap-1 max-w-xs">
+          {row.alertCount > 0 && (
+            <ExclamationTriangleIcon className="h-4 w-4 text-yellow-500 flex-shrink-0 mt-0.5" />
+          )}
+          <div>
+            <span className="text-sm text-gray-600">{value || '-'}</span>
+            {row.rateOverride && (
+              <p className="mt-1 text-xs font-medium text-amber-700">
+                {t('approvals.rateOverride', {
+                  rate: row.exchangeRate,
+                  official: row.rateOverride.officialRate,
+                  deviation: row.rateOverride.deviationPercent
+                })}
+              </p>
+            )}
+          </div>
+        </div>
+      )
+    },
+    {
+      header: t('approvals.requestedBy'),
+      accessor: 'employee',
+      render: (value) => (
+        <span className="text-gray-500">{value?.fullName}</span>
+      )
+    },
+    {
+      header: t('common.actions'),
+      accessor: 'actions',
+      render: (_, row) => (
+        <div className="flex items-center gap-2">
+          <Link
+            to={`/transactions/${row.uuid}`}
+            className="p-1 text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded"
+            title={t('transactions.viewDetails')}
+          >
+            <EyeIcon className="h-5 w-5" />
+          </Link>
+          {row.canReview ? (
+            <>
+              <button
+                onClick={() => handleApproveClick(row)}
+                className="p-1 text-green-600 hover:text-green-800 hover:bg-green-50 rounded"
+                title={t('approvals.approve')}
+              >
+                <CheckCircleIcon className="h-5 w-5" />
+              </button>
+              <button
+                onClick={() => handleRejectClick(row)}
+                className="p-1 text-red-600 hover:text-red-800 hover:bg-red-50 rounded"
+                title={t('approvals.reject')}
+              >
+                <XCircleIcon className="h-5 w-5" />
+              </button>
+            </>
+          ) : (
+            <span className="text-xs text-gray-400">{t('approvals.ownTransaction')}</span>
+          )}
+        </div>
+      )
+    }
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">
+            {t('approvals.title')}
+          </h1>
+          <p className="text-gray-500 mt-1">
+            {t('approvals.subtitle')}
+          </p>
+        </div>
+        <Button variant="secondary" onClick={fetchQueue}>
+          <ArrowPathIcon className="h-5 w-5 mr-2 rtl:mr-0 rtl:ml-2" />
+          {t('common.refresh')}
+        </Button>
+      </div>
+
+      {/* Queue */}
+      <div>
+        <Table
+          columns={columns}
+          data={transactions}
+          loading={loading}
+          emptyMessage={t('approvals.empty')}
+        />
+        {pagination.totalPages > 1 && (
+          <Pagination
+            page={pagination.page}
+            totalPages={pagination.totalPages}
+            onPageChange={(page) => setPagination(prev => ({ ...prev, page }))}
+          />
+        )}
+      </div>
+
+      {/* Approve Dialog */}
+      <ConfirmDialog
+        isOpen={approveDialogOpen}
+        onClose={closeDialogs}
+        onConfirm={handleApproveConfirm}
+        title={t('approvals.approve')}
+        message={t('approvals.confirmApprove')}
+        confirmText={t('approvals.approve')}
+        confirmVariant="primary"
+        showReasonInput
+        reasonLabel={t('approvals.notes')}
+        loading={actionLoading}
+      />
+
+      {/* Reject Dialog */}
+      <ConfirmDialog
+        isOpen={rejectDialogOpen}
+        onClose={closeDialogs}
+        onConfirm={handleRejectConfirm}
+        title={t('approvals.reject')}
+        message={t('approvals.confirmReject')}
+        confirmText={t('approvals.reject')}
+        confirmVariant="danger"
+        showReasonInput
+        reasonLabel={t('approvals.rejectionReason')}
+        reasonRequired
+        loading={actionLoading}
+      />
+    </div>
+  );
+};
+
+export default ApprovalQueuePage;
@@ -0,0 +1,195 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useForm } from 'react-hook-form';
+import { Button, Input, Modal, Card, Loading } from '../components/common';
+import branchService from '../services/branchService';
+import toast from 'react-hot-toast';
+import { PlusIcon, PencilIcon } from '@heroicons/react/24/outline';
+
+const BranchesPage = () => {
+  const { t } = useTranslation();
+  const [branches, setBranches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingBranch, setEditingBranch] = useState(null);
+
+  const { register, handleSubmit, reset, formState: { errors } } = useForm();
+
+  useEffect(() => {
+    fetchBranches();
+  }, []);
+
+  const fetchBranches = async () => {
+    try {
+      const response = await branchService.getBranches();
+      if (response.success) {
+        setBranches(response.data);
+      }
+    } catch (error) {
+      toast.error(t('common.error'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateModal = () => {
+    setEditingBranch(null);
+    reset({});
+    setShowModal(true);
+  };
+
+  const openEditModal = (branch) => {
+    setEditingBranch(branch);
+    reset({
+      name: branch.name,
+      address: branch.address || '',
+      phone: branch.phone || ''
+    });
+    setShowModal(true);
+  };
+
+  const onSubmit = async (data) => {
+    try {
+      if (editingBranch) {
+        await branchService.updateBranch(editingBranch.uuid, {
+          name: data.name,
+          address: data.address,
+          phone: data.phone
+        });
+        toast.success(t('branches.branchUpdated'));
+      } else {
+        await branchService.createBranch(data);
+        toast.success(t('branches.branchCreated'));
+      }
+      setShowModal(false);
+      fetchBranches();
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  };
+
+  const toggleBranchStatus = async (branch) => {
+    try {
+      await branchService.updateBranch(branch.uuid, { isActive: !branch.isActive });
+      toast.success(t('branches.branchUpdated'));
+      fetchBranches();
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  };
+
+  if (loading) {
+    return <div className="flex justify-center py-12"><Loading size="lg" /></div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">{t('branches.title')}</h1>
+        <Button onClick={openCreateModal}>
+          <PlusIcon className="h-5 w-5 mr-2 rtl:mr-0 rtl:ml-2" />
+          {t('branches.newBranch')}
+        </Button>
+      </div>
+
+      <Card>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="table-header">{t('branches.code')}</th>
+                <th className="table-header">{t('branches.name')}</th>
+                <th className="table-header">{t('branches.address')}</th>
+                <th className="table-header">{t('branches.users')}</th>
+                <th className="table-header">{t('branches.drawers')}</th>
+                <th className="table-header">{t('common.status')}</th>
+                <th className="table-header">{t('common.actions')}</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {branches.map((branch) => (
+                <tr key={branch.uuid} className="hover:bg-gray-50">
+                  <td className="table-cell font-mono font-medium">{branch.code}</td>
+                  <td className="table-cell">{branch.name}</td>
+                  <td className="table-cell text-gray-500">{branch.address || '-'}</td>
+                  <td className="table-cell">{branch.userCount}</td>
+                  <td className="table-cell">{branch.drawerCount}</td>
+                  <td className="table-cell">
+                    <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+                      branch.isActive
+                        ? 'bg-green-100 text-green-800'
+                        : 'bg-red-100 text-red-800'
+                    }`}>
+                      {branch.isActive ? t('common.active') : t('common.inactive')}
+                    </span>
+                  </td>
+                  <td className="table-cell">
+                    <div className="flex items-center space-x-2 rtl:space-x-reverse">
+                      <button
+                        onClick={() => openEditModal(branch)}
+                        className="p-1 text-gray-500 hover:text-primary-600"
+                        title={t('common.edit')}
+                      >
+                        <PencilIcon className="h-5 w-5" />
+                      </button>
+                      <button
+                        onClick={() => toggleBranchStatus(branch)}
+                        className={`px-2 py-1 text-xs rounded ${
+                          branch.isActive
+                            ? 'bg-red-100 text-red-600 hover:bg-red-200'
+                            : 'bg-green-100 text-green-600 hover:bg-green-200'
+                        }`}
+                      >
+                        {branch.isActive ? t('users.deactivate') : t('users.activate')}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
+      {/* Create/Edit Branch Modal */}
+      <Modal
+        isOpen={showModal}
+        onClose={() => setShowModal(false)}
+        title={editingBranch ? t('branches.editBranch') : t('branches.newBranch')}
+      >
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          {!editingBranch && (
+            <Input
+              label={t('branches.code')}
+              {...register('code', { required: t('validation.required') })}
+              error={errors.code?.message}
+            />
+          )}
+          <Input
+            label={t('branches.name')}
+            {...register('name', { required: t('validation.required') })}
+            error={errors.name?.message}
+          />
+          <Input
+            label={t('branches.address')}
+            {...register('address')}
+          />
+          <Input
+            label={t('branches.phone')}
+            {...register('phone')}
+          />
+          <div className="flex justify-end space-x-3 rtl:space-x-reverse pt-4">
+            <Button variant="secondary" onClick={() => setShowModal(false)}>
+              {t('common.cancel')}
+            </Button>
+            <Button type="submit">
+              {t('common.save')}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default BranchesPage;
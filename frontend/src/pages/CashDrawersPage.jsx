@@ -1,9 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
 import { useForm } from 'react-hook-form';
-import { Button, Input, Select, Modal, Card, Loading } from '../components/common';
+import { Button, Input, Select, Modal, Card, Loading, ConfirmDialog } from '../components/common';
 import cashDrawerService from '../services/cashDrawerService';
 import currencyService from '../services/currencyService';
+import userService from '../services/userService';
+import branchService from '../services/branchService';
 import { useAuth } from '../contexts/AuthContext';
 import toast from 'react-hot-toast';
 import {
@@ -14,14 +16,19 @@ import {
   ArrowUpTrayIcon,
   ClipboardDocumentCheckIcon,
   ExclamationTriangleIcon,
-  ClockIcon
+  ClockIcon,
+  ArrowsRightLeftIcon,
+  CheckCircleIcon,
+  XCircleIcon
 } from '@heroicons/react/24/outline';
 
 const CashDrawersPage = () => {
   const { t } = useTranslation();
-  const { isAdmin } = useAuth();
+  const { isAdmin, hasPermission } = useAuth();
   const [drawers, setDrawers] = useState([]);
   const [currencies, setCurrencies] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [branches, setBranches] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [showTransactionModal, setShowTransactionModal] = useState(false);
@@ -31,9 +38,19 @@ const CashDrawersPage = () => {
   const [transactionType, setTransactionType] = useState('deposit');
   const [history, setHistory] = useState([]);
   const [alerts, setAlerts] = useState([]);
+  const [transfers, setTransfers] = useState([]);
+  const [showTransferModal, setShowTransferModal] = useState(false);
+  const [cancellingTransfer, setCancellingTransfer] = useState(null);
+  const [transferLoading, setTransferLoading] = useState(false);
 
   const { register, handleSubmit, reset, formState: { errors } } = useForm();
   const { register: registerTx, handleSubmit: handleTxSubmit, reset: resetTx } = useForm();
+  const {
+    register: registerTransfer,
+    handleSubmit: handleTransferSubmit,
+    reset: resetTransfer,
+    formState: { errors: transferErrors }
+  } = useForm();
 
   useEffect(() => {
     fetchData();
@@ -42,15 +59,26 @@ const CashDrawersPage = () => {
   const fetchData = async () => {
     try {
       setLoading(true);
-      const [drawersRes, currenciesRes, alertsRes] = await Promise.all([
+      const [drawersRes, currenciesRes, alertsRes, transfersRes] = await Promise.all([
         cashDrawerService.getDrawers(),
         currencyService.getCurrencies(),
-        cashDrawerService.getAlerts()
+        cashDrawerService.getAlerts(),
+        cashDrawerService.getTransfers({ status: 'pending', limit: 100 })
       ]);
 
       if (drawersRes.success) setDrawers(drawersRes.data || []);
       if (currenciesRes.success) setCurrencies(currenciesRes.data || []);
       if (alertsRes.success) setAlerts(alertsRes.data || []);
+      if (transfersRes.success) setTransfers(transfersRes.data || []);
+
+      if (isAdmin()) {
+        const [usersRes, branchesRes] = await Promise.all([
+          userService.getUsers({ active: true }),
+          branchService.getBranches({ active: true })
+        ]);
+        if (usersRes.success) setUsers(usersRes.data || []);
+        if (branchesRes.success) setBranches(branchesRes.data || []);
+      }
     } catch (error) {
       toast.error(t('common.error'));
     } finally {
@@ -70,7 +98,10 @@ const CashDrawersPage = () => {
       name: drawer.name,
       location: drawer.location,
       lowBalanceAlert: drawer.low_balance_alert,
-      isActive: drawer.is_active
+      isActive: drawer.is_active,
+      assignedTo: drawer.assignedTo?.uuid || '',
+      branchId: drawer.branch?.uuid || '',
+      isShared: drawer.isShared
     });
     setShowModal(true);
   };
@@ -82,6 +113,12 @@ const CashDrawersPage = () => {
     setShowTransactionModal(true);
   };
 
+  const openTransferModal = (drawer) => {
+    setSelectedDrawer(drawer);
+    resetTransfer({});
+    setShowTransferModal(true);
+  };
+
   const openHistoryModal = async (drawer) => {
     setSelectedDrawer(drawer);
     setShowHistoryModal(true);
@@ -95,7 +132,10 @@ const CashDrawersPage = () => {
     }
   };
 
-  const onSubmit = async (data) => {
+  const onSubmit = async (formData) => {
+    // Without a branch the drawer goes to the admin's own branch
+    const { branchId, ...rest } = formData;
+    const data = branchId ? { ...rest, branchId } : rest;
     try {
       if (editingDrawer) {
         await cashDrawerService.updateDrawer(editingDrawer.uuid, data);
@@ -148,6 +188,49 @@ const CashDrawersPage = () => {
     }
   };
 
+  const onTransferSubmit = async (data) => {
+    try {
+      await cashDrawerService.createTransfer({
+        fromDrawerUuid: selectedDrawer.uuid,
+        toDrawerUuid: data.toDrawerUuid,
+        currencyId: parseInt(data.currencyId),
+        amount: parseFloat(data.amount),
+        notes: data.notes
+      });
+      toast.success(t('cashDrawers.transferInitiated'));
+      setShowTransferModal(false);
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  };
+
+  const handleReceiveTransfer = async (transfer) => {
+    try {
+      await cashDrawerService.receiveTransfer(transfer.uuid);
+      toast.success(t('cashDrawers.transferReceived'));
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  };
+
+  const handleCancelTransferConfirm = async (reason) => {
+    if (!cancellingTransfer) return;
+
+    setTransferLoading(true);
+    try {
+      await cashDrawerService.cancelTransfer(cancellingTransfer.uuid, reason);
+      toast.success(t('cashDrawers.transferCancelled'));
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setTransferLoading(false);
+      setCancellingTransfer(null);
+    }
+  };
+
   const formatCurrency = (amount, currencyCode) => {
     if (amount === null || amount === undefined) return '0';
     return new Intl.NumberFormat('en-US', {
@@ -166,6 +249,15 @@ const CashDrawersPage = () => {
     label: `${c.code} - ${c.name}`
   }));
 
+  const userOptions = users.map(u => ({
+    value: u.uuid,
+    label: `${u.fullName} (${u.username})`
+  }));
+
+  const destinationOptions = drawers
+    .filter(d => d.uuid !== selectedDrawer?.uuid && d.isActive)
+    .map(d => ({ value: d.uuid, label: d.name }));
+
   if (loading) {
     return <div className="flex justify-center py-12"><Loading size="lg" /></div>;
   }
@@ -174,7 +266,7 @@ const CashDrawersPage = () => {
     <div className="space-y-6">
       <div className="flex items-center justify-between">
         <h1 className="text-2xl font-bold text-gray-900">{t('cashDrawers.title')}</h1>
-        {isAdmin() && (
+        {hasPermission('cash_drawer.manage') && (
           <Button onClick={openCreateModal}>
             <PlusIcon className="h-5 w-5 mr-2 rtl:mr-0 rtl:ml-2" />
             {t('cashDrawers.newDrawer')}
@@ -214,10 +306,19 @@ const CashDrawersPage = () => {
                 </div>
                 <div className="ml-3 rtl:ml-0 rtl:mr-3">
                   <h3 className="font-medium text-gray-900">{drawer.name}</h3>
-                  <p className="text-sm text-gray-500">{drawer.location || t('cashDrawers.noLocation')}</p>
+                  <p className="text-sm text-gray-500">
+                    {[drawer.branch?.name, drawer.location || t('cashDrawers.noLocation')].filter(Boolean).join(' · ')}
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    {drawer.isShared
+                      ? t('cashDrawers.shared')
+                      : drawer.assignedTo
+                        ? `${t('cashDrawers.assignedTo')}: ${drawer.assignedTo.fullName}`
+                        : t('cashDrawers.unassigned')}
+                  </p>
                 </div>
               </div>
-              {isAdmin() && (
+              {hasPermission('cash_drawer.manage') && (
                 <button
                   onClick={() => openEditModal(drawer)}
                   className="p-1 text-gray-400 hover:text-gray-600"
@@ -268,6 +369,14 @@ const CashDrawersPage = () => {
                 <ClipboardDocumentCheckIcon className="h-4 w-4 mr-1" />
                 {t('cashDrawers.reconcile')}
               </Button>
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => openTransferModal(drawer)}
+              >
+                <ArrowsRightLeftIcon className="h-4 w-4 mr-1" />
+                {t('cashDrawers.transfer')}
+              </Button>
               <Button
                 variant="secondary"
                 size="sm"
@@ -287,6 +396,58 @@ const CashDrawersPage = () => {
         )}
       </div>
 
+      {/* In-Transit Transfers */}
+      {transfers.length > 0 && (
+        <Card>
+          <h3 className="font-medium text-gray-900 mb-3">{t('cashDrawers.inTransit')}</h3>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="table-header">{t('common.date')}</th>
+                  <th className="table-header">{t('cashDrawers.fromDrawer')}</th>
+                  <th className="table-header">{t('cashDrawers.toDrawer')}</th>
+                  <th className="table-header">{t('common.amount')}</th>
+                  <th className="table-header">{t('cashDrawers.initiatedBy')}</th>
+                  <th className="table-header">{t('common.actions')}</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {transfers.map((transfer) => (
+                  <tr key={transfer.uuid} className="hover:bg-gray-50">
+                    <td className="table-cell text-sm">{formatDateTime(transfer.createdAt)}</td>
+                    <td className="table-cell">{transfer.fromDrawer.name}</td>
+                    <td className="table-cell">{transfer.toDrawer.name}</td>
+                    <td className="table-cell font-medium">
+                      {formatCurrency(transfer.amount)} {transfer.currencyCode}
+                    </td>
+                    <td className="table-cell text-sm text-gray-500">{transfer.initiatedBy}</td>
+                    <td className="table-cell">
+                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={() => handleReceiveTransfer(transfer)}
+                          className="p-1 text-green-600 hover:text-green-800 hover:bg-green-50 rounded"
+                          title={t('cashDrawers.receiveTransfer')}
+                        >
+                          <CheckCircleIcon className="h-5 w-5" />
+                        </button>
+                        <button
+                          onClick={() => setCancellingTransfer(transfer)}
+                          className="p-1 text-red-600 hover:text-red-800 hover:bg-red-50 rounded"
+                          title={t('cashDrawers.cancelTransfer')}
+                        >
+                          <XCircleIcon className="h-5 w-5" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </Card>
+      )}
+
       {/* Create/Edit Drawer Modal */}
       <Modal
         isOpen={showModal}
@@ -299,6 +460,12 @@ const CashDrawersPage = () => {
             {...register('name', { required: t('validation.required') })}
             error={errors.name?.message}
           />
+          <Select
+            label={t('branches.branch')}
+            placeholder={t('branches.selectBranch')}
+            options={branches.map((b) => ({ value: b.uuid, label: b.name }))}
+            {...register('branchId')}
+          />
           <Input
             label={t('cashDrawers.location')}
             {...register('location')}
@@ -309,6 +476,22 @@ const CashDrawersPage = () => {
             step="0.01"
             {...register('lowBalanceAlert')}
           />
+          <Select
+            label={t('cashDrawers.assignedTo')}
+            options={[{ value: '', label: t('cashDrawers.unassigned') }, ...userOptions]}
+            {...register('assignedTo')}
+          />
+          <div className="flex items-center">
+            <input
+              type="checkbox"
+              id="isShared"
+              {...register('isShared')}
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+            />
+            <label htmlFor="isShared" className="ml-2 rtl:ml-0 rtl:mr-2">
+              {t('cashDrawers.sharedHint')}
+            </label>
+          </div>
           {editingDrawer && (
             <div className="flex items-center">
               <input
@@ -377,6 +560,70 @@ const CashDrawersPage = () => {
         </form>
       </Modal>
 
+      {/* Transfer Modal */}
+      <Modal
+        isOpen={showTransferModal}
+        onClose={() => setShowTransferModal(false)}
+        title={t('cashDrawers.transfer')}
+      >
+        <form onSubmit={handleTransferSubmit(onTransferSubmit)} className="space-y-4">
+          <p className="text-sm text-gray-500">
+            {t('cashDrawers.fromDrawer')}: <strong>{selectedDrawer?.name}</strong>
+          </p>
+          <Select
+            label={t('cashDrawers.toDrawer')}
+            options={[{ value: '', label: t('common.select') }, ...destinationOptions]}
+            {...registerTransfer('toDrawerUuid', { required: t('validation.required') })}
+            error={transferErrors.toDrawerUuid?.message}
+          />
+          <Select
+            label={t('currencies.currency')}
+            options={[{ value: '', label: t('common.select') }, ...currencyOptions]}
+            {...registerTransfer('currencyId', { required: t('validation.required') })}
+            error={transferErrors.currencyId?.message}
+          />
+          <Input
+            label={t('common.amount')}
+            type="number"
+            step="0.01"
+            {...registerTransfer('amount', { required: t('validation.required') })}
+            error={transferErrors.amount?.message}
+          />
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t('common.notes')}
+            </label>
+            <textarea
+              {...registerTransfer('notes')}
+              rows={3}
+              className="input"
+            />
+          </div>
+          <p className="text-xs text-gray-500">{t('cashDrawers.transferNotice')}</p>
+          <div className="flex justify-end space-x-3 rtl:space-x-reverse pt-4">
+            <Button variant="secondary" onClick={() => setShowTransferModal(false)}>
+              {t('common.cancel')}
+            </Button>
+            <Button type="submit">{t('common.confirm')}</Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Cancel Transfer Dialog */}
+      <ConfirmDialog
+        isOpen={!!cancellingTransfer}
+        onClose={() => setCancellingTransfer(null)}
+        onConfirm={handleCancelTransferConfirm}
+        title={t('cashDrawers.cancelTransfer')}
+        message={t('cashDrawers.confirmCancelTransfer')}
+        confirmText={t('cashDrawers.cancelTransfer')}
+        confirmVariant="danger"
+        showReasonInput
+        reasonLabel={t('cashDrawers.reason')}
+        reasonRequired
+        loading={transferLoading}
+      />
+
       {/* History Modal */}
       <Modal
         isOpen={showHistoryModal}
@@ -406,6 +653,7 @@ const CashDrawersPage = () => {
                       <span className={`px-2 py-1 text-xs font-medium rounded-full ${
                         tx.type === 'deposit' ? 'bg-green-100 text-green-800' :
                         tx.type === 'withdrawal' ? 'bg-red-100 text-red-800' :
+                        tx.type.startsWith('transfer') ? 'bg-blue-100 text-blue-800' :
                         'bg-gray-100 text-gray-800'
                       }`}>
                         {tx.type}
@@ -0,0 +1,489 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import {
+  PlusIcon,
+  PencilIcon,
+  BellAlertIcon,
+  DocumentTextIcon,
+  ExclamationTriangleIcon,
+  ShieldExclamationIcon
+} from '@heroicons/react/24/outline';
+import { Card, StatCard, Table, Pagination, Select, Badge, Button } from '../components/common';
+import {
+  AlertQueue,
+  RuleForm,
+  CustomerRiskModal,
+  SARDetailModal,
+  SARForm,
+  WatchlistPanel
+} from '../components/compliance';
+import { riskLevelVariants, sarStatusVariants } from '../components/compliance/badgeVariants';
+import complianceService from '../services/complianceService';
+import currencyService from '../services/currencyService';
+import { useAuth } from '../contexts/AuthContext';
+
+const SAR_STATUSES = ['draft', 'submitted', 'under_review', 'closed'];
+
+const CompliancePage = () => {
+  const { t } = useTranslation();
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('compliance.manage');
+  const canReview = hasPermission('compliance.review');
+
+  const [activeTab, setActiveTab] = useState('alerts');
+  const [stats, setStats] = useState(null);
+  // Bumped after changes elsewhere on the page so the alert queue reloads
+  const [alertsVersion, setAlertsVersion] = useState(0);
+
+  // Customer drill-down and SAR drafting are reachable from several tabs
+  const [riskCustomer, setRiskCustomer] = useState(null);
+  const [customerFilter, setCustomerFilter] = useState(null);
+  const [sarDraft, setSarDraft] = useState(null);
+  const [savingSAR, setSavingSAR] = useState(false);
+
+  // Rules
+  const [rules, setRules] = useState([]);
+  const [loadingRules, setLoadingRules] = useState(false);
+  const [currencies, setCurrencies] = useState([]);
+  const [showRuleForm, setShowRuleForm] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [savingRule, setSavingRule] = useState(false);
+
+  // SARs
+  const [sars, setSars] = useState([]);
+  const [loadingSars, setLoadingSars] = useState(false);
+  const [sarFilters, setSarFilters] = useState({ status: '', riskLevel: '' });
+  const [sarPagination, setSarPagination] = useState({ page: 1, limit: 20, total: 0, totalPages: 1 });
+  const [openSAR, setOpenSAR] = useState(null);
+
+  const fetchStats = useCallback(async () => {
+    try {
+      const response = await complianceService.getDashboard();
+      if (response.success) {
+        setStats(response.data);
+      }
+    } catch (error) {
+      console.error('Failed to fetch compliance stats:', error);
+    }
+  }, []);
+
+  const fetchRules = useCallback(async () => {
+    setLoadingRules(true);
+    try {
+      const response = await complianceService.getRules();
+      if (response.success) {
+        setRules(response.data);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setLoadingRules(false);
+    }
+  }, [t]);
+
+  const fetchSARs = useCallback(async () => {
+    setLoadingSars(true);
+    try {
+      const params = { page: sarPagination.page, limit: sarPagination.limit };
+      if (sarFilters.status) params.status = sarFilters.status;
+      if (sarFilters.riskLevel) params.riskLevel = sarFilters.riskLevel;
+
+      const response = await complianceService.getSARs(params);
+      if (response.success) {
+        setSars(response.data);
+        setSarPagination(prev => ({ ...prev, ...response.pagination }));
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setLoadingSars(false);
+    }
+  }, [sarPagination.page, sarPagination.limit, sarFilters, t]);
+
+  useEffect(() => {
+    fetchStats();
+  }, [fetchStats, alertsVersion]);
+
+  useEffect(() => {
+    if (activeTab === 'rules') {
+      fetchRules();
+    }
+  }, [activeTab, fetchRules]);
+
+  useEffect(() => {
+    if (activeTab === 'sars') {
+      fetchSARs();
+    }
+  }, [activeTab, fetchSARs]);
+
+  useEffect(() => {
+    if (canManage) {
+      currencyService.getCurrencies()
+        .then((response) => setCurrencies(response.success ? response.data : []))
+        .catch((error) => console.error('Failed to fetch currencies:', error));
+    }
+  }, [canManage]);
+
+  const openRuleForm = (rule = null) => {
+    setEditingRule(rule);
+    setShowRuleForm(true);
+  };
+
+  const handleSaveRule = async (data) => {
+    try {
+      setSavingRule(true);
+      if (editingRule) {
+        await complianceService.updateRule(editingRule.uuid, data);
+        toast.success(t('compliance.ruleUpdated'));
+      } else {
+        await complianceService.createRule(data);
+        toast.success(t('compliance.ruleCreated'));
+      }
+      setShowRuleForm(false);
+      fetchRules();
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setSavingRule(false);
+    }
+  };
+
+  const handleToggleRule = async (rule) => {
+    try {
+      const response = await complianceService.toggleRule(rule.uuid);
+      if (response.success) {
+        toast.success(response.message);
+        fetchRules();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  };
+
+  const handleShowCustomerAlerts = (customer) => {
+    setRiskCustomer(null);
+    setCustomerFilter(customer);
+    setActiveTab('alerts');
+  };
+
+  const handleDraftSAR = (draft) => {
+    setRiskCustomer(null);
+    setSarDraft(draft);
+  };
+
+  const handleEditSAR = (draft) => {
+    setOpenSAR(null);
+    setSarDraft(draft);
+  };
+
+  const handleSaveSAR = async (data) => {
+    try {
+      setSavingSAR(true);
+      const editing = sarDraft.sar;
+      const response = editing
+        ? await complianceService.updateSAR(editing.uuid, data)
+        : await complianceService.createSAR(data);
+      if (response.success) {
+        toast.success(t(editing ? 'compliance.sar.updated' : 'compliance.sarCreated'));
+        setSarDraft(null);
+        setAlertsVersion(v => v + 1);
+        if (editing) {
+          setOpenSAR(editing.uuid);
+        }
+        if (activeTab === 'sars') {
+          fetchSARs();
+        }
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setSavingSAR(false);
+    }
+  };
+
+  const handleSarFilterChange = (key, value) => {
+    setSarFilters(prev => ({ ...prev, [key]: value }));
+    setSarPagination(prev => ({ ...prev, page: 1 }));
+  };
+
+  const ruleThreshold = (rule) => {
+    if (rule.ruleType === 'velocity') {
+      return t('compliance.velocityThreshold', { count: rule.thresholdCount, hours: rule.timeWindowHours });
+    }
+    return rule.thresholdAmount !== null
+      ? `${Number(rule.thresholdAmount).toLocaleString()} ${rule.currency === 'All' ? '' : rule.currency}`
+      : '-';
+  };
+
+  const ruleColumns = [
+    {
+      header: t('common.name'),
+      accessor: 'name',
+      render: (value, row) => (
+        <div>
+          <p className="font-medium text-gray-900">{value}</p>
+          {row.description && <p className="text-xs text-gray-500">{row.description}</p>}
+        </div>
+      )
+    },
+    {
+      header: t('compliance.ruleType'),
+      accessor: 'ruleType',
+      render: (value) => t(`compliance.ruleTypes.${value}`)
+    },
+    {
+      header: t('compliance.currency'),
+      accessor: 'currency',
+      render: (value) => (value === 'All' ? t('compliance.allCurrencies') : value)
+    },
+    {
+      header: t('compliance.threshold'),
+      accessor: 'thresholdAmount',
+      render: (value, row) => ruleThreshold(row)
+    },
+    {
+      header: t('compliance.action'),
+      accessor: 'action',
+      render: (value) => (
+        <Badge variant={value === 'block' ? 'danger' : value === 'flag' ? 'info' : 'warning'}>
+          {t(`compliance.actions.${value}`)}
+        </Badge>
+      )
+    },
+    {
+      header: t('compliance.priority'),
+      accessor: 'priority'
+    },
+    {
+      header: t('common.status'),
+      accessor: 'isActive',
+      render: (value, row) => (canManage ? (
+        <button
+          onClick={() => handleToggleRule(row)}
+          className={`px-2 py-1 text-xs rounded ${value
+            ? 'bg-green-100 text-green-700 hover:bg-green-200'
+            : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+        >
+          {value ? t('common.active') : t('common.inactive')}
+        </button>
+      ) : (
+        <Badge variant={value ? 'success' : 'secondary'}>
+          {value ? t('common.active') : t('common.inactive')}
+        </Badge>
+      ))
+    },
+    ...(canManage ? [{
+      header: t('common.actions'),
+      accessor: 'uuid',
+      render: (uuid, row) => (
+        <button
+          onClick={() => openRuleForm(row)}
+          className="p-1 text-gray-500 hover:text-primary-600"
+          title={t('common.edit')}
+        >
+          <PencilIcon className="h-5 w-5" />
+        </button>
+      )
+    }] : [])
+  ];
+
+  const sarColumns = [
+    {
+      header: t('compliance.sar.reportNumber'),
+      accessor: 'reportNumber',
+      render: (value, row) => (
+        <button onClick={() => setOpenSAR(row.uuid)} className="text-primary-600 hover:text-primary-700 text-sm font-medium">
+          {value || t('compliance.sar.open')}
+        </button>
+      )
+    },
+    {
+      header: t('compliance.createdAt'),
+      accessor: 'createdAt',
+      render: (value) => <span className="text-sm text-gray-600">{new Date(value).toLocaleString()}</span>
+    },
+    {
+      header: t('compliance.customer'),
+      accessor: 'customer',
+      render: (customer) => (customer ? (
+        <button onClick={() => setRiskCustomer(customer.uuid)} className="text-primary-600 hover:text-primary-700 text-sm">
+          {customer.name}
+        </button>
+      ) : '-')
+    },
+    {
+      header: t('compliance.sarDescription'),
+      accessor: 'description',
+      render: (value) => <p className="max-w-md text-sm text-gray-700 whitespace-normal line-clamp-2">{value}</p>
+    },
+    {
+      header: t('compliance.riskLevel'),
+      accessor: 'riskLevel',
+      render: (value) => <Badge variant={riskLevelVariants[value]}>{t(`compliance.riskLevels.${value}`)}</Badge>
+    },
+    {
+      header: t('common.status'),
+      accessor: 'status',
+      render: (value) => <Badge variant={sarStatusVariants[value]}>{t(`compliance.sarStatuses.${value}`)}</Badge>
+    },
+    {
+      header: t('compliance.createdBy'),
+      accessor: 'createdBy'
+    }
+  ];
+
+  const tabs = [
+    { id: 'alerts', label: t('compliance.alerts') },
+    { id: 'rules', label: t('compliance.rules') },
+    { id: 'sars', label: t('compliance.sars') },
+    { id: 'watchlists', label: t('compliance.watchlists') }
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">{t('compliance.title')}</h1>
+        <p className="mt-1 text-sm text-gray-500">{t('compliance.subtitle')}</p>
+      </div>
+
+      {stats && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+          <StatCard title={t('compliance.pendingAlerts')} value={stats.pendingAlerts} icon={BellAlertIcon} />
+          <StatCard
+            title={t('compliance.highSeverityPending')}
+            value={(stats.alertsBySeverity.high || 0) + (stats.alertsBySeverity.critical || 0)}
+            icon={ExclamationTriangleIcon}
+          />
+          <StatCard title={t('compliance.openSARs')} value={stats.openSARs} icon={DocumentTextIcon} />
+          <StatCard title={t('compliance.highRiskCustomers')} value={stats.highRiskCustomers} icon={ShieldExclamationIcon} />
+        </div>
+      )}
+
+      {/* Tabs */}
+      <div className="border-b border-gray-200">
+        <nav className="-mb-px flex space-x-8 rtl:space-x-reverse">
+          {tabs.map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`py-4 px-1 border-b-2 font-medium text-sm ${activeTab === tab.id
+                ? 'border-primary-500 text-primary-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === 'alerts' && (
+        <AlertQueue
+          customerFilter={customerFilter}
+          onClearCustomer={() => setCustomerFilter(null)}
+          onOpenCustomer={setRiskCustomer}
+          onDraftSAR={handleDraftSAR}
+          canReview={canReview}
+          refreshKey={alertsVersion}
+        />
+      )}
+
+      {activeTab === 'rules' && (
+        <Card
+          title={t('compliance.rules')}
+          action={canManage && (
+            <Button size="sm" onClick={() => openRuleForm()}>
+              <PlusIcon className="h-4 w-4 mr-1 rtl:mr-0 rtl:ml-1" />
+              {t('compliance.newRule')}
+            </Button>
+          )}
+        >
+          <p className="text-sm text-gray-500 mb-4">{t('compliance.rulesHelp')}</p>
+          <Table columns={ruleColumns} data={rules} loading={loadingRules} emptyMessage={t('compliance.noRules')} />
+        </Card>
+      )}
+
+      {activeTab === 'sars' && (
+        <Card
+          title={t('compliance.sars')}
+          action={canReview && (
+            <Button size="sm" onClick={() => handleDraftSAR({ customer: null, alerts: [], transactions: [] })}>
+              <PlusIcon className="h-4 w-4 mr-1 rtl:mr-0 rtl:ml-1" />
+              {t('compliance.draftSAR')}
+            </Button>
+          )}
+        >
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+            <Select
+              label={t('common.status')}
+              options={SAR_STATUSES.map(value => ({ value, label: t(`compliance.sarStatuses.${value}`) }))}
+              placeholder={t('common.all')}
+              value={sarFilters.status}
+              onChange={(e) => handleSarFilterChange('status', e.target.value)}
+            />
+            <Select
+              label={t('compliance.riskLevel')}
+              options={['low', 'medium', 'high'].map(value => ({ value, label: t(`compliance.riskLevels.${value}`) }))}
+              placeholder={t('common.all')}
+              value={sarFilters.riskLevel}
+              onChange={(e) => handleSarFilterChange('riskLevel', e.target.value)}
+            />
+          </div>
+          <Table columns={sarColumns} data={sars} loading={loadingSars} emptyMessage={t('compliance.noSARs')} />
+          {sarPagination.totalPages > 1 && (
+            <Pagination
+              page={sarPagination.page}
+              totalPages={sarPagination.totalPages}
+              onPageChange={(page) => setSarPagination(prev => ({ ...prev, page }))}
+            />
+          )}
+        </Card>
+      )}
+
+      {activeTab === 'watchlists' && (
+        <WatchlistPanel
+          onOpenCustomer={setRiskCustomer}
+          canReview={canReview}
+          canManage={canManage}
+          onChange={() => setAlertsVersion(v => v + 1)}
+        />
+      )}
+
+      <RuleForm
+        isOpen={showRuleForm}
+        onClose={() => setShowRuleForm(false)}
+        onSubmit={handleSaveRule}
+        rule={editingRule}
+        currencies={currencies}
+        loading={savingRule}
+      />
+
+      <CustomerRiskModal
+        customerUuid={riskCustomer}
+        onClose={() => setRiskCustomer(null)}
+        onShowAlerts={handleShowCustomerAlerts}
+        onDraftSAR={canReview ? handleDraftSAR : null}
+      />
+
+      <SARDetailModal
+        sarUuid={openSAR}
+        onClose={() => setOpenSAR(null)}
+        onEdit={handleEditSAR}
+        onChange={() => {
+          fetchSARs();
+          fetchStats();
+        }}
+      />
+
+      <SARForm
+        draft={sarDraft}
+        onClose={() => setSarDraft(null)}
+        onSubmit={handleSaveSAR}
+        loading={savingSAR}
+      />
+    </div>
+  );
+};
+
+export default CompliancePage;
@@ -5,18 +5,23 @@ import { PlusIcon, ArrowPathIcon, PencilSquareIcon, BellIcon } from '@heroicons/
 import { useAuth } from '../contexts/AuthContext';
 import currencyService from '../services/currencyService';
 import rateAlertService from '../services/rateAlertService';
-import { Button, Card } from '../components/common';
+import branchService from '../services/branchService';
+import { Button, Card, Select } from '../components/common';
 import CurrencyList from '../components/currencies/CurrencyList';
 import CurrencyForm from '../components/currencies/CurrencyForm';
 import ExchangeRateList from '../components/currencies/ExchangeRateList';
 import ExchangeRateForm from '../components/currencies/ExchangeRateForm';
+import ScheduledRateList from '../components/currencies/ScheduledRateList';
+import RateToleranceSettings from '../components/currencies/RateToleranceSettings';
+import SpreadRuleSettings from '../components/currencies/SpreadRuleSettings';
+import FeeScheduleSettings from '../components/currencies/FeeScheduleSettings';
 import { BulkRateUpdateModal } from '../components/currencies';
 import AlertList from '../components/currencies/AlertList';
 import AlertForm from '../components/currencies/AlertForm';
 
 const CurrenciesPage = () => {
   const { t } = useTranslation();
-  const { isAdmin } = useAuth(); // Assume all users can set alerts, or check if restricted
+  const { isAdmin, isAllBranches, hasPermission } = useAuth(); // Assume all users can set alerts, or check if restricted
 
   // Tab state
   const [activeTab, setActiveTab] = useState('currencies');
@@ -34,6 +39,10 @@ const CurrenciesPage = () => {
   const [rateModalOpen, setRateModalOpen] = useState(false);
   const [savingRate, setSavingRate] = useState(false);
   const [bulkRateModalOpen, setBulkRateModalOpen] = useState(false);
+  const [branches, setBranches] = useState([]);
+  const [rateBranch, setRateBranch] = useState(''); // '' = default rates for every branch
+  const [scheduledRates, setScheduledRates] = useState([]);
+  const [loadingScheduled, setLoadingScheduled] = useState(false);
 
   // Rate Alerts state
   const [alerts, setAlerts] = useState([]);
@@ -59,7 +68,7 @@ const CurrenciesPage = () => {
   const fetchExchangeRates = useCallback(async () => {
     try {
       setLoadingRates(true);
-      const response = await currencyService.getExchangeRates();
+      const response = await currencyService.getExchangeRates(rateBranch ? { branchId: rateBranch } : {});
       setExchangeRates(response.success ? response.data : []);
     } catch (error) {
       toast.error(t('currencies.fetchRatesError'));
@@ -67,7 +76,29 @@ const CurrenciesPage = () => {
     } finally {
       setLoadingRates(false);
     }
-  }, [t]);
+  }, [t, rateBranch]);
+
+  // Fetch rate sheets waiting for their effective date
+  const fetchScheduledRates = useCallback(async () => {
+    try {
+      setLoadingScheduled(true);
+      const response = await currencyService.getScheduledRates(rateBranch ? { branchId: rateBranch } : {});
+      setScheduledRates(response.success ? response.data : []);
+    } catch (error) {
+      console.error('Error fetching scheduled rates:', error);
+    } finally {
+      setLoadingScheduled(false);
+    }
+  }, [rateBranch]);
+
+  // Branch overrides are managed by admins who see every branch
+  useEffect(() => {
+    if (!isAllBranches()) return;
+    branchService.getBranches({ active: true })
+      .then((response) => setBranches(response.success ? response.data : []))
+      .catch((error) => console.error('Error fetching branches:', error));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
   // Fetch alerts
   const fetchAlerts = useCallback(async () => {
@@ -87,10 +118,13 @@ const CurrenciesPage = () => {
   useEffect(() => {
     fetchCurrencies();
     fetchExchangeRates();
+    if (activeTab === 'rates') {
+      fetchScheduledRates();
+    }
     if (activeTab === 'alerts') {
       fetchAlerts();
     }
-  }, [fetchCurrencies, fetchExchangeRates, activeTab, fetchAlerts]);
+  }, [fetchCurrencies, fetchExchangeRates, fetchScheduledRates, activeTab, fetchAlerts]);
 
   // Handle add currency
   const handleAddCurrency = () => {
@@ -122,6 +156,19 @@ const CurrenciesPage = () => {
     }
   };
 
+  // Cross rates are derived through the base currency
+  const handleSetBase = async (currency) => {
+    if (!window.confirm(t('currencies.confirmSetBase', { code: currency.code }))) return;
+    try {
+      await currencyService.updateCurrency(currency.id, { isBase: true });
+      toast.success(t('currencies.baseCurrencySet', { code: currency.code }));
+      fetchCurrencies();
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('currencies.updateError'));
+      console.error('Error setting base currency:', error);
+    }
+  };
+
   // Handle currency form submit
   const handleCurrencySubmit = async (data) => {
     try {
@@ -154,10 +201,11 @@ const CurrenciesPage = () => {
   const handleRateSubmit = async (data) => {
     try {
       setSavingRate(true);
-      await currencyService.setExchangeRate(data);
-      toast.success(t('currencies.rateSet'));
+      await currencyService.setExchangeRate(rateBranch ? { ...data, branchId: rateBranch } : data);
+      toast.success(data.effectiveFrom ? t('currencies.rateScheduled') : t('currencies.rateSet'));
       setRateModalOpen(false);
       fetchExchangeRates();
+      fetchScheduledRates();
     } catch (error) {
       const errorMessage = error.response?.data?.message || t('currencies.setRateError');
       toast.error(errorMessage);
@@ -167,6 +215,19 @@ const CurrenciesPage = () => {
     }
   };
 
+  // Handle cancelling a scheduled rate
+  const handleCancelScheduled = async (uuid) => {
+    if (!window.confirm(t('currencies.cancelScheduledConfirm'))) return;
+    try {
+      await currencyService.cancelScheduledRate(uuid);
+      toast.success(t('currencies.scheduledCancelled'));
+      fetchScheduledRates();
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+      console.error('Error cancelling scheduled rate:', error);
+    }
+  };
+
   // Handle alert submit
   const handleAlertSubmit = async (data) => {
     try {
@@ -199,7 +260,8 @@ const CurrenciesPage = () => {
   const tabs = [
     { id: 'currencies', label: t('currencies.currencies') },
     { id: 'rates', label: t('currencies.exchangeRates') },
-    { id: 'alerts', label: t('currencies.rateAlerts') || 'Rate Alerts' }
+    { id: 'alerts', label: t('currencies.rateAlerts') || 'Rate Alerts' },
+    ...(hasPermission('fees.view') ? [{ id: 'fees', label: t('fees.title') }] : [])
   ];
 
   return (
@@ -246,7 +308,7 @@ const CurrenciesPage = () => {
                 <ArrowPathIcon className={`h-4 w-4 mr-1 ${loadingCurrencies ? 'animate-spin' : ''}`} />
                 {t('common.refresh')}
               </Button>
-              {isAdmin() && (
+              {hasPermission('currencies.manage') && (
                 <Button
                   variant="primary"
                   size="sm"
@@ -264,6 +326,7 @@ const CurrenciesPage = () => {
             loading={loadingCurrencies}
             onEdit={handleEditCurrency}
             onToggleStatus={handleToggleStatus}
+            onSetBase={handleSetBase}
             isAdmin={isAdmin()}
           />
         </Card>
@@ -284,7 +347,7 @@ const CurrenciesPage = () => {
                 <ArrowPathIcon className={`h-4 w-4 mr-1 ${loadingRates ? 'animate-spin' : ''}`} />
                 {t('common.refresh')}
               </Button>
-              {isAdmin() && exchangeRates.length > 0 && (
+              {hasPermission('currencies.rates') && exchangeRates.length > 0 && (
                 <Button
                   variant="secondary"
                   size="sm"
@@ -294,7 +357,7 @@ const CurrenciesPage = () => {
                   {t('currencies.bulkEdit') || 'Bulk Edit'}
                 </Button>
               )}
-              {isAdmin() && (
+              {hasPermission('currencies.rates') && (
                 <Button
                   variant="primary"
                   size="sm"
@@ -307,6 +370,18 @@ const CurrenciesPage = () => {
             </div>
           }
         >
+          {isAllBranches() && branches.length > 0 && (
+            <Select
+              className="mb-4 max-w-xs"
+              label={t('branches.branch')}
+              value={rateBranch}
+              onChange={(e) => setRateBranch(e.target.value)}
+              options={[
+                { value: '', label: t('branches.defaultRates') },
+                ...branches.map((b) => ({ value: b.uuid, label: b.name }))
+              ]}
+            />
+          )}
           <ExchangeRateList
             rates={exchangeRates}
             loading={loadingRates}
@@ -314,6 +389,44 @@ const CurrenciesPage = () => {
         </Card>
       )}
 
+      {activeTab === 'rates' && (scheduledRates.length > 0 || loadingScheduled) && (
+        <Card title={t('currencies.scheduledRates')} className="mt-6">
+          <ScheduledRateList
+            rates={scheduledRates}
+            loading={loadingScheduled}
+            onCancel={handleCancelScheduled}
+            isAdmin={isAdmin()}
+          />
+        </Card>
+      )}
+
+      {activeTab === 'rates' && (
+        <Card title={t('currencies.rateTolerances')} className="mt-6">
+          <RateToleranceSettings
+            currencies={currencies}
+            isAdmin={isAdmin()}
+          />
+        </Card>
+      )}
+
+      {activeTab === 'rates' && (
+        <Card title={t('currencies.crossRateSpreads')} className="mt-6">
+          <SpreadRuleSettings
+            currencies={currencies}
+            isAdmin={isAdmin()}
+          />
+        </Card>
+      )}
+
+      {activeTab === 'fees' && (
+        <Card title={t('fees.title')}>
+          <FeeScheduleSettings
+            currencies={currencies}
+            isAdmin={isAdmin()}
+          />
+        </Card>
+      )}
+
       {/* Rate Alerts Tab */}
       {activeTab === 'alerts' && (
         <Card
@@ -385,7 +498,11 @@ const CurrenciesPage = () => {
         onClose={() => setBulkRateModalOpen(false)}
         rates={exchangeRates}
         currencies={currencies}
-        onSuccess={fetchExchangeRates}
+        branchId={rateBranch || undefined}
+        onSuccess={() => {
+          fetchExchangeRates();
+          fetchScheduledRates();
+        }}
       />
     </div>
   );
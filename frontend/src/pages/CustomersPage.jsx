@@ -6,6 +6,7 @@ import { Button, Input, Select, Modal, Card, Loading } from '../components/commo
 import { Pagination } from '../components/common/Table';
 import { BulkActionBar } from '../components/customers';
 import customerService from '../services/customerService';
+import { useAuth } from '../contexts/AuthContext';
 import toast from 'react-hot-toast';
 import {
   PlusIcon,
@@ -19,13 +20,15 @@ import {
   PhoneIcon,
   EnvelopeIcon,
   IdentificationIcon,
-  StarIcon
+  StarIcon,
+  PaperAirplaneIcon
 } from '@heroicons/react/24/outline';
 import { StarIcon as StarSolidIcon } from '@heroicons/react/24/solid';
 
 const CustomersPage = () => {
   const navigate = useNavigate();
   const { t } = useTranslation();
+  const { hasPermission } = useAuth();
   const [customers, setCustomers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [search, setSearch] = useState('');
@@ -37,6 +40,7 @@ const CustomersPage = () => {
   const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, totalPages: 0 });
   const [filters, setFilters] = useState({ isVip: '', isBlocked: '' });
   const [selectedCustomers, setSelectedCustomers] = useState([]);
+  const [sendingInvite, setSendingInvite] = useState(false);
 
   const { register, handleSubmit, reset, formState: { errors } } = useForm();
 
@@ -85,6 +89,7 @@ const CustomersPage = () => {
       email: customer.email,
       idType: customer.idType,
       idNumber: customer.idNumber,
+      dateOfBirth: customer.dateOfBirth ? customer.dateOfBirth.slice(0, 10) : '',
       address: customer.address,
       notes: customer.notes,
       isVip: customer.isVip
@@ -107,13 +112,19 @@ const CustomersPage = () => {
 
   const onSubmit = async (data) => {
     try {
+      let response;
       if (editingCustomer) {
-        await customerService.updateCustomer(editingCustomer.uuid, data);
+        response = await customerService.updateCustomer(editingCustomer.uuid, data);
         toast.success(t('customers.customerUpdated'));
       } else {
-        await customerService.createCustomer(data);
+        response = await customerService.createCustomer(data);
         toast.success(t('customers.customerCreated'));
       }
+      // Possible sanctions/PEP matches hold the customer's transactions until compliance clears them
+      const screening = response.data?.screening || [];
+      if (screening.length > 0) {
+        toast.error(t('customers.watchlistHold', { count: screening.length }), { duration: 8000 });
+      }
       setShowModal(false);
       fetchCustomers();
     } catch (error) {
@@ -136,6 +147,18 @@ const CustomersPage = () => {
     }
   };
 
+  const sendPortalInvite = async (customer) => {
+    setSendingInvite(true);
+    try {
+      await customerService.sendPortalInvite(customer.uuid);
+      toast.success(t('customers.portalInviteSent'));
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setSendingInvite(false);
+    }
+  };
+
   const deleteCustomer = async (customer) => {
     if (!window.confirm(t('customers.confirmDelete'))) return;
     try {
@@ -423,6 +446,11 @@ const CustomersPage = () => {
               label={t('customers.idNumber')}
               {...register('idNumber')}
             />
+            <Input
+              label={t('customers.dateOfBirth')}
+              type="date"
+              {...register('dateOfBirth')}
+            />
             <div className="flex items-center pt-6">
               <input
                 type="checkbox"
@@ -482,6 +510,18 @@ const CustomersPage = () => {
                   )}
                 </div>
               </div>
+              {hasPermission('customers.portal') && selectedCustomer.email && !selectedCustomer.isBlocked && (
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  className="ml-auto rtl:ml-0 rtl:mr-auto"
+                  onClick={() => sendPortalInvite(selectedCustomer)}
+                  loading={sendingInvite}
+                >
+                  <PaperAirplaneIcon className="h-4 w-4 mr-2 rtl:mr-0 rtl:ml-2" />
+                  {t('customers.sendPortalInvite')}
+                </Button>
+              )}
             </div>
 
             <div className="grid grid-cols-2 gap-4">
@@ -501,6 +541,10 @@ const CustomersPage = () => {
                 <label className="text-sm text-gray-500">{t('customers.idNumber')}</label>
                 <p className="font-medium">{selectedCustomer.idNumber || '-'}</p>
               </div>
+              <div>
+                <label className="text-sm text-gray-500">{t('customers.dateOfBirth')}</label>
+                <p className="font-medium">{selectedCustomer.dateOfBirth ? formatDate(selectedCustomer.dateOfBirth) : '-'}</p>
+              </div>
               <div className="col-span-2">
                 <label className="text-sm text-gray-500">{t('customers.address')}</label>
                 <p className="font-medium">{selectedCustomer.address || '-'}</p>
@@ -2,12 +2,13 @@ import React, { useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { Card, StatCard, Button, Loading } from '../components/common';
+import { Card, StatCard, Button, Loading, Select } from '../components/common';
 import CurrencyCalculator from '../components/dashboard/CurrencyCalculator';
 import ProfitTicker from '../components/dashboard/ProfitTicker';
 import LeaderboardWidget from '../components/dashboard/LeaderboardWidget';
 import reportService from '../services/reportService';
 import cashDrawerService from '../services/cashDrawerService';
+import branchService from '../services/branchService';
 import {
   LineChart,
   BarChart,
@@ -49,7 +50,7 @@ const CHART_COLORS = [
 
 const DashboardPage = () => {
   const { t } = useTranslation();
-  const { user } = useAuth();
+  const { user, isAllBranches } = useAuth();
   const navigate = useNavigate();
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -57,15 +58,26 @@ const DashboardPage = () => {
   const [dailyTrend, setDailyTrend] = useState([]);
   const [profitByCurrency, setProfitByCurrency] = useState([]);
   const [transactionsByCurrencyPair, setTransactionsByCurrencyPair] = useState([]);
+  const [branches, setBranches] = useState([]);
+  const [branchId, setBranchId] = useState(''); // '' = all branches
+
+  useEffect(() => {
+    if (isAllBranches()) {
+      branchService.getBranches()
+        .then((response) => setBranches(response.success ? response.data : []))
+        .catch((error) => console.error('Failed to fetch branches:', error));
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
   useEffect(() => {
     fetchDashboardStats();
     fetchChartData();
-  }, []);
+  }, [branchId]);
 
   const fetchDashboardStats = async () => {
     try {
-      const response = await reportService.getDashboardStats();
+      const response = await reportService.getDashboardStats(branchId || undefined);
       if (response.success) {
         setStats(response.data);
       }
@@ -79,7 +91,7 @@ const DashboardPage = () => {
   const fetchChartData = async () => {
     setChartsLoading(true);
     try {
-      const response = await reportService.getDashboardCharts();
+      const response = await reportService.getDashboardCharts(branchId || undefined);
       if (response.success) {
         setDailyTrend(response.data.dailyTrend || []);
         setProfitByCurrency(response.data.profitByCurrency || []);
@@ -159,6 +171,17 @@ const DashboardPage = () => {
           </p>
         </div>
         <div className="flex items-center gap-4">
+          {branches.length > 0 && (
+            <Select
+              className="w-48"
+              value={branchId}
+              onChange={(e) => setBranchId(e.target.value)}
+              options={[
+                { value: '', label: t('branches.allBranches') },
+                ...branches.map((b) => ({ value: b.uuid, label: b.name }))
+              ]}
+            />
+          )}
           <div className="w-64">
             <ProfitTicker />
           </div>
@@ -287,7 +310,7 @@ const DashboardPage = () => {
 
         {/* --- Leaderboard Widget in a new layout row --- */}
         <div className="lg:col-span-1">
-          <LeaderboardWidget />
+          <LeaderboardWidget branchId={branchId || undefined} />
         </div>
         <div className="lg:col-span-1">
           <Card title={t('dashboard.charts.profitByCurrency')}>
@@ -5,15 +5,23 @@ import { useForm } from 'react-hook-form';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import { Button, Input } from '../components/common';
+import { RecoveryCodes, TwoFactorEnrollment } from '../components/auth';
+import authService from '../services/authService';
 import { SunIcon, MoonIcon } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 
 const LoginPage = () => {
   const { t, i18n } = useTranslation();
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const { login, verifyTwoFactor, completeLogin } = useAuth();
   const { theme, toggleTheme } = useTheme();
   const [loading, setLoading] = useState(false);
+  // credentials | verify | enroll | recoveryCodes
+  const [step, setStep] = useState('credentials');
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
 
   const {
     register,
@@ -21,11 +29,34 @@ const LoginPage = () => {
     formState: { errors }
   } = useForm();
 
+  const {
+    register: registerCode,
+    handleSubmit: handleCodeSubmit,
+    reset: resetCode,
+    formState: { errors: codeErrors }
+  } = useForm();
+
+  const backToCredentials = () => {
+    setStep('credentials');
+    setChallengeToken(null);
+    setEnrollment(null);
+    setUseRecoveryCode(false);
+    resetCode();
+  };
+
   const onSubmit = async (data) => {
     setLoading(true);
     try {
       const result = await login(data.username, data.password);
-      if (result.success) {
+      if (result.success && result.data.twoFactorRequired) {
+        setChallengeToken(result.data.challengeToken);
+        setStep('verify');
+      } else if (result.success && result.data.twoFactorSetupRequired) {
+        const setup = await authService.startTwoFactorEnrollment(result.data.challengeToken);
+        setChallengeToken(result.data.challengeToken);
+        setEnrollment(setup.data);
+        setStep('enroll');
+      } else if (result.success) {
         toast.success(t('common.success'));
         navigate('/');
       } else {
@@ -38,6 +69,35 @@ const LoginPage = () => {
     }
   };
 
+  const onCodeSubmit = async (data) => {
+    setLoading(true);
+    try {
+      const codes = useRecoveryCode ? { recoveryCode: data.code.trim() } : { code: data.code.trim() };
+      const result = await verifyTwoFactor(challengeToken, codes);
+      if (result.data.recoveryCodes) {
+        setRecoveryCodes(result.data.recoveryCodes);
+        setStep('recoveryCodes');
+        return;
+      }
+      if (useRecoveryCode) {
+        toast(t('twoFactor.recoveryCodesRemaining', { count: result.data.recoveryCodesRemaining }));
+      } else {
+        toast.success(t('common.success'));
+      }
+      navigate('/');
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('twoFactor.invalidCode'));
+      resetCode();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const finishEnrollment = () => {
+    completeLogin();
+    navigate('/');
+  };
+
   const languages = [
     { code: 'en', name: 'EN' },
     { code: 'ar', name: 'AR' },
@@ -90,36 +150,101 @@ const LoginPage = () => {
             <p className="text-gray-500 dark:text-gray-400">{t('auth.loginSubtitle')}</p>
           </div>
 
+          {/* Recovery codes after setting up two-factor during login */}
+          {step === 'recoveryCodes' && (
+            <div className="space-y-6">
+              <RecoveryCodes codes={recoveryCodes} />
+              <Button className="w-full" onClick={finishEnrollment}>
+                {t('twoFactor.savedCodes')}
+              </Button>
+            </div>
+          )}
+
+          {/* Two-factor code */}
+          {(step === 'verify' || step === 'enroll') && (
+            <form onSubmit={handleCodeSubmit(onCodeSubmit)} className="space-y-6">
+              {step === 'enroll' && enrollment ? (
+                <>
+                  <p className="text-sm font-medium text-gray-700 dark:text-gray-300">{t('twoFactor.setupRequired')}</p>
+                  <TwoFactorEnrollment setup={enrollment} />
+                </>
+              ) : (
+                <p className="text-sm text-gray-600 dark:text-gray-300">
+                  {useRecoveryCode ? t('twoFactor.enterRecoveryCode') : t('twoFactor.enterCode')}
+                </p>
+              )}
+
+              <Input
+                label={useRecoveryCode ? t('twoFactor.recoveryCode') : t('twoFactor.code')}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
+                {...registerCode('code', {
+                  required: t('validation.required'),
+                  pattern: useRecoveryCode ? undefined : {
+                    value: /^\d{6}$/,
+                    message: t('twoFactor.codeFormat')
+                  }
+                })}
+                error={codeErrors.code?.message}
+              />
+
+              <Button type="submit" loading={loading} className="w-full">
+                {t('twoFactor.verify')}
+              </Button>
+
+              <div className="flex items-center justify-between text-sm">
+                <button type="button" onClick={backToCredentials} className="text-gray-500 hover:text-gray-700 dark:text-gray-400">
+                  {t('common.back')}
+                </button>
+                {step === 'verify' && (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setUseRecoveryCode(!useRecoveryCode);
+                      resetCode();
+                    }}
+                    className="text-primary-600 hover:text-primary-700 dark:text-primary-400"
+                  >
+                    {useRecoveryCode ? t('twoFactor.useAuthenticator') : t('twoFactor.useRecoveryCode')}
+                  </button>
+                )}
+              </div>
+            </form>
+          )}
+
           {/* Form */}
-          <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
-            <Input
-              label={t('auth.username')}
-              type="text"
-              autoComplete="username"
-              {...register('username', {
-                required: t('validation.required')
-              })}
-              error={errors.username?.message}
-            />
-
-            <Input
-              label={t('auth.password')}
-              type="password"
-              autoComplete="current-password"
-              {...register('password', {
-                required: t('validation.required')
-              })}
-              error={errors.password?.message}
-            />
-
-            <Button
-              type="submit"
-              loading={loading}
-              className="w-full"
-            >
-              {t('auth.login')}
-            </Button>
-          </form>
+          {step === 'credentials' && (
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+              <Input
+                label={t('auth.username')}
+                type="text"
+                autoComplete="username"
+                {...register('username', {
+                  required: t('validation.required')
+                })}
+                error={errors.username?.message}
+              />
+
+              <Input
+                label={t('auth.password')}
+                type="password"
+                autoComplete="current-password"
+                {...register('password', {
+                  required: t('validation.required')
+                })}
+                error={errors.password?.message}
+              />
+
+              <Button
+                type="submit"
+                loading={loading}
+                className="w-full"
+              >
+                {t('auth.login')}
+              </Button>
+            </form>
+          )}
 
           {/* Demo Credentials */}
           <div className="mt-6 p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
@@ -1,13 +1,18 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useTranslation } from 'react-i18next';
 import { Card, Button, Loading } from '../components/common';
+import RoleForm from '../components/permissions/RoleForm';
+import UserPermissionOverrides from '../components/permissions/UserPermissionOverrides';
 import permissionService from '../services/permissionService';
 import toast from 'react-hot-toast';
 import {
   ShieldCheckIcon,
   UserGroupIcon,
   CheckIcon,
-  XMarkIcon
+  XMarkIcon,
+  PlusIcon,
+  PencilIcon,
+  TrashIcon
 } from '@heroicons/react/24/outline';
 
 const PermissionsPage = () => {
@@ -20,6 +25,9 @@ const PermissionsPage = () => {
   const [selectedRole, setSelectedRole] = useState('manager');
   const [editMode, setEditMode] = useState(false);
   const [editedPermissions, setEditedPermissions] = useState([]);
+  const [showRoleModal, setShowRoleModal] = useState(false);
+  const [editingRole, setEditingRole] = useState(null);
+  const [savingRole, setSavingRole] = useState(false);
 
   const fetchData = useCallback(async () => {
     try {
@@ -95,6 +103,64 @@ const PermissionsPage = () => {
     }
   };
 
+  const openRoleModal = (role = null) => {
+    setEditingRole(role);
+    setShowRoleModal(true);
+  };
+
+  // New roles start with the permissions of the selected role
+  const handleSaveRole = async (data) => {
+    try {
+      setSavingRole(true);
+      if (editingRole) {
+        await permissionService.updateRole(editingRole.id, {
+          name: data.name,
+          description: data.description
+        });
+        toast.success(t('permissions.roleUpdated'));
+      } else {
+        await permissionService.createRole({
+          ...data,
+          permissionIds: matrix[selectedRole] || []
+        });
+        toast.success(t('permissions.roleCreated'));
+        setSelectedRole(data.code);
+      }
+      setShowRoleModal(false);
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    } finally {
+      setSavingRole(false);
+    }
+  };
+
+  const handleDeleteRole = async (role) => {
+    if (!window.confirm(t('permissions.confirmDeleteRole', { role: role.name }))) {
+      return;
+    }
+
+    try {
+      await permissionService.deleteRole(role.id);
+      toast.success(t('permissions.roleDeleted'));
+      setSelectedRole('manager');
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  };
+
+  // Users of the role must set up two-factor authentication at their next login
+  const handleToggleTwoFactor = async (role) => {
+    try {
+      await permissionService.updateRole(role.id, { requireTwoFactor: !role.requireTwoFactor });
+      toast.success(t('permissions.roleUpdated'));
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  };
+
   const handleCancel = () => {
     setEditedPermissions([...matrix[selectedRole]]);
     setEditMode(false);
@@ -117,16 +183,24 @@ const PermissionsPage = () => {
     cash_drawer: t('nav.cashDrawers'),
     shifts: t('nav.shifts'),
     users: t('nav.users'),
-    settings: t('nav.settings')
+    settings: t('nav.settings'),
+    compliance: t('permissions.categories.compliance'),
+    branches: t('nav.branches'),
+    fees: t('fees.title'),
+    positions: t('nav.positions')
   };
 
-  const roleLabels = {
-    admin: t('users.admin'),
-    manager: t('permissions.manager') || 'Manager',
-    teller: t('permissions.teller') || 'Teller',
-    viewer: t('permissions.viewer') || 'Viewer'
+  // Built-in roles are translated; custom roles show the name they were given
+  const roleLabel = (code) => {
+    const role = roles.find(r => r.id === code);
+    if (role && !role.isSystem) {
+      return role.name;
+    }
+    return t(`roles.${code}`, { defaultValue: role?.name || code });
   };
 
+  const currentRole = roles.find(r => r.id === selectedRole);
+
   const hasPermission = (permId) => {
     if (editMode) {
       return editedPermissions.includes(permId);
@@ -153,6 +227,10 @@ const PermissionsPage = () => {
             {t('permissions.subtitle') || 'Manage what each role can access and do'}
           </p>
         </div>
+        <Button onClick={() => openRoleModal()} disabled={editMode}>
+          <PlusIcon className="h-5 w-5 mr-2 rtl:mr-0 rtl:ml-2" />
+          {t('permissions.newRole')}
+        </Button>
       </div>
 
       {/* Role Cards */}
@@ -182,7 +260,7 @@ const PermissionsPage = () => {
                 )}
               </div>
               <div>
-                <h3 className="font-medium text-gray-900">{roleLabels[role.id]}</h3>
+                <h3 className="font-medium text-gray-900">{roleLabel(role.id)}</h3>
                 <p className="text-sm text-gray-500">
                   {role.userCount} {t('permissions.users') || 'users'}
                 </p>
@@ -196,10 +274,22 @@ const PermissionsPage = () => {
       <Card>
         <div className="flex items-center justify-between mb-4">
           <h2 className="text-lg font-semibold text-gray-900">
-            {roleLabels[selectedRole]} {t('permissions.permissions') || 'Permissions'}
+            {roleLabel(selectedRole)} {t('permissions.permissions') || 'Permissions'}
           </h2>
           {selectedRole !== 'admin' && (
             <div className="flex gap-2">
+              {!editMode && currentRole && !currentRole.isSystem && (
+                <>
+                  <Button variant="secondary" onClick={() => openRoleModal(currentRole)}>
+                    <PencilIcon className="h-4 w-4 mr-1 rtl:mr-0 rtl:ml-1" />
+                    {t('permissions.editRole')}
+                  </Button>
+                  <Button variant="danger" onClick={() => handleDeleteRole(currentRole)}>
+                    <TrashIcon className="h-4 w-4 mr-1 rtl:mr-0 rtl:ml-1" />
+                    {t('common.delete')}
+                  </Button>
+                </>
+              )}
               {editMode ? (
                 <>
                   <Button variant="secondary" onClick={handleCancel} disabled={saving}>
@@ -218,6 +308,18 @@ const PermissionsPage = () => {
           )}
         </div>
 
+        {currentRole && (
+          <label className="flex items-center gap-2 mb-4 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              checked={Boolean(currentRole.requireTwoFactor)}
+              onChange={() => handleToggleTwoFactor(currentRole)}
+            />
+            {t('permissions.requireTwoFactor')}
+          </label>
+        )}
+
         {selectedRole === 'admin' && (
           <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4 text-sm text-yellow-800">
             {t('permissions.adminNote') || 'Administrators have full access to all features. Their permissions cannot be modified.'}
@@ -272,6 +374,22 @@ const PermissionsPage = () => {
           ))}
         </div>
       </Card>
+
+      <UserPermissionOverrides
+        groupedPermissions={groupedPermissions}
+        categoryLabels={categoryLabels}
+        matrix={matrix}
+        roleLabel={roleLabel}
+      />
+
+      <RoleForm
+        isOpen={showRoleModal}
+        onClose={() => setShowRoleModal(false)}
+        onSubmit={handleSaveRole}
+        role={editingRole}
+        copyFrom={roleLabel(selectedRole)}
+        loading={savingRole}
+      />
     </div>
   );
 };
@@ -0,0 +1,455 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { Card, StatCard, Button, Loading, Select, Table, Badge } from '../components/common';
+import PositionLimitForm from '../components/positions/PositionLimitForm';
+import positionService from '../services/positionService';
+import currencyService from '../services/currencyService';
+import branchService from '../services/branchService';
+import {
+  BarChart,
+  Bar,
+  ResponsiveContainer,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  CartesianGrid
+} from 'recharts';
+import {
+  ArrowTrendingUpIcon,
+  ArrowTrendingDownIcon,
+  ScaleIcon,
+  BanknotesIcon,
+  ExclamationTriangleIcon,
+  ArrowPathIcon,
+  PlusIcon,
+  PencilSquareIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+
+const CHART_COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899', '#06B6D4', '#84CC16'];
+
+// Positions move with every deal, so the page keeps itself current
+const REFRESH_INTERVAL_MS = 60000;
+
+const LIMIT_BADGES = {
+  ok: 'success',
+  warning: 'warning',
+  breached: 'danger',
+  unlimited: 'secondary'
+};
+
+const PositionsPage = () => {
+  const { t } = useTranslation();
+  const { isAdmin, isAllBranches, hasPermission } = useAuth();
+  const [report, setReport] = useState(null);
+  const [limits, setLimits] = useState([]);
+  const [currencies, setCurrencies] = useState([]);
+  const [branches, setBranches] = useState([]);
+  const [branchId, setBranchId] = useState(''); // '' = all branches
+  const [loading, setLoading] = useState(true);
+  const [limitModalOpen, setLimitModalOpen] = useState(false);
+  const [editingLimit, setEditingLimit] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchPositions = useCallback(async () => {
+    try {
+      const response = await positionService.getPositions(branchId || undefined);
+      if (response.success) {
+        setReport(response.data);
+      }
+    } catch (error) {
+      console.error('Failed to fetch positions:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [branchId]);
+
+  const fetchLimits = useCallback(async () => {
+    try {
+      const response = await positionService.getPositionLimits();
+      setLimits(response.success ? response.data : []);
+    } catch (error) {
+      console.error('Failed to fetch position limits:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchLimits();
+    if (hasPermission('positions.limits')) {
+      currencyService.getCurrencies()
+        .then((response) => setCurrencies(response.success ? response.data : []))
+        .catch((error) => console.error('Failed to fetch currencies:', error));
+    }
+    if (isAdmin() || isAllBranches()) {
+      branchService.getBranches()
+        .then((response) => setBranches(response.success ? response.data : []))
+        .catch((error) => console.error('Failed to fetch branches:', error));
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  useEffect(() => {
+    fetchPositions();
+    const interval = setInterval(fetchPositions, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchPositions]);
+
+  const formatAmount = (amount) => {
+    if (amount === null || amount === undefined) return '-';
+    return new Intl.NumberFormat('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount);
+  };
+
+  const formatRate = (rate) => (rate === null || rate === undefined ? '-' : Number(rate).toFixed(4));
+
+  const openLimitModal = (limit = null) => {
+    setEditingLimit(limit);
+    setLimitModalOpen(true);
+  };
+
+  const handleSaveLimit = async (data) => {
+    try {
+      setSaving(true);
+      await positionService.savePositionLimit(data);
+      toast.success(t('positions.limitSaved'));
+      setLimitModalOpen(false);
+      fetchLimits();
+      fetchPositions();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || t('common.error'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteLimit = async (limit) => {
+    if (!window.confirm(t('positions.confirmDeleteLimit', { currency: limit.currency.code }))) {
+      return;
+    }
+    try {
+      await positionService.deletePositionLimit(limit.uuid);
+      toast.success(t('positions.limitDeleted'));
+      fetchLimits();
+      fetchPositions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <Loading size="lg" />
+      </div>
+    );
+  }
+
+  const baseCode = report?.baseCurrency || '';
+  const positions = report?.positions || [];
+  const alerts = report?.alerts || [];
+
+  // One bar group per hour, one bar per currency moved in that hour
+  const chartCurrencies = [...new Set((report?.intraday || []).map(m => m.currencyCode))];
+  const intradayChart = Object.values((report?.intraday || []).reduce((hours, movement) => {
+    const label = `${String(movement.hour).padStart(2, '0')}:00`;
+    hours[label] = hours[label] || { hour: label };
+    hours[label][movement.currencyCode] = movement.net;
+    return hours;
+  }, {}));
+
+  const positionColumns = [
+    {
+      header: t('positions.currency'),
+      accessor: 'currencyCode',
+      render: (value, row) => (
+        <div>
+          <span className="font-medium text-gray-900 dark:text-gray-100">{value}</span>
+          {row.isBase && <Badge variant="info" className="ml-2 rtl:ml-0 rtl:mr-2">{t('positions.base')}</Badge>}
+          <span className="block text-xs text-gray-500">
+            {t('positions.drawerCount', { count: row.drawerCount })}
+          </span>
+        </div>
+      )
+    },
+    {
+      header: t('positions.position'),
+      accessor: 'quantity',
+      render: (value, row) => (
+        <span className={`font-mono ${value < 0 ? 'text-red-600' : 'text-gray-900 dark:text-gray-100'}`}>
+          {row.currencySymbol} {formatAmount(value)}
+        </span>
+      )
+    },
+    {
+      header: t('positions.rates'),
+      accessor: 'buyRate',
+      render: (_, row) => (
+        row.isBase ? '-' : (
+          <span className="text-sm font-mono">
+            {formatRate(row.buyRate)} / {formatRate(row.sellRate)}
+          </span>
+        )
+      )
+    },
+    {
+      header: t('positions.value', { currency: baseCode }),
+      accessor: 'marketValue',
+      render: (value, row) => (
+        <div className="text-sm">
+          <span className="font-mono font-medium">{formatAmount(value)}</span>
+          {!row.isBase && row.buyValue !== null && (
+            <span className="block text-xs text-gray-500">
+              {t('positions.valueRange', { buy: formatAmount(row.buyValue), sell: formatAmount(row.sellValue) })}
+            </span>
+          )}
+        </div>
+      )
+    },
+    {
+      header: t('positions.unrealized'),
+      accessor: 'unrealizedProfit',
+      render: (value, row) => (
+        <div className="text-sm">
+          <span className={`font-mono ${value < 0 ? 'text-red-600' : 'text-green-600'}`}>{formatAmount(value)}</span>
+          {row.avgCost !== null && !row.isBase && (
+            <span className="block text-xs text-gray-500">{t('positions.avgCost', { cost: formatRate(row.avgCost) })}</span>
+          )}
+        </div>
+      )
+    },
+    {
+      header: t('positions.today'),
+      accessor: 'intraday',
+      render: (value) => (
+        <div className="text-sm">
+          <span className={`font-mono ${value.net < 0 ? 'text-red-600' : 'text-green-600'}`}>
+            {value.net > 0 ? '+' : ''}{formatAmount(value.net)}
+          </span>
+          <span className="block text-xs text-gray-500">
+            {t('positions.boughtSold', { bought: formatAmount(value.bought), sold: formatAmount(value.sold) })}
+          </span>
+        </div>
+      )
+    },
+    {
+      header: t('positions.limit'),
+      accessor: 'limit',
+      render: (value) => (
+        <div className="text-sm">
+          <Badge variant={LIMIT_BADGES[value.status]}>{t(`positions.status.${value.status}`)}</Badge>
+          {value.limit !== null && (
+            <span className="block text-xs text-gray-500 mt-1">
+              {value.usedPercent}% {t('positions.of')} {formatAmount(value.limit)}
+            </span>
+          )}
+        </div>
+      )
+    }
+  ];
+
+  const limitColumns = [
+    { header: t('positions.currency'), accessor: 'currency', render: (value) => value.code },
+    {
+      header: t('positions.branch'),
+      accessor: 'branch',
+      render: (value) => (value ? value.name : t('positions.allBranches'))
+    },
+    {
+      header: t('positions.maxLong'),
+      accessor: 'maxLong',
+      render: (value) => (value !== null ? formatAmount(value) : t('positions.noLimit'))
+    },
+    {
+      header: t('positions.maxShort'),
+      accessor: 'maxShort',
+      render: (value) => (value !== null ? formatAmount(value) : t('positions.noLimit'))
+    }
+  ];
+
+  if (hasPermission('positions.limits')) {
+    limitColumns.push({
+      header: t('common.actions'),
+      accessor: 'uuid',
+      render: (_, row) => (
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => openLimitModal(row)}
+            className="p-1 text-primary-600 hover:text-primary-800"
+            title={t('common.edit')}
+          >
+            <PencilSquareIcon className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => handleDeleteLimit(row)}
+            className="p-1 text-red-600 hover:text-red-800"
+            title={t('common.delete')}
+          >
+            <TrashIcon className="h-4 w-4" />
+          </button>
+        </div>
+      )
+    });
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">{t('positions.title')}</h1>
+          <p className="text-gray-500 dark:text-gray-400">{t('positions.subtitle')}</p>
+        </div>
+        <div className="flex items-center gap-4">
+          {isAllBranches() && branches.length > 0 && (
+            <Select
+              className="w-48"
+              value={branchId}
+              onChange={(e) => setBranchId(e.target.value)}
+              options={[
+                { value: '', label: t('branches.allBranches') },
+                ...branches.map((b) => ({ value: b.uuid, label: b.name }))
+              ]}
+            />
+          )}
+          <Button variant="secondary" onClick={fetchPositions}>
+            <ArrowPathIcon className="h-5 w-5 mr-2 rtl:mr-0 rtl:ml-2" />
+            {t('common.refresh')}
+          </Button>
+        </div>
+      </div>
+
+      {!baseCode && (
+        <Card className="bg-yellow-50 border-yellow-200">
+          <p className="text-sm text-yellow-800">{t('positions.noBaseCurrency')}</p>
+        </Card>
+      )}
+
+      {/* Limit Alerts */}
+      {alerts.length > 0 && (
+        <Card className="bg-red-50 border-red-200">
+          <div className="flex items-start">
+            <ExclamationTriangleIcon className="h-6 w-6 text-red-600 mr-3 rtl:mr-0 rtl:ml-3" />
+            <div>
+              <h3 className="font-medium text-red-800">{t('positions.limitAlerts')}</h3>
+              <ul className="mt-2 text-sm text-red-700 space-y-1">
+                {alerts.map((alert) => (
+                  <li key={alert.currencyCode}>
+                    <Badge variant={alert.severity === 'critical' ? 'danger' : 'warning'} className="mr-2 rtl:mr-0 rtl:ml-2">
+                      {t(`positions.status.${alert.severity === 'critical' ? 'breached' : 'warning'}`)}
+                    </Badge>
+                    {t(`positions.alert.${alert.side}`, {
+                      currency: alert.currencyCode,
+                      quantity: formatAmount(alert.quantity),
+                      limit: formatAmount(alert.limit),
+                      percent: alert.usedPercent
+                    })}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </Card>
+      )}
+
+      {/* Exposure */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        <StatCard
+          title={t('positions.longExposure')}
+          value={`${formatAmount(report?.summary?.longExposure || 0)} ${baseCode}`}
+          icon={ArrowTrendingUpIcon}
+        />
+        <StatCard
+          title={t('positions.shortExposure')}
+          value={`${formatAmount(report?.summary?.shortExposure || 0)} ${baseCode}`}
+          icon={ArrowTrendingDownIcon}
+        />
+        <StatCard
+          title={t('positions.netExposure')}
+          value={`${formatAmount(report?.summary?.netExposure || 0)} ${baseCode}`}
+          icon={ScaleIcon}
+        />
+        <StatCard
+          title={t('positions.unrealizedProfit')}
+          value={`${formatAmount(report?.summary?.unrealizedProfit || 0)} ${baseCode}`}
+          icon={BanknotesIcon}
+        />
+      </div>
+
+      {/* Positions */}
+      <Card title={t('positions.positions')}>
+        <Table
+          columns={positionColumns}
+          data={positions}
+          emptyMessage={t('positions.noPositions')}
+        />
+      </Card>
+
+      {/* Intraday Movement */}
+      <Card title={t('positions.intradayMovement')}>
+        {intradayChart.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">{t('positions.noMovementToday')}</p>
+        ) : (
+          <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={intradayChart} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#E5E7EB" />
+                <XAxis
+                  dataKey="hour"
+                  tick={{ fontSize: 12, fill: '#6B7280' }}
+                  tickLine={false}
+                  axisLine={{ stroke: '#E5E7EB' }}
+                />
+                <YAxis
+                  tick={{ fontSize: 12, fill: '#6B7280' }}
+                  tickLine={false}
+                  axisLine={{ stroke: '#E5E7EB' }}
+                />
+                <Tooltip formatter={(value) => formatAmount(value)} />
+                <Legend />
+                {chartCurrencies.map((code, index) => (
+                  <Bar key={code} dataKey={code} fill={CHART_COLORS[index % CHART_COLORS.length]} />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </Card>
+
+      {/* Limits */}
+      <Card
+        title={t('positions.limits')}
+        action={hasPermission('positions.limits') && (
+          <Button size="sm" onClick={() => openLimitModal()}>
+            <PlusIcon className="h-4 w-4 mr-1 rtl:mr-0 rtl:ml-1" />
+            {t('positions.addLimit')}
+          </Button>
+        )}
+      >
+        <Table
+          columns={limitColumns}
+          data={limits}
+          emptyMessage={t('positions.noLimits')}
+        />
+      </Card>
+
+      {hasPermission('positions.limits') && (
+        <PositionLimitForm
+          isOpen={limitModalOpen}
+          onClose={() => setLimitModalOpen(false)}
+          onSubmit={handleSaveLimit}
+          limit={editingLimit}
+          currencies={currencies}
+          branches={branches}
+          loading={saving}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PositionsPage;
@@ -1,19 +1,23 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
 import { PlusIcon } from '@heroicons/react/24/outline';
 import DailyReport from '../components/reports/DailyReport';
 import MonthlyReport from '../components/reports/MonthlyReport';
 import DailyClosingReport from '../components/reports/DailyClosingReport';
 import ProfitLossReport from '../components/reports/ProfitLossReport';
+import QuoteConversionReport from '../components/reports/QuoteConversionReport';
 import ScheduledReportList from '../components/reports/ScheduledReportList';
 import ScheduledReportForm from '../components/reports/ScheduledReportForm';
-import { Button } from '../components/common';
+import { Button, Select } from '../components/common';
 import { useAuth } from '../contexts/AuthContext';
+import branchService from '../services/branchService';
 
 const ReportsPage = () => {
   const { t } = useTranslation();
-  const { isAdmin } = useAuth();
+  const { isAllBranches, hasPermission } = useAuth();
   const [activeTab, setActiveTab] = useState('daily');
+  const [branches, setBranches] = useState([]);
+  const [branchId, setBranchId] = useState(''); // '' = all branches
   const [isScheduleModalOpen, setIsScheduleModalOpen] = useState(false);
   const [editingSchedule, setEditingSchedule] = useState(null);
   const [scheduleRefreshKey, setScheduleRefreshKey] = useState(0);
@@ -25,10 +29,22 @@ const ReportsPage = () => {
     { id: 'closing', label: t('reports.dailyClosing') }
   ];
 
-  if (isAdmin()) {
+  if (hasPermission('reports.profit')) {
+    tabs.push({ id: 'quotes', label: t('reports.quoteConversion') });
+  }
+
+  if (hasPermission('reports.schedule')) {
     tabs.push({ id: 'scheduled', label: t('reports.scheduledReports') || 'Scheduled Reports' });
   }
 
+  useEffect(() => {
+    if (!isAllBranches()) return;
+    branchService.getBranches()
+      .then((response) => setBranches(response.success ? response.data : []))
+      .catch((error) => console.error('Failed to fetch branches:', error));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
   const handleCreateSchedule = () => {
     setEditingSchedule(null);
     setIsScheduleModalOpen(true);
@@ -51,6 +67,17 @@ const ReportsPage = () => {
           <h1 className="text-2xl font-bold text-gray-900">{t('reports.title')}</h1>
           <p className="mt-1 text-sm text-gray-500">{t('reports.subtitle')}</p>
         </div>
+        {branches.length > 0 && ['daily', 'monthly', 'profitLoss', 'closing', 'quotes'].includes(activeTab) && (
+          <Select
+            className="w-56"
+            value={branchId}
+            onChange={(e) => setBranchId(e.target.value)}
+            options={[
+              { value: '', label: t('branches.allBranches') },
+              ...branches.map((b) => ({ value: b.uuid, label: b.name }))
+            ]}
+          />
+        )}
         {activeTab === 'scheduled' && (
           <Button onClick={handleCreateSchedule}>
             <PlusIcon className="h-5 w-5 mr-2" />
@@ -82,10 +109,11 @@ const ReportsPage = () => {
 
       {/* Tab Content */}
       <div className="min-h-[400px]">
-        {activeTab === 'daily' && <DailyReport />}
-        {activeTab === 'monthly' && <MonthlyReport />}
-        {activeTab === 'profitLoss' && <ProfitLossReport />}
-        {activeTab === 'closing' && <DailyClosingReport />}
+        {activeTab === 'daily' && <DailyReport branchId={branchId} />}
+        {activeTab === 'monthly' && <MonthlyReport branchId={branchId} />}
+        {activeTab === 'profitLoss' && <ProfitLossReport branchId={branchId} />}
+        {activeTab === 'closing' && <DailyClosingReport branchId={branchId} />}
+        {activeTab === 'quotes' && <QuoteConversionReport branchId={branchId} />}
         {activeTab === 'scheduled' && (
           <ScheduledReportList
             key={scheduleRefreshKey}
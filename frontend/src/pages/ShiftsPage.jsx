@@ -20,7 +20,7 @@ import {
 
 const ShiftsPage = () => {
   const { t } = useTranslation();
-  const { user, isAdmin } = useAuth();
+  const { user, hasPermission } = useAuth();
   const [shifts, setShifts] = useState([]);
   const [activeShift, setActiveShift] = useState(null);
   const [users, setUsers] = useState([]);
@@ -70,7 +70,7 @@ const ShiftsPage = () => {
       }
 
       // Fetch users for handover (admin only)
-      if (isAdmin()) {
+      if (hasPermission('users.view')) {
         const usersRes = await userService.getUsers();
         if (usersRes.success) {
           setUsers(usersRes.data || []);
@@ -81,7 +81,7 @@ const ShiftsPage = () => {
     } finally {
       setLoading(false);
     }
-  }, [pagination.page, pagination.limit, statusFilter, isAdmin]);
+  }, [pagination.page, pagination.limit, statusFilter, hasPermission]);
 
   useEffect(() => {
     fetchData();
@@ -295,7 +295,7 @@ const ShiftsPage = () => {
                         >
                           <EyeIcon className="h-5 w-5" />
                         </button>
-                        {isAdmin() && shift.status === 'active' && shift.user_id !== user?.id && (
+                        {hasPermission('shifts.abandon') && shift.status === 'active' && shift.user_id !== user?.id && (
                           <button
                             onClick={() => abandonShift(shift)}
                             className="p-1 text-red-500 hover:text-red-700"
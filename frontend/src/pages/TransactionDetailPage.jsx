@@ -5,6 +5,7 @@ import { useForm } from 'react-hook-form';
 import { Button, Input, Select, Card, Loading } from '../components/common';
 import ReceiptActions from '../components/transactions/ReceiptActions';
 import transactionService from '../services/transactionService';
+import { useAuth } from '../contexts/AuthContext';
 import toast from 'react-hot-toast';
 import {
   ArrowLeftIcon,
@@ -29,12 +30,16 @@ const TransactionDetailPage = () => {
   const { uuid } = useParams();
   const navigate = useNavigate();
   const { t, i18n } = useTranslation();
+  const { hasPermission } = useAuth();
+  // Commission follows the fee schedules; only fee managers set it by hand
+  const canSetCommission = hasPermission('fees.manage');
   const isRTL = i18n.language === 'ar' || i18n.language === 'ku';
 
   const [transaction, setTransaction] = useState(null);
   const [loading, setLoading] = useState(true);
   const [editing, setEditing] = useState(false);
   const [saving, setSaving] = useState(false);
+  const [rateCheck, setRateCheck] = useState(null);
 
   const { register, handleSubmit, reset, formState: { errors } } = useForm();
 
@@ -42,6 +47,13 @@ const TransactionDetailPage = () => {
     fetchTransaction();
   }, [uuid]);
 
+  const amountDefaults = (data) => ({
+    amountIn: data.amountIn,
+    amountOut: data.amountOut,
+    exchangeRate: data.exchangeRate,
+    commission: data.commission
+  });
+
   const fetchTransaction = async () => {
     try {
       setLoading(true);
@@ -55,7 +67,8 @@ const TransactionDetailPage = () => {
           customerIdNumber: response.data.customerIdNumber || '',
           notes: response.data.notes || '',
           paymentMethod: response.data.paymentMethod || 'cash',
-          referenceNumber: response.data.referenceNumber || ''
+          referenceNumber: response.data.referenceNumber || '',
+          ...amountDefaults(response.data)
         });
       }
     } catch (error) {
@@ -67,15 +80,39 @@ const TransactionDetailPage = () => {
   };
 
   const onSubmit = async (data) => {
+    // Only send amounts that actually changed; any amount change re-balances the drawer
+    const payload = { ...data };
+    Object.keys(amountDefaults(transaction)).forEach((field) => {
+      const value = parseFloat(payload[field]);
+      if (Number.isNaN(value) || value === transaction[field]) {
+        delete payload[field];
+      } else {
+        payload[field] = value;
+      }
+    });
+    if (rateCheck) {
+      payload.rateOverrideReason = (payload.rateOverrideReason || '').trim();
+    } else {
+      delete payload.rateOverrideReason;
+    }
+
     try {
       setSaving(true);
-      const response = await transactionService.updateTransaction(uuid, data);
+      const response = await transactionService.updateTransaction(uuid, payload);
       if (response.success) {
-        toast.success(t('transactions.transactionUpdated') || 'Transaction updated successfully');
+        if (response.data?.status === 'pending' && transaction.status !== 'pending') {
+          toast.success(t('transactions.editHeldForApproval'));
+        } else {
+          toast.success(t('transactions.transactionUpdated') || 'Transaction updated successfully');
+        }
         setEditing(false);
+        setRateCheck(null);
         fetchTransaction();
       }
     } catch (error) {
+      if (error.response?.data?.data?.rateCheck) {
+        setRateCheck(error.response.data.data.rateCheck);
+      }
       toast.error(error.response?.data?.message || t('common.error'));
     } finally {
       setSaving(false);
@@ -84,6 +121,7 @@ const TransactionDetailPage = () => {
 
   const cancelEdit = () => {
     setEditing(false);
+    setRateCheck(null);
     reset({
       customerName: transaction.customerName,
       customerPhone: transaction.customerPhone || '',
@@ -91,7 +129,8 @@ const TransactionDetailPage = () => {
       customerIdNumber: transaction.customerIdNumber || '',
       notes: transaction.notes || '',
       paymentMethod: transaction.paymentMethod || 'cash',
-      referenceNumber: transaction.referenceNumber || ''
+      referenceNumber: transaction.referenceNumber || '',
+      ...amountDefaults(transaction)
     });
   };
 
@@ -150,6 +189,7 @@ const TransactionDetailPage = () => {
   }
 
   const isCancelled = transaction.status === 'cancelled';
+  const isPending = transaction.status === 'pending';
 
   return (
     <div className={`space-y-6 ${isRTL ? 'rtl' : 'ltr'}`} dir={isRTL ? 'rtl' : 'ltr'}>
@@ -198,6 +238,16 @@ const TransactionDetailPage = () => {
       </div>
 
       {/* Status Banner */}
+      {isPending && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex items-start gap-3">
+          <ExclamationTriangleIcon className="h-5 w-5 text-yellow-500 flex-shrink-0 mt-0.5" />
+          <div>
+            <p className="font-medium text-yellow-800">{t('transactions.pending')}</p>
+            <p className="text-sm text-yellow-700 mt-1">{t('approvals.pendingNotice')}</p>
+          </div>
+        </div>
+      )}
+
       {isCancelled && (
         <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-start gap-3">
           <ExclamationTriangleIcon className="h-5 w-5 text-red-500 flex-shrink-0 mt-0.5" />
@@ -208,7 +258,9 @@ const TransactionDetailPage = () => {
                 <p>{t('transactions.cancelledBy')}: {transaction.cancellation.cancelledBy}</p>
                 <p>{t('transactions.cancelledAt')}: {formatDate(transaction.cancellation.cancelledAt)} {formatTime(transaction.cancellation.cancelledAt)}</p>
                 {transaction.cancellation.reason && (
-                  <p>{t('transactions.cancellationReason')}: {transaction.cancellation.reason}</p>
+                  <p>
+                    {transaction.cancellation.rejected ? t('approvals.rejectionReason') : t('transactions.cancellationReason')}: {transaction.cancellation.reason}
+                  </p>
                 )}
               </div>
             )}
@@ -255,6 +307,76 @@ const TransactionDetailPage = () => {
                 </div>
               </div>
 
+              {editing && (
+                <div className="mt-4 pt-4 border-t border-gray-200">
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    <Input
+                      label={t('transactions.amountIn')}
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      {...register('amountIn', { required: t('validation.required') })}
+                      error={errors.amountIn?.message}
+                    />
+                    <Input
+                      label={t('transactions.amountOut')}
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      {...register('amountOut', { required: t('validation.required') })}
+                      error={errors.amountOut?.message}
+                    />
+                    <Input
+                      label={t('transactions.exchangeRate')}
+                      type="number"
+                      step="0.000001"
+                      min="0"
+                      {...register('exchangeRate', { required: t('validation.required') })}
+                      error={errors.exchangeRate?.message}
+                    />
+                    <Input
+                      label={t('reports.totalCommission') || 'Commission'}
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      disabled={!canSetCommission}
+                      {...register('commission')}
+                    />
+                  </div>
+                  {!isPending && (
+                    <p className="text-xs text-gray-500 mt-2">{t('transactions.amountEditNotice')}</p>
+                  )}
+                  {rateCheck && (
+                    <div className="mt-4 rounded-lg border border-amber-200 bg-amber-50 p-4 space-y-3">
+                      <p className="text-sm text-amber-800">
+                        {t('transactions.rateOutOfTolerance', {
+                          min: rateCheck.minRate,
+                          max: rateCheck.maxRate,
+                          official: rateCheck.officialRate,
+                          deviation: rateCheck.deviationPercent
+                        })}
+                      </p>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          {t('transactions.overrideReason')} *
+                        </label>
+                        <textarea
+                          className="input-field min-h-[60px]"
+                          placeholder={t('transactions.overrideReasonPlaceholder')}
+                          rows={2}
+                          {...register('rateOverrideReason', {
+                            validate: (value) => !rateCheck || (value || '').trim().length >= 5 || t('transactions.overrideReasonRequired')
+                          })}
+                        />
+                        {errors.rateOverrideReason && (
+                          <p className="mt-1 text-sm text-red-600">{errors.rateOverrideReason.message}</p>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+
               <div className="mt-4 pt-4 border-t border-gray-200 grid grid-cols-2 md:grid-cols-4 gap-4">
                 <div>
                   <p className="text-xs text-gray-500 uppercase">{t('transactions.exchangeRate')}</p>
@@ -275,6 +397,18 @@ const TransactionDetailPage = () => {
                   <p className="font-semibold text-gray-900">${transaction.commission?.toFixed(2)}</p>
                 </div>
               </div>
+
+              {transaction.rateOverrideReason && (
+                <div className="mt-4 rounded-lg border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800">
+                  <p className="font-medium">
+                    {t('transactions.rateOverrideSummary', {
+                      official: transaction.officialRate,
+                      deviation: transaction.rateDeviationPercent
+                    })}
+                  </p>
+                  <p className="mt-1">{transaction.rateOverrideReason}</p>
+                </div>
+              )}
             </div>
           </Card>
 
@@ -361,6 +495,21 @@ const TransactionDetailPage = () => {
                       <p className="font-medium text-gray-900">{transaction.customerIdNumber || '-'}</p>
                     </div>
                   </div>
+
+                  {transaction.fundedByName && (
+                    <div className="flex items-start gap-3">
+                      <UserIcon className="h-5 w-5 text-gray-400 mt-0.5" />
+                      <div>
+                        <p className="text-xs text-gray-500 uppercase">{t('transactions.fundedByName')}</p>
+                        <p className="font-medium text-gray-900">
+                          {transaction.fundedByName}
+                          {transaction.fundedByIdNumber && (
+                            <span className="text-gray-500 font-normal"> · {transaction.fundedByIdNumber}</span>
+                          )}
+                        </p>
+                      </div>
+                    </div>
+                  )}
                 </div>
               )}
             </div>
@@ -447,12 +596,23 @@ const TransactionDetailPage = () => {
                   <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
                     isCancelled
                       ? 'bg-red-100 text-red-800'
-                      : 'bg-green-100 text-green-800'
+                      : isPending
+                        ? 'bg-yellow-100 text-yellow-800'
+                        : 'bg-green-100 text-green-800'
                   }`}>
-                    {isCancelled ? t('transactions.cancelled') : t('transactions.completed')}
+                    {isCancelled
+                      ? t('transactions.cancelled')
+                      : isPending ? t('transactions.pending') : t('transactions.completed')}
                   </span>
                 </div>
 
+                {transaction.approval && (
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm text-gray-500">{t('approvals.approvedBy')}</span>
+                    <span className="text-sm font-medium text-gray-900">{transaction.approval.approvedBy}</span>
+                  </div>
+                )}
+
                 <div className="flex items-center justify-between">
                   <span className="text-sm text-gray-500 flex items-center gap-1">
                     <CalendarIcon className="h-4 w-4" />
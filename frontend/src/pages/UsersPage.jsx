@@ -4,17 +4,22 @@ import { useTranslation } from 'react-i18next';
 import { useForm } from 'react-hook-form';
 import { Button, Input, Select, Modal, Card, Loading } from '../components/common';
 import userService from '../services/userService';
+import branchService from '../services/branchService';
+import permissionService from '../services/permissionService';
 import toast from 'react-hot-toast';
 import {
   PlusIcon,
   PencilIcon,
-  KeyIcon
+  KeyIcon,
+  ShieldExclamationIcon
 } from '@heroicons/react/24/outline';
 
 const UsersPage = () => {
   const navigate = useNavigate();
   const { t } = useTranslation();
   const [users, setUsers] = useState([]);
+  const [branches, setBranches] = useState([]);
+  const [roles, setRoles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [showPasswordModal, setShowPasswordModal] = useState(false);
@@ -26,6 +31,8 @@ const UsersPage = () => {
 
   useEffect(() => {
     fetchUsers();
+    fetchBranches();
+    fetchRoles();
   }, []);
 
   const fetchUsers = async () => {
@@ -41,6 +48,28 @@ const UsersPage = () => {
     }
   };
 
+  const fetchBranches = async () => {
+    try {
+      const response = await branchService.getBranches({ active: true });
+      if (response.success) {
+        setBranches(response.data);
+      }
+    } catch (error) {
+      console.error('Failed to fetch branches:', error);
+    }
+  };
+
+  const fetchRoles = async () => {
+    try {
+      const response = await permissionService.getRoles();
+      if (response.success) {
+        setRoles(response.data);
+      }
+    } catch (error) {
+      console.error('Failed to fetch roles:', error);
+    }
+  };
+
   const openCreateModal = () => {
     setEditingUser(null);
     reset({});
@@ -53,6 +82,7 @@ const UsersPage = () => {
       email: user.email,
       fullName: user.fullName,
       role: user.role,
+      branchId: user.branch?.uuid || '',
       isActive: user.isActive
     });
     setShowModal(true);
@@ -64,7 +94,9 @@ const UsersPage = () => {
     setShowPasswordModal(true);
   };
 
-  const onSubmit = async (data) => {
+  const onSubmit = async (formData) => {
+    // An empty branch leaves an admin with access to every branch
+    const data = { ...formData, branchId: formData.branchId || null };
     try {
       if (editingUser) {
         await userService.updateUser(editingUser.uuid, data);
@@ -90,6 +122,21 @@ const UsersPage = () => {
     }
   };
 
+  const resetTwoFactor = async (e, user) => {
+    e.stopPropagation();
+    if (!window.confirm(t('users.confirmResetTwoFactor', { name: user.fullName }))) {
+      return;
+    }
+
+    try {
+      await userService.resetTwoFactor(user.uuid);
+      toast.success(t('users.twoFactorReset'));
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || t('common.error'));
+    }
+  };
+
   const toggleUserStatus = async (user) => {
     try {
       await userService.updateUser(user.uuid, { isActive: !user.isActive });
@@ -100,9 +147,25 @@ const UsersPage = () => {
     }
   };
 
-  const roleOptions = [
-    { value: 'admin', label: t('users.admin') },
-    { value: 'employee', label: t('users.employee') }
+  // Built-in roles are translated; custom roles show the name they were given
+  const roleLabel = (code) => {
+    const role = roles.find(r => r.id === code);
+    if (role && !role.isSystem) {
+      return role.name;
+    }
+    return t(`roles.${code}`, { defaultValue: role?.name || code });
+  };
+
+  const roleOptions = roles.length > 0
+    ? roles.map((role) => ({ value: role.id, label: roleLabel(role.id) }))
+    : [
+      { value: 'admin', label: t('users.admin') },
+      { value: 'employee', label: t('users.employee') }
+    ];
+
+  const branchOptions = [
+    { value: '', label: t('branches.allBranches') },
+    ...branches.map((b) => ({ value: b.uuid, label: b.name }))
   ];
 
   if (loading) {
@@ -128,6 +191,7 @@ const UsersPage = () => {
                 <th className="table-header">{t('users.fullName')}</th>
                 <th className="table-header">{t('auth.email')}</th>
                 <th className="table-header">{t('users.role')}</th>
+                <th className="table-header">{t('branches.branch')}</th>
                 <th className="table-header">{t('common.status')}</th>
                 <th className="table-header">{t('common.actions')}</th>
               </tr>
@@ -144,9 +208,10 @@ const UsersPage = () => {
                         ? 'bg-purple-100 text-purple-800'
                         : 'bg-blue-100 text-blue-800'
                     }`}>
-                      {user.role === 'admin' ? t('users.admin') : t('users.employee')}
+                      {roleLabel(user.role)}
                     </span>
                   </td>
+                  <td className="table-cell">{user.branch?.name || t('branches.allBranches')}</td>
                   <td className="table-cell">
                     <span className={`px-2 py-1 text-xs font-medium rounded-full ${
                       user.isActive
@@ -172,6 +237,15 @@ const UsersPage = () => {
                       >
                         <KeyIcon className="h-5 w-5" />
                       </button>
+                      {user.twoFactorEnabled && (
+                        <button
+                          onClick={(e) => resetTwoFactor(e, user)}
+                          className="p-1 text-gray-500 hover:text-red-600"
+                          title={t('users.resetTwoFactor')}
+                        >
+                          <ShieldExclamationIcon className="h-5 w-5" />
+                        </button>
+                      )}
                       <button
                         onClick={() => toggleUserStatus(user)}
                         className={`px-2 py-1 text-xs rounded ${
@@ -233,6 +307,11 @@ const UsersPage = () => {
             {...register('role', { required: t('validation.required') })}
             error={errors.role?.message}
           />
+          <Select
+            label={t('branches.branch')}
+            options={branchOptions}
+            {...register('branchId')}
+          />
           <div className="flex justify-end space-x-3 rtl:space-x-reverse pt-4">
             <Button variant="secondary" onClick={() => setShowModal(false)}>
               {t('common.cancel')}
@@ -1,28 +1,36 @@
 import React, { useState, useEffect } from 'react';
-import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
 import { format } from 'date-fns';
+import { toast } from 'react-hot-toast';
+import { ArrowDownTrayIcon, ComputerDesktopIcon } from '@heroicons/react/24/outline';
+import portalService from '../../services/portalService';
 
 const PortalDashboardPage = () => {
     const [transactions, setTransactions] = useState([]);
     const [profile, setProfile] = useState(null);
     const [loading, setLoading] = useState(true);
 
-    const token = localStorage.getItem('customerToken');
+    const [sessions, setSessions] = useState([]);
+    const [downloading, setDownloading] = useState(null);
+    const [currencies, setCurrencies] = useState([]);
+    const [quoteForm, setQuoteForm] = useState({ fromCurrencyId: '', toCurrencyId: '', amount: '' });
+    const [quote, setQuote] = useState(null);
+    const [quoting, setQuoting] = useState(false);
+    const navigate = useNavigate();
 
     useEffect(() => {
         const fetchData = async () => {
             try {
-                const config = {
-                    headers: { Authorization: `Bearer ${token}` }
-                };
-
-                // Fetch Profile
-                const profileRes = await axios.get('/api/portal/profile', config);
-                setProfile(profileRes.data.data);
-
-                // Fetch Transactions
-                const txRes = await axios.get('/api/portal/transactions', config);
-                setTransactions(txRes.data.data); // Assuming pagination structure, data.data might need adjustment based on controller response
+                const [profileRes, txRes, sessionsRes, currenciesRes] = await Promise.all([
+                    portalService.getProfile(),
+                    portalService.getTransactions(),
+                    portalService.getSessions(),
+                    portalService.getCurrencies()
+                ]);
+                setProfile(profileRes.data);
+                setTransactions(txRes.data);
+                setSessions(sessionsRes.data);
+                setCurrencies(currenciesRes.data);
             } catch (error) {
                 console.error("Failed to fetch portal data", error);
             } finally {
@@ -30,8 +38,69 @@ const PortalDashboardPage = () => {
             }
         };
 
-        if (token) fetchData();
-    }, [token]);
+        if (portalService.isLoggedIn()) fetchData();
+    }, []);
+
+    const handleDownloadReceipt = async (tx) => {
+        setDownloading(tx.uuid);
+        try {
+            const blob = await portalService.downloadReceipt(tx.uuid);
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `receipt-${tx.transactionNumber}.pdf`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error("Failed to download receipt", error);
+            toast.error('Failed to download receipt');
+        } finally {
+            setDownloading(null);
+        }
+    };
+
+    const handleQuoteChange = (field, value) => {
+        setQuoteForm(prev => ({ ...prev, [field]: value }));
+        setQuote(null);
+    };
+
+    const handleGetQuote = async (e) => {
+        e.preventDefault();
+        setQuoting(true);
+        try {
+            const res = await portalService.getQuote({ ...quoteForm, side: 'sell' });
+            setQuote(res.data);
+        } catch (error) {
+            console.error("Failed to get quote", error);
+            toast.error(error.response?.data?.message || 'Failed to get quote');
+        } finally {
+            setQuoting(false);
+        }
+    };
+
+    const handleRevokeSession = async (session) => {
+        try {
+            await portalService.revokeSession(session.uuid);
+            setSessions(prev => prev.filter(s => s.uuid !== session.uuid));
+            toast.success('Session signed out');
+        } catch (error) {
+            console.error("Failed to revoke session", error);
+            toast.error(error.response?.data?.message || 'Failed to sign out session');
+        }
+    };
+
+    const handleLogoutAll = async () => {
+        if (!window.confirm('Sign out of the portal on all devices, including this one?')) return;
+        try {
+            await portalService.logoutAll();
+            navigate('/portal/login');
+        } catch (error) {
+            console.error("Failed to sign out all sessions", error);
+            toast.error('Failed to sign out all devices');
+        }
+    };
 
     if (loading) return <div className="p-8 text-center">Loading dashboard...</div>;
 
@@ -58,6 +127,76 @@ const PortalDashboardPage = () => {
                 </div>
             </div>
 
+            {/* Rate Calculator */}
+            <div className="bg-white shadow sm:rounded-lg">
+                <div className="px-4 py-5 sm:p-6">
+                    <h3 className="text-lg leading-6 font-medium text-gray-900">Rate Calculator</h3>
+                    <form onSubmit={handleGetQuote} className="mt-4 grid grid-cols-1 gap-4 sm:grid-cols-4 items-end">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">You send</label>
+                            <select
+                                value={quoteForm.fromCurrencyId}
+                                onChange={(e) => handleQuoteChange('fromCurrencyId', e.target.value)}
+                                required
+                                className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                            >
+                                <option value="">Select currency</option>
+                                {currencies.map((c) => (
+                                    <option key={c.id} value={c.id}>{c.code} - {c.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">You receive</label>
+                            <select
+                                value={quoteForm.toCurrencyId}
+                                onChange={(e) => handleQuoteChange('toCurrencyId', e.target.value)}
+                                required
+                                className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                            >
+                                <option value="">Select currency</option>
+                                {currencies.filter(c => c.id.toString() !== quoteForm.fromCurrencyId).map((c) => (
+                                    <option key={c.id} value={c.id}>{c.code} - {c.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Amount</label>
+                            <input
+                                type="number"
+                                min="0.01"
+                                step="0.01"
+                                value={quoteForm.amount}
+                                onChange={(e) => handleQuoteChange('amount', e.target.value)}
+                                required
+                                className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                            />
+                        </div>
+                        <button
+                            type="submit"
+                            disabled={quoting}
+                            className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            {quoting ? 'Calculating...' : 'Get Quote'}
+                        </button>
+                    </form>
+                    {quote && (
+                        <div className="mt-4 rounded-lg bg-gray-50 p-4">
+                            <p className="text-2xl font-semibold text-gray-900">
+                                {parseFloat(quote.amountOut).toLocaleString()} {quote.toCurrency.code}
+                            </p>
+                            <p className="mt-1 text-sm text-gray-500">
+                                1 {quote.fromCurrency.code} = {quote.rate} {quote.toCurrency.code}
+                                {quote.derived && <> &middot; Cross rate via {quote.via}</>}
+                            </p>
+                            <p className="mt-1 text-xs text-gray-400">
+                                Indicative only. The rate is confirmed at the counter.
+                            </p>
+                        </div>
+                    )}
+                </div>
+            </div>
+
             {/* Recent Transactions Table */}
             <div className="flex flex-col">
                 <div className="-my-2 overflow-x-auto sm:-mx-6 lg:-mx-8">
@@ -75,6 +214,7 @@ const PortalDashboardPage = () => {
                                         <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">You Received</th>
                                         <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rate</th>
                                         <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Receipt</th>
                                     </tr>
                                 </thead>
                                 <tbody className="bg-white divide-y divide-gray-200">
@@ -102,11 +242,21 @@ const PortalDashboardPage = () => {
                                                     {tx.status}
                                                 </span>
                                             </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                <button
+                                                    onClick={() => handleDownloadReceipt(tx)}
+                                                    disabled={downloading === tx.uuid}
+                                                    className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                                                >
+                                                    <ArrowDownTrayIcon className="h-4 w-4" />
+                                                    PDF
+                                                </button>
+                                            </td>
                                         </tr>
                                     ))}
                                     {transactions.length === 0 && (
                                         <tr>
-                                            <td colSpan="6" className="px-6 py-4 text-center text-gray-500 text-sm">
+                                            <td colSpan="7" className="px-6 py-4 text-center text-gray-500 text-sm">
                                                 No transactions found.
                                             </td>
                                         </tr>
@@ -117,6 +267,53 @@ const PortalDashboardPage = () => {
                     </div>
                 </div>
             </div>
+
+            {/* Active Sessions */}
+            <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+                <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+                    <h3 className="text-lg leading-6 font-medium text-gray-900">Active Sessions</h3>
+                    <button
+                        onClick={handleLogoutAll}
+                        className="text-sm text-red-600 hover:text-red-800 font-medium"
+                    >
+                        Sign out all devices
+                    </button>
+                </div>
+                <ul className="divide-y divide-gray-200">
+                    {sessions.map((session) => (
+                        <li key={session.uuid} className="px-4 py-4 flex items-center justify-between gap-4">
+                            <div className="flex items-center gap-3 min-w-0">
+                                <ComputerDesktopIcon className="h-6 w-6 text-gray-400 flex-shrink-0" />
+                                <div className="min-w-0">
+                                    <p className="text-sm font-medium text-gray-900 truncate" title={session.device}>
+                                        {session.device || 'Unknown device'}
+                                    </p>
+                                    <p className="text-sm text-gray-500">
+                                        {session.ipAddress || '-'} &middot; Last used {format(new Date(session.lastUsedAt || session.createdAt), 'MMM d, yyyy HH:mm')}
+                                    </p>
+                                </div>
+                            </div>
+                            {session.isCurrent ? (
+                                <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">
+                                    This device
+                                </span>
+                            ) : (
+                                <button
+                                    onClick={() => handleRevokeSession(session)}
+                                    className="text-sm text-red-600 hover:text-red-800 font-medium flex-shrink-0"
+                                >
+                                    Sign out
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                    {sessions.length === 0 && (
+                        <li className="px-4 py-4 text-center text-gray-500 text-sm">
+                            No active sessions.
+                        </li>
+                    )}
+                </ul>
+            </div>
         </div>
     );
 };
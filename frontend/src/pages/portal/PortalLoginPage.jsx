@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import axios from 'axios';
+import { Link, useNavigate } from 'react-router-dom';
+import portalService from '../../services/portalService';
 import { toast } from 'react-hot-toast';
 
 const PortalLoginPage = () => {
@@ -14,16 +14,9 @@ const PortalLoginPage = () => {
         setLoading(true);
 
         try {
-            // NOTE: Using direct axios call here as the main api instance might be configured for admin auth
-            // or we can create a portalApi instance. For simplicity given timeframe, direct call.
-            const response = await axios.post('/api/portal/login', {
-                email,
-                password
-            });
+            const response = await portalService.login(email, password);
 
-            if (response.data.success) {
-                localStorage.setItem('customerToken', response.data.data.token);
-                localStorage.setItem('customerUser', JSON.stringify(response.data.data.customer));
+            if (response.success) {
                 toast.success('Login successful');
                 navigate('/portal/dashboard');
             }
@@ -83,6 +76,12 @@ const PortalLoginPage = () => {
                             </div>
                         </div>
 
+                        <div className="flex justify-end">
+                            <Link to="/portal/forgot-password" className="text-sm text-blue-600 hover:text-blue-800">
+                                Forgot your password?
+                            </Link>
+                        </div>
+
                         <div>
                             <button
                                 type="submit"
@@ -1,7 +1,7 @@
 import axios from 'axios';
 
 // Use relative URL in production, localhost in development
-const API_URL = process.env.REACT_APP_API_URL ||
+export const API_URL = process.env.REACT_APP_API_URL ||
   (process.env.NODE_ENV === 'production' ? '/api' : 'http://localhost:5000/api');
 
 // Token storage keys
@@ -135,7 +135,9 @@ api.interceptors.response.use(
     if (error.response?.status === 401 && !originalRequest._retry) {
       // Don't try to refresh if this is already a refresh request
       if (originalRequest.url?.includes('/auth/refresh') ||
-          originalRequest.url?.includes('/auth/login')) {
+          originalRequest.url?.includes('/auth/login') ||
+          originalRequest.url?.includes('/auth/2fa/verify') ||
+          originalRequest.url?.includes('/auth/2fa/enroll')) {
         return Promise.reject(error);
       }
 
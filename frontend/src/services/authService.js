@@ -1,25 +1,73 @@
 import api, { tokenManager, performLogout } from './api';
 
+// Keep the session from a successful login response
+const storeSession = (data) => {
+  const { accessToken, refreshToken, expiresIn, user } = data;
+
+  // Handle both old format (token) and new format (accessToken, refreshToken)
+  const token = accessToken || data.token;
+
+  // Store tokens using tokenManager
+  tokenManager.setTokens(token, refreshToken, expiresIn);
+
+  // Store user data separately
+  localStorage.setItem('user', JSON.stringify(user));
+};
+
 export const authService = {
+  // With two-factor authentication the response carries a challenge token instead of tokens
   login: async (username, password) => {
     const response = await api.post('/auth/login', { username, password });
 
-    if (response.data.success) {
-      const { accessToken, refreshToken, expiresIn, user } = response.data.data;
+    if (response.data.success && response.data.data.user) {
+      storeSession(response.data.data);
+    }
 
-      // Handle both old format (token) and new format (accessToken, refreshToken)
-      const token = accessToken || response.data.data.token;
+    return response.data;
+  },
 
-      // Store tokens using tokenManager
-      tokenManager.setTokens(token, refreshToken, expiresIn);
+  // Second login step: a code from the authenticator app or a recovery code
+  verifyTwoFactor: async (challengeToken, { code, recoveryCode }) => {
+    const response = await api.post('/auth/2fa/verify', { challengeToken, code, recoveryCode });
 
-      // Store user data separately
-      localStorage.setItem('user', JSON.stringify(user));
+    if (response.data.success) {
+      storeSession(response.data.data);
     }
 
     return response.data;
   },
 
+  // Setup during login, for roles that require two-factor authentication
+  startTwoFactorEnrollment: async (challengeToken) => {
+    const response = await api.post('/auth/2fa/enroll', { challengeToken });
+    return response.data;
+  },
+
+  getTwoFactorStatus: async () => {
+    const response = await api.get('/auth/2fa');
+    return response.data;
+  },
+
+  setupTwoFactor: async () => {
+    const response = await api.post('/auth/2fa/setup');
+    return response.data;
+  },
+
+  enableTwoFactor: async (code) => {
+    const response = await api.post('/auth/2fa/enable', { code });
+    return response.data;
+  },
+
+  disableTwoFactor: async (password, { code, recoveryCode }) => {
+    const response = await api.post('/auth/2fa/disable', { password, code, recoveryCode });
+    return response.data;
+  },
+
+  regenerateRecoveryCodes: async (code) => {
+    const response = await api.post('/auth/2fa/recovery-codes', { code });
+    return response.data;
+  },
+
   logout: async () => {
     await performLogout();
   },
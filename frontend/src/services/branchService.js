@@ -0,0 +1,20 @@
+import api from './api';
+
+export const branchService = {
+  getBranches: async (params = {}) => {
+    const response = await api.get('/branches', { params });
+    return response.data;
+  },
+
+  createBranch: async (data) => {
+    const response = await api.post('/branches', data);
+    return response.data;
+  },
+
+  updateBranch: async (uuid, data) => {
+    const response = await api.put(`/branches/${uuid}`, data);
+    return response.data;
+  }
+};
+
+export default branchService;
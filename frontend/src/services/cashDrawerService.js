@@ -46,6 +46,32 @@ const cashDrawerService = {
     return response.data;
   },
 
+  getTransfers: async (params = {}) => {
+    const response = await api.get('/cash-drawers/transfers', { params });
+    return response.data;
+  },
+
+  createTransfer: async (data) => {
+    const response = await api.post('/cash-drawers/transfers', data);
+    return response.data;
+  },
+
+  receiveTransfer: async (uuid) => {
+    const response = await api.post(`/cash-drawers/transfers/${uuid}/receive`);
+    return response.data;
+  },
+
+  cancelTransfer: async (uuid, reason) => {
+    const response = await api.post(`/cash-drawers/transfers/${uuid}/cancel`, { reason });
+    return response.data;
+  },
+
+  verifyLedger: async (uuid = null) => {
+    const url = uuid ? `/cash-drawers/${uuid}/ledger/verify` : '/cash-drawers/ledger/verify';
+    const response = await api.get(url);
+    return response.data;
+  },
+
   getAlerts: async () => {
     const response = await api.get('/cash-drawers/alerts');
     return response.data;
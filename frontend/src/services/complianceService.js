@@ -0,0 +1,117 @@
+import api from './api';
+
+export const complianceService = {
+  getDashboard: async () => {
+    const response = await api.get('/compliance/dashboard');
+    return response.data;
+  },
+
+  // Rules
+  getRules: async (params = {}) => {
+    const response = await api.get('/compliance/rules', { params });
+    return response.data;
+  },
+
+  createRule: async (data) => {
+    const response = await api.post('/compliance/rules', data);
+    return response.data;
+  },
+
+  updateRule: async (uuid, data) => {
+    const response = await api.put(`/compliance/rules/${uuid}`, data);
+    return response.data;
+  },
+
+  toggleRule: async (uuid) => {
+    const response = await api.post(`/compliance/rules/${uuid}/toggle`);
+    return response.data;
+  },
+
+  // Alerts
+  getAlerts: async (params = {}) => {
+    const response = await api.get('/compliance/alerts', { params });
+    return response.data;
+  },
+
+  reviewAlert: async (uuid, status, notes) => {
+    const response = await api.post(`/compliance/alerts/${uuid}/review`, { status, notes });
+    return response.data;
+  },
+
+  bulkReviewAlerts: async (uuids, status, notes) => {
+    const response = await api.post('/compliance/alerts/bulk/review', { uuids, status, notes });
+    return response.data;
+  },
+
+  getCustomerRisk: async (customerUuid) => {
+    const response = await api.get(`/compliance/customers/${customerUuid}/risk`);
+    return response.data;
+  },
+
+  recalculateCustomerRisk: async (customerUuid) => {
+    const response = await api.post(`/compliance/customers/${customerUuid}/risk/recalculate`);
+    return response.data;
+  },
+
+  // Suspicious activity reports
+  getSARs: async (params = {}) => {
+    const response = await api.get('/compliance/sars', { params });
+    return response.data;
+  },
+
+  createSAR: async (data) => {
+    const response = await api.post('/compliance/sars', data);
+    return response.data;
+  },
+
+  getSAR: async (uuid) => {
+    const response = await api.get(`/compliance/sars/${uuid}`);
+    return response.data;
+  },
+
+  updateSAR: async (uuid, data) => {
+    const response = await api.put(`/compliance/sars/${uuid}`, data);
+    return response.data;
+  },
+
+  // action: submit, start-review, return or sign-off; data: notes, outcome, fiuReference
+  changeSARStatus: async (uuid, action, data = {}) => {
+    const response = await api.post(`/compliance/sars/${uuid}/${action}`, data);
+    return response.data;
+  },
+
+  uploadSARAttachment: async (uuid, file, fields = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value) formData.append(key, value);
+    });
+    const response = await api.post(`/compliance/sars/${uuid}/attachments`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  },
+
+  downloadSARAttachment: async (uuid, attachmentUuid) => {
+    const response = await api.get(`/compliance/sars/${uuid}/attachments/${attachmentUuid}`, {
+      responseType: 'blob'
+    });
+    return response;
+  },
+
+  deleteSARAttachment: async (uuid, attachmentUuid) => {
+    const response = await api.delete(`/compliance/sars/${uuid}/attachments/${attachmentUuid}`);
+    return response.data;
+  },
+
+  // format: json, xml or pdf
+  exportSAR: async (uuid, format) => {
+    const response = await api.get(`/compliance/sars/${uuid}/export`, {
+      params: { format },
+      responseType: 'blob'
+    });
+    return response;
+  }
+};
+
+export default complianceService;
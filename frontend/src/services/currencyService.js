@@ -17,8 +17,8 @@ export const currencyService = {
     return response.data;
   },
 
-  getExchangeRates: async () => {
-    const response = await api.get('/currencies/rates');
+  getExchangeRates: async (params = {}) => {
+    const response = await api.get('/currencies/rates', { params });
     return response.data;
   },
 
@@ -52,9 +52,58 @@ export const currencyService = {
     return response.data;
   },
 
-  // Bulk update exchange rates
-  bulkUpdateRates: async (rates) => {
-    const response = await api.put('/currencies/rates/bulk', { rates });
+  // Bulk update exchange rates, or schedule them when effectiveFrom is in the future
+  bulkUpdateRates: async (rates, branchId, effectiveFrom) => {
+    const response = await api.put('/currencies/rates/bulk', { rates, branchId, effectiveFrom });
+    return response.data;
+  },
+
+  // Rate versions waiting for their effective date
+  getScheduledRates: async (params = {}) => {
+    const response = await api.get('/currencies/rates/scheduled', { params });
+    return response.data;
+  },
+
+  cancelScheduledRate: async (uuid) => {
+    const response = await api.delete(`/currencies/rates/scheduled/${uuid}`);
+    return response.data;
+  },
+
+  // Allowed deviation per currency pair before a rate needs a manager override
+  getRateTolerances: async () => {
+    const response = await api.get('/currencies/rates/tolerances');
+    return response.data;
+  },
+
+  setRateTolerance: async (data) => {
+    const response = await api.put('/currencies/rates/tolerances', data);
+    return response.data;
+  },
+
+  // Rate for any pair, derived through the base currency when there is no direct rate
+  getQuote: async ({ fromCurrencyId, toCurrencyId, amount, side, branchId } = {}) => {
+    const params = { fromCurrencyId, toCurrencyId };
+    if (amount) params.amount = amount;
+    if (side) params.side = side;
+    if (branchId) params.branchId = branchId;
+
+    const response = await api.get('/currencies/quote', { params });
+    return response.data;
+  },
+
+  // Spreads added to derived cross rates
+  getSpreadRules: async () => {
+    const response = await api.get('/currencies/spreads');
+    return response.data;
+  },
+
+  setSpreadRule: async (data) => {
+    const response = await api.put('/currencies/spreads', data);
+    return response.data;
+  },
+
+  deleteSpreadRule: async (id) => {
+    const response = await api.delete(`/currencies/spreads/${id}`);
     return response.data;
   }
 };
@@ -36,6 +36,11 @@ const customerService = {
     return response.data;
   },
 
+  sendPortalInvite: async (uuid) => {
+    const response = await api.post(`/customers/${uuid}/portal-invite`);
+    return response.data;
+  },
+
   getCustomerTransactions: async (uuid, params = {}) => {
     const response = await api.get(`/customers/${uuid}/transactions`, { params });
     return response.data;
@@ -0,0 +1,25 @@
+import api from './api';
+
+export const feeScheduleService = {
+  getFeeSchedules: async () => {
+    const response = await api.get('/fee-schedules');
+    return response.data;
+  },
+
+  createFeeSchedule: async (data) => {
+    const response = await api.post('/fee-schedules', data);
+    return response.data;
+  },
+
+  updateFeeSchedule: async (uuid, data) => {
+    const response = await api.put(`/fee-schedules/${uuid}`, data);
+    return response.data;
+  },
+
+  previewFee: async (params) => {
+    const response = await api.get('/fee-schedules/preview', { params });
+    return response.data;
+  }
+};
+
+export default feeScheduleService;
@@ -29,6 +29,36 @@ const permissionService = {
   updateRolePermissions: async (role, permissionIds) => {
     const response = await api.put(`/permissions/roles/${role}`, { permissionIds });
     return response.data;
+  },
+
+  // Create a custom role
+  createRole: async (data) => {
+    const response = await api.post('/permissions/roles', data);
+    return response.data;
+  },
+
+  // Rename a role or change its description
+  updateRole: async (role, data) => {
+    const response = await api.put(`/permissions/roles/${role}/details`, data);
+    return response.data;
+  },
+
+  // Delete a custom role
+  deleteRole: async (role) => {
+    const response = await api.delete(`/permissions/roles/${role}`);
+    return response.data;
+  },
+
+  // Get a user's permission overrides and effective permissions
+  getUserPermissions: async (userUuid) => {
+    const response = await api.get(`/permissions/users/${userUuid}`);
+    return response.data;
+  },
+
+  // Replace a user's permission overrides
+  updateUserPermissions: async (userUuid, granted, denied) => {
+    const response = await api.put(`/permissions/users/${userUuid}`, { granted, denied });
+    return response.data;
   }
 };
 
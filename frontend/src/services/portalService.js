@@ -0,0 +1,161 @@
+import axios from 'axios';
+import { API_URL } from './api';
+
+// Customer portal tokens are kept apart from staff tokens
+const CUSTOMER_TOKEN_KEY = 'customerToken';
+const CUSTOMER_REFRESH_TOKEN_KEY = 'customerRefreshToken';
+const CUSTOMER_USER_KEY = 'customerUser';
+
+const storeTokens = ({ accessToken, refreshToken }) => {
+  localStorage.setItem(CUSTOMER_TOKEN_KEY, accessToken);
+  localStorage.setItem(CUSTOMER_REFRESH_TOKEN_KEY, refreshToken);
+};
+
+const clearTokens = () => {
+  localStorage.removeItem(CUSTOMER_TOKEN_KEY);
+  localStorage.removeItem(CUSTOMER_REFRESH_TOKEN_KEY);
+  localStorage.removeItem(CUSTOMER_USER_KEY);
+};
+
+const portalApi = axios.create({
+  baseURL: `${API_URL}/portal`,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+});
+
+portalApi.interceptors.request.use((config) => {
+  const token = localStorage.getItem(CUSTOMER_TOKEN_KEY);
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Concurrent 401s share one refresh request, since each refresh rotates the token
+let refreshPromise = null;
+
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem(CUSTOMER_REFRESH_TOKEN_KEY);
+  if (!refreshToken) {
+    throw new Error('No refresh token available');
+  }
+
+  // Use plain axios to avoid interceptor loops
+  const response = await axios.post(`${API_URL}/portal/refresh`, { refreshToken });
+  storeTokens(response.data.data);
+  return response.data.data.accessToken;
+};
+
+portalApi.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (error.response?.status !== 401 || originalRequest._retry ||
+        originalRequest.url === '/login') {
+      return Promise.reject(error);
+    }
+
+    originalRequest._retry = true;
+
+    try {
+      if (!refreshPromise) {
+        refreshPromise = refreshAccessToken().finally(() => {
+          refreshPromise = null;
+        });
+      }
+      const token = await refreshPromise;
+      originalRequest.headers.Authorization = `Bearer ${token}`;
+      return portalApi(originalRequest);
+    } catch (refreshError) {
+      clearTokens();
+      window.location.href = '/portal/login';
+      return Promise.reject(refreshError);
+    }
+  }
+);
+
+const portalService = {
+  isLoggedIn: () => Boolean(localStorage.getItem(CUSTOMER_TOKEN_KEY)),
+
+  login: async (email, password) => {
+    const response = await portalApi.post('/login', { email, password });
+    if (response.data.success) {
+      storeTokens(response.data.data);
+      localStorage.setItem(CUSTOMER_USER_KEY, JSON.stringify(response.data.data.customer));
+    }
+    return response.data;
+  },
+
+  forgotPassword: async (email) => {
+    const response = await portalApi.post('/forgot-password', { email });
+    return response.data;
+  },
+
+  setPassword: async (token, password) => {
+    const response = await portalApi.post('/set-password', { token, password });
+    return response.data;
+  },
+
+  logout: async () => {
+    try {
+      await portalApi.post('/logout', {
+        refreshToken: localStorage.getItem(CUSTOMER_REFRESH_TOKEN_KEY)
+      });
+    } catch (error) {
+      // Still clear local tokens
+      console.error('Logout API call failed:', error);
+    } finally {
+      clearTokens();
+    }
+  },
+
+  logoutAll: async () => {
+    try {
+      await portalApi.post('/logout-all');
+    } finally {
+      clearTokens();
+    }
+  },
+
+  getSessions: async () => {
+    const response = await portalApi.get('/sessions');
+    return response.data;
+  },
+
+  revokeSession: async (uuid) => {
+    const response = await portalApi.delete(`/sessions/${uuid}`);
+    return response.data;
+  },
+
+  getProfile: async () => {
+    const response = await portalApi.get('/profile');
+    return response.data;
+  },
+
+  getTransactions: async (params = {}) => {
+    const response = await portalApi.get('/transactions', { params });
+    return response.data;
+  },
+
+  downloadReceipt: async (uuid, lang = 'en') => {
+    const response = await portalApi.get(`/transactions/${uuid}/receipt`, {
+      params: { download: true, lang },
+      responseType: 'blob'
+    });
+    return response.data;
+  },
+
+  getCurrencies: async () => {
+    const response = await portalApi.get('/currencies');
+    return response.data;
+  },
+
+  getQuote: async (params) => {
+    const response = await portalApi.get('/quote', { params });
+    return response.data;
+  }
+};
+
+export default portalService;
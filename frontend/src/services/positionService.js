@@ -0,0 +1,25 @@
+import api from './api';
+
+export const positionService = {
+  getPositions: async (branchId) => {
+    const response = await api.get('/positions', { params: { branchId } });
+    return response.data;
+  },
+
+  getPositionLimits: async () => {
+    const response = await api.get('/positions/limits');
+    return response.data;
+  },
+
+  savePositionLimit: async (data) => {
+    const response = await api.put('/positions/limits', data);
+    return response.data;
+  },
+
+  deletePositionLimit: async (uuid) => {
+    const response = await api.delete(`/positions/limits/${uuid}`);
+    return response.data;
+  }
+};
+
+export default positionService;
@@ -1,43 +1,48 @@
 import api from './api';
 
 export const reportService = {
-  getDashboardStats: async () => {
-    const response = await api.get('/reports/dashboard');
+  // branchId is only honoured for admins who see every branch
+  getDashboardStats: async (branchId) => {
+    const response = await api.get('/reports/dashboard', { params: { branchId } });
     return response.data;
   },
 
-  getDashboardCharts: async () => {
-    const response = await api.get('/reports/dashboard/charts');
+  getDashboardCharts: async (branchId) => {
+    const response = await api.get('/reports/dashboard/charts', { params: { branchId } });
     return response.data;
   },
 
-  getLeaderboard: (period = 'month') => api.get(`/reports/leaderboard?period=${period}`),
+  getLeaderboard: (period = 'month', branchId) => api.get('/reports/leaderboard', { params: { period, branchId } }),
 
-  getDailyReport: async (date, employeeId) => {
+  getDailyReport: async (date, employeeId, branchId) => {
     const params = {};
     if (date) params.date = date;
     if (employeeId) params.employeeId = employeeId;
+    if (branchId) params.branchId = branchId;
     const response = await api.get('/reports/daily', { params });
     return response.data;
   },
 
-  getMonthlyReport: async (year, month, employeeId) => {
+  getMonthlyReport: async (year, month, employeeId, branchId) => {
     const params = {};
     if (year) params.year = year;
     if (month) params.month = month;
     if (employeeId) params.employeeId = employeeId;
+    if (branchId) params.branchId = branchId;
     const response = await api.get('/reports/monthly', { params });
     return response.data;
   },
 
   // Daily Closing Report methods
-  generateClosingReport: async (date) => {
-    const response = await api.post('/reports/closing', { date });
+  generateClosingReport: async (date, branchId) => {
+    const response = await api.post('/reports/closing', { date, branchId: branchId || undefined });
     return response.data;
   },
 
-  getClosingReports: async () => {
-    const response = await api.get('/reports/closings');
+  getClosingReports: async (branchId) => {
+    const params = {};
+    if (branchId) params.branchId = branchId;
+    const response = await api.get('/reports/closings', { params });
     return response.data;
   },
 
@@ -55,6 +60,14 @@ export const reportService = {
     return response.data;
   },
 
+  // Quote-to-deal conversion
+  getQuoteConversion: async (startDate, endDate, branchId) => {
+    const response = await api.get('/reports/quote-conversion', {
+      params: { startDate, endDate, branchId }
+    });
+    return response.data;
+  },
+
   // Custom Report
   generateCustomReport: async (config) => {
     const response = await api.post('/reports/custom', config);
@@ -69,33 +82,33 @@ export const reportService = {
   },
 
   // Export functions
-  exportDailyReport: async (date, format = 'xlsx') => {
+  exportDailyReport: async (date, format = 'xlsx', branchId) => {
     const response = await api.get('/reports/daily/export', {
-      params: { date, format },
+      params: { date, format, branchId },
       responseType: 'blob'
     });
     return response;
   },
 
-  exportMonthlyReport: async (year, month, format = 'xlsx') => {
+  exportMonthlyReport: async (year, month, format = 'xlsx', branchId) => {
     const response = await api.get('/reports/monthly/export', {
-      params: { year, month, format },
+      params: { year, month, format, branchId },
       responseType: 'blob'
     });
     return response;
   },
 
-  exportProfitLossReport: async (startDate, endDate, format = 'xlsx') => {
+  exportProfitLossReport: async (startDate, endDate, format = 'xlsx', branchId) => {
     const response = await api.get('/reports/profit-loss/export', {
-      params: { startDate, endDate, format },
+      params: { startDate, endDate, format, branchId },
       responseType: 'blob'
     });
     return response;
   },
 
-  exportTransactionsReport: async (startDate, endDate, format = 'xlsx') => {
+  exportTransactionsReport: async (startDate, endDate, format = 'xlsx', branchId) => {
     const response = await api.get('/reports/transactions/export', {
-      params: { startDate, endDate, format },
+      params: { startDate, endDate, format, branchId },
       responseType: 'blob'
     });
     return response;
@@ -16,6 +16,12 @@ export const transactionService = {
     return response.data;
   },
 
+  // Lock a rate for a customer; pass the returned quoteId to createTransaction
+  createQuote: async (data) => {
+    const response = await api.post('/transactions/quote', data);
+    return response.data;
+  },
+
   cancelTransaction: async (uuid, reason) => {
     const response = await api.post(`/transactions/${uuid}/cancel`, { reason });
     return response.data;
@@ -31,6 +37,22 @@ export const transactionService = {
     return response.data;
   },
 
+  // Approval (maker-checker) methods
+  getApprovalQueue: async (params = {}) => {
+    const response = await api.get('/transactions/approvals', { params });
+    return response.data;
+  },
+
+  approveTransaction: async (uuid, notes) => {
+    const response = await api.post(`/transactions/${uuid}/approve`, { notes: notes || undefined });
+    return response.data;
+  },
+
+  rejectTransaction: async (uuid, reason) => {
+    const response = await api.post(`/transactions/${uuid}/reject`, { reason });
+    return response.data;
+  },
+
   // Receipt methods
   getReceipt: async (uuid, options = {}) => {
     const { type = 'customer', download = false, lang = 'en' } = options;
@@ -25,6 +25,12 @@ export const userService = {
   resetPassword: async (uuid, newPassword) => {
     const response = await api.put(`/users/${uuid}/reset-password`, { newPassword });
     return response.data;
+  },
+
+  // Remove the user's authenticator (lost device); they set it up again at next login
+  resetTwoFactor: async (uuid) => {
+    const response = await api.post(`/users/${uuid}/two-factor/reset`);
+    return response.data;
   }
 };
 
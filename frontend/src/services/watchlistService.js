@@ -0,0 +1,54 @@
+import api from './api';
+
+export const watchlistService = {
+  getWatchlists: async () => {
+    const response = await api.get('/watchlists');
+    return response.data;
+  },
+
+  // fields: name, source, listType; watchlistUuid replaces the entries of an existing list
+  importWatchlist: async (file, fields = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value) formData.append(key, value);
+    });
+    const response = await api.post('/watchlists/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  },
+
+  setActive: async (uuid, isActive) => {
+    const response = await api.patch(`/watchlists/${uuid}`, { isActive });
+    return response.data;
+  },
+
+  deleteWatchlist: async (uuid) => {
+    const response = await api.delete(`/watchlists/${uuid}`);
+    return response.data;
+  },
+
+  getEntries: async (uuid, params = {}) => {
+    const response = await api.get(`/watchlists/${uuid}/entries`, { params });
+    return response.data;
+  },
+
+  // Screening matches
+  getMatches: async (params = {}) => {
+    const response = await api.get('/watchlists/matches', { params });
+    return response.data;
+  },
+
+  reviewMatch: async (uuid, decision, notes) => {
+    const response = await api.post(`/watchlists/matches/${uuid}/review`, { decision, notes });
+    return response.data;
+  },
+
+  screenName: async (data) => {
+    const response = await api.post('/watchlists/screen', data);
+    return response.data;
+  }
+};
+
+export default watchlistService;